@@ -1,180 +1,290 @@
 /**
  * GALENICA ONLINE - JAVASCRIPT FUNCTIONALITY
  * ==========================================
- * Main JavaScript file for Galenica Online website
- * Handles mobile menu, scroll effects, FAQ functionality, and animations
+ * Classic-script build of the ES modules in src/, generated by `npm run build`.
+ * Edit the modules and build again rather than changing this file
  */
 
 'use strict';
 
 /**
- * DOM Content Loaded Event Listener
- * Initializes all functionality when the DOM is fully loaded
+ * EVENT BUS
+ * Shared channel for modules to announce changes without knowing who listens:
+ * i18n:change, theme:change, motion:change, consent:change, route:change and auth:change
  */
-document.addEventListener('DOMContentLoaded', function() {
-    // Initialize all modules
-    MobileMenu.init();
-    ScrollToTop.init();
-    SmoothScrolling.init();
-    FAQ.init();
-    ScrollAnimations.init();
-    HeaderScroll.init();
-});
+const EventBus = {
+    handlers: new Map(),
 
-/**
- * MOBILE MENU MODULE
- * Handles mobile navigation menu functionality
- */
-const MobileMenu = {
     /**
-     * Initialize mobile menu functionality
+     * Listen to an event
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event detail
+     * @param {Object} options - { signal: AbortSignal that removes the handler }
+     * @returns {Function} Function removing the handler
      */
-    init() {
-        this.mobileMenuButton = document.querySelector('.mobile-menu-btn');
-        this.mobileMenu = document.getElementById('mobile-menu');
-        this.mobileMenuLinks = document.querySelectorAll('.mobile-menu__link');
-        
-        if (this.mobileMenuButton && this.mobileMenu) {
-            this.bindEvents();
+    on(type, handler, options = {}) {
+        const off = () => this.off(type, handler);
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                return off;
+            }
+            options.signal.addEventListener('abort', off, { once: true });
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
         }
+        this.handlers.get(type).push(handler);
+
+        return off;
     },
 
     /**
-     * Bind event listeners
+     * Stop listening to an event
+     * @param {string} type - Event name
+     * @param {Function} handler - Handler passed to on()
      */
-    bindEvents() {
-        // Toggle mobile menu
-        this.mobileMenuButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.toggleMenu();
-        });
-
-        // Close mobile menu when clicking on links
-        this.mobileMenuLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                this.closeMenu();
-            });
-        });
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            this.handlers.set(type, handlers.filter(item => item !== handler));
+        }
+    },
 
-        // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!this.mobileMenuButton.contains(e.target) && !this.mobileMenu.contains(e.target)) {
-                this.closeMenu();
+    /**
+     * Call every handler of an event; a failing handler does not stop the others
+     * @param {string} type - Event name
+     * @param {Object} detail - Event data
+     */
+    emit(type, detail = {}) {
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`${type} handler failed:`, error);
+                ErrorHandler.capture(error, { event: type });
             }
         });
+    }
+};
 
-        // Close mobile menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeMenu();
-            }
-        });
+/**
+ * MOTION MODULE
+ * Decides whether the page animates. Follows prefers-reduced-motion live,
+ * unless the visitor overrode it in the display panel (<html data-motion>).
+ * Modules ask isReduced() before animating; "motion:change" reports changes
+ */
+const Motion = {
+    /**
+     * Initialize the motion policy
+     */
+    init() {
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.reduced = this.isReduced();
 
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            if (window.innerWidth >= 768) {
-                this.closeMenu();
-            }
-        });
+        if (this.query) {
+            this.query.addEventListener('change', () => this.update(), { signal: this.signal });
+        }
     },
 
     /**
-     * Toggle mobile menu state
+     * Check whether animations should be skipped
+     * Reads the page state, so it answers correctly before init too
+     * @returns {boolean} True for the "reduce" override, or the system setting when not overridden
      */
-    toggleMenu() {
-        const isExpanded = this.mobileMenuButton.getAttribute('aria-expanded') === 'true';
-        this.mobileMenuButton.setAttribute('aria-expanded', !isExpanded);
-        this.mobileMenu.classList.toggle('active');
-        
-        // Toggle icon
-        const icon = this.mobileMenuButton.querySelector('i');
-        if (icon) {
-            icon.classList.toggle('fa-bars');
-            icon.classList.toggle('fa-times');
+    isReduced() {
+        const override = document.documentElement.dataset.motion;
+        if (override === 'reduce' || override === 'full') {
+            return override === 'reduce';
         }
-        
-        // Prevent body scroll when menu is open
-        document.body.style.overflow = !isExpanded ? 'hidden' : '';
+
+        const query = this.query || (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)'));
+        return Boolean(query && query.matches);
     },
 
     /**
-     * Close mobile menu
+     * Set the site-level override
+     * @param {string|null} value - "reduce", "full" or null to follow the system
      */
-    closeMenu() {
-        this.mobileMenuButton.setAttribute('aria-expanded', 'false');
-        this.mobileMenu.classList.remove('active');
-        
-        // Reset icon
-        const icon = this.mobileMenuButton.querySelector('i');
-        if (icon) {
-            icon.classList.add('fa-bars');
-            icon.classList.remove('fa-times');
+    setOverride(value) {
+        if (value === 'reduce' || value === 'full') {
+            document.documentElement.dataset.motion = value;
+        } else {
+            delete document.documentElement.dataset.motion;
         }
-        
-        // Re-enable body scroll
-        document.body.style.overflow = '';
+
+        this.update();
+    },
+
+    /**
+     * Announce "motion:change" when the outcome changed
+     */
+    update() {
+        const reduced = this.isReduced();
+        if (reduced === this.reduced) {
+            return;
+        }
+
+        this.reduced = reduced;
+        EventBus.emit('motion:change', { reduced });
+    },
+
+    /**
+     * Scroll behaviour for window.scrollTo() and scrollIntoView()
+     * "instant" rather than "auto", which would pick up the smooth scroll-behavior in CSS
+     * @returns {string} "smooth" or "instant"
+     */
+    scrollBehavior() {
+        return this.isReduced() ? 'instant' : 'smooth';
+    },
+
+    /**
+     * Duration for a scripted animation or delay
+     * @param {number} duration - Duration in milliseconds when motion is allowed
+     * @returns {number} The duration, or 0 when motion is reduced
+     */
+    duration(duration) {
+        return this.isReduced() ? 0 : duration;
     }
 };
 
 /**
- * SCROLL TO TOP MODULE
- * Handles scroll to top button functionality
+ * VIEWPORT MODULE
+ * Shared scroll and resize scheduler. One passive listener of each kind
+ * batches events into a single animation frame, which measures the scroll
+ * position and viewport size once and runs every subscriber's read() before
+ * any write(), so a write never forces the next read to recalculate layout
  */
-const ScrollToTop = {
+const Viewport = {
+    dependencies: ['ErrorHandler'],
+
+    subscribers: [],
+
     /**
-     * Initialize scroll to top functionality
+     * Initialize the scheduler
      */
     init() {
-        this.scrollTopBtn = document.getElementById('scrollTop');
-        
-        if (this.scrollTopBtn) {
-            this.bindEvents();
-        }
+        this.frame = null;
+        this.pending = { scrolled: false, resized: false };
+        this.state = this.measure();
+
+        window.addEventListener('scroll', () => this.schedule('scrolled'), { passive: true, signal: this.signal });
+        window.addEventListener('resize', () => this.schedule('resized'), { passive: true, signal: this.signal });
     },
 
     /**
-     * Bind event listeners
+     * Drop the frame still waiting
      */
-    bindEvents() {
-        // Show/hide button on scroll
-        window.addEventListener('scroll', this.throttle(() => {
-            this.toggleVisibility();
-        }, 100));
+    destroy() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    },
 
-        // Scroll to top on click
-        this.scrollTopBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.scrollToTop();
-        });
+    /**
+     * Run callbacks on each frame with scroll or resize activity
+     * @param {Object} subscriber - { read(state), write(state) }, both optional; state is
+     *     { scrollX, scrollY, width, height, scrollHeight, scrolled, resized }
+     * @param {Object} options - { signal: AbortSignal that removes the subscriber }
+     * @returns {Function} Function removing the subscriber
+     */
+    subscribe(subscriber, options = {}) {
+        const off = () => {
+            this.subscribers = this.subscribers.filter(item => item !== subscriber);
+        };
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                return off;
+            }
+            options.signal.addEventListener('abort', off, { once: true });
+        }
+
+        this.subscribers.push(subscriber);
+        return off;
     },
 
     /**
-     * Toggle button visibility based on scroll position
+     * Note the event and request a frame if none is waiting
+     * @param {string} reason - "scrolled" or "resized"
      */
-    toggleVisibility() {
-        if (window.pageYOffset > 300) {
-            this.scrollTopBtn.classList.add('visible');
-            this.scrollTopBtn.setAttribute('aria-hidden', 'false');
-        } else {
-            this.scrollTopBtn.classList.remove('visible');
-            this.scrollTopBtn.setAttribute('aria-hidden', 'true');
+    schedule(reason) {
+        this.pending[reason] = true;
+
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(() => this.flush());
         }
     },
 
     /**
-     * Smooth scroll to top of page
+     * Read the scroll position and viewport size
+     * @returns {Object} Viewport state, with no activity flagged
      */
-    scrollToTop() {
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
+    measure() {
+        return {
+            scrollX: window.pageXOffset,
+            scrollY: window.pageYOffset,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            scrollHeight: document.documentElement.scrollHeight,
+            scrolled: false,
+            resized: false
+        };
+    },
+
+    /**
+     * Measure once, then run all reads followed by all writes
+     * A failing subscriber does not stop the others
+     */
+    flush() {
+        this.frame = null;
+        this.state = Object.assign(this.measure(), this.pending);
+        this.pending = { scrolled: false, resized: false };
+
+        const subscribers = this.subscribers.slice();
+        ['read', 'write'].forEach(phase => {
+            subscribers.forEach(subscriber => {
+                if (typeof subscriber[phase] !== 'function') {
+                    return;
+                }
+
+                try {
+                    subscriber[phase](this.state);
+                } catch (error) {
+                    console.error(`Viewport ${phase} failed:`, error);
+                    ErrorHandler.capture(error, { phase: `viewport ${phase}` });
+                }
+            });
         });
-        
-        // Focus on skip link for accessibility
-        const skipLink = document.querySelector('.skip-link');
-        if (skipLink) {
-            skipLink.focus();
-        }
+    }
+};
+
+/**
+ * UTILITY FUNCTIONS
+ * Common utility functions used throughout the application
+ */
+const Utils = {
+    /**
+     * Debounce function to limit function calls
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Wait time in milliseconds
+     * @param {boolean} immediate - Whether to call immediately
+     * @returns {Function} Debounced function
+     */
+    debounce(func, wait, immediate) {
+        let timeout;
+        return function() {
+            const context = this;
+            const args = arguments;
+            const later = function() {
+                timeout = null;
+                if (!immediate) func.apply(context, args);
+            };
+            const callNow = immediate && !timeout;
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+            if (callNow) func.apply(context, args);
+        };
     },
 
     /**
@@ -194,373 +304,175 @@ const ScrollToTop = {
                 setTimeout(() => inThrottle = false, limit);
             }
         };
-    }
-};
+    },
 
-/**
- * SMOOTH SCROLLING MODULE
- * Handles smooth scrolling for anchor links
- */
-const SmoothScrolling = {
     /**
-     * Initialize smooth scrolling functionality
+     * Check if element is in viewport
+     * Measures layout, so call it from a Viewport read() rather than between writes
+     * @param {Element} element - Element to check
+     * @param {Object} viewport - Viewport state, the cached one by default
+     * @returns {boolean} Whether element is in viewport
      */
-    init() {
-        this.anchorLinks = document.querySelectorAll('a[href^="#"]');
-        this.bindEvents();
+    isInViewport(element, viewport = Viewport.state) {
+        const rect = element.getBoundingClientRect();
+        const width = viewport ? viewport.width : window.innerWidth;
+        const height = viewport ? viewport.height : window.innerHeight;
+
+        return rect.top >= 0 && rect.left >= 0 && rect.bottom <= height && rect.right <= width;
     },
 
     /**
-     * Bind event listeners
+     * Get element's offset from top of document
+     * Uses one layout read instead of walking the offsetParent chain
+     * @param {Element} element - Element to measure
+     * @returns {number} Offset from top
      */
-    bindEvents() {
-        this.anchorLinks.forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                this.handleAnchorClick(e, anchor);
-            });
-        });
+    getOffsetTop(element) {
+        return element.getBoundingClientRect().top + window.pageYOffset;
     },
 
     /**
-     * Handle anchor link clicks
-     * @param {Event} e - Click event
-     * @param {Element} anchor - Anchor element
+     * Escape a string for safe insertion into HTML
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
      */
-    handleAnchorClick(e, anchor) {
-        e.preventDefault();
-        
-        const targetId = anchor.getAttribute('href');
-        const target = document.querySelector(targetId);
-        
-        if (target) {
-            // Close mobile menu if open
-            MobileMenu.closeMenu();
-            
-            // Calculate scroll position with header offset
-            const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
-            const targetPosition = target.offsetTop - headerHeight - 20;
-            
-            // Smooth scroll to target
-            window.scrollTo({
-                top: targetPosition,
-                behavior: 'smooth'
-            });
-            
-            // Update focus for accessibility
-            this.updateFocus(target);
-            
-            // Update URL hash
-            if (targetId !== '#') {
-                history.pushState(null, null, targetId);
-            }
-        }
+    escapeHTML(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
 
     /**
-     * Update focus for accessibility
-     * @param {Element} target - Target element to focus
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @param {*} fallback - Value returned when missing or unreadable
+     * @returns {*} Stored value
      */
-    updateFocus(target) {
-        // Make target focusable if it isn't already
-        if (!target.hasAttribute('tabindex')) {
-            target.setAttribute('tabindex', '-1');
+    readStorage(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (error) {
+            return fallback;
         }
-        
-        // Focus the target element
-        target.focus();
-        
-        // Remove tabindex after focus to maintain natural tab order
-        setTimeout(() => {
-            if (target.getAttribute('tabindex') === '-1') {
-                target.removeAttribute('tabindex');
-            }
-        }, 1000);
-    }
-};
+    },
 
-/**
- * FAQ MODULE
- * Handles FAQ accordion functionality
- */
-const FAQ = {
     /**
-     * Initialize FAQ functionality
+     * Write a JSON value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} Whether the value was stored
      */
-    init() {
-        this.faqQuestions = document.querySelectorAll('.faq-item__question');
-        this.bindEvents();
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
+        }
     },
 
     /**
-     * Bind event listeners
+     * Lowercase a string and strip accents for comparisons
+     * @param {string} value - Text to normalise
+     * @returns {string} Normalised text
      */
-    bindEvents() {
-        this.faqQuestions.forEach(question => {
-            question.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.toggleFAQ(question);
-            });
-
-            // Handle keyboard navigation
-            question.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.toggleFAQ(question);
-                }
-            });
-        });
+    normalizeText(value) {
+        return String(value == null ? '' : value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
     },
 
     /**
-     * Toggle FAQ item
-     * @param {Element} question - FAQ question element
+     * Turn a label into a URL-friendly identifier
+     * @param {string} value - Text to convert
+     * @returns {string} Lowercase slug without accents
      */
-    toggleFAQ(question) {
-        const answer = question.nextElementSibling;
-        const isExpanded = question.getAttribute('aria-expanded') === 'true';
-        
-        // Close all other FAQ items
-        this.closeAllFAQs();
-        
-        // Toggle current FAQ item if it wasn't expanded
-        if (!isExpanded) {
-            question.setAttribute('aria-expanded', 'true');
-            question.classList.add('active');
-            answer.classList.add('active');
-            
-            // Smooth height animation
-            this.animateHeight(answer, true);
-        }
+    slugify(value) {
+        return Utils.normalizeText(value)
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
     },
 
     /**
-     * Close all FAQ items
+     * Save generated text as a file
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
      */
-    closeAllFAQs() {
-        this.faqQuestions.forEach(question => {
-            const answer = question.nextElementSibling;
-            question.setAttribute('aria-expanded', 'false');
-            question.classList.remove('active');
-            answer.classList.remove('active');
-            
-            // Reset height
-            this.animateHeight(answer, false);
-        });
-    },
+    download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
 
-    /**
-     * Animate height of FAQ answer
-     * @param {Element} element - Answer element
-     * @param {boolean} expand - Whether to expand or collapse
-     */
-    animateHeight(element, expand) {
-        if (expand) {
-            element.style.maxHeight = element.scrollHeight + 'px';
-        } else {
-            element.style.maxHeight = '0px';
-        }
-    }
-};
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
 
-/**
- * SCROLL ANIMATIONS MODULE
- * Handles scroll-triggered animations using Intersection Observer
- */
-const ScrollAnimations = {
-    /**
-     * Initialize scroll animations
-     */
-    init() {
-        this.observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -100px 0px'
-        };
-        
-        this.observer = new IntersectionObserver((entries) => {
-            this.handleIntersection(entries);
-        }, this.observerOptions);
-        
-        this.observeElements();
+        // Some browsers read the file after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
 
     /**
-     * Observe elements for animations
+     * Wrap every occurrence of the search terms in <mark>
+     * Matching ignores case and accents, like normalizeText()
+     * @param {string} text - Plain text
+     * @param {string} query - Search text, split into terms on whitespace
+     * @returns {string} Escaped HTML with the matches highlighted
      */
-    observeElements() {
-        // Observe sections
-        const sections = document.querySelectorAll('.section');
-        sections.forEach(section => {
-            this.observer.observe(section);
-        });
-
-        // Observe cards
-        const cards = document.querySelectorAll('.card, .patology-card, .benefit-card, .testimonial-card, .doctor-card, .news-card');
-        cards.forEach(card => {
-            this.observer.observe(card);
-        });
-    },
+    highlight(text, query) {
+        const folded = Array.from(text, char => Utils.normalizeText(char) || char).join('');
+        const terms = Utils.normalizeText(query).split(/\s+/).filter(Boolean);
+        const ranges = [];
 
-    /**
-     * Handle intersection observer entries
-     * @param {Array} entries - Intersection observer entries
-     */
-    handleIntersection(entries) {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.classList.add('animate-fade-in');
-                
-                // Add staggered animation for cards in grid
-                this.addStaggeredAnimation(entry.target);
-                
-                // Stop observing the element
-                this.observer.unobserve(entry.target);
+        terms.forEach(term => {
+            let start = folded.indexOf(term);
+            while (start !== -1) {
+                ranges.push([start, start + term.length]);
+                start = folded.indexOf(term, start + term.length);
             }
         });
-    },
-
-    /**
-     * Add staggered animation to grid items
-     * @param {Element} target - Target element
-     */
-    addStaggeredAnimation(target) {
-        const gridItems = target.querySelectorAll('.patology-card, .benefit-card, .testimonial-card, .doctor-card, .news-card');
-        
-        gridItems.forEach((item, index) => {
-            setTimeout(() => {
-                item.classList.add('animate-fade-in');
-            }, index * 100);
-        });
-    }
-};
-
-/**
- * HEADER SCROLL MODULE
- * Handles header behavior on scroll
- */
-const HeaderScroll = {
-    /**
-     * Initialize header scroll functionality
-     */
-    init() {
-        this.header = document.querySelector('.header');
-        this.lastScrollTop = 0;
-        this.scrollThreshold = 100;
-        
-        if (this.header) {
-            this.bindEvents();
-        }
-    },
-
-    /**
-     * Bind event listeners
-     */
-    bindEvents() {
-        window.addEventListener('scroll', this.throttle(() => {
-            this.handleScroll();
-        }, 10));
-    },
 
-    /**
-     * Handle scroll events
-     */
-    handleScroll() {
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-        
-        // Add shadow when scrolled
-        if (scrollTop > 10) {
-            this.header.classList.add('scrolled');
-        } else {
-            this.header.classList.remove('scrolled');
-        }
-        
-        this.lastScrollTop = scrollTop;
-    },
+        let html = '';
+        let position = 0;
 
-    /**
-     * Throttle function to limit function calls
-     * @param {Function} func - Function to throttle
-     * @param {number} limit - Time limit in milliseconds
-     * @returns {Function} Throttled function
-     */
-    throttle(func, limit) {
-        let inThrottle;
-        return function() {
-            const args = arguments;
-            const context = this;
-            if (!inThrottle) {
-                func.apply(context, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
+        ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (end > position) {
+                start = Math.max(start, position);
+                html += `${Utils.escapeHTML(text.slice(position, start))}<mark>${Utils.escapeHTML(text.slice(start, end))}</mark>`;
+                position = end;
             }
-        };
-    }
-};
-
-/**
- * UTILITY FUNCTIONS
- * Common utility functions used throughout the application
- */
-const Utils = {
-    /**
-     * Debounce function to limit function calls
-     * @param {Function} func - Function to debounce
-     * @param {number} wait - Wait time in milliseconds
-     * @param {boolean} immediate - Whether to call immediately
-     * @returns {Function} Debounced function
-     */
-    debounce(func, wait, immediate) {
-        let timeout;
-        return function() {
-            const context = this;
-            const args = arguments;
-            const later = function() {
-                timeout = null;
-                if (!immediate) func.apply(context, args);
-            };
-            const callNow = immediate && !timeout;
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-            if (callNow) func.apply(context, args);
-        };
-    },
-
-    /**
-     * Check if element is in viewport
-     * @param {Element} element - Element to check
-     * @returns {boolean} Whether element is in viewport
-     */
-    isInViewport(element) {
-        const rect = element.getBoundingClientRect();
-        return (
-            rect.top >= 0 &&
-            rect.left >= 0 &&
-            rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-            rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-        );
-    },
+        });
 
-    /**
-     * Get element's offset from top of document
-     * @param {Element} element - Element to measure
-     * @returns {number} Offset from top
-     */
-    getOffsetTop(element) {
-        let offsetTop = 0;
-        while(element) {
-            offsetTop += element.offsetTop;
-            element = element.offsetParent;
-        }
-        return offsetTop;
+        return html + Utils.escapeHTML(text.slice(position));
     },
 
     /**
      * Animate element using CSS transitions
+     * Jumps to the end values when motion is reduced (see Motion)
      * @param {Element} element - Element to animate
      * @param {Object} properties - CSS properties to animate
      * @param {number} duration - Animation duration in milliseconds
      * @param {Function} callback - Callback function when animation completes
      */
     animate(element, properties, duration = 300, callback) {
+        // Jump straight to the end when motion is reduced
+        if (Motion.isReduced()) {
+            Object.keys(properties).forEach(prop => {
+                element.style[prop] = properties[prop] + (prop.includes('opacity') ? '' : 'px');
+            });
+            if (callback) {
+                callback();
+            }
+            return;
+        }
+
         const startTime = performance.now();
         const startProperties = {};
         
@@ -596,86 +508,127 @@ const Utils = {
 };
 
 /**
- * PERFORMANCE MONITORING
- * Basic performance monitoring and optimization
+ * ERROR HANDLING
+ * Global error handling and reporting
+ * Reports are deduplicated, batched, rate-limited and sent with sendBeacon
+ * to <body data-error-endpoint="...">; they wait in localStorage while offline
+ * and are dropped when no endpoint is configured
  */
-const Performance = {
+const ErrorHandler = {
+    breadcrumbs: [],
+
+    pending: [],
+
+    // Set up here rather than in init(): the registry and the event bus report
+    // through capture() on pages that never start this module
+    seen: new Map(),
+
+    sentTimes: [],
+
+    dropped: 0,
+
+    maxBreadcrumbs: 20,
+
+    batchSize: 10,
+
+    batchDelay: 2000,
+
+    // At most this many reports per minute
+    rateLimit: 10,
+
+    dedupeWindow: 60000,
+
+    storageKey: 'galenica:error-queue',
+
+    maxStored: 50,
+
     /**
-     * Initialize performance monitoring
+     * Initialize error handling
      */
     init() {
-        this.logLoadTime();
-        this.setupLazyLoading();
-        this.preloadCriticalResources();
+        window.addEventListener('error', this.handleError.bind(this), { signal: this.signal });
+        window.addEventListener('unhandledrejection', this.handlePromiseRejection.bind(this), { signal: this.signal });
+        this.bindBreadcrumbs();
+
+        // Deliver what is left before the page goes away
+        window.addEventListener('pagehide', () => this.flush(true), { signal: this.signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush(true);
+            }
+        }, { signal: this.signal });
+
+        window.addEventListener('online', () => this.flushStored(), { signal: this.signal });
+        this.flushStored();
     },
 
     /**
-     * Log page load time
+     * Send what is still pending
      */
-    logLoadTime() {
-        window.addEventListener('load', () => {
-            const loadTime = performance.now();
-            console.log(`Page loaded in ${loadTime.toFixed(2)}ms`);
-            
-            // Send to analytics if available
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'page_load_time', {
-                    value: Math.round(loadTime)
-                });
-            }
-        });
+    destroy() {
+        this.flush(true);
     },
 
     /**
-     * Setup lazy loading for images
+     * Override the defaults, e.g. { endpoint: '/api/errors' }
+     * @param {Object} options - Settings to merge
      */
-    setupLazyLoading() {
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries, observer) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        if (img.dataset.src) {
-                            img.src = img.dataset.src;
-                            img.classList.remove('lazy');
-                            observer.unobserve(img);
-                        }
-                    }
-                });
-            });
+    configure(options) {
+        Object.assign(this, options);
+    },
 
-            const lazyImages = document.querySelectorAll('img[data-src]');
-            lazyImages.forEach(img => imageObserver.observe(img));
-        }
+    /**
+     * Get the collection endpoint
+     * @returns {string} URL, empty when reports stay local
+     */
+    getEndpoint() {
+        return this.endpoint || (document.body && document.body.dataset.errorEndpoint) || '';
+    },
+
+    /**
+     * Record clicks and navigation as breadcrumbs. Nothing the page renders is
+     * recorded: labels, doctor and article ids name conditions and people
+     */
+    bindBreadcrumbs() {
+        document.addEventListener('click', (e) => {
+            const element = e.target.closest && e.target.closest('a, button, [role="button"], [role="option"], summary');
+            if (element) {
+                this.addBreadcrumb('ui.click', this.describe(element));
+            }
+        }, { capture: true, signal: this.signal });
+
+        // Parameterised routes by name only, e.g. "doctor" for #doctors/<id>
+        EventBus.on('route:change', ({ route }) => {
+            this.addBreadcrumb('navigation', route.name === 'anchor' ? route.hash : route.name || '');
+        }, { signal: this.signal });
     },
 
     /**
-     * Preload critical resources
+     * Remember a user action for the next report
+     * @param {string} category - e.g. "ui.click", "navigation"
+     * @param {string} message - What happened
      */
-    preloadCriticalResources() {
-        // Preload critical CSS
-        const criticalCSS = document.querySelector('link[rel="stylesheet"]');
-        if (criticalCSS) {
-            const preloadLink = document.createElement('link');
-            preloadLink.rel = 'preload';
-            preloadLink.as = 'style';
-            preloadLink.href = criticalCSS.href;
-            document.head.appendChild(preloadLink);
+    addBreadcrumb(category, message) {
+        this.breadcrumbs.push({ category, message, timestamp: new Date().toISOString() });
+        if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
         }
-    }
-};
+    },
 
-/**
- * ERROR HANDLING
- * Global error handling and reporting
- */
-const ErrorHandler = {
     /**
-     * Initialize error handling
+     * Describe an element by its tag, id and first class, never by its text
+     * Elements can opt in to a fixed label with data-breadcrumb="..."
+     * @param {Element} element - Clicked element
+     * @returns {string} Selector-like description
      */
-    init() {
-        window.addEventListener('error', this.handleError.bind(this));
-        window.addEventListener('unhandledrejection', this.handlePromiseRejection.bind(this));
+    describe(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const className = typeof element.className === 'string' && element.className
+            ? `.${element.className.trim().split(/\s+/)[0]}`
+            : '';
+        const label = element.dataset.breadcrumb || '';
+
+        return `${element.tagName.toLowerCase()}${id}${className}${label ? ` "${label}"` : ''}`;
     },
 
     /**
@@ -690,11 +643,12 @@ const ErrorHandler = {
             colno: event.colno,
             error: event.error
         });
-        
-        // Send to error tracking service if available
-        if (typeof Sentry !== 'undefined') {
-            Sentry.captureException(event.error);
-        }
+
+        this.capture(event.error || {
+            name: 'Error',
+            message: event.message,
+            stack: event.filename ? `at ${event.filename}:${event.lineno}:${event.colno}` : ''
+        }, { source: 'window.onerror' });
     },
 
     /**
@@ -703,14 +657,12116 @@ const ErrorHandler = {
      */
     handlePromiseRejection(event) {
         console.error('Unhandled Promise Rejection:', event.reason);
-        
-        // Send to error tracking service if available
-        if (typeof Sentry !== 'undefined') {
-            Sentry.captureException(event.reason);
+
+        this.capture(event.reason, { source: 'unhandledrejection' });
+    },
+
+    /**
+     * Build a report for an error and schedule it
+     * @param {Error|*} error - Error or rejection reason
+     * @param {Object} tags - Extra context, e.g. { module: 'FAQ' }
+     */
+    capture(error, tags = {}) {
+        const normalized = error instanceof Error || (error && error.message)
+            ? error
+            : { name: 'NonError', message: String(error), stack: '' };
+        const frames = this.parseStack(normalized.stack);
+        const fingerprint = [normalized.name, normalized.message, frames[0] ? `${frames[0].file}:${frames[0].line}` : ''].join('|');
+        const now = Date.now();
+        const previous = this.seen.get(fingerprint);
+
+        // Repeats inside the window are counted: on the report while it waits in
+        // the batch, otherwise in a follow-up sent when the window ends
+        if (previous && now - previous.time < this.dedupeWindow) {
+            if (this.pending.includes(previous.report)) {
+                previous.report.count++;
+            } else {
+                previous.repeats++;
+                previous.timer = previous.timer ||
+                    setTimeout(() => this.reportRepeats(previous), previous.time + this.dedupeWindow - now);
+            }
+            return;
         }
-    }
-};
 
-// Initialize performance monitoring and error handling immediately
-Performance.init();
-ErrorHandler.init();
\ No newline at end of file
+        const report = {
+            type: normalized.name || 'Error',
+            message: normalized.message || '',
+            frames,
+            fingerprint,
+            count: 1,
+            tags,
+            timestamp: new Date(now).toISOString(),
+            context: this.getContext(),
+            breadcrumbs: this.breadcrumbs.slice()
+        };
+
+        this.seen.set(fingerprint, { time: now, report, repeats: 0, timer: null });
+        this.enqueue(report);
+    },
+
+    /**
+     * Report the repeats of an error counted after its report was sent
+     * @param {Object} entry - Seen error with its report and repeat count
+     */
+    reportRepeats(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+
+        if (entry.repeats) {
+            this.enqueue({ ...entry.report, count: entry.repeats, timestamp: new Date().toISOString() });
+            entry.repeats = 0;
+        }
+    },
+
+    /**
+     * Split a stack trace into frames (V8 and Firefox/Safari formats)
+     * @param {string} stack - Error stack
+     * @returns {Array} Frames with function, file, line and column
+     */
+    parseStack(stack) {
+        return String(stack || '').split('\n').map(line => {
+            const match = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/) ||
+                line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)$/);
+
+            return match ? {
+                function: match[1] || '<anonymous>',
+                file: match[2],
+                line: Number(match[3]),
+                column: Number(match[4])
+            } : null;
+        }).filter(Boolean).slice(0, 20);
+    },
+
+    /**
+     * Describe the page and device
+     * @returns {Object} Report context
+     */
+    getContext() {
+        return {
+            // Without the query and hash: they carry search terms and doctor ids
+            url: window.location.href.split(/[?#]/)[0],
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            userAgent: navigator.userAgent,
+            language: document.documentElement.lang,
+            online: navigator.onLine
+        };
+    },
+
+    /**
+     * Add a report to the batch, applying the rate limit
+     * @param {Object} report - Error report
+     */
+    enqueue(report) {
+        const now = Date.now();
+        this.sentTimes = this.sentTimes.filter(time => now - time < 60000);
+
+        if (this.sentTimes.length >= this.rateLimit) {
+            this.dropped++;
+            return;
+        }
+
+        this.sentTimes.push(now);
+        this.pending.push(report);
+
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.batchDelay);
+        }
+    },
+
+    /**
+     * Send the pending batch, or store it while offline
+     * @param {boolean} final - Also report the repeats still being counted, as the page goes away
+     */
+    flush(final = false) {
+        if (final) {
+            this.seen.forEach(entry => this.reportRepeats(entry));
+        }
+
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.pending.length) {
+            return;
+        }
+
+        const reports = this.pending;
+        this.pending = [];
+
+        if (!this.getEndpoint()) {
+            return;
+        }
+
+        if (navigator.onLine) {
+            this.send(reports);
+        } else {
+            this.store(reports);
+        }
+    },
+
+    /**
+     * Post reports to the endpoint
+     * @param {Array} reports - Error reports
+     * @returns {boolean} Whether the browser accepted the request
+     */
+    send(reports) {
+        const endpoint = this.getEndpoint();
+        if (!endpoint || !navigator.onLine || !navigator.sendBeacon) {
+            return false;
+        }
+
+        const body = JSON.stringify({ reports, dropped: this.dropped });
+        const accepted = navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+
+        if (accepted) {
+            this.dropped = 0;
+        }
+        return accepted;
+    },
+
+    /**
+     * Keep reports in localStorage until the next chance to send
+     * @param {Array} reports - Error reports
+     */
+    store(reports) {
+        const stored = Utils.readStorage(this.storageKey, []).concat(reports);
+        Utils.writeStorage(this.storageKey, stored.slice(-this.maxStored));
+    },
+
+    /**
+     * Send reports stored while offline, or discard them when there is no
+     * longer an endpoint to send them to
+     */
+    flushStored() {
+        const stored = Utils.readStorage(this.storageKey, []);
+
+        if (stored.length && (!this.getEndpoint() || this.send(stored))) {
+            Utils.writeStorage(this.storageKey, []);
+        }
+    }
+};
+
+/**
+ * MODULE REGISTRY
+ * Starts modules after the ones they list in `dependencies` and stops them again.
+ * Before init() each module gets `this.signal`, an AbortSignal to pass to its
+ * addEventListener() and EventBus.on() calls; unmounting calls the module's
+ * optional destroy() to remove what it built, then aborts the signal
+ */
+const App = {
+    modules: new Map(),
+
+    // Name -> AbortController of each running module
+    running: new Map(),
+
+    /**
+     * Add modules to the registry
+     * @param {Object} modules - Modules by name
+     */
+    register(modules) {
+        Object.keys(modules).forEach(name => {
+            this.modules.set(name, modules[name]);
+        });
+    },
+
+    /**
+     * Start modules and their dependencies
+     * A broken module is reported without stopping the others, its dependents included
+     * @param {Array} names - Modules to start, all registered ones by default
+     */
+    start(names = Array.from(this.modules.keys())) {
+        const failed = new Set();
+        names.forEach(name => {
+            try {
+                this.mount(name, [], failed);
+            } catch (error) {
+                // Unknown names and dependency cycles
+                console.error(`${name} could not be started:`, error);
+                ErrorHandler.capture(error, { module: name, phase: 'start' });
+            }
+        });
+    },
+
+    /**
+     * Start one module after its dependencies
+     * @param {string} name - Registered name
+     * @param {Array} path - Modules waiting on this one, to report cycles
+     * @param {Set} failed - Modules that already failed during this start
+     * @returns {boolean} Whether the module is running
+     */
+    mount(name, path = [], failed = new Set()) {
+        if (this.running.has(name)) {
+            return true;
+        }
+        if (failed.has(name)) {
+            return false;
+        }
+
+        const module = this.modules.get(name);
+        if (!module) {
+            throw new Error(`Unknown module "${name}"`);
+        }
+        if (path.includes(name)) {
+            throw new Error(`Circular module dependency: ${path.concat(name).join(' -> ')}`);
+        }
+
+        (module.dependencies || []).forEach(dependency => this.mount(dependency, path.concat(name), failed));
+
+        const controller = new AbortController();
+        module.signal = controller.signal;
+
+        try {
+            module.init();
+            this.running.set(name, controller);
+            return true;
+        } catch (error) {
+            controller.abort();
+            failed.add(name);
+            console.error(`${name} failed to initialize:`, error);
+            ErrorHandler.capture(error, { module: name, phase: 'init' });
+            return false;
+        }
+    },
+
+    /**
+     * Stop a module, after the running modules that depend on it
+     * @param {string} name - Registered name
+     */
+    unmount(name) {
+        const controller = this.running.get(name);
+        if (!controller) {
+            return;
+        }
+
+        this.running.delete(name);
+        this.modules.forEach((module, other) => {
+            if ((module.dependencies || []).includes(name)) {
+                this.unmount(other);
+            }
+        });
+
+        const module = this.modules.get(name);
+        try {
+            if (typeof module.destroy === 'function') {
+                module.destroy();
+            }
+        } catch (error) {
+            console.error(`${name} failed to stop:`, error);
+            ErrorHandler.capture(error, { module: name, phase: 'destroy' });
+        } finally {
+            controller.abort();
+        }
+    },
+
+    /**
+     * Stop every running module, most recently started first
+     */
+    stop() {
+        Array.from(this.running.keys()).reverse().forEach(name => this.unmount(name));
+    },
+
+    /**
+     * Check whether a module is running
+     * @param {string} name - Registered name
+     * @returns {boolean} True between mount and unmount
+     */
+    isRunning(name) {
+        return this.running.has(name);
+    }
+};
+
+/**
+ * I18N MODULE
+ * Translates the page from the Translations dictionaries and handles the language switcher
+ * Static text is marked with data-i18n / data-i18n-attr; modules use I18n.t()
+ */
+const I18n = {
+    /**
+     * Supported languages and their formatting locales
+     */
+    locales: {
+        it: 'it-IT',
+        en: 'en-GB'
+    },
+
+    defaultLanguage: 'it',
+
+    storageKey: 'galenica:lang',
+
+    /**
+     * Initialize internationalisation
+     */
+    init() {
+        this.dictionaries = typeof Translations !== 'undefined' ? Translations : {};
+        this.reported = new Set();
+        this.language = this.detectLanguage();
+
+        this.buildSwitchers();
+        this.bindEvents();
+        this.setLanguage(this.language, { silent: true });
+    },
+
+    /**
+     * Remove the language switchers
+     */
+    destroy() {
+        this.switchers.forEach(switcher => switcher.remove());
+        this.switchers = [];
+    },
+
+    /**
+     * Pick the initial language: ?lang= parameter, saved choice, browser, default
+     * @returns {string} Language code
+     */
+    detectLanguage() {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            Utils.readStorage(this.storageKey, null),
+            (navigator.language || '').slice(0, 2)
+        ];
+
+        return candidates.find(language => language && this.locales[language]) || this.defaultLanguage;
+    },
+
+    /**
+     * Add an IT/EN switcher to the header and to the mobile menu
+     */
+    buildSwitchers() {
+        const targets = [
+            { parent: document.querySelector('.header__content'), before: document.querySelector('.mobile-menu-btn') },
+            { parent: document.getElementById('mobile-menu'), before: null }
+        ];
+
+        this.switchers = targets.filter(target => target.parent).map(target => {
+            const switcher = document.createElement('div');
+            switcher.className = 'language-switcher';
+            switcher.setAttribute('role', 'group');
+            switcher.setAttribute('data-i18n-attr', 'aria-label:i18n.label');
+            switcher.innerHTML = Object.keys(this.locales).map(language => `
+                <button type="button" class="language-switcher__btn" data-language="${language}" lang="${language}"
+                    aria-pressed="false" aria-label="${this.t(`i18n.languages.${language}`)}">${language.toUpperCase()}</button>
+            `).join('');
+
+            target.parent.insertBefore(switcher, target.before);
+            return switcher;
+        });
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.language-switcher__btn');
+            if (button) {
+                this.setLanguage(button.dataset.language);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Switch language, translate the page and notify the modules
+     * @param {string} language - Language code
+     * @param {Object} options - { silent: skip persisting and the change event }
+     */
+    setLanguage(language, options = {}) {
+        if (!this.locales[language]) {
+            return;
+        }
+
+        this.language = language;
+        document.documentElement.lang = language;
+        this.apply(document);
+
+        this.switchers.forEach(switcher => {
+            switcher.querySelectorAll('.language-switcher__btn').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.language === language));
+            });
+        });
+
+        if (!options.silent) {
+            Utils.writeStorage(this.storageKey, language);
+            EventBus.emit('i18n:change', { language });
+        }
+    },
+
+    /**
+     * Get the Intl locale for the current language
+     * @returns {string} Locale tag
+     */
+    locale() {
+        return this.locales[this.language] || this.locales[this.defaultLanguage];
+    },
+
+    /**
+     * Translate a key
+     * Plural entries are picked with Intl.PluralRules using params.count
+     * @param {string} key - Dotted key, e.g. "booking.title"
+     * @param {Object} params - Values for {placeholders}
+     * @returns {string} Translated text, the Italian text or the key itself
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.language, key);
+
+        if (value === undefined) {
+            this.reportMissing(key);
+            value = this.lookup(this.defaultLanguage, key);
+        }
+
+        if (value === undefined) {
+            return key;
+        }
+
+        if (typeof value === 'object') {
+            const category = new Intl.PluralRules(this.locale()).select(Number(params.count) || 0);
+            value = value[category] || value.other;
+        }
+
+        return String(value).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Check whether a key exists in the current or the default language
+     * @param {string} key - Dotted key
+     * @returns {boolean} True when translatable
+     */
+    has(key) {
+        return this.lookup(this.language, key) !== undefined || this.lookup(this.defaultLanguage, key) !== undefined;
+    },
+
+    /**
+     * Add or replace a top-level namespace, e.g. text loaded at runtime
+     * @param {string} namespace - Top-level key
+     * @param {Object} dictionaries - Entries by language code
+     */
+    define(namespace, dictionaries) {
+        Object.keys(this.locales).forEach(language => {
+            this.dictionaries[language] = Object.assign({}, this.dictionaries[language], { [namespace]: dictionaries[language] || {} });
+        });
+    },
+
+    /**
+     * Find a key in a language dictionary
+     * @param {string} language - Language code
+     * @param {string} key - Dotted key
+     * @returns {string|Object|undefined} Entry
+     */
+    lookup(language, key) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.dictionaries[language]);
+
+        // Namespaces are objects too: only plural entries carry an "other" form
+        return value && typeof value === 'object' && !('other' in value) ? undefined : value;
+    },
+
+    /**
+     * Warn once about missing keys while developing
+     * @param {string} key - Missing key
+     */
+    reportMissing(key) {
+        const id = `${this.language}:${key}`;
+        if (this.isDevelopment() && !this.reported.has(id)) {
+            this.reported.add(id);
+            console.warn(`Missing translation "${key}" for "${this.language}"`);
+        }
+    },
+
+    /**
+     * Check if the page runs locally or with ?debug
+     * @returns {boolean} True in development
+     */
+    isDevelopment() {
+        return ['localhost', '127.0.0.1', ''].includes(window.location.hostname) ||
+            new URLSearchParams(window.location.search).has('debug');
+    },
+
+    /**
+     * Translate every marked element inside a root
+     * data-i18n sets the text, data-i18n-attr="attr:key;attr:key" sets attributes
+     * and time[data-i18n-date] is re-formatted from its datetime attribute
+     * @param {Element|Document} root - Element to translate
+     */
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(/[;,]/).forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+
+        root.querySelectorAll('time[data-i18n-date]').forEach(element => {
+            element.textContent = this.formatDate(element.getAttribute('datetime'));
+        });
+    },
+
+    /**
+     * Format a date for the current language
+     * @param {string|Date} date - ISO date or Date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T12:00:00`) : new Date(date);
+        return new Intl.DateTimeFormat(this.locale(), options).format(value);
+    }
+};
+
+/**
+ * CONSENT MODULE
+ * Cookie/consent banner with granular categories; the choice is stored
+ * and announced as "consent:change" on the EventBus and, for tags outside
+ * this file, on document
+ */
+const Consent = {
+    dependencies: ['I18n'],
+
+    /**
+     * Consent categories; necessary ones cannot be switched off
+     */
+    categories: [
+        { id: 'necessary', required: true },
+        { id: 'analytics', required: false },
+        { id: 'marketing', required: false }
+    ],
+
+    storageKey: 'galenica:consent',
+
+    // Bump to ask everyone again when the categories change
+    version: 1,
+
+    /**
+     * Initialize consent management
+     */
+    init() {
+        const stored = Utils.readStorage(this.storageKey, null);
+        this.state = stored && stored.version === this.version ? stored : null;
+
+        this.buildBanner();
+        this.bindEvents();
+
+        if (!this.state) {
+            this.show();
+        }
+    },
+
+    /**
+     * Remove the banner
+     */
+    destroy() {
+        this.banner.remove();
+    },
+
+    /**
+     * Check whether a category has been granted
+     * @param {string} category - Category id
+     * @returns {boolean} True when granted
+     */
+    has(category) {
+        return Boolean(this.state && this.state.categories[category]);
+    },
+
+    /**
+     * Check whether the visitor has made a choice yet
+     * @returns {boolean} True once consent was given or refused
+     */
+    isDecided() {
+        return Boolean(this.state);
+    },
+
+    /**
+     * Create the banner markup and append it to the body
+     */
+    buildBanner() {
+        this.banner = document.createElement('section');
+        this.banner.className = 'consent';
+        this.banner.hidden = true;
+        this.banner.setAttribute('aria-labelledby', 'consent-title');
+        this.banner.innerHTML = `
+            <div class="container consent__content">
+                <h2 class="consent__title" id="consent-title" data-i18n="consent.title">${I18n.t('consent.title')}</h2>
+                <p class="consent__text" data-i18n="consent.text">${I18n.t('consent.text')}</p>
+                <form class="consent__preferences" hidden>
+                    ${this.categories.map(category => `
+                        <label class="consent__option">
+                            <input type="checkbox" name="${category.id}" ${category.required ? 'checked disabled' : ''}>
+                            <span class="consent__option-label">
+                                <strong data-i18n="consent.categories.${category.id}.title">${I18n.t(`consent.categories.${category.id}.title`)}</strong>
+                                <span data-i18n="consent.categories.${category.id}.text">${I18n.t(`consent.categories.${category.id}.text`)}</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </form>
+                <div class="consent__actions">
+                    <button type="button" class="btn btn--outline" data-consent-action="reject" data-i18n="consent.reject">${I18n.t('consent.reject')}</button>
+                    <button type="button" class="btn btn--outline" data-consent-action="customize" data-i18n="consent.customize">${I18n.t('consent.customize')}</button>
+                    <button type="button" class="btn btn--outline" data-consent-action="save" data-i18n="consent.save" hidden>${I18n.t('consent.save')}</button>
+                    <button type="button" class="btn btn--primary" data-consent-action="accept" data-i18n="consent.accept">${I18n.t('consent.accept')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.banner);
+        this.form = this.banner.querySelector('.consent__preferences');
+        this.customizeButton = this.banner.querySelector('[data-consent-action="customize"]');
+        this.saveButton = this.banner.querySelector('[data-consent-action="save"]');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (button) {
+                this.handleAction(button.dataset.consentAction);
+            }
+        }, { signal: this.signal });
+
+        // "Cookie preferences" links anywhere in the page
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-open]')) {
+                e.preventDefault();
+                this.show(true);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Handle a banner button
+     * @param {string} action - accept, reject, customize or save
+     */
+    handleAction(action) {
+        if (action === 'accept') {
+            this.save(this.getChoices(() => true));
+        } else if (action === 'reject') {
+            this.save(this.getChoices(() => false));
+        } else if (action === 'customize') {
+            this.showPreferences();
+        } else if (action === 'save') {
+            this.save(this.getChoices(category => this.form.elements[category.id].checked));
+        }
+    },
+
+    /**
+     * Build a choice for every category
+     * @param {Function} isGranted - Receives a category, returns a boolean
+     * @returns {Object} Granted flag by category id
+     */
+    getChoices(isGranted) {
+        return this.categories.reduce((choices, category) => {
+            choices[category.id] = category.required || isGranted(category);
+            return choices;
+        }, {});
+    },
+
+    /**
+     * Show the banner
+     * @param {boolean} withPreferences - Open straight on the category list
+     */
+    show(withPreferences = false) {
+        this.trigger = document.activeElement;
+        this.banner.hidden = false;
+
+        if (withPreferences) {
+            this.showPreferences();
+        } else {
+            this.banner.querySelector('[data-consent-action="accept"]').focus();
+        }
+    },
+
+    /**
+     * Reveal the category checkboxes with the current choice
+     */
+    showPreferences() {
+        this.categories.forEach(category => {
+            this.form.elements[category.id].checked = category.required || this.has(category.id);
+        });
+
+        this.form.hidden = false;
+        this.customizeButton.hidden = true;
+        this.saveButton.hidden = false;
+        this.form.querySelector('input:not([disabled])').focus();
+    },
+
+    /**
+     * Store a choice, hide the banner and notify listeners
+     * @param {Object} categories - Granted flag by category id
+     */
+    save(categories) {
+        this.state = {
+            version: this.version,
+            updatedAt: new Date().toISOString(),
+            categories
+        };
+        Utils.writeStorage(this.storageKey, this.state);
+
+        this.banner.hidden = true;
+        this.form.hidden = true;
+        this.customizeButton.hidden = false;
+        this.saveButton.hidden = true;
+
+        if (this.trigger && this.trigger !== document.body && typeof this.trigger.focus === 'function') {
+            this.trigger.focus();
+        }
+
+        EventBus.emit('consent:change', { categories });
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: { categories } }));
+    }
+};
+
+/**
+ * ANALYTICS MODULE
+ * Event dispatcher gated by analytics consent: events are queued until the
+ * visitor decides, then sent to every registered sink or dropped
+ */
+const Analytics = {
+    dependencies: ['I18n', 'Consent'],
+
+    queue: [],
+
+    sinks: [],
+
+    maxQueue: 50,
+
+    idKey: 'galenica:analytics-id',
+
+    sessionKey: 'galenica:analytics-session',
+
+    /**
+     * Initialize analytics
+     * A beacon sink is added when <body data-analytics-endpoint="..."> is set
+     */
+    init() {
+        const endpoint = document.body.dataset.analyticsEndpoint;
+
+        this.defaultSinks = [GtagAnalyticsSink];
+        if (endpoint) {
+            this.defaultSinks.push(BeaconAnalyticsSink.create(endpoint));
+        }
+        if (I18n.isDevelopment()) {
+            this.defaultSinks.push(ConsoleAnalyticsSink);
+        }
+        this.defaultSinks.forEach(sink => this.addSink(sink));
+
+        this.bindEvents();
+        this.applyConsent();
+    },
+
+    /**
+     * Remove the sinks added by init
+     */
+    destroy() {
+        this.sinks = this.sinks.filter(sink => !this.defaultSinks.includes(sink));
+    },
+
+    /**
+     * Register a sink
+     * @param {Object} sink - Object implementing send(event) and optionally setConsent(granted)
+     */
+    addSink(sink) {
+        if (!this.sinks.includes(sink)) {
+            this.sinks.push(sink);
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        EventBus.on('consent:change', () => {
+            this.applyConsent();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * React to the current consent: flush or drop the queue
+     */
+    applyConsent() {
+        const granted = Consent.has('analytics');
+
+        this.sinks.forEach(sink => {
+            if (typeof sink.setConsent === 'function') {
+                sink.setConsent(granted);
+            }
+        });
+
+        if (granted) {
+            this.flush();
+        } else if (Consent.isDecided()) {
+            this.queue = [];
+            this.clearIdentifiers();
+        }
+    },
+
+    /**
+     * Record an interaction
+     * @param {string} name - Event name, snake_case
+     * @param {Object} params - Event details
+     */
+    track(name, params = {}) {
+        if (Consent.isDecided() && !Consent.has('analytics')) {
+            return;
+        }
+
+        const event = {
+            name,
+            params,
+            timestamp: new Date().toISOString(),
+            page: window.location.pathname + window.location.hash,
+            language: document.documentElement.lang
+        };
+
+        if (Consent.has('analytics')) {
+            this.send(event);
+        } else if (this.queue.length < this.maxQueue) {
+            this.queue.push(event);
+        }
+    },
+
+    /**
+     * Send the queued events
+     */
+    flush() {
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(event => this.send(event));
+    },
+
+    /**
+     * Add identifiers and hand an event to every sink
+     * @param {Object} event - Event
+     */
+    send(event) {
+        const payload = Object.assign({}, event, {
+            clientId: this.getClientId(),
+            sessionId: this.getSessionId()
+        });
+
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(payload);
+            } catch (error) {
+                console.error('Analytics sink error:', error);
+            }
+        });
+    },
+
+    /**
+     * Get or create the persistent client id
+     * @returns {string} Client id
+     */
+    getClientId() {
+        let id = Utils.readStorage(this.idKey, null);
+        if (!id) {
+            id = this.createId();
+            Utils.writeStorage(this.idKey, id);
+        }
+        return id;
+    },
+
+    /**
+     * Get or create the per-tab session id
+     * @returns {string} Session id
+     */
+    getSessionId() {
+        try {
+            let id = sessionStorage.getItem(this.sessionKey);
+            if (!id) {
+                id = this.createId();
+                sessionStorage.setItem(this.sessionKey, id);
+            }
+            return id;
+        } catch (error) {
+            return '';
+        }
+    },
+
+    /**
+     * Create a random identifier
+     * @returns {string} Identifier
+     */
+    createId() {
+        return window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    },
+
+    /**
+     * Remove our identifiers and the Google Analytics cookies
+     */
+    clearIdentifiers() {
+        try {
+            localStorage.removeItem(this.idKey);
+            sessionStorage.removeItem(this.sessionKey);
+        } catch (error) {
+            // Storage unavailable: nothing was stored
+        }
+
+        document.cookie.split(';').forEach(cookie => {
+            const name = cookie.split('=')[0].trim();
+            if (/^(_ga|_gid|_gat)/.test(name)) {
+                const domain = window.location.hostname.replace(/^www\./, '');
+                document.cookie = `${name}=; Max-Age=0; path=/`;
+                document.cookie = `${name}=; Max-Age=0; path=/; domain=.${domain}`;
+            }
+        });
+    }
+};
+
+/**
+ * GTAG ANALYTICS SINK
+ * Forwards events to Google Analytics when gtag is on the page,
+ * using Consent Mode to follow the visitor's choice
+ */
+const GtagAnalyticsSink = {
+    /**
+     * Update Google's consent state
+     * @param {boolean} granted - Whether analytics is allowed
+     */
+    setConsent(granted) {
+        if (typeof gtag !== 'undefined') {
+            gtag('consent', 'update', { analytics_storage: granted ? 'granted' : 'denied' });
+        }
+    },
+
+    /**
+     * Send an event
+     * @param {Object} event - Analytics event
+     */
+    send(event) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', event.name, event.params);
+        }
+    }
+};
+
+/**
+ * BEACON ANALYTICS SINK
+ * Posts events to a collection endpoint with navigator.sendBeacon
+ */
+const BeaconAnalyticsSink = {
+    /**
+     * Create a sink bound to an endpoint
+     * @param {string} endpoint - Collection URL
+     * @returns {Object} Sink
+     */
+    create(endpoint) {
+        return {
+            send(event) {
+                const body = JSON.stringify(event);
+                if (navigator.sendBeacon) {
+                    navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+                } else {
+                    fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+                        .catch(() => {});
+                }
+            }
+        };
+    }
+};
+
+/**
+ * CONSOLE ANALYTICS SINK
+ * Logs events while developing
+ */
+const ConsoleAnalyticsSink = {
+    /**
+     * Log an event
+     * @param {Object} event - Analytics event
+     */
+    send(event) {
+        console.info(`[analytics] ${event.name}`, event.params);
+    }
+};
+
+/**
+ * IMAGE MODULE
+ * Responsive, lazily loaded images. Mark an <img> with data-src and/or
+ * data-srcset (plus sizes or data-sizes) and optionally data-placeholder, a tiny
+ * image shown blurred until the real one arrives. Loading is left to the
+ * browser's loading="lazy" where supported, to an IntersectionObserver otherwise.
+ * Images with data-fallback-name turn into a generated initials avatar when they
+ * fail. Images added to the page later are picked up automatically
+ */
+const Images = {
+    // Start loading this far before an image scrolls into view (observer fallback)
+    rootMargin: '200px 0px',
+
+    // Gradients of the generated avatars, picked from the name
+    avatarColors: [
+        ['#1e40af', '#0d9488'],
+        ['#0d9488', '#14b8a6'],
+        ['#f59e0b', '#d97706'],
+        ['#1d4ed8', '#3b82f6']
+    ],
+
+    selector: 'img[data-src], img[data-srcset]',
+
+    /**
+     * Initialize image loading
+     */
+    init() {
+        this.nativeLazy = 'loading' in HTMLImageElement.prototype;
+
+        if (!this.nativeLazy && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.observer.unobserve(entry.target);
+                        this.load(entry.target);
+                    }
+                });
+            }, { rootMargin: this.rootMargin });
+        }
+
+        this.observe(document);
+        this.watch();
+    },
+
+    /**
+     * Stop watching the page
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+
+        // Images still waiting for the observer are prepared again by the next init()
+        document.querySelectorAll('img[data-image-state="pending"]').forEach(img => {
+            delete img.dataset.imageState;
+        });
+    },
+
+    /**
+     * Build the markup of a responsive image
+     * @param {string|Object} image - URL or { src, srcset, sizes, placeholder, width, height }
+     * @param {Object} options - { className, alt, sizes, fallbackName: name for the initials avatar }
+     * @returns {string} <img> markup, loaded by the module once in the page
+     */
+    markup(image, options = {}) {
+        const source = typeof image === 'string' ? { src: image } : image;
+        const attributes = {
+            class: options.className,
+            alt: options.alt || '',
+            'data-src': source.src,
+            'data-srcset': source.srcset,
+            sizes: source.sizes || options.sizes,
+            'data-placeholder': source.placeholder,
+            'data-fallback-name': options.fallbackName,
+            width: source.width,
+            height: source.height
+        };
+
+        return `<img ${Object.keys(attributes)
+            .filter(name => attributes[name] !== undefined && attributes[name] !== '')
+            .map(name => `${name}="${Utils.escapeHTML(String(attributes[name]))}"`)
+            .join(' ')}>`;
+    },
+
+    /**
+     * Prepare every image waiting to load inside a root
+     * @param {Element|Document} root - Element to search
+     */
+    observe(root) {
+        if (root.matches && root.matches(this.selector)) {
+            this.prepare(root);
+        }
+        root.querySelectorAll(this.selector).forEach(img => this.prepare(img));
+    },
+
+    /**
+     * Show the placeholder, listen for the outcome and schedule loading
+     * @param {HTMLImageElement} img - Image with data-src/data-srcset
+     */
+    prepare(img) {
+        if (img.dataset.imageState) {
+            return;
+        }
+
+        img.dataset.imageState = 'pending';
+        img.classList.add('lazy-image');
+        if (img.dataset.placeholder) {
+            img.style.backgroundImage = `url("${img.dataset.placeholder.replace(/"/g, '%22')}")`;
+            img.classList.add('lazy-image--blurred');
+        }
+
+        img.addEventListener('load', () => this.handleLoad(img), { signal: this.signal });
+        img.addEventListener('error', () => this.handleError(img), { signal: this.signal });
+
+        if (this.nativeLazy) {
+            if (!img.hasAttribute('loading')) {
+                img.loading = 'lazy';
+            }
+            img.decoding = 'async';
+            this.load(img);
+        } else if (this.observer) {
+            this.observer.observe(img);
+        } else {
+            this.load(img);
+        }
+    },
+
+    /**
+     * Move data-sizes/data-srcset/data-src into the real attributes
+     * @param {HTMLImageElement} img - Prepared image
+     */
+    load(img) {
+        img.dataset.imageState = 'loading';
+
+        // sizes goes first so the browser picks the right candidate once
+        if (img.dataset.sizes) {
+            img.sizes = img.dataset.sizes;
+        }
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+        }
+
+        delete img.dataset.sizes;
+        delete img.dataset.srcset;
+        delete img.dataset.src;
+    },
+
+    /**
+     * Reveal a loaded image
+     * @param {HTMLImageElement} img - Loaded image
+     */
+    handleLoad(img) {
+        if (img.dataset.imageState === 'pending') {
+            return;
+        }
+
+        img.dataset.imageState = 'loaded';
+        img.classList.remove('lazy-image--blurred');
+        img.style.backgroundImage = '';
+    },
+
+    /**
+     * Replace a broken image with its initials avatar, or leave an empty frame
+     * @param {HTMLImageElement} img - Failed image
+     */
+    handleError(img) {
+        const name = img.dataset.fallbackName;
+
+        img.removeAttribute('srcset');
+        img.style.backgroundImage = '';
+        img.classList.remove('lazy-image--blurred');
+
+        if (name && img.dataset.imageState !== 'fallback') {
+            img.dataset.imageState = 'fallback';
+            img.src = this.avatar(name);
+        } else {
+            img.dataset.imageState = 'error';
+            img.removeAttribute('src');
+        }
+    },
+
+    /**
+     * Prepare images rendered after init (directory, news feed, ...)
+     */
+    watch() {
+        if (!('MutationObserver' in window)) {
+            return;
+        }
+
+        this.mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.observe(node);
+                    }
+                });
+            });
+        });
+
+        this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Get the initials of a name, ignoring titles such as "Dott.ssa"
+     * @param {string} name - Person's name
+     * @returns {string} Up to two capital letters
+     */
+    getInitials(name) {
+        return String(name)
+            .replace(/^Dott\.(ssa)?\s+/i, '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map(part => part.charAt(0).toUpperCase())
+            .join('');
+    },
+
+    /**
+     * Generate an initials avatar
+     * @param {string} name - Person's name; the same name always gets the same colours
+     * @returns {string} SVG data URL
+     */
+    avatar(name) {
+        const hash = Array.from(String(name)).reduce((sum, character) => (sum * 31 + character.charCodeAt(0)) >>> 0, 0);
+        const [from, to] = this.avatarColors[hash % this.avatarColors.length];
+        const svg = `
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+                <defs>
+                    <linearGradient id="avatar" x1="0" y1="0" x2="1" y2="1">
+                        <stop offset="0" stop-color="${from}"/>
+                        <stop offset="1" stop-color="${to}"/>
+                    </linearGradient>
+                </defs>
+                <rect width="100" height="100" fill="url(#avatar)"/>
+                <text x="50" y="50" dy="0.35em" text-anchor="middle" fill="#ffffff"
+                    font-family="Poppins, sans-serif" font-size="40" font-weight="700">${Utils.escapeHTML(this.getInitials(name))}</text>
+            </svg>
+        `;
+
+        return `data:image/svg+xml,${encodeURIComponent(svg.replace(/\s*\n\s*/g, ' ').trim())}`;
+    }
+};
+
+/**
+ * AUTH MODULE
+ * Patient area sign-in with OAuth 2.0 Authorization Code and PKCE.
+ * Tokens live in memory only, so closing or reloading the page signs the
+ * patient out; the access token is refreshed before it expires and the
+ * session ends after idleTimeout without activity. Other modules call
+ * Auth.fetch() for the patient API and listen to auth:change ({ user, reason }).
+ * <body data-auth-issuer data-auth-client-id> selects the identity provider,
+ * the local mock one is used otherwise
+ */
+const Auth = {
+    dependencies: ['I18n', 'Images', 'Analytics'],
+
+    defaultClientId: 'galenica-web',
+
+    scope: 'openid profile email offline_access',
+
+    // Health data: sign out after 15 minutes without activity, warning a minute before
+    idleTimeout: 15 * 60 * 1000,
+
+    idleWarning: 60 * 1000,
+
+    // Refresh the access token this long before it expires
+    refreshMargin: 60 * 1000,
+
+    // Wait before trying again when a refresh fails for lack of connection
+    retryDelay: 30 * 1000,
+
+    // setTimeout cannot wait longer than about 24.8 days
+    maxTimer: 2147483647,
+
+    // Verifier and state of a sign-in in progress, kept across the redirect to the provider
+    transactionKey: 'galenica:auth-transaction',
+
+    transactionLifetime: 10 * 60 * 1000,
+
+    activityEvents: ['pointerdown', 'keydown', 'wheel', 'touchstart', 'scroll'],
+
+    // Added to the address by the provider when it sends the patient back
+    callbackParams: ['code', 'state', 'iss', 'session_state', 'error', 'error_description'],
+
+    /**
+     * Initialize the account menu and finish a sign-in coming back from the provider
+     */
+    init() {
+        const config = document.body.dataset;
+
+        this.clientId = config.authClientId || this.defaultClientId;
+        this.provider = this.provider || (config.authIssuer ? HttpIdentityProvider.create(config.authIssuer) : MockIdentityProvider);
+        this.redirectUri = `${window.location.origin}${window.location.pathname}`;
+        this.session = null;
+        this.refreshing = null;
+        this.warningShown = false;
+        this.lastActivity = Date.now();
+
+        this.buildMenus();
+        this.bindEvents();
+        this.render();
+
+        this.ready = this.handleCallback();
+    },
+
+    /**
+     * Drop the session and remove the menus
+     */
+    destroy() {
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.idleTimer);
+        this.session = null;
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        [this.container, this.mobileContainer, this.notice].forEach(element => element && element.remove());
+        this.container = null;
+        this.mobileContainer = null;
+        this.notice = null;
+        this.panel = null;
+    },
+
+    /**
+     * Replace the identity provider, e.g. with a test double
+     * @param {Object} provider - Object with authorize(), token() and optionally revoke() and endSession()
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    },
+
+    /**
+     * Add the account menu to the header and the mobile menu, and the notice area
+     */
+    buildMenus() {
+        const header = document.querySelector('.header__content');
+        const mobileMenu = document.getElementById('mobile-menu');
+
+        if (header) {
+            this.container = document.createElement('div');
+            this.container.className = 'account-menu';
+
+            const before = header.querySelector(':scope > .display-settings') ||
+                header.querySelector(':scope > .language-switcher') ||
+                header.querySelector('.mobile-menu-btn');
+            header.insertBefore(this.container, before);
+        }
+
+        if (mobileMenu) {
+            this.mobileContainer = document.createElement('div');
+            this.mobileContainer.className = 'mobile-menu__account';
+            mobileMenu.appendChild(this.mobileContainer);
+        }
+
+        this.notice = document.createElement('div');
+        this.notice.className = 'auth-notice';
+        this.notice.hidden = true;
+        this.notice.setAttribute('role', 'alert');
+        document.body.appendChild(this.notice);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const handleAction = (e) => {
+            const button = e.target.closest('[data-auth-action]');
+            if (!button) {
+                return;
+            }
+
+            switch (button.dataset.authAction) {
+                case 'login':
+                    this.login();
+                    break;
+                case 'logout':
+                    this.logout();
+                    break;
+                case 'toggle':
+                    this.setOpen(this.panel.hidden);
+                    break;
+                case 'close':
+                    this.setOpen(false);
+                    break;
+                case 'stay':
+                    this.extend();
+                    break;
+                default:
+                    this.hideNotice();
+            }
+        };
+
+        [this.container, this.mobileContainer, this.notice].forEach(element => {
+            if (element) {
+                element.addEventListener('click', handleAction, { signal: this.signal });
+            }
+        });
+
+        if (this.container) {
+            document.addEventListener('click', (e) => {
+                if (this.panel && !this.panel.hidden && !this.container.contains(e.target)) {
+                    this.setOpen(false);
+                }
+            }, { signal: this.signal });
+
+            this.container.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.panel && !this.panel.hidden) {
+                    this.setOpen(false);
+                    this.toggle.focus();
+                }
+            }, { signal: this.signal });
+
+            // Tabbing out of the panel closes it
+            this.container.addEventListener('focusout', (e) => {
+                if (this.panel && e.relatedTarget && !this.container.contains(e.relatedTarget)) {
+                    this.setOpen(false);
+                }
+            }, { signal: this.signal });
+        }
+
+        const recordActivity = Utils.throttle(() => this.recordActivity(), 1000);
+        this.activityEvents.forEach(type => {
+            document.addEventListener(type, recordActivity, { passive: true, signal: this.signal });
+        });
+
+        // Background tabs run timers late: catch up when the page is seen again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.session) {
+                this.checkIdle();
+                this.scheduleRefresh();
+            }
+        }, { signal: this.signal });
+
+        // Signing out in one tab signs out the others
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel('galenica-auth');
+            this.channel.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'logout') {
+                    this.clearSession('remote');
+                }
+            }, { signal: this.signal });
+        }
+
+        EventBus.on('i18n:change', () => {
+            this.render();
+            if (this.noticeContent) {
+                this.showNotice(...this.noticeContent);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Check whether a patient is signed in
+     * @returns {boolean} True during a session
+     */
+    isAuthenticated() {
+        return Boolean(this.session);
+    },
+
+    /**
+     * Get the access token, for transports that cannot go through Auth.fetch() such as WebSockets
+     * @returns {string|null} Access token
+     */
+    getAccessToken() {
+        return this.session ? this.session.accessToken : null;
+    },
+
+    /**
+     * Get the signed-in patient
+     * @returns {Object|null} { sub, name, email }
+     */
+    getUser() {
+        return this.session ? this.session.user : null;
+    },
+
+    /**
+     * Send the patient to the provider's sign-in page
+     * @param {string} returnTo - Page hash to show afterwards, the current one by default
+     * @returns {Promise} Resolves when the redirect starts
+     */
+    async login(returnTo = window.location.hash) {
+        const verifier = this.randomString();
+        const state = this.randomString();
+
+        try {
+            const challenge = await this.createChallenge(verifier);
+
+            sessionStorage.setItem(this.transactionKey, JSON.stringify({
+                state,
+                verifier,
+                returnTo: /^#[\w-]*$/.test(returnTo) ? returnTo : '',
+                createdAt: Date.now()
+            }));
+
+            this.showNotice('auth.redirecting');
+            Analytics.track('login_start');
+
+            await this.provider.authorize({
+                response_type: 'code',
+                client_id: this.clientId,
+                redirect_uri: this.redirectUri,
+                scope: this.scope,
+                state,
+                code_challenge: challenge,
+                code_challenge_method: 'S256'
+            });
+        } catch (error) {
+            console.error('Sign-in error:', error);
+            this.showNotice('auth.errors.failed', {}, ['dismiss']);
+        }
+    },
+
+    /**
+     * Exchange the code sent back by the provider for tokens
+     * @returns {Promise} Resolves once done, straight away on ordinary page loads
+     */
+    handleCallback() {
+        const url = new URL(window.location.href);
+        const params = url.searchParams;
+
+        if (!params.has('state') || !(params.has('code') || params.has('error'))) {
+            return Promise.resolve();
+        }
+
+        const transaction = this.readTransaction();
+        const code = params.get('code');
+        const state = params.get('state');
+        const error = params.get('error');
+        const issuer = params.get('iss');
+
+        // Keep the code out of the history and of shared links
+        this.callbackParams.forEach(name => params.delete(name));
+        if (transaction && transaction.returnTo) {
+            url.hash = transaction.returnTo;
+        }
+        window.history.replaceState(window.history.state, '', url.href);
+
+        // A state we did not send means a forged or stale redirect
+        if (!transaction || transaction.state !== state || (issuer && this.provider.issuer && issuer !== this.provider.issuer)) {
+            this.showNotice('auth.errors.state', {}, ['login', 'dismiss']);
+            return Promise.resolve();
+        }
+
+        if (error) {
+            this.showNotice(error === 'access_denied' ? 'auth.errors.denied' : 'auth.errors.failed', {}, ['dismiss']);
+            return Promise.resolve();
+        }
+
+        this.showNotice('auth.signingIn');
+
+        return this.provider.token({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            code_verifier: transaction.verifier
+        })
+            .then(tokens => {
+                this.startSession(tokens);
+                this.hideNotice();
+                Analytics.track('login');
+            })
+            .catch(error => {
+                console.error('Sign-in error:', error);
+                this.showNotice('auth.errors.failed', {}, ['login', 'dismiss']);
+            });
+    },
+
+    /**
+     * Read and delete the sign-in in progress
+     * @returns {Object|null} { state, verifier, returnTo, createdAt }, null when missing or too old
+     */
+    readTransaction() {
+        let transaction = null;
+
+        try {
+            transaction = JSON.parse(sessionStorage.getItem(this.transactionKey));
+            sessionStorage.removeItem(this.transactionKey);
+        } catch (error) {
+            transaction = null;
+        }
+
+        if (!transaction || !(Date.now() - transaction.createdAt < this.transactionLifetime)) {
+            return null;
+        }
+        return transaction;
+    },
+
+    /**
+     * Start or renew the session from a token response
+     * @param {Object} tokens - { access_token, expires_in, refresh_token, id_token }
+     */
+    startSession(tokens) {
+        if (!tokens || !tokens.access_token) {
+            throw new Error('Token response without access_token');
+        }
+
+        const previous = this.session;
+        const claims = tokens.id_token ? this.readClaims(tokens.id_token) : null;
+
+        this.session = {
+            accessToken: tokens.access_token,
+            expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+            // Providers that do not rotate refresh tokens leave them out of the response
+            refreshToken: tokens.refresh_token || (previous && previous.refreshToken) || null,
+            idToken: tokens.id_token || (previous && previous.idToken) || null,
+            user: claims
+                ? { sub: claims.sub, name: claims.name || claims.email || '', email: claims.email || '' }
+                : (previous && previous.user) || { sub: '', name: '', email: '' }
+        };
+
+        this.scheduleRefresh();
+
+        if (!previous) {
+            this.lastActivity = Date.now();
+            this.checkIdle();
+            this.render();
+            EventBus.emit('auth:change', { user: this.session.user, reason: 'login' });
+        }
+    },
+
+    /**
+     * Read the claims of an ID token, for display only: the API checks the
+     * access token on every request, so the signature is not verified here
+     * @param {string} token - JWT
+     * @returns {Object|null} Claims, null when unreadable or meant for another client
+     */
+    readClaims(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), c => c.charCodeAt(0))));
+
+            return [].concat(claims.aud).includes(this.clientId) ? claims : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Plan the next silent refresh shortly before the access token expires
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.session || !this.session.refreshToken) {
+            return;
+        }
+
+        const delay = Math.max(0, this.session.expiresAt - this.refreshMargin - Date.now());
+        this.refreshTimer = setTimeout(() => this.refresh().catch(() => {}), Math.min(delay, this.maxTimer));
+    },
+
+    /**
+     * Get new tokens with the refresh token; requests failing together share one refresh
+     * @returns {Promise} Resolves with the session renewed, rejects when it could not be
+     */
+    refresh() {
+        if (!this.session || !this.session.refreshToken) {
+            return Promise.reject(new Error('login-required'));
+        }
+
+        if (!this.refreshing) {
+            const session = this.session;
+
+            this.refreshing = this.provider.token({
+                grant_type: 'refresh_token',
+                refresh_token: session.refreshToken,
+                client_id: this.clientId
+            })
+                .then(tokens => {
+                    // Signed out while the request was running
+                    if (this.session !== session) {
+                        throw new Error('login-required');
+                    }
+                    this.startSession(tokens);
+                })
+                .catch(error => {
+                    if (this.session === session) {
+                        const offline = error instanceof TypeError || error.name === 'NetworkError';
+
+                        if (offline && session.expiresAt > Date.now()) {
+                            clearTimeout(this.refreshTimer);
+                            this.refreshTimer = setTimeout(() => this.refresh().catch(() => {}), this.retryDelay);
+                        } else {
+                            console.warn('Session refresh failed:', error);
+                            this.clearSession('expired');
+                        }
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+
+        return this.refreshing;
+    },
+
+    /**
+     * fetch() for the patient API: sends the access token, refreshes it once
+     * when the server answers 401 and asks the patient to sign in again when
+     * that fails. Request bodies must be resendable (no streams)
+     * @param {string} url - Resource URL
+     * @param {Object} options - fetch() options
+     * @returns {Promise<Response>} Response, rejects with "login-required" without a session
+     */
+    async fetch(url, options = {}) {
+        if (this.session && this.session.refreshToken && this.session.expiresAt <= Date.now()) {
+            await this.refresh().catch(() => {});
+        }
+        if (!this.session) {
+            this.promptLogin();
+            throw new Error('login-required');
+        }
+
+        const send = (session) => {
+            const headers = new Headers(options.headers);
+            headers.set('Authorization', `Bearer ${session.accessToken}`);
+            return fetch(url, Object.assign({ cache: 'no-store' }, options, { headers }));
+        };
+
+        const session = this.session;
+        let response = await send(session);
+
+        if (response.status === 401) {
+            // Another request may have renewed the session in the meantime
+            if (this.session === session) {
+                await this.refresh().catch(() => {});
+            }
+            if (this.session && this.session !== session) {
+                response = await send(this.session);
+            }
+        }
+
+        // A failed refresh has already ended the session and asked to sign in again
+        if (response.status === 401 && this.session) {
+            this.clearSession('expired');
+        }
+
+        return response;
+    },
+
+    /**
+     * Ask the patient to sign in, e.g. when a request needs a session
+     */
+    promptLogin() {
+        this.showNotice('auth.loginRequired', {}, ['login', 'dismiss']);
+    },
+
+    /**
+     * Sign out: forget the tokens here and in other tabs, revoke the refresh
+     * token, then end the provider's own session after an explicit sign-out so
+     * the next person on a shared computer does not get straight back in
+     * @param {string} reason - "user" or "idle"
+     * @returns {Promise} Resolves when the provider has been told
+     */
+    logout(reason = 'user') {
+        const session = this.session;
+        if (!session) {
+            return Promise.resolve();
+        }
+
+        this.clearSession(reason);
+
+        // Each tab times out on its own, only an explicit sign-out is shared
+        if (this.channel && reason === 'user') {
+            this.channel.postMessage({ type: 'logout' });
+        }
+        Analytics.track('logout', { reason });
+
+        const revoke = session.refreshToken && this.provider.revoke
+            ? this.provider.revoke(session.refreshToken, this.clientId)
+            : Promise.resolve();
+
+        return revoke
+            .catch(error => console.warn('Token revocation failed:', error))
+            .then(() => {
+                if (reason === 'user' && this.provider.endSession) {
+                    return this.provider.endSession({
+                        id_token_hint: session.idToken,
+                        client_id: this.clientId,
+                        post_logout_redirect_uri: this.redirectUri
+                    });
+                }
+                return undefined;
+            })
+            .catch(error => console.warn('Provider sign-out failed:', error));
+    },
+
+    /**
+     * Forget the session and say why
+     * @param {string} reason - "user", "idle", "expired" or "remote" (another tab)
+     */
+    clearSession(reason) {
+        if (!this.session) {
+            return;
+        }
+
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.idleTimer);
+        this.session = null;
+        this.warningShown = false;
+        this.render();
+
+        if (reason === 'idle') {
+            this.showNotice('auth.idleLoggedOut', { count: Math.round(this.idleTimeout / 60000) }, ['login', 'dismiss']);
+        } else if (reason === 'expired') {
+            this.showNotice('auth.expired', {}, ['login', 'dismiss']);
+        } else {
+            this.showNotice('auth.loggedOut', {}, ['dismiss']);
+        }
+
+        EventBus.emit('auth:change', { user: null, reason });
+    },
+
+    /**
+     * Note activity; once the idle warning is up only "Stay signed in" counts
+     */
+    recordActivity() {
+        if (!this.warningShown) {
+            this.lastActivity = Date.now();
+        }
+    },
+
+    /**
+     * Keep the session going after the idle warning
+     */
+    extend() {
+        this.warningShown = false;
+        this.lastActivity = Date.now();
+        this.hideNotice();
+        this.checkIdle();
+    },
+
+    /**
+     * Warn or sign out after inactivity, then check again when the next step is due
+     */
+    checkIdle() {
+        clearTimeout(this.idleTimer);
+        if (!this.session) {
+            return;
+        }
+
+        const idle = Date.now() - this.lastActivity;
+        const warnAt = this.idleTimeout - this.idleWarning;
+
+        if (idle >= this.idleTimeout) {
+            this.logout('idle');
+            return;
+        }
+
+        if (idle >= warnAt && !this.warningShown) {
+            this.warningShown = true;
+            this.showNotice('auth.idleWarning', { count: Math.ceil((this.idleTimeout - idle) / 1000) }, ['stay', 'logout']);
+        }
+
+        this.idleTimer = setTimeout(() => this.checkIdle(), (idle >= warnAt ? this.idleTimeout : warnAt) - idle);
+    },
+
+    /**
+     * Draw the account menus for the current session
+     */
+    render() {
+        const user = this.getUser();
+        const name = user ? user.name || I18n.t('auth.patient') : '';
+
+        if (this.container) {
+            const hadFocus = this.container.contains(document.activeElement);
+
+            this.container.innerHTML = user ? `
+                <button type="button" class="account-menu__toggle" data-auth-action="toggle" aria-expanded="false"
+                    aria-controls="account-panel" aria-label="${Utils.escapeHTML(I18n.t('auth.account', { name }))}">
+                    <span class="account-menu__avatar" aria-hidden="true">${Utils.escapeHTML(Images.getInitials(name))}</span>
+                </button>
+                <div class="account-panel" id="account-panel" hidden>
+                    <p class="account-panel__name">${Utils.escapeHTML(name)}</p>
+                    ${user.email ? `<p class="account-panel__email">${Utils.escapeHTML(user.email)}</p>` : ''}
+                    <a href="#documents" class="account-panel__link" data-auth-action="close">
+                        <i class="fas fa-file-medical" aria-hidden="true"></i> ${I18n.t('auth.documents')}
+                    </a>
+                    <a href="#follow-up" class="account-panel__link" data-auth-action="close">
+                        <i class="fas fa-calendar-check" aria-hidden="true"></i> ${I18n.t('auth.followUps')}
+                    </a>
+                    <button type="button" class="account-panel__logout" data-auth-action="logout">
+                        <i class="fas fa-right-from-bracket" aria-hidden="true"></i> ${I18n.t('auth.logout')}
+                    </button>
+                </div>
+            ` : `
+                <button type="button" class="account-menu__login" data-auth-action="login">
+                    <i class="fas fa-user" aria-hidden="true"></i>
+                    <span>${I18n.t('auth.login')}</span>
+                </button>
+            `;
+
+            this.toggle = this.container.querySelector('.account-menu__toggle');
+            this.panel = this.container.querySelector('.account-panel');
+
+            // Signing in or out must not drop keyboard focus on the page body
+            if (hadFocus) {
+                this.container.querySelector('button').focus();
+            }
+        }
+
+        if (this.mobileContainer) {
+            const hadFocus = this.mobileContainer.contains(document.activeElement);
+
+            this.mobileContainer.innerHTML = user ? `
+                <p class="mobile-menu__user">${I18n.t('auth.signedInAs', { name: `<strong>${Utils.escapeHTML(name)}</strong>` })}</p>
+                <button type="button" class="btn btn--outline" data-auth-action="logout">${I18n.t('auth.logout')}</button>
+            ` : `
+                <button type="button" class="btn btn--primary" data-auth-action="login">
+                    <i class="fas fa-user" aria-hidden="true"></i> ${I18n.t('auth.loginLong')}
+                </button>
+            `;
+
+            if (hadFocus) {
+                this.mobileContainer.querySelector('button').focus();
+            }
+        }
+    },
+
+    /**
+     * Show or hide the account panel
+     * @param {boolean} open - Whether the panel should be visible
+     */
+    setOpen(open) {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+    },
+
+    /**
+     * Show a message with action buttons
+     * @param {string} key - Translation key
+     * @param {Object} params - Translation parameters
+     * @param {Array} actions - Any of "login", "logout", "stay" and "dismiss"
+     */
+    showNotice(key, params = {}, actions = []) {
+        if (!this.notice) {
+            return;
+        }
+
+        this.noticeContent = [key, params, actions];
+        this.notice.innerHTML = `
+            <p class="auth-notice__text">${I18n.t(key, params)}</p>
+            ${actions.length ? `
+                <div class="auth-notice__actions">
+                    ${actions.map(action => `
+                        <button type="button" class="btn ${action === 'dismiss' || action === 'logout' ? 'btn--outline' : 'btn--primary'}"
+                            data-auth-action="${action}">${I18n.t(`auth.actions.${action}`)}</button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        this.notice.hidden = false;
+    },
+
+    /**
+     * Hide the message
+     */
+    hideNotice() {
+        if (this.notice) {
+            this.notice.hidden = true;
+            this.noticeContent = null;
+        }
+    },
+
+    /**
+     * Random URL-safe string, used for the PKCE verifier and the state
+     * @returns {string} 43 characters (256 bits)
+     */
+    randomString() {
+        return this.base64url(crypto.getRandomValues(new Uint8Array(32)));
+    },
+
+    /**
+     * PKCE S256 challenge of a verifier
+     * @param {string} verifier - Code verifier
+     * @returns {Promise<string>} base64url SHA-256 of the verifier
+     */
+    createChallenge(verifier) {
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+            .then(hash => this.base64url(new Uint8Array(hash)));
+    },
+
+    /**
+     * Encode bytes as unpadded base64url
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} Encoded data
+     */
+    base64url(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+};
+
+/**
+ * MOCK IDENTITY PROVIDER
+ * Local stand-in for the OAuth server, used when no issuer is configured:
+ * "signs in" a demo patient straight away and checks codes, PKCE verifiers and
+ * refresh tokens the way a real server would. Its records live in sessionStorage
+ * so they survive the redirect back to the page
+ */
+const MockIdentityProvider = {
+    storageKey: 'galenica:mock-idp',
+
+    latency: 300,
+
+    // Short-lived access tokens so that silent refresh shows up in testing (seconds)
+    accessTokenLifetime: 5 * 60,
+
+    codeLifetime: 60 * 1000,
+
+    patient: {
+        sub: 'patient-0001',
+        name: 'Maria Rossi',
+        email: 'maria.rossi@example.com'
+    },
+
+    /**
+     * Issue a code for the challenge and go back to the page
+     * @param {Object} params - Authorization request parameters
+     * @returns {Promise} Resolves when the redirect starts
+     */
+    authorize(params) {
+        if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+            return Promise.reject(new Error('invalid_request'));
+        }
+
+        const code = Auth.randomString();
+        const records = this.read();
+        records.codes[code] = {
+            challenge: params.code_challenge,
+            clientId: params.client_id,
+            redirectUri: params.redirect_uri,
+            createdAt: Date.now()
+        };
+        this.write(records);
+
+        const url = new URL(params.redirect_uri);
+        url.searchParams.set('code', code);
+        url.searchParams.set('state', params.state);
+        this.navigate(url.href);
+
+        return Promise.resolve();
+    },
+
+    /**
+     * Token endpoint: authorization_code and refresh_token grants
+     * @param {Object} params - Token request parameters
+     * @returns {Promise<Object>} Token response, rejects with the OAuth error code
+     */
+    token(params) {
+        return new Promise(resolve => setTimeout(resolve, this.latency)).then(async () => {
+            const records = this.read();
+
+            if (params.grant_type === 'authorization_code') {
+                const grant = records.codes[params.code];
+
+                // Codes work once, even when the exchange fails
+                delete records.codes[params.code];
+                this.write(records);
+
+                if (!grant || grant.clientId !== params.client_id || grant.redirectUri !== params.redirect_uri ||
+                    Date.now() - grant.createdAt > this.codeLifetime ||
+                    await Auth.createChallenge(params.code_verifier || '') !== grant.challenge) {
+                    throw new Error('invalid_grant');
+                }
+                return this.issue(params.client_id);
+            }
+
+            if (params.grant_type === 'refresh_token') {
+                const grant = records.refreshTokens[params.refresh_token];
+
+                // Rotation: every refresh token is replaced when used
+                delete records.refreshTokens[params.refresh_token];
+                this.write(records);
+
+                if (!grant || grant.clientId !== params.client_id) {
+                    throw new Error('invalid_grant');
+                }
+                return this.issue(params.client_id);
+            }
+
+            throw new Error('unsupported_grant_type');
+        });
+    },
+
+    /**
+     * Create tokens for the demo patient
+     * @param {string} clientId - Client the tokens are for
+     * @returns {Object} Token response
+     */
+    issue(clientId) {
+        const records = this.read();
+        const refreshToken = Auth.randomString();
+        const now = Math.floor(Date.now() / 1000);
+        const encode = value => Auth.base64url(new TextEncoder().encode(JSON.stringify(value)));
+
+        records.refreshTokens[refreshToken] = { clientId, createdAt: Date.now() };
+        this.write(records);
+
+        return {
+            token_type: 'Bearer',
+            access_token: Auth.randomString(),
+            expires_in: this.accessTokenLifetime,
+            refresh_token: refreshToken,
+            // Unsigned, the mock has no keys
+            id_token: `${encode({ alg: 'none', typ: 'JWT' })}.${encode(Object.assign({ iss: 'mock', aud: clientId, iat: now, exp: now + this.accessTokenLifetime }, this.patient))}.`
+        };
+    },
+
+    /**
+     * Revoke a refresh token
+     * @param {string} token - Refresh token
+     * @returns {Promise} Resolves when done
+     */
+    revoke(token) {
+        const records = this.read();
+        delete records.refreshTokens[token];
+        this.write(records);
+        return Promise.resolve();
+    },
+
+    /**
+     * End the provider session; the mock keeps none
+     * @returns {Promise} Resolves straight away
+     */
+    endSession() {
+        return Promise.resolve();
+    },
+
+    /**
+     * Go to a URL, the redirect of a real provider
+     * @param {string} url - Destination
+     */
+    navigate(url) {
+        window.location.assign(url);
+    },
+
+    /**
+     * Load the issued codes and refresh tokens
+     * @returns {Object} { codes, refreshTokens }
+     */
+    read() {
+        try {
+            const records = JSON.parse(sessionStorage.getItem(this.storageKey));
+            if (records && records.codes && records.refreshTokens) {
+                return records;
+            }
+        } catch (error) {
+            // Start over below
+        }
+        return { codes: {}, refreshTokens: {} };
+    },
+
+    /**
+     * Save the issued codes and refresh tokens
+     * @param {Object} records - { codes, refreshTokens }
+     */
+    write(records) {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(records));
+        } catch (error) {
+            console.warn('Mock identity provider storage failed:', error);
+        }
+    }
+};
+
+/**
+ * HTTP IDENTITY PROVIDER
+ * OpenID Connect provider found through {issuer}/.well-known/openid-configuration:
+ * redirects to its authorization and end-session endpoints and posts form
+ * requests to its token and revocation endpoints (public client, no secret)
+ */
+const HttpIdentityProvider = {
+    /**
+     * Create a provider for an issuer
+     * @param {string} issuer - Issuer URL, as in the provider's configuration
+     * @returns {Object} Identity provider
+     */
+    create(issuer) {
+        const url = new URL(issuer);
+
+        // Tokens for health data never travel unencrypted
+        if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+            throw new Error(`Identity provider must use HTTPS: ${issuer}`);
+        }
+
+        let discovery = null;
+        const configuration = () => {
+            discovery = discovery || fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, { credentials: 'omit' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Identity provider discovery error ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Try again on the next call
+                    discovery = null;
+                    throw error;
+                });
+            return discovery;
+        };
+
+        const post = (endpoint, params) => fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: new URLSearchParams(params),
+            credentials: 'omit',
+            cache: 'no-store'
+        }).then(async response => {
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `Identity provider error ${response.status}`);
+            }
+            return data;
+        });
+
+        const navigate = (endpoint, params) => {
+            const target = new URL(endpoint);
+            Object.keys(params).forEach(name => {
+                if (params[name]) {
+                    target.searchParams.set(name, params[name]);
+                }
+            });
+            window.location.assign(target.href);
+        };
+
+        return {
+            issuer,
+
+            authorize(params) {
+                return configuration().then(config => navigate(config.authorization_endpoint, params));
+            },
+
+            token(params) {
+                return configuration().then(config => post(config.token_endpoint, params));
+            },
+
+            revoke(token, clientId) {
+                return configuration().then(config => config.revocation_endpoint &&
+                    post(config.revocation_endpoint, { token, token_type_hint: 'refresh_token', client_id: clientId }));
+            },
+
+            endSession(params) {
+                return configuration().then(config => config.end_session_endpoint &&
+                    navigate(config.end_session_endpoint, params));
+            }
+        };
+    }
+};
+
+/**
+ * DIALOG MANAGER
+ * Shared behaviour for modal overlays: focus trap, inert background,
+ * Escape handling, stacking, scroll lock and focus return. Modules keep
+ * showing and hiding their own markup and call Dialog.open()/close()
+ */
+const Dialog = {
+    stack: [],
+
+    focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])',
+
+    /**
+     * Initialize the shared key and focus handling
+     */
+    init() {
+        document.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        }, { signal: this.signal });
+
+        // Focus that escapes the top dialog, e.g. where inert is unsupported, is pulled back in
+        document.addEventListener('focusin', (e) => {
+            const entry = this.top();
+            if (entry && !this.contains(entry, e.target)) {
+                this.focusFirst(entry);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Release anything still open
+     */
+    destroy() {
+        if (this.stack.length) {
+            this.close(this.stack[0].element, { returnFocus: false });
+        }
+    },
+
+    /**
+     * Activate a dialog on top of any already open
+     * @param {Element} element - Dialog root
+     * @param {Object} options - {
+     *     trigger: element focused again on close (defaults to the focused element),
+     *     containers: elements the focus may move between (defaults to [element]),
+     *     initialFocus: element to focus (defaults to the first focusable one),
+     *     onDismiss: called on Escape instead of Dialog.close()
+     * }
+     */
+    open(element, options = {}) {
+        if (this.isOpen(element)) {
+            return;
+        }
+
+        if (this.stack.length === 0) {
+            this.lockScroll();
+        }
+
+        const entry = {
+            element,
+            trigger: options.trigger || document.activeElement,
+            containers: options.containers || [element],
+            onDismiss: options.onDismiss || (() => this.close(element))
+        };
+
+        entry.released = this.release(entry.containers);
+        entry.inerted = this.makeInert(entry.containers);
+        this.stack.push(entry);
+
+        if (options.initialFocus) {
+            options.initialFocus.focus();
+        } else {
+            this.focusFirst(entry);
+        }
+    },
+
+    /**
+     * Deactivate a dialog and return focus
+     * @param {Element} element - Dialog root
+     * @param {Object} options - { returnFocus: false to leave focus alone, or the element to focus }
+     */
+    close(element, options = {}) {
+        const index = this.stack.findIndex(entry => entry.element === element);
+        if (index === -1) {
+            return;
+        }
+
+        // Closing a dialog also closes the ones stacked above it
+        const closed = this.stack.splice(index);
+        closed.reverse().forEach(entry => {
+            entry.inerted.forEach(node => { node.inert = false; });
+            entry.released.forEach(node => { node.inert = true; });
+        });
+
+        if (this.stack.length === 0) {
+            this.unlockScroll();
+        }
+
+        const target = options.returnFocus === undefined ? closed[closed.length - 1].trigger : options.returnFocus;
+        if (target && typeof target.focus === 'function' && document.contains(target)) {
+            target.focus({ preventScroll: true });
+        }
+    },
+
+    /**
+     * Check whether a dialog is active
+     * @param {Element} element - Dialog root
+     * @returns {boolean} True while open
+     */
+    isOpen(element) {
+        return this.stack.some(entry => entry.element === element);
+    },
+
+    /**
+     * Get the dialog on top of the stack
+     * @returns {Object|undefined} Stack entry
+     */
+    top() {
+        return this.stack[this.stack.length - 1];
+    },
+
+    /**
+     * Check whether a node belongs to a dialog
+     * @param {Object} entry - Stack entry
+     * @param {Node} node - Node to test
+     * @returns {boolean} True when inside one of its containers
+     */
+    contains(entry, node) {
+        return entry.containers.some(container => container.contains(node));
+    },
+
+    /**
+     * Take the containers back out of the background of the dialogs below,
+     * which made them inert along with the rest of the page
+     * @param {Array} containers - Elements about to become interactive
+     * @returns {Array} Elements this call made interactive again
+     */
+    release(containers) {
+        return this.stack
+            .reduce((nodes, entry) => nodes.concat(entry.inerted), [])
+            .filter(node => node.inert && containers.some(container => node.contains(container)))
+            .map(node => {
+                node.inert = false;
+                return node;
+            });
+    },
+
+    /**
+     * Make everything outside the containers inert
+     * @param {Array} containers - Elements that stay interactive
+     * @returns {Array} Elements this call made inert
+     */
+    makeInert(containers) {
+        const inerted = [];
+
+        const walk = (parent) => {
+            Array.from(parent.children).forEach(child => {
+                if (containers.includes(child) || child.inert || child.tagName === 'SCRIPT' || child.hasAttribute('aria-live')) {
+                    return;
+                }
+
+                if (containers.some(container => child.contains(container))) {
+                    walk(child);
+                } else {
+                    child.inert = true;
+                    inerted.push(child);
+                }
+            });
+        };
+
+        walk(document.body);
+        return inerted;
+    },
+
+    /**
+     * Get the focusable elements of a dialog, in order
+     * @param {Object} entry - Stack entry
+     * @returns {Array} Visible, enabled elements
+     */
+    getFocusable(entry) {
+        return entry.containers
+            .reduce((list, container) => list.concat(
+                container.matches(this.focusableSelector) ? [container] : [],
+                Array.from(container.querySelectorAll(this.focusableSelector))
+            ), [])
+            .filter(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+    },
+
+    /**
+     * Focus the first focusable element, or the dialog itself
+     * @param {Object} entry - Stack entry
+     */
+    focusFirst(entry) {
+        const target = this.getFocusable(entry)[0] || entry.containers[0];
+
+        if (!target.matches(this.focusableSelector) && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    },
+
+    /**
+     * Dismiss on Escape and keep Tab inside the top dialog
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const entry = this.top();
+        if (!entry) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            entry.onDismiss();
+            return;
+        }
+
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = this.getFocusable(entry);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const index = focusable.indexOf(document.activeElement);
+
+        if (e.shiftKey && index <= 0) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (index === -1 || index === focusable.length - 1)) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Stop the page scrolling behind dialogs without moving it or letting it shift sideways
+     */
+    lockScroll() {
+        const root = document.documentElement;
+
+        this.scrollTop = window.pageYOffset;
+        root.style.setProperty('--scrollbar-width', `${window.innerWidth - root.clientWidth}px`);
+        root.classList.add('scroll-locked');
+    },
+
+    /**
+     * Let the page scroll again where it was
+     */
+    unlockScroll() {
+        const root = document.documentElement;
+
+        root.classList.remove('scroll-locked');
+        root.style.removeProperty('--scrollbar-width');
+
+        // Some mobile browsers still move the page underneath
+        if (window.pageYOffset !== this.scrollTop) {
+            window.scrollTo({ top: this.scrollTop, behavior: 'instant' });
+        }
+    }
+};
+
+/**
+ * SMOOTH SCROLLING MODULE
+ * Scrolls targets into view below the sticky header; Router decides when
+ */
+const SmoothScrolling = {
+    /**
+     * Scroll a target into view below the sticky header and focus it
+     * @param {Element} target - Target element
+     * @param {string} behavior - Scroll behavior, smooth unless motion is reduced
+     */
+    scrollToTarget(target, behavior = Motion.scrollBehavior()) {
+        // Calculate scroll position with header offset
+        const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+        const targetPosition = Utils.getOffsetTop(target) - headerHeight - 20;
+        
+        // Smooth scroll to target
+        window.scrollTo({
+            top: targetPosition,
+            behavior
+        });
+        
+        // Update focus for accessibility
+        this.updateFocus(target);
+    },
+
+    /**
+     * Update focus for accessibility
+     * @param {Element} target - Target element to focus
+     */
+    updateFocus(target) {
+        // Make target focusable if it isn't already
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        
+        // Focus the target element without jumping past the header offset
+        target.focus({ preventScroll: true });
+        
+        // Remove tabindex after focus to maintain natural tab order
+        setTimeout(() => {
+            if (target.getAttribute('tabindex') === '-1') {
+                target.removeAttribute('tabindex');
+            }
+        }, 1000);
+    }
+};
+
+/**
+ * ROUTER MODULE
+ * Owns in-page navigation: "#section" anchors plus parameterised routes
+ * such as "#news/<id>", "#doctors/<id>" and "#faq/<id>". Link clicks push
+ * history entries, Back/Forward and reloads restore the scroll position,
+ * and modules react to "route:change" on the EventBus
+ */
+const Router = {
+    dependencies: ['I18n', 'Motion', 'Viewport'],
+
+    /**
+     * Parameterised routes; target() finds the element to scroll to
+     */
+    routes: [
+        {
+            name: 'faq',
+            path: 'faq/:id',
+            target: params => document.getElementById(`faq-${params.id}`)
+        },
+        {
+            name: 'doctor',
+            path: 'doctors/:id',
+            target: params => Array.from(document.querySelectorAll('.doctor-card')).find(card => card.dataset.doctorId === params.id) || null
+        },
+        {
+            name: 'news',
+            path: 'news/:id'
+        }
+    ],
+
+    /**
+     * Initialize routing
+     */
+    init() {
+        this.current = this.match(window.location.hash);
+        this.href = window.location.href;
+
+        // Scroll positions are restored here, below the sticky header
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        this.buildAnnouncer();
+        this.bindEvents();
+    },
+
+    /**
+     * Remove the announcer
+     */
+    destroy() {
+        this.announcer.remove();
+    },
+
+    /**
+     * Create the live region that announces the new section
+     */
+    buildAnnouncer() {
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'route-announcer';
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.announcer.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(this.announcer);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+
+            // Leave modified clicks (new tab, download) and handled links to the browser and their owners
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                return;
+            }
+
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        }, { signal: this.signal });
+
+        window.addEventListener('popstate', () => this.resolve('pop'), { signal: this.signal });
+
+        // Hashes typed in the address bar; resolve() ignores the duplicate after popstate
+        window.addEventListener('hashchange', () => this.resolve('pop'), { signal: this.signal });
+
+        // Shared links are honoured once every module has rendered its content
+        window.addEventListener('load', () => this.resolve('load'), { signal: this.signal });
+
+        const saveScroll = Utils.debounce(() => this.saveScroll(), 150);
+        Viewport.subscribe({
+            write: (state) => {
+                if (state.scrolled) {
+                    saveScroll();
+                }
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Go to a hash, adding a history entry
+     * @param {string} hash - Hash including "#"
+     * @param {Object} options - { replace: no new entry, scroll: false to stay put }
+     */
+    navigate(hash, options = {}) {
+        if (!hash || hash === '#') {
+            return;
+        }
+
+        const route = this.match(hash);
+        if (!route.name) {
+            return;
+        }
+
+        this.saveScroll();
+
+        if (hash !== window.location.hash || options.replace) {
+            history[options.replace ? 'replaceState' : 'pushState']({}, '', hash);
+        }
+
+        this.resolve('push', options);
+    },
+
+    /**
+     * Change the hash in place without notifying anyone, e.g. for scroll spy
+     * @param {string} hash - Hash including "#", empty to drop it
+     */
+    replace(hash) {
+        history.replaceState(history.state, '', hash || window.location.pathname + window.location.search);
+        this.href = window.location.href;
+        this.current = this.match(window.location.hash);
+    },
+
+    /**
+     * Match a hash against the routes, falling back to an element id
+     * @param {string} hash - Hash including "#"
+     * @returns {Object} Route { name, params, hash }; name is null when nothing matches
+     */
+    match(hash) {
+        let path = '';
+        try {
+            path = decodeURIComponent((hash || '').replace(/^#/, ''));
+        } catch (error) {
+            // Malformed escapes match nothing
+        }
+
+        const segments = path.split('/');
+        for (const route of this.routes) {
+            const parts = route.path.split('/');
+            const params = {};
+            const matches = parts.length === segments.length && parts.every((part, index) => {
+                if (part.startsWith(':')) {
+                    params[part.slice(1)] = segments[index];
+                    return segments[index] !== '';
+                }
+                return part === segments[index];
+            });
+
+            if (matches) {
+                return { name: route.name, params, hash };
+            }
+        }
+
+        const element = path ? document.getElementById(path) : null;
+        return { name: element ? 'anchor' : null, params: { id: path }, hash };
+    },
+
+    /**
+     * Find the element a route scrolls to
+     * @param {Object} route - Matched route
+     * @returns {Element|null} Target element
+     */
+    getTarget(route) {
+        if (route.name === 'anchor') {
+            return document.getElementById(route.params.id);
+        }
+
+        const definition = this.routes.find(item => item.name === route.name);
+        return definition && definition.target ? definition.target(route.params) : null;
+    },
+
+    /**
+     * Apply the URL: notify listeners, then scroll and move focus
+     * @param {string} source - push, pop or load
+     * @param {Object} options - { scroll: false to stay put }
+     */
+    resolve(source, options = {}) {
+        if (source === 'pop' && window.location.href === this.href) {
+            return;
+        }
+
+        const previous = this.current;
+        const route = this.match(window.location.hash);
+        this.current = route;
+        this.href = window.location.href;
+
+        EventBus.emit('route:change', { route, previous, source });
+
+        if (options.scroll === false) {
+            return;
+        }
+
+        // Listeners may have rendered or revealed the target
+        const target = this.getTarget(route);
+        const saved = history.state && history.state.scrollY;
+
+        if (source !== 'push' && typeof saved === 'number') {
+            window.scrollTo({ top: saved, behavior: 'instant' });
+            if (target) {
+                SmoothScrolling.updateFocus(target);
+            }
+        } else if (target) {
+            SmoothScrolling.scrollToTarget(target, source === 'push' ? Motion.scrollBehavior() : 'instant');
+        }
+
+        if (target) {
+            this.announce(target);
+        }
+    },
+
+    /**
+     * Remember the scroll position in the current history entry
+     */
+    saveScroll() {
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.pageYOffset }), '');
+    },
+
+    /**
+     * Tell screen reader users where they landed
+     * @param {Element} target - Target element
+     */
+    announce(target) {
+        const heading = target.matches('h1, h2, h3, h4') ? target : target.querySelector('h1, h2, h3, h4, .faq-item__question');
+        const title = (heading || target).textContent.trim().replace(/\s+/g, ' ');
+
+        // Clear first so the same title is read again
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = I18n.t('a11y.navigated', { title });
+        }, 100);
+    }
+};
+
+/**
+ * DOCTOR DIRECTORY MODULE
+ * Renders the doctors grid from JSON with search, filters and sorting
+ * Filter state is kept in the URL query string so lists can be shared
+ */
+const DoctorDirectory = {
+    dependencies: ['I18n', 'Router', 'SiteContent', 'Images'],
+
+    /**
+     * Available sort orders
+     */
+    sorters: {
+        'name': (a, b) => a.sortName.localeCompare(b.sortName, I18n.locale()),
+        'name-desc': (a, b) => b.sortName.localeCompare(a.sortName, I18n.locale()),
+        'specialization': (a, b) => a.specializations[0].localeCompare(b.specializations[0], I18n.locale())
+    },
+
+    /**
+     * Initialize doctor directory functionality
+     */
+    init() {
+        this.section = document.getElementById('doctors');
+        this.grid = this.section?.querySelector('.doctors-grid[data-source]');
+        this.template = document.getElementById('doctor-card-template');
+        this.doctors = [];
+
+        if (this.grid && this.template) {
+            this.state = this.readQuery();
+            this.buildControls();
+            this.bindEvents();
+            this.load();
+        }
+    },
+
+    /**
+     * Remove the filter controls
+     */
+    destroy() {
+        if (this.controls) {
+            this.controls.remove();
+            this.controls = null;
+        }
+    },
+
+    /**
+     * Load doctors from the grid's data source
+     * A source starting with "#" points to an inline JSON script element
+     */
+    load() {
+        const source = this.grid.dataset.source || '';
+        const request = source.startsWith('#')
+            ? Promise.resolve().then(() => JSON.parse(document.querySelector(source).textContent))
+            : fetch(source).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Doctors source error ${response.status}`);
+                }
+                return response.json();
+            });
+
+        this.grid.setAttribute('aria-busy', 'true');
+
+        return request
+            .then(data => {
+                this.setDoctors(data.doctors || data);
+            })
+            .catch(error => {
+                console.error('Doctor directory error:', error);
+                this.count.textContent = I18n.t('doctors.loadError');
+            })
+            .finally(() => {
+                this.grid.removeAttribute('aria-busy');
+            });
+    },
+
+    /**
+     * Replace the doctor list and render it
+     * @param {Array} doctors - Doctor records
+     */
+    setDoctors(doctors) {
+        this.doctors = doctors.map(doctor => Object.assign({}, doctor, {
+            specializations: doctor.specializations || [doctor.specialization],
+            // Sort by surname/first name, ignoring the "Dott." title
+            sortName: doctor.name.replace(/^Dott\.(ssa)?\s+/i, '')
+        }));
+        this.renderChips();
+        this.render();
+
+        // A shared #doctors/<id> link arrived before the list
+        if (Router.current && Router.current.name === 'doctor') {
+            Router.resolve('load');
+        }
+    },
+
+    /**
+     * Read the filter state from the URL
+     * @returns {Object} Search text, specialization and sort key
+     */
+    readQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('ordina');
+        return {
+            query: params.get('cerca') || '',
+            specialization: params.get('specializzazione') || '',
+            sort: this.sorters[sort] ? sort : 'name'
+        };
+    },
+
+    /**
+     * Mirror the filter state in the URL without adding history entries
+     */
+    writeQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            cerca: this.state.query,
+            specializzazione: this.state.specialization,
+            ordina: this.state.sort === 'name' ? '' : this.state.sort
+        };
+
+        Object.keys(values).forEach(key => {
+            if (values[key]) {
+                params.set(key, values[key]);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    },
+
+    /**
+     * Create search, filter chips and sort controls above the grid
+     */
+    buildControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'doctor-directory';
+        this.controls.innerHTML = `
+            <div class="doctor-directory__bar">
+                <div class="doctor-directory__search">
+                    <label class="doctor-directory__label" for="doctor-search" data-i18n="doctors.searchLabel">${I18n.t('doctors.searchLabel')}</label>
+                    <i class="fas fa-search doctor-directory__search-icon" aria-hidden="true"></i>
+                    <input class="doctor-directory__input" id="doctor-search" type="search"
+                        placeholder="${I18n.t('doctors.searchPlaceholder')}" data-i18n-attr="placeholder:doctors.searchPlaceholder" value="${Utils.escapeHTML(this.state.query)}">
+                </div>
+                <div class="doctor-directory__sort">
+                    <label class="doctor-directory__label" for="doctor-sort" data-i18n="doctors.sortLabel">${I18n.t('doctors.sortLabel')}</label>
+                    <select class="doctor-directory__input" id="doctor-sort">
+                        ${Object.keys(this.sorters).map(key => `
+                            <option value="${key}" ${key === this.state.sort ? 'selected' : ''} data-i18n="doctors.sort.${key}">${I18n.t(`doctors.sort.${key}`)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="doctor-directory__chips" role="group" aria-label="${I18n.t('doctors.filterLabel')}" data-i18n-attr="aria-label:doctors.filterLabel"></div>
+            <p class="doctor-directory__count" role="status" aria-live="polite"></p>
+        `;
+
+        this.grid.parentNode.insertBefore(this.controls, this.grid);
+        this.searchInput = this.controls.querySelector('#doctor-search');
+        this.sortSelect = this.controls.querySelector('#doctor-sort');
+        this.chips = this.controls.querySelector('.doctor-directory__chips');
+        this.count = this.controls.querySelector('.doctor-directory__count');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.searchInput.addEventListener('input', Utils.debounce(() => {
+            this.update({ query: this.searchInput.value.trim() });
+        }, 200), { signal: this.signal });
+
+        this.sortSelect.addEventListener('change', () => {
+            this.update({ sort: this.sortSelect.value });
+        }, { signal: this.signal });
+
+        this.chips.addEventListener('click', (e) => {
+            const chip = e.target.closest('.doctor-directory__chip');
+            if (chip) {
+                this.update({ specialization: chip.dataset.specialization });
+            }
+        }, { signal: this.signal });
+
+        this.grid.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.doctor-card__toggle');
+            if (toggle) {
+                this.toggleDetails(toggle);
+                // An open card can be shared as #doctors/<id>
+                const card = toggle.closest('.doctor-card');
+                Router.replace(toggle.getAttribute('aria-expanded') === 'true' ? `#doctors/${encodeURIComponent(card.dataset.doctorId)}` : '#doctors');
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('route:change', ({ route, source }) => {
+            // Keep the list in sync when navigating between shared links
+            if (source === 'pop') {
+                this.state = this.readQuery();
+                this.searchInput.value = this.state.query;
+                this.sortSelect.value = this.state.sort;
+                this.renderChips();
+                this.render();
+            }
+
+            if (route.name === 'doctor') {
+                this.showDoctor(route.params.id);
+            }
+        }, { signal: this.signal });
+
+        // Re-render the generated text in the new language
+        EventBus.on('i18n:change', () => {
+            this.renderChips();
+            this.render();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Apply a state change, update the URL and re-render
+     * @param {Object} changes - Partial filter state
+     */
+    update(changes) {
+        this.state = Object.assign({}, this.state, changes);
+        this.writeQuery();
+        this.renderChips();
+        this.render();
+    },
+
+    /**
+     * Get the distinct specializations across all doctors
+     * @returns {Array} Sorted specialization names
+     */
+    getSpecializations() {
+        const all = this.doctors.reduce((list, doctor) => list.concat(doctor.specializations), []);
+        return Array.from(new Set(all)).sort((a, b) => a.localeCompare(b, I18n.locale()));
+    },
+
+    /**
+     * Render one filter chip per specialization plus "All"
+     */
+    renderChips() {
+        const chips = [{ value: '', label: I18n.t('doctors.all') }].concat(
+            this.getSpecializations().map(name => ({ value: name, label: name }))
+        );
+
+        this.chips.innerHTML = chips.map(chip => `
+            <button type="button" class="doctor-directory__chip" data-specialization="${Utils.escapeHTML(chip.value)}"
+                aria-pressed="${chip.value === this.state.specialization}">${Utils.escapeHTML(chip.label)}</button>
+        `).join('');
+    },
+
+    /**
+     * Get the doctors matching the current filters, sorted
+     * @returns {Array} Visible doctors
+     */
+    getVisibleDoctors() {
+        const terms = Utils.normalizeText(this.state.query).split(/\s+/).filter(Boolean);
+
+        return this.doctors
+            .filter(doctor => !this.state.specialization || doctor.specializations.includes(this.state.specialization))
+            .filter(doctor => {
+                const haystack = Utils.normalizeText([doctor.name, doctor.university].concat(doctor.specializations).join(' '));
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort(this.sorters[this.state.sort]);
+    },
+
+    /**
+     * Render the filtered doctor cards
+     */
+    render() {
+        const doctors = this.getVisibleDoctors();
+        const fragment = document.createDocumentFragment();
+
+        doctors.forEach(doctor => fragment.appendChild(this.renderCard(doctor)));
+
+        this.grid.innerHTML = '';
+        this.grid.appendChild(fragment);
+
+        if (!doctors.length) {
+            this.grid.innerHTML = `
+                <p class="doctor-directory__empty">${I18n.t('doctors.empty')}</p>
+            `;
+        }
+
+        this.count.textContent = I18n.t('doctors.count', { count: doctors.length });
+    },
+
+    /**
+     * Build a doctor card from the template
+     * An optional "photo" (URL or { src, srcset, placeholder }) replaces the initials
+     * @param {Object} doctor - Doctor record
+     * @returns {Element} Card element
+     */
+    renderCard(doctor) {
+        const card = this.template.content.firstElementChild.cloneNode(true);
+        const avatar = card.querySelector('.doctor-card__avatar');
+        const details = card.querySelector('.doctor-card__details');
+        const toggle = card.querySelector('.doctor-card__toggle');
+        const detailsId = `doctor-details-${doctor.id}`;
+
+        card.dataset.doctorId = doctor.id;
+        if (doctor.photo) {
+            avatar.innerHTML = Images.markup(doctor.photo, { className: 'doctor-card__photo', sizes: '120px', fallbackName: doctor.name });
+        } else {
+            avatar.textContent = doctor.initials || Images.getInitials(doctor.name);
+        }
+        card.querySelector('.doctor-card__name').textContent = doctor.name;
+        card.querySelector('.doctor-card__specialization').textContent = doctor.specializations.join(' & ');
+
+        card.querySelector('.doctor-card__stats').innerHTML = (doctor.stats || []).map(stat => `
+            <div class="doctor-stat">
+                <i class="fas ${Utils.escapeHTML(stat.icon)} doctor-stat__icon--${Utils.escapeHTML(stat.tone || 'primary')}" aria-hidden="true"></i>
+                <span>${Utils.escapeHTML(stat.text)}</span>
+            </div>
+        `).join('');
+
+        details.id = detailsId;
+        details.innerHTML = `
+            ${doctor.bio ? `<p class="doctor-card__bio">${Utils.escapeHTML(doctor.bio)}</p>` : ''}
+            ${doctor.visitTypes ? `
+                <h4 class="doctor-card__details-title">${I18n.t('doctors.visitTypes')}</h4>
+                <ul class="doctor-card__visit-types">
+                    ${doctor.visitTypes.map(type => `<li>${Utils.escapeHTML(type)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        toggle.setAttribute('aria-controls', detailsId);
+
+        card.querySelector('.doctor-card__btn').setAttribute('aria-label', I18n.t('doctors.bookWith', { name: doctor.name }));
+
+        I18n.apply(card);
+        return card;
+    },
+
+    /**
+     * Open a doctor's card for the #doctors/<id> route, clearing filters that hide it
+     * @param {string} id - Doctor id
+     */
+    showDoctor(id) {
+        if (!this.doctors.some(doctor => doctor.id === id)) {
+            return;
+        }
+
+        if (!this.getVisibleDoctors().some(doctor => doctor.id === id)) {
+            this.searchInput.value = '';
+            this.update({ query: '', specialization: '' });
+        }
+
+        const card = Array.from(this.grid.querySelectorAll('.doctor-card')).find(item => item.dataset.doctorId === id);
+        const toggle = card && card.querySelector('.doctor-card__toggle');
+        if (toggle && toggle.getAttribute('aria-expanded') !== 'true') {
+            this.toggleDetails(toggle);
+        }
+    },
+
+    /**
+     * Expand or collapse a doctor's detail panel
+     * @param {Element} toggle - Details toggle button
+     */
+    toggleDetails(toggle) {
+        const details = document.getElementById(toggle.getAttribute('aria-controls'));
+        const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+
+        toggle.setAttribute('aria-expanded', String(!isExpanded));
+        const label = toggle.querySelector('span');
+        label.dataset.i18n = isExpanded ? 'doctors.showDetails' : 'doctors.hideDetails';
+        label.textContent = I18n.t(label.dataset.i18n);
+        details.hidden = isExpanded;
+    }
+};
+
+/**
+ * MOBILE MENU MODULE
+ * Handles mobile navigation menu functionality
+ */
+const MobileMenu = {
+    dependencies: ['I18n', 'Dialog', 'Viewport', 'Analytics'],
+
+    /**
+     * Initialize mobile menu functionality
+     */
+    init() {
+        this.mobileMenuButton = document.querySelector('.mobile-menu-btn');
+        this.mobileMenu = document.getElementById('mobile-menu');
+        this.mobileMenuLinks = document.querySelectorAll('.mobile-menu__link');
+        
+        if (this.mobileMenuButton && this.mobileMenu) {
+            this.bindEvents();
+        }
+    },
+
+    /**
+     * Close the menu
+     */
+    destroy() {
+        if (this.mobileMenuButton && this.mobileMenu) {
+            this.closeMenu({ returnFocus: false });
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Toggle mobile menu
+        this.mobileMenuButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleMenu();
+        }, { signal: this.signal });
+
+        // Close mobile menu when clicking on links
+        this.mobileMenuLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                this.closeMenu();
+            }, { signal: this.signal });
+        });
+
+        // Close mobile menu when clicking outside, leaving focus where the click put it
+        document.addEventListener('click', (e) => {
+            if (!this.mobileMenuButton.contains(e.target) && !this.mobileMenu.contains(e.target)) {
+                this.closeMenu({ returnFocus: false });
+            }
+        }, { signal: this.signal });
+
+        // The Router moves the focus to the target
+        EventBus.on('route:change', () => {
+            this.closeMenu({ returnFocus: false });
+        }, { signal: this.signal });
+
+        // Close the menu once the viewport is wide enough for the desktop navigation
+        Viewport.subscribe({
+            write: (state) => {
+                if (state.resized && state.width >= 768) {
+                    this.closeMenu({ returnFocus: false });
+                }
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Toggle mobile menu state
+     */
+    toggleMenu() {
+        const isExpanded = this.mobileMenuButton.getAttribute('aria-expanded') === 'true';
+        Analytics.track('mobile_menu', { action: isExpanded ? 'close' : 'open' });
+
+        if (isExpanded) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    },
+
+    /**
+     * Open mobile menu as a dialog: the button and the links stay reachable, the page does not
+     */
+    openMenu() {
+        this.mobileMenuButton.setAttribute('aria-expanded', 'true');
+        this.mobileMenu.classList.add('active');
+        this.updateLabel(true);
+        this.updateIcon(true);
+
+        Dialog.open(this.mobileMenu, {
+            trigger: this.mobileMenuButton,
+            containers: [this.mobileMenuButton, this.mobileMenu],
+            initialFocus: this.mobileMenu.querySelector('.mobile-menu__link'),
+            onDismiss: () => this.closeMenu()
+        });
+    },
+
+    /**
+     * Close mobile menu
+     * @param {Object} options - { returnFocus: false to keep focus where it is }
+     */
+    closeMenu(options = {}) {
+        if (!Dialog.isOpen(this.mobileMenu)) {
+            return;
+        }
+
+        this.mobileMenuButton.setAttribute('aria-expanded', 'false');
+        this.mobileMenu.classList.remove('active');
+        this.updateLabel(false);
+        this.updateIcon(false);
+
+        Dialog.close(this.mobileMenu, options);
+    },
+
+    /**
+     * Swap the bars and close icons
+     * @param {boolean} isOpen - Whether the menu is open
+     */
+    updateIcon(isOpen) {
+        const icon = this.mobileMenuButton.querySelector('i');
+        if (icon) {
+            icon.classList.toggle('fa-bars', !isOpen);
+            icon.classList.toggle('fa-times', isOpen);
+        }
+    },
+
+    /**
+     * Describe the button's next action in the current language
+     * @param {boolean} isOpen - Whether the menu is open
+     */
+    updateLabel(isOpen) {
+        const key = isOpen ? 'nav.closeMenu' : 'nav.openMenu';
+        this.mobileMenuButton.dataset.i18nAttr = `aria-label:${key}`;
+        this.mobileMenuButton.setAttribute('aria-label', I18n.t(key));
+    }
+};
+
+/**
+ * BOOKING MODULE
+ * Multi-step booking wizard opened by every "Prenota" button
+ * Availability and submission go through a pluggable adapter
+ */
+const Booking = {
+    dependencies: ['I18n', 'Dialog', 'MobileMenu', 'DoctorDirectory', 'Analytics'],
+
+    /**
+     * Wizard steps, in order
+     */
+    steps: [
+        { id: 'doctor' },
+        { id: 'area' },
+        { id: 'slot' },
+        { id: 'patient' },
+        { id: 'review' }
+    ],
+
+    /**
+     * Initialize booking functionality
+     */
+    init() {
+        this.adapter = this.adapter || MockBookingAdapter;
+        this.triggerSelector = '[data-booking-trigger], .doctor-card__btn';
+        this.daysAhead = 14;
+
+        this.buildModal();
+        this.bindEvents();
+    },
+
+    /**
+     * Close and remove the wizard
+     */
+    destroy() {
+        this.close();
+        this.modal.remove();
+    },
+
+    /**
+     * Replace the availability/submission backend
+     * @param {Object} adapter - Object implementing getAvailability() and submit()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the modal markup and append it to the body
+     */
+    buildModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'booking';
+        this.modal.hidden = true;
+        this.modal.innerHTML = `
+            <div class="booking__backdrop" data-booking-close></div>
+            <div class="booking__dialog" role="dialog" aria-modal="true" aria-labelledby="booking-title">
+                <div class="booking__header">
+                    <h2 id="booking-title" class="booking__title" data-i18n="booking.title">${I18n.t('booking.title')}</h2>
+                    <button type="button" class="booking__close" data-booking-close aria-label="${I18n.t('booking.close')}" data-i18n-attr="aria-label:booking.close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <ol class="booking__progress">
+                    ${this.steps.map((step, index) => `
+                        <li class="booking__progress-item" data-step="${step.id}">
+                            <span class="booking__progress-number">${index + 1}</span>
+                            <span class="booking__progress-label" data-i18n="booking.steps.${step.id}">${I18n.t(`booking.steps.${step.id}`)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+                <p class="booking__status" role="status" aria-live="polite"></p>
+                <form class="booking__form" novalidate>
+                    <div class="booking__body"></div>
+                    <div class="booking__footer">
+                        <button type="button" class="btn booking__back" data-i18n="booking.back">${I18n.t('booking.back')}</button>
+                        <button type="submit" class="btn btn--primary booking__next">${I18n.t('booking.next')}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.dialog = this.modal.querySelector('.booking__dialog');
+        this.form = this.modal.querySelector('.booking__form');
+        this.body = this.modal.querySelector('.booking__body');
+        this.status = this.modal.querySelector('.booking__status');
+        this.backButton = this.modal.querySelector('.booking__back');
+        this.nextButton = this.modal.querySelector('.booking__next');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Open from any booking trigger, including cards rendered later
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest(this.triggerSelector);
+            if (trigger) {
+                e.preventDefault();
+                // Only the section: the chosen doctor or pathology area would reveal health data
+                Analytics.track('booking_click', {
+                    section: trigger.closest('section[id]')?.id || ''
+                });
+                this.open(this.getTriggerPreset(trigger), trigger);
+            }
+        }, { signal: this.signal });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-booking-close]')) {
+                this.close();
+            }
+        }, { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.next();
+        }, { signal: this.signal });
+
+        this.backButton.addEventListener('click', () => {
+            this.goToStep(this.stepIndex - 1);
+        }, { signal: this.signal });
+
+        this.body.addEventListener('change', (e) => {
+            this.handleChange(e.target);
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Read the pre-selection carried by a trigger
+     * @param {Element} trigger - Clicked booking button
+     * @returns {Object} Preset doctor and area ids
+     */
+    getTriggerPreset(trigger) {
+        const card = trigger.closest('.doctor-card');
+        return {
+            doctor: trigger.dataset.doctor || (card ? card.dataset.doctorId : null) || null,
+            area: trigger.dataset.area || null
+        };
+    },
+
+    /**
+     * Collect the specialists from the directory, or from the cards as fallback
+     * @returns {Array} Doctors with id, name and specialization
+     */
+    getDoctors() {
+        if (DoctorDirectory.doctors && DoctorDirectory.doctors.length) {
+            return DoctorDirectory.doctors.map(doctor => ({
+                id: doctor.id,
+                name: doctor.name,
+                specialization: doctor.specializations.join(' & ')
+            }));
+        }
+
+        return Array.from(document.querySelectorAll('.doctor-card')).map(card => {
+            const name = card.querySelector('.doctor-card__name')?.textContent.trim() || '';
+            return {
+                id: card.dataset.doctorId || Utils.slugify(name),
+                name,
+                specialization: card.querySelector('.doctor-card__specialization')?.textContent.trim() || ''
+            };
+        });
+    },
+
+    /**
+     * Collect the pathology areas from the patologies section
+     * @returns {Array} Areas with id and title
+     */
+    getAreas() {
+        return Array.from(document.querySelectorAll('#patologies .patology-card')).map(card => {
+            const title = card.querySelector('.patology-card__title').textContent.trim();
+            return { id: card.dataset.area || Utils.slugify(title), title };
+        });
+    },
+
+    /**
+     * Open the wizard
+     * @param {Object} preset - Optional doctor/area pre-selection
+     * @param {Element} trigger - Element to return focus to on close
+     */
+    open(preset = {}, trigger = null) {
+        this.doctors = this.getDoctors();
+        this.areas = this.getAreas();
+        this.availability = null;
+        this.confirmation = null;
+        this.state = {
+            doctor: this.doctors.some(doctor => doctor.id === preset.doctor) ? preset.doctor : null,
+            area: this.areas.some(area => area.id === preset.area) ? preset.area : null,
+            date: null,
+            time: null,
+            patient: {}
+        };
+
+        MobileMenu.closeMenu({ returnFocus: false });
+        this.modal.hidden = false;
+        Dialog.open(this.modal, {
+            trigger: trigger || document.activeElement,
+            containers: [this.dialog],
+            onDismiss: () => this.close()
+        });
+
+        // Skip the doctor step when launched from a specific card
+        this.goToStep(this.state.doctor ? 1 : 0);
+    },
+
+    /**
+     * Close the wizard and return focus to the trigger
+     */
+    close() {
+        if (this.modal.hidden) {
+            return;
+        }
+
+        this.modal.hidden = true;
+        Dialog.close(this.modal);
+    },
+
+    /**
+     * Validate the current step and advance
+     */
+    next() {
+        if (this.confirmation) {
+            this.close();
+            return;
+        }
+
+        if (!this.validateStep()) {
+            return;
+        }
+
+        if (this.currentStep().id === 'review') {
+            this.submit();
+        } else {
+            this.goToStep(this.stepIndex + 1);
+        }
+    },
+
+    /**
+     * Get the active step descriptor
+     * @returns {Object} Current step
+     */
+    currentStep() {
+        return this.steps[this.stepIndex];
+    },
+
+    /**
+     * Render a given step
+     * @param {number} index - Step index
+     */
+    goToStep(index) {
+        if (index < 0 || index >= this.steps.length) {
+            return;
+        }
+
+        this.stepIndex = index;
+        const step = this.currentStep();
+
+        this.modal.querySelectorAll('.booking__progress-item').forEach((item, itemIndex) => {
+            item.classList.toggle('is-active', itemIndex === index);
+            item.classList.toggle('is-done', itemIndex < index);
+            if (itemIndex === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.backButton.hidden = index === 0;
+        this.nextButton.textContent = I18n.t(step.id === 'review' ? 'booking.confirm' : 'booking.next');
+        this.nextButton.disabled = false;
+        this.setStatus(I18n.t('booking.stepStatus', {
+            current: index + 1,
+            total: this.steps.length,
+            label: I18n.t(`booking.steps.${step.id}`)
+        }));
+
+        const renderers = {
+            doctor: () => this.renderDoctorStep(),
+            area: () => this.renderAreaStep(),
+            slot: () => this.renderSlotStep(),
+            patient: () => this.renderPatientStep(),
+            review: () => this.renderReviewStep()
+        };
+        renderers[step.id]();
+
+        this.focusStep();
+    },
+
+    /**
+     * Move focus to the heading of the rendered step
+     */
+    focusStep() {
+        const heading = this.body.querySelector('.booking__step-title');
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus();
+        }
+    },
+
+    /**
+     * Render the specialist choice
+     */
+    renderDoctorStep() {
+        this.body.innerHTML = `
+            <fieldset class="booking__fieldset">
+                <legend class="booking__step-title">${I18n.t('booking.doctorTitle')}</legend>
+                <div class="booking__options">
+                    ${this.doctors.map(doctor => this.renderOption('doctor', doctor.id, doctor.name, doctor.specialization, this.state.doctor === doctor.id)).join('')}
+                </div>
+                <p class="booking__error" id="booking-doctor-error" hidden></p>
+            </fieldset>
+        `;
+    },
+
+    /**
+     * Render the pathology area choice
+     */
+    renderAreaStep() {
+        this.body.innerHTML = `
+            <fieldset class="booking__fieldset">
+                <legend class="booking__step-title">${I18n.t('booking.areaTitle')}</legend>
+                <div class="booking__options">
+                    ${this.areas.map(area => this.renderOption('area', area.id, area.title, '', this.state.area === area.id)).join('')}
+                    ${this.renderOption('area', 'altro', I18n.t('booking.areaOther'), I18n.t('booking.areaOtherDetail'), this.state.area === 'altro')}
+                </div>
+                <p class="booking__error" id="booking-area-error" hidden></p>
+            </fieldset>
+        `;
+    },
+
+    /**
+     * Render a radio option card
+     * @param {string} name - Radio group name
+     * @param {string} value - Option value
+     * @param {string} title - Option title
+     * @param {string} detail - Secondary text
+     * @param {boolean} checked - Whether the option is selected
+     * @returns {string} Option markup
+     */
+    renderOption(name, value, title, detail, checked) {
+        return `
+            <label class="booking__option">
+                <input type="radio" name="${name}" value="${Utils.escapeHTML(value)}" ${checked ? 'checked' : ''}>
+                <span class="booking__option-title">${Utils.escapeHTML(title)}</span>
+                ${detail ? `<span class="booking__option-detail">${Utils.escapeHTML(detail)}</span>` : ''}
+            </label>
+        `;
+    },
+
+    /**
+     * Render the availability calendar, loading it first if needed
+     */
+    renderSlotStep() {
+        if (!this.availability || this.availability.doctor !== this.state.doctor) {
+            this.body.innerHTML = `
+                <h3 class="booking__step-title">${I18n.t('booking.slotTitle')}</h3>
+                <p class="booking__loading">${I18n.t('booking.loading')}</p>
+            `;
+            this.nextButton.disabled = true;
+            this.loadAvailability();
+            return;
+        }
+
+        const days = this.availability.days;
+        const selectedDay = days.find(day => day.date === this.state.date);
+
+        this.body.innerHTML = `
+            <h3 class="booking__step-title">${I18n.t('booking.slotTitle')}</h3>
+            <fieldset class="booking__fieldset">
+                <legend class="booking__legend">${I18n.t('booking.day')}</legend>
+                <div class="booking__calendar">
+                    ${days.map(day => `
+                        <label class="booking__day${day.slots.length ? '' : ' is-unavailable'}">
+                            <input type="radio" name="date" value="${day.date}" ${day.date === this.state.date ? 'checked' : ''} ${day.slots.length ? '' : 'disabled'}>
+                            <span class="booking__day-weekday">${this.formatDate(day.date, { weekday: 'short' })}</span>
+                            <span class="booking__day-number">${this.formatDate(day.date, { day: 'numeric' })}</span>
+                            <span class="booking__day-month">${this.formatDate(day.date, { month: 'short' })}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+            <fieldset class="booking__fieldset">
+                <legend class="booking__legend">${I18n.t('booking.time')}</legend>
+                ${selectedDay ? `
+                    <div class="booking__slots">
+                        ${selectedDay.slots.map(time => `
+                            <label class="booking__slot">
+                                <input type="radio" name="time" value="${time}" ${time === this.state.time ? 'checked' : ''}>
+                                <span>${time}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : `<p class="booking__hint">${I18n.t('booking.pickDay')}</p>`}
+            </fieldset>
+            <p class="booking__error" id="booking-slot-error" hidden></p>
+        `;
+    },
+
+    /**
+     * Fetch availability for the selected doctor through the adapter
+     */
+    loadAvailability() {
+        const doctor = this.state.doctor;
+        const from = new Date();
+
+        this.adapter.getAvailability(doctor, from, this.daysAhead)
+            .then(days => {
+                if (this.state.doctor !== doctor || this.currentStep().id !== 'slot') {
+                    return;
+                }
+                this.availability = { doctor, days };
+                this.nextButton.disabled = false;
+                this.renderSlotStep();
+                this.focusStep();
+            })
+            .catch(error => {
+                console.error('Booking availability error:', error);
+                this.body.innerHTML = `
+                    <h3 class="booking__step-title">${I18n.t('booking.slotTitle')}</h3>
+                    <p class="booking__error">${I18n.t('booking.loadError')}</p>
+                `;
+                this.setStatus(I18n.t('booking.loadErrorStatus'));
+            });
+    },
+
+    /**
+     * Render the patient details form
+     */
+    renderPatientStep() {
+        const patient = this.state.patient;
+        const field = (name, label, type, autocomplete) => `
+            <div class="booking__field">
+                <label class="booking__label" for="booking-${name}">${label}</label>
+                <input class="booking__input" id="booking-${name}" name="${name}" type="${type}" autocomplete="${autocomplete}"
+                    value="${Utils.escapeHTML(patient[name] || '')}" aria-describedby="booking-${name}-error">
+                <p class="booking__error" id="booking-${name}-error" hidden></p>
+            </div>
+        `;
+
+        this.body.innerHTML = `
+            <h3 class="booking__step-title">${I18n.t('booking.patientTitle')}</h3>
+            <div class="booking__fields">
+                ${field('firstName', I18n.t('booking.fields.firstName'), 'text', 'given-name')}
+                ${field('lastName', I18n.t('booking.fields.lastName'), 'text', 'family-name')}
+                ${field('email', I18n.t('booking.fields.email'), 'email', 'email')}
+                ${field('phone', I18n.t('booking.fields.phone'), 'tel', 'tel')}
+                <div class="booking__field booking__field--full">
+                    <label class="booking__label" for="booking-notes">${I18n.t('booking.fields.notes')}</label>
+                    <textarea class="booking__input" id="booking-notes" name="notes" rows="3">${Utils.escapeHTML(patient.notes || '')}</textarea>
+                </div>
+                <div class="booking__field booking__field--full">
+                    <label class="booking__checkbox">
+                        <input type="checkbox" name="privacy" ${patient.privacy ? 'checked' : ''} aria-describedby="booking-privacy-error">
+                        <span>${I18n.t('booking.fields.privacy')}</span>
+                    </label>
+                    <p class="booking__error" id="booking-privacy-error" hidden></p>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the summary before confirmation
+     */
+    renderReviewStep() {
+        const doctor = this.doctors.find(item => item.id === this.state.doctor);
+        const area = this.areas.find(item => item.id === this.state.area);
+        const patient = this.state.patient;
+        const rows = [
+            ['doctor', doctor ? doctor.name : ''],
+            ['area', area ? area.title : I18n.t('booking.areaOther')],
+            ['date', this.formatDate(this.state.date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })],
+            ['time', this.state.time],
+            ['patient', `${patient.firstName} ${patient.lastName}`],
+            ['email', patient.email],
+            ['phone', patient.phone]
+        ];
+
+        if (patient.notes) {
+            rows.push(['notes', patient.notes]);
+        }
+
+        this.body.innerHTML = `
+            <h3 class="booking__step-title">${I18n.t('booking.reviewTitle')}</h3>
+            <dl class="booking__summary">
+                ${rows.map(([label, value]) => `
+                    <dt>${I18n.t(`booking.summary.${label}`)}</dt>
+                    <dd>${Utils.escapeHTML(value)}</dd>
+                `).join('')}
+            </dl>
+        `;
+    },
+
+    /**
+     * Keep state in sync with the inputs of the current step
+     * @param {Element} input - Changed input
+     */
+    handleChange(input) {
+        const step = this.currentStep().id;
+
+        if (step === 'doctor' && input.name === 'doctor') {
+            this.state.doctor = input.value;
+            this.state.date = null;
+            this.state.time = null;
+        } else if (step === 'area' && input.name === 'area') {
+            this.state.area = input.value;
+        } else if (step === 'slot' && input.name === 'date') {
+            this.state.date = input.value;
+            this.state.time = null;
+            this.renderSlotStep();
+            this.body.querySelector('input[name="time"]')?.focus();
+        } else if (step === 'slot' && input.name === 'time') {
+            this.state.time = input.value;
+        }
+    },
+
+    /**
+     * Validate the current step and show inline errors
+     * @returns {boolean} Whether the step is valid
+     */
+    validateStep() {
+        const step = this.currentStep().id;
+
+        if (step === 'doctor' && !this.state.doctor) {
+            return this.showError('booking-doctor-error', I18n.t('booking.errors.doctor'));
+        }
+        if (step === 'area' && !this.state.area) {
+            return this.showError('booking-area-error', I18n.t('booking.errors.area'));
+        }
+        if (step === 'slot' && (!this.state.date || !this.state.time)) {
+            return this.showError('booking-slot-error', I18n.t('booking.errors.slot'));
+        }
+        if (step === 'patient') {
+            return this.validatePatient();
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate and store the patient form
+     * @returns {boolean} Whether all fields are valid
+     */
+    validatePatient() {
+        const data = new FormData(this.form);
+        const patient = {
+            firstName: (data.get('firstName') || '').trim(),
+            lastName: (data.get('lastName') || '').trim(),
+            email: (data.get('email') || '').trim(),
+            phone: (data.get('phone') || '').trim(),
+            notes: (data.get('notes') || '').trim(),
+            privacy: data.get('privacy') === 'on'
+        };
+        const errors = {};
+
+        if (!patient.firstName) errors.firstName = I18n.t('booking.errors.firstName');
+        if (!patient.lastName) errors.lastName = I18n.t('booking.errors.lastName');
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(patient.email)) errors.email = I18n.t('booking.errors.email');
+        if (!/^\+?[0-9\s]{6,16}$/.test(patient.phone)) errors.phone = I18n.t('booking.errors.phone');
+        if (!patient.privacy) errors.privacy = I18n.t('booking.errors.privacy');
+
+        this.state.patient = patient;
+
+        this.body.querySelectorAll('.booking__error').forEach(error => {
+            error.hidden = true;
+            error.textContent = '';
+        });
+        this.body.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+
+        Object.keys(errors).forEach(name => {
+            this.form.elements[name]?.setAttribute('aria-invalid', 'true');
+            this.showError(`booking-${name}-error`, errors[name]);
+        });
+
+        const firstInvalid = this.body.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Show an inline error message
+     * @param {string} id - Error element id
+     * @param {string} message - Error text
+     * @returns {boolean} Always false, for use as validation result
+     */
+    showError(id, message) {
+        const error = document.getElementById(id);
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+        this.setStatus(message);
+        return false;
+    },
+
+    /**
+     * Send the booking through the adapter
+     */
+    submit() {
+        const booking = {
+            doctor: this.state.doctor,
+            area: this.state.area,
+            date: this.state.date,
+            time: this.state.time,
+            patient: this.state.patient
+        };
+
+        this.nextButton.disabled = true;
+        this.backButton.disabled = true;
+        this.setStatus(I18n.t('booking.sending'));
+
+        this.adapter.submit(booking)
+            .then(confirmation => {
+                this.confirmation = confirmation;
+                Analytics.track('booking_complete');
+                this.renderConfirmation();
+            })
+            .catch(error => {
+                console.error('Booking submission error:', error);
+                this.setStatus(error.message === 'slot-unavailable'
+                    ? I18n.t('booking.slotUnavailable')
+                    : I18n.t('booking.submitError'));
+
+                if (error.message === 'slot-unavailable') {
+                    this.availability = null;
+                    this.state.time = null;
+                    this.goToStep(this.steps.findIndex(step => step.id === 'slot'));
+                }
+            })
+            .finally(() => {
+                this.nextButton.disabled = false;
+                this.backButton.disabled = false;
+            });
+    },
+
+    /**
+     * Replace the wizard with the confirmation message
+     */
+    renderConfirmation() {
+        this.body.innerHTML = `
+            <div class="booking__success">
+                <i class="fas fa-check-circle booking__success-icon" aria-hidden="true"></i>
+                <h3 class="booking__step-title">${I18n.t('booking.successTitle')}</h3>
+                <p>${I18n.t('booking.successCode')} <strong>${Utils.escapeHTML(this.confirmation.id)}</strong></p>
+                <p>${I18n.t('booking.successText')}</p>
+            </div>
+        `;
+        this.backButton.hidden = true;
+        this.nextButton.textContent = I18n.t('booking.close');
+        this.setStatus(I18n.t('booking.successTitle'));
+        this.focusStep();
+    },
+
+    /**
+     * Announce a message to assistive technologies
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    },
+
+    /**
+     * Format an ISO date for display
+     * @param {string} isoDate - Date as YYYY-MM-DD
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(isoDate, options) {
+        return new Date(`${isoDate}T00:00:00`).toLocaleDateString(I18n.locale(), options);
+    }
+};
+
+/**
+ * MOCK BOOKING ADAPTER
+ * Local stand-in for the agenda API, backed by localStorage
+ */
+const MockBookingAdapter = {
+    storageKey: 'galenica:bookings',
+    latency: 400,
+    times: ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '15:00', '15:30', '16:00', '16:30', '17:00'],
+
+    /**
+     * Get available slots for a doctor
+     * @param {string} doctorId - Doctor identifier
+     * @param {Date} from - First day to include
+     * @param {number} days - Number of days to include
+     * @returns {Promise<Array>} Days as { date, slots }
+     */
+    getAvailability(doctorId, from, days) {
+        const booked = this.getBookings()
+            .filter(booking => booking.doctor === doctorId)
+            .map(booking => `${booking.date} ${booking.time}`);
+        const result = [];
+
+        for (let offset = 1; offset <= days; offset++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+            const date = this.toISODate(day);
+            const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+            const slots = isWeekend ? [] : this.times.filter(time =>
+                this.hash(`${doctorId}${date}${time}`) % 3 !== 0 && !booked.includes(`${date} ${time}`)
+            );
+            result.push({ date, slots });
+        }
+
+        return this.delay(result);
+    },
+
+    /**
+     * Store a booking
+     * @param {Object} booking - Booking request
+     * @returns {Promise<Object>} Confirmation with id
+     */
+    submit(booking) {
+        const bookings = this.getBookings();
+        const taken = bookings.some(item =>
+            item.doctor === booking.doctor && item.date === booking.date && item.time === booking.time
+        );
+
+        if (taken) {
+            return this.delay(null).then(() => {
+                throw new Error('slot-unavailable');
+            });
+        }
+
+        const confirmation = Object.assign({ id: `GO-${Date.now().toString(36).toUpperCase()}` }, booking);
+        bookings.push(confirmation);
+        Utils.writeStorage(this.storageKey, bookings);
+
+        return this.delay(confirmation);
+    },
+
+    /**
+     * Read stored bookings
+     * @returns {Array} Stored bookings
+     */
+    getBookings() {
+        return Utils.readStorage(this.storageKey, []);
+    },
+
+    /**
+     * Resolve a value after the simulated network latency
+     * @param {*} value - Value to resolve
+     * @returns {Promise} Delayed promise
+     */
+    delay(value) {
+        return new Promise(resolve => setTimeout(() => resolve(value), this.latency));
+    },
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date to format
+     * @returns {string} ISO date
+     */
+    toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Simple deterministic string hash
+     * @param {string} value - String to hash
+     * @returns {number} Positive integer hash
+     */
+    hash(value) {
+        let hash = 0;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+        }
+        return Math.abs(hash);
+    }
+};
+
+/**
+ * HTTP BOOKING ADAPTER
+ * Talks to the real agenda API
+ */
+const HttpBookingAdapter = {
+    /**
+     * Create an adapter bound to an API base URL
+     * @param {string} baseUrl - Agenda API base URL
+     * @returns {Object} Booking adapter
+     */
+    create(baseUrl) {
+        const request = (path, options = {}) => fetch(`${baseUrl}${path}`, Object.assign({
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+        }, options)).then(response => {
+            if (response.status === 409) {
+                throw new Error('slot-unavailable');
+            }
+            if (!response.ok) {
+                throw new Error(`Agenda API error ${response.status}`);
+            }
+            return response.json();
+        });
+
+        return {
+            getAvailability(doctorId, from, days) {
+                const params = new URLSearchParams({
+                    doctor: doctorId,
+                    from: MockBookingAdapter.toISODate(from),
+                    days: String(days)
+                });
+                return request(`/availability?${params}`);
+            },
+
+            submit(booking) {
+                return request('/bookings', {
+                    method: 'POST',
+                    body: JSON.stringify(booking)
+                });
+            }
+        };
+    }
+};
+
+/**
+ * CALLBACK REQUEST MODULE
+ * Lets patients leave a callback request for the secretaries
+ * Handles validation, retries and offline queueing
+ */
+const CallbackRequest = {
+    dependencies: ['I18n'],
+
+    /**
+     * Initialize callback request functionality
+     */
+    init() {
+        this.card = document.querySelector('#contact .contact-card');
+        this.toggleButton = this.card?.querySelector('.btn');
+        this.adapter = this.adapter || MockCallbackAdapter;
+        this.queueKey = 'galenica:callback-queue';
+        this.maxAttempts = 3;
+        this.retryDelay = 1000;
+
+        if (this.card && this.toggleButton) {
+            this.buildForm();
+            this.bindEvents();
+            this.flushQueue();
+        }
+    },
+
+    /**
+     * Remove the form
+     */
+    destroy() {
+        if (!this.form) {
+            return;
+        }
+
+        this.form.remove();
+        this.form = null;
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+    },
+
+    /**
+     * Replace the submission backend
+     * @param {Object} adapter - Object implementing submit()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the form markup inside the contact card
+     */
+    buildForm() {
+        this.form = document.createElement('form');
+        this.form.className = 'callback-form';
+        this.form.id = 'callback-form';
+        this.form.hidden = true;
+        this.form.noValidate = true;
+        this.form.innerHTML = `
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-name" data-i18n="callback.fields.name">${I18n.t('callback.fields.name')}</label>
+                <input class="callback-form__input" id="callback-name" name="name" type="text" autocomplete="name" aria-describedby="callback-name-error" required>
+                <p class="callback-form__error" id="callback-name-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-phone" data-i18n="callback.fields.phone">${I18n.t('callback.fields.phone')}</label>
+                <input class="callback-form__input" id="callback-phone" name="phone" type="tel" autocomplete="tel" placeholder="+39 333 123 4567" aria-describedby="callback-phone-error" required>
+                <p class="callback-form__error" id="callback-phone-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-window" data-i18n="callback.fields.window">${I18n.t('callback.fields.window')}</label>
+                <select class="callback-form__input" id="callback-window" name="window" aria-describedby="callback-window-error">
+                    <option value="" data-i18n="callback.windows.placeholder">${I18n.t('callback.windows.placeholder')}</option>
+                    <option value="morning" data-i18n="callback.windows.morning">${I18n.t('callback.windows.morning')}</option>
+                    <option value="afternoon" data-i18n="callback.windows.afternoon">${I18n.t('callback.windows.afternoon')}</option>
+                    <option value="any" data-i18n="callback.windows.any">${I18n.t('callback.windows.any')}</option>
+                </select>
+                <p class="callback-form__error" id="callback-window-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-reason" data-i18n="callback.fields.reason">${I18n.t('callback.fields.reason')}</label>
+                <textarea class="callback-form__input" id="callback-reason" name="reason" rows="3" maxlength="500" aria-describedby="callback-reason-error"></textarea>
+                <p class="callback-form__error" id="callback-reason-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__checkbox">
+                    <input type="checkbox" name="privacy" aria-describedby="callback-privacy-error">
+                    <span data-i18n="callback.fields.privacy">${I18n.t('callback.fields.privacy')}</span>
+                </label>
+                <p class="callback-form__error" id="callback-privacy-error" hidden></p>
+            </div>
+            <p class="callback-form__status" role="status" aria-live="polite"></p>
+            <button type="submit" class="btn btn--outline callback-form__submit" data-i18n="callback.submit">${I18n.t('callback.submit')}</button>
+        `;
+
+        this.card.appendChild(this.form);
+        this.status = this.form.querySelector('.callback-form__status');
+        this.submitButton = this.form.querySelector('.callback-form__submit');
+
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.toggleButton.setAttribute('aria-controls', this.form.id);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.toggleButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleForm();
+        }, { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Clear a field's error as soon as it is corrected
+        this.form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.clearError(e.target);
+            }
+        }, { signal: this.signal });
+
+        // Send queued requests when the connection comes back
+        window.addEventListener('online', () => {
+            this.flushQueue();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the form
+     */
+    toggleForm() {
+        const isExpanded = this.toggleButton.getAttribute('aria-expanded') === 'true';
+        this.toggleButton.setAttribute('aria-expanded', String(!isExpanded));
+        this.form.hidden = isExpanded;
+
+        if (!isExpanded) {
+            this.form.elements.name.focus();
+        }
+    },
+
+    /**
+     * Validate and send the request
+     */
+    handleSubmit() {
+        const request = this.getFormData();
+        const errors = this.validate(request);
+
+        this.form.querySelectorAll('[aria-invalid="true"]').forEach(input => this.clearError(input));
+
+        const names = Object.keys(errors);
+        if (names.length) {
+            names.forEach(name => this.showError(this.form.elements[name], errors[name]));
+            this.form.elements[names[0]].focus();
+            this.setStatus(I18n.t('callback.errors.summary', { count: names.length }));
+            return;
+        }
+
+        request.phone = this.normalizePhone(request.phone);
+        request.createdAt = new Date().toISOString();
+
+        if (!navigator.onLine) {
+            this.enqueue(request);
+            this.showSuccess(true);
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        this.setStatus(I18n.t('callback.sending'));
+
+        this.sendWithRetry(request)
+            .then(() => this.showSuccess(false))
+            .catch(error => {
+                if (this.isNetworkError(error)) {
+                    this.enqueue(request);
+                    this.showSuccess(true);
+                } else {
+                    console.error('Callback request error:', error);
+                    this.setStatus(I18n.t('callback.sendError'));
+                }
+            })
+            .finally(() => {
+                this.submitButton.disabled = false;
+            });
+    },
+
+    /**
+     * Read the form values
+     * @returns {Object} Callback request
+     */
+    getFormData() {
+        const elements = this.form.elements;
+        return {
+            name: elements.name.value.trim(),
+            phone: elements.phone.value.trim(),
+            window: elements.window.value,
+            reason: elements.reason.value.trim(),
+            privacy: elements.privacy.checked
+        };
+    },
+
+    /**
+     * Validate a callback request
+     * @param {Object} request - Callback request
+     * @returns {Object} Error messages keyed by field name
+     */
+    validate(request) {
+        const errors = {};
+
+        if (request.name.length < 2) {
+            errors.name = I18n.t('callback.errors.name');
+        }
+        if (!request.phone) {
+            errors.phone = I18n.t('callback.errors.phoneMissing');
+        } else if (!this.isValidPhone(request.phone)) {
+            errors.phone = I18n.t('callback.errors.phone');
+        }
+        if (!request.window) {
+            errors.window = I18n.t('callback.errors.window');
+        }
+        if (!request.reason) {
+            errors.reason = I18n.t('callback.errors.reason');
+        }
+        if (!request.privacy) {
+            errors.privacy = I18n.t('callback.errors.privacy');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Strip separators and the optional +39/0039 prefix
+     * @param {string} phone - Phone as typed
+     * @returns {string} National number digits
+     */
+    getNationalNumber(phone) {
+        return phone.replace(/[\s.\-/()]/g, '').replace(/^(\+39|0039)/, '');
+    },
+
+    /**
+     * Check an Italian mobile or landline number
+     * @param {string} phone - Phone as typed
+     * @returns {boolean} Whether the number is valid
+     */
+    isValidPhone(phone) {
+        const national = this.getNationalNumber(phone);
+        return /^3\d{8,9}$/.test(national) || /^0\d{5,10}$/.test(national);
+    },
+
+    /**
+     * Normalise a phone number to +39 international format
+     * @param {string} phone - Valid phone as typed
+     * @returns {string} Normalised number
+     */
+    normalizePhone(phone) {
+        return `+39${this.getNationalNumber(phone)}`;
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {Element} input - Invalid field
+     * @param {string} message - Error message
+     */
+    showError(input, message) {
+        const error = document.getElementById(`callback-${input.name}-error`);
+        input.setAttribute('aria-invalid', 'true');
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {Element} input - Field to reset
+     */
+    clearError(input) {
+        const error = document.getElementById(`callback-${input.name}-error`);
+        input.removeAttribute('aria-invalid');
+        if (error) {
+            error.textContent = '';
+            error.hidden = true;
+        }
+    },
+
+    /**
+     * Send a request, retrying network failures with exponential backoff
+     * @param {Object} request - Callback request
+     * @param {number} attempt - Current attempt number
+     * @returns {Promise} Resolves when the request is accepted
+     */
+    sendWithRetry(request, attempt = 1) {
+        return this.adapter.submit(request).catch(error => {
+            if (!this.isNetworkError(error) || attempt >= this.maxAttempts) {
+                throw error;
+            }
+
+            const delay = this.retryDelay * Math.pow(2, attempt - 1);
+            return new Promise(resolve => setTimeout(resolve, delay))
+                .then(() => this.sendWithRetry(request, attempt + 1));
+        });
+    },
+
+    /**
+     * Tell connection failures apart from rejected requests
+     * @param {Error} error - Submission error
+     * @returns {boolean} Whether the error is worth retrying
+     */
+    isNetworkError(error) {
+        return error instanceof TypeError || error.name === 'NetworkError';
+    },
+
+    /**
+     * Read the offline queue
+     * @returns {Array} Queued requests
+     */
+    getQueue() {
+        return Utils.readStorage(this.queueKey, []);
+    },
+
+    /**
+     * Store a request to send once back online
+     * @param {Object} request - Callback request
+     */
+    enqueue(request) {
+        const queue = this.getQueue();
+        queue.push(request);
+        Utils.writeStorage(this.queueKey, queue);
+    },
+
+    /**
+     * Send queued requests one by one, keeping those that still fail
+     */
+    flushQueue() {
+        const queue = this.getQueue();
+
+        if (!queue.length || !navigator.onLine || this.isFlushing) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        queue.reduce((chain, request) => chain.then(remaining =>
+            this.sendWithRetry(request)
+                .then(() => remaining)
+                .catch(error => this.isNetworkError(error) ? remaining.concat(request) : remaining)
+        ), Promise.resolve([])).then(remaining => {
+            // Keep the requests queued while this flush was running
+            const added = this.getQueue().slice(queue.length);
+            Utils.writeStorage(this.queueKey, remaining.concat(added));
+            this.isFlushing = false;
+        });
+    },
+
+    /**
+     * Replace the card content with the confirmation
+     * @param {boolean} queued - Whether the request was queued offline
+     */
+    showSuccess(queued) {
+        const title = queued ? 'callback.queuedTitle' : 'callback.successTitle';
+        const text = queued ? 'callback.queuedText' : 'callback.successText';
+
+        this.card.innerHTML = `
+            <div class="contact-card__success" role="status" tabindex="-1">
+                <i class="fas ${queued ? 'fa-cloud-upload-alt' : 'fa-check-circle'} contact-card__success-icon" aria-hidden="true"></i>
+                <h3 class="contact-card__title" data-i18n="${title}">${I18n.t(title)}</h3>
+                <p data-i18n="${text}">${I18n.t(text)}</p>
+            </div>
+        `;
+        this.card.querySelector('.contact-card__success').focus();
+    },
+
+    /**
+     * Announce a form-level message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * MOCK CALLBACK ADAPTER
+ * Local stand-in for the secretary's callback endpoint
+ */
+const MockCallbackAdapter = {
+    storageKey: 'galenica:callbacks',
+    latency: 500,
+
+    /**
+     * Store a callback request
+     * @param {Object} request - Callback request
+     * @returns {Promise<Object>} Stored request with id
+     */
+    submit(request) {
+        return new Promise(resolve => setTimeout(() => {
+            const stored = Utils.readStorage(this.storageKey, []);
+            const saved = Object.assign({ id: `CB-${Date.now().toString(36).toUpperCase()}` }, request);
+            stored.push(saved);
+            Utils.writeStorage(this.storageKey, stored);
+            resolve(saved);
+        }, this.latency));
+    }
+};
+
+/**
+ * HTTP CALLBACK ADAPTER
+ * Posts callback requests to the secretary's endpoint
+ */
+const HttpCallbackAdapter = {
+    /**
+     * Create an adapter bound to an endpoint
+     * @param {string} endpoint - Callback endpoint URL
+     * @returns {Object} Callback adapter
+     */
+    create(endpoint) {
+        return {
+            submit(request) {
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request)
+                }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Callback endpoint error ${response.status}`);
+                    }
+                    return response.json();
+                });
+            }
+        };
+    }
+};
+
+/**
+ * DOCUMENT UPLOAD MODULE
+ * Lets patients send their medical documents from the "Invia la tua documentazione"
+ * step. Files are recognised by their content, previewed, downscaled when they are
+ * large photos and tagged with a category, then sent in chunks through a pluggable
+ * adapter. An interrupted upload resumes from the last chunk the server confirmed,
+ * also after a reload once the same file is chosen again
+ * <body data-document-endpoint="..."> sends them to a server
+ */
+const DocumentUpload = {
+    dependencies: ['I18n', 'SiteContent', 'Analytics'],
+
+    maxFiles: 10,
+
+    maxFileSize: 20 * 1024 * 1024,
+
+    chunkSize: 512 * 1024,
+
+    // Photos with a longer side are scaled down to it before sending
+    maxDimension: 2400,
+
+    imageQuality: 0.85,
+
+    thumbnailWidth: 96,
+
+    maxAttempts: 5,
+
+    retryDelay: 1000,
+
+    // Upload sessions to resume after a reload; the files themselves are never stored
+    storageKey: 'galenica:document-uploads',
+
+    // Servers drop incomplete uploads after a day, so the sessions are forgotten too
+    sessionLifetime: 24 * 60 * 60 * 1000,
+
+    categories: ['report', 'lab', 'imaging', 'prescription', 'other'],
+
+    // Recognised by their first bytes, not by the file name.
+    // DICOM viewers export images as JPEG or PNG
+    formats: [
+        { type: 'application/pdf', icon: 'fa-file-pdf', signature: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+        { type: 'image/jpeg', icon: 'fa-file-image', signature: [0xFF, 0xD8, 0xFF] },
+        { type: 'image/png', icon: 'fa-file-image', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }
+    ],
+
+    // Loaded on demand to draw the first page of PDFs
+    pdfjs: {
+        module: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.0.379/pdf.min.mjs',
+        worker: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.0.379/pdf.worker.min.mjs'
+    },
+
+    /**
+     * Initialize the upload form
+     */
+    init() {
+        const endpoint = document.body.dataset.documentEndpoint;
+
+        this.container = document.querySelector('#process [data-document-upload]');
+        this.adapter = this.adapter || (endpoint ? HttpDocumentAdapter.create(endpoint) : MockDocumentAdapter);
+        this.items = [];
+        this.nextId = 1;
+        this.isSending = false;
+
+        if (this.container) {
+            this.buildForm();
+            this.bindEvents();
+            this.showInterrupted();
+        }
+    },
+
+    /**
+     * Stop the uploads and remove the form
+     * Sessions stay stored, so the uploads can be resumed later
+     */
+    destroy() {
+        if (!this.form) {
+            return;
+        }
+
+        this.items.forEach(item => this.release(item));
+        this.items = [];
+        this.form.remove();
+        this.form = null;
+    },
+
+    /**
+     * Replace the upload backend
+     * @param {Object} adapter - Object implementing create(), getOffset() and send()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the drop zone, the file list and the consent
+     */
+    buildForm() {
+        const size = this.maxFileSize / (1024 * 1024);
+
+        this.form = document.createElement('form');
+        this.form.className = 'document-upload__form';
+        this.form.noValidate = true;
+        this.form.innerHTML = `
+            <h3 class="document-upload__title" data-i18n="documents.title">${I18n.t('documents.title')}</h3>
+            <p class="document-upload__intro" data-i18n="documents.intro">${I18n.t('documents.intro')}</p>
+            <div class="document-upload__dropzone">
+                <i class="fas fa-cloud-upload-alt document-upload__dropzone-icon" aria-hidden="true"></i>
+                <label class="document-upload__drop-label" for="document-upload-input" data-i18n="documents.drop">${I18n.t('documents.drop')}</label>
+                <input class="document-upload__input" id="document-upload-input" type="file" multiple
+                    accept=".pdf,.jpg,.jpeg,.png,application/pdf,image/jpeg,image/png" aria-describedby="document-upload-hint">
+                <p class="document-upload__hint" id="document-upload-hint" data-i18n="documents.hint" data-i18n-params='{"size": ${size}, "max": ${this.maxFiles}}'>${I18n.t('documents.hint', { size, max: this.maxFiles })}</p>
+            </div>
+            <p class="document-upload__interrupted" hidden></p>
+            <ul class="document-upload__list"></ul>
+            <div class="document-upload__field">
+                <label class="document-upload__checkbox">
+                    <input type="checkbox" name="consent" aria-describedby="document-consent-error">
+                    <span data-i18n="documents.consent">${I18n.t('documents.consent')}</span>
+                </label>
+                <p class="document-upload__error" id="document-consent-error" hidden></p>
+            </div>
+            <p class="document-upload__status" role="status" aria-live="polite"></p>
+            <button type="submit" class="btn btn--primary document-upload__submit" data-i18n="documents.submit">${I18n.t('documents.submit')}</button>
+        `;
+
+        this.container.appendChild(this.form);
+        this.dropzone = this.form.querySelector('.document-upload__dropzone');
+        this.input = this.form.querySelector('.document-upload__input');
+        this.list = this.form.querySelector('.document-upload__list');
+        this.status = this.form.querySelector('.document-upload__status');
+        this.submitButton = this.form.querySelector('.document-upload__submit');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.input.addEventListener('change', () => {
+            this.addFiles(this.input.files);
+            this.input.value = '';
+        }, { signal: this.signal });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.dropzone.classList.add('document-upload__dropzone--active');
+            }, { signal: this.signal });
+        });
+
+        this.dropzone.addEventListener('dragleave', (e) => {
+            if (!this.dropzone.contains(e.relatedTarget)) {
+                this.dropzone.classList.remove('document-upload__dropzone--active');
+            }
+        }, { signal: this.signal });
+
+        this.dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropzone.classList.remove('document-upload__dropzone--active');
+            this.addFiles(e.dataTransfer.files);
+        }, { signal: this.signal });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                const item = this.findItem(button);
+                this[button.dataset.action](item);
+            }
+        }, { signal: this.signal });
+
+        this.list.addEventListener('change', (e) => {
+            if (e.target.matches('.document-upload__category')) {
+                this.findItem(e.target).category = e.target.value;
+                this.clearError(e.target);
+            }
+        }, { signal: this.signal });
+
+        this.form.elements.consent.addEventListener('change', (e) => this.clearError(e.target), { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Uploads stopped by a lost connection carry on by themselves
+        window.addEventListener('online', () => {
+            this.items.filter(item => item.status === 'offline').forEach(item => this.resume(item));
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            this.items.forEach(item => this.renderState(item));
+            this.showInterrupted();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Mention uploads interrupted during an earlier visit
+     */
+    showInterrupted() {
+        const names = Object.values(this.getSessions())
+            .map(session => session.name)
+            .filter(name => !this.items.some(item => item.name === name));
+        const notice = this.form.querySelector('.document-upload__interrupted');
+
+        notice.hidden = !names.length;
+        notice.textContent = names.length ? I18n.t('documents.interrupted', { count: names.length, names: names.join(', ') }) : '';
+    },
+
+    /**
+     * Add chosen or dropped files to the list and check them
+     * @param {FileList} files - Files
+     */
+    addFiles(files) {
+        let skipped = 0;
+
+        Array.from(files).forEach(file => {
+            const fingerprint = this.getFingerprint(file);
+
+            if (this.items.some(item => item.fingerprint === fingerprint)) {
+                return;
+            }
+            if (this.items.length >= this.maxFiles) {
+                skipped++;
+                return;
+            }
+
+            const item = { id: this.nextId++, file, fingerprint, name: file.name, category: '', status: 'checking', offset: 0 };
+            this.items.push(item);
+            this.renderItem(item);
+            this.check(item);
+        });
+
+        this.setStatus(skipped ? I18n.t('documents.errors.tooMany', { max: this.maxFiles }) : '');
+        this.showInterrupted();
+    },
+
+    /**
+     * Identify a file across visits without reading it
+     * @param {File} file - Chosen file
+     * @returns {string} Fingerprint
+     */
+    getFingerprint(file) {
+        return [file.name, file.size, file.lastModified].join('|');
+    },
+
+    /**
+     * Find the item of a row
+     * @param {Element} element - Element inside the row
+     * @returns {Object} Item
+     */
+    findItem(element) {
+        const id = Number(element.closest('.document-upload__item').dataset.uploadId);
+        return this.items.find(item => item.id === id);
+    },
+
+    /**
+     * Recognise the file type, prepare what is sent and show a preview
+     * @param {Object} item - Item in the checking state
+     */
+    async check(item) {
+        try {
+            const header = new Uint8Array(await item.file.slice(0, 132).arrayBuffer());
+            const format = this.formats.find(candidate => candidate.signature.every((byte, index) => header[index] === byte));
+
+            if (!item.element) {
+                return;
+            }
+            if (!format) {
+                // Raw DICOM files start with "DICM" after a 128-byte preamble
+                const isDicom = String.fromCharCode(...header.subarray(128, 132)) === 'DICM';
+                this.reject(item, isDicom ? 'dicom' : 'type');
+                return;
+            }
+
+            item.type = format.type;
+            item.element.querySelector('.document-upload__thumb i').className = `fas ${format.icon}`;
+            item.blob = format.type === 'application/pdf' ? item.file : await this.downscale(item.file, format.type);
+
+            // Removed while being checked
+            if (!item.element) {
+                return;
+            }
+            if (item.blob.size > this.maxFileSize) {
+                this.reject(item, 'size');
+                return;
+            }
+
+            this.renderPreview(item);
+            this.restoreSession(item);
+            item.status = 'ready';
+            this.renderState(item);
+        } catch (error) {
+            if (item.element) {
+                console.error('Document check error:', error);
+                this.reject(item, 'read');
+            }
+        }
+    },
+
+    /**
+     * Mark a file that cannot be sent
+     * @param {Object} item - Item
+     * @param {string} reason - Key under documents.errors
+     */
+    reject(item, reason) {
+        item.status = 'invalid';
+        item.error = reason;
+        this.renderState(item);
+    },
+
+    /**
+     * Scale a photo down to maxDimension
+     * Re-encoding also drops the metadata of the photo, such as its location
+     * @param {File} file - JPEG or PNG file
+     * @param {string} type - MIME type
+     * @returns {Promise<Blob>} The smaller image, or the file when it is small enough
+     */
+    async downscale(file, type) {
+        if (!('createImageBitmap' in window)) {
+            return file;
+        }
+
+        const bitmap = await createImageBitmap(file);
+        const scale = this.maxDimension / Math.max(bitmap.width, bitmap.height);
+
+        if (scale >= 1) {
+            bitmap.close();
+            return file;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, this.imageQuality));
+
+        // Keep the original when re-encoding does not help, as with some PNG scans
+        return blob && blob.size < file.size ? blob : file;
+    },
+
+    /**
+     * Show a thumbnail of an image or the first page of a PDF
+     * @param {Object} item - Checked item
+     */
+    renderPreview(item) {
+        const thumb = item.element.querySelector('.document-upload__thumb');
+
+        if (item.type !== 'application/pdf') {
+            item.previewUrl = URL.createObjectURL(item.blob);
+            thumb.innerHTML = `<img class="document-upload__preview" src="${item.previewUrl}" alt="">`;
+            return;
+        }
+
+        // Without pdf.js, e.g. offline, the PDF icon stays
+        this.renderPdfPage(item.file)
+            .then(canvas => {
+                if (item.element) {
+                    thumb.replaceChildren(canvas);
+                }
+            })
+            .catch(error => console.warn('PDF preview unavailable:', error));
+    },
+
+    /**
+     * Load pdf.js once
+     * @returns {Promise<Object>} The pdf.js library
+     */
+    loadPdfjs() {
+        if (!this.pdfjsLoading) {
+            this.pdfjsLoading = import(this.pdfjs.module).then(pdfjsLib => {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = this.pdfjs.worker;
+                return pdfjsLib;
+            });
+            // Try again with the next PDF
+            this.pdfjsLoading.catch(() => {
+                this.pdfjsLoading = null;
+            });
+        }
+        return this.pdfjsLoading;
+    },
+
+    /**
+     * Draw the first page of a PDF
+     * @param {File} file - PDF file
+     * @returns {Promise<HTMLCanvasElement>} Page at thumbnail size
+     */
+    async renderPdfPage(file) {
+        const pdfjsLib = await this.loadPdfjs();
+        const data = new Uint8Array(await file.arrayBuffer());
+        // Fonts are never compiled to code, as the file comes from outside
+        const pdf = await pdfjsLib.getDocument({ data, isEvalSupported: false }).promise;
+
+        try {
+            const page = await pdf.getPage(1);
+            const scale = this.thumbnailWidth * (window.devicePixelRatio || 1) / page.getViewport({ scale: 1 }).width;
+            const viewport = page.getViewport({ scale });
+            const canvas = document.createElement('canvas');
+
+            canvas.className = 'document-upload__preview';
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            return canvas;
+        } finally {
+            pdf.destroy();
+        }
+    },
+
+    /**
+     * Add a row for a file
+     * @param {Object} item - Item
+     */
+    renderItem(item) {
+        const id = `document-${item.id}`;
+        const element = document.createElement('li');
+
+        element.className = 'document-upload__item';
+        element.dataset.uploadId = item.id;
+        element.innerHTML = `
+            <div class="document-upload__thumb">
+                <i class="fas fa-file" aria-hidden="true"></i>
+            </div>
+            <div class="document-upload__details">
+                <p class="document-upload__name" id="${id}-name">${Utils.escapeHTML(item.name)}</p>
+                <p class="document-upload__meta"></p>
+                <div class="document-upload__category-field">
+                    <label class="document-upload__label" for="${id}-category" data-i18n="documents.category">${I18n.t('documents.category')}</label>
+                    <select class="document-upload__category" id="${id}-category" aria-describedby="${id}-category-error">
+                        <option value="" data-i18n="documents.chooseCategory">${I18n.t('documents.chooseCategory')}</option>
+                        ${this.categories.map(category => `
+                            <option value="${category}" data-i18n="documents.categories.${category}">${I18n.t(`documents.categories.${category}`)}</option>
+                        `).join('')}
+                    </select>
+                    <p class="document-upload__error" id="${id}-category-error" hidden></p>
+                </div>
+                <progress class="document-upload__progress" max="100" value="0" aria-labelledby="${id}-name" hidden></progress>
+                <p class="document-upload__state"></p>
+            </div>
+            <div class="document-upload__actions">
+                <button type="button" class="document-upload__action" data-action="pause" aria-describedby="${id}-name"
+                    aria-label="${I18n.t('documents.actions.pause')}" data-i18n-attr="aria-label:documents.actions.pause" hidden>
+                    <i class="fas fa-pause" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="document-upload__action" data-action="resume" aria-describedby="${id}-name"
+                    aria-label="${I18n.t('documents.actions.resume')}" data-i18n-attr="aria-label:documents.actions.resume" hidden>
+                    <i class="fas fa-play" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="document-upload__action" data-action="remove" aria-describedby="${id}-name"
+                    aria-label="${I18n.t('documents.actions.remove')}" data-i18n-attr="aria-label:documents.actions.remove">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+        `;
+
+        item.element = element;
+        this.list.appendChild(element);
+        this.renderState(item);
+    },
+
+    /**
+     * Update a row for the item's status and progress
+     * @param {Object} item - Item
+     */
+    renderState(item) {
+        const element = item.element;
+        const percent = item.blob && item.blob.size ? Math.floor(item.offset / item.blob.size * 100) : 0;
+        const isActive = item.status === 'uploading' || item.status === 'queued';
+        const progress = element.querySelector('.document-upload__progress');
+        const select = element.querySelector('.document-upload__category');
+        let key = `documents.states.${item.status}`;
+
+        if (item.status === 'invalid') {
+            key = `documents.errors.${item.error}`;
+        } else if (item.status === 'ready' && item.session) {
+            key = 'documents.states.resumable';
+        }
+
+        element.dataset.state = item.status;
+        element.querySelector('.document-upload__state').textContent = I18n.t(key, { percent, size: this.maxFileSize / (1024 * 1024) });
+        element.querySelector('.document-upload__meta').textContent = item.blob && item.blob.size < item.file.size
+            ? I18n.t('documents.downscaled', { from: this.formatSize(item.file.size), to: this.formatSize(item.blob.size) })
+            : this.formatSize(item.file.size);
+
+        progress.hidden = ['checking', 'invalid', 'ready'].includes(item.status);
+        progress.value = percent;
+
+        select.value = item.category;
+        select.disabled = item.status !== 'ready' || Boolean(item.session);
+        element.querySelector('.document-upload__category-field').hidden = item.status === 'invalid' || item.status === 'checking';
+
+        element.querySelector('[data-action="pause"]').hidden = !isActive;
+        element.querySelector('[data-action="resume"]').hidden = !['paused', 'failed', 'offline'].includes(item.status);
+        element.querySelector('[data-action="remove"]').hidden = isActive || item.status === 'done';
+    },
+
+    /**
+     * Format a file size for the current language
+     * @param {number} bytes - Size in bytes
+     * @returns {string} E.g. "2,4 MB"
+     */
+    formatSize(bytes) {
+        const [unit, value] = bytes >= 1024 * 1024
+            ? ['megabyte', bytes / (1024 * 1024)]
+            : ['kilobyte', Math.max(1, bytes / 1024)];
+        return new Intl.NumberFormat(I18n.locale(), { style: 'unit', unit, maximumFractionDigits: 1 }).format(value);
+    },
+
+    /**
+     * Validate the form and queue the files ready to send
+     */
+    handleSubmit() {
+        const consent = this.form.elements.consent;
+        const pending = this.items.filter(item => item.status === 'ready');
+        const invalid = pending.filter(item => !item.category).map(item => item.element.querySelector('.document-upload__category'));
+
+        this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.clearError(field));
+
+        if (!pending.length) {
+            this.setStatus(I18n.t(this.items.some(item => item.status === 'checking') ? 'documents.checking' : 'documents.errors.empty'));
+            return;
+        }
+
+        invalid.forEach(select => this.showError(select, I18n.t('documents.errors.category')));
+        if (!consent.checked) {
+            this.showError(consent, I18n.t('documents.errors.consent'));
+            invalid.push(consent);
+        }
+
+        if (invalid.length) {
+            invalid[0].focus();
+            this.setStatus(I18n.t('documents.errors.summary', { count: invalid.length }));
+            return;
+        }
+
+        pending.forEach(item => {
+            item.status = 'queued';
+            this.renderState(item);
+        });
+        this.processQueue();
+    },
+
+    /**
+     * Send the queued files one at a time
+     */
+    async processQueue() {
+        const signal = this.signal;
+        let item;
+
+        if (this.isSending) {
+            return;
+        }
+
+        this.isSending = true;
+        this.submitButton.disabled = true;
+        this.setStatus(I18n.t('documents.sending'));
+
+        while (!signal.aborted && (item = this.items.find(candidate => candidate.status === 'queued'))) {
+            await this.upload(item);
+        }
+
+        if (signal.aborted) {
+            return;
+        }
+
+        this.isSending = false;
+        this.submitButton.disabled = false;
+        this.reportProgress();
+    },
+
+    /**
+     * Send a file chunk by chunk
+     * @param {Object} item - Queued item
+     */
+    async upload(item) {
+        const signal = this.signal;
+        const controller = new AbortController();
+
+        item.controller = controller;
+        item.status = 'uploading';
+        this.renderState(item);
+
+        try {
+            const session = await this.openSession(item, controller.signal);
+
+            item.offset = session.offset;
+            while (item.offset < item.blob.size) {
+                item.offset = await this.sendChunk(item, session.id, item.offset, controller.signal);
+                this.renderState(item);
+            }
+
+            this.forgetSession(item);
+            item.status = 'done';
+            this.renderState(item);
+            // The outcome only: the category would tell what the patient is treated for
+            Analytics.track('document_upload', { status: item.status });
+        } catch (error) {
+            // Paused, removed or the module stopped
+            if (signal.aborted || controller.signal.aborted) {
+                return;
+            }
+
+            if (this.isNetworkError(error)) {
+                item.status = 'offline';
+            } else {
+                console.error('Document upload error:', error);
+                item.status = 'failed';
+                Analytics.track('document_upload', { status: item.status });
+            }
+            this.renderState(item);
+        } finally {
+            item.controller = null;
+        }
+    },
+
+    /**
+     * Resume the stored upload of a file or start a new one
+     * @param {Object} item - Item being sent
+     * @param {AbortSignal} signal - Aborted when the upload is paused
+     * @returns {Promise<Object>} { id, offset }
+     */
+    async openSession(item, signal) {
+        if (item.session) {
+            try {
+                return { id: item.session.id, offset: await this.adapter.getOffset(item.session.id, { signal }) };
+            } catch (error) {
+                if (signal.aborted || this.isNetworkError(error)) {
+                    throw error;
+                }
+                // The server no longer knows the upload: start again
+                this.forgetSession(item);
+            }
+        }
+
+        const session = await this.adapter.create({
+            name: item.name,
+            type: item.type,
+            size: item.blob.size,
+            category: item.category,
+            language: I18n.language
+        }, { signal });
+        const sessions = this.getSessions();
+
+        item.session = { id: session.id, name: item.name, size: item.blob.size, category: item.category, createdAt: Date.now() };
+        sessions[item.fingerprint] = item.session;
+        Utils.writeStorage(this.storageKey, sessions);
+        return session;
+    },
+
+    /**
+     * Send the chunk starting at an offset, retrying connection failures
+     * @param {Object} item - Item being sent
+     * @param {string} id - Upload id
+     * @param {number} offset - First byte of the chunk
+     * @param {AbortSignal} signal - Aborted when the upload is paused
+     * @param {number} attempt - Current attempt number
+     * @returns {Promise<number>} Offset confirmed by the server
+     */
+    async sendChunk(item, id, offset, signal, attempt = 1) {
+        const chunk = item.blob.slice(offset, offset + this.chunkSize);
+
+        try {
+            return await this.adapter.send(id, offset, chunk, { signal });
+        } catch (error) {
+            if (signal.aborted || !this.isNetworkError(error) || attempt >= this.maxAttempts) {
+                throw error;
+            }
+
+            await this.wait(this.retryDelay * Math.pow(2, attempt - 1), signal);
+
+            // The chunk may have arrived before the connection dropped
+            const confirmed = await this.adapter.getOffset(id, { signal }).catch(() => offset);
+            return confirmed !== offset ? confirmed : this.sendChunk(item, id, offset, signal, attempt + 1);
+        }
+    },
+
+    /**
+     * Wait before a retry
+     * @param {number} delay - Milliseconds
+     * @param {AbortSignal} signal - Cancels the wait
+     * @returns {Promise} Resolves after the delay
+     */
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delay);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
+    },
+
+    /**
+     * Tell connection failures apart from rejected uploads
+     * @param {Error} error - Upload error
+     * @returns {boolean} Whether the upload can resume later
+     */
+    isNetworkError(error) {
+        return error instanceof TypeError || error.name === 'NetworkError';
+    },
+
+    /**
+     * Read the stored sessions, dropping expired ones
+     * @returns {Object} Sessions by file fingerprint
+     */
+    getSessions() {
+        const sessions = Utils.readStorage(this.storageKey, {});
+
+        Object.keys(sessions).forEach(fingerprint => {
+            if (Date.now() - sessions[fingerprint].createdAt > this.sessionLifetime) {
+                delete sessions[fingerprint];
+            }
+        });
+        return sessions;
+    },
+
+    /**
+     * Pick up the stored session of a file chosen again
+     * @param {Object} item - Checked item
+     */
+    restoreSession(item) {
+        const session = this.getSessions()[item.fingerprint];
+
+        // A photo downscaled differently is a different upload
+        if (!session || session.size !== item.blob.size) {
+            return;
+        }
+
+        item.session = session;
+        item.category = session.category;
+        this.adapter.getOffset(session.id)
+            .then(offset => {
+                item.offset = offset;
+                if (item.element && item.status === 'ready') {
+                    this.renderState(item);
+                }
+            })
+            .catch(() => {});
+    },
+
+    /**
+     * Drop the stored session of an item
+     * @param {Object} item - Item
+     */
+    forgetSession(item) {
+        const sessions = this.getSessions();
+
+        delete sessions[item.fingerprint];
+        Utils.writeStorage(this.storageKey, sessions);
+        item.session = null;
+    },
+
+    /**
+     * Pause an upload; the chunk being sent is cancelled
+     * @param {Object} item - Queued or uploading item
+     */
+    pause(item) {
+        item.status = 'paused';
+        if (item.controller) {
+            item.controller.abort();
+        }
+        this.renderState(item);
+        this.reportProgress();
+    },
+
+    /**
+     * Queue a paused, failed or offline upload again
+     * @param {Object} item - Item
+     */
+    resume(item) {
+        item.status = 'queued';
+        this.renderState(item);
+        this.processQueue();
+    },
+
+    /**
+     * Remove a file from the list, abandoning its upload
+     * @param {Object} item - Item
+     */
+    remove(item) {
+        const index = this.items.indexOf(item);
+        const neighbour = this.items[index + 1] || this.items[index - 1];
+        const next = neighbour && neighbour.element.querySelector('.document-upload__action:not([hidden])');
+
+        if (item.session) {
+            this.forgetSession(item);
+        }
+        this.release(item);
+        this.items.splice(index, 1);
+
+        // Keep the focus in the list
+        (next || this.input).focus();
+        this.showInterrupted();
+    },
+
+    /**
+     * Stop an item's upload and free its row and preview
+     * @param {Object} item - Item
+     */
+    release(item) {
+        if (item.controller) {
+            item.controller.abort();
+        }
+        if (item.previewUrl) {
+            URL.revokeObjectURL(item.previewUrl);
+        }
+        item.element.remove();
+        item.element = null;
+    },
+
+    /**
+     * Announce how the uploads ended
+     */
+    reportProgress() {
+        const count = status => this.items.filter(item => item.status === status).length;
+        const sent = count('done');
+        const waiting = count('paused') + count('failed');
+
+        if (this.isSending) {
+            return;
+        }
+        if (count('offline')) {
+            this.setStatus(I18n.t('documents.states.offline'));
+        } else if (waiting) {
+            this.setStatus(I18n.t('documents.incomplete', { count: waiting }));
+        } else if (sent) {
+            this.setStatus(I18n.t('documents.sent', { count: sent }));
+        }
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {HTMLElement} field - Category select or consent checkbox
+     * @param {string} message - Error message
+     */
+    showError(field, message) {
+        const error = document.getElementById(field.getAttribute('aria-describedby'));
+        field.setAttribute('aria-invalid', 'true');
+        error.textContent = message;
+        error.hidden = false;
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {HTMLElement} field - Category select or consent checkbox
+     */
+    clearError(field) {
+        const error = document.getElementById(field.getAttribute('aria-describedby'));
+        field.removeAttribute('aria-invalid');
+        error.textContent = '';
+        error.hidden = true;
+    },
+
+    /**
+     * Announce a form-level message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * MOCK DOCUMENT ADAPTER
+ * Local stand-in for the document upload server. It keeps the upload sessions,
+ * not the files, in localStorage so uploads can be resumed after a reload
+ */
+const MockDocumentAdapter = {
+    storageKey: 'galenica:document-server',
+    latency: 150,
+
+    /**
+     * Start an upload
+     * @param {Object} metadata - { name, type, size, category, language }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} { id, offset }
+     */
+    create(metadata, options = {}) {
+        return this.respond(() => {
+            const uploads = Utils.readStorage(this.storageKey, {});
+            const id = `DOC-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+
+            uploads[id] = Object.assign({ offset: 0, createdAt: new Date().toISOString() }, metadata);
+            Utils.writeStorage(this.storageKey, uploads);
+            return { id, offset: 0 };
+        }, options.signal);
+    },
+
+    /**
+     * Get how much of an upload was received
+     * @param {string} id - Upload id
+     * @param {Object} options - { signal }
+     * @returns {Promise<number>} Confirmed offset
+     */
+    getOffset(id, options = {}) {
+        return this.respond(() => this.find(id).offset, options.signal);
+    },
+
+    /**
+     * Append a chunk to an upload
+     * @param {string} id - Upload id
+     * @param {number} offset - First byte of the chunk
+     * @param {Blob} chunk - Chunk
+     * @param {Object} options - { signal }
+     * @returns {Promise<number>} Confirmed offset
+     */
+    send(id, offset, chunk, options = {}) {
+        return this.respond(() => {
+            const uploads = Utils.readStorage(this.storageKey, {});
+            const upload = this.find(id, uploads);
+
+            if (offset !== upload.offset) {
+                throw new Error(`Upload ${id} is at ${upload.offset}, not ${offset}`);
+            }
+
+            upload.offset = Math.min(offset + chunk.size, upload.size);
+            Utils.writeStorage(this.storageKey, uploads);
+            return upload.offset;
+        }, options.signal);
+    },
+
+    /**
+     * Get a stored upload
+     * @param {string} id - Upload id
+     * @param {Object} uploads - Stored uploads
+     * @returns {Object} Upload
+     */
+    find(id, uploads = Utils.readStorage(this.storageKey, {})) {
+        if (!uploads[id]) {
+            throw new Error(`Unknown upload ${id}`);
+        }
+        return uploads[id];
+    },
+
+    /**
+     * Answer after the simulated latency, unless cancelled
+     * @param {Function} handler - Produces the response, or throws
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise} Response
+     */
+    respond(handler, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                try {
+                    resolve(handler());
+                } catch (error) {
+                    reject(error);
+                }
+            }, this.latency);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+};
+
+/**
+ * HTTP DOCUMENT ADAPTER
+ * Sends documents to the upload server in chunks:
+ * POST {endpoint} with the metadata as JSON answers { id },
+ * PATCH {endpoint}/{id} appends the body at the Upload-Offset header and
+ * HEAD {endpoint}/{id} answers the received size in Upload-Offset
+ */
+const HttpDocumentAdapter = {
+    /**
+     * Create an adapter bound to an endpoint
+     * @param {string} endpoint - Upload endpoint URL
+     * @returns {Object} Document adapter
+     */
+    create(endpoint) {
+        const url = new URL(endpoint, window.location.href);
+
+        // Medical documents never travel unencrypted
+        if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+            throw new Error(`Document endpoint must use HTTPS: ${endpoint}`);
+        }
+
+        const base = url.href.replace(/\/$/, '');
+        const request = (path, options) => fetch(`${base}${path}`, Object.assign({ credentials: 'same-origin', cache: 'no-store' }, options))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Document endpoint error ${response.status}`);
+                }
+                return response;
+            });
+        const readOffset = response => Number(response.headers.get('Upload-Offset'));
+
+        return {
+            create(metadata, options = {}) {
+                return request('', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(metadata),
+                    signal: options.signal
+                })
+                    .then(response => response.json())
+                    .then(upload => ({ id: upload.id, offset: 0 }));
+            },
+
+            getOffset(id, options = {}) {
+                return request(`/${encodeURIComponent(id)}`, { method: 'HEAD', signal: options.signal }).then(readOffset);
+            },
+
+            send(id, offset, chunk, options = {}) {
+                return request(`/${encodeURIComponent(id)}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+                    body: chunk,
+                    signal: options.signal
+                }).then(readOffset);
+            }
+        };
+    }
+};
+
+/**
+ * CHAT MODULE
+ * Secure messaging with the secretaries and the doctors for signed-in patients:
+ * a floating launcher with an unread badge, and a panel with one conversation
+ * per recipient, typing indicators, read receipts and attachments.
+ * Messages go through a swappable transport; those written while offline wait
+ * in the outbox and are sent again after reconnecting. Like the tokens, the
+ * conversation and the outbox stay in memory and are dropped on sign-out.
+ * <body data-chat-socket="wss://..."> connects over WebSocket and
+ * <body data-chat-endpoint="https://..."> with long polling, which is also the
+ * fallback when the socket cannot connect; the local mock server is used otherwise
+ */
+const Chat = {
+    dependencies: ['I18n', 'Auth', 'DocumentUpload', 'Analytics'],
+
+    maxLength: 2000,
+
+    maxAttachments: 3,
+
+    maxAttachmentSize: 5 * 1024 * 1024,
+
+    // Waits between reconnections double after each failure, up to the maximum
+    reconnectDelay: 1000,
+
+    maxReconnectDelay: 30 * 1000,
+
+    // Socket connections that never opened before switching to long polling
+    maxSocketFailures: 3,
+
+    // Typing notices are repeated while typing and expire without news
+    typingInterval: 3000,
+
+    typingTimeout: 6000,
+
+    /**
+     * Initialize the launcher and the conversation panel
+     */
+    init() {
+        const config = document.body.dataset;
+        const transports = [
+            config.chatSocket ? WebSocketChatTransport.create(config.chatSocket) : null,
+            config.chatEndpoint ? LongPollChatTransport.create(config.chatEndpoint) : null
+        ].filter(Boolean);
+
+        this.transports = this.transports || (transports.length ? transports : [MockChatTransport]);
+        this.transport = null;
+        this.connection = 'offline';
+        this.attempts = 0;
+        this.socketFailures = 0;
+        this.reset();
+
+        this.buildWidget();
+        this.bindEvents();
+        this.render();
+
+        if (Auth.isAuthenticated()) {
+            this.connect();
+        }
+    },
+
+    /**
+     * Disconnect and remove the widget
+     */
+    destroy() {
+        this.disconnect();
+        this.reset();
+        [this.launcher, this.panel, this.announcer].forEach(element => element && element.remove());
+        this.launcher = null;
+        this.panel = null;
+        this.announcer = null;
+    },
+
+    /**
+     * Replace the transports
+     * @param {Object} transport - Object implementing open(), send() and close()
+     * @param {Object} fallback - Transport used when the first one keeps failing to connect
+     */
+    setTransport(transport, fallback) {
+        this.transports = [transport, fallback].filter(Boolean);
+    },
+
+    /**
+     * Forget the conversation
+     */
+    reset() {
+        (this.objectUrls || []).forEach(url => URL.revokeObjectURL(url));
+        (this.typing ? Array.from(this.typing.values()) : []).forEach(entry => clearTimeout(entry.timer));
+
+        this.threads = [];
+        this.messages = new Map();
+        this.unread = new Map();
+        this.typing = new Map();
+        this.outbox = [];
+        this.pending = [];
+        this.objectUrls = [];
+        this.activeThread = null;
+        this.nextClientId = 1;
+        this.typingSentAt = 0;
+    },
+
+    /**
+     * Create the launcher, the panel and the announcer
+     */
+    buildWidget() {
+        this.launcher = document.createElement('button');
+        this.launcher.type = 'button';
+        this.launcher.className = 'chat-launcher';
+        this.launcher.setAttribute('aria-expanded', 'false');
+        this.launcher.setAttribute('aria-controls', 'chat-panel');
+        this.launcher.innerHTML = `
+            <i class="fas fa-comments" aria-hidden="true"></i>
+            <span class="chat-launcher__badge" aria-hidden="true" hidden></span>
+        `;
+
+        this.panel = document.createElement('section');
+        this.panel.className = 'chat-panel';
+        this.panel.id = 'chat-panel';
+        this.panel.hidden = true;
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-labelledby', 'chat-title');
+        this.panel.innerHTML = `
+            <div class="chat-panel__header">
+                <div>
+                    <h2 class="chat-panel__title" id="chat-title" data-i18n="chat.title">${I18n.t('chat.title')}</h2>
+                    <p class="chat-panel__connection" role="status"></p>
+                </div>
+                <button type="button" class="chat-panel__close" data-chat-action="close"
+                    aria-label="${I18n.t('chat.close')}" data-i18n-attr="aria-label:chat.close">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="chat-panel__signin">
+                <p data-i18n="chat.signIn">${I18n.t('chat.signIn')}</p>
+                <button type="button" class="btn btn--primary" data-chat-action="login" data-i18n="auth.login">${I18n.t('auth.login')}</button>
+            </div>
+            <div class="chat-panel__conversation" hidden>
+                <div class="chat-panel__threads" role="group" aria-label="${I18n.t('chat.threads')}" data-i18n-attr="aria-label:chat.threads"></div>
+                <ol class="chat-panel__log" role="log" aria-labelledby="chat-title"></ol>
+                <p class="chat-panel__typing" hidden></p>
+                <form class="chat-composer" novalidate>
+                    <ul class="chat-composer__attachments" hidden></ul>
+                    <p class="chat-composer__error" id="chat-error" hidden></p>
+                    <div class="chat-composer__row">
+                        <button type="button" class="chat-composer__attach" data-chat-action="attach"
+                            aria-label="${I18n.t('chat.attach')}" data-i18n-attr="aria-label:chat.attach">
+                            <i class="fas fa-paperclip" aria-hidden="true"></i>
+                        </button>
+                        <input type="file" class="chat-composer__file" multiple hidden
+                            accept=".pdf,.jpg,.jpeg,.png,application/pdf,image/jpeg,image/png">
+                        <textarea class="chat-composer__input" name="message" rows="2" maxlength="${this.maxLength}" aria-describedby="chat-error"
+                            aria-label="${I18n.t('chat.input')}" placeholder="${I18n.t('chat.placeholder')}"
+                            data-i18n-attr="aria-label:chat.input;placeholder:chat.placeholder"></textarea>
+                        <button type="submit" class="chat-composer__send" aria-label="${I18n.t('chat.send')}" data-i18n-attr="aria-label:chat.send">
+                            <i class="fas fa-paper-plane" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        // Messages that arrive while the panel is closed or shows another conversation
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'chat-announcer';
+        this.announcer.setAttribute('aria-live', 'polite');
+
+        document.body.append(this.launcher, this.panel, this.announcer);
+
+        this.badge = this.launcher.querySelector('.chat-launcher__badge');
+        this.connectionStatus = this.panel.querySelector('.chat-panel__connection');
+        this.signIn = this.panel.querySelector('.chat-panel__signin');
+        this.conversation = this.panel.querySelector('.chat-panel__conversation');
+        this.threadList = this.panel.querySelector('.chat-panel__threads');
+        this.log = this.panel.querySelector('.chat-panel__log');
+        this.typingStatus = this.panel.querySelector('.chat-panel__typing');
+        this.form = this.panel.querySelector('.chat-composer');
+        this.attachmentList = this.panel.querySelector('.chat-composer__attachments');
+        this.error = this.panel.querySelector('.chat-composer__error');
+        this.fileInput = this.panel.querySelector('.chat-composer__file');
+        this.input = this.panel.querySelector('.chat-composer__input');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.launcher.addEventListener('click', () => this.setOpen(this.panel.hidden), { signal: this.signal });
+
+        // "Scrivici in chat" buttons elsewhere on the page
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-chat-open]')) {
+                this.setOpen(true);
+            }
+        }, { signal: this.signal });
+
+        this.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-chat-action]');
+            if (!button) {
+                return;
+            }
+
+            switch (button.dataset.chatAction) {
+                case 'close':
+                    this.setOpen(false);
+                    this.launcher.focus();
+                    break;
+                case 'login':
+                    Auth.login('#contact');
+                    break;
+                case 'thread':
+                    this.selectThread(button.dataset.thread);
+                    break;
+                case 'attach':
+                    this.fileInput.click();
+                    break;
+                case 'remove-attachment':
+                    this.pending.splice(Number(button.dataset.index), 1);
+                    this.renderAttachments();
+                    this.input.focus();
+                    break;
+                case 'retry':
+                    this.retry(button.dataset.clientId);
+                    break;
+            }
+        }, { signal: this.signal });
+
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setOpen(false);
+                this.launcher.focus();
+            }
+        }, { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Enter sends, Shift+Enter starts a new line
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+                e.preventDefault();
+                this.handleSubmit();
+            }
+        }, { signal: this.signal });
+
+        this.input.addEventListener('input', () => this.sendTyping(Boolean(this.input.value.trim())), { signal: this.signal });
+
+        this.fileInput.addEventListener('change', () => {
+            this.addAttachments(Array.from(this.fileInput.files));
+            this.fileInput.value = '';
+        }, { signal: this.signal });
+
+        window.addEventListener('online', () => {
+            if (!this.transport && Auth.isAuthenticated()) {
+                this.attempts = 0;
+                this.connect();
+            }
+        }, { signal: this.signal });
+
+        document.addEventListener('visibilitychange', () => {
+            if (this.isViewing(this.activeThread)) {
+                this.markRead(this.activeThread);
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('auth:change', ({ user }) => {
+            if (user) {
+                this.connect();
+            } else {
+                this.disconnect();
+                this.reset();
+                this.log.innerHTML = '';
+            }
+            this.render();
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            this.render();
+            this.renderLog();
+            this.renderAttachments();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} open - Whether the panel should be visible
+     */
+    setOpen(open) {
+        if (open === !this.panel.hidden) {
+            return;
+        }
+
+        this.panel.hidden = !open;
+        this.launcher.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            Analytics.track('chat_open');
+            (Auth.isAuthenticated() ? this.input : this.signIn.querySelector('button')).focus();
+            if (this.isViewing(this.activeThread)) {
+                this.markRead(this.activeThread);
+            }
+            this.scrollToEnd();
+        }
+    },
+
+    /**
+     * Check whether the patient can see a conversation right now
+     * @param {string} thread - Conversation id
+     * @returns {boolean} True when its messages are on screen
+     */
+    isViewing(thread) {
+        return Boolean(thread) && thread === this.activeThread && !this.panel.hidden && !document.hidden && Auth.isAuthenticated();
+    },
+
+    /**
+     * Connect with the first usable transport
+     */
+    connect() {
+        if (this.transport || !Auth.isAuthenticated()) {
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+
+        const [primary, fallback] = this.transports;
+        const transport = fallback && (primary.supported === false || this.socketFailures >= this.maxSocketFailures) ? fallback : primary;
+
+        this.transport = transport;
+        this.setConnection('connecting');
+
+        try {
+            transport.open({
+                onOpen: () => this.handleOpen(transport),
+                onFrame: (frame) => {
+                    if (this.transport === transport) {
+                        this.handleFrame(frame);
+                    }
+                },
+                onClose: (info) => this.handleClose(transport, info || {})
+            }, { token: Auth.getAccessToken() });
+        } catch (error) {
+            console.warn('Chat connection error:', error);
+            this.handleClose(transport, { opened: false });
+        }
+    },
+
+    /**
+     * Close the connection on purpose, without reconnecting
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.typingTimer);
+
+        const transport = this.transport;
+        this.transport = null;
+        this.connection = 'offline';
+        if (transport) {
+            transport.close();
+        }
+    },
+
+    /**
+     * Catch up with the server and send the outbox once connected
+     * @param {Object} transport - Transport that connected
+     */
+    handleOpen(transport) {
+        if (this.transport !== transport) {
+            return;
+        }
+
+        this.attempts = 0;
+        this.socketFailures = 0;
+        this.setConnection('online');
+        this.send({ type: 'sync' });
+
+        // The server ignores messages it already has, by clientId
+        this.outbox.forEach(message => this.transmit(message));
+    },
+
+    /**
+     * Reconnect after a lost connection
+     * @param {Object} transport - Transport that closed
+     * @param {Object} info - { opened: whether it had connected, code: close code }
+     */
+    handleClose(transport, info) {
+        if (this.transport !== transport) {
+            return;
+        }
+
+        this.transport = null;
+        if (!info.opened && transport === this.transports[0]) {
+            this.socketFailures += 1;
+        }
+        this.setConnection('offline');
+
+        // 4001: the server refused the access token
+        if (info.code === 4001) {
+            Auth.refresh().then(() => this.connect(), () => Auth.promptLogin());
+            return;
+        }
+
+        this.scheduleReconnect();
+    },
+
+    /**
+     * Try to connect again later, waiting longer after each failure
+     */
+    scheduleReconnect() {
+        if (!Auth.isAuthenticated()) {
+            return;
+        }
+
+        this.attempts = (this.attempts || 0) + 1;
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, this.attempts - 1));
+
+        // Jitter keeps clients from reconnecting all at once after an outage
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay * (0.5 + Math.random() / 2));
+    },
+
+    /**
+     * Send a frame if connected
+     * @param {Object} frame - Protocol frame
+     * @returns {boolean} Whether it was handed to the transport
+     */
+    send(frame) {
+        if (this.connection !== 'online') {
+            return false;
+        }
+
+        this.transport.send(frame).catch(error => console.warn('Chat send error:', error));
+        return true;
+    },
+
+    /**
+     * Show the connection state
+     * @param {string} state - "online", "connecting" or "offline"
+     */
+    setConnection(state) {
+        this.connection = state;
+        this.renderConnection();
+    },
+
+    /**
+     * Apply a frame from the server
+     * @param {Object} frame - { type: "history" | "message" | "ack" | "read" | "typing" | "error", ... }
+     */
+    handleFrame(frame) {
+        switch (frame.type) {
+            case 'history':
+                this.threads = Array.isArray(frame.threads) ? frame.threads : [];
+                this.threads.forEach(thread => this.unread.set(thread.id, Number(thread.unread) || 0));
+                (frame.messages || []).forEach(message => this.store(this.normalize(message)));
+                this.messages.forEach(list => list.sort((a, b) => a.sentAt.localeCompare(b.sentAt)));
+
+                if (!this.threads.some(thread => thread.id === this.activeThread)) {
+                    this.activeThread = this.threads.length ? this.threads[0].id : null;
+                }
+                this.render();
+                this.renderLog();
+                if (this.isViewing(this.activeThread)) {
+                    this.markRead(this.activeThread);
+                }
+                break;
+
+            case 'message':
+                this.receive(this.normalize(frame.message));
+                break;
+
+            case 'ack': {
+                const message = this.findMessage(frame.message.thread, frame.clientId);
+                this.outbox = this.outbox.filter(entry => entry.clientId !== frame.clientId);
+                if (message) {
+                    Object.assign(message, this.normalize(frame.message, message.sentAt), { status: message.status === 'read' ? 'read' : 'sent' });
+                    this.renderMessage(message);
+                }
+                this.renderConnection();
+                break;
+            }
+
+            case 'read': {
+                const list = this.messages.get(frame.thread) || [];
+                const last = list.findIndex(message => message.id === frame.upTo);
+                list.slice(0, last + 1).filter(message => message.from === 'patient' && message.status === 'sent').forEach(message => {
+                    message.status = 'read';
+                    this.renderMessage(message);
+                });
+                break;
+            }
+
+            case 'typing':
+                this.setTyping(frame.thread, frame.typing ? frame.author : null);
+                break;
+
+            case 'error': {
+                const entry = this.outbox.find(message => message.clientId === frame.clientId);
+                if (entry) {
+                    this.outbox = this.outbox.filter(message => message !== entry);
+                    entry.status = 'failed';
+                    this.renderMessage(entry);
+                    this.renderConnection();
+                }
+                break;
+            }
+        }
+    },
+
+    /**
+     * Check the time of a message from the server, which the list is sorted and
+     * rendered by: a missing or malformed sentAt becomes the time it arrived
+     * @param {Object} message - Message from a frame
+     * @param {string} fallback - ISO time to use instead, e.g. the one given when written
+     * @returns {Object} Copy with an ISO sentAt
+     */
+    normalize(message, fallback = new Date().toISOString()) {
+        const time = typeof message.sentAt === 'string' ? Date.parse(message.sentAt) : NaN;
+        return Object.assign({}, message, { sentAt: Number.isNaN(time) ? fallback : new Date(time).toISOString() });
+    },
+
+    /**
+     * Add a new message from the server, announcing it when it is not on screen
+     * @param {Object} message - Message
+     */
+    receive(message) {
+        const stored = this.store(message);
+        if (message.from !== 'staff') {
+            this.renderMessage(stored);
+            return;
+        }
+
+        this.setTyping(message.thread, null);
+
+        if (this.isViewing(message.thread)) {
+            this.renderMessage(stored);
+            this.markRead(message.thread);
+        } else {
+            this.unread.set(message.thread, (this.unread.get(message.thread) || 0) + 1);
+            if (message.thread === this.activeThread) {
+                this.renderMessage(stored);
+            }
+            this.announce(I18n.t('chat.newMessage', { name: this.getThreadName(message.thread) }));
+            this.renderBadges();
+        }
+    },
+
+    /**
+     * Add or update a message in its conversation
+     * @param {Object} message - Message from the server or written here
+     * @returns {Object} Stored message
+     */
+    store(message) {
+        if (!this.messages.has(message.thread)) {
+            this.messages.set(message.thread, []);
+        }
+
+        const list = this.messages.get(message.thread);
+        const existing = list.find(entry => (message.clientId && entry.clientId === message.clientId) || (message.id && entry.id === message.id));
+        if (existing) {
+            return Object.assign(existing, message);
+        }
+
+        const stored = Object.assign({ attachments: [], status: message.from === 'patient' ? 'sent' : 'received' }, message);
+        list.push(stored);
+        return stored;
+    },
+
+    /**
+     * Find a message written here
+     * @param {string} thread - Conversation id
+     * @param {string} clientId - Id given when written
+     * @returns {Object|undefined} Message
+     */
+    findMessage(thread, clientId) {
+        return (this.messages.get(thread) || []).find(message => message.clientId === clientId);
+    },
+
+    /**
+     * Tell the server the patient has seen a conversation
+     * @param {string} thread - Conversation id
+     */
+    markRead(thread) {
+        if (!this.unread.get(thread)) {
+            return;
+        }
+
+        const last = (this.messages.get(thread) || []).filter(message => message.from === 'staff' && message.id).pop();
+
+        // Offline the count stays, so the receipt is sent after the next sync
+        if (last && this.send({ type: 'read', thread, upTo: last.id })) {
+            this.unread.set(thread, 0);
+            this.renderBadges();
+        }
+    },
+
+    /**
+     * Tell the server whether the patient is typing, at most every typingInterval
+     * @param {boolean} typing - Whether there is text being written
+     */
+    sendTyping(typing) {
+        clearTimeout(this.typingTimer);
+
+        if (typing) {
+            if (Date.now() - this.typingSentAt > this.typingInterval) {
+                this.typingSentAt = Date.now();
+                this.send({ type: 'typing', thread: this.activeThread, typing: true });
+            }
+            this.typingTimer = setTimeout(() => this.sendTyping(false), this.typingInterval);
+        } else if (this.typingSentAt) {
+            this.typingSentAt = 0;
+            this.send({ type: 'typing', thread: this.activeThread, typing: false });
+        }
+    },
+
+    /**
+     * Show or clear someone typing in a conversation
+     * @param {string} thread - Conversation id
+     * @param {string|null} author - Who is typing, null when they stopped
+     */
+    setTyping(thread, author) {
+        const entry = this.typing.get(thread);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.typing.delete(thread);
+        }
+
+        // Notices are repeated while typing, so a lost "stopped" frame is not shown forever
+        if (author) {
+            this.typing.set(thread, { author, timer: setTimeout(() => this.setTyping(thread, null), this.typingTimeout) });
+        }
+        this.renderTyping();
+    },
+
+    /**
+     * Switch to another conversation
+     * @param {string} thread - Conversation id
+     */
+    selectThread(thread) {
+        if (thread === this.activeThread || !this.threads.some(entry => entry.id === thread)) {
+            return;
+        }
+
+        this.sendTyping(false);
+        this.activeThread = thread;
+        this.render();
+        this.renderLog();
+        this.markRead(thread);
+    },
+
+    /**
+     * Validate and send the message being written
+     */
+    handleSubmit() {
+        const text = this.input.value.trim();
+
+        this.clearError();
+        if (!Auth.isAuthenticated() || !this.activeThread) {
+            return;
+        }
+        if (!text && !this.pending.length) {
+            this.showError(I18n.t('chat.errors.empty'));
+            return;
+        }
+
+        const message = this.store({
+            clientId: `${Date.now().toString(36)}-${this.nextClientId++}`,
+            thread: this.activeThread,
+            from: 'patient',
+            author: Auth.getUser().name,
+            text,
+            attachments: this.pending,
+            sentAt: new Date().toISOString(),
+            status: 'queued'
+        });
+
+        this.pending = [];
+        this.input.value = '';
+        this.sendTyping(false);
+        this.renderAttachments();
+
+        this.outbox.push(message);
+        this.renderMessage(message);
+        this.transmit(message);
+        this.renderConnection();
+
+        Analytics.track('chat_message', { attachments: message.attachments.length });
+    },
+
+    /**
+     * Hand a message to the transport; it stays in the outbox until the server acknowledges it
+     * @param {Object} message - Message written here
+     */
+    transmit(message) {
+        this.send({
+            type: 'message',
+            clientId: message.clientId,
+            thread: message.thread,
+            text: message.text,
+            attachments: message.attachments.map(({ name, type, size, data }) => ({ name, type, size, data }))
+        });
+    },
+
+    /**
+     * Send a message the server refused once more
+     * @param {string} clientId - Id given when written
+     */
+    retry(clientId) {
+        const message = this.findMessage(this.activeThread, clientId);
+        if (!message || message.status !== 'failed') {
+            return;
+        }
+
+        message.status = 'queued';
+        this.outbox.push(message);
+        this.renderMessage(message);
+        this.transmit(message);
+    },
+
+    /**
+     * Check and read files to attach to the next message
+     * @param {Array} files - Files chosen by the patient
+     */
+    async addAttachments(files) {
+        this.clearError();
+
+        for (const file of files) {
+            if (this.pending.length >= this.maxAttachments) {
+                this.showError(I18n.t('chat.errors.count', { count: this.maxAttachments }));
+                break;
+            }
+            if (file.size > this.maxAttachmentSize) {
+                this.showError(I18n.t('chat.errors.size', { name: file.name, size: this.maxAttachmentSize / (1024 * 1024) }));
+                continue;
+            }
+
+            try {
+                // Same formats as the document upload, recognised by their first bytes
+                const header = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+                const format = DocumentUpload.formats.find(candidate => candidate.signature.every((byte, index) => header[index] === byte));
+
+                if (!format) {
+                    this.showError(I18n.t('chat.errors.type', { name: file.name }));
+                    continue;
+                }
+
+                const data = await this.readBase64(file);
+                this.pending.push({ name: file.name, type: format.type, size: file.size, data });
+            } catch (error) {
+                console.error('Chat attachment error:', error);
+                this.showError(I18n.t('chat.errors.read', { name: file.name }));
+            }
+        }
+
+        this.renderAttachments();
+    },
+
+    /**
+     * Read a file as base64
+     * @param {Blob} file - File
+     * @returns {Promise<string>} Base64 content without the data: prefix
+     */
+    readBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    },
+
+    /**
+     * Get a link to an attachment
+     * @param {Object} attachment - { name, type, size, data } or { ..., url } from the server
+     * @returns {string|null} Object URL or https URL
+     */
+    getAttachmentUrl(attachment) {
+        if (attachment.data) {
+            if (!attachment.objectUrl) {
+                const bytes = Uint8Array.from(atob(attachment.data), c => c.charCodeAt(0));
+                attachment.objectUrl = URL.createObjectURL(new Blob([bytes], { type: attachment.type }));
+                this.objectUrls.push(attachment.objectUrl);
+            }
+            return attachment.objectUrl;
+        }
+        return /^https:\/\//.test(attachment.url || '') ? attachment.url : null;
+    },
+
+    /**
+     * Get the name of a conversation
+     * @param {string} thread - Conversation id
+     * @returns {string} Secretary or doctor name
+     */
+    getThreadName(thread) {
+        const entry = this.threads.find(candidate => candidate.id === thread);
+        if (!entry) {
+            return '';
+        }
+        return entry.role === 'secretary' ? I18n.t('chat.secretary') : entry.name;
+    },
+
+    /**
+     * Show the parts of the panel for the current session and conversation
+     */
+    render() {
+        const signedIn = Auth.isAuthenticated();
+
+        this.signIn.hidden = signedIn;
+        this.conversation.hidden = !signedIn;
+
+        this.threadList.innerHTML = this.threads.map(thread => {
+            const name = Utils.escapeHTML(this.getThreadName(thread.id));
+            return `
+                <button type="button" class="chat-panel__thread" data-chat-action="thread" data-thread="${Utils.escapeHTML(thread.id)}"
+                    aria-pressed="${thread.id === this.activeThread}">
+                    <i class="fas ${thread.role === 'secretary' ? 'fa-headset' : 'fa-user-md'}" aria-hidden="true"></i>
+                    <span>${name}</span>
+                    <span class="chat-panel__thread-badge" hidden></span>
+                </button>
+            `;
+        }).join('');
+
+        this.renderBadges();
+        this.renderConnection();
+        this.renderTyping();
+    },
+
+    /**
+     * Show the unread counts on the launcher and on the conversations
+     */
+    renderBadges() {
+        const total = Array.from(this.unread.values()).reduce((sum, count) => sum + count, 0);
+
+        this.badge.hidden = !total;
+        this.badge.textContent = total > 99 ? '99+' : String(total);
+        this.launcher.setAttribute('aria-label', total ? I18n.t('chat.openUnread', { count: total }) : I18n.t('chat.open'));
+
+        this.threadList.querySelectorAll('.chat-panel__thread').forEach(button => {
+            const count = this.unread.get(button.dataset.thread) || 0;
+            const badge = button.querySelector('.chat-panel__thread-badge');
+
+            badge.hidden = !count;
+            badge.textContent = String(count);
+            if (count) {
+                button.setAttribute('aria-label', I18n.t('chat.threadUnread', { name: this.getThreadName(button.dataset.thread), count }));
+            } else {
+                button.removeAttribute('aria-label');
+            }
+        });
+    },
+
+    /**
+     * Show whether messages can be sent right now
+     */
+    renderConnection() {
+        const waiting = this.outbox.filter(message => message.status === 'queued').length;
+        let text = '';
+
+        if (Auth.isAuthenticated()) {
+            if (this.connection === 'online') {
+                text = I18n.t('chat.connection.online');
+            } else if (waiting) {
+                text = I18n.t('chat.connection.queued', { count: waiting });
+            } else {
+                text = I18n.t(`chat.connection.${this.connection}`);
+            }
+        }
+
+        this.connectionStatus.textContent = text;
+        this.panel.dataset.connection = this.connection;
+    },
+
+    /**
+     * Show who is typing in the open conversation
+     */
+    renderTyping() {
+        const entry = this.typing.get(this.activeThread);
+
+        this.typingStatus.hidden = !entry;
+        this.typingStatus.textContent = entry ? I18n.t('chat.typing', { name: this.getThreadName(this.activeThread) || entry.author }) : '';
+    },
+
+    /**
+     * Draw the whole open conversation
+     */
+    renderLog() {
+        // Busy while rebuilding, so screen readers do not read out the whole history
+        this.log.setAttribute('aria-busy', 'true');
+        this.log.innerHTML = '';
+        (this.messages.get(this.activeThread) || []).forEach(message => this.renderMessage(message));
+        this.log.setAttribute('aria-busy', 'false');
+
+        if (this.activeThread && !this.log.children.length) {
+            this.log.innerHTML = `<li class="chat-panel__empty">${I18n.t('chat.empty')}</li>`;
+        }
+    },
+
+    /**
+     * Add a message to the log, or update it in place
+     * @param {Object} message - Message
+     */
+    renderMessage(message) {
+        if (message.thread !== this.activeThread) {
+            return;
+        }
+
+        const key = message.clientId || message.id;
+        let item = Array.from(this.log.children).find(child => child.dataset.messageKey === key);
+        const isNew = !item;
+        const status = {
+            queued: 'fa-clock',
+            sent: 'fa-check',
+            read: 'fa-check-double',
+            failed: 'fa-exclamation-circle'
+        }[message.status];
+
+        if (isNew) {
+            const empty = this.log.querySelector('.chat-panel__empty');
+            if (empty) {
+                empty.remove();
+            }
+
+            item = document.createElement('li');
+            item.className = `chat-message chat-message--${message.from === 'patient' ? 'patient' : 'staff'}`;
+            item.dataset.messageKey = key;
+            item.innerHTML = `
+                ${message.from === 'patient' ? '' : `<p class="chat-message__author">${Utils.escapeHTML(message.author || this.getThreadName(message.thread))}</p>`}
+                ${message.text ? `<p class="chat-message__text">${Utils.escapeHTML(message.text)}</p>` : ''}
+                ${message.attachments.length ? `
+                    <ul class="chat-message__attachments">
+                        ${message.attachments.map(attachment => this.renderAttachment(attachment)).join('')}
+                    </ul>
+                ` : ''}
+                <p class="chat-message__meta">
+                    <time datetime="${Utils.escapeHTML(message.sentAt)}">${new Intl.DateTimeFormat(I18n.locale(), { hour: '2-digit', minute: '2-digit' }).format(new Date(message.sentAt))}</time>
+                    <span class="chat-message__status"></span>
+                </p>
+            `;
+            this.log.appendChild(item);
+        }
+
+        // Receipts change in place, outside what the log announces
+        item.querySelector('.chat-message__status').innerHTML = status ? `
+            <i class="fas ${status}" aria-hidden="true"></i> ${I18n.t(`chat.status.${message.status}`)}
+            ${message.status === 'failed' ? `<button type="button" class="chat-message__retry" data-chat-action="retry"
+                data-client-id="${Utils.escapeHTML(message.clientId)}">${I18n.t('chat.retry')}</button>` : ''}
+        ` : '';
+        item.classList.toggle('chat-message--failed', message.status === 'failed');
+
+        if (isNew) {
+            this.scrollToEnd();
+        }
+    },
+
+    /**
+     * Markup of an attachment in a message
+     * @param {Object} attachment - { name, type, size, data | url }
+     * @returns {string} List item
+     */
+    renderAttachment(attachment) {
+        const url = this.getAttachmentUrl(attachment);
+        const name = Utils.escapeHTML(attachment.name);
+
+        if (!url) {
+            return `<li class="chat-message__attachment"><i class="fas fa-file" aria-hidden="true"></i> ${name}</li>`;
+        }
+        if (attachment.type.startsWith('image/')) {
+            return `
+                <li class="chat-message__attachment">
+                    <a href="${Utils.escapeHTML(url)}" download="${name}">
+                        <img class="chat-message__image" src="${Utils.escapeHTML(url)}" alt="${name}">
+                    </a>
+                </li>
+            `;
+        }
+        return `
+            <li class="chat-message__attachment">
+                <a href="${Utils.escapeHTML(url)}" download="${name}">
+                    <i class="fas fa-file-pdf" aria-hidden="true"></i> ${name}
+                </a>
+            </li>
+        `;
+    },
+
+    /**
+     * List the files attached to the next message
+     */
+    renderAttachments() {
+        this.attachmentList.hidden = !this.pending.length;
+        this.attachmentList.innerHTML = this.pending.map((attachment, index) => `
+            <li class="chat-composer__attachment">
+                <i class="fas ${attachment.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image'}" aria-hidden="true"></i>
+                <span>${Utils.escapeHTML(attachment.name)}</span>
+                <button type="button" class="chat-composer__remove" data-chat-action="remove-attachment" data-index="${index}"
+                    aria-label="${Utils.escapeHTML(I18n.t('chat.removeAttachment', { name: attachment.name }))}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Keep the latest message in view
+     */
+    scrollToEnd() {
+        this.log.scrollTop = this.log.scrollHeight;
+    },
+
+    /**
+     * Read a message out to screen reader users
+     * @param {string} message - Text
+     */
+    announce(message) {
+        // Clear first so the same text is read again
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            if (this.announcer) {
+                this.announcer.textContent = message;
+            }
+        }, 50);
+    },
+
+    /**
+     * Show a composer error
+     * @param {string} message - Error text
+     */
+    showError(message) {
+        this.error.textContent = message;
+        this.error.hidden = false;
+        this.input.setAttribute('aria-invalid', 'true');
+    },
+
+    /**
+     * Hide the composer error
+     */
+    clearError() {
+        this.error.textContent = '';
+        this.error.hidden = true;
+        this.input.removeAttribute('aria-invalid');
+    }
+};
+
+/**
+ * MOCK CHAT TRANSPORT
+ * Local stand-in for the chat server, used when no endpoint is configured:
+ * keeps the conversations in memory, acknowledges messages, sends read
+ * receipts and typing notices and answers every message with an echo.
+ * Connections fail while the browser is offline; disconnect() drops the
+ * current one the way a network failure would
+ */
+const MockChatTransport = {
+    latency: 150,
+
+    replyDelay: 2000,
+
+    threads: [
+        { id: 'secretary', name: 'Segreteria', role: 'secretary' },
+        { id: 'veronica-spoto', name: 'Dott.ssa Veronica Spoto', role: 'doctor' },
+        { id: 'stefano-grasso', name: 'Dott. Stefano Grasso', role: 'doctor' }
+    ],
+
+    // Stored "on the server"
+    messages: [],
+
+    nextId: 1,
+
+    /**
+     * Connect
+     * @param {Object} handlers - { onOpen, onFrame, onClose }
+     */
+    open(handlers) {
+        this.close();
+
+        const connection = { handlers, opened: false };
+        this.connection = connection;
+
+        setTimeout(() => {
+            if (this.connection !== connection) {
+                return;
+            }
+            if (!navigator.onLine) {
+                this.connection = null;
+                handlers.onClose({ opened: false });
+                return;
+            }
+            connection.opened = true;
+            handlers.onOpen();
+        }, this.latency);
+    },
+
+    /**
+     * Send a frame to the server
+     * @param {Object} frame - Protocol frame
+     * @returns {Promise} Resolves once sent, rejects without a connection
+     */
+    send(frame) {
+        const connection = this.connection;
+        if (!connection || !connection.opened) {
+            return Promise.reject(new Error('Chat connection is closed'));
+        }
+
+        setTimeout(() => {
+            if (this.connection === connection) {
+                this.receive(JSON.parse(JSON.stringify(frame)));
+            }
+        }, this.latency);
+        return Promise.resolve();
+    },
+
+    /**
+     * Close the connection
+     */
+    close() {
+        this.connection = null;
+    },
+
+    /**
+     * Drop the connection as a network failure would
+     */
+    disconnect() {
+        const connection = this.connection;
+        this.connection = null;
+        if (connection) {
+            connection.handlers.onClose({ opened: connection.opened });
+        }
+    },
+
+    /**
+     * Send a frame to the page, if it is connected
+     * @param {Object} frame - Protocol frame
+     */
+    emit(frame) {
+        if (this.connection && this.connection.opened) {
+            this.connection.handlers.onFrame(JSON.parse(JSON.stringify(frame)));
+        }
+    },
+
+    /**
+     * Handle a frame from the page like the server would
+     * @param {Object} frame - Protocol frame
+     */
+    receive(frame) {
+        if (frame.type === 'sync') {
+            this.emit({
+                type: 'history',
+                threads: this.threads.map(thread => Object.assign({}, thread, {
+                    unread: this.messages.filter(message => message.thread === thread.id && message.from === 'staff' && !message.read).length
+                })),
+                messages: this.messages
+            });
+        } else if (frame.type === 'message') {
+            if (!this.threads.some(thread => thread.id === frame.thread)) {
+                this.emit({ type: 'error', clientId: frame.clientId, code: 'unknown-thread' });
+                return;
+            }
+
+            // Messages sent again from the outbox are stored once
+            let message = this.messages.find(entry => entry.clientId === frame.clientId);
+            if (!message) {
+                message = {
+                    id: `m${this.nextId++}`,
+                    clientId: frame.clientId,
+                    thread: frame.thread,
+                    from: 'patient',
+                    text: frame.text,
+                    attachments: frame.attachments || [],
+                    sentAt: new Date().toISOString(),
+                    status: 'sent'
+                };
+                this.messages.push(message);
+                this.reply(message);
+            }
+            this.emit({ type: 'ack', clientId: frame.clientId, message: { id: message.id, thread: message.thread, sentAt: message.sentAt } });
+        } else if (frame.type === 'read') {
+            const last = this.messages.findIndex(message => message.id === frame.upTo);
+            this.messages.slice(0, last + 1).forEach(message => {
+                if (message.thread === frame.thread && message.from === 'staff') {
+                    message.read = true;
+                }
+            });
+        }
+    },
+
+    /**
+     * Read a message, type for a while and answer it
+     * @param {Object} message - Patient message
+     */
+    reply(message) {
+        const thread = this.threads.find(entry => entry.id === message.thread);
+
+        setTimeout(() => {
+            message.status = 'read';
+            this.emit({ type: 'read', thread: thread.id, upTo: message.id });
+            this.emit({ type: 'typing', thread: thread.id, author: thread.name, typing: true });
+        }, this.replyDelay / 2);
+
+        setTimeout(() => {
+            const answer = {
+                id: `m${this.nextId++}`,
+                thread: thread.id,
+                from: 'staff',
+                // Secretaries answer as the office, shown in the page language
+                author: thread.role === 'secretary' ? '' : thread.name,
+                text: I18n.t('chat.mockReply', { text: message.text || message.attachments.map(attachment => attachment.name).join(', ') }),
+                attachments: [],
+                sentAt: new Date().toISOString()
+            };
+
+            this.messages.push(answer);
+            this.emit({ type: 'typing', thread: thread.id, author: thread.name, typing: false });
+            this.emit({ type: 'message', message: answer });
+        }, this.replyDelay);
+    }
+};
+
+/**
+ * WEBSOCKET CHAT TRANSPORT
+ * JSON frames over a WebSocket. The first frame carries the access token,
+ * { type: "auth", token }; the server closes with code 4001 when it refuses it
+ */
+const WebSocketChatTransport = {
+    /**
+     * Create a transport bound to a socket URL
+     * @param {string} url - wss:// URL
+     * @returns {Object} Chat transport
+     */
+    create(url) {
+        const target = new URL(url, window.location.href);
+
+        // Messages with the doctors never travel unencrypted
+        if (target.protocol !== 'wss:' && target.hostname !== 'localhost') {
+            throw new Error(`Chat socket must use wss: ${url}`);
+        }
+
+        let socket = null;
+
+        return {
+            supported: 'WebSocket' in window,
+
+            open(handlers, options = {}) {
+                let opened = false;
+                const current = new WebSocket(target.href);
+                socket = current;
+
+                current.addEventListener('open', () => {
+                    opened = true;
+                    current.send(JSON.stringify({ type: 'auth', token: options.token }));
+                    handlers.onOpen();
+                });
+                current.addEventListener('message', (e) => {
+                    try {
+                        handlers.onFrame(JSON.parse(e.data));
+                    } catch (error) {
+                        console.warn('Invalid chat frame:', error);
+                    }
+                });
+                current.addEventListener('close', (e) => {
+                    if (socket === current) {
+                        socket = null;
+                        handlers.onClose({ opened, code: e.code });
+                    }
+                });
+            },
+
+            send(frame) {
+                if (!socket || socket.readyState !== WebSocket.OPEN) {
+                    return Promise.reject(new Error('Chat socket is not open'));
+                }
+                socket.send(JSON.stringify(frame));
+                return Promise.resolve();
+            },
+
+            close() {
+                const current = socket;
+                socket = null;
+                if (current) {
+                    current.close(1000);
+                }
+            }
+        };
+    }
+};
+
+/**
+ * LONG POLLING CHAT TRANSPORT
+ * The same frames over HTTP with Auth.fetch():
+ * GET {endpoint}/poll?cursor= answers { cursor, frames } at once without a
+ * cursor and waits for new frames with one; POST {endpoint} sends a frame and
+ * may answer { frames }
+ */
+const LongPollChatTransport = {
+    /**
+     * Create a transport bound to an endpoint
+     * @param {string} endpoint - Chat endpoint URL
+     * @returns {Object} Chat transport
+     */
+    create(endpoint) {
+        const url = new URL(endpoint, window.location.href);
+
+        if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+            throw new Error(`Chat endpoint must use HTTPS: ${endpoint}`);
+        }
+
+        const base = url.href.replace(/\/$/, '');
+        const request = (path, options) => Auth.fetch(`${base}${path}`, options).then(response => {
+            if (!response.ok) {
+                throw new Error(`Chat endpoint error ${response.status}`);
+            }
+            return response.status === 204 ? {} : response.json();
+        });
+        let connection = null;
+
+        return {
+            open(handlers) {
+                const current = { handlers, cursor: '', opened: false, controller: new AbortController() };
+                connection = current;
+
+                const poll = () => request(`/poll?cursor=${encodeURIComponent(current.cursor)}`, { signal: current.controller.signal })
+                    .then(data => {
+                        if (connection !== current) {
+                            return;
+                        }
+                        current.cursor = data.cursor || current.cursor;
+                        if (!current.opened) {
+                            current.opened = true;
+                            handlers.onOpen();
+                        }
+                        (data.frames || []).forEach(frame => connection === current && handlers.onFrame(frame));
+                        poll();
+                    })
+                    .catch(() => {
+                        if (connection === current) {
+                            connection = null;
+                            handlers.onClose({ opened: current.opened });
+                        }
+                    });
+
+                poll();
+            },
+
+            send(frame) {
+                const current = connection;
+                if (!current || !current.opened) {
+                    return Promise.reject(new Error('Chat connection is closed'));
+                }
+
+                return request('', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(frame)
+                }).then(data => (data.frames || []).forEach(reply => connection === current && current.handlers.onFrame(reply)));
+            },
+
+            close() {
+                if (connection) {
+                    connection.controller.abort();
+                    connection = null;
+                }
+            }
+        };
+    }
+};
+
+/**
+ * FAQ MODULE
+ * Handles the FAQ accordion: search, deep links, keyboard navigation
+ * and FAQPage structured data
+ * Set data-faq-mode="multiple" on .faq-container to keep several answers open
+ */
+const FAQ = {
+    dependencies: ['I18n', 'Motion', 'Router', 'SiteContent', 'Analytics'],
+
+    /**
+     * Initialize FAQ functionality
+     */
+    init() {
+        this.container = document.querySelector('.faq-container');
+        this.faqQuestions = document.querySelectorAll('.faq-item__question');
+        this.items = null;
+
+        if (this.container && this.faqQuestions.length) {
+            this.allowMultiple = this.container.dataset.faqMode === 'multiple';
+            this.query = '';
+            this.setupItems();
+            this.buildSearch();
+            this.bindEvents();
+            this.renderStructuredData();
+        }
+    },
+
+    /**
+     * Remove the search box, deep links and structured data
+     */
+    destroy() {
+        if (!this.items) {
+            return;
+        }
+
+        if (this.query) {
+            this.filter('');
+        }
+        this.search.remove();
+        this.container.querySelectorAll('.faq-item__link').forEach(link => link.remove());
+        if (this.structuredData) {
+            this.structuredData.remove();
+            this.structuredData = null;
+        }
+    },
+
+    /**
+     * Wire ids and ARIA relationships between questions and answers
+     */
+    setupItems() {
+        this.items = Array.from(this.container.querySelectorAll('.faq-item')).map((element, index) => {
+            const question = element.querySelector('.faq-item__question');
+            const answer = element.querySelector('.faq-item__answer');
+            const id = element.id || `faq-${index + 1}`;
+
+            element.id = id;
+            question.id = `${id}-question`;
+            question.setAttribute('aria-controls', `${id}-answer`);
+            answer.id = `${id}-answer`;
+            answer.setAttribute('role', 'region');
+            answer.setAttribute('aria-labelledby', question.id);
+
+            // "faq-costi" is shared as the route "#faq/costi"
+            const href = id.startsWith('faq-') ? `#faq/${id.slice(4)}` : `#${id}`;
+            answer.insertAdjacentHTML('beforeend', `<a class="faq-item__link" href="${href}" data-i18n="faq.link">${I18n.t('faq.link')}</a>`);
+
+            return {
+                element,
+                question,
+                answer,
+                // Elements whose text is searched and highlighted
+                texts: [question.querySelector('span'), ...answer.querySelectorAll('p')].filter(Boolean)
+            };
+        });
+    },
+
+    /**
+     * Create the search box above the accordion
+     */
+    buildSearch() {
+        this.container.id = this.container.id || 'faq-list';
+        this.search = document.createElement('div');
+        this.search.className = 'faq-search';
+        this.search.innerHTML = `
+            <label class="faq-search__label" for="faq-search" data-i18n="faq.searchLabel">${I18n.t('faq.searchLabel')}</label>
+            <div class="faq-search__field">
+                <i class="fas fa-search faq-search__icon" aria-hidden="true"></i>
+                <input class="faq-search__input" id="faq-search" type="search" autocomplete="off" aria-controls="${this.container.id}"
+                    placeholder="${I18n.t('faq.searchPlaceholder')}" data-i18n-attr="placeholder:faq.searchPlaceholder">
+            </div>
+            <p class="faq-search__status" role="status" aria-live="polite"></p>
+        `;
+
+        this.container.parentNode.insertBefore(this.search, this.container);
+        this.searchInput = this.search.querySelector('.faq-search__input');
+        this.status = this.search.querySelector('.faq-search__status');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.faqQuestions.forEach(question => {
+            question.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleFAQ(question);
+            }, { signal: this.signal });
+
+            // Handle keyboard navigation
+            question.addEventListener('keydown', (e) => {
+                this.handleKeydown(e, question);
+            }, { signal: this.signal });
+        });
+
+        this.items.forEach(item => {
+            // Release the height once expanded so reflowing content is never clipped
+            item.answer.addEventListener('transitionend', (e) => {
+                if (e.target === item.answer && e.propertyName === 'max-height' && item.answer.classList.contains('active')) {
+                    item.answer.style.maxHeight = 'none';
+                }
+            }, { signal: this.signal });
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const link = e.target.closest('.faq-item__link');
+            // Router follows the link; copying makes it easy to share
+            if (link) {
+                this.copyLink(link);
+            }
+        }, { signal: this.signal });
+
+        this.searchInput.addEventListener('input', Utils.debounce(() => {
+            this.filter(this.searchInput.value);
+        }, 150), { signal: this.signal });
+
+        // Translated text replaces the highlighting and the structured data
+        EventBus.on('i18n:change', () => {
+            this.filter(this.query);
+            this.renderStructuredData();
+        }, { signal: this.signal });
+
+        // Deep links to a question open its answer before the Router scrolls to it
+        EventBus.on('route:change', ({ route }) => {
+            const target = Router.getTarget(route);
+            if (target) {
+                this.reveal(target);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Handle accordion keyboard interaction
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {Element} question - Focused question button
+     */
+    handleKeydown(e, question) {
+        const visible = Array.from(this.faqQuestions).filter(item => !item.closest('.faq-item').hidden);
+        const index = visible.indexOf(question);
+        const targets = {
+            ArrowDown: visible[(index + 1) % visible.length],
+            ArrowUp: visible[(index - 1 + visible.length) % visible.length],
+            Home: visible[0],
+            End: visible[visible.length - 1]
+        };
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.toggleFAQ(question);
+        } else if (targets[e.key]) {
+            e.preventDefault();
+            targets[e.key].focus();
+        }
+    },
+
+    /**
+     * Toggle FAQ item
+     * @param {Element} question - FAQ question element
+     */
+    toggleFAQ(question) {
+        const isExpanded = question.getAttribute('aria-expanded') === 'true';
+
+        if (isExpanded) {
+            this.setExpanded(question, false);
+            return;
+        }
+
+        // Close all other FAQ items unless several may stay open
+        if (!this.allowMultiple) {
+            this.closeAllFAQs();
+        }
+
+        this.setExpanded(question, true);
+        Analytics.track('faq_open', { question: question.closest('.faq-item').id });
+    },
+
+    /**
+     * Open the FAQ item containing an element, clearing a search that hides it
+     * @param {Element} target - Deep link target
+     * @returns {boolean} Whether the target belongs to the FAQ
+     */
+    reveal(target) {
+        const element = target.closest('.faq-item');
+        const item = this.items && this.items.find(entry => entry.element === element);
+
+        if (!item) {
+            return false;
+        }
+
+        if (item.element.hidden) {
+            this.searchInput.value = '';
+            this.filter('');
+        }
+
+        if (item.question.getAttribute('aria-expanded') !== 'true') {
+            this.toggleFAQ(item.question);
+        }
+        return true;
+    },
+
+    /**
+     * Expand or collapse a single item
+     * @param {Element} question - FAQ question element
+     * @param {boolean} expand - Whether to expand
+     */
+    setExpanded(question, expand) {
+        const answer = question.nextElementSibling;
+
+        question.setAttribute('aria-expanded', String(expand));
+        question.classList.toggle('active', expand);
+        answer.classList.toggle('active', expand);
+
+        // Smooth height animation
+        this.animateHeight(answer, expand);
+    },
+
+    /**
+     * Close all FAQ items
+     */
+    closeAllFAQs() {
+        this.faqQuestions.forEach(question => {
+            if (question.getAttribute('aria-expanded') === 'true') {
+                this.setExpanded(question, false);
+            }
+        });
+    },
+
+    /**
+     * Animate height of FAQ answer
+     * @param {Element} element - Answer element
+     * @param {boolean} expand - Whether to expand or collapse
+     */
+    animateHeight(element, expand) {
+        // No transition to wait for: open fully or close at once
+        if (Motion.isReduced()) {
+            element.style.maxHeight = expand ? 'none' : '0px';
+            return;
+        }
+
+        if (expand) {
+            element.style.maxHeight = element.scrollHeight + 'px';
+        } else {
+            // Start from a fixed height when the answer was released to "none"
+            element.style.maxHeight = element.scrollHeight + 'px';
+            element.getBoundingClientRect();
+            element.style.maxHeight = '0px';
+        }
+    },
+
+    /**
+     * Show only the items matching the search and highlight the terms
+     * @param {string} query - Search text
+     */
+    filter(query) {
+        const terms = Utils.normalizeText(query).split(/\s+/).filter(Boolean);
+        let count = 0;
+
+        this.query = query;
+
+        this.items.forEach(item => {
+            const text = Utils.normalizeText(item.texts.map(element => element.textContent).join(' '));
+            const isMatch = terms.every(term => text.includes(term));
+
+            item.element.hidden = !isMatch;
+            item.texts.forEach(element => {
+                element.innerHTML = terms.length ? Utils.highlight(element.textContent, query) : Utils.escapeHTML(element.textContent);
+            });
+
+            if (isMatch) {
+                count++;
+            }
+        });
+
+        if (!terms.length) {
+            this.status.textContent = '';
+        } else {
+            this.status.textContent = count ? I18n.t('faq.results', { count }) : I18n.t('faq.noResults');
+        }
+    },
+
+    /**
+     * Copy an item's deep link to the clipboard when supported
+     * @param {Element} link - Deep link anchor
+     */
+    copyLink(link) {
+        if (!navigator.clipboard) {
+            return;
+        }
+
+        navigator.clipboard.writeText(link.href)
+            .then(() => {
+                this.status.textContent = I18n.t('faq.linkCopied');
+            })
+            .catch(() => {});
+    },
+
+    /**
+     * Publish the questions as FAQPage structured data
+     */
+    renderStructuredData() {
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            inLanguage: document.documentElement.lang,
+            mainEntity: this.items.map(item => ({
+                '@type': 'Question',
+                name: item.texts[0].textContent.trim(),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: item.texts.slice(1).map(element => element.textContent.trim()).join(' ')
+                }
+            }))
+        };
+
+        if (!this.structuredData) {
+            this.structuredData = document.createElement('script');
+            this.structuredData.type = 'application/ld+json';
+            this.structuredData.id = 'faq-structured-data';
+            document.head.appendChild(this.structuredData);
+        }
+
+        this.structuredData.textContent = JSON.stringify(data);
+    }
+};
+
+/**
+ * ICALENDAR
+ * Builds iCalendar (.ics) files, RFC 5545. Times are written in the event's
+ * time zone with a VTIMEZONE generated from the browser's time zone data, so
+ * recurring events keep their local time across daylight saving changes
+ */
+const ICalendar = {
+    productId: '-//Galenica Online//Follow-up planner//IT',
+
+    // Offsets are looked up this often while searching for daylight saving changes
+    scanStep: 24 * 60 * 60 * 1000,
+
+    /**
+     * Build a calendar
+     * @param {Array} events - { uid, start: 'YYYY-MM-DD', time: 'HH:MM', timeZone, duration (minutes),
+     *     title, description, url, repeat: { interval (days), count }, alarm: { before (minutes), description } }
+     * @returns {string} Calendar text with CRLF line endings
+     */
+    build(events) {
+        const zones = new Map();
+
+        events.forEach(event => {
+            const first = this.toInstant(event.start, event.time, event.timeZone);
+            const days = event.repeat ? event.repeat.interval * (event.repeat.count - 1) : 0;
+            const last = first + (days + 1) * 24 * 60 * 60 * 1000;
+            const range = zones.get(event.timeZone) || [first, last];
+            zones.set(event.timeZone, [Math.min(range[0], first), Math.max(range[1], last)]);
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        zones.forEach(([from, to], timeZone) => lines.push(...this.timeZone(timeZone, from, to)));
+        events.forEach(event => lines.push(...this.event(event)));
+        lines.push('END:VCALENDAR');
+
+        return `${lines.map(line => this.fold(line)).join('\r\n')}\r\n`;
+    },
+
+    /**
+     * Lines of a VEVENT
+     * @param {Object} event - Event as described in build()
+     * @returns {Array} Unfolded lines
+     */
+    event(event) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${this.formatUTC(Date.now())}`,
+            `DTSTART;TZID=${event.timeZone}:${event.start.replace(/-/g, '')}T${event.time.replace(':', '')}00`,
+            `DURATION:${this.formatDuration(event.duration || 30)}`,
+            `SUMMARY:${this.escape(event.title)}`
+        ];
+
+        if (event.repeat && event.repeat.count > 1) {
+            lines.push(`RRULE:FREQ=DAILY;INTERVAL=${event.repeat.interval};COUNT=${event.repeat.count}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${this.escape(event.description)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        if (event.alarm) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:-${this.formatDuration(event.alarm.before)}`,
+                `DESCRIPTION:${this.escape(event.alarm.description || event.title)}`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    },
+
+    /**
+     * Lines of a VTIMEZONE covering a period: the offset in force at the start,
+     * then one observance for every change up to the end
+     * @param {string} timeZone - IANA name, e.g. "Europe/Rome"
+     * @param {number} from - First instant to cover (ms)
+     * @param {number} to - Last instant to cover (ms)
+     * @returns {Array} Unfolded lines
+     */
+    timeZone(timeZone, from, to) {
+        const initial = this.getOffset(from, timeZone);
+        const observance = (type, start, offsetFrom, offsetTo) => [
+            `BEGIN:${type}`,
+            `DTSTART:${start}`,
+            `TZOFFSETFROM:${this.formatOffset(offsetFrom)}`,
+            `TZOFFSETTO:${this.formatOffset(offsetTo)}`,
+            `END:${type}`
+        ];
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observance('STANDARD', '19700101T000000', initial, initial)];
+
+        this.getTransitions(timeZone, from, to).forEach(({ at, offsetFrom, offsetTo }) => {
+            // Observances start at the local time before the change
+            const start = this.formatUTC(at + offsetFrom * 60000).replace('Z', '');
+            lines.push(...observance(offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD', start, offsetFrom, offsetTo));
+        });
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    },
+
+    /**
+     * Find the offset changes of a time zone in a period
+     * @param {string} timeZone - IANA name
+     * @param {number} from - Start (ms)
+     * @param {number} to - End (ms)
+     * @returns {Array} { at (ms), offsetFrom, offsetTo } with offsets in minutes
+     */
+    getTransitions(timeZone, from, to) {
+        const transitions = [];
+        let previous = this.getOffset(from, timeZone);
+
+        for (let time = from + this.scanStep; time < to + this.scanStep; time += this.scanStep) {
+            const offset = this.getOffset(time, timeZone);
+            if (offset === previous) {
+                continue;
+            }
+
+            // Narrow the change down to the minute
+            let low = time - this.scanStep;
+            let high = time;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (this.getOffset(middle, timeZone) === previous) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+
+            transitions.push({ at: high, offsetFrom: previous, offsetTo: offset });
+            previous = offset;
+        }
+
+        return transitions;
+    },
+
+    /**
+     * Get the UTC offset of a time zone at an instant
+     * @param {number} time - Instant (ms)
+     * @param {string} timeZone - IANA name
+     * @returns {number} Offset in minutes, e.g. 120 for UTC+2
+     */
+    getOffset(time, timeZone) {
+        this.formatters = this.formatters || new Map();
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+        }
+
+        const name = this.formatters.get(timeZone).formatToParts(time).find(part => part.type === 'timeZoneName').value;
+        const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+
+        return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+    },
+
+    /**
+     * Get the instant of a local date and time in a time zone
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {string} timeZone - IANA name
+     * @returns {number} Instant (ms)
+     */
+    toInstant(date, time, timeZone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const local = Date.UTC(year, month - 1, day, hours, minutes);
+        const guess = local - this.getOffset(local, timeZone) * 60000;
+
+        // A second pass corrects guesses that fall across a daylight saving change
+        return local - this.getOffset(guess, timeZone) * 60000;
+    },
+
+    /**
+     * Check that a time zone name is known to the browser
+     * @param {string} timeZone - IANA name
+     * @returns {boolean} True when usable
+     */
+    isTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Format an instant as a UTC date-time
+     * @param {number} time - Instant (ms)
+     * @returns {string} E.g. 20261019T080000Z
+     */
+    formatUTC(time) {
+        return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    /**
+     * Format a UTC offset
+     * @param {number} minutes - Offset in minutes
+     * @returns {string} E.g. +0200
+     */
+    formatOffset(minutes) {
+        const value = Math.abs(minutes);
+        return `${minutes < 0 ? '-' : '+'}${String(Math.floor(value / 60)).padStart(2, '0')}${String(value % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format a duration
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} E.g. P1D, PT1H or PT30M
+     */
+    formatDuration(minutes) {
+        if (minutes && minutes % 1440 === 0) {
+            return `P${minutes / 1440}D`;
+        }
+        if (minutes && minutes % 60 === 0) {
+            return `PT${minutes / 60}H`;
+        }
+        return `PT${minutes}M`;
+    },
+
+    /**
+     * Escape a text value
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * Fold a line longer than 75 octets, without splitting characters
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    fold(line) {
+        const encoder = new TextEncoder();
+        let folded = '';
+        let length = 0;
+
+        Array.from(line).forEach(character => {
+            const size = encoder.encode(character).length;
+            if (length + size > 75) {
+                folded += '\r\n ';
+                length = 1;
+            }
+            folded += character;
+            length += size;
+        });
+
+        return folded;
+    }
+};
+
+/**
+ * FOLLOW-UP PLANNER MODULE
+ * "Programma visite di controllo": the patient plans recurring check-ups
+ * (every 30, 60, 90... days), adds them to their calendar as .ics files and can
+ * opt into browser notifications. Schedules stay in localStorage and can be
+ * exported and imported as JSON. Reminders go to the service worker, which shows
+ * them when the browser wakes it (periodic sync, or a visit to the site); without
+ * one they only fire while the page is open, so the .ics alarms are the dependable path
+ */
+const FollowUpPlanner = {
+    dependencies: ['I18n', 'SiteContent', 'Analytics'],
+
+    storageKey: 'galenica:follow-ups',
+
+    intervals: [30, 60, 90, 180],
+
+    // Minutes before the visit
+    reminderOptions: [0, 60, 1440, 2880],
+
+    maxVisits: 12,
+
+    // Length of the calendar event, in minutes
+    duration: 30,
+
+    // Upcoming dates listed for each schedule
+    previewCount: 3,
+
+    // setTimeout cannot wait longer than about 24.8 days
+    maxTimer: 2147483647,
+
+    periodicSyncTag: 'follow-up-reminders',
+
+    periodicSyncInterval: 12 * 60 * 60 * 1000,
+
+    /**
+     * Initialize the planner
+     */
+    init() {
+        this.container = document.querySelector('#process [data-follow-up]');
+        this.schedules = this.load(Utils.readStorage(this.storageKey, []));
+
+        if (this.container) {
+            this.buildPanel();
+            this.bindEvents();
+            this.render();
+            this.syncReminders();
+        }
+    },
+
+    /**
+     * Remove the planner and stop the page's reminder timer
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    },
+
+    /**
+     * Create the form, the list and the import/export tools
+     */
+    buildPanel() {
+        const option = (key, value, params = {}) => `<option value="${value}" data-i18n="${key}" data-i18n-params='${JSON.stringify(params)}'>${I18n.t(key, params)}</option>`;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'follow-up__panel';
+        this.panel.innerHTML = `
+            <h3 class="follow-up__title" data-i18n="followUp.title">${I18n.t('followUp.title')}</h3>
+            <p class="follow-up__intro" data-i18n="followUp.intro">${I18n.t('followUp.intro')}</p>
+            <form class="follow-up__form" novalidate>
+                <div class="follow-up__field follow-up__field--wide">
+                    <label class="follow-up__label" for="follow-up-title" data-i18n="followUp.fields.title">${I18n.t('followUp.fields.title')}</label>
+                    <input class="follow-up__input" id="follow-up-title" name="title" type="text" maxlength="80"
+                        placeholder="${I18n.t('followUp.titlePlaceholder')}" data-i18n-attr="placeholder:followUp.titlePlaceholder" aria-describedby="follow-up-title-error" required>
+                    <p class="follow-up__error" id="follow-up-title-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-start" data-i18n="followUp.fields.start">${I18n.t('followUp.fields.start')}</label>
+                    <input class="follow-up__input" id="follow-up-start" name="start" type="date" min="${this.toDateString(new Date())}" aria-describedby="follow-up-start-error" required>
+                    <p class="follow-up__error" id="follow-up-start-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-time" data-i18n="followUp.fields.time">${I18n.t('followUp.fields.time')}</label>
+                    <input class="follow-up__input" id="follow-up-time" name="time" type="time" value="10:00" aria-describedby="follow-up-time-error" required>
+                    <p class="follow-up__error" id="follow-up-time-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-interval" data-i18n="followUp.fields.interval">${I18n.t('followUp.fields.interval')}</label>
+                    <select class="follow-up__input" id="follow-up-interval" name="interval">
+                        ${this.intervals.map(days => option('followUp.every', days, { count: days })).join('')}
+                    </select>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-count" data-i18n="followUp.fields.count">${I18n.t('followUp.fields.count')}</label>
+                    <input class="follow-up__input" id="follow-up-count" name="count" type="number" min="1" max="${this.maxVisits}" value="4" aria-describedby="follow-up-count-error" required>
+                    <p class="follow-up__error" id="follow-up-count-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-reminder" data-i18n="followUp.fields.reminder">${I18n.t('followUp.fields.reminder')}</label>
+                    <select class="follow-up__input" id="follow-up-reminder" name="reminder">
+                        ${this.reminderOptions.map(minutes => option(`followUp.reminders.${minutes}`, minutes)).join('')}
+                    </select>
+                </div>
+                <button type="submit" class="btn btn--primary follow-up__submit" data-i18n="followUp.submit">${I18n.t('followUp.submit')}</button>
+            </form>
+            <ul class="follow-up__list"></ul>
+            <p class="follow-up__empty" data-i18n="followUp.empty">${I18n.t('followUp.empty')}</p>
+            <div class="follow-up__tools">
+                <button type="button" class="btn btn--outline follow-up__export" data-i18n="followUp.export">${I18n.t('followUp.export')}</button>
+                <label class="btn btn--outline follow-up__import">
+                    <span data-i18n="followUp.import">${I18n.t('followUp.import')}</span>
+                    <input class="follow-up__import-input" type="file" accept=".json,application/json">
+                </label>
+            </div>
+            <p class="follow-up__status" role="status" aria-live="polite"></p>
+        `;
+
+        this.container.appendChild(this.panel);
+        this.form = this.panel.querySelector('.follow-up__form');
+        this.list = this.panel.querySelector('.follow-up__list');
+        this.status = this.panel.querySelector('.follow-up__status');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Clear a field's error as soon as it is corrected
+        this.form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.clearError(e.target.name);
+            }
+        }, { signal: this.signal });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-follow-up-action]');
+            if (!button) {
+                return;
+            }
+
+            const schedule = this.schedules.find(item => item.id === button.closest('[data-schedule]').dataset.schedule);
+            if (button.dataset.followUpAction === 'calendar') {
+                this.downloadCalendar(schedule);
+            } else if (button.dataset.followUpAction === 'notify') {
+                this.toggleNotifications(schedule);
+            } else {
+                this.remove(schedule);
+            }
+        }, { signal: this.signal });
+
+        this.panel.querySelector('.follow-up__export').addEventListener('click', () => this.exportJSON(), { signal: this.signal });
+
+        const importInput = this.panel.querySelector('.follow-up__import-input');
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) {
+                this.importJSON(importInput.files[0]);
+            }
+            importInput.value = '';
+        }, { signal: this.signal });
+
+        // Dates and reminder texts follow the language
+        EventBus.on('i18n:change', () => {
+            this.render();
+            this.syncReminders();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Keep the valid schedules of stored or imported data
+     * @param {*} data - Array of schedules
+     * @returns {Array} Valid schedules
+     */
+    load(data) {
+        return (Array.isArray(data) ? data : []).filter(schedule => schedule && typeof schedule === 'object' &&
+            /^[\w-]{1,40}$/.test(schedule.id) &&
+            ICalendar.isTimeZone(schedule.timeZone) &&
+            !Object.keys(this.validate(schedule)).length);
+    },
+
+    /**
+     * Validate a schedule
+     * @param {Object} schedule - Schedule
+     * @returns {Object} Error messages keyed by field name
+     */
+    validate(schedule) {
+        const errors = {};
+        const [year, month, day] = String(schedule.start).split('-').map(Number);
+
+        if (typeof schedule.title !== 'string' || schedule.title.trim().length < 2 || schedule.title.length > 80) {
+            errors.title = I18n.t('followUp.errors.title');
+        }
+        // Rejects dates such as 2026-02-31 too
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(schedule.start) || new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) !== schedule.start) {
+            errors.start = I18n.t('followUp.errors.start');
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time)) {
+            errors.time = I18n.t('followUp.errors.time');
+        }
+        if (!Number.isInteger(schedule.count) || schedule.count < 1 || schedule.count > this.maxVisits) {
+            errors.count = I18n.t('followUp.errors.count', { max: this.maxVisits });
+        }
+        if (!Number.isInteger(schedule.interval) || schedule.interval < 1 || schedule.interval > 365) {
+            errors.interval = I18n.t('followUp.errors.interval');
+        }
+        if (!this.reminderOptions.includes(schedule.reminder)) {
+            errors.reminder = I18n.t('followUp.errors.reminder');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Validate the form and add the schedule
+     */
+    handleSubmit() {
+        const elements = this.form.elements;
+        const schedule = {
+            id: `FU-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+            title: elements.title.value.trim(),
+            start: elements.start.value,
+            time: elements.time.value,
+            interval: Number(elements.interval.value),
+            count: Number(elements.count.value),
+            reminder: Number(elements.reminder.value),
+            // Visits keep the local time of the patient's time zone
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+            notify: false
+        };
+        const errors = this.validate(schedule);
+
+        if (!errors.start && schedule.start < this.toDateString(new Date())) {
+            errors.start = I18n.t('followUp.errors.past');
+        }
+
+        ['title', 'start', 'time', 'count'].forEach(name => this.clearError(name));
+
+        const names = Object.keys(errors);
+        if (names.length) {
+            names.forEach(name => this.showError(name, errors[name]));
+            elements[names[0]].focus();
+            this.setStatus(I18n.t('followUp.errors.summary', { count: names.length }));
+            return;
+        }
+
+        this.schedules.push(schedule);
+        this.save();
+        this.form.reset();
+        this.setStatus(I18n.t('followUp.added', { title: schedule.title }));
+        Analytics.track('follow_up_plan', { interval: schedule.interval, count: schedule.count });
+    },
+
+    /**
+     * Store the schedules and refresh the list and the reminders
+     */
+    save() {
+        Utils.writeStorage(this.storageKey, this.schedules);
+        this.render();
+        this.syncReminders();
+    },
+
+    /**
+     * Delete a schedule
+     * @param {Object} schedule - Schedule
+     */
+    remove(schedule) {
+        this.schedules = this.schedules.filter(item => item !== schedule);
+        this.save();
+        this.setStatus(I18n.t('followUp.removed', { title: schedule.title }));
+        this.form.elements.title.focus();
+    },
+
+    /**
+     * Get the visits of a schedule
+     * @param {Object} schedule - Schedule
+     * @returns {Array} { index, date: 'YYYY-MM-DD', at (ms) }
+     */
+    getVisits(schedule) {
+        const [year, month, day] = schedule.start.split('-').map(Number);
+
+        return Array.from({ length: schedule.count }, (item, index) => {
+            const date = new Date(Date.UTC(year, month - 1, day + index * schedule.interval)).toISOString().slice(0, 10);
+            return { index, date, at: ICalendar.toInstant(date, schedule.time, schedule.timeZone) };
+        });
+    },
+
+    /**
+     * Render the schedules with their next visits
+     */
+    render() {
+        const now = Date.now();
+
+        this.panel.querySelector('.follow-up__empty').hidden = this.schedules.length > 0;
+        this.list.innerHTML = this.schedules.map(schedule => {
+            const upcoming = this.getVisits(schedule).filter(visit => visit.at > now);
+            const id = `follow-up-${schedule.id}`;
+
+            return `
+                <li class="follow-up__schedule" data-schedule="${schedule.id}">
+                    <h4 class="follow-up__schedule-title" id="${id}">${Utils.escapeHTML(schedule.title)}</h4>
+                    <p class="follow-up__summary">${I18n.t('followUp.summary', { count: schedule.count, interval: schedule.interval })}</p>
+                    ${upcoming.length ? `
+                        <ol class="follow-up__visits" aria-label="${I18n.t('followUp.upcoming')}">
+                            ${upcoming.slice(0, this.previewCount).map(visit => `
+                                <li><time datetime="${new Date(visit.at).toISOString()}">${this.formatVisit(visit, schedule)}</time></li>
+                            `).join('')}
+                        </ol>
+                        ${upcoming.length > this.previewCount ? `<p class="follow-up__more">${I18n.t('followUp.more', { count: upcoming.length - this.previewCount })}</p>` : ''}
+                    ` : `<p class="follow-up__summary">${I18n.t('followUp.completed')}</p>`}
+                    <div class="follow-up__actions">
+                        <button type="button" class="btn btn--outline follow-up__action" data-follow-up-action="calendar" aria-describedby="${id}">
+                            <i class="fas fa-calendar-plus" aria-hidden="true"></i> ${I18n.t('followUp.calendar')}
+                        </button>
+                        <button type="button" class="btn btn--outline follow-up__action" data-follow-up-action="notify" aria-pressed="${schedule.notify}" aria-describedby="${id}">
+                            <i class="fas ${schedule.notify ? 'fa-bell' : 'fa-bell-slash'}" aria-hidden="true"></i> ${I18n.t('followUp.notifications.toggle')}
+                        </button>
+                        <button type="button" class="btn btn--outline follow-up__action" data-follow-up-action="remove" aria-describedby="${id}">
+                            <i class="fas fa-trash-alt" aria-hidden="true"></i> ${I18n.t('followUp.remove')}
+                        </button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Format the date and time of a visit in its time zone
+     * @param {Object} visit - Visit from getVisits()
+     * @param {Object} schedule - Schedule
+     * @returns {string} E.g. "lun 2 novembre 2026, 10:00"
+     */
+    formatVisit(visit, schedule) {
+        return I18n.formatDate(new Date(visit.at), {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: schedule.timeZone
+        });
+    },
+
+    /**
+     * Download a schedule as an iCalendar file with its alarm
+     * @param {Object} schedule - Schedule
+     */
+    downloadCalendar(schedule) {
+        const url = new URL('#follow-up', window.location.href).href;
+        const calendar = ICalendar.build([{
+            uid: `${schedule.id}@galenica-online`,
+            start: schedule.start,
+            time: schedule.time,
+            timeZone: schedule.timeZone,
+            duration: this.duration,
+            title: schedule.title,
+            description: I18n.t('followUp.calendarDescription', { url }),
+            url,
+            repeat: { interval: schedule.interval, count: schedule.count },
+            alarm: { before: schedule.reminder, description: I18n.t('followUp.reminder.title', { title: schedule.title }) }
+        }]);
+
+        Utils.download(calendar, `${Utils.slugify(schedule.title) || 'controllo'}.ics`, 'text/calendar;charset=utf-8');
+        Analytics.track('follow_up_calendar', { interval: schedule.interval });
+    },
+
+    /**
+     * Turn browser notifications for a schedule on or off
+     * Permission is asked for the first time here, after a click
+     * @param {Object} schedule - Schedule
+     */
+    toggleNotifications(schedule) {
+        if (schedule.notify) {
+            schedule.notify = false;
+            this.save();
+            this.setStatus(I18n.t('followUp.notifications.off', { title: schedule.title }));
+            return;
+        }
+
+        if (!('Notification' in window)) {
+            this.setStatus(I18n.t('followUp.notifications.unsupported'));
+            return;
+        }
+
+        Notification.requestPermission().then(permission => {
+            if (permission !== 'granted') {
+                this.setStatus(I18n.t('followUp.notifications.denied'));
+                return;
+            }
+
+            schedule.notify = true;
+            this.save();
+            this.setStatus(I18n.t('followUp.notifications.on', { title: schedule.title }));
+            this.registerPeriodicSync();
+        });
+    },
+
+    /**
+     * Get the reminders of the schedules with notifications on, for visits still to come
+     * @returns {Array} { id, at, visitAt, title, body, url } sorted by time
+     */
+    getReminders() {
+        const now = Date.now();
+        const url = new URL('#follow-up', window.location.href).href;
+
+        return this.schedules
+            .filter(schedule => schedule.notify)
+            .flatMap(schedule => this.getVisits(schedule)
+                .filter(visit => visit.at > now)
+                .map(visit => ({
+                    id: `${schedule.id}:${visit.index}`,
+                    at: visit.at - schedule.reminder * 60000,
+                    visitAt: visit.at,
+                    title: I18n.t('followUp.reminder.title', { title: schedule.title }),
+                    body: I18n.t('followUp.reminder.body', { date: this.formatVisit(visit, schedule) }),
+                    url
+                })))
+            .sort((a, b) => a.at - b.at);
+    },
+
+    /**
+     * Hand the reminders to the service worker and time the next one in the page
+     */
+    syncReminders() {
+        const reminders = this.getReminders();
+        const worker = this.getWorker();
+
+        if (worker) {
+            worker.postMessage({ type: 'SET_REMINDERS', reminders });
+        }
+        this.scheduleNext(reminders.filter(reminder => reminder.at > Date.now()));
+    },
+
+    /**
+     * Wait for the next reminder while the page is open
+     * @param {Array} reminders - Future reminders, soonest first
+     */
+    scheduleNext(reminders) {
+        clearTimeout(this.timer);
+
+        if (!reminders.length) {
+            return;
+        }
+
+        const next = reminders[0];
+        this.timer = setTimeout(() => {
+            if (Date.now() >= next.at) {
+                this.notify(next);
+            }
+            this.scheduleNext(reminders.filter(reminder => reminder.at > Date.now()));
+        }, Math.min(next.at - Date.now(), this.maxTimer));
+    },
+
+    /**
+     * Show a reminder, through the service worker when there is one
+     * so it does not appear twice
+     * @param {Object} reminder - Reminder from getReminders()
+     */
+    notify(reminder) {
+        const worker = this.getWorker();
+
+        if (worker) {
+            worker.postMessage({ type: 'CHECK_REMINDERS' });
+        } else if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(reminder.title, { body: reminder.body, tag: reminder.id, icon: 'icons/icon.svg' });
+        }
+    },
+
+    /**
+     * Get the service worker controlling the page
+     * @returns {ServiceWorker|null} Worker, or null before the first install
+     */
+    getWorker() {
+        return 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+    },
+
+    /**
+     * Ask the browser to wake the service worker now and then (installed app on Chromium)
+     */
+    registerPeriodicSync() {
+        if (!this.getWorker()) {
+            return;
+        }
+
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if ('periodicSync' in registration) {
+                    return registration.periodicSync.register(this.periodicSyncTag, { minInterval: this.periodicSyncInterval });
+                }
+            })
+            .catch(error => console.warn('Periodic sync unavailable:', error));
+    },
+
+    /**
+     * Download every schedule as JSON
+     */
+    exportJSON() {
+        const data = { version: 1, exportedAt: new Date().toISOString(), schedules: this.schedules };
+
+        Utils.download(JSON.stringify(data, null, 2), 'galenica-controlli.json', 'application/json');
+        this.setStatus(I18n.t('followUp.exported', { count: this.schedules.length }));
+    },
+
+    /**
+     * Add the schedules of an exported file, replacing those with the same id
+     * @param {File} file - JSON file from exportJSON()
+     */
+    importJSON(file) {
+        file.text()
+            .then(text => {
+                const data = JSON.parse(text);
+                const list = data && Array.isArray(data.schedules) ? data.schedules : null;
+
+                if (!list) {
+                    throw new Error('No schedules in the file');
+                }
+
+                // Reminders must be switched on again in this browser
+                const valid = this.load(list).map(schedule => Object.assign({}, schedule, { notify: false }));
+                const ids = valid.map(schedule => schedule.id);
+
+                this.schedules = this.schedules.filter(schedule => !ids.includes(schedule.id)).concat(valid);
+                this.save();
+                this.setStatus(I18n.t('followUp.imported', { count: valid.length }) +
+                    (list.length > valid.length ? ` ${I18n.t('followUp.errors.skipped', { count: list.length - valid.length })}` : ''));
+            })
+            .catch(error => {
+                console.warn('Follow-up import error:', error);
+                this.setStatus(I18n.t('followUp.errors.import'));
+            });
+    },
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date
+     * @returns {string} ISO date
+     */
+    toDateString(date) {
+        return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     */
+    showError(name, message) {
+        const error = document.getElementById(`follow-up-${name}-error`);
+        this.form.elements[name].setAttribute('aria-invalid', 'true');
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {string} name - Field name
+     */
+    clearError(name) {
+        const error = document.getElementById(`follow-up-${name}-error`);
+        this.form.elements[name].removeAttribute('aria-invalid');
+        if (error) {
+            error.textContent = '';
+            error.hidden = true;
+        }
+    },
+
+    /**
+     * Announce a message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * HEADER SCROLL MODULE
+ * Handles header behavior on scroll
+ */
+const HeaderScroll = {
+    dependencies: ['Viewport'],
+
+    /**
+     * Initialize header scroll functionality
+     */
+    init() {
+        this.header = document.querySelector('.header');
+        this.lastScrollTop = 0;
+        this.scrollThreshold = 100;
+
+        // Ignore jitters smaller than this so the header does not flicker
+        this.scrollTolerance = 5;
+        
+        if (this.header) {
+            this.hideOnScroll = this.header.hasAttribute('data-hide-on-scroll');
+            this.buildProgressBar();
+            this.bindEvents();
+            this.handleScroll(Viewport.state);
+        }
+    },
+
+    /**
+     * Remove the progress bar and the scroll state classes
+     */
+    destroy() {
+        if (!this.header) {
+            return;
+        }
+
+        this.progressBar.parentNode.remove();
+        this.header.classList.remove('scrolled', 'header--hidden');
+    },
+
+    /**
+     * Add the reading progress bar along the bottom of the header
+     */
+    buildProgressBar() {
+        const progress = document.createElement('div');
+        progress.className = 'header__progress';
+        progress.setAttribute('aria-hidden', 'true');
+        progress.innerHTML = '<div class="header__progress-bar"></div>';
+
+        this.header.appendChild(progress);
+        this.progressBar = progress.firstElementChild;
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        Viewport.subscribe({
+            write: (state) => this.handleScroll(state)
+        }, { signal: this.signal });
+
+        // Keyboard users tabbing into a hidden header get it back
+        this.header.addEventListener('focusin', () => {
+            this.header.classList.remove('header--hidden');
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Handle scroll events
+     * @param {Object} state - Viewport state
+     */
+    handleScroll(state) {
+        const scrollTop = state.scrollY;
+        
+        // Add shadow when scrolled
+        if (scrollTop > 10) {
+            this.header.classList.add('scrolled');
+        } else {
+            this.header.classList.remove('scrolled');
+        }
+
+        this.updateProgress(state);
+
+        // Compare against the last position that moved past the tolerance, so slow scrolling still counts
+        if (Math.abs(scrollTop - this.lastScrollTop) >= this.scrollTolerance) {
+            if (this.hideOnScroll) {
+                this.updateVisibility(scrollTop);
+            }
+            this.lastScrollTop = scrollTop;
+        }
+    },
+
+    /**
+     * Fill the progress bar with the share of the page scrolled
+     * @param {Object} state - Viewport state
+     */
+    updateProgress(state) {
+        const scrollable = state.scrollHeight - state.height;
+        const progress = scrollable > 0 ? Math.min(state.scrollY / scrollable, 1) : 0;
+
+        this.progressBar.style.transform = `scaleX(${progress})`;
+    },
+
+    /**
+     * Hide the header while scrolling down and bring it back on the way up
+     * @param {number} scrollTop - Current scroll position
+     */
+    updateVisibility(scrollTop) {
+        const delta = scrollTop - this.lastScrollTop;
+        const menuOpen = document.getElementById('mobile-menu')?.classList.contains('active');
+        const hide = delta > 0 && scrollTop > this.scrollThreshold && !menuOpen && !this.header.contains(document.activeElement);
+
+        this.header.classList.toggle('header--hidden', hide);
+    }
+};
+
+/**
+ * NEWS MODULE
+ * Loads articles from a JSON Feed, RSS or Atom file, with tag filters,
+ * "load more" pagination and a linkable article dialog (#news/<id>)
+ */
+const News = {
+    dependencies: ['I18n', 'Dialog', 'Router', 'SiteContent', 'Images', 'MobileMenu'],
+
+    // Feed HTML keeps only these elements; others are unwrapped, keeping their text
+    allowedTags: [
+        'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's',
+        'small', 'sub', 'sup', 'mark', 'abbr', 'time', 'span', 'div', 'blockquote', 'q', 'cite',
+        'code', 'pre', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img', 'figure', 'figcaption',
+        'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+    ],
+
+    // Elements removed together with their content
+    droppedTags: ['script', 'style', 'template', 'iframe', 'frame', 'object', 'embed', 'form', 'noscript'],
+
+    // Attributes kept, by element; '*' applies to every element
+    allowedAttributes: {
+        '*': ['title', 'lang', 'dir'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        ol: ['start'],
+        time: ['datetime'],
+        th: ['colspan', 'rowspan', 'scope'],
+        td: ['colspan', 'rowspan']
+    },
+
+    // Kept only when they parse to one of these protocols
+    urlAttributes: ['href', 'src'],
+
+    safeProtocols: ['http:', 'https:', 'mailto:'],
+
+    /**
+     * Initialize news functionality
+     */
+    init() {
+        this.section = document.getElementById('news');
+        this.grid = this.section?.querySelector('.news-grid[data-source]');
+        this.articles = [];
+
+        if (this.grid) {
+            this.pageSize = Number(this.grid.dataset.pageSize) || 3;
+            this.state = { tag: '', visible: this.pageSize };
+            this.buildControls();
+            this.buildDialog();
+            this.bindEvents();
+            this.load();
+        }
+    },
+
+    /**
+     * Close the article and remove the controls
+     */
+    destroy() {
+        if (!this.grid) {
+            return;
+        }
+
+        this.close({ fromRoute: true });
+        this.filters.remove();
+        this.footer.remove();
+        this.dialog.remove();
+    },
+
+    /**
+     * Fetch and parse the feed
+     * @returns {Promise} Resolves once the articles are rendered
+     */
+    load() {
+        this.grid.setAttribute('aria-busy', 'true');
+
+        return fetch(this.grid.dataset.source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`News feed error ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                this.setArticles(this.parseFeed(text));
+                this.route();
+            })
+            .catch(error => {
+                console.error('News feed error:', error);
+                this.status.textContent = I18n.t('news.loadError');
+            })
+            .finally(() => {
+                this.grid.removeAttribute('aria-busy');
+            });
+    },
+
+    /**
+     * Parse a feed of any supported format
+     * @param {string} text - Raw feed
+     * @returns {Array} Normalised articles
+     */
+    parseFeed(text) {
+        return text.trim().startsWith('{')
+            ? this.parseJSONFeed(JSON.parse(text))
+            : this.parseXMLFeed(text);
+    },
+
+    /**
+     * Read a JSON Feed (https://jsonfeed.org)
+     * Translations live in the "_i18n" extension, keyed by language, and
+     * responsive variants of "image" in "_image": { srcset, placeholder, width, height }
+     * @param {Object} feed - Parsed JSON Feed
+     * @returns {Array} Normalised articles
+     */
+    parseJSONFeed(feed) {
+        return (feed.items || []).map(item => ({
+            id: item.id || item.url || item.title,
+            url: item.url || '',
+            title: item.title || '',
+            summary: item.summary || '',
+            content: item.content_html || Utils.escapeHTML(item.content_text || ''),
+            date: item.date_published || item.date_modified || '',
+            tags: item.tags || [],
+            image: item.image && item._image ? Object.assign({ src: item.image }, item._image) : item.image || '',
+            translations: item._i18n || {}
+        }));
+    },
+
+    /**
+     * Read an RSS 2.0 or Atom feed
+     * @param {string} text - Feed XML
+     * @returns {Array} Normalised articles
+     */
+    parseXMLFeed(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        const read = (node, name) => node.getElementsByTagName(name)[0]?.textContent.trim() || '';
+
+        if (xml.getElementsByTagName('parsererror').length) {
+            throw new Error('News feed is not valid XML');
+        }
+
+        return Array.from(xml.querySelectorAll('item, entry')).map(node => {
+            const link = node.querySelector('link[rel="alternate"], link');
+            const image = node.querySelector('enclosure[type^="image"]');
+            const content = read(node, 'content:encoded') || read(node, 'content') || read(node, 'description');
+
+            return {
+                id: read(node, 'guid') || read(node, 'id') || read(node, 'title'),
+                url: link ? (link.getAttribute('href') || link.textContent.trim()) : '',
+                title: read(node, 'title'),
+                summary: read(node, 'summary') || read(node, 'description'),
+                content,
+                date: read(node, 'pubDate') || read(node, 'published') || read(node, 'updated'),
+                tags: Array.from(node.getElementsByTagName('category')).map(category => category.getAttribute('term') || category.textContent.trim()),
+                image: image ? image.getAttribute('url') : '',
+                translations: {}
+            };
+        });
+    },
+
+    /**
+     * Store the articles newest first, with stable ids and plain-text summaries
+     * Both feed formats make the date optional: undated articles go last
+     * @param {Array} articles - Normalised articles
+     */
+    setArticles(articles) {
+        this.articles = articles
+            .map(article => {
+                const date = new Date(article.date);
+                return Object.assign({}, article, {
+                    id: Utils.slugify(article.id),
+                    date: isNaN(date) ? '' : date.toISOString()
+                });
+            })
+            .filter(article => article.id && article.title)
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        this.renderFilters();
+        this.render();
+    },
+
+    /**
+     * Get an article field in the current language
+     * @param {Object} article - Article
+     * @param {string} field - title, summary or content
+     * @returns {string} Localised value
+     */
+    localize(article, field) {
+        const translation = article.translations[I18n.language] || {};
+        const key = field === 'content' ? 'content_html' : field;
+        return translation[key] || article[field];
+    },
+
+    /**
+     * Get a plain-text summary, falling back to the start of the content
+     * @param {Object} article - Article
+     * @returns {string} Summary text
+     */
+    getSummary(article) {
+        const summary = this.toText(this.localize(article, 'summary'));
+        if (summary) {
+            return summary;
+        }
+
+        const text = this.toText(this.localize(article, 'content'));
+        return text.length > 160 ? `${text.slice(0, 157).trim()}…` : text;
+    },
+
+    /**
+     * Strip markup from feed HTML
+     * @param {string} html - HTML fragment
+     * @returns {string} Text content
+     */
+    toText(html) {
+        return new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html').body.textContent.trim();
+    },
+
+    /**
+     * Keep only the allowed elements and attributes of feed HTML
+     * @param {string} html - HTML fragment
+     * @returns {string} Safe HTML
+     */
+    sanitize(html) {
+        const body = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html').body;
+
+        // Deepest first, so an unwrapped element hands over children already cleaned
+        Array.from(body.querySelectorAll('*')).reverse().forEach(element => {
+            const tag = element.localName;
+
+            // SVG and MathML content is dropped whole: its links use other attributes
+            if (element.namespaceURI !== 'http://www.w3.org/1999/xhtml' || this.droppedTags.includes(tag)) {
+                element.remove();
+                return;
+            }
+
+            if (!this.allowedTags.includes(tag)) {
+                element.replaceWith(...element.childNodes);
+                return;
+            }
+
+            const allowed = this.allowedAttributes['*'].concat(this.allowedAttributes[tag] || []);
+            Array.from(element.attributes).forEach(attribute => {
+                const isURL = this.urlAttributes.includes(attribute.name);
+                if (!allowed.includes(attribute.name) || (isURL && !this.isSafeURL(attribute.value))) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+        });
+
+        return body.innerHTML;
+    },
+
+    /**
+     * Check a feed URL the way the browser will read it
+     * (the URL parser drops tabs and newlines, so "java&#9;script:" is javascript:)
+     * @param {string} value - Attribute value
+     * @returns {boolean} True for http:, https: and mailto: URLs
+     */
+    isSafeURL(value) {
+        try {
+            return this.safeProtocols.includes(new URL(value, document.baseURI).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Get a tag's label in the current language
+     * @param {string} tag - Tag as written in the feed
+     * @returns {string} Label
+     */
+    getTagLabel(tag) {
+        const key = `news.tags.${Utils.slugify(tag)}`;
+        return I18n.has(key) ? I18n.t(key) : tag;
+    },
+
+    /**
+     * Create the tag filters, the status line and the "load more" button
+     */
+    buildControls() {
+        this.filters = document.createElement('div');
+        this.filters.className = 'news-filters';
+        this.filters.setAttribute('role', 'group');
+        this.filters.setAttribute('aria-label', I18n.t('news.filterLabel'));
+        this.filters.setAttribute('data-i18n-attr', 'aria-label:news.filterLabel');
+        this.grid.parentNode.insertBefore(this.filters, this.grid);
+
+        this.footer = document.createElement('div');
+        this.footer.className = 'news-footer';
+        this.footer.innerHTML = `
+            <p class="news-footer__status" role="status" aria-live="polite"></p>
+            <button type="button" class="btn btn--outline news-footer__more" data-i18n="news.more" hidden>${I18n.t('news.more')}</button>
+        `;
+        this.grid.parentNode.insertBefore(this.footer, this.grid.nextSibling);
+
+        this.status = this.footer.querySelector('.news-footer__status');
+        this.moreButton = this.footer.querySelector('.news-footer__more');
+    },
+
+    /**
+     * Create the article dialog and append it to the body
+     */
+    buildDialog() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'news-dialog';
+        this.dialog.hidden = true;
+        this.dialog.innerHTML = `
+            <div class="news-dialog__backdrop" data-news-close></div>
+            <article class="news-dialog__panel" role="dialog" aria-modal="true" aria-labelledby="news-dialog-title" tabindex="-1">
+                <div class="news-dialog__header">
+                    <time class="news-dialog__date"></time>
+                    <button type="button" class="news-dialog__close" data-news-close
+                        aria-label="${I18n.t('news.close')}" data-i18n-attr="aria-label:news.close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <h2 class="news-dialog__title" id="news-dialog-title"></h2>
+                <ul class="news-dialog__tags"></ul>
+                <div class="news-dialog__content"></div>
+            </article>
+        `;
+
+        document.body.appendChild(this.dialog);
+        this.panel = this.dialog.querySelector('.news-dialog__panel');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.filters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.news-filters__chip');
+            if (chip) {
+                this.update({ tag: chip.dataset.tag, visible: this.pageSize });
+            }
+        }, { signal: this.signal });
+
+        this.moreButton.addEventListener('click', () => {
+            this.loadMore();
+        }, { signal: this.signal });
+
+        // Links opened from the page push a history entry that closing can pop
+        this.grid.addEventListener('click', (e) => {
+            if (e.target.closest('.news-card__link')) {
+                this.openedFromPage = true;
+            }
+        }, { signal: this.signal });
+
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target.closest('[data-news-close]')) {
+                this.close();
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('route:change', () => {
+            this.route();
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            if (this.articles.length) {
+                this.renderFilters();
+                this.render();
+            }
+            if (this.current) {
+                this.renderArticle(this.current);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Apply a state change and re-render
+     * @param {Object} changes - Partial state
+     */
+    update(changes) {
+        this.state = Object.assign({}, this.state, changes);
+        this.renderFilters();
+        this.render();
+    },
+
+    /**
+     * Show the next page of articles and move focus to the first new one
+     */
+    loadMore() {
+        const firstNew = this.state.visible;
+
+        this.update({ visible: this.state.visible + this.pageSize });
+
+        const link = this.grid.querySelectorAll('.news-card__link')[firstNew];
+        if (link) {
+            link.focus();
+        }
+    },
+
+    /**
+     * Get the distinct tags across all articles
+     * @returns {Array} Tags sorted by label
+     */
+    getTags() {
+        const all = this.articles.reduce((list, article) => list.concat(article.tags), []);
+        return Array.from(new Set(all)).sort((a, b) => this.getTagLabel(a).localeCompare(this.getTagLabel(b), I18n.locale()));
+    },
+
+    /**
+     * Render one filter chip per tag plus "All"
+     */
+    renderFilters() {
+        const tags = this.getTags();
+        const chips = [{ value: '', label: I18n.t('news.all') }].concat(
+            tags.map(tag => ({ value: tag, label: this.getTagLabel(tag) }))
+        );
+
+        this.filters.hidden = !tags.length;
+        this.filters.innerHTML = chips.map(chip => `
+            <button type="button" class="news-filters__chip" data-tag="${Utils.escapeHTML(chip.value)}"
+                aria-pressed="${chip.value === this.state.tag}">${Utils.escapeHTML(chip.label)}</button>
+        `).join('');
+    },
+
+    /**
+     * Get the articles matching the tag filter
+     * @returns {Array} Filtered articles
+     */
+    getFilteredArticles() {
+        return this.articles.filter(article => !this.state.tag || article.tags.includes(this.state.tag));
+    },
+
+    /**
+     * Render the current page of cards
+     */
+    render() {
+        const articles = this.getFilteredArticles();
+        const visible = articles.slice(0, this.state.visible);
+
+        this.grid.innerHTML = visible.length
+            ? visible.map(article => this.renderCard(article)).join('')
+            : `<p class="news-footer__empty">${I18n.t('news.empty')}</p>`;
+
+        this.moreButton.hidden = visible.length >= articles.length;
+        this.status.textContent = articles.length
+            ? I18n.t('news.count', { shown: visible.length, count: articles.length })
+            : '';
+    },
+
+    /**
+     * Build the markup for a news card
+     * @param {Object} article - Article
+     * @returns {string} Card HTML
+     */
+    renderCard(article) {
+        return `
+            <article class="news-card" data-article-id="${article.id}">
+                ${article.image
+                    ? Images.markup(article.image, { className: 'news-card__image', sizes: '(min-width: 1024px) 400px, (min-width: 700px) 50vw, 100vw' })
+                    : '<div class="news-card__image"></div>'}
+                <div class="news-card__body">
+                    ${article.date ? `<time class="news-card__date" datetime="${article.date}">${I18n.formatDate(article.date)}</time>` : ''}
+                    <h3 class="news-card__title">
+                        <a class="news-card__link" href="#news/${article.id}">${Utils.escapeHTML(this.localize(article, 'title'))}</a>
+                    </h3>
+                    <p class="news-card__text">${Utils.escapeHTML(this.getSummary(article))}</p>
+                    ${this.renderTags(article, 'news-card__tags')}
+                </div>
+            </article>
+        `;
+    },
+
+    /**
+     * Build a tag list
+     * @param {Object} article - Article
+     * @param {string} className - List class
+     * @returns {string} List HTML
+     */
+    renderTags(article, className) {
+        if (!article.tags.length) {
+            return '';
+        }
+
+        return `
+            <ul class="${className}">
+                ${article.tags.map(tag => `<li class="news-tag">${Utils.escapeHTML(this.getTagLabel(tag))}</li>`).join('')}
+            </ul>
+        `;
+    },
+
+    /**
+     * Open or close the dialog to match the current route
+     */
+    route() {
+        const route = Router.current;
+        const article = route.name === 'news' && this.articles.find(item => item.id === route.params.id);
+
+        if (article) {
+            this.open(article);
+        } else if (this.current) {
+            this.close({ fromRoute: true });
+        }
+    },
+
+    /**
+     * Show an article in the dialog
+     * @param {Object} article - Article
+     */
+    open(article) {
+        if (!this.current) {
+            this.trigger = document.activeElement;
+        }
+
+        this.current = article;
+        this.renderArticle(article);
+
+        MobileMenu.closeMenu({ returnFocus: false });
+        this.dialog.hidden = false;
+        this.panel.scrollTop = 0;
+        Dialog.open(this.dialog, {
+            trigger: this.trigger,
+            containers: [this.panel],
+            initialFocus: this.panel,
+            onDismiss: () => this.close()
+        });
+    },
+
+    /**
+     * Fill the dialog with an article
+     * @param {Object} article - Article
+     */
+    renderArticle(article) {
+        const date = this.dialog.querySelector('.news-dialog__date');
+
+        date.hidden = !article.date;
+        date.setAttribute('datetime', article.date);
+        date.textContent = article.date ? I18n.formatDate(article.date) : '';
+        this.dialog.querySelector('.news-dialog__title').textContent = this.localize(article, 'title');
+        this.dialog.querySelector('.news-dialog__tags').outerHTML = this.renderTags(article, 'news-dialog__tags') || '<ul class="news-dialog__tags"></ul>';
+        this.dialog.querySelector('.news-dialog__content').innerHTML = this.sanitize(this.localize(article, 'content'));
+    },
+
+    /**
+     * Close the dialog, restore the URL and return focus
+     * @param {Object} options - { fromRoute: the hash already changed }
+     */
+    close(options = {}) {
+        if (!this.current) {
+            return;
+        }
+
+        const article = this.current;
+        this.current = null;
+        this.dialog.hidden = true;
+
+        if (!options.fromRoute) {
+            if (this.openedFromPage) {
+                history.back();
+            } else {
+                Router.navigate('#news', { replace: true, scroll: false });
+            }
+        }
+        this.openedFromPage = false;
+
+        const link = this.grid.querySelector(`[data-article-id="${article.id}"] .news-card__link`);
+        Dialog.close(this.dialog, { returnFocus: link || this.trigger });
+    }
+};
+
+/**
+ * PATHOLOGY FINDER MODULE
+ * Type-ahead search over the pathology cards with specialist suggestions
+ * The pathology-to-doctor mapping is loaded from JSON
+ */
+const PathologyFinder = {
+    dependencies: ['I18n', 'Motion', 'SiteContent', 'DoctorDirectory'],
+
+    /**
+     * Initialize pathology finder functionality
+     */
+    init() {
+        this.container = document.querySelector('.pathology-finder');
+        this.cards = document.querySelectorAll('#patologies .patology-card');
+        this.maxSuggestions = 8;
+        this.mapping = { areas: [], conditions: {} };
+        this.activeIndex = -1;
+        this.selected = null;
+        this.markup = undefined;
+
+        if (this.container && this.cards.length) {
+            // Restored by destroy()
+            this.markup = this.container.innerHTML;
+            this.buildIndex();
+            this.buildControls();
+            this.bindEvents();
+            this.loadMapping();
+        }
+    },
+
+    /**
+     * Put back the original finder markup
+     */
+    destroy() {
+        if (this.markup === undefined) {
+            return;
+        }
+
+        this.clearHighlight();
+        this.container.innerHTML = this.markup;
+    },
+
+    /**
+     * Load the pathology-to-specialist mapping
+     * Conditions are keyed by the items' data-condition ids
+     */
+    loadMapping() {
+        fetch(this.container.dataset.source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Pathology mapping error ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(mapping => {
+                this.mapping = mapping;
+            })
+            .catch(error => {
+                console.error('Pathology finder error:', error);
+            });
+    },
+
+    /**
+     * Index every pathology card item for searching
+     * Names come from the translated page, ids from data-area/data-condition
+     */
+    buildIndex() {
+        this.entries = [];
+
+        this.cards.forEach(card => {
+            const areaTitle = card.querySelector('.patology-card__title').textContent.trim();
+            const areaId = card.dataset.area || Utils.slugify(areaTitle);
+            card.dataset.area = areaId;
+
+            card.querySelectorAll('.patology-card__item').forEach(item => {
+                const name = item.textContent.trim();
+                this.entries.push({
+                    id: item.dataset.condition || Utils.slugify(name),
+                    name,
+                    key: Utils.normalizeText(name),
+                    areaId,
+                    areaTitle,
+                    card,
+                    item
+                });
+            });
+        });
+    },
+
+    /**
+     * Create the combobox and result panel
+     */
+    buildControls() {
+        this.container.innerHTML = `
+            <label class="pathology-finder__label" for="pathology-search" data-i18n="finder.label">${I18n.t('finder.label')}</label>
+            <div class="pathology-finder__field">
+                <i class="fas fa-search pathology-finder__icon" aria-hidden="true"></i>
+                <input class="pathology-finder__input" id="pathology-search" type="text" autocomplete="off"
+                    placeholder="${I18n.t('finder.placeholder')}" data-i18n-attr="placeholder:finder.placeholder" role="combobox" aria-expanded="false"
+                    aria-controls="pathology-suggestions" aria-autocomplete="list">
+                <ul class="pathology-finder__suggestions" id="pathology-suggestions" role="listbox" aria-label="${I18n.t('finder.listLabel')}" data-i18n-attr="aria-label:finder.listLabel" hidden></ul>
+            </div>
+            <p class="pathology-finder__status" role="status" aria-live="polite"></p>
+            <div class="pathology-finder__result" hidden></div>
+        `;
+
+        this.input = this.container.querySelector('.pathology-finder__input');
+        this.listbox = this.container.querySelector('.pathology-finder__suggestions');
+        this.status = this.container.querySelector('.pathology-finder__status');
+        this.result = this.container.querySelector('.pathology-finder__result');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.input.addEventListener('input', Utils.debounce(() => {
+            this.search(this.input.value);
+        }, 150), { signal: this.signal });
+
+        this.input.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        }, { signal: this.signal });
+
+        this.listbox.addEventListener('mousedown', (e) => {
+            // Keep focus in the input while choosing with the mouse
+            e.preventDefault();
+        }, { signal: this.signal });
+
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.select(this.suggestions[Number(option.dataset.index)]);
+            }
+        }, { signal: this.signal });
+
+        this.input.addEventListener('blur', () => {
+            this.closeSuggestions();
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            this.translate();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Re-index the translated names and refresh any open result
+     */
+    translate() {
+        const selectedId = this.selected ? this.selected.id : null;
+
+        this.buildIndex();
+        this.selected = this.entries.find(entry => entry.id === selectedId) || null;
+
+        if (this.selected) {
+            this.input.value = this.selected.name;
+            this.renderResult(this.selected);
+        } else if (this.input.value) {
+            this.search(this.input.value);
+            this.closeSuggestions();
+        }
+    },
+
+    /**
+     * Find entries matching the query, best matches first
+     * @param {string} query - Text typed by the user
+     */
+    search(query) {
+        const key = Utils.normalizeText(query);
+        this.clearHighlight();
+        this.selected = null;
+
+        if (key.length < 2) {
+            this.suggestions = [];
+            this.renderSuggestions();
+            this.status.textContent = '';
+            return;
+        }
+
+        this.suggestions = this.entries
+            .filter(entry => entry.key.includes(key) || Utils.normalizeText(entry.areaTitle).includes(key))
+            .sort((a, b) => Number(!a.key.startsWith(key)) - Number(!b.key.startsWith(key)) || a.name.localeCompare(b.name, I18n.locale()))
+            .slice(0, this.maxSuggestions);
+
+        this.suggestions.forEach(entry => {
+            entry.card.classList.add('is-match');
+            entry.item.classList.add('is-match');
+        });
+
+        this.renderSuggestions();
+        this.status.textContent = this.suggestions.length
+            ? I18n.t('finder.results', { count: this.suggestions.length })
+            : I18n.t('finder.noResults');
+    },
+
+    /**
+     * Render the suggestion list
+     */
+    renderSuggestions() {
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (!this.suggestions.length) {
+            this.closeSuggestions();
+            return;
+        }
+
+        this.listbox.innerHTML = this.suggestions.map((entry, index) => `
+            <li class="pathology-finder__option" id="pathology-option-${index}" role="option" data-index="${index}" aria-selected="false">
+                <span class="pathology-finder__option-name">${Utils.highlight(entry.name, this.input.value)}</span>
+                <span class="pathology-finder__option-area">${Utils.escapeHTML(entry.areaTitle)}</span>
+            </li>
+        `).join('');
+
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    },
+
+    /**
+     * Hide the suggestion list
+     */
+    closeSuggestions() {
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    },
+
+    /**
+     * Handle combobox keyboard interaction
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const count = this.suggestions ? this.suggestions.length : 0;
+
+        if (e.key === 'ArrowDown' && count) {
+            e.preventDefault();
+            this.setActive((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count) {
+            e.preventDefault();
+            this.setActive((this.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter' && this.activeIndex > -1) {
+            e.preventDefault();
+            this.select(this.suggestions[this.activeIndex]);
+        } else if (e.key === 'Escape') {
+            if (!this.listbox.hidden) {
+                e.stopPropagation();
+                this.closeSuggestions();
+            } else {
+                this.input.value = '';
+                this.search('');
+            }
+        }
+    },
+
+    /**
+     * Move the active option
+     * @param {number} index - Option index
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        this.listbox.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+            const isActive = optionIndex === index;
+            option.setAttribute('aria-selected', String(isActive));
+            option.classList.toggle('is-active', isActive);
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    },
+
+    /**
+     * Choose a pathology: highlight its card and suggest specialists
+     * @param {Object} entry - Selected index entry
+     */
+    select(entry) {
+        this.input.value = entry.name;
+        this.closeSuggestions();
+        this.clearHighlight();
+
+        entry.card.classList.add('is-selected');
+        entry.item.classList.add('is-match');
+        this.selected = entry;
+
+        this.renderResult(entry);
+        entry.card.scrollIntoView({ behavior: Motion.scrollBehavior(), block: 'nearest' });
+    },
+
+    /**
+     * Get the doctors who treat a condition
+     * @param {Object} entry - Index entry
+     * @returns {Array} Doctor records
+     */
+    getDoctorsFor(entry) {
+        const area = this.mapping.areas.find(item => item.id === entry.areaId);
+        const ids = this.mapping.conditions[entry.id] || (area ? area.doctors : []);
+        const directory = DoctorDirectory.doctors || [];
+
+        return ids.map(id => directory.find(doctor => doctor.id === id) || { id, name: id, specializations: [] });
+    },
+
+    /**
+     * Render the specialist suggestions for a condition
+     * @param {Object} entry - Selected index entry
+     */
+    renderResult(entry) {
+        const doctors = this.getDoctorsFor(entry);
+
+        this.result.innerHTML = `
+            <h3 class="pathology-finder__result-title">${Utils.escapeHTML(entry.name)}
+                <span class="pathology-finder__result-area">${Utils.escapeHTML(entry.areaTitle)}</span>
+            </h3>
+            ${doctors.length ? `
+                <p class="pathology-finder__result-text">${I18n.t('finder.doctorsIntro')}</p>
+                <ul class="pathology-finder__doctors">
+                    ${doctors.map(doctor => `
+                        <li>
+                            <a href="#doctors/${encodeURIComponent(doctor.id)}" class="pathology-finder__doctor">
+                                <i class="fas fa-user-md" aria-hidden="true"></i>
+                                <span>${Utils.escapeHTML(doctor.name)}</span>
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : `
+                <p class="pathology-finder__result-text">${I18n.t('finder.noDoctors')}</p>
+            `}
+            <button type="button" class="btn btn--primary pathology-finder__book" data-booking-trigger
+                data-area="${entry.areaId}" ${doctors.length === 1 ? `data-doctor="${Utils.escapeHTML(doctors[0].id)}"` : ''}>
+                <i class="fas fa-calendar-check" aria-hidden="true"></i>
+                ${I18n.t('finder.book')}
+            </button>
+        `;
+
+        this.result.hidden = false;
+        this.status.textContent = I18n.t('finder.resultStatus', { name: entry.name, count: doctors.length });
+    },
+
+    /**
+     * Remove all match highlighting from the cards
+     */
+    clearHighlight() {
+        this.cards.forEach(card => card.classList.remove('is-match', 'is-selected'));
+        this.entries.forEach(entry => entry.item.classList.remove('is-match'));
+    }
+};
+
+/**
+ * ANALYTICS PERFORMANCE SINK
+ * Default destination for performance reports: the consent-gated Analytics queue
+ */
+const AnalyticsPerformanceSink = {
+    /**
+     * Forward a report
+     * @param {Object} event - Performance event
+     */
+    send(event) {
+        Analytics.track(event.name, event.params);
+    }
+};
+
+/**
+ * PERFORMANCE MONITORING
+ * Collects Core Web Vitals, long tasks and third-party resource timing with
+ * PerformanceObserver and reports them to pluggable sinks for a sample of
+ * page views. Add ?perf to the URL to show the live values in an overlay
+ */
+const Performance = {
+    dependencies: ['I18n', 'Analytics'],
+
+    metrics: {},
+
+    reported: {},
+
+    sinks: [AnalyticsPerformanceSink],
+
+    // Share of page views that report; <body data-perf-sample-rate="0.25"> overrides it
+    sampleRate: 1,
+
+    // Good / poor boundaries for each metric
+    thresholds: {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    },
+
+    // Third-party requests whose timing is followed
+    resources: {
+        fontAwesome: /cdnjs\.cloudflare\.com\/.*font-awesome/,
+        googleFonts: /fonts\.(googleapis|gstatic)\.com/
+    },
+
+    /**
+     * Initialize performance monitoring
+     */
+    init() {
+        this.context = this.getContext();
+        this.sampled = Math.random() < this.getSampleRate();
+        this.longTasks = { count: 0, blockingTime: 0 };
+        this.resourceTimings = {};
+        this.observers = [];
+
+        this.observeVitals();
+        this.observeLongTasks();
+        this.observeResources();
+        this.reportLoadTime();
+
+        // Vitals keep changing until the page is hidden, so report then
+        window.addEventListener('pagehide', () => this.report(), { signal: this.signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.report();
+            }
+        }, { signal: this.signal });
+
+        if (new URLSearchParams(window.location.search).has('perf')) {
+            this.buildOverlay();
+        }
+    },
+
+    /**
+     * Stop observing and remove the overlay
+     */
+    destroy() {
+        this.observers.forEach(observer => observer.disconnect());
+        cancelAnimationFrame(this.overlayFrame);
+        this.overlayFrame = null;
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    },
+
+    /**
+     * Register a sink, e.g. { send(event) { ... } }
+     * @param {Object} sink - Receives { name, params } events
+     */
+    addSink(sink) {
+        this.sinks.push(sink);
+    },
+
+    /**
+     * Unregister a sink
+     * @param {Object} sink - Sink passed to addSink
+     */
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(item => item !== sink);
+    },
+
+    /**
+     * Get the share of page views that report
+     * @returns {number} Rate between 0 and 1
+     */
+    getSampleRate() {
+        const rate = parseFloat(document.body && document.body.dataset.perfSampleRate);
+        return Number.isNaN(rate) ? this.sampleRate : Math.min(Math.max(rate, 0), 1);
+    },
+
+    /**
+     * Describe the page view so reports can be segmented
+     * @returns {Object} Context params sent with every report
+     */
+    getContext() {
+        const connection = navigator.connection || {};
+
+        return {
+            navigation_type: this.getNavigationType(),
+            device_class: this.getDeviceClass(),
+            form_factor: window.matchMedia && window.matchMedia('(pointer: coarse)').matches ? 'mobile' : 'desktop',
+            effective_type: connection.effectiveType || 'unknown'
+        };
+    },
+
+    /**
+     * Get how the page was reached
+     * @returns {string} navigate, reload, back-forward or prerender
+     */
+    getNavigationType() {
+        const entry = this.getNavigationEntry();
+
+        if (document.prerendering || (entry && entry.activationStart > 0)) {
+            return 'prerender';
+        }
+
+        return entry ? entry.type.replace(/_/g, '-') : 'navigate';
+    },
+
+    /**
+     * Bucket the device by memory, CPU and network
+     * @returns {string} low, mid or high
+     */
+    getDeviceClass() {
+        const memory = navigator.deviceMemory || 4;
+        const cores = navigator.hardwareConcurrency || 4;
+        const connection = navigator.connection || {};
+
+        if (memory <= 2 || cores <= 2 || connection.saveData || /2g$/.test(connection.effectiveType || '')) {
+            return 'low';
+        }
+
+        return memory >= 8 && cores >= 8 ? 'high' : 'mid';
+    },
+
+    /**
+     * Get the navigation timing entry
+     * @returns {PerformanceNavigationTiming|undefined} Entry when supported
+     */
+    getNavigationEntry() {
+        return performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : undefined;
+    },
+
+    /**
+     * Time the page became visible, later than zero for prerendered pages
+     * @returns {number} Milliseconds
+     */
+    getActivationStart() {
+        const entry = this.getNavigationEntry();
+        return (entry && entry.activationStart) || 0;
+    },
+
+    /**
+     * Observe an entry type if the browser supports it
+     * @param {string} type - Performance entry type
+     * @param {Function} callback - Called with each entry
+     * @param {Object} options - Extra observe() options
+     * @returns {PerformanceObserver|null} Observer, null when unsupported
+     */
+    observe(type, callback, options = {}) {
+        const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+        if (!supported || !supported.includes(type)) {
+            return null;
+        }
+
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            return observer;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Follow LCP, CLS, INP, FCP and TTFB
+     */
+    observeVitals() {
+        const activationStart = this.getActivationStart();
+
+        this.observe('paint', entry => {
+            if (entry.name === 'first-contentful-paint') {
+                this.setMetric('FCP', Math.max(entry.startTime - activationStart, 0));
+            }
+        });
+
+        // The browser stops emitting LCP candidates after the first input
+        let lcpFinal = false;
+        this.observe('largest-contentful-paint', entry => {
+            if (!lcpFinal) {
+                this.setMetric('LCP', Math.max(entry.startTime - activationStart, 0));
+            }
+        });
+        ['keydown', 'click'].forEach(type => {
+            window.addEventListener(type, () => { lcpFinal = true; }, { once: true, capture: true, signal: this.signal });
+        });
+
+        // CLS is the largest burst of shifts less than 1s apart within 5s
+        const session = { value: 0, start: 0, last: 0 };
+        const layoutShift = this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) {
+                return;
+            }
+
+            if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.start < 5000) {
+                session.value += entry.value;
+            } else {
+                session.value = entry.value;
+                session.start = entry.startTime;
+            }
+            session.last = entry.startTime;
+
+            if (session.value > this.metrics.CLS.value) {
+                this.setMetric('CLS', session.value);
+            }
+        });
+        if (layoutShift) {
+            this.setMetric('CLS', 0);
+        }
+
+        // INP is the slowest interaction, skipping one outlier per 50 interactions
+        const interactions = new Map();
+        const handleInteraction = entry => {
+            if (!entry.interactionId) {
+                return;
+            }
+
+            interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            this.setMetric('INP', durations[Math.min(durations.length - 1, Math.floor(interactions.size / 50))]);
+        };
+        this.observe('event', handleInteraction, { durationThreshold: 40 });
+        this.observe('first-input', handleInteraction);
+
+        this.observe('navigation', entry => {
+            this.setMetric('TTFB', Math.max(entry.responseStart - activationStart, 0));
+        });
+    },
+
+    /**
+     * Count long tasks and the main-thread time they block
+     */
+    observeLongTasks() {
+        this.observe('longtask', entry => {
+            this.longTasks.count += 1;
+            this.longTasks.blockingTime += Math.max(entry.duration - 50, 0);
+            this.scheduleOverlayUpdate();
+        });
+    },
+
+    /**
+     * Time the Font Awesome and Google Fonts requests
+     */
+    observeResources() {
+        this.observe('resource', entry => {
+            const key = Object.keys(this.resources).find(name => this.resources[name].test(entry.name));
+            if (!key) {
+                return;
+            }
+
+            const timing = this.resourceTimings[key] || (this.resourceTimings[key] = { count: 0, duration: 0, transferSize: 0 });
+            timing.count += 1;
+            timing.duration = Math.max(timing.duration, entry.responseEnd - entry.startTime);
+            // Zero unless the CDN sends Timing-Allow-Origin
+            timing.transferSize += entry.transferSize || 0;
+            this.scheduleOverlayUpdate();
+        });
+    },
+
+    /**
+     * Store a metric value with its rating
+     * @param {string} name - Metric name
+     * @param {number} value - Milliseconds, or a score for CLS
+     */
+    setMetric(name, value) {
+        const [good, poor] = this.thresholds[name];
+        let rating = 'good';
+
+        if (value > poor) {
+            rating = 'poor';
+        } else if (value > good) {
+            rating = 'needs-improvement';
+        }
+
+        this.metrics[name] = { name, value, rating };
+        this.scheduleOverlayUpdate();
+    },
+
+    /**
+     * Send what changed since the last report
+     */
+    report() {
+        if (!this.sampled) {
+            return;
+        }
+
+        Object.values(this.metrics).forEach(metric => {
+            if (this.reported[metric.name] === metric.value) {
+                return;
+            }
+
+            this.reported[metric.name] = metric.value;
+            this.send('web_vitals', {
+                metric: metric.name,
+                value: this.roundValue(metric.name, metric.value),
+                rating: metric.rating
+            });
+        });
+
+        if (this.longTasks.count !== (this.reported.longTasks || 0)) {
+            this.reported.longTasks = this.longTasks.count;
+            this.send('long_tasks', {
+                count: this.longTasks.count,
+                blocking_time: Math.round(this.longTasks.blockingTime)
+            });
+        }
+
+        Object.entries(this.resourceTimings).forEach(([key, timing]) => {
+            if (this.reported[key] === timing.count) {
+                return;
+            }
+
+            this.reported[key] = timing.count;
+            this.send('resource_timing', {
+                resource: key,
+                count: timing.count,
+                duration: Math.round(timing.duration),
+                transfer_size: timing.transferSize
+            });
+        });
+    },
+
+    /**
+     * Hand an event to every sink
+     * @param {string} name - Event name
+     * @param {Object} params - Event parameters
+     */
+    send(name, params) {
+        const event = { name, params: { ...params, ...this.context } };
+
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(event);
+            } catch (error) {
+                console.error('Performance sink failed:', error);
+            }
+        });
+    },
+
+    /**
+     * Round a metric for reporting
+     * @param {string} name - Metric name
+     * @param {number} value - Raw value
+     * @returns {number} CLS to three decimals, timings to whole milliseconds
+     */
+    roundValue(name, value) {
+        return name === 'CLS' ? Number(value.toFixed(3)) : Math.round(value);
+    },
+
+    /**
+     * Report the page load time to the sinks
+     */
+    reportLoadTime() {
+        window.addEventListener('load', () => {
+            const loadTime = performance.now();
+
+            if (this.sampled) {
+                this.send('page_load_time', {
+                    value: Math.round(loadTime)
+                });
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Build the ?perf debug overlay
+     */
+    buildOverlay() {
+        this.overlay = document.createElement('aside');
+        this.overlay.className = 'perf-overlay';
+        document.body.appendChild(this.overlay);
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target.closest('.perf-overlay__close')) {
+                this.overlay.remove();
+                this.overlay = null;
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => this.renderOverlay(), { signal: this.signal });
+        this.renderOverlay();
+    },
+
+    /**
+     * Render the overlay labels
+     */
+    renderOverlay() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const row = (key, label) => `
+            <div class="perf-overlay__row" data-perf-row="${key}">
+                <dt>${label}</dt>
+                <dd>–</dd>
+            </div>
+        `;
+
+        this.overlay.setAttribute('aria-label', I18n.t('perf.title'));
+        this.overlay.innerHTML = `
+            <div class="perf-overlay__header">
+                <strong>${I18n.t('perf.title')}</strong>
+                <button type="button" class="perf-overlay__close" aria-label="${I18n.t('perf.close')}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <dl class="perf-overlay__list">
+                ${Object.keys(this.thresholds).map(name => row(name, name)).join('')}
+                ${row('longTasks', I18n.t('perf.longTasks'))}
+                ${Object.keys(this.resources).map(key => row(key, I18n.t(`perf.resources.${key}`))).join('')}
+            </dl>
+            <p class="perf-overlay__context"></p>
+        `;
+
+        this.updateOverlay();
+    },
+
+    /**
+     * Batch overlay updates into the next frame
+     */
+    scheduleOverlayUpdate() {
+        if (!this.overlay || this.overlayFrame) {
+            return;
+        }
+
+        this.overlayFrame = requestAnimationFrame(() => {
+            this.overlayFrame = null;
+            this.updateOverlay();
+        });
+    },
+
+    /**
+     * Write the current values into the overlay
+     */
+    updateOverlay() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const setRow = (key, text, rating) => {
+            const row = this.overlay.querySelector(`[data-perf-row="${key}"]`);
+            row.querySelector('dd').textContent = text;
+            if (rating) {
+                row.dataset.rating = rating;
+            }
+        };
+
+        Object.values(this.metrics).forEach(metric => {
+            const value = this.roundValue(metric.name, metric.value);
+            setRow(metric.name, metric.name === 'CLS' ? String(value) : `${value} ms`, metric.rating);
+        });
+
+        setRow('longTasks', I18n.t('perf.longTasksValue', {
+            count: this.longTasks.count,
+            time: Math.round(this.longTasks.blockingTime)
+        }));
+
+        Object.entries(this.resourceTimings).forEach(([key, timing]) => {
+            setRow(key, `${Math.round(timing.duration)} ms`);
+        });
+
+        const context = [this.context.navigation_type, this.context.device_class, this.context.form_factor, this.context.effective_type];
+        if (!this.sampled) {
+            context.push(I18n.t('perf.notSampled'));
+        }
+        this.overlay.querySelector('.perf-overlay__context').textContent = context.join(' · ');
+    }
+};
+
+/**
+ * PWA MODULE
+ * Registers the service worker, offers reloading when a new version has
+ * been deployed and replaces the browser's install banner with a header button
+ */
+const PWA = {
+    dependencies: ['I18n', 'Analytics'],
+
+    /**
+     * Initialize offline support and the install prompt
+     */
+    init() {
+        this.buildInstallButton();
+        this.buildUpdatePrompt();
+        this.bindEvents();
+        this.register();
+    },
+
+    /**
+     * Remove the install button and update prompt
+     */
+    destroy() {
+        [this.installButton, this.updatePrompt].forEach(element => {
+            if (element) {
+                element.remove();
+            }
+        });
+    },
+
+    /**
+     * Create the hidden install button next to the header controls
+     */
+    buildInstallButton() {
+        const header = document.querySelector('.header__content');
+        if (!header) {
+            return;
+        }
+
+        this.installButton = document.createElement('button');
+        this.installButton.type = 'button';
+        this.installButton.className = 'install-btn';
+        this.installButton.hidden = true;
+        this.installButton.setAttribute('aria-label', I18n.t('pwa.installLabel'));
+        this.installButton.setAttribute('data-i18n-attr', 'aria-label:pwa.installLabel');
+        this.installButton.innerHTML = `
+            <i class="fas fa-download" aria-hidden="true"></i>
+            <span class="install-btn__text" data-i18n="pwa.install">${I18n.t('pwa.install')}</span>
+        `;
+
+        const before = header.querySelector(':scope > .language-switcher') || header.querySelector('.mobile-menu-btn');
+        header.insertBefore(this.installButton, before);
+    },
+
+    /**
+     * Create the hidden "update available" prompt
+     */
+    buildUpdatePrompt() {
+        this.updatePrompt = document.createElement('div');
+        this.updatePrompt.className = 'app-update';
+        this.updatePrompt.hidden = true;
+        this.updatePrompt.setAttribute('role', 'status');
+        this.updatePrompt.innerHTML = `
+            <p class="app-update__text" data-i18n="pwa.updateText">${I18n.t('pwa.updateText')}</p>
+            <div class="app-update__actions">
+                <button type="button" class="btn btn--outline" data-update-action="dismiss" data-i18n="pwa.dismiss">${I18n.t('pwa.dismiss')}</button>
+                <button type="button" class="btn btn--primary" data-update-action="reload" data-i18n="pwa.update">${I18n.t('pwa.update')}</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.updatePrompt);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Keep the browser's mini-infobar away and offer our own button instead
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            if (this.installButton) {
+                this.installButton.hidden = false;
+            }
+        }, { signal: this.signal });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            if (this.installButton) {
+                this.installButton.hidden = true;
+            }
+            Analytics.track('pwa_installed');
+        }, { signal: this.signal });
+
+        if (this.installButton) {
+            this.installButton.addEventListener('click', () => this.promptInstall(), { signal: this.signal });
+        }
+
+        this.updatePrompt.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-update-action]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.updateAction === 'reload') {
+                this.applyUpdate();
+            } else {
+                this.updatePrompt.hidden = true;
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Register the service worker and watch for new versions
+     */
+    register() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            return;
+        }
+
+        // Reload once the new worker has taken over, but not on the first install
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController && !this.reloading) {
+                this.reloading = true;
+                window.location.reload();
+            }
+        }, { signal: this.signal });
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js')
+                .then(registration => this.watchRegistration(registration))
+                .catch(error => console.warn('Service worker registration failed:', error));
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show the update prompt when a new worker is waiting
+     * @param {ServiceWorkerRegistration} registration - Active registration
+     */
+    watchRegistration(registration) {
+        this.registration = registration;
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdate();
+                }
+            }, { signal: this.signal });
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Reveal the update prompt
+     */
+    showUpdate() {
+        this.updatePrompt.hidden = false;
+    },
+
+    /**
+     * Ask the waiting worker to activate; controllerchange then reloads the page
+     */
+    applyUpdate() {
+        this.updatePrompt.hidden = true;
+
+        if (this.registration && this.registration.waiting) {
+            this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+    },
+
+    /**
+     * Show the browser's install dialog
+     */
+    async promptInstall() {
+        if (!this.deferredPrompt) {
+            return;
+        }
+
+        const prompt = this.deferredPrompt;
+        this.deferredPrompt = null;
+        this.installButton.hidden = true;
+
+        prompt.prompt();
+        const choice = await prompt.userChoice;
+        Analytics.track('pwa_install_prompt', { outcome: choice.outcome });
+    }
+};
+
+/**
+ * TESTIMONIALS MODULE
+ * Renders patient reviews from JSON as a carousel, with the average rating
+ * and AggregateRating structured data. The track scrolls natively, so it can
+ * be swiped; autoplay pauses on hover and focus and stays off when motion is reduced
+ */
+const Testimonials = {
+    dependencies: ['I18n', 'Motion', 'Viewport', 'Images'],
+
+    // Autoplay delay in milliseconds
+    interval: 7000,
+
+    maxRating: 5,
+
+    /**
+     * Subject of the reviews in the structured data
+     */
+    organization: {
+        '@type': 'MedicalOrganization',
+        name: 'Galenica Online'
+    },
+
+    /**
+     * Initialize testimonials functionality
+     */
+    init() {
+        this.section = document.getElementById('testimonials');
+        this.track = this.section?.querySelector('.testimonials-grid[data-source]');
+        this.reviews = [];
+
+        if (this.track) {
+            // Restored by destroy()
+            this.markup = this.track.innerHTML;
+            this.index = 0;
+            this.perView = 1;
+            this.paused = new Set();
+            this.playing = !Motion.isReduced();
+            this.buildCarousel();
+            this.bindEvents();
+            this.load();
+        }
+    },
+
+    /**
+     * Stop autoplay and put back the static cards
+     */
+    destroy() {
+        if (!this.track) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.carousel.parentNode.insertBefore(this.track, this.carousel);
+        this.carousel.remove();
+        this.track.classList.remove('testimonials__track');
+        ['tabindex', 'aria-live', 'aria-label', 'data-i18n-attr'].forEach(name => this.track.removeAttribute(name));
+        this.track.innerHTML = this.markup;
+
+        if (this.structuredData) {
+            this.structuredData.remove();
+            this.structuredData = null;
+        }
+    },
+
+    /**
+     * Fetch the published reviews
+     * @returns {Promise} Resolves once the reviews are rendered
+     */
+    load() {
+        this.track.setAttribute('aria-busy', 'true');
+
+        return fetch(this.track.dataset.source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Reviews source error ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                this.setReviews(data.reviews || data);
+            })
+            .catch(error => {
+                // Keep the static cards already in the page
+                console.error('Testimonials error:', error);
+            })
+            .finally(() => {
+                this.track.removeAttribute('aria-busy');
+            });
+    },
+
+    /**
+     * Replace the reviews and render them
+     * Ratings outside 1-5 are dropped
+     * @param {Array} reviews - Review records
+     */
+    setReviews(reviews) {
+        this.reviews = reviews
+            .map(review => Object.assign({}, review, { rating: Number(review.rating) }))
+            .filter(review => review.author && review.rating >= 1 && review.rating <= this.maxRating);
+
+        this.index = 0;
+        this.render();
+        this.measure();
+        this.renderPages();
+        this.updateAutoplay();
+    },
+
+    /**
+     * Get a review's text in the current language
+     * Translations live in the "_i18n" field, keyed by language
+     * @param {Object} review - Review
+     * @returns {string} Localised text
+     */
+    localize(review) {
+        const translation = (review._i18n || {})[I18n.language] || {};
+        return translation.text || review.text || '';
+    },
+
+    /**
+     * Get the average rating, rounded to one decimal
+     * @returns {number} Average, 0 without reviews
+     */
+    getAverage() {
+        if (!this.reviews.length) {
+            return 0;
+        }
+
+        const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
+        return Math.round((total / this.reviews.length) * 10) / 10;
+    },
+
+    /**
+     * Format a rating for the current language
+     * @param {number} rating - Rating
+     * @returns {string} E.g. "4,5" in Italian
+     */
+    formatRating(rating) {
+        return new Intl.NumberFormat(I18n.locale(), { maximumFractionDigits: 1 }).format(rating);
+    },
+
+    /**
+     * Wrap the track with the summary, controls and page dots
+     */
+    buildCarousel() {
+        this.track.id = this.track.id || 'testimonials-track';
+
+        this.carousel = document.createElement('div');
+        this.carousel.className = 'testimonials';
+        this.carousel.setAttribute('role', 'region');
+        this.carousel.setAttribute('aria-roledescription', I18n.t('testimonials.carousel'));
+        this.carousel.setAttribute('aria-label', I18n.t('testimonials.carouselLabel'));
+        this.carousel.setAttribute('data-i18n-attr', 'aria-roledescription:testimonials.carousel;aria-label:testimonials.carouselLabel');
+        this.carousel.innerHTML = `
+            <div class="testimonials__bar">
+                <div class="testimonials__summary" hidden></div>
+                <div class="testimonials__controls">
+                    <button type="button" class="testimonials__button testimonials__play" aria-controls="${this.track.id}"></button>
+                    <button type="button" class="testimonials__button" data-carousel-step="-1" aria-controls="${this.track.id}"
+                        aria-label="${I18n.t('testimonials.previous')}" data-i18n-attr="aria-label:testimonials.previous">
+                        <i class="fas fa-chevron-left" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="testimonials__button" data-carousel-step="1" aria-controls="${this.track.id}"
+                        aria-label="${I18n.t('testimonials.next')}" data-i18n-attr="aria-label:testimonials.next">
+                        <i class="fas fa-chevron-right" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="testimonials__pages" role="group" aria-label="${I18n.t('testimonials.pages')}" data-i18n-attr="aria-label:testimonials.pages"></div>
+            <p class="testimonials__status" aria-live="polite"></p>
+        `;
+
+        this.track.parentNode.insertBefore(this.carousel, this.track);
+        this.carousel.insertBefore(this.track, this.carousel.querySelector('.testimonials__pages'));
+
+        // The track scrolls, so keyboard users need to be able to reach it
+        this.track.classList.add('testimonials__track');
+        this.track.setAttribute('tabindex', '0');
+        this.track.setAttribute('aria-label', I18n.t('testimonials.carouselLabel'));
+        this.track.setAttribute('data-i18n-attr', 'aria-label:testimonials.carouselLabel');
+
+        this.summary = this.carousel.querySelector('.testimonials__summary');
+        this.playButton = this.carousel.querySelector('.testimonials__play');
+        this.pages = this.carousel.querySelector('.testimonials__pages');
+        this.status = this.carousel.querySelector('.testimonials__status');
+        this.updatePlayButton();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.carousel.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-carousel-step]');
+            const page = e.target.closest('[data-carousel-page]');
+
+            if (e.target.closest('.testimonials__play')) {
+                this.setPlaying(!this.playing);
+            } else if (step) {
+                this.goTo(this.index + Number(step.dataset.carouselStep), { announce: true });
+            } else if (page) {
+                this.goTo(Number(page.dataset.carouselPage), { announce: true });
+            }
+        }, { signal: this.signal });
+
+        // Autoplay waits while the visitor is reading or using the controls
+        this.carousel.addEventListener('mouseenter', () => this.pause('hover'), { signal: this.signal });
+        this.carousel.addEventListener('mouseleave', () => this.resume('hover'), { signal: this.signal });
+        this.carousel.addEventListener('focusin', () => this.pause('focus'), { signal: this.signal });
+        this.carousel.addEventListener('focusout', (e) => {
+            if (!this.carousel.contains(e.relatedTarget)) {
+                this.resume('focus');
+            }
+        }, { signal: this.signal });
+
+        document.addEventListener('visibilitychange', () => this.updateAutoplay(), { signal: this.signal });
+
+        // Swipes and trackpad scrolling move the current position too
+        this.track.addEventListener('scroll', Utils.debounce(() => this.syncIndex(), 100), { passive: true, signal: this.signal });
+
+        Viewport.subscribe({
+            read: (state) => {
+                if (state.resized) {
+                    this.measure();
+                }
+            },
+            write: (state) => {
+                if (state.resized) {
+                    this.renderPages();
+                }
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('motion:change', ({ reduced }) => {
+            if (reduced) {
+                this.setPlaying(false);
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            if (this.reviews.length) {
+                this.render();
+                this.renderPages();
+            }
+            this.updatePlayButton();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Render the slides, the summary and the structured data
+     * A review's optional "photo" works like a doctor's, see DoctorDirectory.renderCard()
+     */
+    render() {
+        if (!this.reviews.length) {
+            return;
+        }
+
+        const count = this.reviews.length;
+
+        this.track.innerHTML = this.reviews.map((review, index) => `
+            <article class="testimonial-card" role="group" aria-roledescription="${I18n.t('testimonials.slide')}"
+                aria-label="${I18n.t('testimonials.slideLabel', { index: index + 1, count })}">
+                ${this.renderStars(review.rating, 'testimonial-card__rating')}
+                <p class="testimonial-card__text">"${Utils.escapeHTML(this.localize(review))}"</p>
+                <div class="testimonial-card__author">
+                    <div class="testimonial-card__avatar" aria-hidden="true">
+                        ${review.photo
+                            ? Images.markup(review.photo, { className: 'testimonial-card__photo', sizes: '48px', fallbackName: review.author })
+                            : Utils.escapeHTML(Images.getInitials(review.author))}
+                    </div>
+                    <div class="testimonial-card__info">
+                        <h4>${Utils.escapeHTML(review.author)}</h4>
+                        ${review.since ? `<p>${I18n.t('testimonials.since', { year: review.since })}</p>` : ''}
+                    </div>
+                </div>
+            </article>
+        `).join('');
+
+        const average = this.getAverage();
+        this.summary.innerHTML = `
+            ${this.renderStars(average, 'testimonials__stars', false)}
+            <p class="testimonials__average">
+                <strong>${I18n.t('testimonials.average', { rating: this.formatRating(average) })}</strong>
+                <span>${I18n.t('testimonials.count', { count })}</span>
+            </p>
+        `;
+        this.summary.hidden = false;
+
+        this.renderStructuredData();
+    },
+
+    /**
+     * Build star icons for a rating, with halves rounded to the nearest half star
+     * @param {number} rating - Rating from 0 to 5
+     * @param {string} className - Wrapper class
+     * @param {boolean} labelled - Whether to label the stars for screen readers
+     * @returns {string} HTML markup
+     */
+    renderStars(rating, className, labelled = true) {
+        const stars = Array.from({ length: this.maxRating }, (item, index) => {
+            const fill = rating - index;
+            const icon = fill >= 0.75 ? 'fas fa-star' : (fill >= 0.25 ? 'fas fa-star-half-stroke' : 'far fa-star');
+            return `<i class="${icon}" aria-hidden="true"></i>`;
+        }).join('');
+
+        const label = labelled
+            ? ` role="img" aria-label="${I18n.t('testimonials.rating', { rating: this.formatRating(rating) })}"`
+            : ' aria-hidden="true"';
+
+        return `<div class="${className}"${label}>${stars}</div>`;
+    },
+
+    /**
+     * Publish the organisation's AggregateRating and the reviews as structured data
+     */
+    renderStructuredData() {
+        const rating = (value) => ({ ratingValue: value, bestRating: this.maxRating, worstRating: 1 });
+        const data = Object.assign({ '@context': 'https://schema.org' }, this.organization, {
+            aggregateRating: Object.assign({ '@type': 'AggregateRating', ratingCount: this.reviews.length }, rating(this.getAverage())),
+            review: this.reviews.map(review => ({
+                '@type': 'Review',
+                author: { '@type': 'Person', name: review.author },
+                datePublished: review.date,
+                inLanguage: document.documentElement.lang,
+                reviewBody: this.localize(review),
+                reviewRating: Object.assign({ '@type': 'Rating' }, rating(review.rating))
+            }))
+        });
+
+        if (!this.structuredData) {
+            this.structuredData = document.createElement('script');
+            this.structuredData.type = 'application/ld+json';
+            this.structuredData.id = 'reviews-structured-data';
+            document.head.appendChild(this.structuredData);
+        }
+
+        this.structuredData.textContent = JSON.stringify(data);
+    },
+
+    /**
+     * Work out how many slides fit side by side
+     */
+    measure() {
+        const slides = this.track.children;
+        if (!slides.length) {
+            return;
+        }
+
+        const step = slides.length > 1 ? slides[1].offsetLeft - slides[0].offsetLeft : slides[0].offsetWidth;
+        this.perView = step > 0 ? Math.max(1, Math.round(this.track.clientWidth / step)) : 1;
+    },
+
+    /**
+     * Get the number of positions the carousel can stop at
+     * @returns {number} Slides minus those visible alongside the last one
+     */
+    getPageCount() {
+        return Math.max(1, this.reviews.length - this.perView + 1);
+    },
+
+    /**
+     * Render one dot per position
+     */
+    renderPages() {
+        const count = this.getPageCount();
+
+        this.index = Math.min(this.index, count - 1);
+        this.pages.hidden = count < 2;
+        this.pages.innerHTML = Array.from({ length: count }, (item, index) => `
+            <button type="button" class="testimonials__page" data-carousel-page="${index}" aria-controls="${this.track.id}"
+                aria-label="${I18n.t('testimonials.page', { index: index + 1 })}"${index === this.index ? ' aria-current="true"' : ''}></button>
+        `).join('');
+
+        this.carousel.querySelectorAll('[data-carousel-step]').forEach(button => {
+            button.hidden = count < 2;
+        });
+        this.playButton.hidden = count < 2;
+    },
+
+    /**
+     * Scroll to a position, wrapping around at both ends
+     * @param {number} index - Position
+     * @param {Object} options - { announce: true to read the new position aloud }
+     */
+    goTo(index, options = {}) {
+        const slides = this.track.children;
+        const count = this.getPageCount();
+        if (!slides.length) {
+            return;
+        }
+
+        this.index = (index + count) % count;
+        this.track.scrollTo({
+            left: slides[this.index].offsetLeft - slides[0].offsetLeft,
+            behavior: Motion.scrollBehavior()
+        });
+        this.updatePages();
+
+        if (options.announce) {
+            this.status.textContent = I18n.t('testimonials.position', { index: this.index + 1, count: this.reviews.length });
+        }
+
+        this.updateAutoplay();
+    },
+
+    /**
+     * Pick up the position reached by swiping
+     */
+    syncIndex() {
+        const slides = Array.from(this.track.children);
+        if (!slides.length) {
+            return;
+        }
+
+        const left = this.track.scrollLeft + slides[0].offsetLeft;
+        const nearest = slides.reduce((best, slide, index) => (
+            Math.abs(slide.offsetLeft - left) < Math.abs(slides[best].offsetLeft - left) ? index : best
+        ), 0);
+
+        this.index = Math.min(nearest, this.getPageCount() - 1);
+        this.updatePages();
+    },
+
+    /**
+     * Mark the dot of the current position
+     */
+    updatePages() {
+        this.pages.querySelectorAll('[data-carousel-page]').forEach(button => {
+            if (Number(button.dataset.carouselPage) === this.index) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * Turn autoplay on or off, as the visitor asked
+     * @param {boolean} playing - Whether the carousel should advance by itself
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        this.updatePlayButton();
+        this.updateAutoplay();
+    },
+
+    /**
+     * Hold autoplay for a reason, e.g. "hover" or "focus"
+     * @param {string} reason - Reason
+     */
+    pause(reason) {
+        this.paused.add(reason);
+        this.updateAutoplay();
+    },
+
+    /**
+     * Release a hold set by pause()
+     * @param {string} reason - Reason
+     */
+    resume(reason) {
+        this.paused.delete(reason);
+        this.updateAutoplay();
+    },
+
+    /**
+     * Show the play or pause icon and label
+     */
+    updatePlayButton() {
+        const key = this.playing ? 'testimonials.pause' : 'testimonials.play';
+
+        this.playButton.setAttribute('aria-label', I18n.t(key));
+        this.playButton.innerHTML = `<i class="fas ${this.playing ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+
+        // Slides changing by themselves are not announced
+        this.track.setAttribute('aria-live', this.playing ? 'off' : 'polite');
+    },
+
+    /**
+     * Schedule the next slide when autoplay is on and nothing holds it
+     */
+    updateAutoplay() {
+        clearTimeout(this.timer);
+
+        if (this.playing && !this.paused.size && !document.hidden && this.getPageCount() > 1) {
+            this.timer = setTimeout(() => this.goTo(this.index + 1), this.interval);
+        }
+    }
+};
+
+/**
+ * REVIEW FORM MODULE
+ * "Leave a review" form below the testimonials. Reviews are moderated:
+ * the endpoint keeps them pending until the staff publish them
+ * <body data-review-endpoint="..."> posts them to a server
+ */
+const ReviewForm = {
+    dependencies: ['I18n', 'Testimonials', 'Analytics'],
+
+    minLength: 20,
+
+    maxLength: 1000,
+
+    /**
+     * Initialize the review form
+     */
+    init() {
+        const endpoint = document.body.dataset.reviewEndpoint;
+
+        this.container = document.querySelector('#testimonials .container');
+        this.adapter = this.adapter || (endpoint ? HttpReviewAdapter.create(endpoint) : MockReviewAdapter);
+
+        if (this.container) {
+            this.buildForm();
+            this.bindEvents();
+        }
+    },
+
+    /**
+     * Remove the form
+     */
+    destroy() {
+        if (this.wrapper) {
+            this.wrapper.remove();
+            this.wrapper = null;
+        }
+    },
+
+    /**
+     * Replace the submission backend
+     * @param {Object} adapter - Object implementing submit()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the toggle button and the form
+     */
+    buildForm() {
+        const stars = Array.from({ length: Testimonials.maxRating }, (item, index) => index + 1);
+
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'review-cta';
+        this.wrapper.innerHTML = `
+            <button type="button" class="btn btn--outline review-cta__toggle" aria-expanded="false" aria-controls="review-form" data-i18n="reviews.toggle">${I18n.t('reviews.toggle')}</button>
+            <form class="review-form" id="review-form" hidden novalidate>
+                <fieldset class="review-form__rating">
+                    <legend class="review-form__label" data-i18n="reviews.fields.rating">${I18n.t('reviews.fields.rating')}</legend>
+                    <div class="review-form__stars">
+                        ${stars.map(value => `
+                            <input class="review-form__star-input" id="review-rating-${value}" type="radio" name="rating" value="${value}" aria-describedby="review-rating-error">
+                            <label class="review-form__star" for="review-rating-${value}" data-star="${value}">
+                                <i class="fas fa-star" aria-hidden="true"></i>
+                                <span class="review-form__star-text" data-i18n="reviews.stars" data-i18n-params='{"count": ${value}}'>${I18n.t('reviews.stars', { count: value })}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="review-form__error" id="review-rating-error" hidden></p>
+                </fieldset>
+                <div class="review-form__field">
+                    <label class="review-form__label" for="review-name" data-i18n="reviews.fields.name">${I18n.t('reviews.fields.name')}</label>
+                    <input class="review-form__input" id="review-name" name="name" type="text" maxlength="40" autocomplete="nickname"
+                        placeholder="${I18n.t('reviews.namePlaceholder')}" data-i18n-attr="placeholder:reviews.namePlaceholder" aria-describedby="review-name-error" required>
+                    <p class="review-form__error" id="review-name-error" hidden></p>
+                </div>
+                <div class="review-form__field">
+                    <label class="review-form__label" for="review-text" data-i18n="reviews.fields.text">${I18n.t('reviews.fields.text')}</label>
+                    <textarea class="review-form__input" id="review-text" name="text" rows="4" maxlength="${this.maxLength}" aria-describedby="review-text-error" required></textarea>
+                    <p class="review-form__error" id="review-text-error" hidden></p>
+                </div>
+                <div class="review-form__field">
+                    <label class="review-form__checkbox">
+                        <input type="checkbox" name="consent" aria-describedby="review-consent-error">
+                        <span data-i18n="reviews.fields.consent">${I18n.t('reviews.fields.consent')}</span>
+                    </label>
+                    <p class="review-form__error" id="review-consent-error" hidden></p>
+                </div>
+                <p class="review-form__status" role="status" aria-live="polite"></p>
+                <button type="submit" class="btn btn--primary review-form__submit" data-i18n="reviews.submit">${I18n.t('reviews.submit')}</button>
+            </form>
+        `;
+
+        this.container.appendChild(this.wrapper);
+        this.toggleButton = this.wrapper.querySelector('.review-cta__toggle');
+        this.form = this.wrapper.querySelector('.review-form');
+        this.status = this.form.querySelector('.review-form__status');
+        this.submitButton = this.form.querySelector('.review-form__submit');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.toggleButton.addEventListener('click', () => this.toggleForm(), { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Clear a field's error as soon as it is corrected
+        this.form.addEventListener('input', (e) => {
+            if (e.target.name === 'rating') {
+                this.paintStars(Number(e.target.value));
+            }
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.clearError(e.target.name);
+            }
+        }, { signal: this.signal });
+
+        // Preview a rating while pointing at the stars
+        const stars = this.form.querySelector('.review-form__stars');
+        stars.addEventListener('mouseover', (e) => {
+            const star = e.target.closest('[data-star]');
+            if (star) {
+                this.paintStars(Number(star.dataset.star));
+            }
+        }, { signal: this.signal });
+        stars.addEventListener('mouseleave', () => {
+            this.paintStars(Number(this.form.elements.rating.value) || 0);
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the form
+     */
+    toggleForm() {
+        const isExpanded = this.toggleButton.getAttribute('aria-expanded') === 'true';
+        this.toggleButton.setAttribute('aria-expanded', String(!isExpanded));
+        this.form.hidden = isExpanded;
+
+        if (!isExpanded) {
+            this.form.querySelector('.review-form__star-input').focus();
+        }
+    },
+
+    /**
+     * Fill the stars up to a rating
+     * @param {number} rating - Rating from 0 to 5
+     */
+    paintStars(rating) {
+        this.form.querySelectorAll('[data-star]').forEach(star => {
+            star.classList.toggle('review-form__star--filled', Number(star.dataset.star) <= rating);
+        });
+    },
+
+    /**
+     * Validate and send the review
+     */
+    handleSubmit() {
+        const review = this.getFormData();
+        const errors = this.validate(review);
+
+        ['rating', 'name', 'text', 'consent'].forEach(name => this.clearError(name));
+
+        const names = Object.keys(errors);
+        if (names.length) {
+            names.forEach(name => this.showError(name, errors[name]));
+            this.getFields(names[0])[0].focus();
+            this.setStatus(I18n.t('reviews.errors.summary', { count: names.length }));
+            return;
+        }
+
+        review.language = I18n.language;
+        review.createdAt = new Date().toISOString();
+
+        this.submitButton.disabled = true;
+        this.setStatus(I18n.t('reviews.sending'));
+
+        this.adapter.submit(review)
+            .then(() => {
+                Analytics.track('review_submit', { rating: review.rating });
+                this.showPending();
+            })
+            .catch(error => {
+                console.error('Review error:', error);
+                this.setStatus(I18n.t('reviews.sendError'));
+            })
+            .finally(() => {
+                this.submitButton.disabled = false;
+            });
+    },
+
+    /**
+     * Read the form values
+     * @returns {Object} Review
+     */
+    getFormData() {
+        const elements = this.form.elements;
+        return {
+            rating: Number(elements.rating.value) || 0,
+            name: elements.name.value.trim(),
+            text: elements.text.value.trim(),
+            consent: elements.consent.checked
+        };
+    },
+
+    /**
+     * Validate a review
+     * @param {Object} review - Review
+     * @returns {Object} Error messages keyed by field name
+     */
+    validate(review) {
+        const errors = {};
+
+        if (review.rating < 1 || review.rating > Testimonials.maxRating) {
+            errors.rating = I18n.t('reviews.errors.rating');
+        }
+        if (review.name.length < 2) {
+            errors.name = I18n.t('reviews.errors.name');
+        }
+        if (review.text.length < this.minLength) {
+            errors.text = I18n.t('reviews.errors.text', { min: this.minLength });
+        }
+        if (!review.consent) {
+            errors.consent = I18n.t('reviews.errors.consent');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Get the inputs of a field; the rating has one radio per star
+     * @param {string} name - Field name
+     * @returns {Array} Inputs
+     */
+    getFields(name) {
+        const field = this.form.elements[name];
+        return field instanceof RadioNodeList ? Array.from(field) : [field];
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     */
+    showError(name, message) {
+        const error = document.getElementById(`review-${name}-error`);
+        this.getFields(name).forEach(input => input.setAttribute('aria-invalid', 'true'));
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {string} name - Field name
+     */
+    clearError(name) {
+        const error = document.getElementById(`review-${name}-error`);
+        this.getFields(name).forEach(input => input.removeAttribute('aria-invalid'));
+        if (error) {
+            error.textContent = '';
+            error.hidden = true;
+        }
+    },
+
+    /**
+     * Replace the form with the pending-approval message
+     */
+    showPending() {
+        this.wrapper.innerHTML = `
+            <div class="review-cta__pending" role="status" tabindex="-1">
+                <i class="fas fa-hourglass-half review-cta__pending-icon" aria-hidden="true"></i>
+                <h3 class="review-cta__title" data-i18n="reviews.pendingTitle">${I18n.t('reviews.pendingTitle')}</h3>
+                <p data-i18n="reviews.pendingText">${I18n.t('reviews.pendingText')}</p>
+            </div>
+        `;
+        this.wrapper.querySelector('.review-cta__pending').focus();
+    },
+
+    /**
+     * Announce a form-level message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * MOCK REVIEW ADAPTER
+ * Local stand-in for the moderated reviews endpoint
+ */
+const MockReviewAdapter = {
+    storageKey: 'galenica:reviews',
+    latency: 500,
+
+    /**
+     * Store a review awaiting approval
+     * @param {Object} review - Review
+     * @returns {Promise<Object>} Stored review with id and status
+     */
+    submit(review) {
+        return new Promise(resolve => setTimeout(() => {
+            const stored = Utils.readStorage(this.storageKey, []);
+            const saved = Object.assign({ id: `RV-${Date.now().toString(36).toUpperCase()}`, status: 'pending' }, review);
+            stored.push(saved);
+            Utils.writeStorage(this.storageKey, stored);
+            resolve(saved);
+        }, this.latency));
+    }
+};
+
+/**
+ * HTTP REVIEW ADAPTER
+ * Posts reviews to the moderation endpoint
+ */
+const HttpReviewAdapter = {
+    /**
+     * Create an adapter bound to an endpoint
+     * @param {string} endpoint - Reviews endpoint URL
+     * @returns {Object} Review adapter
+     */
+    create(endpoint) {
+        return {
+            submit(review) {
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(review)
+                }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Reviews endpoint error ${response.status}`);
+                    }
+                    return response.json();
+                });
+            }
+        };
+    }
+};
+
+/**
+ * SCROLL ANIMATIONS MODULE
+ * Handles scroll-triggered animations using Intersection Observer
+ * Content is revealed straight away when motion is reduced or the observer is missing
+ */
+const ScrollAnimations = {
+    dependencies: ['Motion', 'Analytics'],
+
+    /**
+     * Cards that fade in when scrolled into view
+     */
+    cardSelector: '.card, .patology-card, .benefit-card, .testimonial-card, .doctor-card, .news-card',
+
+    /**
+     * Initialize scroll animations
+     */
+    init() {
+        this.observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -100px 0px'
+        };
+        
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                this.handleIntersection(entries);
+            }, this.observerOptions);
+        }
+        
+        this.observeElements();
+        this.watchDynamicContent();
+
+        // Cards still waiting for their turn appear at once when motion is turned down
+        EventBus.on('motion:change', ({ reduced }) => {
+            if (reduced) {
+                this.revealPending();
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Stop watching the page
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+    },
+
+    /**
+     * Observe elements for animations
+     */
+    observeElements() {
+        // Observe sections
+        this.observe(document.querySelectorAll('.section'));
+
+        // Observe cards
+        this.observe(document.querySelectorAll(this.cardSelector));
+    },
+
+    /**
+     * Observe elements that have not been revealed yet
+     * @param {NodeList|Array} elements - Elements to observe
+     */
+    observe(elements) {
+        elements.forEach(element => {
+            if (element.classList.contains('animate-fade-in')) {
+                return;
+            }
+
+            if (!this.observer) {
+                element.classList.add('animate-fade-in');
+            } else if (element.matches('.section') || !Motion.isReduced()) {
+                this.observer.observe(element);
+            } else {
+                // Sections stay observed for analytics; cards need no animation
+                element.classList.add('animate-fade-in');
+            }
+        });
+    },
+
+    /**
+     * Reveal every card still waiting to scroll into view
+     */
+    revealPending() {
+        document.querySelectorAll(this.cardSelector).forEach(card => {
+            if (!card.classList.contains('animate-fade-in')) {
+                card.classList.add('animate-fade-in');
+                if (this.observer) {
+                    this.observer.unobserve(card);
+                }
+            }
+        });
+    },
+
+    /**
+     * Observe cards rendered after init (directory, news feed, ...)
+     */
+    watchDynamicContent() {
+        if (!('MutationObserver' in window)) {
+            return;
+        }
+
+        this.mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) {
+                        return;
+                    }
+                    if (node.matches(this.cardSelector)) {
+                        this.observe([node]);
+                    }
+                    this.observe(node.querySelectorAll(this.cardSelector));
+                });
+            });
+        });
+
+        this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Handle intersection observer entries
+     * @param {Array} entries - Intersection observer entries
+     */
+    handleIntersection(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('animate-fade-in');
+
+                if (entry.target.matches('.section')) {
+                    Analytics.track('section_view', { section: entry.target.id });
+                }
+                
+                // Add staggered animation for cards in grid
+                this.addStaggeredAnimation(entry.target);
+                
+                // Stop observing the element
+                this.observer.unobserve(entry.target);
+            }
+        });
+    },
+
+    /**
+     * Add staggered animation to grid items
+     * @param {Element} target - Target element
+     */
+    addStaggeredAnimation(target) {
+        const gridItems = target.querySelectorAll('.patology-card, .benefit-card, .testimonial-card, .doctor-card, .news-card');
+
+        if (Motion.isReduced()) {
+            gridItems.forEach(item => item.classList.add('animate-fade-in'));
+            return;
+        }
+        
+        gridItems.forEach((item, index) => {
+            setTimeout(() => {
+                item.classList.add('animate-fade-in');
+            }, index * 100);
+        });
+    }
+};
+
+/**
+ * SCROLL SPY MODULE
+ * Highlights the navigation links of the section in view and keeps the
+ * URL hash in step with it once scrolling settles
+ */
+const ScrollSpy = {
+    dependencies: ['Router', 'Viewport'],
+
+    // Distance below the header at which a section becomes current
+    offset: 80,
+
+    // Quiet time after the last scroll event before the hash is updated
+    idleDelay: 150,
+
+    /**
+     * Initialize scroll spy
+     */
+    init() {
+        this.sections = Array.from(document.querySelectorAll('main section[id]'));
+        this.links = Array.from(document.querySelectorAll('.nav__link, .mobile-menu__link'));
+        this.header = document.querySelector('.header');
+        this.current = null;
+        this.held = false;
+
+        if (this.sections.length > 0) {
+            this.bindEvents();
+            this.update(this.getCurrentSection(Viewport.state));
+        }
+    },
+
+    /**
+     * Clear the active link
+     */
+    destroy() {
+        clearTimeout(this.idleTimer);
+        this.links.forEach(link => {
+            link.classList.remove(`${link.classList[0]}--active`);
+            link.removeAttribute('aria-current');
+        });
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        let section = null;
+
+        Viewport.subscribe({
+            read: (state) => {
+                section = this.getCurrentSection(state);
+            },
+            write: (state) => {
+                this.update(section);
+                if (state.scrolled) {
+                    this.scheduleSync();
+                }
+            }
+        }, { signal: this.signal });
+
+        // Keep the hash on the target while the Router scrolls past other sections
+        EventBus.on('route:change', () => {
+            this.hold();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Leave the hash alone until the current scroll settles, e.g. while
+     * the Router scrolls to a link target through other sections
+     */
+    hold() {
+        this.held = true;
+        this.scheduleSync();
+    },
+
+    /**
+     * Sync the hash once no scroll event has arrived for idleDelay
+     */
+    scheduleSync() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (this.held) {
+                this.held = false;
+            } else {
+                this.syncHash();
+            }
+        }, this.idleDelay);
+    },
+
+    /**
+     * Find the section currently under the header
+     * @param {Object} state - Viewport state
+     * @returns {Element|null} Section, null above the first one
+     */
+    getCurrentSection(state) {
+        // The last sections may be too short to ever reach the header
+        if (state.scrollY + state.height >= state.scrollHeight - 2) {
+            return this.sections[this.sections.length - 1];
+        }
+
+        const line = (this.header ? this.header.offsetHeight : 0) + this.offset;
+        return this.sections.filter(section => section.getBoundingClientRect().top <= line).pop() || null;
+    },
+
+    /**
+     * Highlight the links of the current section
+     * @param {Element|null} section - Section from getCurrentSection()
+     */
+    update(section) {
+        if (section === this.current) {
+            return;
+        }
+
+        this.current = section;
+        const href = section ? `#${section.id}` : null;
+
+        this.links.forEach(link => {
+            const active = link.getAttribute('href') === href;
+            link.classList.toggle(`${link.classList[0]}--active`, active);
+
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * Point the URL hash at the current section without adding history entries
+     */
+    syncHash() {
+        const hash = window.location.hash;
+
+        // Keep deep links inside the current section and routes without a target, such as #news/<id>
+        if (hash) {
+            const target = Router.getTarget(Router.match(hash));
+            if (!target || (this.current && this.current.contains(target))) {
+                return;
+            }
+        } else if (!this.current) {
+            return;
+        }
+
+        Router.replace(this.current ? `#${this.current.id}` : '');
+    }
+};
+
+/**
+ * SCROLL TO TOP MODULE
+ * Handles scroll to top button functionality
+ */
+const ScrollToTop = {
+    dependencies: ['Motion', 'Viewport'],
+
+    /**
+     * Initialize scroll to top functionality
+     */
+    init() {
+        this.scrollTopBtn = document.getElementById('scrollTop');
+        
+        if (this.scrollTopBtn) {
+            this.bindEvents();
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Show/hide button on scroll
+        Viewport.subscribe({
+            write: (state) => this.toggleVisibility(state.scrollY)
+        }, { signal: this.signal });
+
+        // Scroll to top on click
+        this.scrollTopBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.scrollToTop();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Toggle button visibility based on scroll position
+     * @param {number} scrollY - Current scroll position
+     */
+    toggleVisibility(scrollY) {
+        if (scrollY > 300) {
+            this.scrollTopBtn.classList.add('visible');
+            this.scrollTopBtn.setAttribute('aria-hidden', 'false');
+        } else {
+            this.scrollTopBtn.classList.remove('visible');
+            this.scrollTopBtn.setAttribute('aria-hidden', 'true');
+        }
+    },
+
+    /**
+     * Smooth scroll to top of page
+     */
+    scrollToTop() {
+        window.scrollTo({
+            top: 0,
+            behavior: Motion.scrollBehavior()
+        });
+        
+        // Focus on skip link for accessibility
+        const skipLink = document.querySelector('.skip-link');
+        if (skipLink) {
+            skipLink.focus();
+        }
+    }
+};
+
+/**
+ * SITE CONTENT MODULE
+ * Builds the <section data-content="..."> blocks from one JSON document
+ * (<main data-content-source="...">) and the <template> elements inside them.
+ * The Italian markup already in the sections is what the page shows without
+ * JavaScript or the document, and is replaced once the document loads.
+ * The document is checked against `schema` first: a section with errors keeps
+ * its last valid content. Its text goes into the I18n "content" namespace, so
+ * the language switcher translates it like the rest of the page.
+ * Add ?preview to reload the file while editing it, or ?preview=<path> for a draft
+ */
+const SiteContent = {
+    dependencies: ['I18n', 'Router', 'ErrorHandler'],
+
+    // Time between checks for a changed file in preview mode
+    pollInterval: 1000,
+
+    /**
+     * Expected shape of the document
+     * Field types are listed in `types`, { oneOf: [...] } allows fixed values
+     * and [rule] a non-empty list; a "?" suffix marks optional fields.
+     * "text" fields are translated in "_i18n", e.g. { "en": { "title": "..." } },
+     * and items of a list are told apart by their "id"
+     */
+    schema: {
+        version: { oneOf: [1] },
+        sections: {
+            pathologies: {
+                title: 'text',
+                subtitle: 'text',
+                areas: [{
+                    id: 'id',
+                    title: 'text',
+                    conditions: [{ id: 'id', name: 'text' }]
+                }]
+            },
+            benefits: {
+                title: 'text',
+                subtitle: 'text',
+                items: [{
+                    id: 'id',
+                    icon: 'icon',
+                    color: { oneOf: ['primary', 'secondary', 'accent'] },
+                    title: 'text',
+                    text: 'text'
+                }]
+            },
+            process: {
+                title: 'text',
+                subtitle: 'text',
+                steps: [{ id: 'id', title: 'text', text: 'text' }]
+            },
+            system: {
+                title: 'text',
+                subtitle: 'text',
+                items: [{ id: 'id', title: 'text', text: 'text' }],
+                highlight: {
+                    title: 'text',
+                    paragraphs: ['text']
+                }
+            },
+            doctors: {
+                title: 'text',
+                subtitle: 'text',
+                source: 'path'
+            },
+            news: {
+                title: 'text',
+                subtitle: 'text',
+                source: 'path',
+                'pageSize?': 'count'
+            },
+            faq: {
+                title: 'text',
+                subtitle: 'text',
+                'mode?': { oneOf: ['single', 'multiple'] },
+                items: [{ id: 'id', question: 'text', answer: 'text' }]
+            }
+        }
+    },
+
+    /**
+     * Field types: test() accepts a value, rule names the error message
+     */
+    types: {
+        text: { test: value => typeof value === 'string' && value.trim() !== '', rule: 'text' },
+        id: { test: value => typeof value === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value), rule: 'id' },
+        icon: { test: value => typeof value === 'string' && /^fa-[a-z0-9-]+$/.test(value), rule: 'icon' },
+        path: { test: value => typeof value === 'string' && /^[\w-][\w./-]*$/.test(value) && !value.includes('..'), rule: 'path' },
+        count: { test: value => Number.isInteger(value) && value > 0, rule: 'count' }
+    },
+
+    /**
+     * Section renderers by data-content name
+     */
+    renderers: {
+        pathologies: 'renderPathologies',
+        benefits: 'renderBenefits',
+        process: 'renderProcess',
+        system: 'renderSystem',
+        doctors: 'renderDoctors',
+        news: 'renderNews',
+        faq: 'renderFaq'
+    },
+
+    /**
+     * Initialize the content sections
+     */
+    init() {
+        this.main = document.querySelector('[data-content-source]');
+        this.sections = Array.from(document.querySelectorAll('section[data-content]'));
+        this.content = {};
+        this.text = null;
+        this.rendered = false;
+
+        if (this.main && this.sections.length) {
+            // Restored by destroy()
+            this.markup = new Map(this.sections.map(section => [section, section.innerHTML]));
+            this.source = this.getSource();
+            this.preview = new URLSearchParams(window.location.search).has('preview');
+            this.sections.forEach(section => section.setAttribute('aria-busy', 'true'));
+
+            if (this.preview) {
+                this.buildPanel();
+            }
+            this.load();
+        }
+    },
+
+    /**
+     * Stop previewing and put back the page's own markup
+     */
+    destroy() {
+        if (!this.markup) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.markup.forEach((markup, section) => {
+            section.innerHTML = markup;
+            section.removeAttribute('aria-busy');
+        });
+        this.markup = null;
+    },
+
+    /**
+     * Get the document to load: the page's source or a ?preview=<path> draft
+     * Drafts must come from this site
+     * @returns {string} URL of the JSON document
+     */
+    getSource() {
+        const draft = new URLSearchParams(window.location.search).get('preview');
+
+        if (draft && this.types.path.test(draft)) {
+            return draft;
+        }
+        return this.main.dataset.contentSource;
+    },
+
+    /**
+     * Fetch the document and render what changed
+     * In preview mode the file is fetched again every pollInterval
+     * @returns {Promise} Resolves once the sections are rendered
+     */
+    load() {
+        const signal = this.signal;
+
+        return fetch(this.source, { cache: this.preview ? 'no-store' : 'default', signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Site content error ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                if (text === this.text) {
+                    return;
+                }
+
+                this.text = text;
+                this.update(this.parse(text));
+            })
+            .catch(error => {
+                if (signal.aborted) {
+                    return;
+                }
+                console.error('Site content error:', error);
+                this.showStatus({ error: I18n.t('siteContent.loadError', { source: this.source }) });
+            })
+            .finally(() => {
+                if (signal.aborted) {
+                    return;
+                }
+
+                this.finish();
+                if (this.preview) {
+                    this.timer = setTimeout(() => this.load(), this.pollInterval);
+                }
+            });
+    },
+
+    /**
+     * Parse the document, turning syntax errors into schema errors
+     * @param {string} text - Raw JSON
+     * @returns {Object} { data, errors }
+     */
+    parse(text) {
+        try {
+            return { data: JSON.parse(text), errors: [] };
+        } catch (error) {
+            return { data: null, errors: [{ path: '', rule: 'json', params: { message: error.message } }] };
+        }
+    },
+
+    /**
+     * Validate the document and render the sections without errors
+     * @param {Object} result - { data, errors } from parse()
+     */
+    update({ data, errors }) {
+        if (data !== null) {
+            errors = this.validate(data);
+        }
+
+        // Errors outside a section, such as a wrong version, stop everything
+        const broken = new Set(errors.map(error => (/^sections\.([\w-]+)/.exec(error.path) || [])[1] || '*'));
+        const sections = broken.has('*') ? {} : data.sections;
+        const changed = Object.keys(sections).filter(name => {
+            return !broken.has(name) && JSON.stringify(sections[name]) !== JSON.stringify(this.content[name]);
+        });
+
+        if (errors.length) {
+            console.error(`Site content has ${errors.length} error(s) in ${this.source}:\n${errors.map(error => `  ${this.formatError(error)}`).join('\n')}`);
+            if (!this.preview) {
+                ErrorHandler.capture(new Error(`Invalid site content: ${this.formatError(errors[0])}`), { source: this.source, errors: errors.length });
+            }
+        }
+
+        if (changed.length) {
+            changed.forEach(name => {
+                this.content[name] = sections[name];
+            });
+            this.render(changed);
+        }
+
+        this.showStatus({ errors, updated: new Date() });
+    },
+
+    /**
+     * Check a document against the schema
+     * @param {Object} data - Parsed document
+     * @returns {Array} Errors { path, rule, params }
+     */
+    validate(data) {
+        const errors = [];
+        this.check(data, this.schema, '', errors);
+        return errors;
+    },
+
+    /**
+     * Check a value against a schema rule, collecting errors
+     * @param {*} value - Value to check
+     * @param {string|Array|Object} rule - Type name, [rule], { oneOf } or object schema
+     * @param {string} path - Location in the document, e.g. "sections.faq.items[2]"
+     * @param {Array} errors - Collected errors
+     */
+    check(value, rule, path, errors) {
+        if (Array.isArray(rule)) {
+            this.checkList(value, rule[0], path, errors);
+        } else if (typeof rule === 'string') {
+            if (!this.types[rule].test(value)) {
+                errors.push({ path, rule: this.types[rule].rule, params: {} });
+            }
+        } else if (rule.oneOf) {
+            if (!rule.oneOf.includes(value)) {
+                errors.push({ path, rule: 'oneOf', params: { values: rule.oneOf.join(', ') } });
+            }
+        } else {
+            this.checkObject(value, rule, path, errors);
+        }
+    },
+
+    /**
+     * Check a non-empty list and the uniqueness of its ids
+     * @param {*} value - Value to check
+     * @param {string|Object} rule - Rule of each item
+     * @param {string} path - Location in the document
+     * @param {Array} errors - Collected errors
+     */
+    checkList(value, rule, path, errors) {
+        if (!Array.isArray(value) || !value.length) {
+            errors.push({ path, rule: 'list', params: {} });
+            return;
+        }
+
+        const ids = new Set();
+        value.forEach((item, index) => {
+            this.check(item, rule, `${path}[${index}]`, errors);
+
+            if (item && typeof item.id === 'string') {
+                if (ids.has(item.id)) {
+                    errors.push({ path: `${path}[${index}].id`, rule: 'duplicate', params: { id: item.id } });
+                }
+                ids.add(item.id);
+            }
+        });
+    },
+
+    /**
+     * Check an object's fields, rejecting unknown ones such as typos
+     * @param {*} value - Value to check
+     * @param {Object} rule - Object schema
+     * @param {string} path - Location in the document
+     * @param {Array} errors - Collected errors
+     */
+    checkObject(value, rule, path, errors) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ path, rule: 'object', params: {} });
+            return;
+        }
+
+        const fields = this.getFields(rule);
+        const prefix = path ? `${path}.` : '';
+
+        Object.keys(fields).forEach(name => {
+            if (value[name] !== undefined) {
+                this.check(value[name], fields[name].rule, prefix + name, errors);
+            } else if (!fields[name].optional) {
+                errors.push({ path: prefix + name, rule: 'required', params: {} });
+            }
+        });
+
+        Object.keys(value).filter(name => name !== '_i18n' && !fields[name]).forEach(name => {
+            errors.push({ path: prefix + name, rule: 'unknown', params: {} });
+        });
+
+        if (value._i18n !== undefined) {
+            this.checkTranslations(value._i18n, fields, `${prefix}_i18n`, errors);
+        }
+    },
+
+    /**
+     * Check an "_i18n" block: supported languages and translatable fields only
+     * @param {*} value - Value of "_i18n"
+     * @param {Object} fields - Fields of the translated object, from getFields()
+     * @param {string} path - Location in the document
+     * @param {Array} errors - Collected errors
+     */
+    checkTranslations(value, fields, path, errors) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ path, rule: 'object', params: {} });
+            return;
+        }
+
+        Object.keys(value).forEach(language => {
+            const translation = value[language];
+
+            if (!I18n.locales[language] || language === I18n.defaultLanguage) {
+                errors.push({ path: `${path}.${language}`, rule: 'language', params: { languages: Object.keys(I18n.locales).filter(item => item !== I18n.defaultLanguage).join(', ') } });
+                return;
+            }
+            if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+                errors.push({ path: `${path}.${language}`, rule: 'object', params: {} });
+                return;
+            }
+
+            Object.keys(translation).forEach(name => {
+                const field = fields[name];
+                if (field && this.isText(field.rule)) {
+                    this.check(translation[name], field.rule, `${path}.${language}.${name}`, errors);
+                } else {
+                    errors.push({ path: `${path}.${language}.${name}`, rule: 'untranslatable', params: {} });
+                }
+            });
+        });
+    },
+
+    /**
+     * Read an object schema's field names, rules and optional markers
+     * @param {Object} rule - Object schema
+     * @returns {Object} { name: { rule, optional } }
+     */
+    getFields(rule) {
+        return Object.keys(rule).reduce((fields, key) => {
+            fields[key.replace(/\?$/, '')] = { rule: rule[key], optional: key.endsWith('?') };
+            return fields;
+        }, {});
+    },
+
+    /**
+     * Check whether a rule describes translatable text
+     * @param {string|Array|Object} rule - Schema rule
+     * @returns {boolean} True for "text" and ["text"]
+     */
+    isText(rule) {
+        return rule === 'text' || (Array.isArray(rule) && rule[0] === 'text');
+    },
+
+    /**
+     * Describe an error for people editing the file
+     * @param {Object} error - { path, rule, params }
+     * @returns {string} e.g. "sections.faq.items[2].answer: ..."
+     */
+    formatError(error) {
+        const message = I18n.t(`siteContent.rules.${error.rule}`, error.params);
+        return error.path ? `${error.path}: ${message}` : message;
+    },
+
+    /**
+     * Collect the text of the valid sections for one language
+     * List items are keyed by id, e.g. "faq.items.costi.answer"; text missing
+     * from a translation falls back to Italian in I18n.t()
+     * @param {Object} value - Document part
+     * @param {Object} rule - Its object schema
+     * @param {string} language - Language code
+     * @returns {Object} Dictionary entries
+     */
+    collect(value, rule, language) {
+        const fields = this.getFields(rule);
+        const translation = language === I18n.defaultLanguage ? value : (value._i18n || {})[language] || {};
+
+        return Object.keys(fields).reduce((entries, name) => {
+            const fieldRule = fields[name].rule;
+
+            if (value[name] === undefined) {
+                return entries;
+            }
+
+            if (this.isText(fieldRule)) {
+                if (translation[name] !== undefined) {
+                    entries[name] = translation[name];
+                }
+            } else if (Array.isArray(fieldRule)) {
+                entries[name] = value[name].reduce((items, item) => {
+                    items[item.id] = this.collect(item, fieldRule[0], language);
+                    return items;
+                }, {});
+            } else if (typeof fieldRule === 'object' && !fieldRule.oneOf) {
+                entries[name] = this.collect(value[name], fieldRule, language);
+            }
+            return entries;
+        }, {});
+    },
+
+    /**
+     * Build the dictionary key of a piece of content
+     * @param {...string} parts - Section, fields and item ids
+     * @returns {string} Key such as "content.faq.items.costi.answer"
+     */
+    key(...parts) {
+        return ['content'].concat(parts).join('.');
+    },
+
+    /**
+     * Clone the first element of a template
+     * @param {Element} section - Section holding the template
+     * @param {string} id - Template id
+     * @returns {Element} Copy ready to fill
+     */
+    clone(section, id) {
+        return section.querySelector(`template#${id}`).content.firstElementChild.cloneNode(true);
+    },
+
+    /**
+     * Replace the children of an element
+     * @param {Element} parent - Element to fill
+     * @param {Array} children - New children
+     */
+    fill(parent, children) {
+        const fragment = document.createDocumentFragment();
+        children.forEach(child => fragment.appendChild(child));
+
+        parent.innerHTML = '';
+        parent.appendChild(fragment);
+    },
+
+    /**
+     * Render sections with the modules that enhance them stopped, so they
+     * start again on the new markup
+     * @param {Array} names - Sections to render
+     */
+    render(names) {
+        const first = !this.rendered;
+        const running = Array.from(App.modules.keys()).filter(name => App.isRunning(name));
+
+        // Their own dependents stop with them
+        running
+            .filter(name => (App.modules.get(name).dependencies || []).includes('SiteContent'))
+            .forEach(name => App.unmount(name));
+
+        I18n.define('content', Object.keys(I18n.locales).reduce((dictionaries, language) => {
+            dictionaries[language] = this.collect(this.content, this.schema.sections, language);
+            return dictionaries;
+        }, {}));
+
+        this.sections.filter(section => names.includes(section.dataset.content)).forEach(section => {
+            const name = section.dataset.content;
+
+            section.querySelector('.section__title').dataset.i18n = this.key(name, 'title');
+            section.querySelector('.section__subtitle').dataset.i18n = this.key(name, 'subtitle');
+            this[this.renderers[name]](section, this.content[name]);
+            I18n.apply(section);
+        });
+
+        this.rendered = true;
+        running.filter(name => !App.isRunning(name)).forEach(name => App.mount(name));
+
+        // A shared #faq/<id> link arrived before the content
+        if (first && Router.current && Router.current.name && document.readyState === 'complete') {
+            Router.resolve('load');
+        }
+    },
+
+    /**
+     * End the busy state; sections that could not be rendered keep the page's markup
+     */
+    finish() {
+        this.sections.forEach(section => section.removeAttribute('aria-busy'));
+    },
+
+    /**
+     * Render the pathology cards
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderPathologies(section, content) {
+        this.fill(section.querySelector('.patologies-grid'), content.areas.map(area => {
+            const card = this.clone(section, 'patology-card-template');
+            const list = card.querySelector('.patology-card__list');
+            const row = list.querySelector('.patology-card__item');
+
+            card.dataset.area = area.id;
+            card.querySelector('.patology-card__title').dataset.i18n = this.key('pathologies', 'areas', area.id, 'title');
+
+            this.fill(list, area.conditions.map(condition => {
+                const item = row.cloneNode(true);
+                item.dataset.condition = condition.id;
+                item.querySelector('span').dataset.i18n = this.key('pathologies', 'areas', area.id, 'conditions', condition.id, 'name');
+                return item;
+            }));
+
+            return card;
+        }));
+    },
+
+    /**
+     * Render the patient benefit cards
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderBenefits(section, content) {
+        this.fill(section.querySelector('.benefits-grid'), content.items.map(item => {
+            const card = this.clone(section, 'benefit-card-template');
+
+            card.querySelector('.benefit-card__icon').classList.add(`benefit-card__icon--${item.color}`);
+            card.querySelector('.benefit-card__icon i').classList.add(item.icon);
+            card.querySelector('.benefit-card__title').dataset.i18n = this.key('benefits', 'items', item.id, 'title');
+            card.querySelector('.benefit-card__text').dataset.i18n = this.key('benefits', 'items', item.id, 'text');
+
+            return card;
+        }));
+    },
+
+    /**
+     * Render the numbered process steps
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderProcess(section, content) {
+        this.fill(section.querySelector('.process-steps'), content.steps.map((step, index) => {
+            const element = this.clone(section, 'process-step-template');
+
+            element.querySelector('.process-step__number').textContent = index + 1;
+            element.querySelector('.process-step__title').dataset.i18n = this.key('process', 'steps', step.id, 'title');
+            element.querySelector('.process-step__text').dataset.i18n = this.key('process', 'steps', step.id, 'text');
+
+            return element;
+        }));
+    },
+
+    /**
+     * Render the system benefits and the highlighted box
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderSystem(section, content) {
+        const highlight = section.querySelector('.system-benefits__highlight');
+
+        this.fill(section.querySelector('.system-benefits__list'), content.items.map(item => {
+            const element = this.clone(section, 'system-benefit-template');
+
+            element.querySelector('.system-benefit__title').dataset.i18n = this.key('system', 'items', item.id, 'title');
+            element.querySelector('.system-benefit__text').dataset.i18n = this.key('system', 'items', item.id, 'text');
+
+            return element;
+        }));
+
+        highlight.querySelector('.system-benefits__highlight-title').dataset.i18n = this.key('system', 'highlight', 'title');
+        highlight.querySelectorAll('.system-benefits__highlight-text').forEach(paragraph => paragraph.remove());
+        content.highlight.paragraphs.forEach((text, index) => {
+            highlight.insertAdjacentHTML('beforeend', `
+                <p class="system-benefits__highlight-text" data-i18n="${this.key('system', 'highlight', 'paragraphs', index)}"></p>
+            `);
+        });
+    },
+
+    /**
+     * Point the doctor directory at its source
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderDoctors(section, content) {
+        section.querySelector('.doctors-grid').dataset.source = content.source;
+    },
+
+    /**
+     * Point the news grid at its feed
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderNews(section, content) {
+        const grid = section.querySelector('.news-grid');
+
+        grid.dataset.source = content.source;
+        if (content.pageSize) {
+            grid.dataset.pageSize = content.pageSize;
+        } else {
+            delete grid.dataset.pageSize;
+        }
+    },
+
+    /**
+     * Render the FAQ items; "faq-<id>" is also the #faq/<id> route
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderFaq(section, content) {
+        const container = section.querySelector('.faq-container');
+
+        container.dataset.faqMode = content.mode || 'single';
+        this.fill(container, content.items.map(item => {
+            const element = this.clone(section, 'faq-item-template');
+
+            element.id = `faq-${item.id}`;
+            element.querySelector('.faq-item__question span').dataset.i18n = this.key('faq', 'items', item.id, 'question');
+            element.querySelector('.faq-item__answer p').dataset.i18n = this.key('faq', 'items', item.id, 'answer');
+
+            return element;
+        }));
+    },
+
+    /**
+     * Create the ?preview panel
+     */
+    buildPanel() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'content-preview';
+        document.body.appendChild(this.panel);
+
+        this.panel.addEventListener('click', (e) => {
+            if (e.target.closest('.content-preview__close')) {
+                this.panel.remove();
+                this.panel = null;
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => this.renderPanel(), { signal: this.signal });
+        this.renderPanel();
+    },
+
+    /**
+     * Remember the outcome of the last load and show it in the panel
+     * @param {Object} status - { errors, updated } or { error }
+     */
+    showStatus(status) {
+        this.status = status;
+        this.renderPanel();
+    },
+
+    /**
+     * Render the panel: source, time of the last update and schema errors
+     */
+    renderPanel() {
+        if (!this.panel) {
+            return;
+        }
+
+        const status = this.status || {};
+        const errors = status.errors || [];
+        let summary = '';
+
+        if (status.error) {
+            summary = status.error;
+        } else if (status.updated) {
+            summary = errors.length
+                ? I18n.t('siteContent.errors', { count: errors.length })
+                : I18n.t('siteContent.updated', { time: I18n.formatDate(status.updated, { hour: '2-digit', minute: '2-digit', second: '2-digit' }) });
+        }
+
+        this.panel.setAttribute('aria-label', I18n.t('siteContent.preview'));
+        this.panel.classList.toggle('content-preview--invalid', Boolean(status.error || errors.length));
+        this.panel.innerHTML = `
+            <div class="content-preview__header">
+                <strong>${I18n.t('siteContent.preview')}</strong>
+                <button type="button" class="content-preview__close" aria-label="${I18n.t('siteContent.close')}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <p class="content-preview__source">${Utils.escapeHTML(this.source)}</p>
+            <p class="content-preview__summary">${Utils.escapeHTML(summary)}</p>
+            ${errors.length ? `
+                <ol class="content-preview__errors">
+                    ${errors.map(error => `
+                        <li>${error.path ? `<code>${Utils.escapeHTML(error.path)}</code> ` : ''}${Utils.escapeHTML(I18n.t(`siteContent.rules.${error.rule}`, error.params))}</li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        `;
+    }
+};
+
+/**
+ * THEME MODULE
+ * Display preferences: colour theme (light, dark, high contrast or the system
+ * setting), text size and the reduced-motion override that Motion applies.
+ * The inline script in <head> applies the saved choice before first paint;
+ * this module offers the header panel and follows system changes
+ */
+const Theme = {
+    dependencies: ['I18n', 'Motion', 'Analytics'],
+
+    /**
+     * Available choices for each preference, the first being the default
+     */
+    options: {
+        theme: ['system', 'light', 'dark', 'contrast'],
+        fontScale: [1, 1.15, 1.3, 1.5],
+        motion: ['system', 'reduce', 'full']
+    },
+
+    /**
+     * Browser UI colour for each applied theme
+     */
+    themeColors: {
+        light: '#1e40af',
+        dark: '#0f172a',
+        contrast: '#000000'
+    },
+
+    storageKey: 'galenica:display',
+
+    /**
+     * Initialize display preferences
+     */
+    init() {
+        this.preferences = this.readPreferences();
+        this.queries = {
+            dark: window.matchMedia('(prefers-color-scheme: dark)'),
+            contrast: window.matchMedia('(prefers-contrast: more)')
+        };
+
+        this.buildPanel();
+        this.bindEvents();
+        this.apply();
+    },
+
+    /**
+     * Remove the display settings panel
+     */
+    destroy() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    },
+
+    /**
+     * Load the saved preferences, dropping values that are no longer offered
+     * @returns {Object} { theme, fontScale, motion }
+     */
+    readPreferences() {
+        const stored = Utils.readStorage(this.storageKey, {});
+
+        return Object.keys(this.options).reduce((preferences, name) => {
+            const value = stored && stored[name];
+            preferences[name] = this.options[name].includes(value) ? value : this.options[name][0];
+            return preferences;
+        }, {});
+    },
+
+    /**
+     * Add the display settings button and panel to the header
+     */
+    buildPanel() {
+        const header = document.querySelector('.header__content');
+        if (!header) {
+            return;
+        }
+
+        const percent = new Intl.NumberFormat(I18n.locale(), { style: 'percent' });
+        const group = (name, legend, label) => `
+            <fieldset class="display-panel__group">
+                <legend class="display-panel__legend" data-i18n="${legend}">${I18n.t(legend)}</legend>
+                <div class="display-panel__options">
+                    ${this.options[name].map(value => `
+                        <button type="button" class="display-panel__option" data-display-setting="${name}" data-display-value="${value}"
+                            aria-pressed="false"${label ? ` data-i18n="${label}.${value}"` : ''}>${label ? I18n.t(`${label}.${value}`) : percent.format(value)}</button>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `;
+
+        this.container = document.createElement('div');
+        this.container.className = 'display-settings';
+        this.container.innerHTML = `
+            <button type="button" class="display-settings__toggle" aria-expanded="false" aria-controls="display-panel"
+                aria-label="${I18n.t('display.label')}" data-i18n-attr="aria-label:display.label">
+                <i class="fas fa-circle-half-stroke" aria-hidden="true"></i>
+            </button>
+            <div class="display-panel" id="display-panel" hidden>
+                <p class="display-panel__title" data-i18n="display.title">${I18n.t('display.title')}</p>
+                ${group('theme', 'display.theme', 'display.themes')}
+                ${group('fontScale', 'display.fontSize')}
+                ${group('motion', 'display.motion', 'display.motions')}
+            </div>
+        `;
+
+        this.toggle = this.container.querySelector('.display-settings__toggle');
+        this.panel = this.container.querySelector('.display-panel');
+
+        const before = header.querySelector(':scope > .language-switcher') || header.querySelector('.mobile-menu-btn');
+        header.insertBefore(this.container, before);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Follow the system while the visitor has not picked a theme
+        Object.values(this.queries).forEach(query => {
+            query.addEventListener('change', () => this.apply(), { signal: this.signal });
+        });
+
+        if (!this.container) {
+            return;
+        }
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.hidden), { signal: this.signal });
+
+        this.panel.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-display-setting]');
+            if (option) {
+                this.set(option.dataset.displaySetting, option.dataset.displayValue);
+            }
+        }, { signal: this.signal });
+
+        document.addEventListener('click', (e) => {
+            if (!this.panel.hidden && !this.container.contains(e.target)) {
+                this.setOpen(false);
+            }
+        }, { signal: this.signal });
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.panel.hidden) {
+                this.setOpen(false);
+                this.toggle.focus();
+            }
+        }, { signal: this.signal });
+
+        // Tabbing out of the panel closes it
+        this.container.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !this.container.contains(e.relatedTarget)) {
+                this.setOpen(false);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} open - Whether the panel should be visible
+     */
+    setOpen(open) {
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+    },
+
+    /**
+     * Change and save a preference
+     * @param {string} name - "theme", "fontScale" or "motion"
+     * @param {string} value - New value, as found in the option's data attribute
+     */
+    set(name, value) {
+        const choice = this.options[name] && this.options[name].find(option => String(option) === String(value));
+        if (choice === undefined || choice === this.preferences[name]) {
+            return;
+        }
+
+        this.preferences[name] = choice;
+        Utils.writeStorage(this.storageKey, this.preferences);
+        this.apply();
+
+        Analytics.track('display_preference', { setting: name, value: choice });
+    },
+
+    /**
+     * Resolve the theme to show, following the system for "system"
+     * @returns {string} "light", "dark" or "contrast"
+     */
+    resolveTheme() {
+        if (this.preferences.theme !== 'system') {
+            return this.preferences.theme;
+        }
+        if (this.queries.contrast.matches) {
+            return 'contrast';
+        }
+        return this.queries.dark.matches ? 'dark' : 'light';
+    },
+
+    /**
+     * Apply the preferences to the page and notify the modules
+     */
+    apply() {
+        const root = document.documentElement;
+        const theme = this.resolveTheme();
+
+        root.dataset.theme = theme;
+        root.style.setProperty('--font-scale', this.preferences.fontScale);
+        Motion.setOverride(this.preferences.motion === 'system' ? null : this.preferences.motion);
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) {
+            meta.setAttribute('content', this.themeColors[theme]);
+        }
+
+        if (this.container) {
+            this.container.querySelectorAll('[data-display-setting]').forEach(option => {
+                const current = String(this.preferences[option.dataset.displaySetting]);
+                option.setAttribute('aria-pressed', String(option.dataset.displayValue === current));
+            });
+        }
+
+        EventBus.emit('theme:change', { theme, reducedMotion: Motion.isReduced(), ...this.preferences });
+    }
+};
+
+/**
+ * MODULES
+ * Every module a page can start, by name
+ * Registration order is the start order, except that dependencies go first
+ */
+const Modules = {
+    ErrorHandler,
+    Performance,
+    I18n,
+    Motion,
+    Theme,
+    Consent,
+    Analytics,
+    Dialog,
+    Viewport,
+    Images,
+    Auth,
+    MobileMenu,
+    ScrollToTop,
+    Router,
+    SiteContent,
+    FAQ,
+    ScrollAnimations,
+    HeaderScroll,
+    ScrollSpy,
+    Booking,
+    CallbackRequest,
+    Chat,
+    DocumentUpload,
+    FollowUpPlanner,
+    Testimonials,
+    ReviewForm,
+    DoctorDirectory,
+    PathologyFinder,
+    News,
+    PWA
+};
+
+/**
+ * DOM Content Loaded Event Listener
+ * Registers every module and starts them once the DOM is fully loaded.
+ * Pages load script.js, the classic build of these modules made by
+ * `npm run build`
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    App.register(Modules);
+
+    // Pages such as benchmark.html start only the modules listed in <body data-modules>
+    const modules = document.body.dataset.modules;
+    App.start(modules ? modules.split(/\s+/).filter(Boolean) : undefined);
+});
@@ -0,0 +1,82 @@
+/**
+ * GALENICA ONLINE - BUILD
+ * ==========================================
+ * Bundles the ES modules in src/ into script.js, a classic script that keeps
+ * every module a global for inline page scripts such as the one in
+ * benchmark.html. Browsers refuse module scripts on file:// pages but still run
+ * it; the data/ files it fetches need a server all the same, so pages opened
+ * from disk show only their own markup for that content.
+ * `node scripts/build.js --check` only reports whether script.js is up to date
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const entry = join(root, 'src', 'main.js');
+const output = join(root, 'script.js');
+
+const importPattern = /^import \{[^}]*\} from '(\.[^']+)';\r?\n/gm;
+
+const banner = [
+    '/**',
+    ' * GALENICA ONLINE - JAVASCRIPT FUNCTIONALITY',
+    ' * ==========================================',
+    ' * Classic-script build of the ES modules in src/, generated by `npm run build`.',
+    ' * Edit the modules and build again rather than changing this file',
+    ' */',
+    '',
+    '\'use strict\';',
+    '',
+    ''
+].join('\r\n');
+
+/**
+ * List the modules reachable from a file, each after the ones it imports
+ * (cycles are fine: modules only use each other once the page has started)
+ * @param {string} file - Module path
+ * @param {Set} seen - Modules already listed or being listed
+ * @param {Array} files - Result so far
+ * @returns {Array} Module paths
+ */
+function collect(file, seen = new Set(), files = []) {
+    if (seen.has(file)) {
+        return files;
+    }
+    seen.add(file);
+
+    for (const [, specifier] of readFileSync(file, 'utf8').matchAll(importPattern)) {
+        collect(join(dirname(file), specifier), seen, files);
+    }
+    files.push(file);
+    return files;
+}
+
+/**
+ * Turn a module into classic-script code
+ * @param {string} source - Module source
+ * @returns {string} Source without imports and export keywords
+ */
+function toScript(source) {
+    return source.replace(importPattern, '').replace(/^export /gm, '').trim();
+}
+
+/**
+ * Build the classic script
+ * @returns {string} Contents of script.js
+ */
+export function build() {
+    return banner + collect(entry).map(file => toScript(readFileSync(file, 'utf8'))).join('\r\n\r\n') + '\r\n';
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const script = build();
+
+    if (!process.argv.includes('--check')) {
+        writeFileSync(output, script);
+    } else if (readFileSync(output, 'utf8') !== script) {
+        console.error(`${relative(root, output)} is out of date: run npm run build`);
+        process.exitCode = 1;
+    }
+}
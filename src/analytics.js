@@ -0,0 +1,269 @@
+import { Consent } from './consent.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+/**
+ * ANALYTICS MODULE
+ * Event dispatcher gated by analytics consent: events are queued until the
+ * visitor decides, then sent to every registered sink or dropped
+ */
+export const Analytics = {
+    dependencies: ['I18n', 'Consent'],
+
+    queue: [],
+
+    sinks: [],
+
+    maxQueue: 50,
+
+    idKey: 'galenica:analytics-id',
+
+    sessionKey: 'galenica:analytics-session',
+
+    /**
+     * Initialize analytics
+     * A beacon sink is added when <body data-analytics-endpoint="..."> is set
+     */
+    init() {
+        const endpoint = document.body.dataset.analyticsEndpoint;
+
+        this.defaultSinks = [GtagAnalyticsSink];
+        if (endpoint) {
+            this.defaultSinks.push(BeaconAnalyticsSink.create(endpoint));
+        }
+        if (I18n.isDevelopment()) {
+            this.defaultSinks.push(ConsoleAnalyticsSink);
+        }
+        this.defaultSinks.forEach(sink => this.addSink(sink));
+
+        this.bindEvents();
+        this.applyConsent();
+    },
+
+    /**
+     * Remove the sinks added by init
+     */
+    destroy() {
+        this.sinks = this.sinks.filter(sink => !this.defaultSinks.includes(sink));
+    },
+
+    /**
+     * Register a sink
+     * @param {Object} sink - Object implementing send(event) and optionally setConsent(granted)
+     */
+    addSink(sink) {
+        if (!this.sinks.includes(sink)) {
+            this.sinks.push(sink);
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        EventBus.on('consent:change', () => {
+            this.applyConsent();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * React to the current consent: flush or drop the queue
+     */
+    applyConsent() {
+        const granted = Consent.has('analytics');
+
+        this.sinks.forEach(sink => {
+            if (typeof sink.setConsent === 'function') {
+                sink.setConsent(granted);
+            }
+        });
+
+        if (granted) {
+            this.flush();
+        } else if (Consent.isDecided()) {
+            this.queue = [];
+            this.clearIdentifiers();
+        }
+    },
+
+    /**
+     * Record an interaction
+     * @param {string} name - Event name, snake_case
+     * @param {Object} params - Event details
+     */
+    track(name, params = {}) {
+        if (Consent.isDecided() && !Consent.has('analytics')) {
+            return;
+        }
+
+        const event = {
+            name,
+            params,
+            timestamp: new Date().toISOString(),
+            page: window.location.pathname + window.location.hash,
+            language: document.documentElement.lang
+        };
+
+        if (Consent.has('analytics')) {
+            this.send(event);
+        } else if (this.queue.length < this.maxQueue) {
+            this.queue.push(event);
+        }
+    },
+
+    /**
+     * Send the queued events
+     */
+    flush() {
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(event => this.send(event));
+    },
+
+    /**
+     * Add identifiers and hand an event to every sink
+     * @param {Object} event - Event
+     */
+    send(event) {
+        const payload = Object.assign({}, event, {
+            clientId: this.getClientId(),
+            sessionId: this.getSessionId()
+        });
+
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(payload);
+            } catch (error) {
+                console.error('Analytics sink error:', error);
+            }
+        });
+    },
+
+    /**
+     * Get or create the persistent client id
+     * @returns {string} Client id
+     */
+    getClientId() {
+        let id = Utils.readStorage(this.idKey, null);
+        if (!id) {
+            id = this.createId();
+            Utils.writeStorage(this.idKey, id);
+        }
+        return id;
+    },
+
+    /**
+     * Get or create the per-tab session id
+     * @returns {string} Session id
+     */
+    getSessionId() {
+        try {
+            let id = sessionStorage.getItem(this.sessionKey);
+            if (!id) {
+                id = this.createId();
+                sessionStorage.setItem(this.sessionKey, id);
+            }
+            return id;
+        } catch (error) {
+            return '';
+        }
+    },
+
+    /**
+     * Create a random identifier
+     * @returns {string} Identifier
+     */
+    createId() {
+        return window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    },
+
+    /**
+     * Remove our identifiers and the Google Analytics cookies
+     */
+    clearIdentifiers() {
+        try {
+            localStorage.removeItem(this.idKey);
+            sessionStorage.removeItem(this.sessionKey);
+        } catch (error) {
+            // Storage unavailable: nothing was stored
+        }
+
+        document.cookie.split(';').forEach(cookie => {
+            const name = cookie.split('=')[0].trim();
+            if (/^(_ga|_gid|_gat)/.test(name)) {
+                const domain = window.location.hostname.replace(/^www\./, '');
+                document.cookie = `${name}=; Max-Age=0; path=/`;
+                document.cookie = `${name}=; Max-Age=0; path=/; domain=.${domain}`;
+            }
+        });
+    }
+};
+
+/**
+ * GTAG ANALYTICS SINK
+ * Forwards events to Google Analytics when gtag is on the page,
+ * using Consent Mode to follow the visitor's choice
+ */
+export const GtagAnalyticsSink = {
+    /**
+     * Update Google's consent state
+     * @param {boolean} granted - Whether analytics is allowed
+     */
+    setConsent(granted) {
+        if (typeof gtag !== 'undefined') {
+            gtag('consent', 'update', { analytics_storage: granted ? 'granted' : 'denied' });
+        }
+    },
+
+    /**
+     * Send an event
+     * @param {Object} event - Analytics event
+     */
+    send(event) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', event.name, event.params);
+        }
+    }
+};
+
+/**
+ * BEACON ANALYTICS SINK
+ * Posts events to a collection endpoint with navigator.sendBeacon
+ */
+export const BeaconAnalyticsSink = {
+    /**
+     * Create a sink bound to an endpoint
+     * @param {string} endpoint - Collection URL
+     * @returns {Object} Sink
+     */
+    create(endpoint) {
+        return {
+            send(event) {
+                const body = JSON.stringify(event);
+                if (navigator.sendBeacon) {
+                    navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+                } else {
+                    fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+                        .catch(() => {});
+                }
+            }
+        };
+    }
+};
+
+/**
+ * CONSOLE ANALYTICS SINK
+ * Logs events while developing
+ */
+export const ConsoleAnalyticsSink = {
+    /**
+     * Log an event
+     * @param {Object} event - Analytics event
+     */
+    send(event) {
+        console.info(`[analytics] ${event.name}`, event.params);
+    }
+};
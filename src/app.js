@@ -0,0 +1,130 @@
+import { ErrorHandler } from './error-handler.js';
+
+/**
+ * MODULE REGISTRY
+ * Starts modules after the ones they list in `dependencies` and stops them again.
+ * Before init() each module gets `this.signal`, an AbortSignal to pass to its
+ * addEventListener() and EventBus.on() calls; unmounting calls the module's
+ * optional destroy() to remove what it built, then aborts the signal
+ */
+export const App = {
+    modules: new Map(),
+
+    // Name -> AbortController of each running module
+    running: new Map(),
+
+    /**
+     * Add modules to the registry
+     * @param {Object} modules - Modules by name
+     */
+    register(modules) {
+        Object.keys(modules).forEach(name => {
+            this.modules.set(name, modules[name]);
+        });
+    },
+
+    /**
+     * Start modules and their dependencies
+     * A broken module is reported without stopping the others, its dependents included
+     * @param {Array} names - Modules to start, all registered ones by default
+     */
+    start(names = Array.from(this.modules.keys())) {
+        const failed = new Set();
+        names.forEach(name => {
+            try {
+                this.mount(name, [], failed);
+            } catch (error) {
+                // Unknown names and dependency cycles
+                console.error(`${name} could not be started:`, error);
+                ErrorHandler.capture(error, { module: name, phase: 'start' });
+            }
+        });
+    },
+
+    /**
+     * Start one module after its dependencies
+     * @param {string} name - Registered name
+     * @param {Array} path - Modules waiting on this one, to report cycles
+     * @param {Set} failed - Modules that already failed during this start
+     * @returns {boolean} Whether the module is running
+     */
+    mount(name, path = [], failed = new Set()) {
+        if (this.running.has(name)) {
+            return true;
+        }
+        if (failed.has(name)) {
+            return false;
+        }
+
+        const module = this.modules.get(name);
+        if (!module) {
+            throw new Error(`Unknown module "${name}"`);
+        }
+        if (path.includes(name)) {
+            throw new Error(`Circular module dependency: ${path.concat(name).join(' -> ')}`);
+        }
+
+        (module.dependencies || []).forEach(dependency => this.mount(dependency, path.concat(name), failed));
+
+        const controller = new AbortController();
+        module.signal = controller.signal;
+
+        try {
+            module.init();
+            this.running.set(name, controller);
+            return true;
+        } catch (error) {
+            controller.abort();
+            failed.add(name);
+            console.error(`${name} failed to initialize:`, error);
+            ErrorHandler.capture(error, { module: name, phase: 'init' });
+            return false;
+        }
+    },
+
+    /**
+     * Stop a module, after the running modules that depend on it
+     * @param {string} name - Registered name
+     */
+    unmount(name) {
+        const controller = this.running.get(name);
+        if (!controller) {
+            return;
+        }
+
+        this.running.delete(name);
+        this.modules.forEach((module, other) => {
+            if ((module.dependencies || []).includes(name)) {
+                this.unmount(other);
+            }
+        });
+
+        const module = this.modules.get(name);
+        try {
+            if (typeof module.destroy === 'function') {
+                module.destroy();
+            }
+        } catch (error) {
+            console.error(`${name} failed to stop:`, error);
+            ErrorHandler.capture(error, { module: name, phase: 'destroy' });
+        } finally {
+            controller.abort();
+        }
+    },
+
+    /**
+     * Stop every running module, most recently started first
+     */
+    stop() {
+        Array.from(this.running.keys()).reverse().forEach(name => this.unmount(name));
+    },
+
+    /**
+     * Check whether a module is running
+     * @param {string} name - Registered name
+     * @returns {boolean} True between mount and unmount
+     */
+    isRunning(name) {
+        return this.running.has(name);
+    }
+};
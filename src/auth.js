@@ -0,0 +1,1018 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Images } from './images.js';
+import { Utils } from './utils.js';
+
+/**
+ * AUTH MODULE
+ * Patient area sign-in with OAuth 2.0 Authorization Code and PKCE.
+ * Tokens live in memory only, so closing or reloading the page signs the
+ * patient out; the access token is refreshed before it expires and the
+ * session ends after idleTimeout without activity. Other modules call
+ * Auth.fetch() for the patient API and listen to auth:change ({ user, reason }).
+ * <body data-auth-issuer data-auth-client-id> selects the identity provider,
+ * the local mock one is used otherwise
+ */
+export const Auth = {
+    dependencies: ['I18n', 'Images', 'Analytics'],
+
+    defaultClientId: 'galenica-web',
+
+    scope: 'openid profile email offline_access',
+
+    // Health data: sign out after 15 minutes without activity, warning a minute before
+    idleTimeout: 15 * 60 * 1000,
+
+    idleWarning: 60 * 1000,
+
+    // Refresh the access token this long before it expires
+    refreshMargin: 60 * 1000,
+
+    // Wait before trying again when a refresh fails for lack of connection
+    retryDelay: 30 * 1000,
+
+    // setTimeout cannot wait longer than about 24.8 days
+    maxTimer: 2147483647,
+
+    // Verifier and state of a sign-in in progress, kept across the redirect to the provider
+    transactionKey: 'galenica:auth-transaction',
+
+    transactionLifetime: 10 * 60 * 1000,
+
+    activityEvents: ['pointerdown', 'keydown', 'wheel', 'touchstart', 'scroll'],
+
+    // Added to the address by the provider when it sends the patient back
+    callbackParams: ['code', 'state', 'iss', 'session_state', 'error', 'error_description'],
+
+    /**
+     * Initialize the account menu and finish a sign-in coming back from the provider
+     */
+    init() {
+        const config = document.body.dataset;
+
+        this.clientId = config.authClientId || this.defaultClientId;
+        this.provider = this.provider || (config.authIssuer ? HttpIdentityProvider.create(config.authIssuer) : MockIdentityProvider);
+        this.redirectUri = `${window.location.origin}${window.location.pathname}`;
+        this.session = null;
+        this.refreshing = null;
+        this.warningShown = false;
+        this.lastActivity = Date.now();
+
+        this.buildMenus();
+        this.bindEvents();
+        this.render();
+
+        this.ready = this.handleCallback();
+    },
+
+    /**
+     * Drop the session and remove the menus
+     */
+    destroy() {
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.idleTimer);
+        this.session = null;
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        [this.container, this.mobileContainer, this.notice].forEach(element => element && element.remove());
+        this.container = null;
+        this.mobileContainer = null;
+        this.notice = null;
+        this.panel = null;
+    },
+
+    /**
+     * Replace the identity provider, e.g. with a test double
+     * @param {Object} provider - Object with authorize(), token() and optionally revoke() and endSession()
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    },
+
+    /**
+     * Add the account menu to the header and the mobile menu, and the notice area
+     */
+    buildMenus() {
+        const header = document.querySelector('.header__content');
+        const mobileMenu = document.getElementById('mobile-menu');
+
+        if (header) {
+            this.container = document.createElement('div');
+            this.container.className = 'account-menu';
+
+            const before = header.querySelector(':scope > .display-settings') ||
+                header.querySelector(':scope > .language-switcher') ||
+                header.querySelector('.mobile-menu-btn');
+            header.insertBefore(this.container, before);
+        }
+
+        if (mobileMenu) {
+            this.mobileContainer = document.createElement('div');
+            this.mobileContainer.className = 'mobile-menu__account';
+            mobileMenu.appendChild(this.mobileContainer);
+        }
+
+        this.notice = document.createElement('div');
+        this.notice.className = 'auth-notice';
+        this.notice.hidden = true;
+        this.notice.setAttribute('role', 'alert');
+        document.body.appendChild(this.notice);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const handleAction = (e) => {
+            const button = e.target.closest('[data-auth-action]');
+            if (!button) {
+                return;
+            }
+
+            switch (button.dataset.authAction) {
+                case 'login':
+                    this.login();
+                    break;
+                case 'logout':
+                    this.logout();
+                    break;
+                case 'toggle':
+                    this.setOpen(this.panel.hidden);
+                    break;
+                case 'close':
+                    this.setOpen(false);
+                    break;
+                case 'stay':
+                    this.extend();
+                    break;
+                default:
+                    this.hideNotice();
+            }
+        };
+
+        [this.container, this.mobileContainer, this.notice].forEach(element => {
+            if (element) {
+                element.addEventListener('click', handleAction, { signal: this.signal });
+            }
+        });
+
+        if (this.container) {
+            document.addEventListener('click', (e) => {
+                if (this.panel && !this.panel.hidden && !this.container.contains(e.target)) {
+                    this.setOpen(false);
+                }
+            }, { signal: this.signal });
+
+            this.container.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.panel && !this.panel.hidden) {
+                    this.setOpen(false);
+                    this.toggle.focus();
+                }
+            }, { signal: this.signal });
+
+            // Tabbing out of the panel closes it
+            this.container.addEventListener('focusout', (e) => {
+                if (this.panel && e.relatedTarget && !this.container.contains(e.relatedTarget)) {
+                    this.setOpen(false);
+                }
+            }, { signal: this.signal });
+        }
+
+        const recordActivity = Utils.throttle(() => this.recordActivity(), 1000);
+        this.activityEvents.forEach(type => {
+            document.addEventListener(type, recordActivity, { passive: true, signal: this.signal });
+        });
+
+        // Background tabs run timers late: catch up when the page is seen again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.session) {
+                this.checkIdle();
+                this.scheduleRefresh();
+            }
+        }, { signal: this.signal });
+
+        // Signing out in one tab signs out the others
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel('galenica-auth');
+            this.channel.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'logout') {
+                    this.clearSession('remote');
+                }
+            }, { signal: this.signal });
+        }
+
+        EventBus.on('i18n:change', () => {
+            this.render();
+            if (this.noticeContent) {
+                this.showNotice(...this.noticeContent);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Check whether a patient is signed in
+     * @returns {boolean} True during a session
+     */
+    isAuthenticated() {
+        return Boolean(this.session);
+    },
+
+    /**
+     * Get the access token, for transports that cannot go through Auth.fetch() such as WebSockets
+     * @returns {string|null} Access token
+     */
+    getAccessToken() {
+        return this.session ? this.session.accessToken : null;
+    },
+
+    /**
+     * Get the signed-in patient
+     * @returns {Object|null} { sub, name, email }
+     */
+    getUser() {
+        return this.session ? this.session.user : null;
+    },
+
+    /**
+     * Send the patient to the provider's sign-in page
+     * @param {string} returnTo - Page hash to show afterwards, the current one by default
+     * @returns {Promise} Resolves when the redirect starts
+     */
+    async login(returnTo = window.location.hash) {
+        const verifier = this.randomString();
+        const state = this.randomString();
+
+        try {
+            const challenge = await this.createChallenge(verifier);
+
+            sessionStorage.setItem(this.transactionKey, JSON.stringify({
+                state,
+                verifier,
+                returnTo: /^#[\w-]*$/.test(returnTo) ? returnTo : '',
+                createdAt: Date.now()
+            }));
+
+            this.showNotice('auth.redirecting');
+            Analytics.track('login_start');
+
+            await this.provider.authorize({
+                response_type: 'code',
+                client_id: this.clientId,
+                redirect_uri: this.redirectUri,
+                scope: this.scope,
+                state,
+                code_challenge: challenge,
+                code_challenge_method: 'S256'
+            });
+        } catch (error) {
+            console.error('Sign-in error:', error);
+            this.showNotice('auth.errors.failed', {}, ['dismiss']);
+        }
+    },
+
+    /**
+     * Exchange the code sent back by the provider for tokens
+     * @returns {Promise} Resolves once done, straight away on ordinary page loads
+     */
+    handleCallback() {
+        const url = new URL(window.location.href);
+        const params = url.searchParams;
+
+        if (!params.has('state') || !(params.has('code') || params.has('error'))) {
+            return Promise.resolve();
+        }
+
+        const transaction = this.readTransaction();
+        const code = params.get('code');
+        const state = params.get('state');
+        const error = params.get('error');
+        const issuer = params.get('iss');
+
+        // Keep the code out of the history and of shared links
+        this.callbackParams.forEach(name => params.delete(name));
+        if (transaction && transaction.returnTo) {
+            url.hash = transaction.returnTo;
+        }
+        window.history.replaceState(window.history.state, '', url.href);
+
+        // A state we did not send means a forged or stale redirect
+        if (!transaction || transaction.state !== state || (issuer && this.provider.issuer && issuer !== this.provider.issuer)) {
+            this.showNotice('auth.errors.state', {}, ['login', 'dismiss']);
+            return Promise.resolve();
+        }
+
+        if (error) {
+            this.showNotice(error === 'access_denied' ? 'auth.errors.denied' : 'auth.errors.failed', {}, ['dismiss']);
+            return Promise.resolve();
+        }
+
+        this.showNotice('auth.signingIn');
+
+        return this.provider.token({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            code_verifier: transaction.verifier
+        })
+            .then(tokens => {
+                this.startSession(tokens);
+                this.hideNotice();
+                Analytics.track('login');
+            })
+            .catch(error => {
+                console.error('Sign-in error:', error);
+                this.showNotice('auth.errors.failed', {}, ['login', 'dismiss']);
+            });
+    },
+
+    /**
+     * Read and delete the sign-in in progress
+     * @returns {Object|null} { state, verifier, returnTo, createdAt }, null when missing or too old
+     */
+    readTransaction() {
+        let transaction = null;
+
+        try {
+            transaction = JSON.parse(sessionStorage.getItem(this.transactionKey));
+            sessionStorage.removeItem(this.transactionKey);
+        } catch (error) {
+            transaction = null;
+        }
+
+        if (!transaction || !(Date.now() - transaction.createdAt < this.transactionLifetime)) {
+            return null;
+        }
+        return transaction;
+    },
+
+    /**
+     * Start or renew the session from a token response
+     * @param {Object} tokens - { access_token, expires_in, refresh_token, id_token }
+     */
+    startSession(tokens) {
+        if (!tokens || !tokens.access_token) {
+            throw new Error('Token response without access_token');
+        }
+
+        const previous = this.session;
+        const claims = tokens.id_token ? this.readClaims(tokens.id_token) : null;
+
+        this.session = {
+            accessToken: tokens.access_token,
+            expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+            // Providers that do not rotate refresh tokens leave them out of the response
+            refreshToken: tokens.refresh_token || (previous && previous.refreshToken) || null,
+            idToken: tokens.id_token || (previous && previous.idToken) || null,
+            user: claims
+                ? { sub: claims.sub, name: claims.name || claims.email || '', email: claims.email || '' }
+                : (previous && previous.user) || { sub: '', name: '', email: '' }
+        };
+
+        this.scheduleRefresh();
+
+        if (!previous) {
+            this.lastActivity = Date.now();
+            this.checkIdle();
+            this.render();
+            EventBus.emit('auth:change', { user: this.session.user, reason: 'login' });
+        }
+    },
+
+    /**
+     * Read the claims of an ID token, for display only: the API checks the
+     * access token on every request, so the signature is not verified here
+     * @param {string} token - JWT
+     * @returns {Object|null} Claims, null when unreadable or meant for another client
+     */
+    readClaims(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), c => c.charCodeAt(0))));
+
+            return [].concat(claims.aud).includes(this.clientId) ? claims : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Plan the next silent refresh shortly before the access token expires
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.session || !this.session.refreshToken) {
+            return;
+        }
+
+        const delay = Math.max(0, this.session.expiresAt - this.refreshMargin - Date.now());
+        this.refreshTimer = setTimeout(() => this.refresh().catch(() => {}), Math.min(delay, this.maxTimer));
+    },
+
+    /**
+     * Get new tokens with the refresh token; requests failing together share one refresh
+     * @returns {Promise} Resolves with the session renewed, rejects when it could not be
+     */
+    refresh() {
+        if (!this.session || !this.session.refreshToken) {
+            return Promise.reject(new Error('login-required'));
+        }
+
+        if (!this.refreshing) {
+            const session = this.session;
+
+            this.refreshing = this.provider.token({
+                grant_type: 'refresh_token',
+                refresh_token: session.refreshToken,
+                client_id: this.clientId
+            })
+                .then(tokens => {
+                    // Signed out while the request was running
+                    if (this.session !== session) {
+                        throw new Error('login-required');
+                    }
+                    this.startSession(tokens);
+                })
+                .catch(error => {
+                    if (this.session === session) {
+                        const offline = error instanceof TypeError || error.name === 'NetworkError';
+
+                        if (offline && session.expiresAt > Date.now()) {
+                            clearTimeout(this.refreshTimer);
+                            this.refreshTimer = setTimeout(() => this.refresh().catch(() => {}), this.retryDelay);
+                        } else {
+                            console.warn('Session refresh failed:', error);
+                            this.clearSession('expired');
+                        }
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+
+        return this.refreshing;
+    },
+
+    /**
+     * fetch() for the patient API: sends the access token, refreshes it once
+     * when the server answers 401 and asks the patient to sign in again when
+     * that fails. Request bodies must be resendable (no streams)
+     * @param {string} url - Resource URL
+     * @param {Object} options - fetch() options
+     * @returns {Promise<Response>} Response, rejects with "login-required" without a session
+     */
+    async fetch(url, options = {}) {
+        if (this.session && this.session.refreshToken && this.session.expiresAt <= Date.now()) {
+            await this.refresh().catch(() => {});
+        }
+        if (!this.session) {
+            this.promptLogin();
+            throw new Error('login-required');
+        }
+
+        const send = (session) => {
+            const headers = new Headers(options.headers);
+            headers.set('Authorization', `Bearer ${session.accessToken}`);
+            return fetch(url, Object.assign({ cache: 'no-store' }, options, { headers }));
+        };
+
+        const session = this.session;
+        let response = await send(session);
+
+        if (response.status === 401) {
+            // Another request may have renewed the session in the meantime
+            if (this.session === session) {
+                await this.refresh().catch(() => {});
+            }
+            if (this.session && this.session !== session) {
+                response = await send(this.session);
+            }
+        }
+
+        // A failed refresh has already ended the session and asked to sign in again
+        if (response.status === 401 && this.session) {
+            this.clearSession('expired');
+        }
+
+        return response;
+    },
+
+    /**
+     * Ask the patient to sign in, e.g. when a request needs a session
+     */
+    promptLogin() {
+        this.showNotice('auth.loginRequired', {}, ['login', 'dismiss']);
+    },
+
+    /**
+     * Sign out: forget the tokens here and in other tabs, revoke the refresh
+     * token, then end the provider's own session after an explicit sign-out so
+     * the next person on a shared computer does not get straight back in
+     * @param {string} reason - "user" or "idle"
+     * @returns {Promise} Resolves when the provider has been told
+     */
+    logout(reason = 'user') {
+        const session = this.session;
+        if (!session) {
+            return Promise.resolve();
+        }
+
+        this.clearSession(reason);
+
+        // Each tab times out on its own, only an explicit sign-out is shared
+        if (this.channel && reason === 'user') {
+            this.channel.postMessage({ type: 'logout' });
+        }
+        Analytics.track('logout', { reason });
+
+        const revoke = session.refreshToken && this.provider.revoke
+            ? this.provider.revoke(session.refreshToken, this.clientId)
+            : Promise.resolve();
+
+        return revoke
+            .catch(error => console.warn('Token revocation failed:', error))
+            .then(() => {
+                if (reason === 'user' && this.provider.endSession) {
+                    return this.provider.endSession({
+                        id_token_hint: session.idToken,
+                        client_id: this.clientId,
+                        post_logout_redirect_uri: this.redirectUri
+                    });
+                }
+                return undefined;
+            })
+            .catch(error => console.warn('Provider sign-out failed:', error));
+    },
+
+    /**
+     * Forget the session and say why
+     * @param {string} reason - "user", "idle", "expired" or "remote" (another tab)
+     */
+    clearSession(reason) {
+        if (!this.session) {
+            return;
+        }
+
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.idleTimer);
+        this.session = null;
+        this.warningShown = false;
+        this.render();
+
+        if (reason === 'idle') {
+            this.showNotice('auth.idleLoggedOut', { count: Math.round(this.idleTimeout / 60000) }, ['login', 'dismiss']);
+        } else if (reason === 'expired') {
+            this.showNotice('auth.expired', {}, ['login', 'dismiss']);
+        } else {
+            this.showNotice('auth.loggedOut', {}, ['dismiss']);
+        }
+
+        EventBus.emit('auth:change', { user: null, reason });
+    },
+
+    /**
+     * Note activity; once the idle warning is up only "Stay signed in" counts
+     */
+    recordActivity() {
+        if (!this.warningShown) {
+            this.lastActivity = Date.now();
+        }
+    },
+
+    /**
+     * Keep the session going after the idle warning
+     */
+    extend() {
+        this.warningShown = false;
+        this.lastActivity = Date.now();
+        this.hideNotice();
+        this.checkIdle();
+    },
+
+    /**
+     * Warn or sign out after inactivity, then check again when the next step is due
+     */
+    checkIdle() {
+        clearTimeout(this.idleTimer);
+        if (!this.session) {
+            return;
+        }
+
+        const idle = Date.now() - this.lastActivity;
+        const warnAt = this.idleTimeout - this.idleWarning;
+
+        if (idle >= this.idleTimeout) {
+            this.logout('idle');
+            return;
+        }
+
+        if (idle >= warnAt && !this.warningShown) {
+            this.warningShown = true;
+            this.showNotice('auth.idleWarning', { count: Math.ceil((this.idleTimeout - idle) / 1000) }, ['stay', 'logout']);
+        }
+
+        this.idleTimer = setTimeout(() => this.checkIdle(), (idle >= warnAt ? this.idleTimeout : warnAt) - idle);
+    },
+
+    /**
+     * Draw the account menus for the current session
+     */
+    render() {
+        const user = this.getUser();
+        const name = user ? user.name || I18n.t('auth.patient') : '';
+
+        if (this.container) {
+            const hadFocus = this.container.contains(document.activeElement);
+
+            this.container.innerHTML = user ? `
+                <button type="button" class="account-menu__toggle" data-auth-action="toggle" aria-expanded="false"
+                    aria-controls="account-panel" aria-label="${Utils.escapeHTML(I18n.t('auth.account', { name }))}">
+                    <span class="account-menu__avatar" aria-hidden="true">${Utils.escapeHTML(Images.getInitials(name))}</span>
+                </button>
+                <div class="account-panel" id="account-panel" hidden>
+                    <p class="account-panel__name">${Utils.escapeHTML(name)}</p>
+                    ${user.email ? `<p class="account-panel__email">${Utils.escapeHTML(user.email)}</p>` : ''}
+                    <a href="#documents" class="account-panel__link" data-auth-action="close">
+                        <i class="fas fa-file-medical" aria-hidden="true"></i> ${I18n.t('auth.documents')}
+                    </a>
+                    <a href="#follow-up" class="account-panel__link" data-auth-action="close">
+                        <i class="fas fa-calendar-check" aria-hidden="true"></i> ${I18n.t('auth.followUps')}
+                    </a>
+                    <button type="button" class="account-panel__logout" data-auth-action="logout">
+                        <i class="fas fa-right-from-bracket" aria-hidden="true"></i> ${I18n.t('auth.logout')}
+                    </button>
+                </div>
+            ` : `
+                <button type="button" class="account-menu__login" data-auth-action="login">
+                    <i class="fas fa-user" aria-hidden="true"></i>
+                    <span>${I18n.t('auth.login')}</span>
+                </button>
+            `;
+
+            this.toggle = this.container.querySelector('.account-menu__toggle');
+            this.panel = this.container.querySelector('.account-panel');
+
+            // Signing in or out must not drop keyboard focus on the page body
+            if (hadFocus) {
+                this.container.querySelector('button').focus();
+            }
+        }
+
+        if (this.mobileContainer) {
+            const hadFocus = this.mobileContainer.contains(document.activeElement);
+
+            this.mobileContainer.innerHTML = user ? `
+                <p class="mobile-menu__user">${I18n.t('auth.signedInAs', { name: `<strong>${Utils.escapeHTML(name)}</strong>` })}</p>
+                <button type="button" class="btn btn--outline" data-auth-action="logout">${I18n.t('auth.logout')}</button>
+            ` : `
+                <button type="button" class="btn btn--primary" data-auth-action="login">
+                    <i class="fas fa-user" aria-hidden="true"></i> ${I18n.t('auth.loginLong')}
+                </button>
+            `;
+
+            if (hadFocus) {
+                this.mobileContainer.querySelector('button').focus();
+            }
+        }
+    },
+
+    /**
+     * Show or hide the account panel
+     * @param {boolean} open - Whether the panel should be visible
+     */
+    setOpen(open) {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+    },
+
+    /**
+     * Show a message with action buttons
+     * @param {string} key - Translation key
+     * @param {Object} params - Translation parameters
+     * @param {Array} actions - Any of "login", "logout", "stay" and "dismiss"
+     */
+    showNotice(key, params = {}, actions = []) {
+        if (!this.notice) {
+            return;
+        }
+
+        this.noticeContent = [key, params, actions];
+        this.notice.innerHTML = `
+            <p class="auth-notice__text">${I18n.t(key, params)}</p>
+            ${actions.length ? `
+                <div class="auth-notice__actions">
+                    ${actions.map(action => `
+                        <button type="button" class="btn ${action === 'dismiss' || action === 'logout' ? 'btn--outline' : 'btn--primary'}"
+                            data-auth-action="${action}">${I18n.t(`auth.actions.${action}`)}</button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        this.notice.hidden = false;
+    },
+
+    /**
+     * Hide the message
+     */
+    hideNotice() {
+        if (this.notice) {
+            this.notice.hidden = true;
+            this.noticeContent = null;
+        }
+    },
+
+    /**
+     * Random URL-safe string, used for the PKCE verifier and the state
+     * @returns {string} 43 characters (256 bits)
+     */
+    randomString() {
+        return this.base64url(crypto.getRandomValues(new Uint8Array(32)));
+    },
+
+    /**
+     * PKCE S256 challenge of a verifier
+     * @param {string} verifier - Code verifier
+     * @returns {Promise<string>} base64url SHA-256 of the verifier
+     */
+    createChallenge(verifier) {
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+            .then(hash => this.base64url(new Uint8Array(hash)));
+    },
+
+    /**
+     * Encode bytes as unpadded base64url
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} Encoded data
+     */
+    base64url(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+};
+
+/**
+ * MOCK IDENTITY PROVIDER
+ * Local stand-in for the OAuth server, used when no issuer is configured:
+ * "signs in" a demo patient straight away and checks codes, PKCE verifiers and
+ * refresh tokens the way a real server would. Its records live in sessionStorage
+ * so they survive the redirect back to the page
+ */
+export const MockIdentityProvider = {
+    storageKey: 'galenica:mock-idp',
+
+    latency: 300,
+
+    // Short-lived access tokens so that silent refresh shows up in testing (seconds)
+    accessTokenLifetime: 5 * 60,
+
+    codeLifetime: 60 * 1000,
+
+    patient: {
+        sub: 'patient-0001',
+        name: 'Maria Rossi',
+        email: 'maria.rossi@example.com'
+    },
+
+    /**
+     * Issue a code for the challenge and go back to the page
+     * @param {Object} params - Authorization request parameters
+     * @returns {Promise} Resolves when the redirect starts
+     */
+    authorize(params) {
+        if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+            return Promise.reject(new Error('invalid_request'));
+        }
+
+        const code = Auth.randomString();
+        const records = this.read();
+        records.codes[code] = {
+            challenge: params.code_challenge,
+            clientId: params.client_id,
+            redirectUri: params.redirect_uri,
+            createdAt: Date.now()
+        };
+        this.write(records);
+
+        const url = new URL(params.redirect_uri);
+        url.searchParams.set('code', code);
+        url.searchParams.set('state', params.state);
+        this.navigate(url.href);
+
+        return Promise.resolve();
+    },
+
+    /**
+     * Token endpoint: authorization_code and refresh_token grants
+     * @param {Object} params - Token request parameters
+     * @returns {Promise<Object>} Token response, rejects with the OAuth error code
+     */
+    token(params) {
+        return new Promise(resolve => setTimeout(resolve, this.latency)).then(async () => {
+            const records = this.read();
+
+            if (params.grant_type === 'authorization_code') {
+                const grant = records.codes[params.code];
+
+                // Codes work once, even when the exchange fails
+                delete records.codes[params.code];
+                this.write(records);
+
+                if (!grant || grant.clientId !== params.client_id || grant.redirectUri !== params.redirect_uri ||
+                    Date.now() - grant.createdAt > this.codeLifetime ||
+                    await Auth.createChallenge(params.code_verifier || '') !== grant.challenge) {
+                    throw new Error('invalid_grant');
+                }
+                return this.issue(params.client_id);
+            }
+
+            if (params.grant_type === 'refresh_token') {
+                const grant = records.refreshTokens[params.refresh_token];
+
+                // Rotation: every refresh token is replaced when used
+                delete records.refreshTokens[params.refresh_token];
+                this.write(records);
+
+                if (!grant || grant.clientId !== params.client_id) {
+                    throw new Error('invalid_grant');
+                }
+                return this.issue(params.client_id);
+            }
+
+            throw new Error('unsupported_grant_type');
+        });
+    },
+
+    /**
+     * Create tokens for the demo patient
+     * @param {string} clientId - Client the tokens are for
+     * @returns {Object} Token response
+     */
+    issue(clientId) {
+        const records = this.read();
+        const refreshToken = Auth.randomString();
+        const now = Math.floor(Date.now() / 1000);
+        const encode = value => Auth.base64url(new TextEncoder().encode(JSON.stringify(value)));
+
+        records.refreshTokens[refreshToken] = { clientId, createdAt: Date.now() };
+        this.write(records);
+
+        return {
+            token_type: 'Bearer',
+            access_token: Auth.randomString(),
+            expires_in: this.accessTokenLifetime,
+            refresh_token: refreshToken,
+            // Unsigned, the mock has no keys
+            id_token: `${encode({ alg: 'none', typ: 'JWT' })}.${encode(Object.assign({ iss: 'mock', aud: clientId, iat: now, exp: now + this.accessTokenLifetime }, this.patient))}.`
+        };
+    },
+
+    /**
+     * Revoke a refresh token
+     * @param {string} token - Refresh token
+     * @returns {Promise} Resolves when done
+     */
+    revoke(token) {
+        const records = this.read();
+        delete records.refreshTokens[token];
+        this.write(records);
+        return Promise.resolve();
+    },
+
+    /**
+     * End the provider session; the mock keeps none
+     * @returns {Promise} Resolves straight away
+     */
+    endSession() {
+        return Promise.resolve();
+    },
+
+    /**
+     * Go to a URL, the redirect of a real provider
+     * @param {string} url - Destination
+     */
+    navigate(url) {
+        window.location.assign(url);
+    },
+
+    /**
+     * Load the issued codes and refresh tokens
+     * @returns {Object} { codes, refreshTokens }
+     */
+    read() {
+        try {
+            const records = JSON.parse(sessionStorage.getItem(this.storageKey));
+            if (records && records.codes && records.refreshTokens) {
+                return records;
+            }
+        } catch (error) {
+            // Start over below
+        }
+        return { codes: {}, refreshTokens: {} };
+    },
+
+    /**
+     * Save the issued codes and refresh tokens
+     * @param {Object} records - { codes, refreshTokens }
+     */
+    write(records) {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(records));
+        } catch (error) {
+            console.warn('Mock identity provider storage failed:', error);
+        }
+    }
+};
+
+/**
+ * HTTP IDENTITY PROVIDER
+ * OpenID Connect provider found through {issuer}/.well-known/openid-configuration:
+ * redirects to its authorization and end-session endpoints and posts form
+ * requests to its token and revocation endpoints (public client, no secret)
+ */
+export const HttpIdentityProvider = {
+    /**
+     * Create a provider for an issuer
+     * @param {string} issuer - Issuer URL, as in the provider's configuration
+     * @returns {Object} Identity provider
+     */
+    create(issuer) {
+        const url = new URL(issuer);
+
+        // Tokens for health data never travel unencrypted
+        if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+            throw new Error(`Identity provider must use HTTPS: ${issuer}`);
+        }
+
+        let discovery = null;
+        const configuration = () => {
+            discovery = discovery || fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, { credentials: 'omit' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Identity provider discovery error ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Try again on the next call
+                    discovery = null;
+                    throw error;
+                });
+            return discovery;
+        };
+
+        const post = (endpoint, params) => fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: new URLSearchParams(params),
+            credentials: 'omit',
+            cache: 'no-store'
+        }).then(async response => {
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `Identity provider error ${response.status}`);
+            }
+            return data;
+        });
+
+        const navigate = (endpoint, params) => {
+            const target = new URL(endpoint);
+            Object.keys(params).forEach(name => {
+                if (params[name]) {
+                    target.searchParams.set(name, params[name]);
+                }
+            });
+            window.location.assign(target.href);
+        };
+
+        return {
+            issuer,
+
+            authorize(params) {
+                return configuration().then(config => navigate(config.authorization_endpoint, params));
+            },
+
+            token(params) {
+                return configuration().then(config => post(config.token_endpoint, params));
+            },
+
+            revoke(token, clientId) {
+                return configuration().then(config => config.revocation_endpoint &&
+                    post(config.revocation_endpoint, { token, token_type_hint: 'refresh_token', client_id: clientId }));
+            },
+
+            endSession(params) {
+                return configuration().then(config => config.end_session_endpoint &&
+                    navigate(config.end_session_endpoint, params));
+            }
+        };
+    }
+};
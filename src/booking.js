@@ -0,0 +1,827 @@
+import { Analytics } from './analytics.js';
+import { Dialog } from './dialog.js';
+import { DoctorDirectory } from './doctor-directory.js';
+import { I18n } from './i18n.js';
+import { MobileMenu } from './mobile-menu.js';
+import { Utils } from './utils.js';
+
+/**
+ * BOOKING MODULE
+ * Multi-step booking wizard opened by every "Prenota" button
+ * Availability and submission go through a pluggable adapter
+ */
+export const Booking = {
+    dependencies: ['I18n', 'Dialog', 'MobileMenu', 'DoctorDirectory', 'Analytics'],
+
+    /**
+     * Wizard steps, in order
+     */
+    steps: [
+        { id: 'doctor' },
+        { id: 'area' },
+        { id: 'slot' },
+        { id: 'patient' },
+        { id: 'review' }
+    ],
+
+    /**
+     * Initialize booking functionality
+     */
+    init() {
+        this.adapter = this.adapter || MockBookingAdapter;
+        this.triggerSelector = '[data-booking-trigger], .doctor-card__btn';
+        this.daysAhead = 14;
+
+        this.buildModal();
+        this.bindEvents();
+    },
+
+    /**
+     * Close and remove the wizard
+     */
+    destroy() {
+        this.close();
+        this.modal.remove();
+    },
+
+    /**
+     * Replace the availability/submission backend
+     * @param {Object} adapter - Object implementing getAvailability() and submit()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the modal markup and append it to the body
+     */
+    buildModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'booking';
+        this.modal.hidden = true;
+        this.modal.innerHTML = `
+            <div class="booking__backdrop" data-booking-close></div>
+            <div class="booking__dialog" role="dialog" aria-modal="true" aria-labelledby="booking-title">
+                <div class="booking__header">
+                    <h2 id="booking-title" class="booking__title" data-i18n="booking.title">${I18n.t('booking.title')}</h2>
+                    <button type="button" class="booking__close" data-booking-close aria-label="${I18n.t('booking.close')}" data-i18n-attr="aria-label:booking.close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <ol class="booking__progress">
+                    ${this.steps.map((step, index) => `
+                        <li class="booking__progress-item" data-step="${step.id}">
+                            <span class="booking__progress-number">${index + 1}</span>
+                            <span class="booking__progress-label" data-i18n="booking.steps.${step.id}">${I18n.t(`booking.steps.${step.id}`)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+                <p class="booking__status" role="status" aria-live="polite"></p>
+                <form class="booking__form" novalidate>
+                    <div class="booking__body"></div>
+                    <div class="booking__footer">
+                        <button type="button" class="btn booking__back" data-i18n="booking.back">${I18n.t('booking.back')}</button>
+                        <button type="submit" class="btn btn--primary booking__next">${I18n.t('booking.next')}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.dialog = this.modal.querySelector('.booking__dialog');
+        this.form = this.modal.querySelector('.booking__form');
+        this.body = this.modal.querySelector('.booking__body');
+        this.status = this.modal.querySelector('.booking__status');
+        this.backButton = this.modal.querySelector('.booking__back');
+        this.nextButton = this.modal.querySelector('.booking__next');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Open from any booking trigger, including cards rendered later
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest(this.triggerSelector);
+            if (trigger) {
+                e.preventDefault();
+                // Only the section: the chosen doctor or pathology area would reveal health data
+                Analytics.track('booking_click', {
+                    section: trigger.closest('section[id]')?.id || ''
+                });
+                this.open(this.getTriggerPreset(trigger), trigger);
+            }
+        }, { signal: this.signal });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-booking-close]')) {
+                this.close();
+            }
+        }, { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.next();
+        }, { signal: this.signal });
+
+        this.backButton.addEventListener('click', () => {
+            this.goToStep(this.stepIndex - 1);
+        }, { signal: this.signal });
+
+        this.body.addEventListener('change', (e) => {
+            this.handleChange(e.target);
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Read the pre-selection carried by a trigger
+     * @param {Element} trigger - Clicked booking button
+     * @returns {Object} Preset doctor and area ids
+     */
+    getTriggerPreset(trigger) {
+        const card = trigger.closest('.doctor-card');
+        return {
+            doctor: trigger.dataset.doctor || (card ? card.dataset.doctorId : null) || null,
+            area: trigger.dataset.area || null
+        };
+    },
+
+    /**
+     * Collect the specialists from the directory, or from the cards as fallback
+     * @returns {Array} Doctors with id, name and specialization
+     */
+    getDoctors() {
+        if (DoctorDirectory.doctors && DoctorDirectory.doctors.length) {
+            return DoctorDirectory.doctors.map(doctor => ({
+                id: doctor.id,
+                name: doctor.name,
+                specialization: doctor.specializations.join(' & ')
+            }));
+        }
+
+        return Array.from(document.querySelectorAll('.doctor-card')).map(card => {
+            const name = card.querySelector('.doctor-card__name')?.textContent.trim() || '';
+            return {
+                id: card.dataset.doctorId || Utils.slugify(name),
+                name,
+                specialization: card.querySelector('.doctor-card__specialization')?.textContent.trim() || ''
+            };
+        });
+    },
+
+    /**
+     * Collect the pathology areas from the patologies section
+     * @returns {Array} Areas with id and title
+     */
+    getAreas() {
+        return Array.from(document.querySelectorAll('#patologies .patology-card')).map(card => {
+            const title = card.querySelector('.patology-card__title').textContent.trim();
+            return { id: card.dataset.area || Utils.slugify(title), title };
+        });
+    },
+
+    /**
+     * Open the wizard
+     * @param {Object} preset - Optional doctor/area pre-selection
+     * @param {Element} trigger - Element to return focus to on close
+     */
+    open(preset = {}, trigger = null) {
+        this.doctors = this.getDoctors();
+        this.areas = this.getAreas();
+        this.availability = null;
+        this.confirmation = null;
+        this.state = {
+            doctor: this.doctors.some(doctor => doctor.id === preset.doctor) ? preset.doctor : null,
+            area: this.areas.some(area => area.id === preset.area) ? preset.area : null,
+            date: null,
+            time: null,
+            patient: {}
+        };
+
+        MobileMenu.closeMenu({ returnFocus: false });
+        this.modal.hidden = false;
+        Dialog.open(this.modal, {
+            trigger: trigger || document.activeElement,
+            containers: [this.dialog],
+            onDismiss: () => this.close()
+        });
+
+        // Skip the doctor step when launched from a specific card
+        this.goToStep(this.state.doctor ? 1 : 0);
+    },
+
+    /**
+     * Close the wizard and return focus to the trigger
+     */
+    close() {
+        if (this.modal.hidden) {
+            return;
+        }
+
+        this.modal.hidden = true;
+        Dialog.close(this.modal);
+    },
+
+    /**
+     * Validate the current step and advance
+     */
+    next() {
+        if (this.confirmation) {
+            this.close();
+            return;
+        }
+
+        if (!this.validateStep()) {
+            return;
+        }
+
+        if (this.currentStep().id === 'review') {
+            this.submit();
+        } else {
+            this.goToStep(this.stepIndex + 1);
+        }
+    },
+
+    /**
+     * Get the active step descriptor
+     * @returns {Object} Current step
+     */
+    currentStep() {
+        return this.steps[this.stepIndex];
+    },
+
+    /**
+     * Render a given step
+     * @param {number} index - Step index
+     */
+    goToStep(index) {
+        if (index < 0 || index >= this.steps.length) {
+            return;
+        }
+
+        this.stepIndex = index;
+        const step = this.currentStep();
+
+        this.modal.querySelectorAll('.booking__progress-item').forEach((item, itemIndex) => {
+            item.classList.toggle('is-active', itemIndex === index);
+            item.classList.toggle('is-done', itemIndex < index);
+            if (itemIndex === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.backButton.hidden = index === 0;
+        this.nextButton.textContent = I18n.t(step.id === 'review' ? 'booking.confirm' : 'booking.next');
+        this.nextButton.disabled = false;
+        this.setStatus(I18n.t('booking.stepStatus', {
+            current: index + 1,
+            total: this.steps.length,
+            label: I18n.t(`booking.steps.${step.id}`)
+        }));
+
+        const renderers = {
+            doctor: () => this.renderDoctorStep(),
+            area: () => this.renderAreaStep(),
+            slot: () => this.renderSlotStep(),
+            patient: () => this.renderPatientStep(),
+            review: () => this.renderReviewStep()
+        };
+        renderers[step.id]();
+
+        this.focusStep();
+    },
+
+    /**
+     * Move focus to the heading of the rendered step
+     */
+    focusStep() {
+        const heading = this.body.querySelector('.booking__step-title');
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus();
+        }
+    },
+
+    /**
+     * Render the specialist choice
+     */
+    renderDoctorStep() {
+        this.body.innerHTML = `
+            <fieldset class="booking__fieldset">
+                <legend class="booking__step-title">${I18n.t('booking.doctorTitle')}</legend>
+                <div class="booking__options">
+                    ${this.doctors.map(doctor => this.renderOption('doctor', doctor.id, doctor.name, doctor.specialization, this.state.doctor === doctor.id)).join('')}
+                </div>
+                <p class="booking__error" id="booking-doctor-error" hidden></p>
+            </fieldset>
+        `;
+    },
+
+    /**
+     * Render the pathology area choice
+     */
+    renderAreaStep() {
+        this.body.innerHTML = `
+            <fieldset class="booking__fieldset">
+                <legend class="booking__step-title">${I18n.t('booking.areaTitle')}</legend>
+                <div class="booking__options">
+                    ${this.areas.map(area => this.renderOption('area', area.id, area.title, '', this.state.area === area.id)).join('')}
+                    ${this.renderOption('area', 'altro', I18n.t('booking.areaOther'), I18n.t('booking.areaOtherDetail'), this.state.area === 'altro')}
+                </div>
+                <p class="booking__error" id="booking-area-error" hidden></p>
+            </fieldset>
+        `;
+    },
+
+    /**
+     * Render a radio option card
+     * @param {string} name - Radio group name
+     * @param {string} value - Option value
+     * @param {string} title - Option title
+     * @param {string} detail - Secondary text
+     * @param {boolean} checked - Whether the option is selected
+     * @returns {string} Option markup
+     */
+    renderOption(name, value, title, detail, checked) {
+        return `
+            <label class="booking__option">
+                <input type="radio" name="${name}" value="${Utils.escapeHTML(value)}" ${checked ? 'checked' : ''}>
+                <span class="booking__option-title">${Utils.escapeHTML(title)}</span>
+                ${detail ? `<span class="booking__option-detail">${Utils.escapeHTML(detail)}</span>` : ''}
+            </label>
+        `;
+    },
+
+    /**
+     * Render the availability calendar, loading it first if needed
+     */
+    renderSlotStep() {
+        if (!this.availability || this.availability.doctor !== this.state.doctor) {
+            this.body.innerHTML = `
+                <h3 class="booking__step-title">${I18n.t('booking.slotTitle')}</h3>
+                <p class="booking__loading">${I18n.t('booking.loading')}</p>
+            `;
+            this.nextButton.disabled = true;
+            this.loadAvailability();
+            return;
+        }
+
+        const days = this.availability.days;
+        const selectedDay = days.find(day => day.date === this.state.date);
+
+        this.body.innerHTML = `
+            <h3 class="booking__step-title">${I18n.t('booking.slotTitle')}</h3>
+            <fieldset class="booking__fieldset">
+                <legend class="booking__legend">${I18n.t('booking.day')}</legend>
+                <div class="booking__calendar">
+                    ${days.map(day => `
+                        <label class="booking__day${day.slots.length ? '' : ' is-unavailable'}">
+                            <input type="radio" name="date" value="${day.date}" ${day.date === this.state.date ? 'checked' : ''} ${day.slots.length ? '' : 'disabled'}>
+                            <span class="booking__day-weekday">${this.formatDate(day.date, { weekday: 'short' })}</span>
+                            <span class="booking__day-number">${this.formatDate(day.date, { day: 'numeric' })}</span>
+                            <span class="booking__day-month">${this.formatDate(day.date, { month: 'short' })}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+            <fieldset class="booking__fieldset">
+                <legend class="booking__legend">${I18n.t('booking.time')}</legend>
+                ${selectedDay ? `
+                    <div class="booking__slots">
+                        ${selectedDay.slots.map(time => `
+                            <label class="booking__slot">
+                                <input type="radio" name="time" value="${time}" ${time === this.state.time ? 'checked' : ''}>
+                                <span>${time}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : `<p class="booking__hint">${I18n.t('booking.pickDay')}</p>`}
+            </fieldset>
+            <p class="booking__error" id="booking-slot-error" hidden></p>
+        `;
+    },
+
+    /**
+     * Fetch availability for the selected doctor through the adapter
+     */
+    loadAvailability() {
+        const doctor = this.state.doctor;
+        const from = new Date();
+
+        this.adapter.getAvailability(doctor, from, this.daysAhead)
+            .then(days => {
+                if (this.state.doctor !== doctor || this.currentStep().id !== 'slot') {
+                    return;
+                }
+                this.availability = { doctor, days };
+                this.nextButton.disabled = false;
+                this.renderSlotStep();
+                this.focusStep();
+            })
+            .catch(error => {
+                console.error('Booking availability error:', error);
+                this.body.innerHTML = `
+                    <h3 class="booking__step-title">${I18n.t('booking.slotTitle')}</h3>
+                    <p class="booking__error">${I18n.t('booking.loadError')}</p>
+                `;
+                this.setStatus(I18n.t('booking.loadErrorStatus'));
+            });
+    },
+
+    /**
+     * Render the patient details form
+     */
+    renderPatientStep() {
+        const patient = this.state.patient;
+        const field = (name, label, type, autocomplete) => `
+            <div class="booking__field">
+                <label class="booking__label" for="booking-${name}">${label}</label>
+                <input class="booking__input" id="booking-${name}" name="${name}" type="${type}" autocomplete="${autocomplete}"
+                    value="${Utils.escapeHTML(patient[name] || '')}" aria-describedby="booking-${name}-error">
+                <p class="booking__error" id="booking-${name}-error" hidden></p>
+            </div>
+        `;
+
+        this.body.innerHTML = `
+            <h3 class="booking__step-title">${I18n.t('booking.patientTitle')}</h3>
+            <div class="booking__fields">
+                ${field('firstName', I18n.t('booking.fields.firstName'), 'text', 'given-name')}
+                ${field('lastName', I18n.t('booking.fields.lastName'), 'text', 'family-name')}
+                ${field('email', I18n.t('booking.fields.email'), 'email', 'email')}
+                ${field('phone', I18n.t('booking.fields.phone'), 'tel', 'tel')}
+                <div class="booking__field booking__field--full">
+                    <label class="booking__label" for="booking-notes">${I18n.t('booking.fields.notes')}</label>
+                    <textarea class="booking__input" id="booking-notes" name="notes" rows="3">${Utils.escapeHTML(patient.notes || '')}</textarea>
+                </div>
+                <div class="booking__field booking__field--full">
+                    <label class="booking__checkbox">
+                        <input type="checkbox" name="privacy" ${patient.privacy ? 'checked' : ''} aria-describedby="booking-privacy-error">
+                        <span>${I18n.t('booking.fields.privacy')}</span>
+                    </label>
+                    <p class="booking__error" id="booking-privacy-error" hidden></p>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the summary before confirmation
+     */
+    renderReviewStep() {
+        const doctor = this.doctors.find(item => item.id === this.state.doctor);
+        const area = this.areas.find(item => item.id === this.state.area);
+        const patient = this.state.patient;
+        const rows = [
+            ['doctor', doctor ? doctor.name : ''],
+            ['area', area ? area.title : I18n.t('booking.areaOther')],
+            ['date', this.formatDate(this.state.date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })],
+            ['time', this.state.time],
+            ['patient', `${patient.firstName} ${patient.lastName}`],
+            ['email', patient.email],
+            ['phone', patient.phone]
+        ];
+
+        if (patient.notes) {
+            rows.push(['notes', patient.notes]);
+        }
+
+        this.body.innerHTML = `
+            <h3 class="booking__step-title">${I18n.t('booking.reviewTitle')}</h3>
+            <dl class="booking__summary">
+                ${rows.map(([label, value]) => `
+                    <dt>${I18n.t(`booking.summary.${label}`)}</dt>
+                    <dd>${Utils.escapeHTML(value)}</dd>
+                `).join('')}
+            </dl>
+        `;
+    },
+
+    /**
+     * Keep state in sync with the inputs of the current step
+     * @param {Element} input - Changed input
+     */
+    handleChange(input) {
+        const step = this.currentStep().id;
+
+        if (step === 'doctor' && input.name === 'doctor') {
+            this.state.doctor = input.value;
+            this.state.date = null;
+            this.state.time = null;
+        } else if (step === 'area' && input.name === 'area') {
+            this.state.area = input.value;
+        } else if (step === 'slot' && input.name === 'date') {
+            this.state.date = input.value;
+            this.state.time = null;
+            this.renderSlotStep();
+            this.body.querySelector('input[name="time"]')?.focus();
+        } else if (step === 'slot' && input.name === 'time') {
+            this.state.time = input.value;
+        }
+    },
+
+    /**
+     * Validate the current step and show inline errors
+     * @returns {boolean} Whether the step is valid
+     */
+    validateStep() {
+        const step = this.currentStep().id;
+
+        if (step === 'doctor' && !this.state.doctor) {
+            return this.showError('booking-doctor-error', I18n.t('booking.errors.doctor'));
+        }
+        if (step === 'area' && !this.state.area) {
+            return this.showError('booking-area-error', I18n.t('booking.errors.area'));
+        }
+        if (step === 'slot' && (!this.state.date || !this.state.time)) {
+            return this.showError('booking-slot-error', I18n.t('booking.errors.slot'));
+        }
+        if (step === 'patient') {
+            return this.validatePatient();
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate and store the patient form
+     * @returns {boolean} Whether all fields are valid
+     */
+    validatePatient() {
+        const data = new FormData(this.form);
+        const patient = {
+            firstName: (data.get('firstName') || '').trim(),
+            lastName: (data.get('lastName') || '').trim(),
+            email: (data.get('email') || '').trim(),
+            phone: (data.get('phone') || '').trim(),
+            notes: (data.get('notes') || '').trim(),
+            privacy: data.get('privacy') === 'on'
+        };
+        const errors = {};
+
+        if (!patient.firstName) errors.firstName = I18n.t('booking.errors.firstName');
+        if (!patient.lastName) errors.lastName = I18n.t('booking.errors.lastName');
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(patient.email)) errors.email = I18n.t('booking.errors.email');
+        if (!/^\+?[0-9\s]{6,16}$/.test(patient.phone)) errors.phone = I18n.t('booking.errors.phone');
+        if (!patient.privacy) errors.privacy = I18n.t('booking.errors.privacy');
+
+        this.state.patient = patient;
+
+        this.body.querySelectorAll('.booking__error').forEach(error => {
+            error.hidden = true;
+            error.textContent = '';
+        });
+        this.body.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+
+        Object.keys(errors).forEach(name => {
+            this.form.elements[name]?.setAttribute('aria-invalid', 'true');
+            this.showError(`booking-${name}-error`, errors[name]);
+        });
+
+        const firstInvalid = this.body.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Show an inline error message
+     * @param {string} id - Error element id
+     * @param {string} message - Error text
+     * @returns {boolean} Always false, for use as validation result
+     */
+    showError(id, message) {
+        const error = document.getElementById(id);
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+        this.setStatus(message);
+        return false;
+    },
+
+    /**
+     * Send the booking through the adapter
+     */
+    submit() {
+        const booking = {
+            doctor: this.state.doctor,
+            area: this.state.area,
+            date: this.state.date,
+            time: this.state.time,
+            patient: this.state.patient
+        };
+
+        this.nextButton.disabled = true;
+        this.backButton.disabled = true;
+        this.setStatus(I18n.t('booking.sending'));
+
+        this.adapter.submit(booking)
+            .then(confirmation => {
+                this.confirmation = confirmation;
+                Analytics.track('booking_complete');
+                this.renderConfirmation();
+            })
+            .catch(error => {
+                console.error('Booking submission error:', error);
+                this.setStatus(error.message === 'slot-unavailable'
+                    ? I18n.t('booking.slotUnavailable')
+                    : I18n.t('booking.submitError'));
+
+                if (error.message === 'slot-unavailable') {
+                    this.availability = null;
+                    this.state.time = null;
+                    this.goToStep(this.steps.findIndex(step => step.id === 'slot'));
+                }
+            })
+            .finally(() => {
+                this.nextButton.disabled = false;
+                this.backButton.disabled = false;
+            });
+    },
+
+    /**
+     * Replace the wizard with the confirmation message
+     */
+    renderConfirmation() {
+        this.body.innerHTML = `
+            <div class="booking__success">
+                <i class="fas fa-check-circle booking__success-icon" aria-hidden="true"></i>
+                <h3 class="booking__step-title">${I18n.t('booking.successTitle')}</h3>
+                <p>${I18n.t('booking.successCode')} <strong>${Utils.escapeHTML(this.confirmation.id)}</strong></p>
+                <p>${I18n.t('booking.successText')}</p>
+            </div>
+        `;
+        this.backButton.hidden = true;
+        this.nextButton.textContent = I18n.t('booking.close');
+        this.setStatus(I18n.t('booking.successTitle'));
+        this.focusStep();
+    },
+
+    /**
+     * Announce a message to assistive technologies
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    },
+
+    /**
+     * Format an ISO date for display
+     * @param {string} isoDate - Date as YYYY-MM-DD
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(isoDate, options) {
+        return new Date(`${isoDate}T00:00:00`).toLocaleDateString(I18n.locale(), options);
+    }
+};
+
+/**
+ * MOCK BOOKING ADAPTER
+ * Local stand-in for the agenda API, backed by localStorage
+ */
+export const MockBookingAdapter = {
+    storageKey: 'galenica:bookings',
+    latency: 400,
+    times: ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '15:00', '15:30', '16:00', '16:30', '17:00'],
+
+    /**
+     * Get available slots for a doctor
+     * @param {string} doctorId - Doctor identifier
+     * @param {Date} from - First day to include
+     * @param {number} days - Number of days to include
+     * @returns {Promise<Array>} Days as { date, slots }
+     */
+    getAvailability(doctorId, from, days) {
+        const booked = this.getBookings()
+            .filter(booking => booking.doctor === doctorId)
+            .map(booking => `${booking.date} ${booking.time}`);
+        const result = [];
+
+        for (let offset = 1; offset <= days; offset++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+            const date = this.toISODate(day);
+            const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+            const slots = isWeekend ? [] : this.times.filter(time =>
+                this.hash(`${doctorId}${date}${time}`) % 3 !== 0 && !booked.includes(`${date} ${time}`)
+            );
+            result.push({ date, slots });
+        }
+
+        return this.delay(result);
+    },
+
+    /**
+     * Store a booking
+     * @param {Object} booking - Booking request
+     * @returns {Promise<Object>} Confirmation with id
+     */
+    submit(booking) {
+        const bookings = this.getBookings();
+        const taken = bookings.some(item =>
+            item.doctor === booking.doctor && item.date === booking.date && item.time === booking.time
+        );
+
+        if (taken) {
+            return this.delay(null).then(() => {
+                throw new Error('slot-unavailable');
+            });
+        }
+
+        const confirmation = Object.assign({ id: `GO-${Date.now().toString(36).toUpperCase()}` }, booking);
+        bookings.push(confirmation);
+        Utils.writeStorage(this.storageKey, bookings);
+
+        return this.delay(confirmation);
+    },
+
+    /**
+     * Read stored bookings
+     * @returns {Array} Stored bookings
+     */
+    getBookings() {
+        return Utils.readStorage(this.storageKey, []);
+    },
+
+    /**
+     * Resolve a value after the simulated network latency
+     * @param {*} value - Value to resolve
+     * @returns {Promise} Delayed promise
+     */
+    delay(value) {
+        return new Promise(resolve => setTimeout(() => resolve(value), this.latency));
+    },
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date to format
+     * @returns {string} ISO date
+     */
+    toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Simple deterministic string hash
+     * @param {string} value - String to hash
+     * @returns {number} Positive integer hash
+     */
+    hash(value) {
+        let hash = 0;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+        }
+        return Math.abs(hash);
+    }
+};
+
+/**
+ * HTTP BOOKING ADAPTER
+ * Talks to the real agenda API
+ */
+export const HttpBookingAdapter = {
+    /**
+     * Create an adapter bound to an API base URL
+     * @param {string} baseUrl - Agenda API base URL
+     * @returns {Object} Booking adapter
+     */
+    create(baseUrl) {
+        const request = (path, options = {}) => fetch(`${baseUrl}${path}`, Object.assign({
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+        }, options)).then(response => {
+            if (response.status === 409) {
+                throw new Error('slot-unavailable');
+            }
+            if (!response.ok) {
+                throw new Error(`Agenda API error ${response.status}`);
+            }
+            return response.json();
+        });
+
+        return {
+            getAvailability(doctorId, from, days) {
+                const params = new URLSearchParams({
+                    doctor: doctorId,
+                    from: MockBookingAdapter.toISODate(from),
+                    days: String(days)
+                });
+                return request(`/availability?${params}`);
+            },
+
+            submit(booking) {
+                return request('/bookings', {
+                    method: 'POST',
+                    body: JSON.stringify(booking)
+                });
+            }
+        };
+    }
+};
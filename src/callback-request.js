@@ -0,0 +1,435 @@
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+/**
+ * CALLBACK REQUEST MODULE
+ * Lets patients leave a callback request for the secretaries
+ * Handles validation, retries and offline queueing
+ */
+export const CallbackRequest = {
+    dependencies: ['I18n'],
+
+    /**
+     * Initialize callback request functionality
+     */
+    init() {
+        this.card = document.querySelector('#contact .contact-card');
+        this.toggleButton = this.card?.querySelector('.btn');
+        this.adapter = this.adapter || MockCallbackAdapter;
+        this.queueKey = 'galenica:callback-queue';
+        this.maxAttempts = 3;
+        this.retryDelay = 1000;
+
+        if (this.card && this.toggleButton) {
+            this.buildForm();
+            this.bindEvents();
+            this.flushQueue();
+        }
+    },
+
+    /**
+     * Remove the form
+     */
+    destroy() {
+        if (!this.form) {
+            return;
+        }
+
+        this.form.remove();
+        this.form = null;
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+    },
+
+    /**
+     * Replace the submission backend
+     * @param {Object} adapter - Object implementing submit()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the form markup inside the contact card
+     */
+    buildForm() {
+        this.form = document.createElement('form');
+        this.form.className = 'callback-form';
+        this.form.id = 'callback-form';
+        this.form.hidden = true;
+        this.form.noValidate = true;
+        this.form.innerHTML = `
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-name" data-i18n="callback.fields.name">${I18n.t('callback.fields.name')}</label>
+                <input class="callback-form__input" id="callback-name" name="name" type="text" autocomplete="name" aria-describedby="callback-name-error" required>
+                <p class="callback-form__error" id="callback-name-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-phone" data-i18n="callback.fields.phone">${I18n.t('callback.fields.phone')}</label>
+                <input class="callback-form__input" id="callback-phone" name="phone" type="tel" autocomplete="tel" placeholder="+39 333 123 4567" aria-describedby="callback-phone-error" required>
+                <p class="callback-form__error" id="callback-phone-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-window" data-i18n="callback.fields.window">${I18n.t('callback.fields.window')}</label>
+                <select class="callback-form__input" id="callback-window" name="window" aria-describedby="callback-window-error">
+                    <option value="" data-i18n="callback.windows.placeholder">${I18n.t('callback.windows.placeholder')}</option>
+                    <option value="morning" data-i18n="callback.windows.morning">${I18n.t('callback.windows.morning')}</option>
+                    <option value="afternoon" data-i18n="callback.windows.afternoon">${I18n.t('callback.windows.afternoon')}</option>
+                    <option value="any" data-i18n="callback.windows.any">${I18n.t('callback.windows.any')}</option>
+                </select>
+                <p class="callback-form__error" id="callback-window-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__label" for="callback-reason" data-i18n="callback.fields.reason">${I18n.t('callback.fields.reason')}</label>
+                <textarea class="callback-form__input" id="callback-reason" name="reason" rows="3" maxlength="500" aria-describedby="callback-reason-error"></textarea>
+                <p class="callback-form__error" id="callback-reason-error" hidden></p>
+            </div>
+            <div class="callback-form__field">
+                <label class="callback-form__checkbox">
+                    <input type="checkbox" name="privacy" aria-describedby="callback-privacy-error">
+                    <span data-i18n="callback.fields.privacy">${I18n.t('callback.fields.privacy')}</span>
+                </label>
+                <p class="callback-form__error" id="callback-privacy-error" hidden></p>
+            </div>
+            <p class="callback-form__status" role="status" aria-live="polite"></p>
+            <button type="submit" class="btn btn--outline callback-form__submit" data-i18n="callback.submit">${I18n.t('callback.submit')}</button>
+        `;
+
+        this.card.appendChild(this.form);
+        this.status = this.form.querySelector('.callback-form__status');
+        this.submitButton = this.form.querySelector('.callback-form__submit');
+
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.toggleButton.setAttribute('aria-controls', this.form.id);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.toggleButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleForm();
+        }, { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Clear a field's error as soon as it is corrected
+        this.form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.clearError(e.target);
+            }
+        }, { signal: this.signal });
+
+        // Send queued requests when the connection comes back
+        window.addEventListener('online', () => {
+            this.flushQueue();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the form
+     */
+    toggleForm() {
+        const isExpanded = this.toggleButton.getAttribute('aria-expanded') === 'true';
+        this.toggleButton.setAttribute('aria-expanded', String(!isExpanded));
+        this.form.hidden = isExpanded;
+
+        if (!isExpanded) {
+            this.form.elements.name.focus();
+        }
+    },
+
+    /**
+     * Validate and send the request
+     */
+    handleSubmit() {
+        const request = this.getFormData();
+        const errors = this.validate(request);
+
+        this.form.querySelectorAll('[aria-invalid="true"]').forEach(input => this.clearError(input));
+
+        const names = Object.keys(errors);
+        if (names.length) {
+            names.forEach(name => this.showError(this.form.elements[name], errors[name]));
+            this.form.elements[names[0]].focus();
+            this.setStatus(I18n.t('callback.errors.summary', { count: names.length }));
+            return;
+        }
+
+        request.phone = this.normalizePhone(request.phone);
+        request.createdAt = new Date().toISOString();
+
+        if (!navigator.onLine) {
+            this.enqueue(request);
+            this.showSuccess(true);
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        this.setStatus(I18n.t('callback.sending'));
+
+        this.sendWithRetry(request)
+            .then(() => this.showSuccess(false))
+            .catch(error => {
+                if (this.isNetworkError(error)) {
+                    this.enqueue(request);
+                    this.showSuccess(true);
+                } else {
+                    console.error('Callback request error:', error);
+                    this.setStatus(I18n.t('callback.sendError'));
+                }
+            })
+            .finally(() => {
+                this.submitButton.disabled = false;
+            });
+    },
+
+    /**
+     * Read the form values
+     * @returns {Object} Callback request
+     */
+    getFormData() {
+        const elements = this.form.elements;
+        return {
+            name: elements.name.value.trim(),
+            phone: elements.phone.value.trim(),
+            window: elements.window.value,
+            reason: elements.reason.value.trim(),
+            privacy: elements.privacy.checked
+        };
+    },
+
+    /**
+     * Validate a callback request
+     * @param {Object} request - Callback request
+     * @returns {Object} Error messages keyed by field name
+     */
+    validate(request) {
+        const errors = {};
+
+        if (request.name.length < 2) {
+            errors.name = I18n.t('callback.errors.name');
+        }
+        if (!request.phone) {
+            errors.phone = I18n.t('callback.errors.phoneMissing');
+        } else if (!this.isValidPhone(request.phone)) {
+            errors.phone = I18n.t('callback.errors.phone');
+        }
+        if (!request.window) {
+            errors.window = I18n.t('callback.errors.window');
+        }
+        if (!request.reason) {
+            errors.reason = I18n.t('callback.errors.reason');
+        }
+        if (!request.privacy) {
+            errors.privacy = I18n.t('callback.errors.privacy');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Strip separators and the optional +39/0039 prefix
+     * @param {string} phone - Phone as typed
+     * @returns {string} National number digits
+     */
+    getNationalNumber(phone) {
+        return phone.replace(/[\s.\-/()]/g, '').replace(/^(\+39|0039)/, '');
+    },
+
+    /**
+     * Check an Italian mobile or landline number
+     * @param {string} phone - Phone as typed
+     * @returns {boolean} Whether the number is valid
+     */
+    isValidPhone(phone) {
+        const national = this.getNationalNumber(phone);
+        return /^3\d{8,9}$/.test(national) || /^0\d{5,10}$/.test(national);
+    },
+
+    /**
+     * Normalise a phone number to +39 international format
+     * @param {string} phone - Valid phone as typed
+     * @returns {string} Normalised number
+     */
+    normalizePhone(phone) {
+        return `+39${this.getNationalNumber(phone)}`;
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {Element} input - Invalid field
+     * @param {string} message - Error message
+     */
+    showError(input, message) {
+        const error = document.getElementById(`callback-${input.name}-error`);
+        input.setAttribute('aria-invalid', 'true');
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {Element} input - Field to reset
+     */
+    clearError(input) {
+        const error = document.getElementById(`callback-${input.name}-error`);
+        input.removeAttribute('aria-invalid');
+        if (error) {
+            error.textContent = '';
+            error.hidden = true;
+        }
+    },
+
+    /**
+     * Send a request, retrying network failures with exponential backoff
+     * @param {Object} request - Callback request
+     * @param {number} attempt - Current attempt number
+     * @returns {Promise} Resolves when the request is accepted
+     */
+    sendWithRetry(request, attempt = 1) {
+        return this.adapter.submit(request).catch(error => {
+            if (!this.isNetworkError(error) || attempt >= this.maxAttempts) {
+                throw error;
+            }
+
+            const delay = this.retryDelay * Math.pow(2, attempt - 1);
+            return new Promise(resolve => setTimeout(resolve, delay))
+                .then(() => this.sendWithRetry(request, attempt + 1));
+        });
+    },
+
+    /**
+     * Tell connection failures apart from rejected requests
+     * @param {Error} error - Submission error
+     * @returns {boolean} Whether the error is worth retrying
+     */
+    isNetworkError(error) {
+        return error instanceof TypeError || error.name === 'NetworkError';
+    },
+
+    /**
+     * Read the offline queue
+     * @returns {Array} Queued requests
+     */
+    getQueue() {
+        return Utils.readStorage(this.queueKey, []);
+    },
+
+    /**
+     * Store a request to send once back online
+     * @param {Object} request - Callback request
+     */
+    enqueue(request) {
+        const queue = this.getQueue();
+        queue.push(request);
+        Utils.writeStorage(this.queueKey, queue);
+    },
+
+    /**
+     * Send queued requests one by one, keeping those that still fail
+     */
+    flushQueue() {
+        const queue = this.getQueue();
+
+        if (!queue.length || !navigator.onLine || this.isFlushing) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        queue.reduce((chain, request) => chain.then(remaining =>
+            this.sendWithRetry(request)
+                .then(() => remaining)
+                .catch(error => this.isNetworkError(error) ? remaining.concat(request) : remaining)
+        ), Promise.resolve([])).then(remaining => {
+            // Keep the requests queued while this flush was running
+            const added = this.getQueue().slice(queue.length);
+            Utils.writeStorage(this.queueKey, remaining.concat(added));
+            this.isFlushing = false;
+        });
+    },
+
+    /**
+     * Replace the card content with the confirmation
+     * @param {boolean} queued - Whether the request was queued offline
+     */
+    showSuccess(queued) {
+        const title = queued ? 'callback.queuedTitle' : 'callback.successTitle';
+        const text = queued ? 'callback.queuedText' : 'callback.successText';
+
+        this.card.innerHTML = `
+            <div class="contact-card__success" role="status" tabindex="-1">
+                <i class="fas ${queued ? 'fa-cloud-upload-alt' : 'fa-check-circle'} contact-card__success-icon" aria-hidden="true"></i>
+                <h3 class="contact-card__title" data-i18n="${title}">${I18n.t(title)}</h3>
+                <p data-i18n="${text}">${I18n.t(text)}</p>
+            </div>
+        `;
+        this.card.querySelector('.contact-card__success').focus();
+    },
+
+    /**
+     * Announce a form-level message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * MOCK CALLBACK ADAPTER
+ * Local stand-in for the secretary's callback endpoint
+ */
+export const MockCallbackAdapter = {
+    storageKey: 'galenica:callbacks',
+    latency: 500,
+
+    /**
+     * Store a callback request
+     * @param {Object} request - Callback request
+     * @returns {Promise<Object>} Stored request with id
+     */
+    submit(request) {
+        return new Promise(resolve => setTimeout(() => {
+            const stored = Utils.readStorage(this.storageKey, []);
+            const saved = Object.assign({ id: `CB-${Date.now().toString(36).toUpperCase()}` }, request);
+            stored.push(saved);
+            Utils.writeStorage(this.storageKey, stored);
+            resolve(saved);
+        }, this.latency));
+    }
+};
+
+/**
+ * HTTP CALLBACK ADAPTER
+ * Posts callback requests to the secretary's endpoint
+ */
+export const HttpCallbackAdapter = {
+    /**
+     * Create an adapter bound to an endpoint
+     * @param {string} endpoint - Callback endpoint URL
+     * @returns {Object} Callback adapter
+     */
+    create(endpoint) {
+        return {
+            submit(request) {
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request)
+                }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Callback endpoint error ${response.status}`);
+                    }
+                    return response.json();
+                });
+            }
+        };
+    }
+};
@@ -0,0 +1,1367 @@
+import { Analytics } from './analytics.js';
+import { Auth } from './auth.js';
+import { DocumentUpload } from './document-upload.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+/**
+ * CHAT MODULE
+ * Secure messaging with the secretaries and the doctors for signed-in patients:
+ * a floating launcher with an unread badge, and a panel with one conversation
+ * per recipient, typing indicators, read receipts and attachments.
+ * Messages go through a swappable transport; those written while offline wait
+ * in the outbox and are sent again after reconnecting. Like the tokens, the
+ * conversation and the outbox stay in memory and are dropped on sign-out.
+ * <body data-chat-socket="wss://..."> connects over WebSocket and
+ * <body data-chat-endpoint="https://..."> with long polling, which is also the
+ * fallback when the socket cannot connect; the local mock server is used otherwise
+ */
+export const Chat = {
+    dependencies: ['I18n', 'Auth', 'DocumentUpload', 'Analytics'],
+
+    maxLength: 2000,
+
+    maxAttachments: 3,
+
+    maxAttachmentSize: 5 * 1024 * 1024,
+
+    // Waits between reconnections double after each failure, up to the maximum
+    reconnectDelay: 1000,
+
+    maxReconnectDelay: 30 * 1000,
+
+    // Socket connections that never opened before switching to long polling
+    maxSocketFailures: 3,
+
+    // Typing notices are repeated while typing and expire without news
+    typingInterval: 3000,
+
+    typingTimeout: 6000,
+
+    /**
+     * Initialize the launcher and the conversation panel
+     */
+    init() {
+        const config = document.body.dataset;
+        const transports = [
+            config.chatSocket ? WebSocketChatTransport.create(config.chatSocket) : null,
+            config.chatEndpoint ? LongPollChatTransport.create(config.chatEndpoint) : null
+        ].filter(Boolean);
+
+        this.transports = this.transports || (transports.length ? transports : [MockChatTransport]);
+        this.transport = null;
+        this.connection = 'offline';
+        this.attempts = 0;
+        this.socketFailures = 0;
+        this.reset();
+
+        this.buildWidget();
+        this.bindEvents();
+        this.render();
+
+        if (Auth.isAuthenticated()) {
+            this.connect();
+        }
+    },
+
+    /**
+     * Disconnect and remove the widget
+     */
+    destroy() {
+        this.disconnect();
+        this.reset();
+        [this.launcher, this.panel, this.announcer].forEach(element => element && element.remove());
+        this.launcher = null;
+        this.panel = null;
+        this.announcer = null;
+    },
+
+    /**
+     * Replace the transports
+     * @param {Object} transport - Object implementing open(), send() and close()
+     * @param {Object} fallback - Transport used when the first one keeps failing to connect
+     */
+    setTransport(transport, fallback) {
+        this.transports = [transport, fallback].filter(Boolean);
+    },
+
+    /**
+     * Forget the conversation
+     */
+    reset() {
+        (this.objectUrls || []).forEach(url => URL.revokeObjectURL(url));
+        (this.typing ? Array.from(this.typing.values()) : []).forEach(entry => clearTimeout(entry.timer));
+
+        this.threads = [];
+        this.messages = new Map();
+        this.unread = new Map();
+        this.typing = new Map();
+        this.outbox = [];
+        this.pending = [];
+        this.objectUrls = [];
+        this.activeThread = null;
+        this.nextClientId = 1;
+        this.typingSentAt = 0;
+    },
+
+    /**
+     * Create the launcher, the panel and the announcer
+     */
+    buildWidget() {
+        this.launcher = document.createElement('button');
+        this.launcher.type = 'button';
+        this.launcher.className = 'chat-launcher';
+        this.launcher.setAttribute('aria-expanded', 'false');
+        this.launcher.setAttribute('aria-controls', 'chat-panel');
+        this.launcher.innerHTML = `
+            <i class="fas fa-comments" aria-hidden="true"></i>
+            <span class="chat-launcher__badge" aria-hidden="true" hidden></span>
+        `;
+
+        this.panel = document.createElement('section');
+        this.panel.className = 'chat-panel';
+        this.panel.id = 'chat-panel';
+        this.panel.hidden = true;
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-labelledby', 'chat-title');
+        this.panel.innerHTML = `
+            <div class="chat-panel__header">
+                <div>
+                    <h2 class="chat-panel__title" id="chat-title" data-i18n="chat.title">${I18n.t('chat.title')}</h2>
+                    <p class="chat-panel__connection" role="status"></p>
+                </div>
+                <button type="button" class="chat-panel__close" data-chat-action="close"
+                    aria-label="${I18n.t('chat.close')}" data-i18n-attr="aria-label:chat.close">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="chat-panel__signin">
+                <p data-i18n="chat.signIn">${I18n.t('chat.signIn')}</p>
+                <button type="button" class="btn btn--primary" data-chat-action="login" data-i18n="auth.login">${I18n.t('auth.login')}</button>
+            </div>
+            <div class="chat-panel__conversation" hidden>
+                <div class="chat-panel__threads" role="group" aria-label="${I18n.t('chat.threads')}" data-i18n-attr="aria-label:chat.threads"></div>
+                <ol class="chat-panel__log" role="log" aria-labelledby="chat-title"></ol>
+                <p class="chat-panel__typing" hidden></p>
+                <form class="chat-composer" novalidate>
+                    <ul class="chat-composer__attachments" hidden></ul>
+                    <p class="chat-composer__error" id="chat-error" hidden></p>
+                    <div class="chat-composer__row">
+                        <button type="button" class="chat-composer__attach" data-chat-action="attach"
+                            aria-label="${I18n.t('chat.attach')}" data-i18n-attr="aria-label:chat.attach">
+                            <i class="fas fa-paperclip" aria-hidden="true"></i>
+                        </button>
+                        <input type="file" class="chat-composer__file" multiple hidden
+                            accept=".pdf,.jpg,.jpeg,.png,application/pdf,image/jpeg,image/png">
+                        <textarea class="chat-composer__input" name="message" rows="2" maxlength="${this.maxLength}" aria-describedby="chat-error"
+                            aria-label="${I18n.t('chat.input')}" placeholder="${I18n.t('chat.placeholder')}"
+                            data-i18n-attr="aria-label:chat.input;placeholder:chat.placeholder"></textarea>
+                        <button type="submit" class="chat-composer__send" aria-label="${I18n.t('chat.send')}" data-i18n-attr="aria-label:chat.send">
+                            <i class="fas fa-paper-plane" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        // Messages that arrive while the panel is closed or shows another conversation
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'chat-announcer';
+        this.announcer.setAttribute('aria-live', 'polite');
+
+        document.body.append(this.launcher, this.panel, this.announcer);
+
+        this.badge = this.launcher.querySelector('.chat-launcher__badge');
+        this.connectionStatus = this.panel.querySelector('.chat-panel__connection');
+        this.signIn = this.panel.querySelector('.chat-panel__signin');
+        this.conversation = this.panel.querySelector('.chat-panel__conversation');
+        this.threadList = this.panel.querySelector('.chat-panel__threads');
+        this.log = this.panel.querySelector('.chat-panel__log');
+        this.typingStatus = this.panel.querySelector('.chat-panel__typing');
+        this.form = this.panel.querySelector('.chat-composer');
+        this.attachmentList = this.panel.querySelector('.chat-composer__attachments');
+        this.error = this.panel.querySelector('.chat-composer__error');
+        this.fileInput = this.panel.querySelector('.chat-composer__file');
+        this.input = this.panel.querySelector('.chat-composer__input');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.launcher.addEventListener('click', () => this.setOpen(this.panel.hidden), { signal: this.signal });
+
+        // "Scrivici in chat" buttons elsewhere on the page
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-chat-open]')) {
+                this.setOpen(true);
+            }
+        }, { signal: this.signal });
+
+        this.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-chat-action]');
+            if (!button) {
+                return;
+            }
+
+            switch (button.dataset.chatAction) {
+                case 'close':
+                    this.setOpen(false);
+                    this.launcher.focus();
+                    break;
+                case 'login':
+                    Auth.login('#contact');
+                    break;
+                case 'thread':
+                    this.selectThread(button.dataset.thread);
+                    break;
+                case 'attach':
+                    this.fileInput.click();
+                    break;
+                case 'remove-attachment':
+                    this.pending.splice(Number(button.dataset.index), 1);
+                    this.renderAttachments();
+                    this.input.focus();
+                    break;
+                case 'retry':
+                    this.retry(button.dataset.clientId);
+                    break;
+            }
+        }, { signal: this.signal });
+
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setOpen(false);
+                this.launcher.focus();
+            }
+        }, { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Enter sends, Shift+Enter starts a new line
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+                e.preventDefault();
+                this.handleSubmit();
+            }
+        }, { signal: this.signal });
+
+        this.input.addEventListener('input', () => this.sendTyping(Boolean(this.input.value.trim())), { signal: this.signal });
+
+        this.fileInput.addEventListener('change', () => {
+            this.addAttachments(Array.from(this.fileInput.files));
+            this.fileInput.value = '';
+        }, { signal: this.signal });
+
+        window.addEventListener('online', () => {
+            if (!this.transport && Auth.isAuthenticated()) {
+                this.attempts = 0;
+                this.connect();
+            }
+        }, { signal: this.signal });
+
+        document.addEventListener('visibilitychange', () => {
+            if (this.isViewing(this.activeThread)) {
+                this.markRead(this.activeThread);
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('auth:change', ({ user }) => {
+            if (user) {
+                this.connect();
+            } else {
+                this.disconnect();
+                this.reset();
+                this.log.innerHTML = '';
+            }
+            this.render();
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            this.render();
+            this.renderLog();
+            this.renderAttachments();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} open - Whether the panel should be visible
+     */
+    setOpen(open) {
+        if (open === !this.panel.hidden) {
+            return;
+        }
+
+        this.panel.hidden = !open;
+        this.launcher.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            Analytics.track('chat_open');
+            (Auth.isAuthenticated() ? this.input : this.signIn.querySelector('button')).focus();
+            if (this.isViewing(this.activeThread)) {
+                this.markRead(this.activeThread);
+            }
+            this.scrollToEnd();
+        }
+    },
+
+    /**
+     * Check whether the patient can see a conversation right now
+     * @param {string} thread - Conversation id
+     * @returns {boolean} True when its messages are on screen
+     */
+    isViewing(thread) {
+        return Boolean(thread) && thread === this.activeThread && !this.panel.hidden && !document.hidden && Auth.isAuthenticated();
+    },
+
+    /**
+     * Connect with the first usable transport
+     */
+    connect() {
+        if (this.transport || !Auth.isAuthenticated()) {
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+
+        const [primary, fallback] = this.transports;
+        const transport = fallback && (primary.supported === false || this.socketFailures >= this.maxSocketFailures) ? fallback : primary;
+
+        this.transport = transport;
+        this.setConnection('connecting');
+
+        try {
+            transport.open({
+                onOpen: () => this.handleOpen(transport),
+                onFrame: (frame) => {
+                    if (this.transport === transport) {
+                        this.handleFrame(frame);
+                    }
+                },
+                onClose: (info) => this.handleClose(transport, info || {})
+            }, { token: Auth.getAccessToken() });
+        } catch (error) {
+            console.warn('Chat connection error:', error);
+            this.handleClose(transport, { opened: false });
+        }
+    },
+
+    /**
+     * Close the connection on purpose, without reconnecting
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.typingTimer);
+
+        const transport = this.transport;
+        this.transport = null;
+        this.connection = 'offline';
+        if (transport) {
+            transport.close();
+        }
+    },
+
+    /**
+     * Catch up with the server and send the outbox once connected
+     * @param {Object} transport - Transport that connected
+     */
+    handleOpen(transport) {
+        if (this.transport !== transport) {
+            return;
+        }
+
+        this.attempts = 0;
+        this.socketFailures = 0;
+        this.setConnection('online');
+        this.send({ type: 'sync' });
+
+        // The server ignores messages it already has, by clientId
+        this.outbox.forEach(message => this.transmit(message));
+    },
+
+    /**
+     * Reconnect after a lost connection
+     * @param {Object} transport - Transport that closed
+     * @param {Object} info - { opened: whether it had connected, code: close code }
+     */
+    handleClose(transport, info) {
+        if (this.transport !== transport) {
+            return;
+        }
+
+        this.transport = null;
+        if (!info.opened && transport === this.transports[0]) {
+            this.socketFailures += 1;
+        }
+        this.setConnection('offline');
+
+        // 4001: the server refused the access token
+        if (info.code === 4001) {
+            Auth.refresh().then(() => this.connect(), () => Auth.promptLogin());
+            return;
+        }
+
+        this.scheduleReconnect();
+    },
+
+    /**
+     * Try to connect again later, waiting longer after each failure
+     */
+    scheduleReconnect() {
+        if (!Auth.isAuthenticated()) {
+            return;
+        }
+
+        this.attempts = (this.attempts || 0) + 1;
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, this.attempts - 1));
+
+        // Jitter keeps clients from reconnecting all at once after an outage
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay * (0.5 + Math.random() / 2));
+    },
+
+    /**
+     * Send a frame if connected
+     * @param {Object} frame - Protocol frame
+     * @returns {boolean} Whether it was handed to the transport
+     */
+    send(frame) {
+        if (this.connection !== 'online') {
+            return false;
+        }
+
+        this.transport.send(frame).catch(error => console.warn('Chat send error:', error));
+        return true;
+    },
+
+    /**
+     * Show the connection state
+     * @param {string} state - "online", "connecting" or "offline"
+     */
+    setConnection(state) {
+        this.connection = state;
+        this.renderConnection();
+    },
+
+    /**
+     * Apply a frame from the server
+     * @param {Object} frame - { type: "history" | "message" | "ack" | "read" | "typing" | "error", ... }
+     */
+    handleFrame(frame) {
+        switch (frame.type) {
+            case 'history':
+                this.threads = Array.isArray(frame.threads) ? frame.threads : [];
+                this.threads.forEach(thread => this.unread.set(thread.id, Number(thread.unread) || 0));
+                (frame.messages || []).forEach(message => this.store(this.normalize(message)));
+                this.messages.forEach(list => list.sort((a, b) => a.sentAt.localeCompare(b.sentAt)));
+
+                if (!this.threads.some(thread => thread.id === this.activeThread)) {
+                    this.activeThread = this.threads.length ? this.threads[0].id : null;
+                }
+                this.render();
+                this.renderLog();
+                if (this.isViewing(this.activeThread)) {
+                    this.markRead(this.activeThread);
+                }
+                break;
+
+            case 'message':
+                this.receive(this.normalize(frame.message));
+                break;
+
+            case 'ack': {
+                const message = this.findMessage(frame.message.thread, frame.clientId);
+                this.outbox = this.outbox.filter(entry => entry.clientId !== frame.clientId);
+                if (message) {
+                    Object.assign(message, this.normalize(frame.message, message.sentAt), { status: message.status === 'read' ? 'read' : 'sent' });
+                    this.renderMessage(message);
+                }
+                this.renderConnection();
+                break;
+            }
+
+            case 'read': {
+                const list = this.messages.get(frame.thread) || [];
+                const last = list.findIndex(message => message.id === frame.upTo);
+                list.slice(0, last + 1).filter(message => message.from === 'patient' && message.status === 'sent').forEach(message => {
+                    message.status = 'read';
+                    this.renderMessage(message);
+                });
+                break;
+            }
+
+            case 'typing':
+                this.setTyping(frame.thread, frame.typing ? frame.author : null);
+                break;
+
+            case 'error': {
+                const entry = this.outbox.find(message => message.clientId === frame.clientId);
+                if (entry) {
+                    this.outbox = this.outbox.filter(message => message !== entry);
+                    entry.status = 'failed';
+                    this.renderMessage(entry);
+                    this.renderConnection();
+                }
+                break;
+            }
+        }
+    },
+
+    /**
+     * Check the time of a message from the server, which the list is sorted and
+     * rendered by: a missing or malformed sentAt becomes the time it arrived
+     * @param {Object} message - Message from a frame
+     * @param {string} fallback - ISO time to use instead, e.g. the one given when written
+     * @returns {Object} Copy with an ISO sentAt
+     */
+    normalize(message, fallback = new Date().toISOString()) {
+        const time = typeof message.sentAt === 'string' ? Date.parse(message.sentAt) : NaN;
+        return Object.assign({}, message, { sentAt: Number.isNaN(time) ? fallback : new Date(time).toISOString() });
+    },
+
+    /**
+     * Add a new message from the server, announcing it when it is not on screen
+     * @param {Object} message - Message
+     */
+    receive(message) {
+        const stored = this.store(message);
+        if (message.from !== 'staff') {
+            this.renderMessage(stored);
+            return;
+        }
+
+        this.setTyping(message.thread, null);
+
+        if (this.isViewing(message.thread)) {
+            this.renderMessage(stored);
+            this.markRead(message.thread);
+        } else {
+            this.unread.set(message.thread, (this.unread.get(message.thread) || 0) + 1);
+            if (message.thread === this.activeThread) {
+                this.renderMessage(stored);
+            }
+            this.announce(I18n.t('chat.newMessage', { name: this.getThreadName(message.thread) }));
+            this.renderBadges();
+        }
+    },
+
+    /**
+     * Add or update a message in its conversation
+     * @param {Object} message - Message from the server or written here
+     * @returns {Object} Stored message
+     */
+    store(message) {
+        if (!this.messages.has(message.thread)) {
+            this.messages.set(message.thread, []);
+        }
+
+        const list = this.messages.get(message.thread);
+        const existing = list.find(entry => (message.clientId && entry.clientId === message.clientId) || (message.id && entry.id === message.id));
+        if (existing) {
+            return Object.assign(existing, message);
+        }
+
+        const stored = Object.assign({ attachments: [], status: message.from === 'patient' ? 'sent' : 'received' }, message);
+        list.push(stored);
+        return stored;
+    },
+
+    /**
+     * Find a message written here
+     * @param {string} thread - Conversation id
+     * @param {string} clientId - Id given when written
+     * @returns {Object|undefined} Message
+     */
+    findMessage(thread, clientId) {
+        return (this.messages.get(thread) || []).find(message => message.clientId === clientId);
+    },
+
+    /**
+     * Tell the server the patient has seen a conversation
+     * @param {string} thread - Conversation id
+     */
+    markRead(thread) {
+        if (!this.unread.get(thread)) {
+            return;
+        }
+
+        const last = (this.messages.get(thread) || []).filter(message => message.from === 'staff' && message.id).pop();
+
+        // Offline the count stays, so the receipt is sent after the next sync
+        if (last && this.send({ type: 'read', thread, upTo: last.id })) {
+            this.unread.set(thread, 0);
+            this.renderBadges();
+        }
+    },
+
+    /**
+     * Tell the server whether the patient is typing, at most every typingInterval
+     * @param {boolean} typing - Whether there is text being written
+     */
+    sendTyping(typing) {
+        clearTimeout(this.typingTimer);
+
+        if (typing) {
+            if (Date.now() - this.typingSentAt > this.typingInterval) {
+                this.typingSentAt = Date.now();
+                this.send({ type: 'typing', thread: this.activeThread, typing: true });
+            }
+            this.typingTimer = setTimeout(() => this.sendTyping(false), this.typingInterval);
+        } else if (this.typingSentAt) {
+            this.typingSentAt = 0;
+            this.send({ type: 'typing', thread: this.activeThread, typing: false });
+        }
+    },
+
+    /**
+     * Show or clear someone typing in a conversation
+     * @param {string} thread - Conversation id
+     * @param {string|null} author - Who is typing, null when they stopped
+     */
+    setTyping(thread, author) {
+        const entry = this.typing.get(thread);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.typing.delete(thread);
+        }
+
+        // Notices are repeated while typing, so a lost "stopped" frame is not shown forever
+        if (author) {
+            this.typing.set(thread, { author, timer: setTimeout(() => this.setTyping(thread, null), this.typingTimeout) });
+        }
+        this.renderTyping();
+    },
+
+    /**
+     * Switch to another conversation
+     * @param {string} thread - Conversation id
+     */
+    selectThread(thread) {
+        if (thread === this.activeThread || !this.threads.some(entry => entry.id === thread)) {
+            return;
+        }
+
+        this.sendTyping(false);
+        this.activeThread = thread;
+        this.render();
+        this.renderLog();
+        this.markRead(thread);
+    },
+
+    /**
+     * Validate and send the message being written
+     */
+    handleSubmit() {
+        const text = this.input.value.trim();
+
+        this.clearError();
+        if (!Auth.isAuthenticated() || !this.activeThread) {
+            return;
+        }
+        if (!text && !this.pending.length) {
+            this.showError(I18n.t('chat.errors.empty'));
+            return;
+        }
+
+        const message = this.store({
+            clientId: `${Date.now().toString(36)}-${this.nextClientId++}`,
+            thread: this.activeThread,
+            from: 'patient',
+            author: Auth.getUser().name,
+            text,
+            attachments: this.pending,
+            sentAt: new Date().toISOString(),
+            status: 'queued'
+        });
+
+        this.pending = [];
+        this.input.value = '';
+        this.sendTyping(false);
+        this.renderAttachments();
+
+        this.outbox.push(message);
+        this.renderMessage(message);
+        this.transmit(message);
+        this.renderConnection();
+
+        Analytics.track('chat_message', { attachments: message.attachments.length });
+    },
+
+    /**
+     * Hand a message to the transport; it stays in the outbox until the server acknowledges it
+     * @param {Object} message - Message written here
+     */
+    transmit(message) {
+        this.send({
+            type: 'message',
+            clientId: message.clientId,
+            thread: message.thread,
+            text: message.text,
+            attachments: message.attachments.map(({ name, type, size, data }) => ({ name, type, size, data }))
+        });
+    },
+
+    /**
+     * Send a message the server refused once more
+     * @param {string} clientId - Id given when written
+     */
+    retry(clientId) {
+        const message = this.findMessage(this.activeThread, clientId);
+        if (!message || message.status !== 'failed') {
+            return;
+        }
+
+        message.status = 'queued';
+        this.outbox.push(message);
+        this.renderMessage(message);
+        this.transmit(message);
+    },
+
+    /**
+     * Check and read files to attach to the next message
+     * @param {Array} files - Files chosen by the patient
+     */
+    async addAttachments(files) {
+        this.clearError();
+
+        for (const file of files) {
+            if (this.pending.length >= this.maxAttachments) {
+                this.showError(I18n.t('chat.errors.count', { count: this.maxAttachments }));
+                break;
+            }
+            if (file.size > this.maxAttachmentSize) {
+                this.showError(I18n.t('chat.errors.size', { name: file.name, size: this.maxAttachmentSize / (1024 * 1024) }));
+                continue;
+            }
+
+            try {
+                // Same formats as the document upload, recognised by their first bytes
+                const header = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+                const format = DocumentUpload.formats.find(candidate => candidate.signature.every((byte, index) => header[index] === byte));
+
+                if (!format) {
+                    this.showError(I18n.t('chat.errors.type', { name: file.name }));
+                    continue;
+                }
+
+                const data = await this.readBase64(file);
+                this.pending.push({ name: file.name, type: format.type, size: file.size, data });
+            } catch (error) {
+                console.error('Chat attachment error:', error);
+                this.showError(I18n.t('chat.errors.read', { name: file.name }));
+            }
+        }
+
+        this.renderAttachments();
+    },
+
+    /**
+     * Read a file as base64
+     * @param {Blob} file - File
+     * @returns {Promise<string>} Base64 content without the data: prefix
+     */
+    readBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    },
+
+    /**
+     * Get a link to an attachment
+     * @param {Object} attachment - { name, type, size, data } or { ..., url } from the server
+     * @returns {string|null} Object URL or https URL
+     */
+    getAttachmentUrl(attachment) {
+        if (attachment.data) {
+            if (!attachment.objectUrl) {
+                const bytes = Uint8Array.from(atob(attachment.data), c => c.charCodeAt(0));
+                attachment.objectUrl = URL.createObjectURL(new Blob([bytes], { type: attachment.type }));
+                this.objectUrls.push(attachment.objectUrl);
+            }
+            return attachment.objectUrl;
+        }
+        return /^https:\/\//.test(attachment.url || '') ? attachment.url : null;
+    },
+
+    /**
+     * Get the name of a conversation
+     * @param {string} thread - Conversation id
+     * @returns {string} Secretary or doctor name
+     */
+    getThreadName(thread) {
+        const entry = this.threads.find(candidate => candidate.id === thread);
+        if (!entry) {
+            return '';
+        }
+        return entry.role === 'secretary' ? I18n.t('chat.secretary') : entry.name;
+    },
+
+    /**
+     * Show the parts of the panel for the current session and conversation
+     */
+    render() {
+        const signedIn = Auth.isAuthenticated();
+
+        this.signIn.hidden = signedIn;
+        this.conversation.hidden = !signedIn;
+
+        this.threadList.innerHTML = this.threads.map(thread => {
+            const name = Utils.escapeHTML(this.getThreadName(thread.id));
+            return `
+                <button type="button" class="chat-panel__thread" data-chat-action="thread" data-thread="${Utils.escapeHTML(thread.id)}"
+                    aria-pressed="${thread.id === this.activeThread}">
+                    <i class="fas ${thread.role === 'secretary' ? 'fa-headset' : 'fa-user-md'}" aria-hidden="true"></i>
+                    <span>${name}</span>
+                    <span class="chat-panel__thread-badge" hidden></span>
+                </button>
+            `;
+        }).join('');
+
+        this.renderBadges();
+        this.renderConnection();
+        this.renderTyping();
+    },
+
+    /**
+     * Show the unread counts on the launcher and on the conversations
+     */
+    renderBadges() {
+        const total = Array.from(this.unread.values()).reduce((sum, count) => sum + count, 0);
+
+        this.badge.hidden = !total;
+        this.badge.textContent = total > 99 ? '99+' : String(total);
+        this.launcher.setAttribute('aria-label', total ? I18n.t('chat.openUnread', { count: total }) : I18n.t('chat.open'));
+
+        this.threadList.querySelectorAll('.chat-panel__thread').forEach(button => {
+            const count = this.unread.get(button.dataset.thread) || 0;
+            const badge = button.querySelector('.chat-panel__thread-badge');
+
+            badge.hidden = !count;
+            badge.textContent = String(count);
+            if (count) {
+                button.setAttribute('aria-label', I18n.t('chat.threadUnread', { name: this.getThreadName(button.dataset.thread), count }));
+            } else {
+                button.removeAttribute('aria-label');
+            }
+        });
+    },
+
+    /**
+     * Show whether messages can be sent right now
+     */
+    renderConnection() {
+        const waiting = this.outbox.filter(message => message.status === 'queued').length;
+        let text = '';
+
+        if (Auth.isAuthenticated()) {
+            if (this.connection === 'online') {
+                text = I18n.t('chat.connection.online');
+            } else if (waiting) {
+                text = I18n.t('chat.connection.queued', { count: waiting });
+            } else {
+                text = I18n.t(`chat.connection.${this.connection}`);
+            }
+        }
+
+        this.connectionStatus.textContent = text;
+        this.panel.dataset.connection = this.connection;
+    },
+
+    /**
+     * Show who is typing in the open conversation
+     */
+    renderTyping() {
+        const entry = this.typing.get(this.activeThread);
+
+        this.typingStatus.hidden = !entry;
+        this.typingStatus.textContent = entry ? I18n.t('chat.typing', { name: this.getThreadName(this.activeThread) || entry.author }) : '';
+    },
+
+    /**
+     * Draw the whole open conversation
+     */
+    renderLog() {
+        // Busy while rebuilding, so screen readers do not read out the whole history
+        this.log.setAttribute('aria-busy', 'true');
+        this.log.innerHTML = '';
+        (this.messages.get(this.activeThread) || []).forEach(message => this.renderMessage(message));
+        this.log.setAttribute('aria-busy', 'false');
+
+        if (this.activeThread && !this.log.children.length) {
+            this.log.innerHTML = `<li class="chat-panel__empty">${I18n.t('chat.empty')}</li>`;
+        }
+    },
+
+    /**
+     * Add a message to the log, or update it in place
+     * @param {Object} message - Message
+     */
+    renderMessage(message) {
+        if (message.thread !== this.activeThread) {
+            return;
+        }
+
+        const key = message.clientId || message.id;
+        let item = Array.from(this.log.children).find(child => child.dataset.messageKey === key);
+        const isNew = !item;
+        const status = {
+            queued: 'fa-clock',
+            sent: 'fa-check',
+            read: 'fa-check-double',
+            failed: 'fa-exclamation-circle'
+        }[message.status];
+
+        if (isNew) {
+            const empty = this.log.querySelector('.chat-panel__empty');
+            if (empty) {
+                empty.remove();
+            }
+
+            item = document.createElement('li');
+            item.className = `chat-message chat-message--${message.from === 'patient' ? 'patient' : 'staff'}`;
+            item.dataset.messageKey = key;
+            item.innerHTML = `
+                ${message.from === 'patient' ? '' : `<p class="chat-message__author">${Utils.escapeHTML(message.author || this.getThreadName(message.thread))}</p>`}
+                ${message.text ? `<p class="chat-message__text">${Utils.escapeHTML(message.text)}</p>` : ''}
+                ${message.attachments.length ? `
+                    <ul class="chat-message__attachments">
+                        ${message.attachments.map(attachment => this.renderAttachment(attachment)).join('')}
+                    </ul>
+                ` : ''}
+                <p class="chat-message__meta">
+                    <time datetime="${Utils.escapeHTML(message.sentAt)}">${new Intl.DateTimeFormat(I18n.locale(), { hour: '2-digit', minute: '2-digit' }).format(new Date(message.sentAt))}</time>
+                    <span class="chat-message__status"></span>
+                </p>
+            `;
+            this.log.appendChild(item);
+        }
+
+        // Receipts change in place, outside what the log announces
+        item.querySelector('.chat-message__status').innerHTML = status ? `
+            <i class="fas ${status}" aria-hidden="true"></i> ${I18n.t(`chat.status.${message.status}`)}
+            ${message.status === 'failed' ? `<button type="button" class="chat-message__retry" data-chat-action="retry"
+                data-client-id="${Utils.escapeHTML(message.clientId)}">${I18n.t('chat.retry')}</button>` : ''}
+        ` : '';
+        item.classList.toggle('chat-message--failed', message.status === 'failed');
+
+        if (isNew) {
+            this.scrollToEnd();
+        }
+    },
+
+    /**
+     * Markup of an attachment in a message
+     * @param {Object} attachment - { name, type, size, data | url }
+     * @returns {string} List item
+     */
+    renderAttachment(attachment) {
+        const url = this.getAttachmentUrl(attachment);
+        const name = Utils.escapeHTML(attachment.name);
+
+        if (!url) {
+            return `<li class="chat-message__attachment"><i class="fas fa-file" aria-hidden="true"></i> ${name}</li>`;
+        }
+        if (attachment.type.startsWith('image/')) {
+            return `
+                <li class="chat-message__attachment">
+                    <a href="${Utils.escapeHTML(url)}" download="${name}">
+                        <img class="chat-message__image" src="${Utils.escapeHTML(url)}" alt="${name}">
+                    </a>
+                </li>
+            `;
+        }
+        return `
+            <li class="chat-message__attachment">
+                <a href="${Utils.escapeHTML(url)}" download="${name}">
+                    <i class="fas fa-file-pdf" aria-hidden="true"></i> ${name}
+                </a>
+            </li>
+        `;
+    },
+
+    /**
+     * List the files attached to the next message
+     */
+    renderAttachments() {
+        this.attachmentList.hidden = !this.pending.length;
+        this.attachmentList.innerHTML = this.pending.map((attachment, index) => `
+            <li class="chat-composer__attachment">
+                <i class="fas ${attachment.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image'}" aria-hidden="true"></i>
+                <span>${Utils.escapeHTML(attachment.name)}</span>
+                <button type="button" class="chat-composer__remove" data-chat-action="remove-attachment" data-index="${index}"
+                    aria-label="${Utils.escapeHTML(I18n.t('chat.removeAttachment', { name: attachment.name }))}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Keep the latest message in view
+     */
+    scrollToEnd() {
+        this.log.scrollTop = this.log.scrollHeight;
+    },
+
+    /**
+     * Read a message out to screen reader users
+     * @param {string} message - Text
+     */
+    announce(message) {
+        // Clear first so the same text is read again
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            if (this.announcer) {
+                this.announcer.textContent = message;
+            }
+        }, 50);
+    },
+
+    /**
+     * Show a composer error
+     * @param {string} message - Error text
+     */
+    showError(message) {
+        this.error.textContent = message;
+        this.error.hidden = false;
+        this.input.setAttribute('aria-invalid', 'true');
+    },
+
+    /**
+     * Hide the composer error
+     */
+    clearError() {
+        this.error.textContent = '';
+        this.error.hidden = true;
+        this.input.removeAttribute('aria-invalid');
+    }
+};
+
+/**
+ * MOCK CHAT TRANSPORT
+ * Local stand-in for the chat server, used when no endpoint is configured:
+ * keeps the conversations in memory, acknowledges messages, sends read
+ * receipts and typing notices and answers every message with an echo.
+ * Connections fail while the browser is offline; disconnect() drops the
+ * current one the way a network failure would
+ */
+export const MockChatTransport = {
+    latency: 150,
+
+    replyDelay: 2000,
+
+    threads: [
+        { id: 'secretary', name: 'Segreteria', role: 'secretary' },
+        { id: 'veronica-spoto', name: 'Dott.ssa Veronica Spoto', role: 'doctor' },
+        { id: 'stefano-grasso', name: 'Dott. Stefano Grasso', role: 'doctor' }
+    ],
+
+    // Stored "on the server"
+    messages: [],
+
+    nextId: 1,
+
+    /**
+     * Connect
+     * @param {Object} handlers - { onOpen, onFrame, onClose }
+     */
+    open(handlers) {
+        this.close();
+
+        const connection = { handlers, opened: false };
+        this.connection = connection;
+
+        setTimeout(() => {
+            if (this.connection !== connection) {
+                return;
+            }
+            if (!navigator.onLine) {
+                this.connection = null;
+                handlers.onClose({ opened: false });
+                return;
+            }
+            connection.opened = true;
+            handlers.onOpen();
+        }, this.latency);
+    },
+
+    /**
+     * Send a frame to the server
+     * @param {Object} frame - Protocol frame
+     * @returns {Promise} Resolves once sent, rejects without a connection
+     */
+    send(frame) {
+        const connection = this.connection;
+        if (!connection || !connection.opened) {
+            return Promise.reject(new Error('Chat connection is closed'));
+        }
+
+        setTimeout(() => {
+            if (this.connection === connection) {
+                this.receive(JSON.parse(JSON.stringify(frame)));
+            }
+        }, this.latency);
+        return Promise.resolve();
+    },
+
+    /**
+     * Close the connection
+     */
+    close() {
+        this.connection = null;
+    },
+
+    /**
+     * Drop the connection as a network failure would
+     */
+    disconnect() {
+        const connection = this.connection;
+        this.connection = null;
+        if (connection) {
+            connection.handlers.onClose({ opened: connection.opened });
+        }
+    },
+
+    /**
+     * Send a frame to the page, if it is connected
+     * @param {Object} frame - Protocol frame
+     */
+    emit(frame) {
+        if (this.connection && this.connection.opened) {
+            this.connection.handlers.onFrame(JSON.parse(JSON.stringify(frame)));
+        }
+    },
+
+    /**
+     * Handle a frame from the page like the server would
+     * @param {Object} frame - Protocol frame
+     */
+    receive(frame) {
+        if (frame.type === 'sync') {
+            this.emit({
+                type: 'history',
+                threads: this.threads.map(thread => Object.assign({}, thread, {
+                    unread: this.messages.filter(message => message.thread === thread.id && message.from === 'staff' && !message.read).length
+                })),
+                messages: this.messages
+            });
+        } else if (frame.type === 'message') {
+            if (!this.threads.some(thread => thread.id === frame.thread)) {
+                this.emit({ type: 'error', clientId: frame.clientId, code: 'unknown-thread' });
+                return;
+            }
+
+            // Messages sent again from the outbox are stored once
+            let message = this.messages.find(entry => entry.clientId === frame.clientId);
+            if (!message) {
+                message = {
+                    id: `m${this.nextId++}`,
+                    clientId: frame.clientId,
+                    thread: frame.thread,
+                    from: 'patient',
+                    text: frame.text,
+                    attachments: frame.attachments || [],
+                    sentAt: new Date().toISOString(),
+                    status: 'sent'
+                };
+                this.messages.push(message);
+                this.reply(message);
+            }
+            this.emit({ type: 'ack', clientId: frame.clientId, message: { id: message.id, thread: message.thread, sentAt: message.sentAt } });
+        } else if (frame.type === 'read') {
+            const last = this.messages.findIndex(message => message.id === frame.upTo);
+            this.messages.slice(0, last + 1).forEach(message => {
+                if (message.thread === frame.thread && message.from === 'staff') {
+                    message.read = true;
+                }
+            });
+        }
+    },
+
+    /**
+     * Read a message, type for a while and answer it
+     * @param {Object} message - Patient message
+     */
+    reply(message) {
+        const thread = this.threads.find(entry => entry.id === message.thread);
+
+        setTimeout(() => {
+            message.status = 'read';
+            this.emit({ type: 'read', thread: thread.id, upTo: message.id });
+            this.emit({ type: 'typing', thread: thread.id, author: thread.name, typing: true });
+        }, this.replyDelay / 2);
+
+        setTimeout(() => {
+            const answer = {
+                id: `m${this.nextId++}`,
+                thread: thread.id,
+                from: 'staff',
+                // Secretaries answer as the office, shown in the page language
+                author: thread.role === 'secretary' ? '' : thread.name,
+                text: I18n.t('chat.mockReply', { text: message.text || message.attachments.map(attachment => attachment.name).join(', ') }),
+                attachments: [],
+                sentAt: new Date().toISOString()
+            };
+
+            this.messages.push(answer);
+            this.emit({ type: 'typing', thread: thread.id, author: thread.name, typing: false });
+            this.emit({ type: 'message', message: answer });
+        }, this.replyDelay);
+    }
+};
+
+/**
+ * WEBSOCKET CHAT TRANSPORT
+ * JSON frames over a WebSocket. The first frame carries the access token,
+ * { type: "auth", token }; the server closes with code 4001 when it refuses it
+ */
+export const WebSocketChatTransport = {
+    /**
+     * Create a transport bound to a socket URL
+     * @param {string} url - wss:// URL
+     * @returns {Object} Chat transport
+     */
+    create(url) {
+        const target = new URL(url, window.location.href);
+
+        // Messages with the doctors never travel unencrypted
+        if (target.protocol !== 'wss:' && target.hostname !== 'localhost') {
+            throw new Error(`Chat socket must use wss: ${url}`);
+        }
+
+        let socket = null;
+
+        return {
+            supported: 'WebSocket' in window,
+
+            open(handlers, options = {}) {
+                let opened = false;
+                const current = new WebSocket(target.href);
+                socket = current;
+
+                current.addEventListener('open', () => {
+                    opened = true;
+                    current.send(JSON.stringify({ type: 'auth', token: options.token }));
+                    handlers.onOpen();
+                });
+                current.addEventListener('message', (e) => {
+                    try {
+                        handlers.onFrame(JSON.parse(e.data));
+                    } catch (error) {
+                        console.warn('Invalid chat frame:', error);
+                    }
+                });
+                current.addEventListener('close', (e) => {
+                    if (socket === current) {
+                        socket = null;
+                        handlers.onClose({ opened, code: e.code });
+                    }
+                });
+            },
+
+            send(frame) {
+                if (!socket || socket.readyState !== WebSocket.OPEN) {
+                    return Promise.reject(new Error('Chat socket is not open'));
+                }
+                socket.send(JSON.stringify(frame));
+                return Promise.resolve();
+            },
+
+            close() {
+                const current = socket;
+                socket = null;
+                if (current) {
+                    current.close(1000);
+                }
+            }
+        };
+    }
+};
+
+/**
+ * LONG POLLING CHAT TRANSPORT
+ * The same frames over HTTP with Auth.fetch():
+ * GET {endpoint}/poll?cursor= answers { cursor, frames } at once without a
+ * cursor and waits for new frames with one; POST {endpoint} sends a frame and
+ * may answer { frames }
+ */
+export const LongPollChatTransport = {
+    /**
+     * Create a transport bound to an endpoint
+     * @param {string} endpoint - Chat endpoint URL
+     * @returns {Object} Chat transport
+     */
+    create(endpoint) {
+        const url = new URL(endpoint, window.location.href);
+
+        if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+            throw new Error(`Chat endpoint must use HTTPS: ${endpoint}`);
+        }
+
+        const base = url.href.replace(/\/$/, '');
+        const request = (path, options) => Auth.fetch(`${base}${path}`, options).then(response => {
+            if (!response.ok) {
+                throw new Error(`Chat endpoint error ${response.status}`);
+            }
+            return response.status === 204 ? {} : response.json();
+        });
+        let connection = null;
+
+        return {
+            open(handlers) {
+                const current = { handlers, cursor: '', opened: false, controller: new AbortController() };
+                connection = current;
+
+                const poll = () => request(`/poll?cursor=${encodeURIComponent(current.cursor)}`, { signal: current.controller.signal })
+                    .then(data => {
+                        if (connection !== current) {
+                            return;
+                        }
+                        current.cursor = data.cursor || current.cursor;
+                        if (!current.opened) {
+                            current.opened = true;
+                            handlers.onOpen();
+                        }
+                        (data.frames || []).forEach(frame => connection === current && handlers.onFrame(frame));
+                        poll();
+                    })
+                    .catch(() => {
+                        if (connection === current) {
+                            connection = null;
+                            handlers.onClose({ opened: current.opened });
+                        }
+                    });
+
+                poll();
+            },
+
+            send(frame) {
+                const current = connection;
+                if (!current || !current.opened) {
+                    return Promise.reject(new Error('Chat connection is closed'));
+                }
+
+                return request('', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(frame)
+                }).then(data => (data.frames || []).forEach(reply => connection === current && current.handlers.onFrame(reply)));
+            },
+
+            close() {
+                if (connection) {
+                    connection.controller.abort();
+                    connection = null;
+                }
+            }
+        };
+    }
+};
@@ -0,0 +1,206 @@
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+/**
+ * CONSENT MODULE
+ * Cookie/consent banner with granular categories; the choice is stored
+ * and announced as "consent:change" on the EventBus and, for tags outside
+ * this file, on document
+ */
+export const Consent = {
+    dependencies: ['I18n'],
+
+    /**
+     * Consent categories; necessary ones cannot be switched off
+     */
+    categories: [
+        { id: 'necessary', required: true },
+        { id: 'analytics', required: false },
+        { id: 'marketing', required: false }
+    ],
+
+    storageKey: 'galenica:consent',
+
+    // Bump to ask everyone again when the categories change
+    version: 1,
+
+    /**
+     * Initialize consent management
+     */
+    init() {
+        const stored = Utils.readStorage(this.storageKey, null);
+        this.state = stored && stored.version === this.version ? stored : null;
+
+        this.buildBanner();
+        this.bindEvents();
+
+        if (!this.state) {
+            this.show();
+        }
+    },
+
+    /**
+     * Remove the banner
+     */
+    destroy() {
+        this.banner.remove();
+    },
+
+    /**
+     * Check whether a category has been granted
+     * @param {string} category - Category id
+     * @returns {boolean} True when granted
+     */
+    has(category) {
+        return Boolean(this.state && this.state.categories[category]);
+    },
+
+    /**
+     * Check whether the visitor has made a choice yet
+     * @returns {boolean} True once consent was given or refused
+     */
+    isDecided() {
+        return Boolean(this.state);
+    },
+
+    /**
+     * Create the banner markup and append it to the body
+     */
+    buildBanner() {
+        this.banner = document.createElement('section');
+        this.banner.className = 'consent';
+        this.banner.hidden = true;
+        this.banner.setAttribute('aria-labelledby', 'consent-title');
+        this.banner.innerHTML = `
+            <div class="container consent__content">
+                <h2 class="consent__title" id="consent-title" data-i18n="consent.title">${I18n.t('consent.title')}</h2>
+                <p class="consent__text" data-i18n="consent.text">${I18n.t('consent.text')}</p>
+                <form class="consent__preferences" hidden>
+                    ${this.categories.map(category => `
+                        <label class="consent__option">
+                            <input type="checkbox" name="${category.id}" ${category.required ? 'checked disabled' : ''}>
+                            <span class="consent__option-label">
+                                <strong data-i18n="consent.categories.${category.id}.title">${I18n.t(`consent.categories.${category.id}.title`)}</strong>
+                                <span data-i18n="consent.categories.${category.id}.text">${I18n.t(`consent.categories.${category.id}.text`)}</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </form>
+                <div class="consent__actions">
+                    <button type="button" class="btn btn--outline" data-consent-action="reject" data-i18n="consent.reject">${I18n.t('consent.reject')}</button>
+                    <button type="button" class="btn btn--outline" data-consent-action="customize" data-i18n="consent.customize">${I18n.t('consent.customize')}</button>
+                    <button type="button" class="btn btn--outline" data-consent-action="save" data-i18n="consent.save" hidden>${I18n.t('consent.save')}</button>
+                    <button type="button" class="btn btn--primary" data-consent-action="accept" data-i18n="consent.accept">${I18n.t('consent.accept')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.banner);
+        this.form = this.banner.querySelector('.consent__preferences');
+        this.customizeButton = this.banner.querySelector('[data-consent-action="customize"]');
+        this.saveButton = this.banner.querySelector('[data-consent-action="save"]');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (button) {
+                this.handleAction(button.dataset.consentAction);
+            }
+        }, { signal: this.signal });
+
+        // "Cookie preferences" links anywhere in the page
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-open]')) {
+                e.preventDefault();
+                this.show(true);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Handle a banner button
+     * @param {string} action - accept, reject, customize or save
+     */
+    handleAction(action) {
+        if (action === 'accept') {
+            this.save(this.getChoices(() => true));
+        } else if (action === 'reject') {
+            this.save(this.getChoices(() => false));
+        } else if (action === 'customize') {
+            this.showPreferences();
+        } else if (action === 'save') {
+            this.save(this.getChoices(category => this.form.elements[category.id].checked));
+        }
+    },
+
+    /**
+     * Build a choice for every category
+     * @param {Function} isGranted - Receives a category, returns a boolean
+     * @returns {Object} Granted flag by category id
+     */
+    getChoices(isGranted) {
+        return this.categories.reduce((choices, category) => {
+            choices[category.id] = category.required || isGranted(category);
+            return choices;
+        }, {});
+    },
+
+    /**
+     * Show the banner
+     * @param {boolean} withPreferences - Open straight on the category list
+     */
+    show(withPreferences = false) {
+        this.trigger = document.activeElement;
+        this.banner.hidden = false;
+
+        if (withPreferences) {
+            this.showPreferences();
+        } else {
+            this.banner.querySelector('[data-consent-action="accept"]').focus();
+        }
+    },
+
+    /**
+     * Reveal the category checkboxes with the current choice
+     */
+    showPreferences() {
+        this.categories.forEach(category => {
+            this.form.elements[category.id].checked = category.required || this.has(category.id);
+        });
+
+        this.form.hidden = false;
+        this.customizeButton.hidden = true;
+        this.saveButton.hidden = false;
+        this.form.querySelector('input:not([disabled])').focus();
+    },
+
+    /**
+     * Store a choice, hide the banner and notify listeners
+     * @param {Object} categories - Granted flag by category id
+     */
+    save(categories) {
+        this.state = {
+            version: this.version,
+            updatedAt: new Date().toISOString(),
+            categories
+        };
+        Utils.writeStorage(this.storageKey, this.state);
+
+        this.banner.hidden = true;
+        this.form.hidden = true;
+        this.customizeButton.hidden = false;
+        this.saveButton.hidden = true;
+
+        if (this.trigger && this.trigger !== document.body && typeof this.trigger.focus === 'function') {
+            this.trigger.focus();
+        }
+
+        EventBus.emit('consent:change', { categories });
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: { categories } }));
+    }
+};
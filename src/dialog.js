@@ -0,0 +1,264 @@
+/**
+ * DIALOG MANAGER
+ * Shared behaviour for modal overlays: focus trap, inert background,
+ * Escape handling, stacking, scroll lock and focus return. Modules keep
+ * showing and hiding their own markup and call Dialog.open()/close()
+ */
+export const Dialog = {
+    stack: [],
+
+    focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])',
+
+    /**
+     * Initialize the shared key and focus handling
+     */
+    init() {
+        document.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        }, { signal: this.signal });
+
+        // Focus that escapes the top dialog, e.g. where inert is unsupported, is pulled back in
+        document.addEventListener('focusin', (e) => {
+            const entry = this.top();
+            if (entry && !this.contains(entry, e.target)) {
+                this.focusFirst(entry);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Release anything still open
+     */
+    destroy() {
+        if (this.stack.length) {
+            this.close(this.stack[0].element, { returnFocus: false });
+        }
+    },
+
+    /**
+     * Activate a dialog on top of any already open
+     * @param {Element} element - Dialog root
+     * @param {Object} options - {
+     *     trigger: element focused again on close (defaults to the focused element),
+     *     containers: elements the focus may move between (defaults to [element]),
+     *     initialFocus: element to focus (defaults to the first focusable one),
+     *     onDismiss: called on Escape instead of Dialog.close()
+     * }
+     */
+    open(element, options = {}) {
+        if (this.isOpen(element)) {
+            return;
+        }
+
+        if (this.stack.length === 0) {
+            this.lockScroll();
+        }
+
+        const entry = {
+            element,
+            trigger: options.trigger || document.activeElement,
+            containers: options.containers || [element],
+            onDismiss: options.onDismiss || (() => this.close(element))
+        };
+
+        entry.released = this.release(entry.containers);
+        entry.inerted = this.makeInert(entry.containers);
+        this.stack.push(entry);
+
+        if (options.initialFocus) {
+            options.initialFocus.focus();
+        } else {
+            this.focusFirst(entry);
+        }
+    },
+
+    /**
+     * Deactivate a dialog and return focus
+     * @param {Element} element - Dialog root
+     * @param {Object} options - { returnFocus: false to leave focus alone, or the element to focus }
+     */
+    close(element, options = {}) {
+        const index = this.stack.findIndex(entry => entry.element === element);
+        if (index === -1) {
+            return;
+        }
+
+        // Closing a dialog also closes the ones stacked above it
+        const closed = this.stack.splice(index);
+        closed.reverse().forEach(entry => {
+            entry.inerted.forEach(node => { node.inert = false; });
+            entry.released.forEach(node => { node.inert = true; });
+        });
+
+        if (this.stack.length === 0) {
+            this.unlockScroll();
+        }
+
+        const target = options.returnFocus === undefined ? closed[closed.length - 1].trigger : options.returnFocus;
+        if (target && typeof target.focus === 'function' && document.contains(target)) {
+            target.focus({ preventScroll: true });
+        }
+    },
+
+    /**
+     * Check whether a dialog is active
+     * @param {Element} element - Dialog root
+     * @returns {boolean} True while open
+     */
+    isOpen(element) {
+        return this.stack.some(entry => entry.element === element);
+    },
+
+    /**
+     * Get the dialog on top of the stack
+     * @returns {Object|undefined} Stack entry
+     */
+    top() {
+        return this.stack[this.stack.length - 1];
+    },
+
+    /**
+     * Check whether a node belongs to a dialog
+     * @param {Object} entry - Stack entry
+     * @param {Node} node - Node to test
+     * @returns {boolean} True when inside one of its containers
+     */
+    contains(entry, node) {
+        return entry.containers.some(container => container.contains(node));
+    },
+
+    /**
+     * Take the containers back out of the background of the dialogs below,
+     * which made them inert along with the rest of the page
+     * @param {Array} containers - Elements about to become interactive
+     * @returns {Array} Elements this call made interactive again
+     */
+    release(containers) {
+        return this.stack
+            .reduce((nodes, entry) => nodes.concat(entry.inerted), [])
+            .filter(node => node.inert && containers.some(container => node.contains(container)))
+            .map(node => {
+                node.inert = false;
+                return node;
+            });
+    },
+
+    /**
+     * Make everything outside the containers inert
+     * @param {Array} containers - Elements that stay interactive
+     * @returns {Array} Elements this call made inert
+     */
+    makeInert(containers) {
+        const inerted = [];
+
+        const walk = (parent) => {
+            Array.from(parent.children).forEach(child => {
+                if (containers.includes(child) || child.inert || child.tagName === 'SCRIPT' || child.hasAttribute('aria-live')) {
+                    return;
+                }
+
+                if (containers.some(container => child.contains(container))) {
+                    walk(child);
+                } else {
+                    child.inert = true;
+                    inerted.push(child);
+                }
+            });
+        };
+
+        walk(document.body);
+        return inerted;
+    },
+
+    /**
+     * Get the focusable elements of a dialog, in order
+     * @param {Object} entry - Stack entry
+     * @returns {Array} Visible, enabled elements
+     */
+    getFocusable(entry) {
+        return entry.containers
+            .reduce((list, container) => list.concat(
+                container.matches(this.focusableSelector) ? [container] : [],
+                Array.from(container.querySelectorAll(this.focusableSelector))
+            ), [])
+            .filter(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+    },
+
+    /**
+     * Focus the first focusable element, or the dialog itself
+     * @param {Object} entry - Stack entry
+     */
+    focusFirst(entry) {
+        const target = this.getFocusable(entry)[0] || entry.containers[0];
+
+        if (!target.matches(this.focusableSelector) && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    },
+
+    /**
+     * Dismiss on Escape and keep Tab inside the top dialog
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const entry = this.top();
+        if (!entry) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            entry.onDismiss();
+            return;
+        }
+
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = this.getFocusable(entry);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const index = focusable.indexOf(document.activeElement);
+
+        if (e.shiftKey && index <= 0) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (index === -1 || index === focusable.length - 1)) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Stop the page scrolling behind dialogs without moving it or letting it shift sideways
+     */
+    lockScroll() {
+        const root = document.documentElement;
+
+        this.scrollTop = window.pageYOffset;
+        root.style.setProperty('--scrollbar-width', `${window.innerWidth - root.clientWidth}px`);
+        root.classList.add('scroll-locked');
+    },
+
+    /**
+     * Let the page scroll again where it was
+     */
+    unlockScroll() {
+        const root = document.documentElement;
+
+        root.classList.remove('scroll-locked');
+        root.style.removeProperty('--scrollbar-width');
+
+        // Some mobile browsers still move the page underneath
+        if (window.pageYOffset !== this.scrollTop) {
+            window.scrollTo({ top: this.scrollTop, behavior: 'instant' });
+        }
+    }
+};
@@ -0,0 +1,375 @@
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Images } from './images.js';
+import { Router } from './router.js';
+import { Utils } from './utils.js';
+
+/**
+ * DOCTOR DIRECTORY MODULE
+ * Renders the doctors grid from JSON with search, filters and sorting
+ * Filter state is kept in the URL query string so lists can be shared
+ */
+export const DoctorDirectory = {
+    dependencies: ['I18n', 'Router', 'SiteContent', 'Images'],
+
+    /**
+     * Available sort orders
+     */
+    sorters: {
+        'name': (a, b) => a.sortName.localeCompare(b.sortName, I18n.locale()),
+        'name-desc': (a, b) => b.sortName.localeCompare(a.sortName, I18n.locale()),
+        'specialization': (a, b) => a.specializations[0].localeCompare(b.specializations[0], I18n.locale())
+    },
+
+    /**
+     * Initialize doctor directory functionality
+     */
+    init() {
+        this.section = document.getElementById('doctors');
+        this.grid = this.section?.querySelector('.doctors-grid[data-source]');
+        this.template = document.getElementById('doctor-card-template');
+        this.doctors = [];
+
+        if (this.grid && this.template) {
+            this.state = this.readQuery();
+            this.buildControls();
+            this.bindEvents();
+            this.load();
+        }
+    },
+
+    /**
+     * Remove the filter controls
+     */
+    destroy() {
+        if (this.controls) {
+            this.controls.remove();
+            this.controls = null;
+        }
+    },
+
+    /**
+     * Load doctors from the grid's data source
+     * A source starting with "#" points to an inline JSON script element
+     */
+    load() {
+        const source = this.grid.dataset.source || '';
+        const request = source.startsWith('#')
+            ? Promise.resolve().then(() => JSON.parse(document.querySelector(source).textContent))
+            : fetch(source).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Doctors source error ${response.status}`);
+                }
+                return response.json();
+            });
+
+        this.grid.setAttribute('aria-busy', 'true');
+
+        return request
+            .then(data => {
+                this.setDoctors(data.doctors || data);
+            })
+            .catch(error => {
+                console.error('Doctor directory error:', error);
+                this.count.textContent = I18n.t('doctors.loadError');
+            })
+            .finally(() => {
+                this.grid.removeAttribute('aria-busy');
+            });
+    },
+
+    /**
+     * Replace the doctor list and render it
+     * @param {Array} doctors - Doctor records
+     */
+    setDoctors(doctors) {
+        this.doctors = doctors.map(doctor => Object.assign({}, doctor, {
+            specializations: doctor.specializations || [doctor.specialization],
+            // Sort by surname/first name, ignoring the "Dott." title
+            sortName: doctor.name.replace(/^Dott\.(ssa)?\s+/i, '')
+        }));
+        this.renderChips();
+        this.render();
+
+        // A shared #doctors/<id> link arrived before the list
+        if (Router.current && Router.current.name === 'doctor') {
+            Router.resolve('load');
+        }
+    },
+
+    /**
+     * Read the filter state from the URL
+     * @returns {Object} Search text, specialization and sort key
+     */
+    readQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('ordina');
+        return {
+            query: params.get('cerca') || '',
+            specialization: params.get('specializzazione') || '',
+            sort: this.sorters[sort] ? sort : 'name'
+        };
+    },
+
+    /**
+     * Mirror the filter state in the URL without adding history entries
+     */
+    writeQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            cerca: this.state.query,
+            specializzazione: this.state.specialization,
+            ordina: this.state.sort === 'name' ? '' : this.state.sort
+        };
+
+        Object.keys(values).forEach(key => {
+            if (values[key]) {
+                params.set(key, values[key]);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    },
+
+    /**
+     * Create search, filter chips and sort controls above the grid
+     */
+    buildControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'doctor-directory';
+        this.controls.innerHTML = `
+            <div class="doctor-directory__bar">
+                <div class="doctor-directory__search">
+                    <label class="doctor-directory__label" for="doctor-search" data-i18n="doctors.searchLabel">${I18n.t('doctors.searchLabel')}</label>
+                    <i class="fas fa-search doctor-directory__search-icon" aria-hidden="true"></i>
+                    <input class="doctor-directory__input" id="doctor-search" type="search"
+                        placeholder="${I18n.t('doctors.searchPlaceholder')}" data-i18n-attr="placeholder:doctors.searchPlaceholder" value="${Utils.escapeHTML(this.state.query)}">
+                </div>
+                <div class="doctor-directory__sort">
+                    <label class="doctor-directory__label" for="doctor-sort" data-i18n="doctors.sortLabel">${I18n.t('doctors.sortLabel')}</label>
+                    <select class="doctor-directory__input" id="doctor-sort">
+                        ${Object.keys(this.sorters).map(key => `
+                            <option value="${key}" ${key === this.state.sort ? 'selected' : ''} data-i18n="doctors.sort.${key}">${I18n.t(`doctors.sort.${key}`)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="doctor-directory__chips" role="group" aria-label="${I18n.t('doctors.filterLabel')}" data-i18n-attr="aria-label:doctors.filterLabel"></div>
+            <p class="doctor-directory__count" role="status" aria-live="polite"></p>
+        `;
+
+        this.grid.parentNode.insertBefore(this.controls, this.grid);
+        this.searchInput = this.controls.querySelector('#doctor-search');
+        this.sortSelect = this.controls.querySelector('#doctor-sort');
+        this.chips = this.controls.querySelector('.doctor-directory__chips');
+        this.count = this.controls.querySelector('.doctor-directory__count');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.searchInput.addEventListener('input', Utils.debounce(() => {
+            this.update({ query: this.searchInput.value.trim() });
+        }, 200), { signal: this.signal });
+
+        this.sortSelect.addEventListener('change', () => {
+            this.update({ sort: this.sortSelect.value });
+        }, { signal: this.signal });
+
+        this.chips.addEventListener('click', (e) => {
+            const chip = e.target.closest('.doctor-directory__chip');
+            if (chip) {
+                this.update({ specialization: chip.dataset.specialization });
+            }
+        }, { signal: this.signal });
+
+        this.grid.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.doctor-card__toggle');
+            if (toggle) {
+                this.toggleDetails(toggle);
+                // An open card can be shared as #doctors/<id>
+                const card = toggle.closest('.doctor-card');
+                Router.replace(toggle.getAttribute('aria-expanded') === 'true' ? `#doctors/${encodeURIComponent(card.dataset.doctorId)}` : '#doctors');
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('route:change', ({ route, source }) => {
+            // Keep the list in sync when navigating between shared links
+            if (source === 'pop') {
+                this.state = this.readQuery();
+                this.searchInput.value = this.state.query;
+                this.sortSelect.value = this.state.sort;
+                this.renderChips();
+                this.render();
+            }
+
+            if (route.name === 'doctor') {
+                this.showDoctor(route.params.id);
+            }
+        }, { signal: this.signal });
+
+        // Re-render the generated text in the new language
+        EventBus.on('i18n:change', () => {
+            this.renderChips();
+            this.render();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Apply a state change, update the URL and re-render
+     * @param {Object} changes - Partial filter state
+     */
+    update(changes) {
+        this.state = Object.assign({}, this.state, changes);
+        this.writeQuery();
+        this.renderChips();
+        this.render();
+    },
+
+    /**
+     * Get the distinct specializations across all doctors
+     * @returns {Array} Sorted specialization names
+     */
+    getSpecializations() {
+        const all = this.doctors.reduce((list, doctor) => list.concat(doctor.specializations), []);
+        return Array.from(new Set(all)).sort((a, b) => a.localeCompare(b, I18n.locale()));
+    },
+
+    /**
+     * Render one filter chip per specialization plus "All"
+     */
+    renderChips() {
+        const chips = [{ value: '', label: I18n.t('doctors.all') }].concat(
+            this.getSpecializations().map(name => ({ value: name, label: name }))
+        );
+
+        this.chips.innerHTML = chips.map(chip => `
+            <button type="button" class="doctor-directory__chip" data-specialization="${Utils.escapeHTML(chip.value)}"
+                aria-pressed="${chip.value === this.state.specialization}">${Utils.escapeHTML(chip.label)}</button>
+        `).join('');
+    },
+
+    /**
+     * Get the doctors matching the current filters, sorted
+     * @returns {Array} Visible doctors
+     */
+    getVisibleDoctors() {
+        const terms = Utils.normalizeText(this.state.query).split(/\s+/).filter(Boolean);
+
+        return this.doctors
+            .filter(doctor => !this.state.specialization || doctor.specializations.includes(this.state.specialization))
+            .filter(doctor => {
+                const haystack = Utils.normalizeText([doctor.name, doctor.university].concat(doctor.specializations).join(' '));
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort(this.sorters[this.state.sort]);
+    },
+
+    /**
+     * Render the filtered doctor cards
+     */
+    render() {
+        const doctors = this.getVisibleDoctors();
+        const fragment = document.createDocumentFragment();
+
+        doctors.forEach(doctor => fragment.appendChild(this.renderCard(doctor)));
+
+        this.grid.innerHTML = '';
+        this.grid.appendChild(fragment);
+
+        if (!doctors.length) {
+            this.grid.innerHTML = `
+                <p class="doctor-directory__empty">${I18n.t('doctors.empty')}</p>
+            `;
+        }
+
+        this.count.textContent = I18n.t('doctors.count', { count: doctors.length });
+    },
+
+    /**
+     * Build a doctor card from the template
+     * An optional "photo" (URL or { src, srcset, placeholder }) replaces the initials
+     * @param {Object} doctor - Doctor record
+     * @returns {Element} Card element
+     */
+    renderCard(doctor) {
+        const card = this.template.content.firstElementChild.cloneNode(true);
+        const avatar = card.querySelector('.doctor-card__avatar');
+        const details = card.querySelector('.doctor-card__details');
+        const toggle = card.querySelector('.doctor-card__toggle');
+        const detailsId = `doctor-details-${doctor.id}`;
+
+        card.dataset.doctorId = doctor.id;
+        if (doctor.photo) {
+            avatar.innerHTML = Images.markup(doctor.photo, { className: 'doctor-card__photo', sizes: '120px', fallbackName: doctor.name });
+        } else {
+            avatar.textContent = doctor.initials || Images.getInitials(doctor.name);
+        }
+        card.querySelector('.doctor-card__name').textContent = doctor.name;
+        card.querySelector('.doctor-card__specialization').textContent = doctor.specializations.join(' & ');
+
+        card.querySelector('.doctor-card__stats').innerHTML = (doctor.stats || []).map(stat => `
+            <div class="doctor-stat">
+                <i class="fas ${Utils.escapeHTML(stat.icon)} doctor-stat__icon--${Utils.escapeHTML(stat.tone || 'primary')}" aria-hidden="true"></i>
+                <span>${Utils.escapeHTML(stat.text)}</span>
+            </div>
+        `).join('');
+
+        details.id = detailsId;
+        details.innerHTML = `
+            ${doctor.bio ? `<p class="doctor-card__bio">${Utils.escapeHTML(doctor.bio)}</p>` : ''}
+            ${doctor.visitTypes ? `
+                <h4 class="doctor-card__details-title">${I18n.t('doctors.visitTypes')}</h4>
+                <ul class="doctor-card__visit-types">
+                    ${doctor.visitTypes.map(type => `<li>${Utils.escapeHTML(type)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        toggle.setAttribute('aria-controls', detailsId);
+
+        card.querySelector('.doctor-card__btn').setAttribute('aria-label', I18n.t('doctors.bookWith', { name: doctor.name }));
+
+        I18n.apply(card);
+        return card;
+    },
+
+    /**
+     * Open a doctor's card for the #doctors/<id> route, clearing filters that hide it
+     * @param {string} id - Doctor id
+     */
+    showDoctor(id) {
+        if (!this.doctors.some(doctor => doctor.id === id)) {
+            return;
+        }
+
+        if (!this.getVisibleDoctors().some(doctor => doctor.id === id)) {
+            this.searchInput.value = '';
+            this.update({ query: '', specialization: '' });
+        }
+
+        const card = Array.from(this.grid.querySelectorAll('.doctor-card')).find(item => item.dataset.doctorId === id);
+        const toggle = card && card.querySelector('.doctor-card__toggle');
+        if (toggle && toggle.getAttribute('aria-expanded') !== 'true') {
+            this.toggleDetails(toggle);
+        }
+    },
+
+    /**
+     * Expand or collapse a doctor's detail panel
+     * @param {Element} toggle - Details toggle button
+     */
+    toggleDetails(toggle) {
+        const details = document.getElementById(toggle.getAttribute('aria-controls'));
+        const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+
+        toggle.setAttribute('aria-expanded', String(!isExpanded));
+        const label = toggle.querySelector('span');
+        label.dataset.i18n = isExpanded ? 'doctors.showDetails' : 'doctors.hideDetails';
+        label.textContent = I18n.t(label.dataset.i18n);
+        details.hidden = isExpanded;
+    }
+};
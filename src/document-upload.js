@@ -0,0 +1,1023 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+/**
+ * DOCUMENT UPLOAD MODULE
+ * Lets patients send their medical documents from the "Invia la tua documentazione"
+ * step. Files are recognised by their content, previewed, downscaled when they are
+ * large photos and tagged with a category, then sent in chunks through a pluggable
+ * adapter. An interrupted upload resumes from the last chunk the server confirmed,
+ * also after a reload once the same file is chosen again
+ * <body data-document-endpoint="..."> sends them to a server
+ */
+export const DocumentUpload = {
+    dependencies: ['I18n', 'SiteContent', 'Analytics'],
+
+    maxFiles: 10,
+
+    maxFileSize: 20 * 1024 * 1024,
+
+    chunkSize: 512 * 1024,
+
+    // Photos with a longer side are scaled down to it before sending
+    maxDimension: 2400,
+
+    imageQuality: 0.85,
+
+    thumbnailWidth: 96,
+
+    maxAttempts: 5,
+
+    retryDelay: 1000,
+
+    // Upload sessions to resume after a reload; the files themselves are never stored
+    storageKey: 'galenica:document-uploads',
+
+    // Servers drop incomplete uploads after a day, so the sessions are forgotten too
+    sessionLifetime: 24 * 60 * 60 * 1000,
+
+    categories: ['report', 'lab', 'imaging', 'prescription', 'other'],
+
+    // Recognised by their first bytes, not by the file name.
+    // DICOM viewers export images as JPEG or PNG
+    formats: [
+        { type: 'application/pdf', icon: 'fa-file-pdf', signature: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+        { type: 'image/jpeg', icon: 'fa-file-image', signature: [0xFF, 0xD8, 0xFF] },
+        { type: 'image/png', icon: 'fa-file-image', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }
+    ],
+
+    // Loaded on demand to draw the first page of PDFs
+    pdfjs: {
+        module: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.0.379/pdf.min.mjs',
+        worker: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.0.379/pdf.worker.min.mjs'
+    },
+
+    /**
+     * Initialize the upload form
+     */
+    init() {
+        const endpoint = document.body.dataset.documentEndpoint;
+
+        this.container = document.querySelector('#process [data-document-upload]');
+        this.adapter = this.adapter || (endpoint ? HttpDocumentAdapter.create(endpoint) : MockDocumentAdapter);
+        this.items = [];
+        this.nextId = 1;
+        this.isSending = false;
+
+        if (this.container) {
+            this.buildForm();
+            this.bindEvents();
+            this.showInterrupted();
+        }
+    },
+
+    /**
+     * Stop the uploads and remove the form
+     * Sessions stay stored, so the uploads can be resumed later
+     */
+    destroy() {
+        if (!this.form) {
+            return;
+        }
+
+        this.items.forEach(item => this.release(item));
+        this.items = [];
+        this.form.remove();
+        this.form = null;
+    },
+
+    /**
+     * Replace the upload backend
+     * @param {Object} adapter - Object implementing create(), getOffset() and send()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the drop zone, the file list and the consent
+     */
+    buildForm() {
+        const size = this.maxFileSize / (1024 * 1024);
+
+        this.form = document.createElement('form');
+        this.form.className = 'document-upload__form';
+        this.form.noValidate = true;
+        this.form.innerHTML = `
+            <h3 class="document-upload__title" data-i18n="documents.title">${I18n.t('documents.title')}</h3>
+            <p class="document-upload__intro" data-i18n="documents.intro">${I18n.t('documents.intro')}</p>
+            <div class="document-upload__dropzone">
+                <i class="fas fa-cloud-upload-alt document-upload__dropzone-icon" aria-hidden="true"></i>
+                <label class="document-upload__drop-label" for="document-upload-input" data-i18n="documents.drop">${I18n.t('documents.drop')}</label>
+                <input class="document-upload__input" id="document-upload-input" type="file" multiple
+                    accept=".pdf,.jpg,.jpeg,.png,application/pdf,image/jpeg,image/png" aria-describedby="document-upload-hint">
+                <p class="document-upload__hint" id="document-upload-hint" data-i18n="documents.hint" data-i18n-params='{"size": ${size}, "max": ${this.maxFiles}}'>${I18n.t('documents.hint', { size, max: this.maxFiles })}</p>
+            </div>
+            <p class="document-upload__interrupted" hidden></p>
+            <ul class="document-upload__list"></ul>
+            <div class="document-upload__field">
+                <label class="document-upload__checkbox">
+                    <input type="checkbox" name="consent" aria-describedby="document-consent-error">
+                    <span data-i18n="documents.consent">${I18n.t('documents.consent')}</span>
+                </label>
+                <p class="document-upload__error" id="document-consent-error" hidden></p>
+            </div>
+            <p class="document-upload__status" role="status" aria-live="polite"></p>
+            <button type="submit" class="btn btn--primary document-upload__submit" data-i18n="documents.submit">${I18n.t('documents.submit')}</button>
+        `;
+
+        this.container.appendChild(this.form);
+        this.dropzone = this.form.querySelector('.document-upload__dropzone');
+        this.input = this.form.querySelector('.document-upload__input');
+        this.list = this.form.querySelector('.document-upload__list');
+        this.status = this.form.querySelector('.document-upload__status');
+        this.submitButton = this.form.querySelector('.document-upload__submit');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.input.addEventListener('change', () => {
+            this.addFiles(this.input.files);
+            this.input.value = '';
+        }, { signal: this.signal });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.dropzone.classList.add('document-upload__dropzone--active');
+            }, { signal: this.signal });
+        });
+
+        this.dropzone.addEventListener('dragleave', (e) => {
+            if (!this.dropzone.contains(e.relatedTarget)) {
+                this.dropzone.classList.remove('document-upload__dropzone--active');
+            }
+        }, { signal: this.signal });
+
+        this.dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropzone.classList.remove('document-upload__dropzone--active');
+            this.addFiles(e.dataTransfer.files);
+        }, { signal: this.signal });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                const item = this.findItem(button);
+                this[button.dataset.action](item);
+            }
+        }, { signal: this.signal });
+
+        this.list.addEventListener('change', (e) => {
+            if (e.target.matches('.document-upload__category')) {
+                this.findItem(e.target).category = e.target.value;
+                this.clearError(e.target);
+            }
+        }, { signal: this.signal });
+
+        this.form.elements.consent.addEventListener('change', (e) => this.clearError(e.target), { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Uploads stopped by a lost connection carry on by themselves
+        window.addEventListener('online', () => {
+            this.items.filter(item => item.status === 'offline').forEach(item => this.resume(item));
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            this.items.forEach(item => this.renderState(item));
+            this.showInterrupted();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Mention uploads interrupted during an earlier visit
+     */
+    showInterrupted() {
+        const names = Object.values(this.getSessions())
+            .map(session => session.name)
+            .filter(name => !this.items.some(item => item.name === name));
+        const notice = this.form.querySelector('.document-upload__interrupted');
+
+        notice.hidden = !names.length;
+        notice.textContent = names.length ? I18n.t('documents.interrupted', { count: names.length, names: names.join(', ') }) : '';
+    },
+
+    /**
+     * Add chosen or dropped files to the list and check them
+     * @param {FileList} files - Files
+     */
+    addFiles(files) {
+        let skipped = 0;
+
+        Array.from(files).forEach(file => {
+            const fingerprint = this.getFingerprint(file);
+
+            if (this.items.some(item => item.fingerprint === fingerprint)) {
+                return;
+            }
+            if (this.items.length >= this.maxFiles) {
+                skipped++;
+                return;
+            }
+
+            const item = { id: this.nextId++, file, fingerprint, name: file.name, category: '', status: 'checking', offset: 0 };
+            this.items.push(item);
+            this.renderItem(item);
+            this.check(item);
+        });
+
+        this.setStatus(skipped ? I18n.t('documents.errors.tooMany', { max: this.maxFiles }) : '');
+        this.showInterrupted();
+    },
+
+    /**
+     * Identify a file across visits without reading it
+     * @param {File} file - Chosen file
+     * @returns {string} Fingerprint
+     */
+    getFingerprint(file) {
+        return [file.name, file.size, file.lastModified].join('|');
+    },
+
+    /**
+     * Find the item of a row
+     * @param {Element} element - Element inside the row
+     * @returns {Object} Item
+     */
+    findItem(element) {
+        const id = Number(element.closest('.document-upload__item').dataset.uploadId);
+        return this.items.find(item => item.id === id);
+    },
+
+    /**
+     * Recognise the file type, prepare what is sent and show a preview
+     * @param {Object} item - Item in the checking state
+     */
+    async check(item) {
+        try {
+            const header = new Uint8Array(await item.file.slice(0, 132).arrayBuffer());
+            const format = this.formats.find(candidate => candidate.signature.every((byte, index) => header[index] === byte));
+
+            if (!item.element) {
+                return;
+            }
+            if (!format) {
+                // Raw DICOM files start with "DICM" after a 128-byte preamble
+                const isDicom = String.fromCharCode(...header.subarray(128, 132)) === 'DICM';
+                this.reject(item, isDicom ? 'dicom' : 'type');
+                return;
+            }
+
+            item.type = format.type;
+            item.element.querySelector('.document-upload__thumb i').className = `fas ${format.icon}`;
+            item.blob = format.type === 'application/pdf' ? item.file : await this.downscale(item.file, format.type);
+
+            // Removed while being checked
+            if (!item.element) {
+                return;
+            }
+            if (item.blob.size > this.maxFileSize) {
+                this.reject(item, 'size');
+                return;
+            }
+
+            this.renderPreview(item);
+            this.restoreSession(item);
+            item.status = 'ready';
+            this.renderState(item);
+        } catch (error) {
+            if (item.element) {
+                console.error('Document check error:', error);
+                this.reject(item, 'read');
+            }
+        }
+    },
+
+    /**
+     * Mark a file that cannot be sent
+     * @param {Object} item - Item
+     * @param {string} reason - Key under documents.errors
+     */
+    reject(item, reason) {
+        item.status = 'invalid';
+        item.error = reason;
+        this.renderState(item);
+    },
+
+    /**
+     * Scale a photo down to maxDimension
+     * Re-encoding also drops the metadata of the photo, such as its location
+     * @param {File} file - JPEG or PNG file
+     * @param {string} type - MIME type
+     * @returns {Promise<Blob>} The smaller image, or the file when it is small enough
+     */
+    async downscale(file, type) {
+        if (!('createImageBitmap' in window)) {
+            return file;
+        }
+
+        const bitmap = await createImageBitmap(file);
+        const scale = this.maxDimension / Math.max(bitmap.width, bitmap.height);
+
+        if (scale >= 1) {
+            bitmap.close();
+            return file;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, this.imageQuality));
+
+        // Keep the original when re-encoding does not help, as with some PNG scans
+        return blob && blob.size < file.size ? blob : file;
+    },
+
+    /**
+     * Show a thumbnail of an image or the first page of a PDF
+     * @param {Object} item - Checked item
+     */
+    renderPreview(item) {
+        const thumb = item.element.querySelector('.document-upload__thumb');
+
+        if (item.type !== 'application/pdf') {
+            item.previewUrl = URL.createObjectURL(item.blob);
+            thumb.innerHTML = `<img class="document-upload__preview" src="${item.previewUrl}" alt="">`;
+            return;
+        }
+
+        // Without pdf.js, e.g. offline, the PDF icon stays
+        this.renderPdfPage(item.file)
+            .then(canvas => {
+                if (item.element) {
+                    thumb.replaceChildren(canvas);
+                }
+            })
+            .catch(error => console.warn('PDF preview unavailable:', error));
+    },
+
+    /**
+     * Load pdf.js once
+     * @returns {Promise<Object>} The pdf.js library
+     */
+    loadPdfjs() {
+        if (!this.pdfjsLoading) {
+            this.pdfjsLoading = import(this.pdfjs.module).then(pdfjsLib => {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = this.pdfjs.worker;
+                return pdfjsLib;
+            });
+            // Try again with the next PDF
+            this.pdfjsLoading.catch(() => {
+                this.pdfjsLoading = null;
+            });
+        }
+        return this.pdfjsLoading;
+    },
+
+    /**
+     * Draw the first page of a PDF
+     * @param {File} file - PDF file
+     * @returns {Promise<HTMLCanvasElement>} Page at thumbnail size
+     */
+    async renderPdfPage(file) {
+        const pdfjsLib = await this.loadPdfjs();
+        const data = new Uint8Array(await file.arrayBuffer());
+        // Fonts are never compiled to code, as the file comes from outside
+        const pdf = await pdfjsLib.getDocument({ data, isEvalSupported: false }).promise;
+
+        try {
+            const page = await pdf.getPage(1);
+            const scale = this.thumbnailWidth * (window.devicePixelRatio || 1) / page.getViewport({ scale: 1 }).width;
+            const viewport = page.getViewport({ scale });
+            const canvas = document.createElement('canvas');
+
+            canvas.className = 'document-upload__preview';
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            return canvas;
+        } finally {
+            pdf.destroy();
+        }
+    },
+
+    /**
+     * Add a row for a file
+     * @param {Object} item - Item
+     */
+    renderItem(item) {
+        const id = `document-${item.id}`;
+        const element = document.createElement('li');
+
+        element.className = 'document-upload__item';
+        element.dataset.uploadId = item.id;
+        element.innerHTML = `
+            <div class="document-upload__thumb">
+                <i class="fas fa-file" aria-hidden="true"></i>
+            </div>
+            <div class="document-upload__details">
+                <p class="document-upload__name" id="${id}-name">${Utils.escapeHTML(item.name)}</p>
+                <p class="document-upload__meta"></p>
+                <div class="document-upload__category-field">
+                    <label class="document-upload__label" for="${id}-category" data-i18n="documents.category">${I18n.t('documents.category')}</label>
+                    <select class="document-upload__category" id="${id}-category" aria-describedby="${id}-category-error">
+                        <option value="" data-i18n="documents.chooseCategory">${I18n.t('documents.chooseCategory')}</option>
+                        ${this.categories.map(category => `
+                            <option value="${category}" data-i18n="documents.categories.${category}">${I18n.t(`documents.categories.${category}`)}</option>
+                        `).join('')}
+                    </select>
+                    <p class="document-upload__error" id="${id}-category-error" hidden></p>
+                </div>
+                <progress class="document-upload__progress" max="100" value="0" aria-labelledby="${id}-name" hidden></progress>
+                <p class="document-upload__state"></p>
+            </div>
+            <div class="document-upload__actions">
+                <button type="button" class="document-upload__action" data-action="pause" aria-describedby="${id}-name"
+                    aria-label="${I18n.t('documents.actions.pause')}" data-i18n-attr="aria-label:documents.actions.pause" hidden>
+                    <i class="fas fa-pause" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="document-upload__action" data-action="resume" aria-describedby="${id}-name"
+                    aria-label="${I18n.t('documents.actions.resume')}" data-i18n-attr="aria-label:documents.actions.resume" hidden>
+                    <i class="fas fa-play" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="document-upload__action" data-action="remove" aria-describedby="${id}-name"
+                    aria-label="${I18n.t('documents.actions.remove')}" data-i18n-attr="aria-label:documents.actions.remove">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+        `;
+
+        item.element = element;
+        this.list.appendChild(element);
+        this.renderState(item);
+    },
+
+    /**
+     * Update a row for the item's status and progress
+     * @param {Object} item - Item
+     */
+    renderState(item) {
+        const element = item.element;
+        const percent = item.blob && item.blob.size ? Math.floor(item.offset / item.blob.size * 100) : 0;
+        const isActive = item.status === 'uploading' || item.status === 'queued';
+        const progress = element.querySelector('.document-upload__progress');
+        const select = element.querySelector('.document-upload__category');
+        let key = `documents.states.${item.status}`;
+
+        if (item.status === 'invalid') {
+            key = `documents.errors.${item.error}`;
+        } else if (item.status === 'ready' && item.session) {
+            key = 'documents.states.resumable';
+        }
+
+        element.dataset.state = item.status;
+        element.querySelector('.document-upload__state').textContent = I18n.t(key, { percent, size: this.maxFileSize / (1024 * 1024) });
+        element.querySelector('.document-upload__meta').textContent = item.blob && item.blob.size < item.file.size
+            ? I18n.t('documents.downscaled', { from: this.formatSize(item.file.size), to: this.formatSize(item.blob.size) })
+            : this.formatSize(item.file.size);
+
+        progress.hidden = ['checking', 'invalid', 'ready'].includes(item.status);
+        progress.value = percent;
+
+        select.value = item.category;
+        select.disabled = item.status !== 'ready' || Boolean(item.session);
+        element.querySelector('.document-upload__category-field').hidden = item.status === 'invalid' || item.status === 'checking';
+
+        element.querySelector('[data-action="pause"]').hidden = !isActive;
+        element.querySelector('[data-action="resume"]').hidden = !['paused', 'failed', 'offline'].includes(item.status);
+        element.querySelector('[data-action="remove"]').hidden = isActive || item.status === 'done';
+    },
+
+    /**
+     * Format a file size for the current language
+     * @param {number} bytes - Size in bytes
+     * @returns {string} E.g. "2,4 MB"
+     */
+    formatSize(bytes) {
+        const [unit, value] = bytes >= 1024 * 1024
+            ? ['megabyte', bytes / (1024 * 1024)]
+            : ['kilobyte', Math.max(1, bytes / 1024)];
+        return new Intl.NumberFormat(I18n.locale(), { style: 'unit', unit, maximumFractionDigits: 1 }).format(value);
+    },
+
+    /**
+     * Validate the form and queue the files ready to send
+     */
+    handleSubmit() {
+        const consent = this.form.elements.consent;
+        const pending = this.items.filter(item => item.status === 'ready');
+        const invalid = pending.filter(item => !item.category).map(item => item.element.querySelector('.document-upload__category'));
+
+        this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.clearError(field));
+
+        if (!pending.length) {
+            this.setStatus(I18n.t(this.items.some(item => item.status === 'checking') ? 'documents.checking' : 'documents.errors.empty'));
+            return;
+        }
+
+        invalid.forEach(select => this.showError(select, I18n.t('documents.errors.category')));
+        if (!consent.checked) {
+            this.showError(consent, I18n.t('documents.errors.consent'));
+            invalid.push(consent);
+        }
+
+        if (invalid.length) {
+            invalid[0].focus();
+            this.setStatus(I18n.t('documents.errors.summary', { count: invalid.length }));
+            return;
+        }
+
+        pending.forEach(item => {
+            item.status = 'queued';
+            this.renderState(item);
+        });
+        this.processQueue();
+    },
+
+    /**
+     * Send the queued files one at a time
+     */
+    async processQueue() {
+        const signal = this.signal;
+        let item;
+
+        if (this.isSending) {
+            return;
+        }
+
+        this.isSending = true;
+        this.submitButton.disabled = true;
+        this.setStatus(I18n.t('documents.sending'));
+
+        while (!signal.aborted && (item = this.items.find(candidate => candidate.status === 'queued'))) {
+            await this.upload(item);
+        }
+
+        if (signal.aborted) {
+            return;
+        }
+
+        this.isSending = false;
+        this.submitButton.disabled = false;
+        this.reportProgress();
+    },
+
+    /**
+     * Send a file chunk by chunk
+     * @param {Object} item - Queued item
+     */
+    async upload(item) {
+        const signal = this.signal;
+        const controller = new AbortController();
+
+        item.controller = controller;
+        item.status = 'uploading';
+        this.renderState(item);
+
+        try {
+            const session = await this.openSession(item, controller.signal);
+
+            item.offset = session.offset;
+            while (item.offset < item.blob.size) {
+                item.offset = await this.sendChunk(item, session.id, item.offset, controller.signal);
+                this.renderState(item);
+            }
+
+            this.forgetSession(item);
+            item.status = 'done';
+            this.renderState(item);
+            // The outcome only: the category would tell what the patient is treated for
+            Analytics.track('document_upload', { status: item.status });
+        } catch (error) {
+            // Paused, removed or the module stopped
+            if (signal.aborted || controller.signal.aborted) {
+                return;
+            }
+
+            if (this.isNetworkError(error)) {
+                item.status = 'offline';
+            } else {
+                console.error('Document upload error:', error);
+                item.status = 'failed';
+                Analytics.track('document_upload', { status: item.status });
+            }
+            this.renderState(item);
+        } finally {
+            item.controller = null;
+        }
+    },
+
+    /**
+     * Resume the stored upload of a file or start a new one
+     * @param {Object} item - Item being sent
+     * @param {AbortSignal} signal - Aborted when the upload is paused
+     * @returns {Promise<Object>} { id, offset }
+     */
+    async openSession(item, signal) {
+        if (item.session) {
+            try {
+                return { id: item.session.id, offset: await this.adapter.getOffset(item.session.id, { signal }) };
+            } catch (error) {
+                if (signal.aborted || this.isNetworkError(error)) {
+                    throw error;
+                }
+                // The server no longer knows the upload: start again
+                this.forgetSession(item);
+            }
+        }
+
+        const session = await this.adapter.create({
+            name: item.name,
+            type: item.type,
+            size: item.blob.size,
+            category: item.category,
+            language: I18n.language
+        }, { signal });
+        const sessions = this.getSessions();
+
+        item.session = { id: session.id, name: item.name, size: item.blob.size, category: item.category, createdAt: Date.now() };
+        sessions[item.fingerprint] = item.session;
+        Utils.writeStorage(this.storageKey, sessions);
+        return session;
+    },
+
+    /**
+     * Send the chunk starting at an offset, retrying connection failures
+     * @param {Object} item - Item being sent
+     * @param {string} id - Upload id
+     * @param {number} offset - First byte of the chunk
+     * @param {AbortSignal} signal - Aborted when the upload is paused
+     * @param {number} attempt - Current attempt number
+     * @returns {Promise<number>} Offset confirmed by the server
+     */
+    async sendChunk(item, id, offset, signal, attempt = 1) {
+        const chunk = item.blob.slice(offset, offset + this.chunkSize);
+
+        try {
+            return await this.adapter.send(id, offset, chunk, { signal });
+        } catch (error) {
+            if (signal.aborted || !this.isNetworkError(error) || attempt >= this.maxAttempts) {
+                throw error;
+            }
+
+            await this.wait(this.retryDelay * Math.pow(2, attempt - 1), signal);
+
+            // The chunk may have arrived before the connection dropped
+            const confirmed = await this.adapter.getOffset(id, { signal }).catch(() => offset);
+            return confirmed !== offset ? confirmed : this.sendChunk(item, id, offset, signal, attempt + 1);
+        }
+    },
+
+    /**
+     * Wait before a retry
+     * @param {number} delay - Milliseconds
+     * @param {AbortSignal} signal - Cancels the wait
+     * @returns {Promise} Resolves after the delay
+     */
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delay);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
+    },
+
+    /**
+     * Tell connection failures apart from rejected uploads
+     * @param {Error} error - Upload error
+     * @returns {boolean} Whether the upload can resume later
+     */
+    isNetworkError(error) {
+        return error instanceof TypeError || error.name === 'NetworkError';
+    },
+
+    /**
+     * Read the stored sessions, dropping expired ones
+     * @returns {Object} Sessions by file fingerprint
+     */
+    getSessions() {
+        const sessions = Utils.readStorage(this.storageKey, {});
+
+        Object.keys(sessions).forEach(fingerprint => {
+            if (Date.now() - sessions[fingerprint].createdAt > this.sessionLifetime) {
+                delete sessions[fingerprint];
+            }
+        });
+        return sessions;
+    },
+
+    /**
+     * Pick up the stored session of a file chosen again
+     * @param {Object} item - Checked item
+     */
+    restoreSession(item) {
+        const session = this.getSessions()[item.fingerprint];
+
+        // A photo downscaled differently is a different upload
+        if (!session || session.size !== item.blob.size) {
+            return;
+        }
+
+        item.session = session;
+        item.category = session.category;
+        this.adapter.getOffset(session.id)
+            .then(offset => {
+                item.offset = offset;
+                if (item.element && item.status === 'ready') {
+                    this.renderState(item);
+                }
+            })
+            .catch(() => {});
+    },
+
+    /**
+     * Drop the stored session of an item
+     * @param {Object} item - Item
+     */
+    forgetSession(item) {
+        const sessions = this.getSessions();
+
+        delete sessions[item.fingerprint];
+        Utils.writeStorage(this.storageKey, sessions);
+        item.session = null;
+    },
+
+    /**
+     * Pause an upload; the chunk being sent is cancelled
+     * @param {Object} item - Queued or uploading item
+     */
+    pause(item) {
+        item.status = 'paused';
+        if (item.controller) {
+            item.controller.abort();
+        }
+        this.renderState(item);
+        this.reportProgress();
+    },
+
+    /**
+     * Queue a paused, failed or offline upload again
+     * @param {Object} item - Item
+     */
+    resume(item) {
+        item.status = 'queued';
+        this.renderState(item);
+        this.processQueue();
+    },
+
+    /**
+     * Remove a file from the list, abandoning its upload
+     * @param {Object} item - Item
+     */
+    remove(item) {
+        const index = this.items.indexOf(item);
+        const neighbour = this.items[index + 1] || this.items[index - 1];
+        const next = neighbour && neighbour.element.querySelector('.document-upload__action:not([hidden])');
+
+        if (item.session) {
+            this.forgetSession(item);
+        }
+        this.release(item);
+        this.items.splice(index, 1);
+
+        // Keep the focus in the list
+        (next || this.input).focus();
+        this.showInterrupted();
+    },
+
+    /**
+     * Stop an item's upload and free its row and preview
+     * @param {Object} item - Item
+     */
+    release(item) {
+        if (item.controller) {
+            item.controller.abort();
+        }
+        if (item.previewUrl) {
+            URL.revokeObjectURL(item.previewUrl);
+        }
+        item.element.remove();
+        item.element = null;
+    },
+
+    /**
+     * Announce how the uploads ended
+     */
+    reportProgress() {
+        const count = status => this.items.filter(item => item.status === status).length;
+        const sent = count('done');
+        const waiting = count('paused') + count('failed');
+
+        if (this.isSending) {
+            return;
+        }
+        if (count('offline')) {
+            this.setStatus(I18n.t('documents.states.offline'));
+        } else if (waiting) {
+            this.setStatus(I18n.t('documents.incomplete', { count: waiting }));
+        } else if (sent) {
+            this.setStatus(I18n.t('documents.sent', { count: sent }));
+        }
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {HTMLElement} field - Category select or consent checkbox
+     * @param {string} message - Error message
+     */
+    showError(field, message) {
+        const error = document.getElementById(field.getAttribute('aria-describedby'));
+        field.setAttribute('aria-invalid', 'true');
+        error.textContent = message;
+        error.hidden = false;
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {HTMLElement} field - Category select or consent checkbox
+     */
+    clearError(field) {
+        const error = document.getElementById(field.getAttribute('aria-describedby'));
+        field.removeAttribute('aria-invalid');
+        error.textContent = '';
+        error.hidden = true;
+    },
+
+    /**
+     * Announce a form-level message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * MOCK DOCUMENT ADAPTER
+ * Local stand-in for the document upload server. It keeps the upload sessions,
+ * not the files, in localStorage so uploads can be resumed after a reload
+ */
+export const MockDocumentAdapter = {
+    storageKey: 'galenica:document-server',
+    latency: 150,
+
+    /**
+     * Start an upload
+     * @param {Object} metadata - { name, type, size, category, language }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} { id, offset }
+     */
+    create(metadata, options = {}) {
+        return this.respond(() => {
+            const uploads = Utils.readStorage(this.storageKey, {});
+            const id = `DOC-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+
+            uploads[id] = Object.assign({ offset: 0, createdAt: new Date().toISOString() }, metadata);
+            Utils.writeStorage(this.storageKey, uploads);
+            return { id, offset: 0 };
+        }, options.signal);
+    },
+
+    /**
+     * Get how much of an upload was received
+     * @param {string} id - Upload id
+     * @param {Object} options - { signal }
+     * @returns {Promise<number>} Confirmed offset
+     */
+    getOffset(id, options = {}) {
+        return this.respond(() => this.find(id).offset, options.signal);
+    },
+
+    /**
+     * Append a chunk to an upload
+     * @param {string} id - Upload id
+     * @param {number} offset - First byte of the chunk
+     * @param {Blob} chunk - Chunk
+     * @param {Object} options - { signal }
+     * @returns {Promise<number>} Confirmed offset
+     */
+    send(id, offset, chunk, options = {}) {
+        return this.respond(() => {
+            const uploads = Utils.readStorage(this.storageKey, {});
+            const upload = this.find(id, uploads);
+
+            if (offset !== upload.offset) {
+                throw new Error(`Upload ${id} is at ${upload.offset}, not ${offset}`);
+            }
+
+            upload.offset = Math.min(offset + chunk.size, upload.size);
+            Utils.writeStorage(this.storageKey, uploads);
+            return upload.offset;
+        }, options.signal);
+    },
+
+    /**
+     * Get a stored upload
+     * @param {string} id - Upload id
+     * @param {Object} uploads - Stored uploads
+     * @returns {Object} Upload
+     */
+    find(id, uploads = Utils.readStorage(this.storageKey, {})) {
+        if (!uploads[id]) {
+            throw new Error(`Unknown upload ${id}`);
+        }
+        return uploads[id];
+    },
+
+    /**
+     * Answer after the simulated latency, unless cancelled
+     * @param {Function} handler - Produces the response, or throws
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise} Response
+     */
+    respond(handler, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                try {
+                    resolve(handler());
+                } catch (error) {
+                    reject(error);
+                }
+            }, this.latency);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+};
+
+/**
+ * HTTP DOCUMENT ADAPTER
+ * Sends documents to the upload server in chunks:
+ * POST {endpoint} with the metadata as JSON answers { id },
+ * PATCH {endpoint}/{id} appends the body at the Upload-Offset header and
+ * HEAD {endpoint}/{id} answers the received size in Upload-Offset
+ */
+export const HttpDocumentAdapter = {
+    /**
+     * Create an adapter bound to an endpoint
+     * @param {string} endpoint - Upload endpoint URL
+     * @returns {Object} Document adapter
+     */
+    create(endpoint) {
+        const url = new URL(endpoint, window.location.href);
+
+        // Medical documents never travel unencrypted
+        if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+            throw new Error(`Document endpoint must use HTTPS: ${endpoint}`);
+        }
+
+        const base = url.href.replace(/\/$/, '');
+        const request = (path, options) => fetch(`${base}${path}`, Object.assign({ credentials: 'same-origin', cache: 'no-store' }, options))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Document endpoint error ${response.status}`);
+                }
+                return response;
+            });
+        const readOffset = response => Number(response.headers.get('Upload-Offset'));
+
+        return {
+            create(metadata, options = {}) {
+                return request('', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(metadata),
+                    signal: options.signal
+                })
+                    .then(response => response.json())
+                    .then(upload => ({ id: upload.id, offset: 0 }));
+            },
+
+            getOffset(id, options = {}) {
+                return request(`/${encodeURIComponent(id)}`, { method: 'HEAD', signal: options.signal }).then(readOffset);
+            },
+
+            send(id, offset, chunk, options = {}) {
+                return request(`/${encodeURIComponent(id)}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+                    body: chunk,
+                    signal: options.signal
+                }).then(readOffset);
+            }
+        };
+    }
+};
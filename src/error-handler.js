@@ -0,0 +1,342 @@
+import { EventBus } from './event-bus.js';
+import { Utils } from './utils.js';
+
+/**
+ * ERROR HANDLING
+ * Global error handling and reporting
+ * Reports are deduplicated, batched, rate-limited and sent with sendBeacon
+ * to <body data-error-endpoint="...">; they wait in localStorage while offline
+ * and are dropped when no endpoint is configured
+ */
+export const ErrorHandler = {
+    breadcrumbs: [],
+
+    pending: [],
+
+    // Set up here rather than in init(): the registry and the event bus report
+    // through capture() on pages that never start this module
+    seen: new Map(),
+
+    sentTimes: [],
+
+    dropped: 0,
+
+    maxBreadcrumbs: 20,
+
+    batchSize: 10,
+
+    batchDelay: 2000,
+
+    // At most this many reports per minute
+    rateLimit: 10,
+
+    dedupeWindow: 60000,
+
+    storageKey: 'galenica:error-queue',
+
+    maxStored: 50,
+
+    /**
+     * Initialize error handling
+     */
+    init() {
+        window.addEventListener('error', this.handleError.bind(this), { signal: this.signal });
+        window.addEventListener('unhandledrejection', this.handlePromiseRejection.bind(this), { signal: this.signal });
+        this.bindBreadcrumbs();
+
+        // Deliver what is left before the page goes away
+        window.addEventListener('pagehide', () => this.flush(true), { signal: this.signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush(true);
+            }
+        }, { signal: this.signal });
+
+        window.addEventListener('online', () => this.flushStored(), { signal: this.signal });
+        this.flushStored();
+    },
+
+    /**
+     * Send what is still pending
+     */
+    destroy() {
+        this.flush(true);
+    },
+
+    /**
+     * Override the defaults, e.g. { endpoint: '/api/errors' }
+     * @param {Object} options - Settings to merge
+     */
+    configure(options) {
+        Object.assign(this, options);
+    },
+
+    /**
+     * Get the collection endpoint
+     * @returns {string} URL, empty when reports stay local
+     */
+    getEndpoint() {
+        return this.endpoint || (document.body && document.body.dataset.errorEndpoint) || '';
+    },
+
+    /**
+     * Record clicks and navigation as breadcrumbs. Nothing the page renders is
+     * recorded: labels, doctor and article ids name conditions and people
+     */
+    bindBreadcrumbs() {
+        document.addEventListener('click', (e) => {
+            const element = e.target.closest && e.target.closest('a, button, [role="button"], [role="option"], summary');
+            if (element) {
+                this.addBreadcrumb('ui.click', this.describe(element));
+            }
+        }, { capture: true, signal: this.signal });
+
+        // Parameterised routes by name only, e.g. "doctor" for #doctors/<id>
+        EventBus.on('route:change', ({ route }) => {
+            this.addBreadcrumb('navigation', route.name === 'anchor' ? route.hash : route.name || '');
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Remember a user action for the next report
+     * @param {string} category - e.g. "ui.click", "navigation"
+     * @param {string} message - What happened
+     */
+    addBreadcrumb(category, message) {
+        this.breadcrumbs.push({ category, message, timestamp: new Date().toISOString() });
+        if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    },
+
+    /**
+     * Describe an element by its tag, id and first class, never by its text
+     * Elements can opt in to a fixed label with data-breadcrumb="..."
+     * @param {Element} element - Clicked element
+     * @returns {string} Selector-like description
+     */
+    describe(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const className = typeof element.className === 'string' && element.className
+            ? `.${element.className.trim().split(/\s+/)[0]}`
+            : '';
+        const label = element.dataset.breadcrumb || '';
+
+        return `${element.tagName.toLowerCase()}${id}${className}${label ? ` "${label}"` : ''}`;
+    },
+
+    /**
+     * Handle JavaScript errors
+     * @param {ErrorEvent} event - Error event
+     */
+    handleError(event) {
+        console.error('JavaScript Error:', {
+            message: event.message,
+            filename: event.filename,
+            lineno: event.lineno,
+            colno: event.colno,
+            error: event.error
+        });
+
+        this.capture(event.error || {
+            name: 'Error',
+            message: event.message,
+            stack: event.filename ? `at ${event.filename}:${event.lineno}:${event.colno}` : ''
+        }, { source: 'window.onerror' });
+    },
+
+    /**
+     * Handle unhandled promise rejections
+     * @param {PromiseRejectionEvent} event - Promise rejection event
+     */
+    handlePromiseRejection(event) {
+        console.error('Unhandled Promise Rejection:', event.reason);
+
+        this.capture(event.reason, { source: 'unhandledrejection' });
+    },
+
+    /**
+     * Build a report for an error and schedule it
+     * @param {Error|*} error - Error or rejection reason
+     * @param {Object} tags - Extra context, e.g. { module: 'FAQ' }
+     */
+    capture(error, tags = {}) {
+        const normalized = error instanceof Error || (error && error.message)
+            ? error
+            : { name: 'NonError', message: String(error), stack: '' };
+        const frames = this.parseStack(normalized.stack);
+        const fingerprint = [normalized.name, normalized.message, frames[0] ? `${frames[0].file}:${frames[0].line}` : ''].join('|');
+        const now = Date.now();
+        const previous = this.seen.get(fingerprint);
+
+        // Repeats inside the window are counted: on the report while it waits in
+        // the batch, otherwise in a follow-up sent when the window ends
+        if (previous && now - previous.time < this.dedupeWindow) {
+            if (this.pending.includes(previous.report)) {
+                previous.report.count++;
+            } else {
+                previous.repeats++;
+                previous.timer = previous.timer ||
+                    setTimeout(() => this.reportRepeats(previous), previous.time + this.dedupeWindow - now);
+            }
+            return;
+        }
+
+        const report = {
+            type: normalized.name || 'Error',
+            message: normalized.message || '',
+            frames,
+            fingerprint,
+            count: 1,
+            tags,
+            timestamp: new Date(now).toISOString(),
+            context: this.getContext(),
+            breadcrumbs: this.breadcrumbs.slice()
+        };
+
+        this.seen.set(fingerprint, { time: now, report, repeats: 0, timer: null });
+        this.enqueue(report);
+    },
+
+    /**
+     * Report the repeats of an error counted after its report was sent
+     * @param {Object} entry - Seen error with its report and repeat count
+     */
+    reportRepeats(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+
+        if (entry.repeats) {
+            this.enqueue({ ...entry.report, count: entry.repeats, timestamp: new Date().toISOString() });
+            entry.repeats = 0;
+        }
+    },
+
+    /**
+     * Split a stack trace into frames (V8 and Firefox/Safari formats)
+     * @param {string} stack - Error stack
+     * @returns {Array} Frames with function, file, line and column
+     */
+    parseStack(stack) {
+        return String(stack || '').split('\n').map(line => {
+            const match = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/) ||
+                line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)$/);
+
+            return match ? {
+                function: match[1] || '<anonymous>',
+                file: match[2],
+                line: Number(match[3]),
+                column: Number(match[4])
+            } : null;
+        }).filter(Boolean).slice(0, 20);
+    },
+
+    /**
+     * Describe the page and device
+     * @returns {Object} Report context
+     */
+    getContext() {
+        return {
+            // Without the query and hash: they carry search terms and doctor ids
+            url: window.location.href.split(/[?#]/)[0],
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            userAgent: navigator.userAgent,
+            language: document.documentElement.lang,
+            online: navigator.onLine
+        };
+    },
+
+    /**
+     * Add a report to the batch, applying the rate limit
+     * @param {Object} report - Error report
+     */
+    enqueue(report) {
+        const now = Date.now();
+        this.sentTimes = this.sentTimes.filter(time => now - time < 60000);
+
+        if (this.sentTimes.length >= this.rateLimit) {
+            this.dropped++;
+            return;
+        }
+
+        this.sentTimes.push(now);
+        this.pending.push(report);
+
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.batchDelay);
+        }
+    },
+
+    /**
+     * Send the pending batch, or store it while offline
+     * @param {boolean} final - Also report the repeats still being counted, as the page goes away
+     */
+    flush(final = false) {
+        if (final) {
+            this.seen.forEach(entry => this.reportRepeats(entry));
+        }
+
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.pending.length) {
+            return;
+        }
+
+        const reports = this.pending;
+        this.pending = [];
+
+        if (!this.getEndpoint()) {
+            return;
+        }
+
+        if (navigator.onLine) {
+            this.send(reports);
+        } else {
+            this.store(reports);
+        }
+    },
+
+    /**
+     * Post reports to the endpoint
+     * @param {Array} reports - Error reports
+     * @returns {boolean} Whether the browser accepted the request
+     */
+    send(reports) {
+        const endpoint = this.getEndpoint();
+        if (!endpoint || !navigator.onLine || !navigator.sendBeacon) {
+            return false;
+        }
+
+        const body = JSON.stringify({ reports, dropped: this.dropped });
+        const accepted = navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+
+        if (accepted) {
+            this.dropped = 0;
+        }
+        return accepted;
+    },
+
+    /**
+     * Keep reports in localStorage until the next chance to send
+     * @param {Array} reports - Error reports
+     */
+    store(reports) {
+        const stored = Utils.readStorage(this.storageKey, []).concat(reports);
+        Utils.writeStorage(this.storageKey, stored.slice(-this.maxStored));
+    },
+
+    /**
+     * Send reports stored while offline, or discard them when there is no
+     * longer an endpoint to send them to
+     */
+    flushStored() {
+        const stored = Utils.readStorage(this.storageKey, []);
+
+        if (stored.length && (!this.getEndpoint() || this.send(stored))) {
+            Utils.writeStorage(this.storageKey, []);
+        }
+    }
+};
@@ -0,0 +1,63 @@
+import { ErrorHandler } from './error-handler.js';
+
+/**
+ * EVENT BUS
+ * Shared channel for modules to announce changes without knowing who listens:
+ * i18n:change, theme:change, motion:change, consent:change, route:change and auth:change
+ */
+export const EventBus = {
+    handlers: new Map(),
+
+    /**
+     * Listen to an event
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event detail
+     * @param {Object} options - { signal: AbortSignal that removes the handler }
+     * @returns {Function} Function removing the handler
+     */
+    on(type, handler, options = {}) {
+        const off = () => this.off(type, handler);
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                return off;
+            }
+            options.signal.addEventListener('abort', off, { once: true });
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return off;
+    },
+
+    /**
+     * Stop listening to an event
+     * @param {string} type - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            this.handlers.set(type, handlers.filter(item => item !== handler));
+        }
+    },
+
+    /**
+     * Call every handler of an event; a failing handler does not stop the others
+     * @param {string} type - Event name
+     * @param {Object} detail - Event data
+     */
+    emit(type, detail = {}) {
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`${type} handler failed:`, error);
+                ErrorHandler.capture(error, { event: type });
+            }
+        });
+    }
+};
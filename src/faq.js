@@ -0,0 +1,350 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Motion } from './motion.js';
+import { Router } from './router.js';
+import { Utils } from './utils.js';
+
+/**
+ * FAQ MODULE
+ * Handles the FAQ accordion: search, deep links, keyboard navigation
+ * and FAQPage structured data
+ * Set data-faq-mode="multiple" on .faq-container to keep several answers open
+ */
+export const FAQ = {
+    dependencies: ['I18n', 'Motion', 'Router', 'SiteContent', 'Analytics'],
+
+    /**
+     * Initialize FAQ functionality
+     */
+    init() {
+        this.container = document.querySelector('.faq-container');
+        this.faqQuestions = document.querySelectorAll('.faq-item__question');
+        this.items = null;
+
+        if (this.container && this.faqQuestions.length) {
+            this.allowMultiple = this.container.dataset.faqMode === 'multiple';
+            this.query = '';
+            this.setupItems();
+            this.buildSearch();
+            this.bindEvents();
+            this.renderStructuredData();
+        }
+    },
+
+    /**
+     * Remove the search box, deep links and structured data
+     */
+    destroy() {
+        if (!this.items) {
+            return;
+        }
+
+        if (this.query) {
+            this.filter('');
+        }
+        this.search.remove();
+        this.container.querySelectorAll('.faq-item__link').forEach(link => link.remove());
+        if (this.structuredData) {
+            this.structuredData.remove();
+            this.structuredData = null;
+        }
+    },
+
+    /**
+     * Wire ids and ARIA relationships between questions and answers
+     */
+    setupItems() {
+        this.items = Array.from(this.container.querySelectorAll('.faq-item')).map((element, index) => {
+            const question = element.querySelector('.faq-item__question');
+            const answer = element.querySelector('.faq-item__answer');
+            const id = element.id || `faq-${index + 1}`;
+
+            element.id = id;
+            question.id = `${id}-question`;
+            question.setAttribute('aria-controls', `${id}-answer`);
+            answer.id = `${id}-answer`;
+            answer.setAttribute('role', 'region');
+            answer.setAttribute('aria-labelledby', question.id);
+
+            // "faq-costi" is shared as the route "#faq/costi"
+            const href = id.startsWith('faq-') ? `#faq/${id.slice(4)}` : `#${id}`;
+            answer.insertAdjacentHTML('beforeend', `<a class="faq-item__link" href="${href}" data-i18n="faq.link">${I18n.t('faq.link')}</a>`);
+
+            return {
+                element,
+                question,
+                answer,
+                // Elements whose text is searched and highlighted
+                texts: [question.querySelector('span'), ...answer.querySelectorAll('p')].filter(Boolean)
+            };
+        });
+    },
+
+    /**
+     * Create the search box above the accordion
+     */
+    buildSearch() {
+        this.container.id = this.container.id || 'faq-list';
+        this.search = document.createElement('div');
+        this.search.className = 'faq-search';
+        this.search.innerHTML = `
+            <label class="faq-search__label" for="faq-search" data-i18n="faq.searchLabel">${I18n.t('faq.searchLabel')}</label>
+            <div class="faq-search__field">
+                <i class="fas fa-search faq-search__icon" aria-hidden="true"></i>
+                <input class="faq-search__input" id="faq-search" type="search" autocomplete="off" aria-controls="${this.container.id}"
+                    placeholder="${I18n.t('faq.searchPlaceholder')}" data-i18n-attr="placeholder:faq.searchPlaceholder">
+            </div>
+            <p class="faq-search__status" role="status" aria-live="polite"></p>
+        `;
+
+        this.container.parentNode.insertBefore(this.search, this.container);
+        this.searchInput = this.search.querySelector('.faq-search__input');
+        this.status = this.search.querySelector('.faq-search__status');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.faqQuestions.forEach(question => {
+            question.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleFAQ(question);
+            }, { signal: this.signal });
+
+            // Handle keyboard navigation
+            question.addEventListener('keydown', (e) => {
+                this.handleKeydown(e, question);
+            }, { signal: this.signal });
+        });
+
+        this.items.forEach(item => {
+            // Release the height once expanded so reflowing content is never clipped
+            item.answer.addEventListener('transitionend', (e) => {
+                if (e.target === item.answer && e.propertyName === 'max-height' && item.answer.classList.contains('active')) {
+                    item.answer.style.maxHeight = 'none';
+                }
+            }, { signal: this.signal });
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const link = e.target.closest('.faq-item__link');
+            // Router follows the link; copying makes it easy to share
+            if (link) {
+                this.copyLink(link);
+            }
+        }, { signal: this.signal });
+
+        this.searchInput.addEventListener('input', Utils.debounce(() => {
+            this.filter(this.searchInput.value);
+        }, 150), { signal: this.signal });
+
+        // Translated text replaces the highlighting and the structured data
+        EventBus.on('i18n:change', () => {
+            this.filter(this.query);
+            this.renderStructuredData();
+        }, { signal: this.signal });
+
+        // Deep links to a question open its answer before the Router scrolls to it
+        EventBus.on('route:change', ({ route }) => {
+            const target = Router.getTarget(route);
+            if (target) {
+                this.reveal(target);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Handle accordion keyboard interaction
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {Element} question - Focused question button
+     */
+    handleKeydown(e, question) {
+        const visible = Array.from(this.faqQuestions).filter(item => !item.closest('.faq-item').hidden);
+        const index = visible.indexOf(question);
+        const targets = {
+            ArrowDown: visible[(index + 1) % visible.length],
+            ArrowUp: visible[(index - 1 + visible.length) % visible.length],
+            Home: visible[0],
+            End: visible[visible.length - 1]
+        };
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.toggleFAQ(question);
+        } else if (targets[e.key]) {
+            e.preventDefault();
+            targets[e.key].focus();
+        }
+    },
+
+    /**
+     * Toggle FAQ item
+     * @param {Element} question - FAQ question element
+     */
+    toggleFAQ(question) {
+        const isExpanded = question.getAttribute('aria-expanded') === 'true';
+
+        if (isExpanded) {
+            this.setExpanded(question, false);
+            return;
+        }
+
+        // Close all other FAQ items unless several may stay open
+        if (!this.allowMultiple) {
+            this.closeAllFAQs();
+        }
+
+        this.setExpanded(question, true);
+        Analytics.track('faq_open', { question: question.closest('.faq-item').id });
+    },
+
+    /**
+     * Open the FAQ item containing an element, clearing a search that hides it
+     * @param {Element} target - Deep link target
+     * @returns {boolean} Whether the target belongs to the FAQ
+     */
+    reveal(target) {
+        const element = target.closest('.faq-item');
+        const item = this.items && this.items.find(entry => entry.element === element);
+
+        if (!item) {
+            return false;
+        }
+
+        if (item.element.hidden) {
+            this.searchInput.value = '';
+            this.filter('');
+        }
+
+        if (item.question.getAttribute('aria-expanded') !== 'true') {
+            this.toggleFAQ(item.question);
+        }
+        return true;
+    },
+
+    /**
+     * Expand or collapse a single item
+     * @param {Element} question - FAQ question element
+     * @param {boolean} expand - Whether to expand
+     */
+    setExpanded(question, expand) {
+        const answer = question.nextElementSibling;
+
+        question.setAttribute('aria-expanded', String(expand));
+        question.classList.toggle('active', expand);
+        answer.classList.toggle('active', expand);
+
+        // Smooth height animation
+        this.animateHeight(answer, expand);
+    },
+
+    /**
+     * Close all FAQ items
+     */
+    closeAllFAQs() {
+        this.faqQuestions.forEach(question => {
+            if (question.getAttribute('aria-expanded') === 'true') {
+                this.setExpanded(question, false);
+            }
+        });
+    },
+
+    /**
+     * Animate height of FAQ answer
+     * @param {Element} element - Answer element
+     * @param {boolean} expand - Whether to expand or collapse
+     */
+    animateHeight(element, expand) {
+        // No transition to wait for: open fully or close at once
+        if (Motion.isReduced()) {
+            element.style.maxHeight = expand ? 'none' : '0px';
+            return;
+        }
+
+        if (expand) {
+            element.style.maxHeight = element.scrollHeight + 'px';
+        } else {
+            // Start from a fixed height when the answer was released to "none"
+            element.style.maxHeight = element.scrollHeight + 'px';
+            element.getBoundingClientRect();
+            element.style.maxHeight = '0px';
+        }
+    },
+
+    /**
+     * Show only the items matching the search and highlight the terms
+     * @param {string} query - Search text
+     */
+    filter(query) {
+        const terms = Utils.normalizeText(query).split(/\s+/).filter(Boolean);
+        let count = 0;
+
+        this.query = query;
+
+        this.items.forEach(item => {
+            const text = Utils.normalizeText(item.texts.map(element => element.textContent).join(' '));
+            const isMatch = terms.every(term => text.includes(term));
+
+            item.element.hidden = !isMatch;
+            item.texts.forEach(element => {
+                element.innerHTML = terms.length ? Utils.highlight(element.textContent, query) : Utils.escapeHTML(element.textContent);
+            });
+
+            if (isMatch) {
+                count++;
+            }
+        });
+
+        if (!terms.length) {
+            this.status.textContent = '';
+        } else {
+            this.status.textContent = count ? I18n.t('faq.results', { count }) : I18n.t('faq.noResults');
+        }
+    },
+
+    /**
+     * Copy an item's deep link to the clipboard when supported
+     * @param {Element} link - Deep link anchor
+     */
+    copyLink(link) {
+        if (!navigator.clipboard) {
+            return;
+        }
+
+        navigator.clipboard.writeText(link.href)
+            .then(() => {
+                this.status.textContent = I18n.t('faq.linkCopied');
+            })
+            .catch(() => {});
+    },
+
+    /**
+     * Publish the questions as FAQPage structured data
+     */
+    renderStructuredData() {
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            inLanguage: document.documentElement.lang,
+            mainEntity: this.items.map(item => ({
+                '@type': 'Question',
+                name: item.texts[0].textContent.trim(),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: item.texts.slice(1).map(element => element.textContent.trim()).join(' ')
+                }
+            }))
+        };
+
+        if (!this.structuredData) {
+            this.structuredData = document.createElement('script');
+            this.structuredData.type = 'application/ld+json';
+            this.structuredData.id = 'faq-structured-data';
+            document.head.appendChild(this.structuredData);
+        }
+
+        this.structuredData.textContent = JSON.stringify(data);
+    }
+};
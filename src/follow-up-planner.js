@@ -0,0 +1,588 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { ICalendar } from './icalendar.js';
+import { Utils } from './utils.js';
+
+/**
+ * FOLLOW-UP PLANNER MODULE
+ * "Programma visite di controllo": the patient plans recurring check-ups
+ * (every 30, 60, 90... days), adds them to their calendar as .ics files and can
+ * opt into browser notifications. Schedules stay in localStorage and can be
+ * exported and imported as JSON. Reminders go to the service worker, which shows
+ * them when the browser wakes it (periodic sync, or a visit to the site); without
+ * one they only fire while the page is open, so the .ics alarms are the dependable path
+ */
+export const FollowUpPlanner = {
+    dependencies: ['I18n', 'SiteContent', 'Analytics'],
+
+    storageKey: 'galenica:follow-ups',
+
+    intervals: [30, 60, 90, 180],
+
+    // Minutes before the visit
+    reminderOptions: [0, 60, 1440, 2880],
+
+    maxVisits: 12,
+
+    // Length of the calendar event, in minutes
+    duration: 30,
+
+    // Upcoming dates listed for each schedule
+    previewCount: 3,
+
+    // setTimeout cannot wait longer than about 24.8 days
+    maxTimer: 2147483647,
+
+    periodicSyncTag: 'follow-up-reminders',
+
+    periodicSyncInterval: 12 * 60 * 60 * 1000,
+
+    /**
+     * Initialize the planner
+     */
+    init() {
+        this.container = document.querySelector('#process [data-follow-up]');
+        this.schedules = this.load(Utils.readStorage(this.storageKey, []));
+
+        if (this.container) {
+            this.buildPanel();
+            this.bindEvents();
+            this.render();
+            this.syncReminders();
+        }
+    },
+
+    /**
+     * Remove the planner and stop the page's reminder timer
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    },
+
+    /**
+     * Create the form, the list and the import/export tools
+     */
+    buildPanel() {
+        const option = (key, value, params = {}) => `<option value="${value}" data-i18n="${key}" data-i18n-params='${JSON.stringify(params)}'>${I18n.t(key, params)}</option>`;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'follow-up__panel';
+        this.panel.innerHTML = `
+            <h3 class="follow-up__title" data-i18n="followUp.title">${I18n.t('followUp.title')}</h3>
+            <p class="follow-up__intro" data-i18n="followUp.intro">${I18n.t('followUp.intro')}</p>
+            <form class="follow-up__form" novalidate>
+                <div class="follow-up__field follow-up__field--wide">
+                    <label class="follow-up__label" for="follow-up-title" data-i18n="followUp.fields.title">${I18n.t('followUp.fields.title')}</label>
+                    <input class="follow-up__input" id="follow-up-title" name="title" type="text" maxlength="80"
+                        placeholder="${I18n.t('followUp.titlePlaceholder')}" data-i18n-attr="placeholder:followUp.titlePlaceholder" aria-describedby="follow-up-title-error" required>
+                    <p class="follow-up__error" id="follow-up-title-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-start" data-i18n="followUp.fields.start">${I18n.t('followUp.fields.start')}</label>
+                    <input class="follow-up__input" id="follow-up-start" name="start" type="date" min="${this.toDateString(new Date())}" aria-describedby="follow-up-start-error" required>
+                    <p class="follow-up__error" id="follow-up-start-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-time" data-i18n="followUp.fields.time">${I18n.t('followUp.fields.time')}</label>
+                    <input class="follow-up__input" id="follow-up-time" name="time" type="time" value="10:00" aria-describedby="follow-up-time-error" required>
+                    <p class="follow-up__error" id="follow-up-time-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-interval" data-i18n="followUp.fields.interval">${I18n.t('followUp.fields.interval')}</label>
+                    <select class="follow-up__input" id="follow-up-interval" name="interval">
+                        ${this.intervals.map(days => option('followUp.every', days, { count: days })).join('')}
+                    </select>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-count" data-i18n="followUp.fields.count">${I18n.t('followUp.fields.count')}</label>
+                    <input class="follow-up__input" id="follow-up-count" name="count" type="number" min="1" max="${this.maxVisits}" value="4" aria-describedby="follow-up-count-error" required>
+                    <p class="follow-up__error" id="follow-up-count-error" hidden></p>
+                </div>
+                <div class="follow-up__field">
+                    <label class="follow-up__label" for="follow-up-reminder" data-i18n="followUp.fields.reminder">${I18n.t('followUp.fields.reminder')}</label>
+                    <select class="follow-up__input" id="follow-up-reminder" name="reminder">
+                        ${this.reminderOptions.map(minutes => option(`followUp.reminders.${minutes}`, minutes)).join('')}
+                    </select>
+                </div>
+                <button type="submit" class="btn btn--primary follow-up__submit" data-i18n="followUp.submit">${I18n.t('followUp.submit')}</button>
+            </form>
+            <ul class="follow-up__list"></ul>
+            <p class="follow-up__empty" data-i18n="followUp.empty">${I18n.t('followUp.empty')}</p>
+            <div class="follow-up__tools">
+                <button type="button" class="btn btn--outline follow-up__export" data-i18n="followUp.export">${I18n.t('followUp.export')}</button>
+                <label class="btn btn--outline follow-up__import">
+                    <span data-i18n="followUp.import">${I18n.t('followUp.import')}</span>
+                    <input class="follow-up__import-input" type="file" accept=".json,application/json">
+                </label>
+            </div>
+            <p class="follow-up__status" role="status" aria-live="polite"></p>
+        `;
+
+        this.container.appendChild(this.panel);
+        this.form = this.panel.querySelector('.follow-up__form');
+        this.list = this.panel.querySelector('.follow-up__list');
+        this.status = this.panel.querySelector('.follow-up__status');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Clear a field's error as soon as it is corrected
+        this.form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.clearError(e.target.name);
+            }
+        }, { signal: this.signal });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-follow-up-action]');
+            if (!button) {
+                return;
+            }
+
+            const schedule = this.schedules.find(item => item.id === button.closest('[data-schedule]').dataset.schedule);
+            if (button.dataset.followUpAction === 'calendar') {
+                this.downloadCalendar(schedule);
+            } else if (button.dataset.followUpAction === 'notify') {
+                this.toggleNotifications(schedule);
+            } else {
+                this.remove(schedule);
+            }
+        }, { signal: this.signal });
+
+        this.panel.querySelector('.follow-up__export').addEventListener('click', () => this.exportJSON(), { signal: this.signal });
+
+        const importInput = this.panel.querySelector('.follow-up__import-input');
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) {
+                this.importJSON(importInput.files[0]);
+            }
+            importInput.value = '';
+        }, { signal: this.signal });
+
+        // Dates and reminder texts follow the language
+        EventBus.on('i18n:change', () => {
+            this.render();
+            this.syncReminders();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Keep the valid schedules of stored or imported data
+     * @param {*} data - Array of schedules
+     * @returns {Array} Valid schedules
+     */
+    load(data) {
+        return (Array.isArray(data) ? data : []).filter(schedule => schedule && typeof schedule === 'object' &&
+            /^[\w-]{1,40}$/.test(schedule.id) &&
+            ICalendar.isTimeZone(schedule.timeZone) &&
+            !Object.keys(this.validate(schedule)).length);
+    },
+
+    /**
+     * Validate a schedule
+     * @param {Object} schedule - Schedule
+     * @returns {Object} Error messages keyed by field name
+     */
+    validate(schedule) {
+        const errors = {};
+        const [year, month, day] = String(schedule.start).split('-').map(Number);
+
+        if (typeof schedule.title !== 'string' || schedule.title.trim().length < 2 || schedule.title.length > 80) {
+            errors.title = I18n.t('followUp.errors.title');
+        }
+        // Rejects dates such as 2026-02-31 too
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(schedule.start) || new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) !== schedule.start) {
+            errors.start = I18n.t('followUp.errors.start');
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time)) {
+            errors.time = I18n.t('followUp.errors.time');
+        }
+        if (!Number.isInteger(schedule.count) || schedule.count < 1 || schedule.count > this.maxVisits) {
+            errors.count = I18n.t('followUp.errors.count', { max: this.maxVisits });
+        }
+        if (!Number.isInteger(schedule.interval) || schedule.interval < 1 || schedule.interval > 365) {
+            errors.interval = I18n.t('followUp.errors.interval');
+        }
+        if (!this.reminderOptions.includes(schedule.reminder)) {
+            errors.reminder = I18n.t('followUp.errors.reminder');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Validate the form and add the schedule
+     */
+    handleSubmit() {
+        const elements = this.form.elements;
+        const schedule = {
+            id: `FU-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+            title: elements.title.value.trim(),
+            start: elements.start.value,
+            time: elements.time.value,
+            interval: Number(elements.interval.value),
+            count: Number(elements.count.value),
+            reminder: Number(elements.reminder.value),
+            // Visits keep the local time of the patient's time zone
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+            notify: false
+        };
+        const errors = this.validate(schedule);
+
+        if (!errors.start && schedule.start < this.toDateString(new Date())) {
+            errors.start = I18n.t('followUp.errors.past');
+        }
+
+        ['title', 'start', 'time', 'count'].forEach(name => this.clearError(name));
+
+        const names = Object.keys(errors);
+        if (names.length) {
+            names.forEach(name => this.showError(name, errors[name]));
+            elements[names[0]].focus();
+            this.setStatus(I18n.t('followUp.errors.summary', { count: names.length }));
+            return;
+        }
+
+        this.schedules.push(schedule);
+        this.save();
+        this.form.reset();
+        this.setStatus(I18n.t('followUp.added', { title: schedule.title }));
+        Analytics.track('follow_up_plan', { interval: schedule.interval, count: schedule.count });
+    },
+
+    /**
+     * Store the schedules and refresh the list and the reminders
+     */
+    save() {
+        Utils.writeStorage(this.storageKey, this.schedules);
+        this.render();
+        this.syncReminders();
+    },
+
+    /**
+     * Delete a schedule
+     * @param {Object} schedule - Schedule
+     */
+    remove(schedule) {
+        this.schedules = this.schedules.filter(item => item !== schedule);
+        this.save();
+        this.setStatus(I18n.t('followUp.removed', { title: schedule.title }));
+        this.form.elements.title.focus();
+    },
+
+    /**
+     * Get the visits of a schedule
+     * @param {Object} schedule - Schedule
+     * @returns {Array} { index, date: 'YYYY-MM-DD', at (ms) }
+     */
+    getVisits(schedule) {
+        const [year, month, day] = schedule.start.split('-').map(Number);
+
+        return Array.from({ length: schedule.count }, (item, index) => {
+            const date = new Date(Date.UTC(year, month - 1, day + index * schedule.interval)).toISOString().slice(0, 10);
+            return { index, date, at: ICalendar.toInstant(date, schedule.time, schedule.timeZone) };
+        });
+    },
+
+    /**
+     * Render the schedules with their next visits
+     */
+    render() {
+        const now = Date.now();
+
+        this.panel.querySelector('.follow-up__empty').hidden = this.schedules.length > 0;
+        this.list.innerHTML = this.schedules.map(schedule => {
+            const upcoming = this.getVisits(schedule).filter(visit => visit.at > now);
+            const id = `follow-up-${schedule.id}`;
+
+            return `
+                <li class="follow-up__schedule" data-schedule="${schedule.id}">
+                    <h4 class="follow-up__schedule-title" id="${id}">${Utils.escapeHTML(schedule.title)}</h4>
+                    <p class="follow-up__summary">${I18n.t('followUp.summary', { count: schedule.count, interval: schedule.interval })}</p>
+                    ${upcoming.length ? `
+                        <ol class="follow-up__visits" aria-label="${I18n.t('followUp.upcoming')}">
+                            ${upcoming.slice(0, this.previewCount).map(visit => `
+                                <li><time datetime="${new Date(visit.at).toISOString()}">${this.formatVisit(visit, schedule)}</time></li>
+                            `).join('')}
+                        </ol>
+                        ${upcoming.length > this.previewCount ? `<p class="follow-up__more">${I18n.t('followUp.more', { count: upcoming.length - this.previewCount })}</p>` : ''}
+                    ` : `<p class="follow-up__summary">${I18n.t('followUp.completed')}</p>`}
+                    <div class="follow-up__actions">
+                        <button type="button" class="btn btn--outline follow-up__action" data-follow-up-action="calendar" aria-describedby="${id}">
+                            <i class="fas fa-calendar-plus" aria-hidden="true"></i> ${I18n.t('followUp.calendar')}
+                        </button>
+                        <button type="button" class="btn btn--outline follow-up__action" data-follow-up-action="notify" aria-pressed="${schedule.notify}" aria-describedby="${id}">
+                            <i class="fas ${schedule.notify ? 'fa-bell' : 'fa-bell-slash'}" aria-hidden="true"></i> ${I18n.t('followUp.notifications.toggle')}
+                        </button>
+                        <button type="button" class="btn btn--outline follow-up__action" data-follow-up-action="remove" aria-describedby="${id}">
+                            <i class="fas fa-trash-alt" aria-hidden="true"></i> ${I18n.t('followUp.remove')}
+                        </button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Format the date and time of a visit in its time zone
+     * @param {Object} visit - Visit from getVisits()
+     * @param {Object} schedule - Schedule
+     * @returns {string} E.g. "lun 2 novembre 2026, 10:00"
+     */
+    formatVisit(visit, schedule) {
+        return I18n.formatDate(new Date(visit.at), {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: schedule.timeZone
+        });
+    },
+
+    /**
+     * Download a schedule as an iCalendar file with its alarm
+     * @param {Object} schedule - Schedule
+     */
+    downloadCalendar(schedule) {
+        const url = new URL('#follow-up', window.location.href).href;
+        const calendar = ICalendar.build([{
+            uid: `${schedule.id}@galenica-online`,
+            start: schedule.start,
+            time: schedule.time,
+            timeZone: schedule.timeZone,
+            duration: this.duration,
+            title: schedule.title,
+            description: I18n.t('followUp.calendarDescription', { url }),
+            url,
+            repeat: { interval: schedule.interval, count: schedule.count },
+            alarm: { before: schedule.reminder, description: I18n.t('followUp.reminder.title', { title: schedule.title }) }
+        }]);
+
+        Utils.download(calendar, `${Utils.slugify(schedule.title) || 'controllo'}.ics`, 'text/calendar;charset=utf-8');
+        Analytics.track('follow_up_calendar', { interval: schedule.interval });
+    },
+
+    /**
+     * Turn browser notifications for a schedule on or off
+     * Permission is asked for the first time here, after a click
+     * @param {Object} schedule - Schedule
+     */
+    toggleNotifications(schedule) {
+        if (schedule.notify) {
+            schedule.notify = false;
+            this.save();
+            this.setStatus(I18n.t('followUp.notifications.off', { title: schedule.title }));
+            return;
+        }
+
+        if (!('Notification' in window)) {
+            this.setStatus(I18n.t('followUp.notifications.unsupported'));
+            return;
+        }
+
+        Notification.requestPermission().then(permission => {
+            if (permission !== 'granted') {
+                this.setStatus(I18n.t('followUp.notifications.denied'));
+                return;
+            }
+
+            schedule.notify = true;
+            this.save();
+            this.setStatus(I18n.t('followUp.notifications.on', { title: schedule.title }));
+            this.registerPeriodicSync();
+        });
+    },
+
+    /**
+     * Get the reminders of the schedules with notifications on, for visits still to come
+     * @returns {Array} { id, at, visitAt, title, body, url } sorted by time
+     */
+    getReminders() {
+        const now = Date.now();
+        const url = new URL('#follow-up', window.location.href).href;
+
+        return this.schedules
+            .filter(schedule => schedule.notify)
+            .flatMap(schedule => this.getVisits(schedule)
+                .filter(visit => visit.at > now)
+                .map(visit => ({
+                    id: `${schedule.id}:${visit.index}`,
+                    at: visit.at - schedule.reminder * 60000,
+                    visitAt: visit.at,
+                    title: I18n.t('followUp.reminder.title', { title: schedule.title }),
+                    body: I18n.t('followUp.reminder.body', { date: this.formatVisit(visit, schedule) }),
+                    url
+                })))
+            .sort((a, b) => a.at - b.at);
+    },
+
+    /**
+     * Hand the reminders to the service worker and time the next one in the page
+     */
+    syncReminders() {
+        const reminders = this.getReminders();
+        const worker = this.getWorker();
+
+        if (worker) {
+            worker.postMessage({ type: 'SET_REMINDERS', reminders });
+        }
+        this.scheduleNext(reminders.filter(reminder => reminder.at > Date.now()));
+    },
+
+    /**
+     * Wait for the next reminder while the page is open
+     * @param {Array} reminders - Future reminders, soonest first
+     */
+    scheduleNext(reminders) {
+        clearTimeout(this.timer);
+
+        if (!reminders.length) {
+            return;
+        }
+
+        const next = reminders[0];
+        this.timer = setTimeout(() => {
+            if (Date.now() >= next.at) {
+                this.notify(next);
+            }
+            this.scheduleNext(reminders.filter(reminder => reminder.at > Date.now()));
+        }, Math.min(next.at - Date.now(), this.maxTimer));
+    },
+
+    /**
+     * Show a reminder, through the service worker when there is one
+     * so it does not appear twice
+     * @param {Object} reminder - Reminder from getReminders()
+     */
+    notify(reminder) {
+        const worker = this.getWorker();
+
+        if (worker) {
+            worker.postMessage({ type: 'CHECK_REMINDERS' });
+        } else if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(reminder.title, { body: reminder.body, tag: reminder.id, icon: 'icons/icon.svg' });
+        }
+    },
+
+    /**
+     * Get the service worker controlling the page
+     * @returns {ServiceWorker|null} Worker, or null before the first install
+     */
+    getWorker() {
+        return 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+    },
+
+    /**
+     * Ask the browser to wake the service worker now and then (installed app on Chromium)
+     */
+    registerPeriodicSync() {
+        if (!this.getWorker()) {
+            return;
+        }
+
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if ('periodicSync' in registration) {
+                    return registration.periodicSync.register(this.periodicSyncTag, { minInterval: this.periodicSyncInterval });
+                }
+            })
+            .catch(error => console.warn('Periodic sync unavailable:', error));
+    },
+
+    /**
+     * Download every schedule as JSON
+     */
+    exportJSON() {
+        const data = { version: 1, exportedAt: new Date().toISOString(), schedules: this.schedules };
+
+        Utils.download(JSON.stringify(data, null, 2), 'galenica-controlli.json', 'application/json');
+        this.setStatus(I18n.t('followUp.exported', { count: this.schedules.length }));
+    },
+
+    /**
+     * Add the schedules of an exported file, replacing those with the same id
+     * @param {File} file - JSON file from exportJSON()
+     */
+    importJSON(file) {
+        file.text()
+            .then(text => {
+                const data = JSON.parse(text);
+                const list = data && Array.isArray(data.schedules) ? data.schedules : null;
+
+                if (!list) {
+                    throw new Error('No schedules in the file');
+                }
+
+                // Reminders must be switched on again in this browser
+                const valid = this.load(list).map(schedule => Object.assign({}, schedule, { notify: false }));
+                const ids = valid.map(schedule => schedule.id);
+
+                this.schedules = this.schedules.filter(schedule => !ids.includes(schedule.id)).concat(valid);
+                this.save();
+                this.setStatus(I18n.t('followUp.imported', { count: valid.length }) +
+                    (list.length > valid.length ? ` ${I18n.t('followUp.errors.skipped', { count: list.length - valid.length })}` : ''));
+            })
+            .catch(error => {
+                console.warn('Follow-up import error:', error);
+                this.setStatus(I18n.t('followUp.errors.import'));
+            });
+    },
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date
+     * @returns {string} ISO date
+     */
+    toDateString(date) {
+        return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     */
+    showError(name, message) {
+        const error = document.getElementById(`follow-up-${name}-error`);
+        this.form.elements[name].setAttribute('aria-invalid', 'true');
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {string} name - Field name
+     */
+    clearError(name) {
+        const error = document.getElementById(`follow-up-${name}-error`);
+        this.form.elements[name].removeAttribute('aria-invalid');
+        if (error) {
+            error.textContent = '';
+            error.hidden = true;
+        }
+    },
+
+    /**
+     * Announce a message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
@@ -0,0 +1,115 @@
+import { Viewport } from './viewport.js';
+
+/**
+ * HEADER SCROLL MODULE
+ * Handles header behavior on scroll
+ */
+export const HeaderScroll = {
+    dependencies: ['Viewport'],
+
+    /**
+     * Initialize header scroll functionality
+     */
+    init() {
+        this.header = document.querySelector('.header');
+        this.lastScrollTop = 0;
+        this.scrollThreshold = 100;
+
+        // Ignore jitters smaller than this so the header does not flicker
+        this.scrollTolerance = 5;
+        
+        if (this.header) {
+            this.hideOnScroll = this.header.hasAttribute('data-hide-on-scroll');
+            this.buildProgressBar();
+            this.bindEvents();
+            this.handleScroll(Viewport.state);
+        }
+    },
+
+    /**
+     * Remove the progress bar and the scroll state classes
+     */
+    destroy() {
+        if (!this.header) {
+            return;
+        }
+
+        this.progressBar.parentNode.remove();
+        this.header.classList.remove('scrolled', 'header--hidden');
+    },
+
+    /**
+     * Add the reading progress bar along the bottom of the header
+     */
+    buildProgressBar() {
+        const progress = document.createElement('div');
+        progress.className = 'header__progress';
+        progress.setAttribute('aria-hidden', 'true');
+        progress.innerHTML = '<div class="header__progress-bar"></div>';
+
+        this.header.appendChild(progress);
+        this.progressBar = progress.firstElementChild;
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        Viewport.subscribe({
+            write: (state) => this.handleScroll(state)
+        }, { signal: this.signal });
+
+        // Keyboard users tabbing into a hidden header get it back
+        this.header.addEventListener('focusin', () => {
+            this.header.classList.remove('header--hidden');
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Handle scroll events
+     * @param {Object} state - Viewport state
+     */
+    handleScroll(state) {
+        const scrollTop = state.scrollY;
+        
+        // Add shadow when scrolled
+        if (scrollTop > 10) {
+            this.header.classList.add('scrolled');
+        } else {
+            this.header.classList.remove('scrolled');
+        }
+
+        this.updateProgress(state);
+
+        // Compare against the last position that moved past the tolerance, so slow scrolling still counts
+        if (Math.abs(scrollTop - this.lastScrollTop) >= this.scrollTolerance) {
+            if (this.hideOnScroll) {
+                this.updateVisibility(scrollTop);
+            }
+            this.lastScrollTop = scrollTop;
+        }
+    },
+
+    /**
+     * Fill the progress bar with the share of the page scrolled
+     * @param {Object} state - Viewport state
+     */
+    updateProgress(state) {
+        const scrollable = state.scrollHeight - state.height;
+        const progress = scrollable > 0 ? Math.min(state.scrollY / scrollable, 1) : 0;
+
+        this.progressBar.style.transform = `scaleX(${progress})`;
+    },
+
+    /**
+     * Hide the header while scrolling down and bring it back on the way up
+     * @param {number} scrollTop - Current scroll position
+     */
+    updateVisibility(scrollTop) {
+        const delta = scrollTop - this.lastScrollTop;
+        const menuOpen = document.getElementById('mobile-menu')?.classList.contains('active');
+        const hide = delta > 0 && scrollTop > this.scrollThreshold && !menuOpen && !this.header.contains(document.activeElement);
+
+        this.header.classList.toggle('header--hidden', hide);
+    }
+};
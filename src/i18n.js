@@ -0,0 +1,244 @@
+import { EventBus } from './event-bus.js';
+import { Utils } from './utils.js';
+
+/**
+ * I18N MODULE
+ * Translates the page from the Translations dictionaries and handles the language switcher
+ * Static text is marked with data-i18n / data-i18n-attr; modules use I18n.t()
+ */
+export const I18n = {
+    /**
+     * Supported languages and their formatting locales
+     */
+    locales: {
+        it: 'it-IT',
+        en: 'en-GB'
+    },
+
+    defaultLanguage: 'it',
+
+    storageKey: 'galenica:lang',
+
+    /**
+     * Initialize internationalisation
+     */
+    init() {
+        this.dictionaries = typeof Translations !== 'undefined' ? Translations : {};
+        this.reported = new Set();
+        this.language = this.detectLanguage();
+
+        this.buildSwitchers();
+        this.bindEvents();
+        this.setLanguage(this.language, { silent: true });
+    },
+
+    /**
+     * Remove the language switchers
+     */
+    destroy() {
+        this.switchers.forEach(switcher => switcher.remove());
+        this.switchers = [];
+    },
+
+    /**
+     * Pick the initial language: ?lang= parameter, saved choice, browser, default
+     * @returns {string} Language code
+     */
+    detectLanguage() {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            Utils.readStorage(this.storageKey, null),
+            (navigator.language || '').slice(0, 2)
+        ];
+
+        return candidates.find(language => language && this.locales[language]) || this.defaultLanguage;
+    },
+
+    /**
+     * Add an IT/EN switcher to the header and to the mobile menu
+     */
+    buildSwitchers() {
+        const targets = [
+            { parent: document.querySelector('.header__content'), before: document.querySelector('.mobile-menu-btn') },
+            { parent: document.getElementById('mobile-menu'), before: null }
+        ];
+
+        this.switchers = targets.filter(target => target.parent).map(target => {
+            const switcher = document.createElement('div');
+            switcher.className = 'language-switcher';
+            switcher.setAttribute('role', 'group');
+            switcher.setAttribute('data-i18n-attr', 'aria-label:i18n.label');
+            switcher.innerHTML = Object.keys(this.locales).map(language => `
+                <button type="button" class="language-switcher__btn" data-language="${language}" lang="${language}"
+                    aria-pressed="false" aria-label="${this.t(`i18n.languages.${language}`)}">${language.toUpperCase()}</button>
+            `).join('');
+
+            target.parent.insertBefore(switcher, target.before);
+            return switcher;
+        });
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.language-switcher__btn');
+            if (button) {
+                this.setLanguage(button.dataset.language);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Switch language, translate the page and notify the modules
+     * @param {string} language - Language code
+     * @param {Object} options - { silent: skip persisting and the change event }
+     */
+    setLanguage(language, options = {}) {
+        if (!this.locales[language]) {
+            return;
+        }
+
+        this.language = language;
+        document.documentElement.lang = language;
+        this.apply(document);
+
+        this.switchers.forEach(switcher => {
+            switcher.querySelectorAll('.language-switcher__btn').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.language === language));
+            });
+        });
+
+        if (!options.silent) {
+            Utils.writeStorage(this.storageKey, language);
+            EventBus.emit('i18n:change', { language });
+        }
+    },
+
+    /**
+     * Get the Intl locale for the current language
+     * @returns {string} Locale tag
+     */
+    locale() {
+        return this.locales[this.language] || this.locales[this.defaultLanguage];
+    },
+
+    /**
+     * Translate a key
+     * Plural entries are picked with Intl.PluralRules using params.count
+     * @param {string} key - Dotted key, e.g. "booking.title"
+     * @param {Object} params - Values for {placeholders}
+     * @returns {string} Translated text, the Italian text or the key itself
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.language, key);
+
+        if (value === undefined) {
+            this.reportMissing(key);
+            value = this.lookup(this.defaultLanguage, key);
+        }
+
+        if (value === undefined) {
+            return key;
+        }
+
+        if (typeof value === 'object') {
+            const category = new Intl.PluralRules(this.locale()).select(Number(params.count) || 0);
+            value = value[category] || value.other;
+        }
+
+        return String(value).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Check whether a key exists in the current or the default language
+     * @param {string} key - Dotted key
+     * @returns {boolean} True when translatable
+     */
+    has(key) {
+        return this.lookup(this.language, key) !== undefined || this.lookup(this.defaultLanguage, key) !== undefined;
+    },
+
+    /**
+     * Add or replace a top-level namespace, e.g. text loaded at runtime
+     * @param {string} namespace - Top-level key
+     * @param {Object} dictionaries - Entries by language code
+     */
+    define(namespace, dictionaries) {
+        Object.keys(this.locales).forEach(language => {
+            this.dictionaries[language] = Object.assign({}, this.dictionaries[language], { [namespace]: dictionaries[language] || {} });
+        });
+    },
+
+    /**
+     * Find a key in a language dictionary
+     * @param {string} language - Language code
+     * @param {string} key - Dotted key
+     * @returns {string|Object|undefined} Entry
+     */
+    lookup(language, key) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.dictionaries[language]);
+
+        // Namespaces are objects too: only plural entries carry an "other" form
+        return value && typeof value === 'object' && !('other' in value) ? undefined : value;
+    },
+
+    /**
+     * Warn once about missing keys while developing
+     * @param {string} key - Missing key
+     */
+    reportMissing(key) {
+        const id = `${this.language}:${key}`;
+        if (this.isDevelopment() && !this.reported.has(id)) {
+            this.reported.add(id);
+            console.warn(`Missing translation "${key}" for "${this.language}"`);
+        }
+    },
+
+    /**
+     * Check if the page runs locally or with ?debug
+     * @returns {boolean} True in development
+     */
+    isDevelopment() {
+        return ['localhost', '127.0.0.1', ''].includes(window.location.hostname) ||
+            new URLSearchParams(window.location.search).has('debug');
+    },
+
+    /**
+     * Translate every marked element inside a root
+     * data-i18n sets the text, data-i18n-attr="attr:key;attr:key" sets attributes
+     * and time[data-i18n-date] is re-formatted from its datetime attribute
+     * @param {Element|Document} root - Element to translate
+     */
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(/[;,]/).forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+
+        root.querySelectorAll('time[data-i18n-date]').forEach(element => {
+            element.textContent = this.formatDate(element.getAttribute('datetime'));
+        });
+    },
+
+    /**
+     * Format a date for the current language
+     * @param {string|Date} date - ISO date or Date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T12:00:00`) : new Date(date);
+        return new Intl.DateTimeFormat(this.locale(), options).format(value);
+    }
+};
@@ -0,0 +1,266 @@
+/**
+ * ICALENDAR
+ * Builds iCalendar (.ics) files, RFC 5545. Times are written in the event's
+ * time zone with a VTIMEZONE generated from the browser's time zone data, so
+ * recurring events keep their local time across daylight saving changes
+ */
+export const ICalendar = {
+    productId: '-//Galenica Online//Follow-up planner//IT',
+
+    // Offsets are looked up this often while searching for daylight saving changes
+    scanStep: 24 * 60 * 60 * 1000,
+
+    /**
+     * Build a calendar
+     * @param {Array} events - { uid, start: 'YYYY-MM-DD', time: 'HH:MM', timeZone, duration (minutes),
+     *     title, description, url, repeat: { interval (days), count }, alarm: { before (minutes), description } }
+     * @returns {string} Calendar text with CRLF line endings
+     */
+    build(events) {
+        const zones = new Map();
+
+        events.forEach(event => {
+            const first = this.toInstant(event.start, event.time, event.timeZone);
+            const days = event.repeat ? event.repeat.interval * (event.repeat.count - 1) : 0;
+            const last = first + (days + 1) * 24 * 60 * 60 * 1000;
+            const range = zones.get(event.timeZone) || [first, last];
+            zones.set(event.timeZone, [Math.min(range[0], first), Math.max(range[1], last)]);
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        zones.forEach(([from, to], timeZone) => lines.push(...this.timeZone(timeZone, from, to)));
+        events.forEach(event => lines.push(...this.event(event)));
+        lines.push('END:VCALENDAR');
+
+        return `${lines.map(line => this.fold(line)).join('\r\n')}\r\n`;
+    },
+
+    /**
+     * Lines of a VEVENT
+     * @param {Object} event - Event as described in build()
+     * @returns {Array} Unfolded lines
+     */
+    event(event) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${this.formatUTC(Date.now())}`,
+            `DTSTART;TZID=${event.timeZone}:${event.start.replace(/-/g, '')}T${event.time.replace(':', '')}00`,
+            `DURATION:${this.formatDuration(event.duration || 30)}`,
+            `SUMMARY:${this.escape(event.title)}`
+        ];
+
+        if (event.repeat && event.repeat.count > 1) {
+            lines.push(`RRULE:FREQ=DAILY;INTERVAL=${event.repeat.interval};COUNT=${event.repeat.count}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${this.escape(event.description)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        if (event.alarm) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:-${this.formatDuration(event.alarm.before)}`,
+                `DESCRIPTION:${this.escape(event.alarm.description || event.title)}`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    },
+
+    /**
+     * Lines of a VTIMEZONE covering a period: the offset in force at the start,
+     * then one observance for every change up to the end
+     * @param {string} timeZone - IANA name, e.g. "Europe/Rome"
+     * @param {number} from - First instant to cover (ms)
+     * @param {number} to - Last instant to cover (ms)
+     * @returns {Array} Unfolded lines
+     */
+    timeZone(timeZone, from, to) {
+        const initial = this.getOffset(from, timeZone);
+        const observance = (type, start, offsetFrom, offsetTo) => [
+            `BEGIN:${type}`,
+            `DTSTART:${start}`,
+            `TZOFFSETFROM:${this.formatOffset(offsetFrom)}`,
+            `TZOFFSETTO:${this.formatOffset(offsetTo)}`,
+            `END:${type}`
+        ];
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observance('STANDARD', '19700101T000000', initial, initial)];
+
+        this.getTransitions(timeZone, from, to).forEach(({ at, offsetFrom, offsetTo }) => {
+            // Observances start at the local time before the change
+            const start = this.formatUTC(at + offsetFrom * 60000).replace('Z', '');
+            lines.push(...observance(offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD', start, offsetFrom, offsetTo));
+        });
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    },
+
+    /**
+     * Find the offset changes of a time zone in a period
+     * @param {string} timeZone - IANA name
+     * @param {number} from - Start (ms)
+     * @param {number} to - End (ms)
+     * @returns {Array} { at (ms), offsetFrom, offsetTo } with offsets in minutes
+     */
+    getTransitions(timeZone, from, to) {
+        const transitions = [];
+        let previous = this.getOffset(from, timeZone);
+
+        for (let time = from + this.scanStep; time < to + this.scanStep; time += this.scanStep) {
+            const offset = this.getOffset(time, timeZone);
+            if (offset === previous) {
+                continue;
+            }
+
+            // Narrow the change down to the minute
+            let low = time - this.scanStep;
+            let high = time;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (this.getOffset(middle, timeZone) === previous) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+
+            transitions.push({ at: high, offsetFrom: previous, offsetTo: offset });
+            previous = offset;
+        }
+
+        return transitions;
+    },
+
+    /**
+     * Get the UTC offset of a time zone at an instant
+     * @param {number} time - Instant (ms)
+     * @param {string} timeZone - IANA name
+     * @returns {number} Offset in minutes, e.g. 120 for UTC+2
+     */
+    getOffset(time, timeZone) {
+        this.formatters = this.formatters || new Map();
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+        }
+
+        const name = this.formatters.get(timeZone).formatToParts(time).find(part => part.type === 'timeZoneName').value;
+        const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+
+        return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+    },
+
+    /**
+     * Get the instant of a local date and time in a time zone
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {string} timeZone - IANA name
+     * @returns {number} Instant (ms)
+     */
+    toInstant(date, time, timeZone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const local = Date.UTC(year, month - 1, day, hours, minutes);
+        const guess = local - this.getOffset(local, timeZone) * 60000;
+
+        // A second pass corrects guesses that fall across a daylight saving change
+        return local - this.getOffset(guess, timeZone) * 60000;
+    },
+
+    /**
+     * Check that a time zone name is known to the browser
+     * @param {string} timeZone - IANA name
+     * @returns {boolean} True when usable
+     */
+    isTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Format an instant as a UTC date-time
+     * @param {number} time - Instant (ms)
+     * @returns {string} E.g. 20261019T080000Z
+     */
+    formatUTC(time) {
+        return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    /**
+     * Format a UTC offset
+     * @param {number} minutes - Offset in minutes
+     * @returns {string} E.g. +0200
+     */
+    formatOffset(minutes) {
+        const value = Math.abs(minutes);
+        return `${minutes < 0 ? '-' : '+'}${String(Math.floor(value / 60)).padStart(2, '0')}${String(value % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format a duration
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} E.g. P1D, PT1H or PT30M
+     */
+    formatDuration(minutes) {
+        if (minutes && minutes % 1440 === 0) {
+            return `P${minutes / 1440}D`;
+        }
+        if (minutes && minutes % 60 === 0) {
+            return `PT${minutes / 60}H`;
+        }
+        return `PT${minutes}M`;
+    },
+
+    /**
+     * Escape a text value
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * Fold a line longer than 75 octets, without splitting characters
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    fold(line) {
+        const encoder = new TextEncoder();
+        let folded = '';
+        let length = 0;
+
+        Array.from(line).forEach(character => {
+            const size = encoder.encode(character).length;
+            if (length + size > 75) {
+                folded += '\r\n ';
+                length = 1;
+            }
+            folded += character;
+            length += size;
+        });
+
+        return folded;
+    }
+};
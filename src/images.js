@@ -0,0 +1,251 @@
+import { Utils } from './utils.js';
+
+/**
+ * IMAGE MODULE
+ * Responsive, lazily loaded images. Mark an <img> with data-src and/or
+ * data-srcset (plus sizes or data-sizes) and optionally data-placeholder, a tiny
+ * image shown blurred until the real one arrives. Loading is left to the
+ * browser's loading="lazy" where supported, to an IntersectionObserver otherwise.
+ * Images with data-fallback-name turn into a generated initials avatar when they
+ * fail. Images added to the page later are picked up automatically
+ */
+export const Images = {
+    // Start loading this far before an image scrolls into view (observer fallback)
+    rootMargin: '200px 0px',
+
+    // Gradients of the generated avatars, picked from the name
+    avatarColors: [
+        ['#1e40af', '#0d9488'],
+        ['#0d9488', '#14b8a6'],
+        ['#f59e0b', '#d97706'],
+        ['#1d4ed8', '#3b82f6']
+    ],
+
+    selector: 'img[data-src], img[data-srcset]',
+
+    /**
+     * Initialize image loading
+     */
+    init() {
+        this.nativeLazy = 'loading' in HTMLImageElement.prototype;
+
+        if (!this.nativeLazy && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.observer.unobserve(entry.target);
+                        this.load(entry.target);
+                    }
+                });
+            }, { rootMargin: this.rootMargin });
+        }
+
+        this.observe(document);
+        this.watch();
+    },
+
+    /**
+     * Stop watching the page
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+
+        // Images still waiting for the observer are prepared again by the next init()
+        document.querySelectorAll('img[data-image-state="pending"]').forEach(img => {
+            delete img.dataset.imageState;
+        });
+    },
+
+    /**
+     * Build the markup of a responsive image
+     * @param {string|Object} image - URL or { src, srcset, sizes, placeholder, width, height }
+     * @param {Object} options - { className, alt, sizes, fallbackName: name for the initials avatar }
+     * @returns {string} <img> markup, loaded by the module once in the page
+     */
+    markup(image, options = {}) {
+        const source = typeof image === 'string' ? { src: image } : image;
+        const attributes = {
+            class: options.className,
+            alt: options.alt || '',
+            'data-src': source.src,
+            'data-srcset': source.srcset,
+            sizes: source.sizes || options.sizes,
+            'data-placeholder': source.placeholder,
+            'data-fallback-name': options.fallbackName,
+            width: source.width,
+            height: source.height
+        };
+
+        return `<img ${Object.keys(attributes)
+            .filter(name => attributes[name] !== undefined && attributes[name] !== '')
+            .map(name => `${name}="${Utils.escapeHTML(String(attributes[name]))}"`)
+            .join(' ')}>`;
+    },
+
+    /**
+     * Prepare every image waiting to load inside a root
+     * @param {Element|Document} root - Element to search
+     */
+    observe(root) {
+        if (root.matches && root.matches(this.selector)) {
+            this.prepare(root);
+        }
+        root.querySelectorAll(this.selector).forEach(img => this.prepare(img));
+    },
+
+    /**
+     * Show the placeholder, listen for the outcome and schedule loading
+     * @param {HTMLImageElement} img - Image with data-src/data-srcset
+     */
+    prepare(img) {
+        if (img.dataset.imageState) {
+            return;
+        }
+
+        img.dataset.imageState = 'pending';
+        img.classList.add('lazy-image');
+        if (img.dataset.placeholder) {
+            img.style.backgroundImage = `url("${img.dataset.placeholder.replace(/"/g, '%22')}")`;
+            img.classList.add('lazy-image--blurred');
+        }
+
+        img.addEventListener('load', () => this.handleLoad(img), { signal: this.signal });
+        img.addEventListener('error', () => this.handleError(img), { signal: this.signal });
+
+        if (this.nativeLazy) {
+            if (!img.hasAttribute('loading')) {
+                img.loading = 'lazy';
+            }
+            img.decoding = 'async';
+            this.load(img);
+        } else if (this.observer) {
+            this.observer.observe(img);
+        } else {
+            this.load(img);
+        }
+    },
+
+    /**
+     * Move data-sizes/data-srcset/data-src into the real attributes
+     * @param {HTMLImageElement} img - Prepared image
+     */
+    load(img) {
+        img.dataset.imageState = 'loading';
+
+        // sizes goes first so the browser picks the right candidate once
+        if (img.dataset.sizes) {
+            img.sizes = img.dataset.sizes;
+        }
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+        }
+
+        delete img.dataset.sizes;
+        delete img.dataset.srcset;
+        delete img.dataset.src;
+    },
+
+    /**
+     * Reveal a loaded image
+     * @param {HTMLImageElement} img - Loaded image
+     */
+    handleLoad(img) {
+        if (img.dataset.imageState === 'pending') {
+            return;
+        }
+
+        img.dataset.imageState = 'loaded';
+        img.classList.remove('lazy-image--blurred');
+        img.style.backgroundImage = '';
+    },
+
+    /**
+     * Replace a broken image with its initials avatar, or leave an empty frame
+     * @param {HTMLImageElement} img - Failed image
+     */
+    handleError(img) {
+        const name = img.dataset.fallbackName;
+
+        img.removeAttribute('srcset');
+        img.style.backgroundImage = '';
+        img.classList.remove('lazy-image--blurred');
+
+        if (name && img.dataset.imageState !== 'fallback') {
+            img.dataset.imageState = 'fallback';
+            img.src = this.avatar(name);
+        } else {
+            img.dataset.imageState = 'error';
+            img.removeAttribute('src');
+        }
+    },
+
+    /**
+     * Prepare images rendered after init (directory, news feed, ...)
+     */
+    watch() {
+        if (!('MutationObserver' in window)) {
+            return;
+        }
+
+        this.mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.observe(node);
+                    }
+                });
+            });
+        });
+
+        this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Get the initials of a name, ignoring titles such as "Dott.ssa"
+     * @param {string} name - Person's name
+     * @returns {string} Up to two capital letters
+     */
+    getInitials(name) {
+        return String(name)
+            .replace(/^Dott\.(ssa)?\s+/i, '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map(part => part.charAt(0).toUpperCase())
+            .join('');
+    },
+
+    /**
+     * Generate an initials avatar
+     * @param {string} name - Person's name; the same name always gets the same colours
+     * @returns {string} SVG data URL
+     */
+    avatar(name) {
+        const hash = Array.from(String(name)).reduce((sum, character) => (sum * 31 + character.charCodeAt(0)) >>> 0, 0);
+        const [from, to] = this.avatarColors[hash % this.avatarColors.length];
+        const svg = `
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+                <defs>
+                    <linearGradient id="avatar" x1="0" y1="0" x2="1" y2="1">
+                        <stop offset="0" stop-color="${from}"/>
+                        <stop offset="1" stop-color="${to}"/>
+                    </linearGradient>
+                </defs>
+                <rect width="100" height="100" fill="url(#avatar)"/>
+                <text x="50" y="50" dy="0.35em" text-anchor="middle" fill="#ffffff"
+                    font-family="Poppins, sans-serif" font-size="40" font-weight="700">${Utils.escapeHTML(this.getInitials(name))}</text>
+            </svg>
+        `;
+
+        return `data:image/svg+xml,${encodeURIComponent(svg.replace(/\s*\n\s*/g, ' ').trim())}`;
+    }
+};
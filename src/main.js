@@ -0,0 +1,16 @@
+import { App } from './app.js';
+import { Modules } from './modules.js';
+
+/**
+ * DOM Content Loaded Event Listener
+ * Registers every module and starts them once the DOM is fully loaded.
+ * Pages load script.js, the classic build of these modules made by
+ * `npm run build`
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    App.register(Modules);
+
+    // Pages such as benchmark.html start only the modules listed in <body data-modules>
+    const modules = document.body.dataset.modules;
+    App.start(modules ? modules.split(/\s+/).filter(Boolean) : undefined);
+});
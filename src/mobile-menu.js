@@ -0,0 +1,144 @@
+import { Analytics } from './analytics.js';
+import { Dialog } from './dialog.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * MOBILE MENU MODULE
+ * Handles mobile navigation menu functionality
+ */
+export const MobileMenu = {
+    dependencies: ['I18n', 'Dialog', 'Viewport', 'Analytics'],
+
+    /**
+     * Initialize mobile menu functionality
+     */
+    init() {
+        this.mobileMenuButton = document.querySelector('.mobile-menu-btn');
+        this.mobileMenu = document.getElementById('mobile-menu');
+        this.mobileMenuLinks = document.querySelectorAll('.mobile-menu__link');
+        
+        if (this.mobileMenuButton && this.mobileMenu) {
+            this.bindEvents();
+        }
+    },
+
+    /**
+     * Close the menu
+     */
+    destroy() {
+        if (this.mobileMenuButton && this.mobileMenu) {
+            this.closeMenu({ returnFocus: false });
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Toggle mobile menu
+        this.mobileMenuButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleMenu();
+        }, { signal: this.signal });
+
+        // Close mobile menu when clicking on links
+        this.mobileMenuLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                this.closeMenu();
+            }, { signal: this.signal });
+        });
+
+        // Close mobile menu when clicking outside, leaving focus where the click put it
+        document.addEventListener('click', (e) => {
+            if (!this.mobileMenuButton.contains(e.target) && !this.mobileMenu.contains(e.target)) {
+                this.closeMenu({ returnFocus: false });
+            }
+        }, { signal: this.signal });
+
+        // The Router moves the focus to the target
+        EventBus.on('route:change', () => {
+            this.closeMenu({ returnFocus: false });
+        }, { signal: this.signal });
+
+        // Close the menu once the viewport is wide enough for the desktop navigation
+        Viewport.subscribe({
+            write: (state) => {
+                if (state.resized && state.width >= 768) {
+                    this.closeMenu({ returnFocus: false });
+                }
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Toggle mobile menu state
+     */
+    toggleMenu() {
+        const isExpanded = this.mobileMenuButton.getAttribute('aria-expanded') === 'true';
+        Analytics.track('mobile_menu', { action: isExpanded ? 'close' : 'open' });
+
+        if (isExpanded) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    },
+
+    /**
+     * Open mobile menu as a dialog: the button and the links stay reachable, the page does not
+     */
+    openMenu() {
+        this.mobileMenuButton.setAttribute('aria-expanded', 'true');
+        this.mobileMenu.classList.add('active');
+        this.updateLabel(true);
+        this.updateIcon(true);
+
+        Dialog.open(this.mobileMenu, {
+            trigger: this.mobileMenuButton,
+            containers: [this.mobileMenuButton, this.mobileMenu],
+            initialFocus: this.mobileMenu.querySelector('.mobile-menu__link'),
+            onDismiss: () => this.closeMenu()
+        });
+    },
+
+    /**
+     * Close mobile menu
+     * @param {Object} options - { returnFocus: false to keep focus where it is }
+     */
+    closeMenu(options = {}) {
+        if (!Dialog.isOpen(this.mobileMenu)) {
+            return;
+        }
+
+        this.mobileMenuButton.setAttribute('aria-expanded', 'false');
+        this.mobileMenu.classList.remove('active');
+        this.updateLabel(false);
+        this.updateIcon(false);
+
+        Dialog.close(this.mobileMenu, options);
+    },
+
+    /**
+     * Swap the bars and close icons
+     * @param {boolean} isOpen - Whether the menu is open
+     */
+    updateIcon(isOpen) {
+        const icon = this.mobileMenuButton.querySelector('i');
+        if (icon) {
+            icon.classList.toggle('fa-bars', !isOpen);
+            icon.classList.toggle('fa-times', isOpen);
+        }
+    },
+
+    /**
+     * Describe the button's next action in the current language
+     * @param {boolean} isOpen - Whether the menu is open
+     */
+    updateLabel(isOpen) {
+        const key = isOpen ? 'nav.closeMenu' : 'nav.openMenu';
+        this.mobileMenuButton.dataset.i18nAttr = `aria-label:${key}`;
+        this.mobileMenuButton.setAttribute('aria-label', I18n.t(key));
+    }
+};
@@ -0,0 +1,68 @@
+import { Analytics } from './analytics.js';
+import { Auth } from './auth.js';
+import { Booking } from './booking.js';
+import { CallbackRequest } from './callback-request.js';
+import { Chat } from './chat.js';
+import { Consent } from './consent.js';
+import { Dialog } from './dialog.js';
+import { DoctorDirectory } from './doctor-directory.js';
+import { DocumentUpload } from './document-upload.js';
+import { ErrorHandler } from './error-handler.js';
+import { FAQ } from './faq.js';
+import { FollowUpPlanner } from './follow-up-planner.js';
+import { HeaderScroll } from './header-scroll.js';
+import { I18n } from './i18n.js';
+import { Images } from './images.js';
+import { MobileMenu } from './mobile-menu.js';
+import { Motion } from './motion.js';
+import { News } from './news.js';
+import { PathologyFinder } from './pathology-finder.js';
+import { Performance } from './performance.js';
+import { PWA } from './pwa.js';
+import { ReviewForm } from './review-form.js';
+import { Router } from './router.js';
+import { ScrollAnimations } from './scroll-animations.js';
+import { ScrollSpy } from './scroll-spy.js';
+import { ScrollToTop } from './scroll-to-top.js';
+import { SiteContent } from './site-content.js';
+import { Testimonials } from './testimonials.js';
+import { Theme } from './theme.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * MODULES
+ * Every module a page can start, by name
+ * Registration order is the start order, except that dependencies go first
+ */
+export const Modules = {
+    ErrorHandler,
+    Performance,
+    I18n,
+    Motion,
+    Theme,
+    Consent,
+    Analytics,
+    Dialog,
+    Viewport,
+    Images,
+    Auth,
+    MobileMenu,
+    ScrollToTop,
+    Router,
+    SiteContent,
+    FAQ,
+    ScrollAnimations,
+    HeaderScroll,
+    ScrollSpy,
+    Booking,
+    CallbackRequest,
+    Chat,
+    DocumentUpload,
+    FollowUpPlanner,
+    Testimonials,
+    ReviewForm,
+    DoctorDirectory,
+    PathologyFinder,
+    News,
+    PWA
+};
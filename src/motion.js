@@ -0,0 +1,81 @@
+import { EventBus } from './event-bus.js';
+
+/**
+ * MOTION MODULE
+ * Decides whether the page animates. Follows prefers-reduced-motion live,
+ * unless the visitor overrode it in the display panel (<html data-motion>).
+ * Modules ask isReduced() before animating; "motion:change" reports changes
+ */
+export const Motion = {
+    /**
+     * Initialize the motion policy
+     */
+    init() {
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.reduced = this.isReduced();
+
+        if (this.query) {
+            this.query.addEventListener('change', () => this.update(), { signal: this.signal });
+        }
+    },
+
+    /**
+     * Check whether animations should be skipped
+     * Reads the page state, so it answers correctly before init too
+     * @returns {boolean} True for the "reduce" override, or the system setting when not overridden
+     */
+    isReduced() {
+        const override = document.documentElement.dataset.motion;
+        if (override === 'reduce' || override === 'full') {
+            return override === 'reduce';
+        }
+
+        const query = this.query || (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)'));
+        return Boolean(query && query.matches);
+    },
+
+    /**
+     * Set the site-level override
+     * @param {string|null} value - "reduce", "full" or null to follow the system
+     */
+    setOverride(value) {
+        if (value === 'reduce' || value === 'full') {
+            document.documentElement.dataset.motion = value;
+        } else {
+            delete document.documentElement.dataset.motion;
+        }
+
+        this.update();
+    },
+
+    /**
+     * Announce "motion:change" when the outcome changed
+     */
+    update() {
+        const reduced = this.isReduced();
+        if (reduced === this.reduced) {
+            return;
+        }
+
+        this.reduced = reduced;
+        EventBus.emit('motion:change', { reduced });
+    },
+
+    /**
+     * Scroll behaviour for window.scrollTo() and scrollIntoView()
+     * "instant" rather than "auto", which would pick up the smooth scroll-behavior in CSS
+     * @returns {string} "smooth" or "instant"
+     */
+    scrollBehavior() {
+        return this.isReduced() ? 'instant' : 'smooth';
+    },
+
+    /**
+     * Duration for a scripted animation or delay
+     * @param {number} duration - Duration in milliseconds when motion is allowed
+     * @returns {number} The duration, or 0 when motion is reduced
+     */
+    duration(duration) {
+        return this.isReduced() ? 0 : duration;
+    }
+};
@@ -0,0 +1,568 @@
+import { Dialog } from './dialog.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Images } from './images.js';
+import { MobileMenu } from './mobile-menu.js';
+import { Router } from './router.js';
+import { Utils } from './utils.js';
+
+/**
+ * NEWS MODULE
+ * Loads articles from a JSON Feed, RSS or Atom file, with tag filters,
+ * "load more" pagination and a linkable article dialog (#news/<id>)
+ */
+export const News = {
+    dependencies: ['I18n', 'Dialog', 'Router', 'SiteContent', 'Images', 'MobileMenu'],
+
+    // Feed HTML keeps only these elements; others are unwrapped, keeping their text
+    allowedTags: [
+        'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's',
+        'small', 'sub', 'sup', 'mark', 'abbr', 'time', 'span', 'div', 'blockquote', 'q', 'cite',
+        'code', 'pre', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img', 'figure', 'figcaption',
+        'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+    ],
+
+    // Elements removed together with their content
+    droppedTags: ['script', 'style', 'template', 'iframe', 'frame', 'object', 'embed', 'form', 'noscript'],
+
+    // Attributes kept, by element; '*' applies to every element
+    allowedAttributes: {
+        '*': ['title', 'lang', 'dir'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        ol: ['start'],
+        time: ['datetime'],
+        th: ['colspan', 'rowspan', 'scope'],
+        td: ['colspan', 'rowspan']
+    },
+
+    // Kept only when they parse to one of these protocols
+    urlAttributes: ['href', 'src'],
+
+    safeProtocols: ['http:', 'https:', 'mailto:'],
+
+    /**
+     * Initialize news functionality
+     */
+    init() {
+        this.section = document.getElementById('news');
+        this.grid = this.section?.querySelector('.news-grid[data-source]');
+        this.articles = [];
+
+        if (this.grid) {
+            this.pageSize = Number(this.grid.dataset.pageSize) || 3;
+            this.state = { tag: '', visible: this.pageSize };
+            this.buildControls();
+            this.buildDialog();
+            this.bindEvents();
+            this.load();
+        }
+    },
+
+    /**
+     * Close the article and remove the controls
+     */
+    destroy() {
+        if (!this.grid) {
+            return;
+        }
+
+        this.close({ fromRoute: true });
+        this.filters.remove();
+        this.footer.remove();
+        this.dialog.remove();
+    },
+
+    /**
+     * Fetch and parse the feed
+     * @returns {Promise} Resolves once the articles are rendered
+     */
+    load() {
+        this.grid.setAttribute('aria-busy', 'true');
+
+        return fetch(this.grid.dataset.source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`News feed error ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                this.setArticles(this.parseFeed(text));
+                this.route();
+            })
+            .catch(error => {
+                console.error('News feed error:', error);
+                this.status.textContent = I18n.t('news.loadError');
+            })
+            .finally(() => {
+                this.grid.removeAttribute('aria-busy');
+            });
+    },
+
+    /**
+     * Parse a feed of any supported format
+     * @param {string} text - Raw feed
+     * @returns {Array} Normalised articles
+     */
+    parseFeed(text) {
+        return text.trim().startsWith('{')
+            ? this.parseJSONFeed(JSON.parse(text))
+            : this.parseXMLFeed(text);
+    },
+
+    /**
+     * Read a JSON Feed (https://jsonfeed.org)
+     * Translations live in the "_i18n" extension, keyed by language, and
+     * responsive variants of "image" in "_image": { srcset, placeholder, width, height }
+     * @param {Object} feed - Parsed JSON Feed
+     * @returns {Array} Normalised articles
+     */
+    parseJSONFeed(feed) {
+        return (feed.items || []).map(item => ({
+            id: item.id || item.url || item.title,
+            url: item.url || '',
+            title: item.title || '',
+            summary: item.summary || '',
+            content: item.content_html || Utils.escapeHTML(item.content_text || ''),
+            date: item.date_published || item.date_modified || '',
+            tags: item.tags || [],
+            image: item.image && item._image ? Object.assign({ src: item.image }, item._image) : item.image || '',
+            translations: item._i18n || {}
+        }));
+    },
+
+    /**
+     * Read an RSS 2.0 or Atom feed
+     * @param {string} text - Feed XML
+     * @returns {Array} Normalised articles
+     */
+    parseXMLFeed(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        const read = (node, name) => node.getElementsByTagName(name)[0]?.textContent.trim() || '';
+
+        if (xml.getElementsByTagName('parsererror').length) {
+            throw new Error('News feed is not valid XML');
+        }
+
+        return Array.from(xml.querySelectorAll('item, entry')).map(node => {
+            const link = node.querySelector('link[rel="alternate"], link');
+            const image = node.querySelector('enclosure[type^="image"]');
+            const content = read(node, 'content:encoded') || read(node, 'content') || read(node, 'description');
+
+            return {
+                id: read(node, 'guid') || read(node, 'id') || read(node, 'title'),
+                url: link ? (link.getAttribute('href') || link.textContent.trim()) : '',
+                title: read(node, 'title'),
+                summary: read(node, 'summary') || read(node, 'description'),
+                content,
+                date: read(node, 'pubDate') || read(node, 'published') || read(node, 'updated'),
+                tags: Array.from(node.getElementsByTagName('category')).map(category => category.getAttribute('term') || category.textContent.trim()),
+                image: image ? image.getAttribute('url') : '',
+                translations: {}
+            };
+        });
+    },
+
+    /**
+     * Store the articles newest first, with stable ids and plain-text summaries
+     * Both feed formats make the date optional: undated articles go last
+     * @param {Array} articles - Normalised articles
+     */
+    setArticles(articles) {
+        this.articles = articles
+            .map(article => {
+                const date = new Date(article.date);
+                return Object.assign({}, article, {
+                    id: Utils.slugify(article.id),
+                    date: isNaN(date) ? '' : date.toISOString()
+                });
+            })
+            .filter(article => article.id && article.title)
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        this.renderFilters();
+        this.render();
+    },
+
+    /**
+     * Get an article field in the current language
+     * @param {Object} article - Article
+     * @param {string} field - title, summary or content
+     * @returns {string} Localised value
+     */
+    localize(article, field) {
+        const translation = article.translations[I18n.language] || {};
+        const key = field === 'content' ? 'content_html' : field;
+        return translation[key] || article[field];
+    },
+
+    /**
+     * Get a plain-text summary, falling back to the start of the content
+     * @param {Object} article - Article
+     * @returns {string} Summary text
+     */
+    getSummary(article) {
+        const summary = this.toText(this.localize(article, 'summary'));
+        if (summary) {
+            return summary;
+        }
+
+        const text = this.toText(this.localize(article, 'content'));
+        return text.length > 160 ? `${text.slice(0, 157).trim()}…` : text;
+    },
+
+    /**
+     * Strip markup from feed HTML
+     * @param {string} html - HTML fragment
+     * @returns {string} Text content
+     */
+    toText(html) {
+        return new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html').body.textContent.trim();
+    },
+
+    /**
+     * Keep only the allowed elements and attributes of feed HTML
+     * @param {string} html - HTML fragment
+     * @returns {string} Safe HTML
+     */
+    sanitize(html) {
+        const body = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html').body;
+
+        // Deepest first, so an unwrapped element hands over children already cleaned
+        Array.from(body.querySelectorAll('*')).reverse().forEach(element => {
+            const tag = element.localName;
+
+            // SVG and MathML content is dropped whole: its links use other attributes
+            if (element.namespaceURI !== 'http://www.w3.org/1999/xhtml' || this.droppedTags.includes(tag)) {
+                element.remove();
+                return;
+            }
+
+            if (!this.allowedTags.includes(tag)) {
+                element.replaceWith(...element.childNodes);
+                return;
+            }
+
+            const allowed = this.allowedAttributes['*'].concat(this.allowedAttributes[tag] || []);
+            Array.from(element.attributes).forEach(attribute => {
+                const isURL = this.urlAttributes.includes(attribute.name);
+                if (!allowed.includes(attribute.name) || (isURL && !this.isSafeURL(attribute.value))) {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+        });
+
+        return body.innerHTML;
+    },
+
+    /**
+     * Check a feed URL the way the browser will read it
+     * (the URL parser drops tabs and newlines, so "java&#9;script:" is javascript:)
+     * @param {string} value - Attribute value
+     * @returns {boolean} True for http:, https: and mailto: URLs
+     */
+    isSafeURL(value) {
+        try {
+            return this.safeProtocols.includes(new URL(value, document.baseURI).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Get a tag's label in the current language
+     * @param {string} tag - Tag as written in the feed
+     * @returns {string} Label
+     */
+    getTagLabel(tag) {
+        const key = `news.tags.${Utils.slugify(tag)}`;
+        return I18n.has(key) ? I18n.t(key) : tag;
+    },
+
+    /**
+     * Create the tag filters, the status line and the "load more" button
+     */
+    buildControls() {
+        this.filters = document.createElement('div');
+        this.filters.className = 'news-filters';
+        this.filters.setAttribute('role', 'group');
+        this.filters.setAttribute('aria-label', I18n.t('news.filterLabel'));
+        this.filters.setAttribute('data-i18n-attr', 'aria-label:news.filterLabel');
+        this.grid.parentNode.insertBefore(this.filters, this.grid);
+
+        this.footer = document.createElement('div');
+        this.footer.className = 'news-footer';
+        this.footer.innerHTML = `
+            <p class="news-footer__status" role="status" aria-live="polite"></p>
+            <button type="button" class="btn btn--outline news-footer__more" data-i18n="news.more" hidden>${I18n.t('news.more')}</button>
+        `;
+        this.grid.parentNode.insertBefore(this.footer, this.grid.nextSibling);
+
+        this.status = this.footer.querySelector('.news-footer__status');
+        this.moreButton = this.footer.querySelector('.news-footer__more');
+    },
+
+    /**
+     * Create the article dialog and append it to the body
+     */
+    buildDialog() {
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'news-dialog';
+        this.dialog.hidden = true;
+        this.dialog.innerHTML = `
+            <div class="news-dialog__backdrop" data-news-close></div>
+            <article class="news-dialog__panel" role="dialog" aria-modal="true" aria-labelledby="news-dialog-title" tabindex="-1">
+                <div class="news-dialog__header">
+                    <time class="news-dialog__date"></time>
+                    <button type="button" class="news-dialog__close" data-news-close
+                        aria-label="${I18n.t('news.close')}" data-i18n-attr="aria-label:news.close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <h2 class="news-dialog__title" id="news-dialog-title"></h2>
+                <ul class="news-dialog__tags"></ul>
+                <div class="news-dialog__content"></div>
+            </article>
+        `;
+
+        document.body.appendChild(this.dialog);
+        this.panel = this.dialog.querySelector('.news-dialog__panel');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.filters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.news-filters__chip');
+            if (chip) {
+                this.update({ tag: chip.dataset.tag, visible: this.pageSize });
+            }
+        }, { signal: this.signal });
+
+        this.moreButton.addEventListener('click', () => {
+            this.loadMore();
+        }, { signal: this.signal });
+
+        // Links opened from the page push a history entry that closing can pop
+        this.grid.addEventListener('click', (e) => {
+            if (e.target.closest('.news-card__link')) {
+                this.openedFromPage = true;
+            }
+        }, { signal: this.signal });
+
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target.closest('[data-news-close]')) {
+                this.close();
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('route:change', () => {
+            this.route();
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            if (this.articles.length) {
+                this.renderFilters();
+                this.render();
+            }
+            if (this.current) {
+                this.renderArticle(this.current);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Apply a state change and re-render
+     * @param {Object} changes - Partial state
+     */
+    update(changes) {
+        this.state = Object.assign({}, this.state, changes);
+        this.renderFilters();
+        this.render();
+    },
+
+    /**
+     * Show the next page of articles and move focus to the first new one
+     */
+    loadMore() {
+        const firstNew = this.state.visible;
+
+        this.update({ visible: this.state.visible + this.pageSize });
+
+        const link = this.grid.querySelectorAll('.news-card__link')[firstNew];
+        if (link) {
+            link.focus();
+        }
+    },
+
+    /**
+     * Get the distinct tags across all articles
+     * @returns {Array} Tags sorted by label
+     */
+    getTags() {
+        const all = this.articles.reduce((list, article) => list.concat(article.tags), []);
+        return Array.from(new Set(all)).sort((a, b) => this.getTagLabel(a).localeCompare(this.getTagLabel(b), I18n.locale()));
+    },
+
+    /**
+     * Render one filter chip per tag plus "All"
+     */
+    renderFilters() {
+        const tags = this.getTags();
+        const chips = [{ value: '', label: I18n.t('news.all') }].concat(
+            tags.map(tag => ({ value: tag, label: this.getTagLabel(tag) }))
+        );
+
+        this.filters.hidden = !tags.length;
+        this.filters.innerHTML = chips.map(chip => `
+            <button type="button" class="news-filters__chip" data-tag="${Utils.escapeHTML(chip.value)}"
+                aria-pressed="${chip.value === this.state.tag}">${Utils.escapeHTML(chip.label)}</button>
+        `).join('');
+    },
+
+    /**
+     * Get the articles matching the tag filter
+     * @returns {Array} Filtered articles
+     */
+    getFilteredArticles() {
+        return this.articles.filter(article => !this.state.tag || article.tags.includes(this.state.tag));
+    },
+
+    /**
+     * Render the current page of cards
+     */
+    render() {
+        const articles = this.getFilteredArticles();
+        const visible = articles.slice(0, this.state.visible);
+
+        this.grid.innerHTML = visible.length
+            ? visible.map(article => this.renderCard(article)).join('')
+            : `<p class="news-footer__empty">${I18n.t('news.empty')}</p>`;
+
+        this.moreButton.hidden = visible.length >= articles.length;
+        this.status.textContent = articles.length
+            ? I18n.t('news.count', { shown: visible.length, count: articles.length })
+            : '';
+    },
+
+    /**
+     * Build the markup for a news card
+     * @param {Object} article - Article
+     * @returns {string} Card HTML
+     */
+    renderCard(article) {
+        return `
+            <article class="news-card" data-article-id="${article.id}">
+                ${article.image
+                    ? Images.markup(article.image, { className: 'news-card__image', sizes: '(min-width: 1024px) 400px, (min-width: 700px) 50vw, 100vw' })
+                    : '<div class="news-card__image"></div>'}
+                <div class="news-card__body">
+                    ${article.date ? `<time class="news-card__date" datetime="${article.date}">${I18n.formatDate(article.date)}</time>` : ''}
+                    <h3 class="news-card__title">
+                        <a class="news-card__link" href="#news/${article.id}">${Utils.escapeHTML(this.localize(article, 'title'))}</a>
+                    </h3>
+                    <p class="news-card__text">${Utils.escapeHTML(this.getSummary(article))}</p>
+                    ${this.renderTags(article, 'news-card__tags')}
+                </div>
+            </article>
+        `;
+    },
+
+    /**
+     * Build a tag list
+     * @param {Object} article - Article
+     * @param {string} className - List class
+     * @returns {string} List HTML
+     */
+    renderTags(article, className) {
+        if (!article.tags.length) {
+            return '';
+        }
+
+        return `
+            <ul class="${className}">
+                ${article.tags.map(tag => `<li class="news-tag">${Utils.escapeHTML(this.getTagLabel(tag))}</li>`).join('')}
+            </ul>
+        `;
+    },
+
+    /**
+     * Open or close the dialog to match the current route
+     */
+    route() {
+        const route = Router.current;
+        const article = route.name === 'news' && this.articles.find(item => item.id === route.params.id);
+
+        if (article) {
+            this.open(article);
+        } else if (this.current) {
+            this.close({ fromRoute: true });
+        }
+    },
+
+    /**
+     * Show an article in the dialog
+     * @param {Object} article - Article
+     */
+    open(article) {
+        if (!this.current) {
+            this.trigger = document.activeElement;
+        }
+
+        this.current = article;
+        this.renderArticle(article);
+
+        MobileMenu.closeMenu({ returnFocus: false });
+        this.dialog.hidden = false;
+        this.panel.scrollTop = 0;
+        Dialog.open(this.dialog, {
+            trigger: this.trigger,
+            containers: [this.panel],
+            initialFocus: this.panel,
+            onDismiss: () => this.close()
+        });
+    },
+
+    /**
+     * Fill the dialog with an article
+     * @param {Object} article - Article
+     */
+    renderArticle(article) {
+        const date = this.dialog.querySelector('.news-dialog__date');
+
+        date.hidden = !article.date;
+        date.setAttribute('datetime', article.date);
+        date.textContent = article.date ? I18n.formatDate(article.date) : '';
+        this.dialog.querySelector('.news-dialog__title').textContent = this.localize(article, 'title');
+        this.dialog.querySelector('.news-dialog__tags').outerHTML = this.renderTags(article, 'news-dialog__tags') || '<ul class="news-dialog__tags"></ul>';
+        this.dialog.querySelector('.news-dialog__content').innerHTML = this.sanitize(this.localize(article, 'content'));
+    },
+
+    /**
+     * Close the dialog, restore the URL and return focus
+     * @param {Object} options - { fromRoute: the hash already changed }
+     */
+    close(options = {}) {
+        if (!this.current) {
+            return;
+        }
+
+        const article = this.current;
+        this.current = null;
+        this.dialog.hidden = true;
+
+        if (!options.fromRoute) {
+            if (this.openedFromPage) {
+                history.back();
+            } else {
+                Router.navigate('#news', { replace: true, scroll: false });
+            }
+        }
+        this.openedFromPage = false;
+
+        const link = this.grid.querySelector(`[data-article-id="${article.id}"] .news-card__link`);
+        Dialog.close(this.dialog, { returnFocus: link || this.trigger });
+    }
+};
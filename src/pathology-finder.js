@@ -0,0 +1,355 @@
+import { DoctorDirectory } from './doctor-directory.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Motion } from './motion.js';
+import { Utils } from './utils.js';
+
+/**
+ * PATHOLOGY FINDER MODULE
+ * Type-ahead search over the pathology cards with specialist suggestions
+ * The pathology-to-doctor mapping is loaded from JSON
+ */
+export const PathologyFinder = {
+    dependencies: ['I18n', 'Motion', 'SiteContent', 'DoctorDirectory'],
+
+    /**
+     * Initialize pathology finder functionality
+     */
+    init() {
+        this.container = document.querySelector('.pathology-finder');
+        this.cards = document.querySelectorAll('#patologies .patology-card');
+        this.maxSuggestions = 8;
+        this.mapping = { areas: [], conditions: {} };
+        this.activeIndex = -1;
+        this.selected = null;
+        this.markup = undefined;
+
+        if (this.container && this.cards.length) {
+            // Restored by destroy()
+            this.markup = this.container.innerHTML;
+            this.buildIndex();
+            this.buildControls();
+            this.bindEvents();
+            this.loadMapping();
+        }
+    },
+
+    /**
+     * Put back the original finder markup
+     */
+    destroy() {
+        if (this.markup === undefined) {
+            return;
+        }
+
+        this.clearHighlight();
+        this.container.innerHTML = this.markup;
+    },
+
+    /**
+     * Load the pathology-to-specialist mapping
+     * Conditions are keyed by the items' data-condition ids
+     */
+    loadMapping() {
+        fetch(this.container.dataset.source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Pathology mapping error ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(mapping => {
+                this.mapping = mapping;
+            })
+            .catch(error => {
+                console.error('Pathology finder error:', error);
+            });
+    },
+
+    /**
+     * Index every pathology card item for searching
+     * Names come from the translated page, ids from data-area/data-condition
+     */
+    buildIndex() {
+        this.entries = [];
+
+        this.cards.forEach(card => {
+            const areaTitle = card.querySelector('.patology-card__title').textContent.trim();
+            const areaId = card.dataset.area || Utils.slugify(areaTitle);
+            card.dataset.area = areaId;
+
+            card.querySelectorAll('.patology-card__item').forEach(item => {
+                const name = item.textContent.trim();
+                this.entries.push({
+                    id: item.dataset.condition || Utils.slugify(name),
+                    name,
+                    key: Utils.normalizeText(name),
+                    areaId,
+                    areaTitle,
+                    card,
+                    item
+                });
+            });
+        });
+    },
+
+    /**
+     * Create the combobox and result panel
+     */
+    buildControls() {
+        this.container.innerHTML = `
+            <label class="pathology-finder__label" for="pathology-search" data-i18n="finder.label">${I18n.t('finder.label')}</label>
+            <div class="pathology-finder__field">
+                <i class="fas fa-search pathology-finder__icon" aria-hidden="true"></i>
+                <input class="pathology-finder__input" id="pathology-search" type="text" autocomplete="off"
+                    placeholder="${I18n.t('finder.placeholder')}" data-i18n-attr="placeholder:finder.placeholder" role="combobox" aria-expanded="false"
+                    aria-controls="pathology-suggestions" aria-autocomplete="list">
+                <ul class="pathology-finder__suggestions" id="pathology-suggestions" role="listbox" aria-label="${I18n.t('finder.listLabel')}" data-i18n-attr="aria-label:finder.listLabel" hidden></ul>
+            </div>
+            <p class="pathology-finder__status" role="status" aria-live="polite"></p>
+            <div class="pathology-finder__result" hidden></div>
+        `;
+
+        this.input = this.container.querySelector('.pathology-finder__input');
+        this.listbox = this.container.querySelector('.pathology-finder__suggestions');
+        this.status = this.container.querySelector('.pathology-finder__status');
+        this.result = this.container.querySelector('.pathology-finder__result');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.input.addEventListener('input', Utils.debounce(() => {
+            this.search(this.input.value);
+        }, 150), { signal: this.signal });
+
+        this.input.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        }, { signal: this.signal });
+
+        this.listbox.addEventListener('mousedown', (e) => {
+            // Keep focus in the input while choosing with the mouse
+            e.preventDefault();
+        }, { signal: this.signal });
+
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.select(this.suggestions[Number(option.dataset.index)]);
+            }
+        }, { signal: this.signal });
+
+        this.input.addEventListener('blur', () => {
+            this.closeSuggestions();
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            this.translate();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Re-index the translated names and refresh any open result
+     */
+    translate() {
+        const selectedId = this.selected ? this.selected.id : null;
+
+        this.buildIndex();
+        this.selected = this.entries.find(entry => entry.id === selectedId) || null;
+
+        if (this.selected) {
+            this.input.value = this.selected.name;
+            this.renderResult(this.selected);
+        } else if (this.input.value) {
+            this.search(this.input.value);
+            this.closeSuggestions();
+        }
+    },
+
+    /**
+     * Find entries matching the query, best matches first
+     * @param {string} query - Text typed by the user
+     */
+    search(query) {
+        const key = Utils.normalizeText(query);
+        this.clearHighlight();
+        this.selected = null;
+
+        if (key.length < 2) {
+            this.suggestions = [];
+            this.renderSuggestions();
+            this.status.textContent = '';
+            return;
+        }
+
+        this.suggestions = this.entries
+            .filter(entry => entry.key.includes(key) || Utils.normalizeText(entry.areaTitle).includes(key))
+            .sort((a, b) => Number(!a.key.startsWith(key)) - Number(!b.key.startsWith(key)) || a.name.localeCompare(b.name, I18n.locale()))
+            .slice(0, this.maxSuggestions);
+
+        this.suggestions.forEach(entry => {
+            entry.card.classList.add('is-match');
+            entry.item.classList.add('is-match');
+        });
+
+        this.renderSuggestions();
+        this.status.textContent = this.suggestions.length
+            ? I18n.t('finder.results', { count: this.suggestions.length })
+            : I18n.t('finder.noResults');
+    },
+
+    /**
+     * Render the suggestion list
+     */
+    renderSuggestions() {
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (!this.suggestions.length) {
+            this.closeSuggestions();
+            return;
+        }
+
+        this.listbox.innerHTML = this.suggestions.map((entry, index) => `
+            <li class="pathology-finder__option" id="pathology-option-${index}" role="option" data-index="${index}" aria-selected="false">
+                <span class="pathology-finder__option-name">${Utils.highlight(entry.name, this.input.value)}</span>
+                <span class="pathology-finder__option-area">${Utils.escapeHTML(entry.areaTitle)}</span>
+            </li>
+        `).join('');
+
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    },
+
+    /**
+     * Hide the suggestion list
+     */
+    closeSuggestions() {
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    },
+
+    /**
+     * Handle combobox keyboard interaction
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const count = this.suggestions ? this.suggestions.length : 0;
+
+        if (e.key === 'ArrowDown' && count) {
+            e.preventDefault();
+            this.setActive((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count) {
+            e.preventDefault();
+            this.setActive((this.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter' && this.activeIndex > -1) {
+            e.preventDefault();
+            this.select(this.suggestions[this.activeIndex]);
+        } else if (e.key === 'Escape') {
+            if (!this.listbox.hidden) {
+                e.stopPropagation();
+                this.closeSuggestions();
+            } else {
+                this.input.value = '';
+                this.search('');
+            }
+        }
+    },
+
+    /**
+     * Move the active option
+     * @param {number} index - Option index
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        this.listbox.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+            const isActive = optionIndex === index;
+            option.setAttribute('aria-selected', String(isActive));
+            option.classList.toggle('is-active', isActive);
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    },
+
+    /**
+     * Choose a pathology: highlight its card and suggest specialists
+     * @param {Object} entry - Selected index entry
+     */
+    select(entry) {
+        this.input.value = entry.name;
+        this.closeSuggestions();
+        this.clearHighlight();
+
+        entry.card.classList.add('is-selected');
+        entry.item.classList.add('is-match');
+        this.selected = entry;
+
+        this.renderResult(entry);
+        entry.card.scrollIntoView({ behavior: Motion.scrollBehavior(), block: 'nearest' });
+    },
+
+    /**
+     * Get the doctors who treat a condition
+     * @param {Object} entry - Index entry
+     * @returns {Array} Doctor records
+     */
+    getDoctorsFor(entry) {
+        const area = this.mapping.areas.find(item => item.id === entry.areaId);
+        const ids = this.mapping.conditions[entry.id] || (area ? area.doctors : []);
+        const directory = DoctorDirectory.doctors || [];
+
+        return ids.map(id => directory.find(doctor => doctor.id === id) || { id, name: id, specializations: [] });
+    },
+
+    /**
+     * Render the specialist suggestions for a condition
+     * @param {Object} entry - Selected index entry
+     */
+    renderResult(entry) {
+        const doctors = this.getDoctorsFor(entry);
+
+        this.result.innerHTML = `
+            <h3 class="pathology-finder__result-title">${Utils.escapeHTML(entry.name)}
+                <span class="pathology-finder__result-area">${Utils.escapeHTML(entry.areaTitle)}</span>
+            </h3>
+            ${doctors.length ? `
+                <p class="pathology-finder__result-text">${I18n.t('finder.doctorsIntro')}</p>
+                <ul class="pathology-finder__doctors">
+                    ${doctors.map(doctor => `
+                        <li>
+                            <a href="#doctors/${encodeURIComponent(doctor.id)}" class="pathology-finder__doctor">
+                                <i class="fas fa-user-md" aria-hidden="true"></i>
+                                <span>${Utils.escapeHTML(doctor.name)}</span>
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : `
+                <p class="pathology-finder__result-text">${I18n.t('finder.noDoctors')}</p>
+            `}
+            <button type="button" class="btn btn--primary pathology-finder__book" data-booking-trigger
+                data-area="${entry.areaId}" ${doctors.length === 1 ? `data-doctor="${Utils.escapeHTML(doctors[0].id)}"` : ''}>
+                <i class="fas fa-calendar-check" aria-hidden="true"></i>
+                ${I18n.t('finder.book')}
+            </button>
+        `;
+
+        this.result.hidden = false;
+        this.status.textContent = I18n.t('finder.resultStatus', { name: entry.name, count: doctors.length });
+    },
+
+    /**
+     * Remove all match highlighting from the cards
+     */
+    clearHighlight() {
+        this.cards.forEach(card => card.classList.remove('is-match', 'is-selected'));
+        this.entries.forEach(entry => entry.item.classList.remove('is-match'));
+    }
+};
@@ -0,0 +1,506 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+
+/**
+ * ANALYTICS PERFORMANCE SINK
+ * Default destination for performance reports: the consent-gated Analytics queue
+ */
+export const AnalyticsPerformanceSink = {
+    /**
+     * Forward a report
+     * @param {Object} event - Performance event
+     */
+    send(event) {
+        Analytics.track(event.name, event.params);
+    }
+};
+
+/**
+ * PERFORMANCE MONITORING
+ * Collects Core Web Vitals, long tasks and third-party resource timing with
+ * PerformanceObserver and reports them to pluggable sinks for a sample of
+ * page views. Add ?perf to the URL to show the live values in an overlay
+ */
+export const Performance = {
+    dependencies: ['I18n', 'Analytics'],
+
+    metrics: {},
+
+    reported: {},
+
+    sinks: [AnalyticsPerformanceSink],
+
+    // Share of page views that report; <body data-perf-sample-rate="0.25"> overrides it
+    sampleRate: 1,
+
+    // Good / poor boundaries for each metric
+    thresholds: {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    },
+
+    // Third-party requests whose timing is followed
+    resources: {
+        fontAwesome: /cdnjs\.cloudflare\.com\/.*font-awesome/,
+        googleFonts: /fonts\.(googleapis|gstatic)\.com/
+    },
+
+    /**
+     * Initialize performance monitoring
+     */
+    init() {
+        this.context = this.getContext();
+        this.sampled = Math.random() < this.getSampleRate();
+        this.longTasks = { count: 0, blockingTime: 0 };
+        this.resourceTimings = {};
+        this.observers = [];
+
+        this.observeVitals();
+        this.observeLongTasks();
+        this.observeResources();
+        this.reportLoadTime();
+
+        // Vitals keep changing until the page is hidden, so report then
+        window.addEventListener('pagehide', () => this.report(), { signal: this.signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.report();
+            }
+        }, { signal: this.signal });
+
+        if (new URLSearchParams(window.location.search).has('perf')) {
+            this.buildOverlay();
+        }
+    },
+
+    /**
+     * Stop observing and remove the overlay
+     */
+    destroy() {
+        this.observers.forEach(observer => observer.disconnect());
+        cancelAnimationFrame(this.overlayFrame);
+        this.overlayFrame = null;
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    },
+
+    /**
+     * Register a sink, e.g. { send(event) { ... } }
+     * @param {Object} sink - Receives { name, params } events
+     */
+    addSink(sink) {
+        this.sinks.push(sink);
+    },
+
+    /**
+     * Unregister a sink
+     * @param {Object} sink - Sink passed to addSink
+     */
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(item => item !== sink);
+    },
+
+    /**
+     * Get the share of page views that report
+     * @returns {number} Rate between 0 and 1
+     */
+    getSampleRate() {
+        const rate = parseFloat(document.body && document.body.dataset.perfSampleRate);
+        return Number.isNaN(rate) ? this.sampleRate : Math.min(Math.max(rate, 0), 1);
+    },
+
+    /**
+     * Describe the page view so reports can be segmented
+     * @returns {Object} Context params sent with every report
+     */
+    getContext() {
+        const connection = navigator.connection || {};
+
+        return {
+            navigation_type: this.getNavigationType(),
+            device_class: this.getDeviceClass(),
+            form_factor: window.matchMedia && window.matchMedia('(pointer: coarse)').matches ? 'mobile' : 'desktop',
+            effective_type: connection.effectiveType || 'unknown'
+        };
+    },
+
+    /**
+     * Get how the page was reached
+     * @returns {string} navigate, reload, back-forward or prerender
+     */
+    getNavigationType() {
+        const entry = this.getNavigationEntry();
+
+        if (document.prerendering || (entry && entry.activationStart > 0)) {
+            return 'prerender';
+        }
+
+        return entry ? entry.type.replace(/_/g, '-') : 'navigate';
+    },
+
+    /**
+     * Bucket the device by memory, CPU and network
+     * @returns {string} low, mid or high
+     */
+    getDeviceClass() {
+        const memory = navigator.deviceMemory || 4;
+        const cores = navigator.hardwareConcurrency || 4;
+        const connection = navigator.connection || {};
+
+        if (memory <= 2 || cores <= 2 || connection.saveData || /2g$/.test(connection.effectiveType || '')) {
+            return 'low';
+        }
+
+        return memory >= 8 && cores >= 8 ? 'high' : 'mid';
+    },
+
+    /**
+     * Get the navigation timing entry
+     * @returns {PerformanceNavigationTiming|undefined} Entry when supported
+     */
+    getNavigationEntry() {
+        return performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : undefined;
+    },
+
+    /**
+     * Time the page became visible, later than zero for prerendered pages
+     * @returns {number} Milliseconds
+     */
+    getActivationStart() {
+        const entry = this.getNavigationEntry();
+        return (entry && entry.activationStart) || 0;
+    },
+
+    /**
+     * Observe an entry type if the browser supports it
+     * @param {string} type - Performance entry type
+     * @param {Function} callback - Called with each entry
+     * @param {Object} options - Extra observe() options
+     * @returns {PerformanceObserver|null} Observer, null when unsupported
+     */
+    observe(type, callback, options = {}) {
+        const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+        if (!supported || !supported.includes(type)) {
+            return null;
+        }
+
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            return observer;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Follow LCP, CLS, INP, FCP and TTFB
+     */
+    observeVitals() {
+        const activationStart = this.getActivationStart();
+
+        this.observe('paint', entry => {
+            if (entry.name === 'first-contentful-paint') {
+                this.setMetric('FCP', Math.max(entry.startTime - activationStart, 0));
+            }
+        });
+
+        // The browser stops emitting LCP candidates after the first input
+        let lcpFinal = false;
+        this.observe('largest-contentful-paint', entry => {
+            if (!lcpFinal) {
+                this.setMetric('LCP', Math.max(entry.startTime - activationStart, 0));
+            }
+        });
+        ['keydown', 'click'].forEach(type => {
+            window.addEventListener(type, () => { lcpFinal = true; }, { once: true, capture: true, signal: this.signal });
+        });
+
+        // CLS is the largest burst of shifts less than 1s apart within 5s
+        const session = { value: 0, start: 0, last: 0 };
+        const layoutShift = this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) {
+                return;
+            }
+
+            if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.start < 5000) {
+                session.value += entry.value;
+            } else {
+                session.value = entry.value;
+                session.start = entry.startTime;
+            }
+            session.last = entry.startTime;
+
+            if (session.value > this.metrics.CLS.value) {
+                this.setMetric('CLS', session.value);
+            }
+        });
+        if (layoutShift) {
+            this.setMetric('CLS', 0);
+        }
+
+        // INP is the slowest interaction, skipping one outlier per 50 interactions
+        const interactions = new Map();
+        const handleInteraction = entry => {
+            if (!entry.interactionId) {
+                return;
+            }
+
+            interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            this.setMetric('INP', durations[Math.min(durations.length - 1, Math.floor(interactions.size / 50))]);
+        };
+        this.observe('event', handleInteraction, { durationThreshold: 40 });
+        this.observe('first-input', handleInteraction);
+
+        this.observe('navigation', entry => {
+            this.setMetric('TTFB', Math.max(entry.responseStart - activationStart, 0));
+        });
+    },
+
+    /**
+     * Count long tasks and the main-thread time they block
+     */
+    observeLongTasks() {
+        this.observe('longtask', entry => {
+            this.longTasks.count += 1;
+            this.longTasks.blockingTime += Math.max(entry.duration - 50, 0);
+            this.scheduleOverlayUpdate();
+        });
+    },
+
+    /**
+     * Time the Font Awesome and Google Fonts requests
+     */
+    observeResources() {
+        this.observe('resource', entry => {
+            const key = Object.keys(this.resources).find(name => this.resources[name].test(entry.name));
+            if (!key) {
+                return;
+            }
+
+            const timing = this.resourceTimings[key] || (this.resourceTimings[key] = { count: 0, duration: 0, transferSize: 0 });
+            timing.count += 1;
+            timing.duration = Math.max(timing.duration, entry.responseEnd - entry.startTime);
+            // Zero unless the CDN sends Timing-Allow-Origin
+            timing.transferSize += entry.transferSize || 0;
+            this.scheduleOverlayUpdate();
+        });
+    },
+
+    /**
+     * Store a metric value with its rating
+     * @param {string} name - Metric name
+     * @param {number} value - Milliseconds, or a score for CLS
+     */
+    setMetric(name, value) {
+        const [good, poor] = this.thresholds[name];
+        let rating = 'good';
+
+        if (value > poor) {
+            rating = 'poor';
+        } else if (value > good) {
+            rating = 'needs-improvement';
+        }
+
+        this.metrics[name] = { name, value, rating };
+        this.scheduleOverlayUpdate();
+    },
+
+    /**
+     * Send what changed since the last report
+     */
+    report() {
+        if (!this.sampled) {
+            return;
+        }
+
+        Object.values(this.metrics).forEach(metric => {
+            if (this.reported[metric.name] === metric.value) {
+                return;
+            }
+
+            this.reported[metric.name] = metric.value;
+            this.send('web_vitals', {
+                metric: metric.name,
+                value: this.roundValue(metric.name, metric.value),
+                rating: metric.rating
+            });
+        });
+
+        if (this.longTasks.count !== (this.reported.longTasks || 0)) {
+            this.reported.longTasks = this.longTasks.count;
+            this.send('long_tasks', {
+                count: this.longTasks.count,
+                blocking_time: Math.round(this.longTasks.blockingTime)
+            });
+        }
+
+        Object.entries(this.resourceTimings).forEach(([key, timing]) => {
+            if (this.reported[key] === timing.count) {
+                return;
+            }
+
+            this.reported[key] = timing.count;
+            this.send('resource_timing', {
+                resource: key,
+                count: timing.count,
+                duration: Math.round(timing.duration),
+                transfer_size: timing.transferSize
+            });
+        });
+    },
+
+    /**
+     * Hand an event to every sink
+     * @param {string} name - Event name
+     * @param {Object} params - Event parameters
+     */
+    send(name, params) {
+        const event = { name, params: { ...params, ...this.context } };
+
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(event);
+            } catch (error) {
+                console.error('Performance sink failed:', error);
+            }
+        });
+    },
+
+    /**
+     * Round a metric for reporting
+     * @param {string} name - Metric name
+     * @param {number} value - Raw value
+     * @returns {number} CLS to three decimals, timings to whole milliseconds
+     */
+    roundValue(name, value) {
+        return name === 'CLS' ? Number(value.toFixed(3)) : Math.round(value);
+    },
+
+    /**
+     * Report the page load time to the sinks
+     */
+    reportLoadTime() {
+        window.addEventListener('load', () => {
+            const loadTime = performance.now();
+
+            if (this.sampled) {
+                this.send('page_load_time', {
+                    value: Math.round(loadTime)
+                });
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Build the ?perf debug overlay
+     */
+    buildOverlay() {
+        this.overlay = document.createElement('aside');
+        this.overlay.className = 'perf-overlay';
+        document.body.appendChild(this.overlay);
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target.closest('.perf-overlay__close')) {
+                this.overlay.remove();
+                this.overlay = null;
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => this.renderOverlay(), { signal: this.signal });
+        this.renderOverlay();
+    },
+
+    /**
+     * Render the overlay labels
+     */
+    renderOverlay() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const row = (key, label) => `
+            <div class="perf-overlay__row" data-perf-row="${key}">
+                <dt>${label}</dt>
+                <dd>–</dd>
+            </div>
+        `;
+
+        this.overlay.setAttribute('aria-label', I18n.t('perf.title'));
+        this.overlay.innerHTML = `
+            <div class="perf-overlay__header">
+                <strong>${I18n.t('perf.title')}</strong>
+                <button type="button" class="perf-overlay__close" aria-label="${I18n.t('perf.close')}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <dl class="perf-overlay__list">
+                ${Object.keys(this.thresholds).map(name => row(name, name)).join('')}
+                ${row('longTasks', I18n.t('perf.longTasks'))}
+                ${Object.keys(this.resources).map(key => row(key, I18n.t(`perf.resources.${key}`))).join('')}
+            </dl>
+            <p class="perf-overlay__context"></p>
+        `;
+
+        this.updateOverlay();
+    },
+
+    /**
+     * Batch overlay updates into the next frame
+     */
+    scheduleOverlayUpdate() {
+        if (!this.overlay || this.overlayFrame) {
+            return;
+        }
+
+        this.overlayFrame = requestAnimationFrame(() => {
+            this.overlayFrame = null;
+            this.updateOverlay();
+        });
+    },
+
+    /**
+     * Write the current values into the overlay
+     */
+    updateOverlay() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const setRow = (key, text, rating) => {
+            const row = this.overlay.querySelector(`[data-perf-row="${key}"]`);
+            row.querySelector('dd').textContent = text;
+            if (rating) {
+                row.dataset.rating = rating;
+            }
+        };
+
+        Object.values(this.metrics).forEach(metric => {
+            const value = this.roundValue(metric.name, metric.value);
+            setRow(metric.name, metric.name === 'CLS' ? String(value) : `${value} ms`, metric.rating);
+        });
+
+        setRow('longTasks', I18n.t('perf.longTasksValue', {
+            count: this.longTasks.count,
+            time: Math.round(this.longTasks.blockingTime)
+        }));
+
+        Object.entries(this.resourceTimings).forEach(([key, timing]) => {
+            setRow(key, `${Math.round(timing.duration)} ms`);
+        });
+
+        const context = [this.context.navigation_type, this.context.device_class, this.context.form_factor, this.context.effective_type];
+        if (!this.sampled) {
+            context.push(I18n.t('perf.notSampled'));
+        }
+        this.overlay.querySelector('.perf-overlay__context').textContent = context.join(' · ');
+    }
+};
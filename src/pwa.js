@@ -0,0 +1,197 @@
+import { Analytics } from './analytics.js';
+import { I18n } from './i18n.js';
+
+/**
+ * PWA MODULE
+ * Registers the service worker, offers reloading when a new version has
+ * been deployed and replaces the browser's install banner with a header button
+ */
+export const PWA = {
+    dependencies: ['I18n', 'Analytics'],
+
+    /**
+     * Initialize offline support and the install prompt
+     */
+    init() {
+        this.buildInstallButton();
+        this.buildUpdatePrompt();
+        this.bindEvents();
+        this.register();
+    },
+
+    /**
+     * Remove the install button and update prompt
+     */
+    destroy() {
+        [this.installButton, this.updatePrompt].forEach(element => {
+            if (element) {
+                element.remove();
+            }
+        });
+    },
+
+    /**
+     * Create the hidden install button next to the header controls
+     */
+    buildInstallButton() {
+        const header = document.querySelector('.header__content');
+        if (!header) {
+            return;
+        }
+
+        this.installButton = document.createElement('button');
+        this.installButton.type = 'button';
+        this.installButton.className = 'install-btn';
+        this.installButton.hidden = true;
+        this.installButton.setAttribute('aria-label', I18n.t('pwa.installLabel'));
+        this.installButton.setAttribute('data-i18n-attr', 'aria-label:pwa.installLabel');
+        this.installButton.innerHTML = `
+            <i class="fas fa-download" aria-hidden="true"></i>
+            <span class="install-btn__text" data-i18n="pwa.install">${I18n.t('pwa.install')}</span>
+        `;
+
+        const before = header.querySelector(':scope > .language-switcher') || header.querySelector('.mobile-menu-btn');
+        header.insertBefore(this.installButton, before);
+    },
+
+    /**
+     * Create the hidden "update available" prompt
+     */
+    buildUpdatePrompt() {
+        this.updatePrompt = document.createElement('div');
+        this.updatePrompt.className = 'app-update';
+        this.updatePrompt.hidden = true;
+        this.updatePrompt.setAttribute('role', 'status');
+        this.updatePrompt.innerHTML = `
+            <p class="app-update__text" data-i18n="pwa.updateText">${I18n.t('pwa.updateText')}</p>
+            <div class="app-update__actions">
+                <button type="button" class="btn btn--outline" data-update-action="dismiss" data-i18n="pwa.dismiss">${I18n.t('pwa.dismiss')}</button>
+                <button type="button" class="btn btn--primary" data-update-action="reload" data-i18n="pwa.update">${I18n.t('pwa.update')}</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.updatePrompt);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Keep the browser's mini-infobar away and offer our own button instead
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            if (this.installButton) {
+                this.installButton.hidden = false;
+            }
+        }, { signal: this.signal });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            if (this.installButton) {
+                this.installButton.hidden = true;
+            }
+            Analytics.track('pwa_installed');
+        }, { signal: this.signal });
+
+        if (this.installButton) {
+            this.installButton.addEventListener('click', () => this.promptInstall(), { signal: this.signal });
+        }
+
+        this.updatePrompt.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-update-action]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.updateAction === 'reload') {
+                this.applyUpdate();
+            } else {
+                this.updatePrompt.hidden = true;
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Register the service worker and watch for new versions
+     */
+    register() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            return;
+        }
+
+        // Reload once the new worker has taken over, but not on the first install
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController && !this.reloading) {
+                this.reloading = true;
+                window.location.reload();
+            }
+        }, { signal: this.signal });
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js')
+                .then(registration => this.watchRegistration(registration))
+                .catch(error => console.warn('Service worker registration failed:', error));
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show the update prompt when a new worker is waiting
+     * @param {ServiceWorkerRegistration} registration - Active registration
+     */
+    watchRegistration(registration) {
+        this.registration = registration;
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdate();
+                }
+            }, { signal: this.signal });
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Reveal the update prompt
+     */
+    showUpdate() {
+        this.updatePrompt.hidden = false;
+    },
+
+    /**
+     * Ask the waiting worker to activate; controllerchange then reloads the page
+     */
+    applyUpdate() {
+        this.updatePrompt.hidden = true;
+
+        if (this.registration && this.registration.waiting) {
+            this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+    },
+
+    /**
+     * Show the browser's install dialog
+     */
+    async promptInstall() {
+        if (!this.deferredPrompt) {
+            return;
+        }
+
+        const prompt = this.deferredPrompt;
+        this.deferredPrompt = null;
+        this.installButton.hidden = true;
+
+        prompt.prompt();
+        const choice = await prompt.userChoice;
+        Analytics.track('pwa_install_prompt', { outcome: choice.outcome });
+    }
+};
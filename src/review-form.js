@@ -0,0 +1,348 @@
+import { Analytics } from './analytics.js';
+import { I18n } from './i18n.js';
+import { Testimonials } from './testimonials.js';
+import { Utils } from './utils.js';
+
+/**
+ * REVIEW FORM MODULE
+ * "Leave a review" form below the testimonials. Reviews are moderated:
+ * the endpoint keeps them pending until the staff publish them
+ * <body data-review-endpoint="..."> posts them to a server
+ */
+export const ReviewForm = {
+    dependencies: ['I18n', 'Testimonials', 'Analytics'],
+
+    minLength: 20,
+
+    maxLength: 1000,
+
+    /**
+     * Initialize the review form
+     */
+    init() {
+        const endpoint = document.body.dataset.reviewEndpoint;
+
+        this.container = document.querySelector('#testimonials .container');
+        this.adapter = this.adapter || (endpoint ? HttpReviewAdapter.create(endpoint) : MockReviewAdapter);
+
+        if (this.container) {
+            this.buildForm();
+            this.bindEvents();
+        }
+    },
+
+    /**
+     * Remove the form
+     */
+    destroy() {
+        if (this.wrapper) {
+            this.wrapper.remove();
+            this.wrapper = null;
+        }
+    },
+
+    /**
+     * Replace the submission backend
+     * @param {Object} adapter - Object implementing submit()
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    },
+
+    /**
+     * Create the toggle button and the form
+     */
+    buildForm() {
+        const stars = Array.from({ length: Testimonials.maxRating }, (item, index) => index + 1);
+
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'review-cta';
+        this.wrapper.innerHTML = `
+            <button type="button" class="btn btn--outline review-cta__toggle" aria-expanded="false" aria-controls="review-form" data-i18n="reviews.toggle">${I18n.t('reviews.toggle')}</button>
+            <form class="review-form" id="review-form" hidden novalidate>
+                <fieldset class="review-form__rating">
+                    <legend class="review-form__label" data-i18n="reviews.fields.rating">${I18n.t('reviews.fields.rating')}</legend>
+                    <div class="review-form__stars">
+                        ${stars.map(value => `
+                            <input class="review-form__star-input" id="review-rating-${value}" type="radio" name="rating" value="${value}" aria-describedby="review-rating-error">
+                            <label class="review-form__star" for="review-rating-${value}" data-star="${value}">
+                                <i class="fas fa-star" aria-hidden="true"></i>
+                                <span class="review-form__star-text" data-i18n="reviews.stars" data-i18n-params='{"count": ${value}}'>${I18n.t('reviews.stars', { count: value })}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="review-form__error" id="review-rating-error" hidden></p>
+                </fieldset>
+                <div class="review-form__field">
+                    <label class="review-form__label" for="review-name" data-i18n="reviews.fields.name">${I18n.t('reviews.fields.name')}</label>
+                    <input class="review-form__input" id="review-name" name="name" type="text" maxlength="40" autocomplete="nickname"
+                        placeholder="${I18n.t('reviews.namePlaceholder')}" data-i18n-attr="placeholder:reviews.namePlaceholder" aria-describedby="review-name-error" required>
+                    <p class="review-form__error" id="review-name-error" hidden></p>
+                </div>
+                <div class="review-form__field">
+                    <label class="review-form__label" for="review-text" data-i18n="reviews.fields.text">${I18n.t('reviews.fields.text')}</label>
+                    <textarea class="review-form__input" id="review-text" name="text" rows="4" maxlength="${this.maxLength}" aria-describedby="review-text-error" required></textarea>
+                    <p class="review-form__error" id="review-text-error" hidden></p>
+                </div>
+                <div class="review-form__field">
+                    <label class="review-form__checkbox">
+                        <input type="checkbox" name="consent" aria-describedby="review-consent-error">
+                        <span data-i18n="reviews.fields.consent">${I18n.t('reviews.fields.consent')}</span>
+                    </label>
+                    <p class="review-form__error" id="review-consent-error" hidden></p>
+                </div>
+                <p class="review-form__status" role="status" aria-live="polite"></p>
+                <button type="submit" class="btn btn--primary review-form__submit" data-i18n="reviews.submit">${I18n.t('reviews.submit')}</button>
+            </form>
+        `;
+
+        this.container.appendChild(this.wrapper);
+        this.toggleButton = this.wrapper.querySelector('.review-cta__toggle');
+        this.form = this.wrapper.querySelector('.review-form');
+        this.status = this.form.querySelector('.review-form__status');
+        this.submitButton = this.form.querySelector('.review-form__submit');
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.toggleButton.addEventListener('click', () => this.toggleForm(), { signal: this.signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.signal });
+
+        // Clear a field's error as soon as it is corrected
+        this.form.addEventListener('input', (e) => {
+            if (e.target.name === 'rating') {
+                this.paintStars(Number(e.target.value));
+            }
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.clearError(e.target.name);
+            }
+        }, { signal: this.signal });
+
+        // Preview a rating while pointing at the stars
+        const stars = this.form.querySelector('.review-form__stars');
+        stars.addEventListener('mouseover', (e) => {
+            const star = e.target.closest('[data-star]');
+            if (star) {
+                this.paintStars(Number(star.dataset.star));
+            }
+        }, { signal: this.signal });
+        stars.addEventListener('mouseleave', () => {
+            this.paintStars(Number(this.form.elements.rating.value) || 0);
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the form
+     */
+    toggleForm() {
+        const isExpanded = this.toggleButton.getAttribute('aria-expanded') === 'true';
+        this.toggleButton.setAttribute('aria-expanded', String(!isExpanded));
+        this.form.hidden = isExpanded;
+
+        if (!isExpanded) {
+            this.form.querySelector('.review-form__star-input').focus();
+        }
+    },
+
+    /**
+     * Fill the stars up to a rating
+     * @param {number} rating - Rating from 0 to 5
+     */
+    paintStars(rating) {
+        this.form.querySelectorAll('[data-star]').forEach(star => {
+            star.classList.toggle('review-form__star--filled', Number(star.dataset.star) <= rating);
+        });
+    },
+
+    /**
+     * Validate and send the review
+     */
+    handleSubmit() {
+        const review = this.getFormData();
+        const errors = this.validate(review);
+
+        ['rating', 'name', 'text', 'consent'].forEach(name => this.clearError(name));
+
+        const names = Object.keys(errors);
+        if (names.length) {
+            names.forEach(name => this.showError(name, errors[name]));
+            this.getFields(names[0])[0].focus();
+            this.setStatus(I18n.t('reviews.errors.summary', { count: names.length }));
+            return;
+        }
+
+        review.language = I18n.language;
+        review.createdAt = new Date().toISOString();
+
+        this.submitButton.disabled = true;
+        this.setStatus(I18n.t('reviews.sending'));
+
+        this.adapter.submit(review)
+            .then(() => {
+                Analytics.track('review_submit', { rating: review.rating });
+                this.showPending();
+            })
+            .catch(error => {
+                console.error('Review error:', error);
+                this.setStatus(I18n.t('reviews.sendError'));
+            })
+            .finally(() => {
+                this.submitButton.disabled = false;
+            });
+    },
+
+    /**
+     * Read the form values
+     * @returns {Object} Review
+     */
+    getFormData() {
+        const elements = this.form.elements;
+        return {
+            rating: Number(elements.rating.value) || 0,
+            name: elements.name.value.trim(),
+            text: elements.text.value.trim(),
+            consent: elements.consent.checked
+        };
+    },
+
+    /**
+     * Validate a review
+     * @param {Object} review - Review
+     * @returns {Object} Error messages keyed by field name
+     */
+    validate(review) {
+        const errors = {};
+
+        if (review.rating < 1 || review.rating > Testimonials.maxRating) {
+            errors.rating = I18n.t('reviews.errors.rating');
+        }
+        if (review.name.length < 2) {
+            errors.name = I18n.t('reviews.errors.name');
+        }
+        if (review.text.length < this.minLength) {
+            errors.text = I18n.t('reviews.errors.text', { min: this.minLength });
+        }
+        if (!review.consent) {
+            errors.consent = I18n.t('reviews.errors.consent');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Get the inputs of a field; the rating has one radio per star
+     * @param {string} name - Field name
+     * @returns {Array} Inputs
+     */
+    getFields(name) {
+        const field = this.form.elements[name];
+        return field instanceof RadioNodeList ? Array.from(field) : [field];
+    },
+
+    /**
+     * Mark a field as invalid
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     */
+    showError(name, message) {
+        const error = document.getElementById(`review-${name}-error`);
+        this.getFields(name).forEach(input => input.setAttribute('aria-invalid', 'true'));
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    },
+
+    /**
+     * Clear a field's error state
+     * @param {string} name - Field name
+     */
+    clearError(name) {
+        const error = document.getElementById(`review-${name}-error`);
+        this.getFields(name).forEach(input => input.removeAttribute('aria-invalid'));
+        if (error) {
+            error.textContent = '';
+            error.hidden = true;
+        }
+    },
+
+    /**
+     * Replace the form with the pending-approval message
+     */
+    showPending() {
+        this.wrapper.innerHTML = `
+            <div class="review-cta__pending" role="status" tabindex="-1">
+                <i class="fas fa-hourglass-half review-cta__pending-icon" aria-hidden="true"></i>
+                <h3 class="review-cta__title" data-i18n="reviews.pendingTitle">${I18n.t('reviews.pendingTitle')}</h3>
+                <p data-i18n="reviews.pendingText">${I18n.t('reviews.pendingText')}</p>
+            </div>
+        `;
+        this.wrapper.querySelector('.review-cta__pending').focus();
+    },
+
+    /**
+     * Announce a form-level message
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+};
+
+/**
+ * MOCK REVIEW ADAPTER
+ * Local stand-in for the moderated reviews endpoint
+ */
+export const MockReviewAdapter = {
+    storageKey: 'galenica:reviews',
+    latency: 500,
+
+    /**
+     * Store a review awaiting approval
+     * @param {Object} review - Review
+     * @returns {Promise<Object>} Stored review with id and status
+     */
+    submit(review) {
+        return new Promise(resolve => setTimeout(() => {
+            const stored = Utils.readStorage(this.storageKey, []);
+            const saved = Object.assign({ id: `RV-${Date.now().toString(36).toUpperCase()}`, status: 'pending' }, review);
+            stored.push(saved);
+            Utils.writeStorage(this.storageKey, stored);
+            resolve(saved);
+        }, this.latency));
+    }
+};
+
+/**
+ * HTTP REVIEW ADAPTER
+ * Posts reviews to the moderation endpoint
+ */
+export const HttpReviewAdapter = {
+    /**
+     * Create an adapter bound to an endpoint
+     * @param {string} endpoint - Reviews endpoint URL
+     * @returns {Object} Review adapter
+     */
+    create(endpoint) {
+        return {
+            submit(review) {
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(review)
+                }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Reviews endpoint error ${response.status}`);
+                    }
+                    return response.json();
+                });
+            }
+        };
+    }
+};
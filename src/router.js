@@ -0,0 +1,248 @@
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Motion } from './motion.js';
+import { SmoothScrolling } from './smooth-scrolling.js';
+import { Utils } from './utils.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * ROUTER MODULE
+ * Owns in-page navigation: "#section" anchors plus parameterised routes
+ * such as "#news/<id>", "#doctors/<id>" and "#faq/<id>". Link clicks push
+ * history entries, Back/Forward and reloads restore the scroll position,
+ * and modules react to "route:change" on the EventBus
+ */
+export const Router = {
+    dependencies: ['I18n', 'Motion', 'Viewport'],
+
+    /**
+     * Parameterised routes; target() finds the element to scroll to
+     */
+    routes: [
+        {
+            name: 'faq',
+            path: 'faq/:id',
+            target: params => document.getElementById(`faq-${params.id}`)
+        },
+        {
+            name: 'doctor',
+            path: 'doctors/:id',
+            target: params => Array.from(document.querySelectorAll('.doctor-card')).find(card => card.dataset.doctorId === params.id) || null
+        },
+        {
+            name: 'news',
+            path: 'news/:id'
+        }
+    ],
+
+    /**
+     * Initialize routing
+     */
+    init() {
+        this.current = this.match(window.location.hash);
+        this.href = window.location.href;
+
+        // Scroll positions are restored here, below the sticky header
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        this.buildAnnouncer();
+        this.bindEvents();
+    },
+
+    /**
+     * Remove the announcer
+     */
+    destroy() {
+        this.announcer.remove();
+    },
+
+    /**
+     * Create the live region that announces the new section
+     */
+    buildAnnouncer() {
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'route-announcer';
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.announcer.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(this.announcer);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+
+            // Leave modified clicks (new tab, download) and handled links to the browser and their owners
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                return;
+            }
+
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        }, { signal: this.signal });
+
+        window.addEventListener('popstate', () => this.resolve('pop'), { signal: this.signal });
+
+        // Hashes typed in the address bar; resolve() ignores the duplicate after popstate
+        window.addEventListener('hashchange', () => this.resolve('pop'), { signal: this.signal });
+
+        // Shared links are honoured once every module has rendered its content
+        window.addEventListener('load', () => this.resolve('load'), { signal: this.signal });
+
+        const saveScroll = Utils.debounce(() => this.saveScroll(), 150);
+        Viewport.subscribe({
+            write: (state) => {
+                if (state.scrolled) {
+                    saveScroll();
+                }
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Go to a hash, adding a history entry
+     * @param {string} hash - Hash including "#"
+     * @param {Object} options - { replace: no new entry, scroll: false to stay put }
+     */
+    navigate(hash, options = {}) {
+        if (!hash || hash === '#') {
+            return;
+        }
+
+        const route = this.match(hash);
+        if (!route.name) {
+            return;
+        }
+
+        this.saveScroll();
+
+        if (hash !== window.location.hash || options.replace) {
+            history[options.replace ? 'replaceState' : 'pushState']({}, '', hash);
+        }
+
+        this.resolve('push', options);
+    },
+
+    /**
+     * Change the hash in place without notifying anyone, e.g. for scroll spy
+     * @param {string} hash - Hash including "#", empty to drop it
+     */
+    replace(hash) {
+        history.replaceState(history.state, '', hash || window.location.pathname + window.location.search);
+        this.href = window.location.href;
+        this.current = this.match(window.location.hash);
+    },
+
+    /**
+     * Match a hash against the routes, falling back to an element id
+     * @param {string} hash - Hash including "#"
+     * @returns {Object} Route { name, params, hash }; name is null when nothing matches
+     */
+    match(hash) {
+        let path = '';
+        try {
+            path = decodeURIComponent((hash || '').replace(/^#/, ''));
+        } catch (error) {
+            // Malformed escapes match nothing
+        }
+
+        const segments = path.split('/');
+        for (const route of this.routes) {
+            const parts = route.path.split('/');
+            const params = {};
+            const matches = parts.length === segments.length && parts.every((part, index) => {
+                if (part.startsWith(':')) {
+                    params[part.slice(1)] = segments[index];
+                    return segments[index] !== '';
+                }
+                return part === segments[index];
+            });
+
+            if (matches) {
+                return { name: route.name, params, hash };
+            }
+        }
+
+        const element = path ? document.getElementById(path) : null;
+        return { name: element ? 'anchor' : null, params: { id: path }, hash };
+    },
+
+    /**
+     * Find the element a route scrolls to
+     * @param {Object} route - Matched route
+     * @returns {Element|null} Target element
+     */
+    getTarget(route) {
+        if (route.name === 'anchor') {
+            return document.getElementById(route.params.id);
+        }
+
+        const definition = this.routes.find(item => item.name === route.name);
+        return definition && definition.target ? definition.target(route.params) : null;
+    },
+
+    /**
+     * Apply the URL: notify listeners, then scroll and move focus
+     * @param {string} source - push, pop or load
+     * @param {Object} options - { scroll: false to stay put }
+     */
+    resolve(source, options = {}) {
+        if (source === 'pop' && window.location.href === this.href) {
+            return;
+        }
+
+        const previous = this.current;
+        const route = this.match(window.location.hash);
+        this.current = route;
+        this.href = window.location.href;
+
+        EventBus.emit('route:change', { route, previous, source });
+
+        if (options.scroll === false) {
+            return;
+        }
+
+        // Listeners may have rendered or revealed the target
+        const target = this.getTarget(route);
+        const saved = history.state && history.state.scrollY;
+
+        if (source !== 'push' && typeof saved === 'number') {
+            window.scrollTo({ top: saved, behavior: 'instant' });
+            if (target) {
+                SmoothScrolling.updateFocus(target);
+            }
+        } else if (target) {
+            SmoothScrolling.scrollToTarget(target, source === 'push' ? Motion.scrollBehavior() : 'instant');
+        }
+
+        if (target) {
+            this.announce(target);
+        }
+    },
+
+    /**
+     * Remember the scroll position in the current history entry
+     */
+    saveScroll() {
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.pageYOffset }), '');
+    },
+
+    /**
+     * Tell screen reader users where they landed
+     * @param {Element} target - Target element
+     */
+    announce(target) {
+        const heading = target.matches('h1, h2, h3, h4') ? target : target.querySelector('h1, h2, h3, h4, .faq-item__question');
+        const title = (heading || target).textContent.trim().replace(/\s+/g, ' ');
+
+        // Clear first so the same title is read again
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = I18n.t('a11y.navigated', { title });
+        }, 100);
+    }
+};
@@ -0,0 +1,167 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { Motion } from './motion.js';
+
+/**
+ * SCROLL ANIMATIONS MODULE
+ * Handles scroll-triggered animations using Intersection Observer
+ * Content is revealed straight away when motion is reduced or the observer is missing
+ */
+export const ScrollAnimations = {
+    dependencies: ['Motion', 'Analytics'],
+
+    /**
+     * Cards that fade in when scrolled into view
+     */
+    cardSelector: '.card, .patology-card, .benefit-card, .testimonial-card, .doctor-card, .news-card',
+
+    /**
+     * Initialize scroll animations
+     */
+    init() {
+        this.observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -100px 0px'
+        };
+        
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                this.handleIntersection(entries);
+            }, this.observerOptions);
+        }
+        
+        this.observeElements();
+        this.watchDynamicContent();
+
+        // Cards still waiting for their turn appear at once when motion is turned down
+        EventBus.on('motion:change', ({ reduced }) => {
+            if (reduced) {
+                this.revealPending();
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Stop watching the page
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+    },
+
+    /**
+     * Observe elements for animations
+     */
+    observeElements() {
+        // Observe sections
+        this.observe(document.querySelectorAll('.section'));
+
+        // Observe cards
+        this.observe(document.querySelectorAll(this.cardSelector));
+    },
+
+    /**
+     * Observe elements that have not been revealed yet
+     * @param {NodeList|Array} elements - Elements to observe
+     */
+    observe(elements) {
+        elements.forEach(element => {
+            if (element.classList.contains('animate-fade-in')) {
+                return;
+            }
+
+            if (!this.observer) {
+                element.classList.add('animate-fade-in');
+            } else if (element.matches('.section') || !Motion.isReduced()) {
+                this.observer.observe(element);
+            } else {
+                // Sections stay observed for analytics; cards need no animation
+                element.classList.add('animate-fade-in');
+            }
+        });
+    },
+
+    /**
+     * Reveal every card still waiting to scroll into view
+     */
+    revealPending() {
+        document.querySelectorAll(this.cardSelector).forEach(card => {
+            if (!card.classList.contains('animate-fade-in')) {
+                card.classList.add('animate-fade-in');
+                if (this.observer) {
+                    this.observer.unobserve(card);
+                }
+            }
+        });
+    },
+
+    /**
+     * Observe cards rendered after init (directory, news feed, ...)
+     */
+    watchDynamicContent() {
+        if (!('MutationObserver' in window)) {
+            return;
+        }
+
+        this.mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) {
+                        return;
+                    }
+                    if (node.matches(this.cardSelector)) {
+                        this.observe([node]);
+                    }
+                    this.observe(node.querySelectorAll(this.cardSelector));
+                });
+            });
+        });
+
+        this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Handle intersection observer entries
+     * @param {Array} entries - Intersection observer entries
+     */
+    handleIntersection(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('animate-fade-in');
+
+                if (entry.target.matches('.section')) {
+                    Analytics.track('section_view', { section: entry.target.id });
+                }
+                
+                // Add staggered animation for cards in grid
+                this.addStaggeredAnimation(entry.target);
+                
+                // Stop observing the element
+                this.observer.unobserve(entry.target);
+            }
+        });
+    },
+
+    /**
+     * Add staggered animation to grid items
+     * @param {Element} target - Target element
+     */
+    addStaggeredAnimation(target) {
+        const gridItems = target.querySelectorAll('.patology-card, .benefit-card, .testimonial-card, .doctor-card, .news-card');
+
+        if (Motion.isReduced()) {
+            gridItems.forEach(item => item.classList.add('animate-fade-in'));
+            return;
+        }
+        
+        gridItems.forEach((item, index) => {
+            setTimeout(() => {
+                item.classList.add('animate-fade-in');
+            }, index * 100);
+        });
+    }
+};
@@ -0,0 +1,150 @@
+import { EventBus } from './event-bus.js';
+import { Router } from './router.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * SCROLL SPY MODULE
+ * Highlights the navigation links of the section in view and keeps the
+ * URL hash in step with it once scrolling settles
+ */
+export const ScrollSpy = {
+    dependencies: ['Router', 'Viewport'],
+
+    // Distance below the header at which a section becomes current
+    offset: 80,
+
+    // Quiet time after the last scroll event before the hash is updated
+    idleDelay: 150,
+
+    /**
+     * Initialize scroll spy
+     */
+    init() {
+        this.sections = Array.from(document.querySelectorAll('main section[id]'));
+        this.links = Array.from(document.querySelectorAll('.nav__link, .mobile-menu__link'));
+        this.header = document.querySelector('.header');
+        this.current = null;
+        this.held = false;
+
+        if (this.sections.length > 0) {
+            this.bindEvents();
+            this.update(this.getCurrentSection(Viewport.state));
+        }
+    },
+
+    /**
+     * Clear the active link
+     */
+    destroy() {
+        clearTimeout(this.idleTimer);
+        this.links.forEach(link => {
+            link.classList.remove(`${link.classList[0]}--active`);
+            link.removeAttribute('aria-current');
+        });
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        let section = null;
+
+        Viewport.subscribe({
+            read: (state) => {
+                section = this.getCurrentSection(state);
+            },
+            write: (state) => {
+                this.update(section);
+                if (state.scrolled) {
+                    this.scheduleSync();
+                }
+            }
+        }, { signal: this.signal });
+
+        // Keep the hash on the target while the Router scrolls past other sections
+        EventBus.on('route:change', () => {
+            this.hold();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Leave the hash alone until the current scroll settles, e.g. while
+     * the Router scrolls to a link target through other sections
+     */
+    hold() {
+        this.held = true;
+        this.scheduleSync();
+    },
+
+    /**
+     * Sync the hash once no scroll event has arrived for idleDelay
+     */
+    scheduleSync() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (this.held) {
+                this.held = false;
+            } else {
+                this.syncHash();
+            }
+        }, this.idleDelay);
+    },
+
+    /**
+     * Find the section currently under the header
+     * @param {Object} state - Viewport state
+     * @returns {Element|null} Section, null above the first one
+     */
+    getCurrentSection(state) {
+        // The last sections may be too short to ever reach the header
+        if (state.scrollY + state.height >= state.scrollHeight - 2) {
+            return this.sections[this.sections.length - 1];
+        }
+
+        const line = (this.header ? this.header.offsetHeight : 0) + this.offset;
+        return this.sections.filter(section => section.getBoundingClientRect().top <= line).pop() || null;
+    },
+
+    /**
+     * Highlight the links of the current section
+     * @param {Element|null} section - Section from getCurrentSection()
+     */
+    update(section) {
+        if (section === this.current) {
+            return;
+        }
+
+        this.current = section;
+        const href = section ? `#${section.id}` : null;
+
+        this.links.forEach(link => {
+            const active = link.getAttribute('href') === href;
+            link.classList.toggle(`${link.classList[0]}--active`, active);
+
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * Point the URL hash at the current section without adding history entries
+     */
+    syncHash() {
+        const hash = window.location.hash;
+
+        // Keep deep links inside the current section and routes without a target, such as #news/<id>
+        if (hash) {
+            const target = Router.getTarget(Router.match(hash));
+            if (!target || (this.current && this.current.contains(target))) {
+                return;
+            }
+        } else if (!this.current) {
+            return;
+        }
+
+        Router.replace(this.current ? `#${this.current.id}` : '');
+    }
+};
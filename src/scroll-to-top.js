@@ -0,0 +1,67 @@
+import { Motion } from './motion.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * SCROLL TO TOP MODULE
+ * Handles scroll to top button functionality
+ */
+export const ScrollToTop = {
+    dependencies: ['Motion', 'Viewport'],
+
+    /**
+     * Initialize scroll to top functionality
+     */
+    init() {
+        this.scrollTopBtn = document.getElementById('scrollTop');
+        
+        if (this.scrollTopBtn) {
+            this.bindEvents();
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Show/hide button on scroll
+        Viewport.subscribe({
+            write: (state) => this.toggleVisibility(state.scrollY)
+        }, { signal: this.signal });
+
+        // Scroll to top on click
+        this.scrollTopBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.scrollToTop();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Toggle button visibility based on scroll position
+     * @param {number} scrollY - Current scroll position
+     */
+    toggleVisibility(scrollY) {
+        if (scrollY > 300) {
+            this.scrollTopBtn.classList.add('visible');
+            this.scrollTopBtn.setAttribute('aria-hidden', 'false');
+        } else {
+            this.scrollTopBtn.classList.remove('visible');
+            this.scrollTopBtn.setAttribute('aria-hidden', 'true');
+        }
+    },
+
+    /**
+     * Smooth scroll to top of page
+     */
+    scrollToTop() {
+        window.scrollTo({
+            top: 0,
+            behavior: Motion.scrollBehavior()
+        });
+        
+        // Focus on skip link for accessibility
+        const skipLink = document.querySelector('.skip-link');
+        if (skipLink) {
+            skipLink.focus();
+        }
+    }
+};
@@ -0,0 +1,730 @@
+import { App } from './app.js';
+import { ErrorHandler } from './error-handler.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Router } from './router.js';
+import { Utils } from './utils.js';
+
+/**
+ * SITE CONTENT MODULE
+ * Builds the <section data-content="..."> blocks from one JSON document
+ * (<main data-content-source="...">) and the <template> elements inside them.
+ * The Italian markup already in the sections is what the page shows without
+ * JavaScript or the document, and is replaced once the document loads.
+ * The document is checked against `schema` first: a section with errors keeps
+ * its last valid content. Its text goes into the I18n "content" namespace, so
+ * the language switcher translates it like the rest of the page.
+ * Add ?preview to reload the file while editing it, or ?preview=<path> for a draft
+ */
+export const SiteContent = {
+    dependencies: ['I18n', 'Router', 'ErrorHandler'],
+
+    // Time between checks for a changed file in preview mode
+    pollInterval: 1000,
+
+    /**
+     * Expected shape of the document
+     * Field types are listed in `types`, { oneOf: [...] } allows fixed values
+     * and [rule] a non-empty list; a "?" suffix marks optional fields.
+     * "text" fields are translated in "_i18n", e.g. { "en": { "title": "..." } },
+     * and items of a list are told apart by their "id"
+     */
+    schema: {
+        version: { oneOf: [1] },
+        sections: {
+            pathologies: {
+                title: 'text',
+                subtitle: 'text',
+                areas: [{
+                    id: 'id',
+                    title: 'text',
+                    conditions: [{ id: 'id', name: 'text' }]
+                }]
+            },
+            benefits: {
+                title: 'text',
+                subtitle: 'text',
+                items: [{
+                    id: 'id',
+                    icon: 'icon',
+                    color: { oneOf: ['primary', 'secondary', 'accent'] },
+                    title: 'text',
+                    text: 'text'
+                }]
+            },
+            process: {
+                title: 'text',
+                subtitle: 'text',
+                steps: [{ id: 'id', title: 'text', text: 'text' }]
+            },
+            system: {
+                title: 'text',
+                subtitle: 'text',
+                items: [{ id: 'id', title: 'text', text: 'text' }],
+                highlight: {
+                    title: 'text',
+                    paragraphs: ['text']
+                }
+            },
+            doctors: {
+                title: 'text',
+                subtitle: 'text',
+                source: 'path'
+            },
+            news: {
+                title: 'text',
+                subtitle: 'text',
+                source: 'path',
+                'pageSize?': 'count'
+            },
+            faq: {
+                title: 'text',
+                subtitle: 'text',
+                'mode?': { oneOf: ['single', 'multiple'] },
+                items: [{ id: 'id', question: 'text', answer: 'text' }]
+            }
+        }
+    },
+
+    /**
+     * Field types: test() accepts a value, rule names the error message
+     */
+    types: {
+        text: { test: value => typeof value === 'string' && value.trim() !== '', rule: 'text' },
+        id: { test: value => typeof value === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value), rule: 'id' },
+        icon: { test: value => typeof value === 'string' && /^fa-[a-z0-9-]+$/.test(value), rule: 'icon' },
+        path: { test: value => typeof value === 'string' && /^[\w-][\w./-]*$/.test(value) && !value.includes('..'), rule: 'path' },
+        count: { test: value => Number.isInteger(value) && value > 0, rule: 'count' }
+    },
+
+    /**
+     * Section renderers by data-content name
+     */
+    renderers: {
+        pathologies: 'renderPathologies',
+        benefits: 'renderBenefits',
+        process: 'renderProcess',
+        system: 'renderSystem',
+        doctors: 'renderDoctors',
+        news: 'renderNews',
+        faq: 'renderFaq'
+    },
+
+    /**
+     * Initialize the content sections
+     */
+    init() {
+        this.main = document.querySelector('[data-content-source]');
+        this.sections = Array.from(document.querySelectorAll('section[data-content]'));
+        this.content = {};
+        this.text = null;
+        this.rendered = false;
+
+        if (this.main && this.sections.length) {
+            // Restored by destroy()
+            this.markup = new Map(this.sections.map(section => [section, section.innerHTML]));
+            this.source = this.getSource();
+            this.preview = new URLSearchParams(window.location.search).has('preview');
+            this.sections.forEach(section => section.setAttribute('aria-busy', 'true'));
+
+            if (this.preview) {
+                this.buildPanel();
+            }
+            this.load();
+        }
+    },
+
+    /**
+     * Stop previewing and put back the page's own markup
+     */
+    destroy() {
+        if (!this.markup) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.markup.forEach((markup, section) => {
+            section.innerHTML = markup;
+            section.removeAttribute('aria-busy');
+        });
+        this.markup = null;
+    },
+
+    /**
+     * Get the document to load: the page's source or a ?preview=<path> draft
+     * Drafts must come from this site
+     * @returns {string} URL of the JSON document
+     */
+    getSource() {
+        const draft = new URLSearchParams(window.location.search).get('preview');
+
+        if (draft && this.types.path.test(draft)) {
+            return draft;
+        }
+        return this.main.dataset.contentSource;
+    },
+
+    /**
+     * Fetch the document and render what changed
+     * In preview mode the file is fetched again every pollInterval
+     * @returns {Promise} Resolves once the sections are rendered
+     */
+    load() {
+        const signal = this.signal;
+
+        return fetch(this.source, { cache: this.preview ? 'no-store' : 'default', signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Site content error ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                if (text === this.text) {
+                    return;
+                }
+
+                this.text = text;
+                this.update(this.parse(text));
+            })
+            .catch(error => {
+                if (signal.aborted) {
+                    return;
+                }
+                console.error('Site content error:', error);
+                this.showStatus({ error: I18n.t('siteContent.loadError', { source: this.source }) });
+            })
+            .finally(() => {
+                if (signal.aborted) {
+                    return;
+                }
+
+                this.finish();
+                if (this.preview) {
+                    this.timer = setTimeout(() => this.load(), this.pollInterval);
+                }
+            });
+    },
+
+    /**
+     * Parse the document, turning syntax errors into schema errors
+     * @param {string} text - Raw JSON
+     * @returns {Object} { data, errors }
+     */
+    parse(text) {
+        try {
+            return { data: JSON.parse(text), errors: [] };
+        } catch (error) {
+            return { data: null, errors: [{ path: '', rule: 'json', params: { message: error.message } }] };
+        }
+    },
+
+    /**
+     * Validate the document and render the sections without errors
+     * @param {Object} result - { data, errors } from parse()
+     */
+    update({ data, errors }) {
+        if (data !== null) {
+            errors = this.validate(data);
+        }
+
+        // Errors outside a section, such as a wrong version, stop everything
+        const broken = new Set(errors.map(error => (/^sections\.([\w-]+)/.exec(error.path) || [])[1] || '*'));
+        const sections = broken.has('*') ? {} : data.sections;
+        const changed = Object.keys(sections).filter(name => {
+            return !broken.has(name) && JSON.stringify(sections[name]) !== JSON.stringify(this.content[name]);
+        });
+
+        if (errors.length) {
+            console.error(`Site content has ${errors.length} error(s) in ${this.source}:\n${errors.map(error => `  ${this.formatError(error)}`).join('\n')}`);
+            if (!this.preview) {
+                ErrorHandler.capture(new Error(`Invalid site content: ${this.formatError(errors[0])}`), { source: this.source, errors: errors.length });
+            }
+        }
+
+        if (changed.length) {
+            changed.forEach(name => {
+                this.content[name] = sections[name];
+            });
+            this.render(changed);
+        }
+
+        this.showStatus({ errors, updated: new Date() });
+    },
+
+    /**
+     * Check a document against the schema
+     * @param {Object} data - Parsed document
+     * @returns {Array} Errors { path, rule, params }
+     */
+    validate(data) {
+        const errors = [];
+        this.check(data, this.schema, '', errors);
+        return errors;
+    },
+
+    /**
+     * Check a value against a schema rule, collecting errors
+     * @param {*} value - Value to check
+     * @param {string|Array|Object} rule - Type name, [rule], { oneOf } or object schema
+     * @param {string} path - Location in the document, e.g. "sections.faq.items[2]"
+     * @param {Array} errors - Collected errors
+     */
+    check(value, rule, path, errors) {
+        if (Array.isArray(rule)) {
+            this.checkList(value, rule[0], path, errors);
+        } else if (typeof rule === 'string') {
+            if (!this.types[rule].test(value)) {
+                errors.push({ path, rule: this.types[rule].rule, params: {} });
+            }
+        } else if (rule.oneOf) {
+            if (!rule.oneOf.includes(value)) {
+                errors.push({ path, rule: 'oneOf', params: { values: rule.oneOf.join(', ') } });
+            }
+        } else {
+            this.checkObject(value, rule, path, errors);
+        }
+    },
+
+    /**
+     * Check a non-empty list and the uniqueness of its ids
+     * @param {*} value - Value to check
+     * @param {string|Object} rule - Rule of each item
+     * @param {string} path - Location in the document
+     * @param {Array} errors - Collected errors
+     */
+    checkList(value, rule, path, errors) {
+        if (!Array.isArray(value) || !value.length) {
+            errors.push({ path, rule: 'list', params: {} });
+            return;
+        }
+
+        const ids = new Set();
+        value.forEach((item, index) => {
+            this.check(item, rule, `${path}[${index}]`, errors);
+
+            if (item && typeof item.id === 'string') {
+                if (ids.has(item.id)) {
+                    errors.push({ path: `${path}[${index}].id`, rule: 'duplicate', params: { id: item.id } });
+                }
+                ids.add(item.id);
+            }
+        });
+    },
+
+    /**
+     * Check an object's fields, rejecting unknown ones such as typos
+     * @param {*} value - Value to check
+     * @param {Object} rule - Object schema
+     * @param {string} path - Location in the document
+     * @param {Array} errors - Collected errors
+     */
+    checkObject(value, rule, path, errors) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ path, rule: 'object', params: {} });
+            return;
+        }
+
+        const fields = this.getFields(rule);
+        const prefix = path ? `${path}.` : '';
+
+        Object.keys(fields).forEach(name => {
+            if (value[name] !== undefined) {
+                this.check(value[name], fields[name].rule, prefix + name, errors);
+            } else if (!fields[name].optional) {
+                errors.push({ path: prefix + name, rule: 'required', params: {} });
+            }
+        });
+
+        Object.keys(value).filter(name => name !== '_i18n' && !fields[name]).forEach(name => {
+            errors.push({ path: prefix + name, rule: 'unknown', params: {} });
+        });
+
+        if (value._i18n !== undefined) {
+            this.checkTranslations(value._i18n, fields, `${prefix}_i18n`, errors);
+        }
+    },
+
+    /**
+     * Check an "_i18n" block: supported languages and translatable fields only
+     * @param {*} value - Value of "_i18n"
+     * @param {Object} fields - Fields of the translated object, from getFields()
+     * @param {string} path - Location in the document
+     * @param {Array} errors - Collected errors
+     */
+    checkTranslations(value, fields, path, errors) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ path, rule: 'object', params: {} });
+            return;
+        }
+
+        Object.keys(value).forEach(language => {
+            const translation = value[language];
+
+            if (!I18n.locales[language] || language === I18n.defaultLanguage) {
+                errors.push({ path: `${path}.${language}`, rule: 'language', params: { languages: Object.keys(I18n.locales).filter(item => item !== I18n.defaultLanguage).join(', ') } });
+                return;
+            }
+            if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+                errors.push({ path: `${path}.${language}`, rule: 'object', params: {} });
+                return;
+            }
+
+            Object.keys(translation).forEach(name => {
+                const field = fields[name];
+                if (field && this.isText(field.rule)) {
+                    this.check(translation[name], field.rule, `${path}.${language}.${name}`, errors);
+                } else {
+                    errors.push({ path: `${path}.${language}.${name}`, rule: 'untranslatable', params: {} });
+                }
+            });
+        });
+    },
+
+    /**
+     * Read an object schema's field names, rules and optional markers
+     * @param {Object} rule - Object schema
+     * @returns {Object} { name: { rule, optional } }
+     */
+    getFields(rule) {
+        return Object.keys(rule).reduce((fields, key) => {
+            fields[key.replace(/\?$/, '')] = { rule: rule[key], optional: key.endsWith('?') };
+            return fields;
+        }, {});
+    },
+
+    /**
+     * Check whether a rule describes translatable text
+     * @param {string|Array|Object} rule - Schema rule
+     * @returns {boolean} True for "text" and ["text"]
+     */
+    isText(rule) {
+        return rule === 'text' || (Array.isArray(rule) && rule[0] === 'text');
+    },
+
+    /**
+     * Describe an error for people editing the file
+     * @param {Object} error - { path, rule, params }
+     * @returns {string} e.g. "sections.faq.items[2].answer: ..."
+     */
+    formatError(error) {
+        const message = I18n.t(`siteContent.rules.${error.rule}`, error.params);
+        return error.path ? `${error.path}: ${message}` : message;
+    },
+
+    /**
+     * Collect the text of the valid sections for one language
+     * List items are keyed by id, e.g. "faq.items.costi.answer"; text missing
+     * from a translation falls back to Italian in I18n.t()
+     * @param {Object} value - Document part
+     * @param {Object} rule - Its object schema
+     * @param {string} language - Language code
+     * @returns {Object} Dictionary entries
+     */
+    collect(value, rule, language) {
+        const fields = this.getFields(rule);
+        const translation = language === I18n.defaultLanguage ? value : (value._i18n || {})[language] || {};
+
+        return Object.keys(fields).reduce((entries, name) => {
+            const fieldRule = fields[name].rule;
+
+            if (value[name] === undefined) {
+                return entries;
+            }
+
+            if (this.isText(fieldRule)) {
+                if (translation[name] !== undefined) {
+                    entries[name] = translation[name];
+                }
+            } else if (Array.isArray(fieldRule)) {
+                entries[name] = value[name].reduce((items, item) => {
+                    items[item.id] = this.collect(item, fieldRule[0], language);
+                    return items;
+                }, {});
+            } else if (typeof fieldRule === 'object' && !fieldRule.oneOf) {
+                entries[name] = this.collect(value[name], fieldRule, language);
+            }
+            return entries;
+        }, {});
+    },
+
+    /**
+     * Build the dictionary key of a piece of content
+     * @param {...string} parts - Section, fields and item ids
+     * @returns {string} Key such as "content.faq.items.costi.answer"
+     */
+    key(...parts) {
+        return ['content'].concat(parts).join('.');
+    },
+
+    /**
+     * Clone the first element of a template
+     * @param {Element} section - Section holding the template
+     * @param {string} id - Template id
+     * @returns {Element} Copy ready to fill
+     */
+    clone(section, id) {
+        return section.querySelector(`template#${id}`).content.firstElementChild.cloneNode(true);
+    },
+
+    /**
+     * Replace the children of an element
+     * @param {Element} parent - Element to fill
+     * @param {Array} children - New children
+     */
+    fill(parent, children) {
+        const fragment = document.createDocumentFragment();
+        children.forEach(child => fragment.appendChild(child));
+
+        parent.innerHTML = '';
+        parent.appendChild(fragment);
+    },
+
+    /**
+     * Render sections with the modules that enhance them stopped, so they
+     * start again on the new markup
+     * @param {Array} names - Sections to render
+     */
+    render(names) {
+        const first = !this.rendered;
+        const running = Array.from(App.modules.keys()).filter(name => App.isRunning(name));
+
+        // Their own dependents stop with them
+        running
+            .filter(name => (App.modules.get(name).dependencies || []).includes('SiteContent'))
+            .forEach(name => App.unmount(name));
+
+        I18n.define('content', Object.keys(I18n.locales).reduce((dictionaries, language) => {
+            dictionaries[language] = this.collect(this.content, this.schema.sections, language);
+            return dictionaries;
+        }, {}));
+
+        this.sections.filter(section => names.includes(section.dataset.content)).forEach(section => {
+            const name = section.dataset.content;
+
+            section.querySelector('.section__title').dataset.i18n = this.key(name, 'title');
+            section.querySelector('.section__subtitle').dataset.i18n = this.key(name, 'subtitle');
+            this[this.renderers[name]](section, this.content[name]);
+            I18n.apply(section);
+        });
+
+        this.rendered = true;
+        running.filter(name => !App.isRunning(name)).forEach(name => App.mount(name));
+
+        // A shared #faq/<id> link arrived before the content
+        if (first && Router.current && Router.current.name && document.readyState === 'complete') {
+            Router.resolve('load');
+        }
+    },
+
+    /**
+     * End the busy state; sections that could not be rendered keep the page's markup
+     */
+    finish() {
+        this.sections.forEach(section => section.removeAttribute('aria-busy'));
+    },
+
+    /**
+     * Render the pathology cards
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderPathologies(section, content) {
+        this.fill(section.querySelector('.patologies-grid'), content.areas.map(area => {
+            const card = this.clone(section, 'patology-card-template');
+            const list = card.querySelector('.patology-card__list');
+            const row = list.querySelector('.patology-card__item');
+
+            card.dataset.area = area.id;
+            card.querySelector('.patology-card__title').dataset.i18n = this.key('pathologies', 'areas', area.id, 'title');
+
+            this.fill(list, area.conditions.map(condition => {
+                const item = row.cloneNode(true);
+                item.dataset.condition = condition.id;
+                item.querySelector('span').dataset.i18n = this.key('pathologies', 'areas', area.id, 'conditions', condition.id, 'name');
+                return item;
+            }));
+
+            return card;
+        }));
+    },
+
+    /**
+     * Render the patient benefit cards
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderBenefits(section, content) {
+        this.fill(section.querySelector('.benefits-grid'), content.items.map(item => {
+            const card = this.clone(section, 'benefit-card-template');
+
+            card.querySelector('.benefit-card__icon').classList.add(`benefit-card__icon--${item.color}`);
+            card.querySelector('.benefit-card__icon i').classList.add(item.icon);
+            card.querySelector('.benefit-card__title').dataset.i18n = this.key('benefits', 'items', item.id, 'title');
+            card.querySelector('.benefit-card__text').dataset.i18n = this.key('benefits', 'items', item.id, 'text');
+
+            return card;
+        }));
+    },
+
+    /**
+     * Render the numbered process steps
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderProcess(section, content) {
+        this.fill(section.querySelector('.process-steps'), content.steps.map((step, index) => {
+            const element = this.clone(section, 'process-step-template');
+
+            element.querySelector('.process-step__number').textContent = index + 1;
+            element.querySelector('.process-step__title').dataset.i18n = this.key('process', 'steps', step.id, 'title');
+            element.querySelector('.process-step__text').dataset.i18n = this.key('process', 'steps', step.id, 'text');
+
+            return element;
+        }));
+    },
+
+    /**
+     * Render the system benefits and the highlighted box
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderSystem(section, content) {
+        const highlight = section.querySelector('.system-benefits__highlight');
+
+        this.fill(section.querySelector('.system-benefits__list'), content.items.map(item => {
+            const element = this.clone(section, 'system-benefit-template');
+
+            element.querySelector('.system-benefit__title').dataset.i18n = this.key('system', 'items', item.id, 'title');
+            element.querySelector('.system-benefit__text').dataset.i18n = this.key('system', 'items', item.id, 'text');
+
+            return element;
+        }));
+
+        highlight.querySelector('.system-benefits__highlight-title').dataset.i18n = this.key('system', 'highlight', 'title');
+        highlight.querySelectorAll('.system-benefits__highlight-text').forEach(paragraph => paragraph.remove());
+        content.highlight.paragraphs.forEach((text, index) => {
+            highlight.insertAdjacentHTML('beforeend', `
+                <p class="system-benefits__highlight-text" data-i18n="${this.key('system', 'highlight', 'paragraphs', index)}"></p>
+            `);
+        });
+    },
+
+    /**
+     * Point the doctor directory at its source
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderDoctors(section, content) {
+        section.querySelector('.doctors-grid').dataset.source = content.source;
+    },
+
+    /**
+     * Point the news grid at its feed
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderNews(section, content) {
+        const grid = section.querySelector('.news-grid');
+
+        grid.dataset.source = content.source;
+        if (content.pageSize) {
+            grid.dataset.pageSize = content.pageSize;
+        } else {
+            delete grid.dataset.pageSize;
+        }
+    },
+
+    /**
+     * Render the FAQ items; "faq-<id>" is also the #faq/<id> route
+     * @param {Element} section - Section element
+     * @param {Object} content - Section content
+     */
+    renderFaq(section, content) {
+        const container = section.querySelector('.faq-container');
+
+        container.dataset.faqMode = content.mode || 'single';
+        this.fill(container, content.items.map(item => {
+            const element = this.clone(section, 'faq-item-template');
+
+            element.id = `faq-${item.id}`;
+            element.querySelector('.faq-item__question span').dataset.i18n = this.key('faq', 'items', item.id, 'question');
+            element.querySelector('.faq-item__answer p').dataset.i18n = this.key('faq', 'items', item.id, 'answer');
+
+            return element;
+        }));
+    },
+
+    /**
+     * Create the ?preview panel
+     */
+    buildPanel() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'content-preview';
+        document.body.appendChild(this.panel);
+
+        this.panel.addEventListener('click', (e) => {
+            if (e.target.closest('.content-preview__close')) {
+                this.panel.remove();
+                this.panel = null;
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => this.renderPanel(), { signal: this.signal });
+        this.renderPanel();
+    },
+
+    /**
+     * Remember the outcome of the last load and show it in the panel
+     * @param {Object} status - { errors, updated } or { error }
+     */
+    showStatus(status) {
+        this.status = status;
+        this.renderPanel();
+    },
+
+    /**
+     * Render the panel: source, time of the last update and schema errors
+     */
+    renderPanel() {
+        if (!this.panel) {
+            return;
+        }
+
+        const status = this.status || {};
+        const errors = status.errors || [];
+        let summary = '';
+
+        if (status.error) {
+            summary = status.error;
+        } else if (status.updated) {
+            summary = errors.length
+                ? I18n.t('siteContent.errors', { count: errors.length })
+                : I18n.t('siteContent.updated', { time: I18n.formatDate(status.updated, { hour: '2-digit', minute: '2-digit', second: '2-digit' }) });
+        }
+
+        this.panel.setAttribute('aria-label', I18n.t('siteContent.preview'));
+        this.panel.classList.toggle('content-preview--invalid', Boolean(status.error || errors.length));
+        this.panel.innerHTML = `
+            <div class="content-preview__header">
+                <strong>${I18n.t('siteContent.preview')}</strong>
+                <button type="button" class="content-preview__close" aria-label="${I18n.t('siteContent.close')}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <p class="content-preview__source">${Utils.escapeHTML(this.source)}</p>
+            <p class="content-preview__summary">${Utils.escapeHTML(summary)}</p>
+            ${errors.length ? `
+                <ol class="content-preview__errors">
+                    ${errors.map(error => `
+                        <li>${error.path ? `<code>${Utils.escapeHTML(error.path)}</code> ` : ''}${Utils.escapeHTML(I18n.t(`siteContent.rules.${error.rule}`, error.params))}</li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        `;
+    }
+};
@@ -0,0 +1,49 @@
+import { Motion } from './motion.js';
+import { Utils } from './utils.js';
+
+/**
+ * SMOOTH SCROLLING MODULE
+ * Scrolls targets into view below the sticky header; Router decides when
+ */
+export const SmoothScrolling = {
+    /**
+     * Scroll a target into view below the sticky header and focus it
+     * @param {Element} target - Target element
+     * @param {string} behavior - Scroll behavior, smooth unless motion is reduced
+     */
+    scrollToTarget(target, behavior = Motion.scrollBehavior()) {
+        // Calculate scroll position with header offset
+        const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+        const targetPosition = Utils.getOffsetTop(target) - headerHeight - 20;
+        
+        // Smooth scroll to target
+        window.scrollTo({
+            top: targetPosition,
+            behavior
+        });
+        
+        // Update focus for accessibility
+        this.updateFocus(target);
+    },
+
+    /**
+     * Update focus for accessibility
+     * @param {Element} target - Target element to focus
+     */
+    updateFocus(target) {
+        // Make target focusable if it isn't already
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        
+        // Focus the target element without jumping past the header offset
+        target.focus({ preventScroll: true });
+        
+        // Remove tabindex after focus to maintain natural tab order
+        setTimeout(() => {
+            if (target.getAttribute('tabindex') === '-1') {
+                target.removeAttribute('tabindex');
+            }
+        }, 1000);
+    }
+};
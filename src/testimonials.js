@@ -0,0 +1,494 @@
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Images } from './images.js';
+import { Motion } from './motion.js';
+import { Utils } from './utils.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * TESTIMONIALS MODULE
+ * Renders patient reviews from JSON as a carousel, with the average rating
+ * and AggregateRating structured data. The track scrolls natively, so it can
+ * be swiped; autoplay pauses on hover and focus and stays off when motion is reduced
+ */
+export const Testimonials = {
+    dependencies: ['I18n', 'Motion', 'Viewport', 'Images'],
+
+    // Autoplay delay in milliseconds
+    interval: 7000,
+
+    maxRating: 5,
+
+    /**
+     * Subject of the reviews in the structured data
+     */
+    organization: {
+        '@type': 'MedicalOrganization',
+        name: 'Galenica Online'
+    },
+
+    /**
+     * Initialize testimonials functionality
+     */
+    init() {
+        this.section = document.getElementById('testimonials');
+        this.track = this.section?.querySelector('.testimonials-grid[data-source]');
+        this.reviews = [];
+
+        if (this.track) {
+            // Restored by destroy()
+            this.markup = this.track.innerHTML;
+            this.index = 0;
+            this.perView = 1;
+            this.paused = new Set();
+            this.playing = !Motion.isReduced();
+            this.buildCarousel();
+            this.bindEvents();
+            this.load();
+        }
+    },
+
+    /**
+     * Stop autoplay and put back the static cards
+     */
+    destroy() {
+        if (!this.track) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.carousel.parentNode.insertBefore(this.track, this.carousel);
+        this.carousel.remove();
+        this.track.classList.remove('testimonials__track');
+        ['tabindex', 'aria-live', 'aria-label', 'data-i18n-attr'].forEach(name => this.track.removeAttribute(name));
+        this.track.innerHTML = this.markup;
+
+        if (this.structuredData) {
+            this.structuredData.remove();
+            this.structuredData = null;
+        }
+    },
+
+    /**
+     * Fetch the published reviews
+     * @returns {Promise} Resolves once the reviews are rendered
+     */
+    load() {
+        this.track.setAttribute('aria-busy', 'true');
+
+        return fetch(this.track.dataset.source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Reviews source error ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                this.setReviews(data.reviews || data);
+            })
+            .catch(error => {
+                // Keep the static cards already in the page
+                console.error('Testimonials error:', error);
+            })
+            .finally(() => {
+                this.track.removeAttribute('aria-busy');
+            });
+    },
+
+    /**
+     * Replace the reviews and render them
+     * Ratings outside 1-5 are dropped
+     * @param {Array} reviews - Review records
+     */
+    setReviews(reviews) {
+        this.reviews = reviews
+            .map(review => Object.assign({}, review, { rating: Number(review.rating) }))
+            .filter(review => review.author && review.rating >= 1 && review.rating <= this.maxRating);
+
+        this.index = 0;
+        this.render();
+        this.measure();
+        this.renderPages();
+        this.updateAutoplay();
+    },
+
+    /**
+     * Get a review's text in the current language
+     * Translations live in the "_i18n" field, keyed by language
+     * @param {Object} review - Review
+     * @returns {string} Localised text
+     */
+    localize(review) {
+        const translation = (review._i18n || {})[I18n.language] || {};
+        return translation.text || review.text || '';
+    },
+
+    /**
+     * Get the average rating, rounded to one decimal
+     * @returns {number} Average, 0 without reviews
+     */
+    getAverage() {
+        if (!this.reviews.length) {
+            return 0;
+        }
+
+        const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
+        return Math.round((total / this.reviews.length) * 10) / 10;
+    },
+
+    /**
+     * Format a rating for the current language
+     * @param {number} rating - Rating
+     * @returns {string} E.g. "4,5" in Italian
+     */
+    formatRating(rating) {
+        return new Intl.NumberFormat(I18n.locale(), { maximumFractionDigits: 1 }).format(rating);
+    },
+
+    /**
+     * Wrap the track with the summary, controls and page dots
+     */
+    buildCarousel() {
+        this.track.id = this.track.id || 'testimonials-track';
+
+        this.carousel = document.createElement('div');
+        this.carousel.className = 'testimonials';
+        this.carousel.setAttribute('role', 'region');
+        this.carousel.setAttribute('aria-roledescription', I18n.t('testimonials.carousel'));
+        this.carousel.setAttribute('aria-label', I18n.t('testimonials.carouselLabel'));
+        this.carousel.setAttribute('data-i18n-attr', 'aria-roledescription:testimonials.carousel;aria-label:testimonials.carouselLabel');
+        this.carousel.innerHTML = `
+            <div class="testimonials__bar">
+                <div class="testimonials__summary" hidden></div>
+                <div class="testimonials__controls">
+                    <button type="button" class="testimonials__button testimonials__play" aria-controls="${this.track.id}"></button>
+                    <button type="button" class="testimonials__button" data-carousel-step="-1" aria-controls="${this.track.id}"
+                        aria-label="${I18n.t('testimonials.previous')}" data-i18n-attr="aria-label:testimonials.previous">
+                        <i class="fas fa-chevron-left" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="testimonials__button" data-carousel-step="1" aria-controls="${this.track.id}"
+                        aria-label="${I18n.t('testimonials.next')}" data-i18n-attr="aria-label:testimonials.next">
+                        <i class="fas fa-chevron-right" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="testimonials__pages" role="group" aria-label="${I18n.t('testimonials.pages')}" data-i18n-attr="aria-label:testimonials.pages"></div>
+            <p class="testimonials__status" aria-live="polite"></p>
+        `;
+
+        this.track.parentNode.insertBefore(this.carousel, this.track);
+        this.carousel.insertBefore(this.track, this.carousel.querySelector('.testimonials__pages'));
+
+        // The track scrolls, so keyboard users need to be able to reach it
+        this.track.classList.add('testimonials__track');
+        this.track.setAttribute('tabindex', '0');
+        this.track.setAttribute('aria-label', I18n.t('testimonials.carouselLabel'));
+        this.track.setAttribute('data-i18n-attr', 'aria-label:testimonials.carouselLabel');
+
+        this.summary = this.carousel.querySelector('.testimonials__summary');
+        this.playButton = this.carousel.querySelector('.testimonials__play');
+        this.pages = this.carousel.querySelector('.testimonials__pages');
+        this.status = this.carousel.querySelector('.testimonials__status');
+        this.updatePlayButton();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.carousel.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-carousel-step]');
+            const page = e.target.closest('[data-carousel-page]');
+
+            if (e.target.closest('.testimonials__play')) {
+                this.setPlaying(!this.playing);
+            } else if (step) {
+                this.goTo(this.index + Number(step.dataset.carouselStep), { announce: true });
+            } else if (page) {
+                this.goTo(Number(page.dataset.carouselPage), { announce: true });
+            }
+        }, { signal: this.signal });
+
+        // Autoplay waits while the visitor is reading or using the controls
+        this.carousel.addEventListener('mouseenter', () => this.pause('hover'), { signal: this.signal });
+        this.carousel.addEventListener('mouseleave', () => this.resume('hover'), { signal: this.signal });
+        this.carousel.addEventListener('focusin', () => this.pause('focus'), { signal: this.signal });
+        this.carousel.addEventListener('focusout', (e) => {
+            if (!this.carousel.contains(e.relatedTarget)) {
+                this.resume('focus');
+            }
+        }, { signal: this.signal });
+
+        document.addEventListener('visibilitychange', () => this.updateAutoplay(), { signal: this.signal });
+
+        // Swipes and trackpad scrolling move the current position too
+        this.track.addEventListener('scroll', Utils.debounce(() => this.syncIndex(), 100), { passive: true, signal: this.signal });
+
+        Viewport.subscribe({
+            read: (state) => {
+                if (state.resized) {
+                    this.measure();
+                }
+            },
+            write: (state) => {
+                if (state.resized) {
+                    this.renderPages();
+                }
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('motion:change', ({ reduced }) => {
+            if (reduced) {
+                this.setPlaying(false);
+            }
+        }, { signal: this.signal });
+
+        EventBus.on('i18n:change', () => {
+            if (this.reviews.length) {
+                this.render();
+                this.renderPages();
+            }
+            this.updatePlayButton();
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Render the slides, the summary and the structured data
+     * A review's optional "photo" works like a doctor's, see DoctorDirectory.renderCard()
+     */
+    render() {
+        if (!this.reviews.length) {
+            return;
+        }
+
+        const count = this.reviews.length;
+
+        this.track.innerHTML = this.reviews.map((review, index) => `
+            <article class="testimonial-card" role="group" aria-roledescription="${I18n.t('testimonials.slide')}"
+                aria-label="${I18n.t('testimonials.slideLabel', { index: index + 1, count })}">
+                ${this.renderStars(review.rating, 'testimonial-card__rating')}
+                <p class="testimonial-card__text">"${Utils.escapeHTML(this.localize(review))}"</p>
+                <div class="testimonial-card__author">
+                    <div class="testimonial-card__avatar" aria-hidden="true">
+                        ${review.photo
+                            ? Images.markup(review.photo, { className: 'testimonial-card__photo', sizes: '48px', fallbackName: review.author })
+                            : Utils.escapeHTML(Images.getInitials(review.author))}
+                    </div>
+                    <div class="testimonial-card__info">
+                        <h4>${Utils.escapeHTML(review.author)}</h4>
+                        ${review.since ? `<p>${I18n.t('testimonials.since', { year: review.since })}</p>` : ''}
+                    </div>
+                </div>
+            </article>
+        `).join('');
+
+        const average = this.getAverage();
+        this.summary.innerHTML = `
+            ${this.renderStars(average, 'testimonials__stars', false)}
+            <p class="testimonials__average">
+                <strong>${I18n.t('testimonials.average', { rating: this.formatRating(average) })}</strong>
+                <span>${I18n.t('testimonials.count', { count })}</span>
+            </p>
+        `;
+        this.summary.hidden = false;
+
+        this.renderStructuredData();
+    },
+
+    /**
+     * Build star icons for a rating, with halves rounded to the nearest half star
+     * @param {number} rating - Rating from 0 to 5
+     * @param {string} className - Wrapper class
+     * @param {boolean} labelled - Whether to label the stars for screen readers
+     * @returns {string} HTML markup
+     */
+    renderStars(rating, className, labelled = true) {
+        const stars = Array.from({ length: this.maxRating }, (item, index) => {
+            const fill = rating - index;
+            const icon = fill >= 0.75 ? 'fas fa-star' : (fill >= 0.25 ? 'fas fa-star-half-stroke' : 'far fa-star');
+            return `<i class="${icon}" aria-hidden="true"></i>`;
+        }).join('');
+
+        const label = labelled
+            ? ` role="img" aria-label="${I18n.t('testimonials.rating', { rating: this.formatRating(rating) })}"`
+            : ' aria-hidden="true"';
+
+        return `<div class="${className}"${label}>${stars}</div>`;
+    },
+
+    /**
+     * Publish the organisation's AggregateRating and the reviews as structured data
+     */
+    renderStructuredData() {
+        const rating = (value) => ({ ratingValue: value, bestRating: this.maxRating, worstRating: 1 });
+        const data = Object.assign({ '@context': 'https://schema.org' }, this.organization, {
+            aggregateRating: Object.assign({ '@type': 'AggregateRating', ratingCount: this.reviews.length }, rating(this.getAverage())),
+            review: this.reviews.map(review => ({
+                '@type': 'Review',
+                author: { '@type': 'Person', name: review.author },
+                datePublished: review.date,
+                inLanguage: document.documentElement.lang,
+                reviewBody: this.localize(review),
+                reviewRating: Object.assign({ '@type': 'Rating' }, rating(review.rating))
+            }))
+        });
+
+        if (!this.structuredData) {
+            this.structuredData = document.createElement('script');
+            this.structuredData.type = 'application/ld+json';
+            this.structuredData.id = 'reviews-structured-data';
+            document.head.appendChild(this.structuredData);
+        }
+
+        this.structuredData.textContent = JSON.stringify(data);
+    },
+
+    /**
+     * Work out how many slides fit side by side
+     */
+    measure() {
+        const slides = this.track.children;
+        if (!slides.length) {
+            return;
+        }
+
+        const step = slides.length > 1 ? slides[1].offsetLeft - slides[0].offsetLeft : slides[0].offsetWidth;
+        this.perView = step > 0 ? Math.max(1, Math.round(this.track.clientWidth / step)) : 1;
+    },
+
+    /**
+     * Get the number of positions the carousel can stop at
+     * @returns {number} Slides minus those visible alongside the last one
+     */
+    getPageCount() {
+        return Math.max(1, this.reviews.length - this.perView + 1);
+    },
+
+    /**
+     * Render one dot per position
+     */
+    renderPages() {
+        const count = this.getPageCount();
+
+        this.index = Math.min(this.index, count - 1);
+        this.pages.hidden = count < 2;
+        this.pages.innerHTML = Array.from({ length: count }, (item, index) => `
+            <button type="button" class="testimonials__page" data-carousel-page="${index}" aria-controls="${this.track.id}"
+                aria-label="${I18n.t('testimonials.page', { index: index + 1 })}"${index === this.index ? ' aria-current="true"' : ''}></button>
+        `).join('');
+
+        this.carousel.querySelectorAll('[data-carousel-step]').forEach(button => {
+            button.hidden = count < 2;
+        });
+        this.playButton.hidden = count < 2;
+    },
+
+    /**
+     * Scroll to a position, wrapping around at both ends
+     * @param {number} index - Position
+     * @param {Object} options - { announce: true to read the new position aloud }
+     */
+    goTo(index, options = {}) {
+        const slides = this.track.children;
+        const count = this.getPageCount();
+        if (!slides.length) {
+            return;
+        }
+
+        this.index = (index + count) % count;
+        this.track.scrollTo({
+            left: slides[this.index].offsetLeft - slides[0].offsetLeft,
+            behavior: Motion.scrollBehavior()
+        });
+        this.updatePages();
+
+        if (options.announce) {
+            this.status.textContent = I18n.t('testimonials.position', { index: this.index + 1, count: this.reviews.length });
+        }
+
+        this.updateAutoplay();
+    },
+
+    /**
+     * Pick up the position reached by swiping
+     */
+    syncIndex() {
+        const slides = Array.from(this.track.children);
+        if (!slides.length) {
+            return;
+        }
+
+        const left = this.track.scrollLeft + slides[0].offsetLeft;
+        const nearest = slides.reduce((best, slide, index) => (
+            Math.abs(slide.offsetLeft - left) < Math.abs(slides[best].offsetLeft - left) ? index : best
+        ), 0);
+
+        this.index = Math.min(nearest, this.getPageCount() - 1);
+        this.updatePages();
+    },
+
+    /**
+     * Mark the dot of the current position
+     */
+    updatePages() {
+        this.pages.querySelectorAll('[data-carousel-page]').forEach(button => {
+            if (Number(button.dataset.carouselPage) === this.index) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * Turn autoplay on or off, as the visitor asked
+     * @param {boolean} playing - Whether the carousel should advance by itself
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        this.updatePlayButton();
+        this.updateAutoplay();
+    },
+
+    /**
+     * Hold autoplay for a reason, e.g. "hover" or "focus"
+     * @param {string} reason - Reason
+     */
+    pause(reason) {
+        this.paused.add(reason);
+        this.updateAutoplay();
+    },
+
+    /**
+     * Release a hold set by pause()
+     * @param {string} reason - Reason
+     */
+    resume(reason) {
+        this.paused.delete(reason);
+        this.updateAutoplay();
+    },
+
+    /**
+     * Show the play or pause icon and label
+     */
+    updatePlayButton() {
+        const key = this.playing ? 'testimonials.pause' : 'testimonials.play';
+
+        this.playButton.setAttribute('aria-label', I18n.t(key));
+        this.playButton.innerHTML = `<i class="fas ${this.playing ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+
+        // Slides changing by themselves are not announced
+        this.track.setAttribute('aria-live', this.playing ? 'off' : 'polite');
+    },
+
+    /**
+     * Schedule the next slide when autoplay is on and nothing holds it
+     */
+    updateAutoplay() {
+        clearTimeout(this.timer);
+
+        if (this.playing && !this.paused.size && !document.hidden && this.getPageCount() > 1) {
+            this.timer = setTimeout(() => this.goTo(this.index + 1), this.interval);
+        }
+    }
+};
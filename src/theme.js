@@ -0,0 +1,229 @@
+import { Analytics } from './analytics.js';
+import { EventBus } from './event-bus.js';
+import { I18n } from './i18n.js';
+import { Motion } from './motion.js';
+import { Utils } from './utils.js';
+
+/**
+ * THEME MODULE
+ * Display preferences: colour theme (light, dark, high contrast or the system
+ * setting), text size and the reduced-motion override that Motion applies.
+ * The inline script in <head> applies the saved choice before first paint;
+ * this module offers the header panel and follows system changes
+ */
+export const Theme = {
+    dependencies: ['I18n', 'Motion', 'Analytics'],
+
+    /**
+     * Available choices for each preference, the first being the default
+     */
+    options: {
+        theme: ['system', 'light', 'dark', 'contrast'],
+        fontScale: [1, 1.15, 1.3, 1.5],
+        motion: ['system', 'reduce', 'full']
+    },
+
+    /**
+     * Browser UI colour for each applied theme
+     */
+    themeColors: {
+        light: '#1e40af',
+        dark: '#0f172a',
+        contrast: '#000000'
+    },
+
+    storageKey: 'galenica:display',
+
+    /**
+     * Initialize display preferences
+     */
+    init() {
+        this.preferences = this.readPreferences();
+        this.queries = {
+            dark: window.matchMedia('(prefers-color-scheme: dark)'),
+            contrast: window.matchMedia('(prefers-contrast: more)')
+        };
+
+        this.buildPanel();
+        this.bindEvents();
+        this.apply();
+    },
+
+    /**
+     * Remove the display settings panel
+     */
+    destroy() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    },
+
+    /**
+     * Load the saved preferences, dropping values that are no longer offered
+     * @returns {Object} { theme, fontScale, motion }
+     */
+    readPreferences() {
+        const stored = Utils.readStorage(this.storageKey, {});
+
+        return Object.keys(this.options).reduce((preferences, name) => {
+            const value = stored && stored[name];
+            preferences[name] = this.options[name].includes(value) ? value : this.options[name][0];
+            return preferences;
+        }, {});
+    },
+
+    /**
+     * Add the display settings button and panel to the header
+     */
+    buildPanel() {
+        const header = document.querySelector('.header__content');
+        if (!header) {
+            return;
+        }
+
+        const percent = new Intl.NumberFormat(I18n.locale(), { style: 'percent' });
+        const group = (name, legend, label) => `
+            <fieldset class="display-panel__group">
+                <legend class="display-panel__legend" data-i18n="${legend}">${I18n.t(legend)}</legend>
+                <div class="display-panel__options">
+                    ${this.options[name].map(value => `
+                        <button type="button" class="display-panel__option" data-display-setting="${name}" data-display-value="${value}"
+                            aria-pressed="false"${label ? ` data-i18n="${label}.${value}"` : ''}>${label ? I18n.t(`${label}.${value}`) : percent.format(value)}</button>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `;
+
+        this.container = document.createElement('div');
+        this.container.className = 'display-settings';
+        this.container.innerHTML = `
+            <button type="button" class="display-settings__toggle" aria-expanded="false" aria-controls="display-panel"
+                aria-label="${I18n.t('display.label')}" data-i18n-attr="aria-label:display.label">
+                <i class="fas fa-circle-half-stroke" aria-hidden="true"></i>
+            </button>
+            <div class="display-panel" id="display-panel" hidden>
+                <p class="display-panel__title" data-i18n="display.title">${I18n.t('display.title')}</p>
+                ${group('theme', 'display.theme', 'display.themes')}
+                ${group('fontScale', 'display.fontSize')}
+                ${group('motion', 'display.motion', 'display.motions')}
+            </div>
+        `;
+
+        this.toggle = this.container.querySelector('.display-settings__toggle');
+        this.panel = this.container.querySelector('.display-panel');
+
+        const before = header.querySelector(':scope > .language-switcher') || header.querySelector('.mobile-menu-btn');
+        header.insertBefore(this.container, before);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Follow the system while the visitor has not picked a theme
+        Object.values(this.queries).forEach(query => {
+            query.addEventListener('change', () => this.apply(), { signal: this.signal });
+        });
+
+        if (!this.container) {
+            return;
+        }
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.hidden), { signal: this.signal });
+
+        this.panel.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-display-setting]');
+            if (option) {
+                this.set(option.dataset.displaySetting, option.dataset.displayValue);
+            }
+        }, { signal: this.signal });
+
+        document.addEventListener('click', (e) => {
+            if (!this.panel.hidden && !this.container.contains(e.target)) {
+                this.setOpen(false);
+            }
+        }, { signal: this.signal });
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.panel.hidden) {
+                this.setOpen(false);
+                this.toggle.focus();
+            }
+        }, { signal: this.signal });
+
+        // Tabbing out of the panel closes it
+        this.container.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !this.container.contains(e.relatedTarget)) {
+                this.setOpen(false);
+            }
+        }, { signal: this.signal });
+    },
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} open - Whether the panel should be visible
+     */
+    setOpen(open) {
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+    },
+
+    /**
+     * Change and save a preference
+     * @param {string} name - "theme", "fontScale" or "motion"
+     * @param {string} value - New value, as found in the option's data attribute
+     */
+    set(name, value) {
+        const choice = this.options[name] && this.options[name].find(option => String(option) === String(value));
+        if (choice === undefined || choice === this.preferences[name]) {
+            return;
+        }
+
+        this.preferences[name] = choice;
+        Utils.writeStorage(this.storageKey, this.preferences);
+        this.apply();
+
+        Analytics.track('display_preference', { setting: name, value: choice });
+    },
+
+    /**
+     * Resolve the theme to show, following the system for "system"
+     * @returns {string} "light", "dark" or "contrast"
+     */
+    resolveTheme() {
+        if (this.preferences.theme !== 'system') {
+            return this.preferences.theme;
+        }
+        if (this.queries.contrast.matches) {
+            return 'contrast';
+        }
+        return this.queries.dark.matches ? 'dark' : 'light';
+    },
+
+    /**
+     * Apply the preferences to the page and notify the modules
+     */
+    apply() {
+        const root = document.documentElement;
+        const theme = this.resolveTheme();
+
+        root.dataset.theme = theme;
+        root.style.setProperty('--font-scale', this.preferences.fontScale);
+        Motion.setOverride(this.preferences.motion === 'system' ? null : this.preferences.motion);
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) {
+            meta.setAttribute('content', this.themeColors[theme]);
+        }
+
+        if (this.container) {
+            this.container.querySelectorAll('[data-display-setting]').forEach(option => {
+                const current = String(this.preferences[option.dataset.displaySetting]);
+                option.setAttribute('aria-pressed', String(option.dataset.displayValue === current));
+            });
+        }
+
+        EventBus.emit('theme:change', { theme, reducedMotion: Motion.isReduced(), ...this.preferences });
+    }
+};
@@ -0,0 +1,250 @@
+import { Motion } from './motion.js';
+import { Viewport } from './viewport.js';
+
+/**
+ * UTILITY FUNCTIONS
+ * Common utility functions used throughout the application
+ */
+export const Utils = {
+    /**
+     * Debounce function to limit function calls
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Wait time in milliseconds
+     * @param {boolean} immediate - Whether to call immediately
+     * @returns {Function} Debounced function
+     */
+    debounce(func, wait, immediate) {
+        let timeout;
+        return function() {
+            const context = this;
+            const args = arguments;
+            const later = function() {
+                timeout = null;
+                if (!immediate) func.apply(context, args);
+            };
+            const callNow = immediate && !timeout;
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+            if (callNow) func.apply(context, args);
+        };
+    },
+
+    /**
+     * Throttle function to limit function calls
+     * @param {Function} func - Function to throttle
+     * @param {number} limit - Time limit in milliseconds
+     * @returns {Function} Throttled function
+     */
+    throttle(func, limit) {
+        let inThrottle;
+        return function() {
+            const args = arguments;
+            const context = this;
+            if (!inThrottle) {
+                func.apply(context, args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    },
+
+    /**
+     * Check if element is in viewport
+     * Measures layout, so call it from a Viewport read() rather than between writes
+     * @param {Element} element - Element to check
+     * @param {Object} viewport - Viewport state, the cached one by default
+     * @returns {boolean} Whether element is in viewport
+     */
+    isInViewport(element, viewport = Viewport.state) {
+        const rect = element.getBoundingClientRect();
+        const width = viewport ? viewport.width : window.innerWidth;
+        const height = viewport ? viewport.height : window.innerHeight;
+
+        return rect.top >= 0 && rect.left >= 0 && rect.bottom <= height && rect.right <= width;
+    },
+
+    /**
+     * Get element's offset from top of document
+     * Uses one layout read instead of walking the offsetParent chain
+     * @param {Element} element - Element to measure
+     * @returns {number} Offset from top
+     */
+    getOffsetTop(element) {
+        return element.getBoundingClientRect().top + window.pageYOffset;
+    },
+
+    /**
+     * Escape a string for safe insertion into HTML
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHTML(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @param {*} fallback - Value returned when missing or unreadable
+     * @returns {*} Stored value
+     */
+    readStorage(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    /**
+     * Write a JSON value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} Whether the value was stored
+     */
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Lowercase a string and strip accents for comparisons
+     * @param {string} value - Text to normalise
+     * @returns {string} Normalised text
+     */
+    normalizeText(value) {
+        return String(value == null ? '' : value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    },
+
+    /**
+     * Turn a label into a URL-friendly identifier
+     * @param {string} value - Text to convert
+     * @returns {string} Lowercase slug without accents
+     */
+    slugify(value) {
+        return Utils.normalizeText(value)
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    /**
+     * Save generated text as a file
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Some browsers read the file after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Wrap every occurrence of the search terms in <mark>
+     * Matching ignores case and accents, like normalizeText()
+     * @param {string} text - Plain text
+     * @param {string} query - Search text, split into terms on whitespace
+     * @returns {string} Escaped HTML with the matches highlighted
+     */
+    highlight(text, query) {
+        const folded = Array.from(text, char => Utils.normalizeText(char) || char).join('');
+        const terms = Utils.normalizeText(query).split(/\s+/).filter(Boolean);
+        const ranges = [];
+
+        terms.forEach(term => {
+            let start = folded.indexOf(term);
+            while (start !== -1) {
+                ranges.push([start, start + term.length]);
+                start = folded.indexOf(term, start + term.length);
+            }
+        });
+
+        let html = '';
+        let position = 0;
+
+        ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (end > position) {
+                start = Math.max(start, position);
+                html += `${Utils.escapeHTML(text.slice(position, start))}<mark>${Utils.escapeHTML(text.slice(start, end))}</mark>`;
+                position = end;
+            }
+        });
+
+        return html + Utils.escapeHTML(text.slice(position));
+    },
+
+    /**
+     * Animate element using CSS transitions
+     * Jumps to the end values when motion is reduced (see Motion)
+     * @param {Element} element - Element to animate
+     * @param {Object} properties - CSS properties to animate
+     * @param {number} duration - Animation duration in milliseconds
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animate(element, properties, duration = 300, callback) {
+        // Jump straight to the end when motion is reduced
+        if (Motion.isReduced()) {
+            Object.keys(properties).forEach(prop => {
+                element.style[prop] = properties[prop] + (prop.includes('opacity') ? '' : 'px');
+            });
+            if (callback) {
+                callback();
+            }
+            return;
+        }
+
+        const startTime = performance.now();
+        const startProperties = {};
+        
+        // Get starting values
+        Object.keys(properties).forEach(prop => {
+            startProperties[prop] = parseFloat(getComputedStyle(element)[prop]) || 0;
+        });
+        
+        function animateStep(currentTime) {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            
+            // Apply easing function (ease-out)
+            const easedProgress = 1 - Math.pow(1 - progress, 3);
+            
+            // Update properties
+            Object.keys(properties).forEach(prop => {
+                const startValue = startProperties[prop];
+                const endValue = properties[prop];
+                const currentValue = startValue + (endValue - startValue) * easedProgress;
+                element.style[prop] = currentValue + (prop.includes('opacity') ? '' : 'px');
+            });
+            
+            if (progress < 1) {
+                requestAnimationFrame(animateStep);
+            } else if (callback) {
+                callback();
+            }
+        }
+        
+        requestAnimationFrame(animateStep);
+    }
+};
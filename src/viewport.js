@@ -0,0 +1,111 @@
+import { ErrorHandler } from './error-handler.js';
+
+/**
+ * VIEWPORT MODULE
+ * Shared scroll and resize scheduler. One passive listener of each kind
+ * batches events into a single animation frame, which measures the scroll
+ * position and viewport size once and runs every subscriber's read() before
+ * any write(), so a write never forces the next read to recalculate layout
+ */
+export const Viewport = {
+    dependencies: ['ErrorHandler'],
+
+    subscribers: [],
+
+    /**
+     * Initialize the scheduler
+     */
+    init() {
+        this.frame = null;
+        this.pending = { scrolled: false, resized: false };
+        this.state = this.measure();
+
+        window.addEventListener('scroll', () => this.schedule('scrolled'), { passive: true, signal: this.signal });
+        window.addEventListener('resize', () => this.schedule('resized'), { passive: true, signal: this.signal });
+    },
+
+    /**
+     * Drop the frame still waiting
+     */
+    destroy() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    },
+
+    /**
+     * Run callbacks on each frame with scroll or resize activity
+     * @param {Object} subscriber - { read(state), write(state) }, both optional; state is
+     *     { scrollX, scrollY, width, height, scrollHeight, scrolled, resized }
+     * @param {Object} options - { signal: AbortSignal that removes the subscriber }
+     * @returns {Function} Function removing the subscriber
+     */
+    subscribe(subscriber, options = {}) {
+        const off = () => {
+            this.subscribers = this.subscribers.filter(item => item !== subscriber);
+        };
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                return off;
+            }
+            options.signal.addEventListener('abort', off, { once: true });
+        }
+
+        this.subscribers.push(subscriber);
+        return off;
+    },
+
+    /**
+     * Note the event and request a frame if none is waiting
+     * @param {string} reason - "scrolled" or "resized"
+     */
+    schedule(reason) {
+        this.pending[reason] = true;
+
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(() => this.flush());
+        }
+    },
+
+    /**
+     * Read the scroll position and viewport size
+     * @returns {Object} Viewport state, with no activity flagged
+     */
+    measure() {
+        return {
+            scrollX: window.pageXOffset,
+            scrollY: window.pageYOffset,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            scrollHeight: document.documentElement.scrollHeight,
+            scrolled: false,
+            resized: false
+        };
+    },
+
+    /**
+     * Measure once, then run all reads followed by all writes
+     * A failing subscriber does not stop the others
+     */
+    flush() {
+        this.frame = null;
+        this.state = Object.assign(this.measure(), this.pending);
+        this.pending = { scrolled: false, resized: false };
+
+        const subscribers = this.subscribers.slice();
+        ['read', 'write'].forEach(phase => {
+            subscribers.forEach(subscriber => {
+                if (typeof subscriber[phase] !== 'function') {
+                    return;
+                }
+
+                try {
+                    subscriber[phase](this.state);
+                } catch (error) {
+                    console.error(`Viewport ${phase} failed:`, error);
+                    ErrorHandler.capture(error, { phase: `viewport ${phase}` });
+                }
+            });
+        });
+    }
+};
@@ -0,0 +1,237 @@
+/**
+ * GALENICA ONLINE - SERVICE WORKER
+ * Precaches the app shell, caches static assets and the icon and font CDNs
+ * at runtime, asks the network first for content and API responses and
+ * falls back to offline.html when a page cannot be reached
+ */
+
+'use strict';
+
+// Replaced with the commit hash by the Pages workflow; bump it when deploying by hand
+const VERSION = 'dev';
+
+const PRECACHE = `galenica-precache-${VERSION}`;
+const RUNTIME = `galenica-runtime-${VERSION}`;
+
+// CDN URLs carry their own version, so this cache survives deploys
+const CDN = 'galenica-cdn';
+
+// Follow-up reminders sent by the page, kept while the worker is stopped
+const REMINDERS = 'galenica-reminders';
+const REMINDERS_URL = 'reminders.json';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'offline.html',
+    'styles.css',
+    'translations.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+    'data/site-content.json',
+    'data/doctors.json',
+    'data/pathologies.json',
+    'data/news.json',
+    'data/reviews.json'
+];
+
+// Font Awesome, pdf.js and Google Fonts are cached the first time they are requested
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Same-origin files that only change with a deploy; the rest (data/, the API) can change any time
+const STATIC_ASSET = /\.(?:css|js|svg|png|jpe?g|webp|avif|gif|ico|woff2?|webmanifest)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        // Bypass the HTTP cache so a new version never precaches old files
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                // Other projects on the same Pages origin keep their caches
+                keys.filter(key => key.startsWith('galenica-') && ![PRECACHE, RUNTIME, CDN, REMINDERS].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the visitor accepts the update,
+// hands over the follow-up reminders and asks for them to be shown when they are due
+self.addEventListener('message', (event) => {
+    const type = event.data && event.data.type;
+
+    if (type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (type === 'SET_REMINDERS') {
+        event.waitUntil(setReminders(event.data.reminders));
+    } else if (type === 'CHECK_REMINDERS') {
+        event.waitUntil(showDueReminders());
+    }
+});
+
+// Chromium wakes installed apps now and then, so reminders arrive with the page closed
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'follow-up-reminders') {
+        event.waitUntil(showDueReminders());
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const url = event.notification.data && event.notification.data.url;
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+            if (open) {
+                return open.focus().then(client => (url ? client.navigate(url) : client));
+            }
+            return self.clients.openWindow(url || './');
+        })
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // ?preview asks for the content file as it is on the server; signed-in
+    // requests carry patient data, which never goes into the caches
+    if (request.method !== 'GET' || request.cache === 'no-store' || request.headers.has('Authorization')) {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(STATIC_ASSET.test(url.pathname) ? cacheFirst(request, RUNTIME) : networkFirst(request, RUNTIME));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CDN));
+    }
+});
+
+/**
+ * Pages come from the precache so the HTML always matches the scripts of the
+ * same version; pages that were never cached fall back to offline.html
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function handleNavigation(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return caches.match('offline.html');
+    }
+}
+
+/**
+ * Assets: cached copy if there is one, otherwise fetch and keep it
+ * @param {Request} request - Asset request
+ * @param {string} cacheName - Cache that keeps the fetched copy
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    // Stylesheets loaded without CORS come back opaque; they are still usable
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Content and API responses: fresh from the network, the last copy when offline
+ * @param {Request} request - Data request
+ * @param {string} cacheName - Cache that keeps the latest copy
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // The runtime copy is newer than the precached one
+        const cached = await caches.match(request, { cacheName }) || await caches.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read the stored reminders
+ * @returns {Promise<Object>} { reminders, delivered: ids already shown }
+ */
+async function readReminders() {
+    const response = await caches.match(REMINDERS_URL, { cacheName: REMINDERS });
+    const stored = response ? await response.json() : {};
+    return { reminders: stored.reminders || [], delivered: stored.delivered || [] };
+}
+
+/**
+ * Store the reminders
+ * @param {Object} store - { reminders, delivered }
+ * @returns {Promise} Resolves once written
+ */
+async function writeReminders(store) {
+    const cache = await caches.open(REMINDERS);
+    await cache.put(REMINDERS_URL, new Response(JSON.stringify(store), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+/**
+ * Replace the reminders with the page's list, remembering which were shown
+ * @param {Array} reminders - { id, at, visitAt, title, body, url }
+ * @returns {Promise} Resolves once due reminders are shown
+ */
+async function setReminders(reminders) {
+    const { delivered } = await readReminders();
+    await writeReminders({ reminders: Array.isArray(reminders) ? reminders : [], delivered });
+    await showDueReminders();
+}
+
+/**
+ * Show the reminders that are due, late ones too as long as the visit is still ahead
+ * @returns {Promise} Resolves once shown
+ */
+async function showDueReminders() {
+    const now = Date.now();
+    const { reminders, delivered } = await readReminders();
+    const upcoming = reminders.filter(reminder => reminder.visitAt > now);
+    const due = upcoming.filter(reminder => reminder.at <= now && !delivered.includes(reminder.id));
+
+    await Promise.all(due.map(reminder => self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.id,
+        icon: 'icons/icon.svg',
+        data: { url: reminder.url }
+    })));
+
+    const ids = upcoming.map(reminder => reminder.id);
+    await writeReminders({
+        reminders: upcoming,
+        delivered: delivered.concat(due.map(reminder => reminder.id)).filter(id => ids.includes(id))
+    });
+}
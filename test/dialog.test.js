@@ -0,0 +1,288 @@
+import { after, afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPage } from './harness.js';
+
+const page = createPage({
+    html: `
+        <!DOCTYPE html>
+        <html>
+        <body>
+            <header><button id="opener">Open</button></header>
+            <main><a id="link" href="#top">Link</a></main>
+            <div id="status" aria-live="polite"></div>
+            <div id="first" role="dialog">
+                <button id="first-start">Start</button>
+                <input id="first-input">
+                <button id="first-hidden" hidden>Hidden</button>
+                <button id="first-end">End</button>
+            </div>
+            <div id="second" role="dialog">
+                <button id="second-start">Start</button>
+                <button id="second-end">End</button>
+            </div>
+        </body>
+        </html>
+    `
+});
+const { App } = await import('../src/app.js');
+const { Dialog } = await import('../src/dialog.js');
+
+const $ = id => document.getElementById(id);
+
+/**
+ * Press a key on the focused element
+ * @param {string} key - Key name
+ * @param {Object} options - Modifier keys
+ * @returns {KeyboardEvent} Dispatched event
+ */
+const press = (key, options = {}) => {
+    const event = new KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options));
+    document.activeElement.dispatchEvent(event);
+    return event;
+};
+
+// jsdom has no layout: give every element that is not hidden a box
+window.Element.prototype.getClientRects = function() {
+    return this.closest('[hidden]') ? [] : [{ width: 1, height: 1 }];
+};
+
+App.register({ Dialog });
+
+describe('Dialog', () => {
+    beforeEach(() => {
+        App.mount('Dialog');
+        $('opener').focus();
+    });
+
+    afterEach(() => {
+        App.unmount('Dialog');
+        mock.restoreAll();
+    });
+
+    after(() => {
+        page.close();
+    });
+
+    describe('focus trap', () => {
+        it('moves the focus to the first focusable element', () => {
+            Dialog.open($('first'));
+
+            assert.equal(document.activeElement, $('first-start'));
+        });
+
+        it('wraps Tab from the last element to the first, skipping hidden ones', () => {
+            Dialog.open($('first'));
+            $('first-end').focus();
+
+            const event = press('Tab');
+
+            assert.ok(event.defaultPrevented);
+            assert.equal(document.activeElement, $('first-start'));
+        });
+
+        it('wraps Shift+Tab from the first element to the last', () => {
+            Dialog.open($('first'));
+
+            press('Tab', { shiftKey: true });
+
+            assert.equal(document.activeElement, $('first-end'));
+        });
+
+        it('leaves Tab alone between the first and the last element', () => {
+            Dialog.open($('first'));
+
+            assert.equal(press('Tab').defaultPrevented, false);
+        });
+
+        it('pulls back focus that escapes the dialog', () => {
+            Dialog.open($('first'));
+
+            $('link').focus();
+
+            assert.equal(document.activeElement, $('first-start'));
+        });
+    });
+
+    describe('inert background', () => {
+        it('makes everything outside the dialog inert', () => {
+            Dialog.open($('first'));
+
+            assert.equal(document.querySelector('header').inert, true);
+            assert.equal(document.querySelector('main').inert, true);
+            assert.equal($('second').inert, true);
+            assert.notEqual($('first').inert, true);
+        });
+
+        it('keeps live regions announcing', () => {
+            Dialog.open($('first'));
+
+            assert.notEqual($('status').inert, true);
+        });
+
+        it('restores the background on close', () => {
+            Dialog.open($('first'));
+            Dialog.close($('first'));
+
+            assert.equal(document.querySelector('header').inert, false);
+            assert.equal(document.querySelector('main').inert, false);
+        });
+    });
+
+    describe('Escape', () => {
+        it('closes the dialog', () => {
+            Dialog.open($('first'));
+
+            const event = press('Escape');
+
+            assert.ok(event.defaultPrevented);
+            assert.equal(Dialog.isOpen($('first')), false);
+        });
+
+        it('calls onDismiss instead when given', () => {
+            const onDismiss = mock.fn();
+            Dialog.open($('first'), { onDismiss });
+
+            press('Escape');
+
+            assert.equal(onDismiss.mock.callCount(), 1);
+            assert.ok(Dialog.isOpen($('first')));
+        });
+
+        it('does nothing without an open dialog', () => {
+            assert.equal(press('Escape').defaultPrevented, false);
+        });
+    });
+
+    describe('stacked dialogs', () => {
+        it('traps the focus in the top dialog, the one below included in the background', () => {
+            Dialog.open($('first'));
+            Dialog.open($('second'));
+
+            assert.equal(document.activeElement, $('second-start'));
+            assert.notEqual($('second').inert, true);
+            assert.equal($('first').inert, true);
+
+            $('second-end').focus();
+            press('Tab');
+            assert.equal(document.activeElement, $('second-start'));
+        });
+
+        it('closes only the top dialog on Escape and returns to the one below', () => {
+            Dialog.open($('first'));
+            $('first-end').focus();
+            Dialog.open($('second'));
+
+            press('Escape');
+
+            assert.equal(Dialog.isOpen($('second')), false);
+            assert.ok(Dialog.isOpen($('first')));
+            assert.equal(document.activeElement, $('first-end'));
+            assert.notEqual($('first').inert, true);
+            assert.equal($('second').inert, true);
+            assert.equal(document.querySelector('main').inert, true);
+        });
+
+        it('closes the dialogs stacked above the one closed', () => {
+            Dialog.open($('first'));
+            Dialog.open($('second'));
+
+            Dialog.close($('first'));
+
+            assert.equal(Dialog.stack.length, 0);
+            assert.equal(document.activeElement, $('opener'));
+            assert.equal(document.querySelector('main').inert, false);
+            assert.equal($('second').inert, false);
+        });
+    });
+
+    describe('scroll lock', () => {
+        beforeEach(() => {
+            Object.defineProperty(window, 'pageYOffset', { configurable: true, writable: true, value: 480 });
+            Object.defineProperty(document.documentElement, 'clientWidth', { configurable: true, value: window.innerWidth - 15 });
+        });
+
+        it('locks the page and reserves the scrollbar width', () => {
+            Dialog.open($('first'));
+
+            assert.ok(document.documentElement.classList.contains('scroll-locked'));
+            assert.equal(document.documentElement.style.getPropertyValue('--scrollbar-width'), '15px');
+        });
+
+        it('stays locked until the last stacked dialog closes', () => {
+            Dialog.open($('first'));
+            Dialog.open($('second'));
+            Dialog.close($('second'));
+
+            assert.ok(document.documentElement.classList.contains('scroll-locked'));
+
+            Dialog.close($('first'));
+
+            assert.equal(document.documentElement.classList.contains('scroll-locked'), false);
+            assert.equal(document.documentElement.style.getPropertyValue('--scrollbar-width'), '');
+        });
+
+        it('puts the page back where it was if it moved underneath', () => {
+            const scrollTo = mock.method(window, 'scrollTo', () => {});
+            Dialog.open($('first'));
+            window.pageYOffset = 0;
+
+            Dialog.close($('first'));
+
+            assert.deepEqual(scrollTo.mock.calls[0].arguments, [{ top: 480, behavior: 'instant' }]);
+        });
+
+        it('does not scroll when the page stayed put', () => {
+            const scrollTo = mock.method(window, 'scrollTo', () => {});
+            Dialog.open($('first'));
+            Dialog.close($('first'));
+
+            assert.equal(scrollTo.mock.callCount(), 0);
+        });
+    });
+
+    describe('focus return', () => {
+        it('focuses the trigger again on close', () => {
+            Dialog.open($('first'));
+            Dialog.close($('first'));
+
+            assert.equal(document.activeElement, $('opener'));
+        });
+
+        it('uses the trigger passed to open()', () => {
+            Dialog.open($('first'), { trigger: $('link') });
+            Dialog.close($('first'));
+
+            assert.equal(document.activeElement, $('link'));
+        });
+
+        it('leaves the focus alone with returnFocus: false', () => {
+            Dialog.open($('first'));
+            Dialog.close($('first'), { returnFocus: false });
+
+            assert.equal(document.activeElement, $('first-start'));
+        });
+
+        it('skips a trigger that left the page', () => {
+            const trigger = document.createElement('button');
+            document.body.appendChild(trigger);
+            trigger.focus();
+            Dialog.open($('first'));
+            trigger.remove();
+
+            Dialog.close($('first'));
+
+            assert.equal(document.activeElement, $('first-start'));
+        });
+
+        it('releases everything when the module stops', () => {
+            Dialog.open($('first'));
+            Dialog.open($('second'));
+
+            App.unmount('Dialog');
+
+            assert.equal(Dialog.stack.length, 0);
+            assert.equal(document.querySelector('main').inert, false);
+            assert.equal(document.documentElement.classList.contains('scroll-locked'), false);
+        });
+    });
+});
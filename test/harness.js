@@ -0,0 +1,114 @@
+/**
+ * TEST HARNESS
+ * Loads a page into jsdom and makes its window the global scope, so the ES
+ * modules in src/ run in Node as they do in the browser. Create the page
+ * before importing any module: they read document, window and localStorage
+ * as globals. Each test file runs in its own process, so it gets fresh modules
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { runInNewContext } from 'node:vm';
+import { webcrypto } from 'node:crypto';
+import { JSDOM } from 'jsdom';
+
+const root = new URL('../', import.meta.url);
+
+// Node has its own versions of these; the page's must win so that, for example,
+// an AbortSignal passed to addEventListener() comes from the same window
+const pageGlobals = [
+    'Event', 'EventTarget', 'CustomEvent', 'AbortController', 'AbortSignal',
+    'Blob', 'File', 'FileReader', 'FormData', 'DOMException', 'MessageEvent', 'navigator', 'fetch'
+];
+
+const contentTypes = {
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.html': 'text/html'
+};
+
+/**
+ * Serve the repository's own files to fetch()
+ * @param {string|Request} input - Requested URL
+ * @returns {Promise<Response>} File contents, 404 when there is none
+ */
+async function fetchFile(input) {
+    const url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost/');
+
+    try {
+        const body = readFileSync(new URL(`.${url.pathname}`, root));
+        return new Response(body, { headers: { 'Content-Type': contentTypes[extname(url.pathname)] || 'text/plain' } });
+    } catch (error) {
+        return new Response('', { status: 404 });
+    }
+}
+
+/**
+ * Add the browser APIs jsdom leaves out
+ * @param {Window} window - Page window
+ */
+function polyfill(window) {
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = media => ({
+        matches: false,
+        media,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = function() {};
+    window.fetch = fetchFile;
+
+    if (!window.crypto.subtle) {
+        Object.defineProperty(window.crypto, 'subtle', { value: webcrypto.subtle });
+    }
+}
+
+/**
+ * Load a page and expose its window as the global scope
+ * @param {Object} options - { html: markup, index.html by default; url: page address }
+ * @returns {Object} { window, document, close() }
+ */
+export function createPage(options = {}) {
+    const html = options.html || readFileSync(new URL('index.html', root), 'utf8');
+    const dom = new JSDOM(html, { url: options.url || 'http://localhost/', pretendToBeVisual: true });
+    const { window } = dom;
+
+    polyfill(window);
+
+    Object.getOwnPropertyNames(window).forEach(key => {
+        if (!(key in globalThis) || pageGlobals.includes(key)) {
+            Object.defineProperty(globalThis, key, { configurable: true, writable: true, value: window[key] });
+        }
+    });
+
+    // translations.js is a classic script that declares the dictionaries
+    globalThis.Translations = runInNewContext(`${readFileSync(new URL('translations.js', root), 'utf8')}\nTranslations;`);
+
+    return {
+        window,
+        document: window.document,
+
+        /**
+         * Stop the page's timers so the test process can exit
+         */
+        close() {
+            window.close();
+        }
+    };
+}
+
+/**
+ * Wait for pending fetches, promises and short timers
+ * @param {number} ms - How long to wait
+ * @returns {Promise} Resolves after the delay
+ */
+export function settle(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
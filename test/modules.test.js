@@ -0,0 +1,67 @@
+import { after, afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPage, settle } from './harness.js';
+
+const page = createPage();
+const { App } = await import('../src/app.js');
+const { Modules } = await import('../src/modules.js');
+
+App.register(Modules);
+
+describe('module lifecycle', () => {
+    let errors;
+
+    beforeEach(() => {
+        errors = mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        App.stop();
+        mock.restoreAll();
+    });
+
+    after(() => {
+        page.close();
+    });
+
+    Object.keys(Modules).forEach(name => {
+        it(`mounts and unmounts ${name}`, async () => {
+            const module = Modules[name];
+
+            App.mount(name);
+            await settle();
+
+            assert.ok(App.isRunning(name));
+            (module.dependencies || []).forEach(dependency => {
+                assert.ok(App.isRunning(dependency), `${dependency} starts before ${name}`);
+            });
+
+            const signal = module.signal;
+            App.unmount(name);
+
+            assert.equal(App.isRunning(name), false);
+            assert.ok(signal.aborted, 'listeners are removed');
+            App.modules.forEach((other, otherName) => {
+                if ((other.dependencies || []).includes(name)) {
+                    assert.equal(App.isRunning(otherName), false, `${otherName} stops with ${name}`);
+                }
+            });
+
+            assert.deepEqual(errors.mock.calls.map(call => call.arguments.join(' ')), []);
+        });
+
+        it(`leaves the page as it was after remounting ${name}`, async () => {
+            App.mount(name);
+            await settle();
+            App.stop();
+            const markup = document.body.innerHTML;
+
+            App.mount(name);
+            await settle();
+            App.stop();
+
+            assert.equal(document.body.innerHTML, markup);
+            assert.deepEqual(errors.mock.calls.map(call => call.arguments.join(' ')), []);
+        });
+    });
+});
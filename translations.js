@@ -0,0 +1,1254 @@
+/**
+ * GALENICA ONLINE - TRANSLATIONS
+ * ==============================
+ * UI strings for every supported language, loaded before script.js
+ * Keys mirror the data-i18n attributes in index.html; plural entries
+ * use the Intl.PluralRules categories (one, other)
+ */
+
+'use strict';
+
+const Translations = {
+    it: {
+        a11y: {
+            skipLink: 'Vai al contenuto principale',
+            scrollTop: 'Torna in cima',
+            navigated: 'Sei in: {title}'
+        },
+        nav: {
+            services: 'Servizi',
+            pathologies: 'Patologie',
+            doctors: 'Medici',
+            process: 'Come Funziona',
+            contact: 'Contatti',
+            label: 'Menu principale',
+            openMenu: 'Apri menu',
+            closeMenu: 'Chiudi menu'
+        },
+        hero: {
+            title: 'Trova il tuo medico con un click',
+            subtitle: 'Servizio di teleassistenza specializzato in preparazioni galenici',
+            book: 'Prenota una visita',
+            more: 'Scopri di più',
+            cardTitle: 'Medici Specialisti al tuo servizio',
+            cardText: 'Connetti pazienti e specialisti per prescrizioni di terapie a base di composti galenici',
+            stat: 'Più di 50 specialisti disponibili'
+        },
+        vision: {
+            title: 'La nostra Vision e Mission',
+            subtitle: 'Assistere i pazienti e supportarli in tutti i processi di cura',
+            text1: 'Galenicaonline è un progetto innovativo che si propone come strumento di comunicazione e supporto, per quanti possono trovare sollievo e vantaggi nelle terapie a base di composti galenici.',
+            text2: 'I nostri medici specializzati e la nostra soluzione digitale per ricette dematerializzate garantiscono un percorso terapeutico personalizzato.',
+            health: {
+                title: 'Promuoviamo la salute',
+                text: 'Siamo convinti che le nuove tecnologie contribuiscano a fare la differenza e creare un modello assistenziale a misura della singola persona.'
+            },
+            update: {
+                title: 'Costante aggiornamento',
+                text: 'Ci impegniamo ad aggiornare contenuti e procedure di pari passo con l\'evoluzione farmacologica e scientifica.'
+            }
+        },
+        contact: {
+            title: 'Parla con noi!',
+            subtitle: 'Contatta la nostra segreteria per maggiori informazioni e chiarimenti, insieme ti guideremo verso il miglior percorso terapeutico personalizzato sulle tue esigenze',
+            cardTitle: 'Riceverai una chiamata dal numero',
+            request: 'Richiedi un contatto'
+        },
+        chat: {
+            intro: 'Preferisci scrivere? Se sei registrato, chatta con la segreteria o con il tuo medico.',
+            start: 'Scrivici in chat',
+            open: 'Apri la chat',
+            openUnread: {
+                one: 'Apri la chat, {count} messaggio non letto',
+                other: 'Apri la chat, {count} messaggi non letti'
+            },
+            title: 'Messaggi',
+            close: 'Chiudi la chat',
+            signIn: 'I messaggi con la segreteria e con i medici sono riservati: accedi all\'area pazienti per scrivere.',
+            threads: 'Conversazioni',
+            threadUnread: {
+                one: '{name}, {count} messaggio non letto',
+                other: '{name}, {count} messaggi non letti'
+            },
+            secretary: 'Segreteria',
+            empty: 'Nessun messaggio. Scrivi per iniziare la conversazione.',
+            input: 'Messaggio',
+            placeholder: 'Scrivi un messaggio…',
+            attach: 'Allega un file',
+            removeAttachment: 'Rimuovi {name}',
+            send: 'Invia',
+            retry: 'Riprova',
+            typing: '{name} sta scrivendo…',
+            newMessage: 'Nuovo messaggio da {name}',
+            connection: {
+                online: 'Connesso',
+                connecting: 'Connessione in corso…',
+                offline: 'Non connesso, nuovo tentativo a breve',
+                queued: {
+                    one: 'Non connesso: {count} messaggio verrà inviato appena possibile',
+                    other: 'Non connesso: {count} messaggi verranno inviati appena possibile'
+                }
+            },
+            status: {
+                queued: 'In attesa',
+                sent: 'Inviato',
+                read: 'Letto',
+                failed: 'Non inviato'
+            },
+            errors: {
+                empty: 'Scrivi un messaggio o allega un file.',
+                count: 'Puoi allegare al massimo {count} file per messaggio.',
+                size: '{name} supera i {size} MB consentiti.',
+                type: '{name} non è un PDF, JPEG o PNG.',
+                read: 'Non riusciamo a leggere {name}.'
+            },
+            mockReply: 'Grazie, abbiamo ricevuto il tuo messaggio: "{text}". Ti risponderemo al più presto.'
+        },
+        testimonials: {
+            title: 'Cosa dicono i nostri pazienti',
+            subtitle: 'Le esperienze di chi ha già utilizzato i nostri servizi',
+            quote1: '"Galenica Online ha cambiato la mia gestione terapeutica. Finalmente posso consultare specialisti senza uscire di casa."',
+            since: 'Paziente dal {year}',
+            quote2: '"Professionalità e competenza. I medici sono disponibili e preparati, e la piattaforma è intuitiva."',
+            quote3: '"Consiglio vivamente Galenica Online a chiunque abbia bisogno di terapie personalizzate con preparati galenici."',
+            carousel: 'carosello',
+            carouselLabel: 'Recensioni dei pazienti',
+            slide: 'recensione',
+            slideLabel: '{index} di {count}',
+            previous: 'Recensione precedente',
+            next: 'Recensione successiva',
+            pause: 'Ferma lo scorrimento automatico',
+            play: 'Avvia lo scorrimento automatico',
+            pages: 'Scegli le recensioni da mostrare',
+            page: 'Mostra dalla recensione {index}',
+            position: 'Recensione {index} di {count}',
+            rating: 'Valutazione: {rating} su 5',
+            average: '{rating} su 5',
+            count: {
+                one: 'Media di 1 recensione',
+                other: 'Media di {count} recensioni'
+            }
+        },
+        reviews: {
+            toggle: 'Lascia una recensione',
+            fields: {
+                rating: 'La tua valutazione',
+                name: 'Nome da mostrare',
+                text: 'Racconta la tua esperienza',
+                consent: 'Acconsento alla pubblicazione della recensione dopo la verifica dello staff'
+            },
+            stars: {
+                one: '1 stella',
+                other: '{count} stelle'
+            },
+            namePlaceholder: 'Es. Maria R.',
+            submit: 'Invia recensione',
+            errors: {
+                rating: 'Scegli da 1 a 5 stelle.',
+                name: 'Inserisci il nome da mostrare, anche solo l\'iniziale del cognome.',
+                text: 'Scrivi almeno {min} caratteri.',
+                consent: 'Serve il consenso alla pubblicazione.',
+                summary: {
+                    one: 'Correggi il campo evidenziato.',
+                    other: 'Correggi i {count} campi evidenziati.'
+                }
+            },
+            sending: 'Invio in corso…',
+            sendError: 'Non è stato possibile inviare la recensione. Riprova più tardi.',
+            pendingTitle: 'Grazie per la tua recensione!',
+            pendingText: 'La pubblicheremo appena lo staff l\'avrà verificata.'
+        },
+        process: {
+            ctaTitle: 'Tramite il nostro software mettersi in contatto con un medico è semplicissimo, basta un click!',
+            ctaButton: 'Prenota ora'
+        },
+        documents: {
+            title: 'Invia la tua documentazione',
+            intro: 'Carica referti, esami e prescrizioni: il medico li troverà già pronti al consulto.',
+            drop: 'Trascina qui i file o fai clic per sceglierli',
+            hint: 'PDF, JPEG o PNG (anche immagini esportate da CD DICOM), fino a {size} MB per file e {max} file.',
+            consent: 'Acconsento al trattamento dei miei dati sanitari per la valutazione medica',
+            submit: 'Invia documenti',
+            category: 'Tipo di documento',
+            chooseCategory: 'Scegli il tipo',
+            categories: {
+                report: 'Referto medico',
+                lab: 'Esami di laboratorio',
+                imaging: 'Diagnostica per immagini',
+                prescription: 'Prescrizione',
+                other: 'Altro'
+            },
+            actions: {
+                pause: 'Metti in pausa',
+                resume: 'Riprendi',
+                remove: 'Rimuovi'
+            },
+            states: {
+                checking: 'Controllo del file…',
+                ready: 'Pronto per l\'invio',
+                resumable: 'Invio interrotto: riprenderà dal {percent}%',
+                queued: 'In attesa',
+                uploading: 'Invio in corso: {percent}%',
+                paused: 'In pausa al {percent}%',
+                offline: 'Connessione assente: l\'invio riprenderà appena tornerai online',
+                failed: 'Invio non riuscito. Riprova.',
+                done: 'Inviato'
+            },
+            downscaled: '{from}, ridotta a {to}',
+            interrupted: {
+                one: 'Un invio si è interrotto ({names}). Scegli di nuovo il file per riprenderlo da dove si era fermato.',
+                other: '{count} invii si sono interrotti ({names}). Scegli di nuovo i file per riprenderli da dove si erano fermati.'
+            },
+            errors: {
+                type: 'Formato non supportato: carica un PDF, un JPEG o un PNG.',
+                dicom: 'File DICOM: esporta l\'immagine come JPEG o PNG dal visualizzatore del CD.',
+                size: 'Il file supera i {size} MB.',
+                read: 'Non è stato possibile leggere il file.',
+                tooMany: 'Puoi inviare al massimo {max} file.',
+                category: 'Scegli il tipo di documento.',
+                consent: 'Il consenso al trattamento dei dati sanitari è obbligatorio.',
+                empty: 'Aggiungi almeno un documento da inviare.',
+                summary: {
+                    one: 'Correggi il campo evidenziato.',
+                    other: 'Correggi i {count} campi evidenziati.'
+                }
+            },
+            checking: 'Attendi il controllo dei file.',
+            sending: 'Invio dei documenti in corso…',
+            incomplete: {
+                one: 'Un documento non è stato inviato: riprendi l\'invio quando vuoi.',
+                other: '{count} documenti non sono stati inviati: riprendi l\'invio quando vuoi.'
+            },
+            sent: {
+                one: 'Documento inviato. Il medico lo riceverà prima del consulto.',
+                other: '{count} documenti inviati. Il medico li riceverà prima del consulto.'
+            }
+        },
+        followUp: {
+            title: 'Programma le visite di controllo',
+            intro: 'Pianifica i controlli periodici, aggiungili al tuo calendario e ricevi un promemoria prima di ogni visita.',
+            fields: {
+                title: 'Nome del controllo',
+                start: 'Prima visita',
+                time: 'Ora',
+                interval: 'Frequenza',
+                count: 'Numero di visite',
+                reminder: 'Promemoria'
+            },
+            titlePlaceholder: 'Es. Controllo terapia galenica',
+            every: {
+                one: 'Ogni giorno',
+                other: 'Ogni {count} giorni'
+            },
+            reminders: {
+                0: 'All\'ora della visita',
+                60: '1 ora prima',
+                1440: '1 giorno prima',
+                2880: '2 giorni prima'
+            },
+            submit: 'Aggiungi al piano',
+            empty: 'Non hai ancora programmato controlli.',
+            summary: {
+                one: 'Una visita',
+                other: '{count} visite, una ogni {interval} giorni'
+            },
+            upcoming: 'Prossime visite',
+            more: {
+                one: 'e un\'altra visita',
+                other: 'e altre {count} visite'
+            },
+            completed: 'Tutte le visite di questo piano sono passate.',
+            calendar: 'Aggiungi al calendario',
+            calendarDescription: 'Visita di controllo programmata su Galenica Online: {url}',
+            remove: 'Elimina',
+            notifications: {
+                toggle: 'Notifiche',
+                on: 'Riceverai una notifica prima di ogni visita di "{title}".',
+                off: 'Notifiche disattivate per "{title}".',
+                unsupported: 'Questo browser non supporta le notifiche: usa il promemoria del calendario.',
+                denied: 'Le notifiche sono bloccate: puoi consentirle dalle impostazioni del browser.'
+            },
+            reminder: {
+                title: 'Promemoria: {title}',
+                body: 'Visita di controllo {date}'
+            },
+            added: '"{title}" aggiunto al piano.',
+            removed: '"{title}" eliminato.',
+            export: 'Esporta (JSON)',
+            import: 'Importa',
+            exported: {
+                one: 'Esportato un controllo.',
+                other: 'Esportati {count} controlli.'
+            },
+            imported: {
+                one: 'Importato un controllo.',
+                other: 'Importati {count} controlli.'
+            },
+            errors: {
+                title: 'Dai un nome al controllo.',
+                start: 'Scegli la data della prima visita.',
+                past: 'La prima visita non può essere nel passato.',
+                time: 'Scegli l\'ora della visita.',
+                count: 'Scegli da 1 a {max} visite.',
+                interval: 'Frequenza non valida.',
+                reminder: 'Promemoria non valido.',
+                summary: {
+                    one: 'Correggi il campo evidenziato.',
+                    other: 'Correggi i {count} campi evidenziati.'
+                },
+                skipped: {
+                    one: 'Un controllo non valido è stato ignorato.',
+                    other: '{count} controlli non validi sono stati ignorati.'
+                },
+                import: 'Il file non contiene controlli esportati da Galenica Online.'
+            }
+        },
+        doctors: {
+            showDetails: 'Mostra dettagli',
+            book: 'Prenota Consulto',
+            ctaTitle: 'Non trovi lo specialista che cerchi?',
+            ctaText: 'Il nostro network include oltre 50 specialisti qualificati in diverse aree mediche',
+            ctaFind: 'Trova il tuo specialista',
+            ctaContact: 'Contatta la segreteria',
+            searchLabel: 'Cerca un medico',
+            searchPlaceholder: 'Nome, università o specializzazione',
+            sortLabel: 'Ordina per',
+            sort: {
+                name: 'Nome (A-Z)',
+                'name-desc': 'Nome (Z-A)',
+                specialization: 'Specializzazione'
+            },
+            filterLabel: 'Filtra per specializzazione',
+            all: 'Tutti',
+            count: {
+                one: '1 medico trovato',
+                other: '{count} medici trovati'
+            },
+            empty: 'Nessun medico corrisponde alla ricerca.',
+            loadError: 'Non è stato possibile caricare l\'elenco dei medici.',
+            hideDetails: 'Nascondi dettagli',
+            visitTypes: 'Modalità di visita',
+            bookWith: 'Prenota consulto con {name}'
+        },
+        network: {
+            title: 'Entra nel nostro Network Professionale',
+            text: 'Unisciti alla nostra comunità di specialisti per offrire le migliori terapie personalizzate',
+            button: 'Diventa un collaboratore'
+        },
+        news: {
+            filterLabel: 'Filtra per argomento',
+            all: 'Tutte',
+            more: 'Carica altre notizie',
+            count: {
+                one: '{shown} notizia su {count}',
+                other: '{shown} notizie su {count}'
+            },
+            empty: 'Nessuna notizia per questo argomento.',
+            loadError: 'Non è stato possibile aggiornare le notizie.',
+            close: 'Chiudi articolo',
+            tags: {
+                ricerca: 'Ricerca',
+                'dolore-cronico': 'Dolore cronico',
+                normativa: 'Normativa',
+                eventi: 'Eventi',
+                servizi: 'Servizi'
+            }
+        },
+        faq: {
+            searchLabel: 'Cerca tra le domande',
+            searchPlaceholder: 'Es. ricetta, costi, videochiamata',
+            results: {
+                one: '1 domanda trovata',
+                other: '{count} domande trovate'
+            },
+            noResults: 'Nessuna domanda corrisponde alla ricerca.',
+            link: 'Link a questa risposta',
+            linkCopied: 'Link copiato negli appunti'
+        },
+        consent: {
+            title: 'Rispettiamo la tua privacy',
+            text: 'Usiamo cookie tecnici per far funzionare il sito e, solo con il tuo consenso, strumenti di analisi per capire come migliorarlo. Puoi cambiare idea in qualsiasi momento da "Preferenze cookie" nel footer.',
+            accept: 'Accetta tutto',
+            reject: 'Rifiuta',
+            customize: 'Personalizza',
+            save: 'Salva preferenze',
+            categories: {
+                necessary: {
+                    title: 'Necessari',
+                    text: 'Indispensabili per il funzionamento del sito, come la lingua scelta e le richieste in attesa di invio.'
+                },
+                analytics: {
+                    title: 'Statistiche',
+                    text: 'Misurano in forma aggregata le visite e l\'uso delle funzioni per migliorare il servizio.'
+                },
+                marketing: {
+                    title: 'Marketing',
+                    text: 'Permettono di mostrarti comunicazioni pertinenti su altri siti.'
+                }
+            }
+        },
+        footer: {
+            description: 'Servizio di teleassistenza specializzato.',
+            services: 'Servizi',
+            telehealth: 'Televisita medica',
+            consultation: 'Consulenza specialistica',
+            prescriptions: 'Ricette elettroniche',
+            secondOpinion: 'Seconda opinione',
+            monitoring: 'Monitoraggio terapia',
+            links: 'Link Utili',
+            about: 'Chi siamo',
+            terms: 'Termini e condizioni',
+            privacy: 'Privacy Policy',
+            cookies: 'Cookie Policy',
+            consent: 'Preferenze cookie',
+            faq: 'FAQ',
+            blog: 'Blog',
+            contact: 'Contatti',
+            hours: 'Lun-Ven: 9:00 - 18:00',
+            copyright: '© 2025 Progetto Online. Tutti i diritti riservati. | P.IVA: 12345678901'
+        },
+        i18n: {
+            label: 'Lingua',
+            languages: {
+                it: 'Italiano',
+                en: 'English'
+            }
+        },
+        booking: {
+            title: 'Prenota una visita',
+            close: 'Chiudi',
+            back: 'Indietro',
+            next: 'Avanti',
+            confirm: 'Conferma prenotazione',
+            steps: {
+                doctor: 'Specialista',
+                area: 'Area',
+                slot: 'Data e ora',
+                patient: 'I tuoi dati',
+                review: 'Riepilogo'
+            },
+            stepStatus: 'Passo {current} di {total}: {label}',
+            doctorTitle: 'Scegli lo specialista',
+            areaTitle: 'Per quale area chiedi un consulto?',
+            areaOther: 'Altro / non so',
+            areaOtherDetail: 'Ne parlerai con lo specialista',
+            slotTitle: 'Scegli data e ora',
+            loading: 'Caricamento disponibilità…',
+            day: 'Giorno',
+            time: 'Orario',
+            pickDay: 'Seleziona un giorno per vedere gli orari disponibili.',
+            loadError: 'Non è stato possibile caricare le disponibilità. Riprova tra qualche istante.',
+            loadErrorStatus: 'Errore nel caricamento delle disponibilità',
+            patientTitle: 'I tuoi dati',
+            fields: {
+                firstName: 'Nome',
+                lastName: 'Cognome',
+                email: 'Email',
+                phone: 'Telefono',
+                notes: 'Note per lo specialista (facoltativo)',
+                privacy: 'Acconsento al trattamento dei miei dati sanitari ai sensi del GDPR'
+            },
+            reviewTitle: 'Controlla e conferma',
+            summary: {
+                doctor: 'Specialista',
+                area: 'Area',
+                date: 'Data',
+                time: 'Ora',
+                patient: 'Paziente',
+                email: 'Email',
+                phone: 'Telefono',
+                notes: 'Note'
+            },
+            errors: {
+                doctor: 'Seleziona uno specialista.',
+                area: 'Seleziona un\'area o "Altro / non so".',
+                slot: 'Seleziona un giorno e un orario disponibili.',
+                firstName: 'Inserisci il nome.',
+                lastName: 'Inserisci il cognome.',
+                email: 'Inserisci un indirizzo email valido.',
+                phone: 'Inserisci un numero di telefono valido.',
+                privacy: 'Il consenso è necessario per prenotare.'
+            },
+            sending: 'Invio della prenotazione in corso…',
+            slotUnavailable: 'L\'orario scelto non è più disponibile, scegline un altro.',
+            submitError: 'Non è stato possibile completare la prenotazione. Riprova.',
+            successTitle: 'Prenotazione confermata',
+            successCode: 'Codice prenotazione:',
+            successText: 'Riceverai una email di conferma con il link per la visita.'
+        },
+        callback: {
+            fields: {
+                name: 'Nome e cognome',
+                phone: 'Telefono',
+                window: 'Quando preferisci essere richiamato?',
+                reason: 'Motivo della richiesta',
+                privacy: 'Ho letto l\'informativa e acconsento al trattamento dei dati personali'
+            },
+            windows: {
+                placeholder: 'Seleziona una fascia oraria',
+                morning: 'Mattina (9:00 - 13:00)',
+                afternoon: 'Pomeriggio (14:00 - 18:00)',
+                any: 'Qualsiasi orario'
+            },
+            submit: 'Invia richiesta',
+            errors: {
+                name: 'Inserisci nome e cognome.',
+                phoneMissing: 'Inserisci un numero di telefono.',
+                phone: 'Inserisci un numero italiano valido, ad esempio +39 333 123 4567.',
+                window: 'Seleziona una fascia oraria.',
+                reason: 'Descrivi brevemente il motivo della richiesta.',
+                privacy: 'Il consenso al trattamento dei dati è obbligatorio.',
+                summary: {
+                    one: 'Correggi il campo evidenziato.',
+                    other: 'Correggi i {count} campi evidenziati.'
+                }
+            },
+            sending: 'Invio in corso…',
+            sendError: 'Non è stato possibile inviare la richiesta. Riprova o chiamaci direttamente.',
+            successTitle: 'Richiesta inviata!',
+            successText: 'La nostra segreteria ti richiamerà nella fascia oraria che hai indicato.',
+            queuedTitle: 'Richiesta salvata',
+            queuedText: 'Sei offline: invieremo la tua richiesta appena tornerai online.'
+        },
+        finder: {
+            label: 'Cerca una patologia o un sintomo',
+            placeholder: 'Es. fibromialgia, insonnia, endometriosi',
+            listLabel: 'Patologie suggerite',
+            results: {
+                one: '1 risultato disponibile, usa le frecce per sceglierlo.',
+                other: '{count} risultati disponibili, usa le frecce per sceglierne uno.'
+            },
+            noResults: 'Nessuna patologia trovata. Contatta la segreteria per un consiglio.',
+            doctorsIntro: 'Specialisti che trattano questa patologia:',
+            noDoctors: 'La segreteria ti indicherà lo specialista più adatto.',
+            book: 'Prenota per questa patologia',
+            resultStatus: {
+                one: '{name}: 1 specialista disponibile.',
+                other: '{name}: {count} specialisti disponibili.'
+            }
+        },
+        siteContent: {
+            preview: 'Anteprima contenuti',
+            close: 'Chiudi anteprima',
+            updated: 'Aggiornato alle {time}',
+            errors: {
+                one: '1 errore: le sezioni coinvolte mostrano l\'ultima versione valida',
+                other: '{count} errori: le sezioni coinvolte mostrano l\'ultima versione valida'
+            },
+            loadError: 'Impossibile leggere {source}',
+            rules: {
+                json: 'JSON non valido ({message})',
+                object: 'deve essere un oggetto { ... }',
+                list: 'deve essere un elenco [ ... ] con almeno un elemento',
+                required: 'campo obbligatorio mancante',
+                unknown: 'campo sconosciuto',
+                text: 'deve essere un testo non vuoto',
+                id: 'deve essere un id in minuscolo con trattini, es. "dolore-cronico"',
+                icon: 'deve essere un\'icona Font Awesome, es. "fa-clock"',
+                path: 'deve essere un percorso del sito, es. "data/news.json"',
+                count: 'deve essere un numero intero maggiore di zero',
+                oneOf: 'deve essere uno di: {values}',
+                duplicate: 'l\'id "{id}" è già usato in questo elenco',
+                language: 'lingua non supportata, usa: {languages}',
+                untranslatable: 'questo campo non si traduce'
+            }
+        },
+        perf: {
+            title: 'Prestazioni',
+            close: 'Chiudi pannello prestazioni',
+            longTasks: 'Task lunghi',
+            longTasksValue: '{count} · {time} ms bloccati',
+            resources: {
+                fontAwesome: 'Font Awesome',
+                googleFonts: 'Google Fonts'
+            },
+            notSampled: 'non campionato'
+        },
+        pwa: {
+            install: 'Installa',
+            installLabel: 'Installa l\'app Galenica Online',
+            updateText: 'È disponibile una nuova versione del sito.',
+            update: 'Aggiorna',
+            dismiss: 'Più tardi'
+        },
+        offline: {
+            title: 'Sei offline',
+            text: 'Non riusciamo a caricare la pagina. La nostra segreteria resta raggiungibile per telefono.',
+            call: 'Chiama la segreteria',
+            retry: 'Riprova'
+        },
+        display: {
+            label: 'Preferenze di visualizzazione',
+            title: 'Visualizzazione',
+            theme: 'Tema',
+            themes: {
+                system: 'Automatico',
+                light: 'Chiaro',
+                dark: 'Scuro',
+                contrast: 'Alto contrasto'
+            },
+            fontSize: 'Dimensione del testo',
+            motion: 'Animazioni',
+            motions: {
+                system: 'Automatiche',
+                reduce: 'Ridotte',
+                full: 'Complete'
+            }
+        },
+        auth: {
+            login: 'Accedi',
+            loginLong: 'Accedi all\'area pazienti',
+            account: 'Il tuo account: {name}',
+            patient: 'Paziente',
+            signedInAs: 'Connesso come {name}',
+            documents: 'I miei documenti',
+            followUps: 'Le mie visite di controllo',
+            logout: 'Esci',
+            redirecting: 'Ti stiamo portando alla pagina di accesso…',
+            signingIn: 'Accesso in corso…',
+            loginRequired: 'Per continuare accedi all\'area pazienti.',
+            loggedOut: 'Sei uscito dall\'area pazienti.',
+            expired: 'La sessione è scaduta. Accedi di nuovo per continuare.',
+            idleWarning: {
+                one: 'Per proteggere i tuoi dati sanitari, tra {count} secondo verrai disconnesso per inattività.',
+                other: 'Per proteggere i tuoi dati sanitari, tra {count} secondi verrai disconnesso per inattività.'
+            },
+            idleLoggedOut: {
+                one: 'Sei stato disconnesso dopo {count} minuto di inattività.',
+                other: 'Sei stato disconnesso dopo {count} minuti di inattività.'
+            },
+            errors: {
+                state: 'Accesso non riuscito: la richiesta non è valida o è scaduta. Riprova.',
+                denied: 'Accesso annullato.',
+                failed: 'Accesso non riuscito. Riprova tra qualche minuto.'
+            },
+            actions: {
+                login: 'Accedi',
+                logout: 'Esci ora',
+                stay: 'Resta connesso',
+                dismiss: 'Chiudi'
+            }
+        }
+    },
+    en: {
+        a11y: {
+            skipLink: 'Skip to main content',
+            scrollTop: 'Back to top',
+            navigated: 'Now showing: {title}'
+        },
+        nav: {
+            services: 'Services',
+            pathologies: 'Conditions',
+            doctors: 'Doctors',
+            process: 'How it works',
+            contact: 'Contact',
+            label: 'Main menu',
+            openMenu: 'Open menu',
+            closeMenu: 'Close menu'
+        },
+        hero: {
+            title: 'Find your doctor in one click',
+            subtitle: 'Telehealth service specialising in compounded medicines',
+            book: 'Book a visit',
+            more: 'Learn more',
+            cardTitle: 'Specialist doctors at your service',
+            cardText: 'Connecting patients and specialists for prescriptions of therapies based on compounded medicines',
+            stat: 'More than 50 specialists available'
+        },
+        vision: {
+            title: 'Our vision and mission',
+            subtitle: 'Assisting patients and supporting them throughout their care',
+            text1: 'Galenicaonline is an innovative project offering communication and support to everyone who can find relief and benefit in therapies based on compounded medicines.',
+            text2: 'Our specialist doctors and our digital solution for electronic prescriptions guarantee a personalised therapeutic pathway.',
+            health: {
+                title: 'We promote health',
+                text: 'We believe new technologies make a difference and help create a care model tailored to each person.'
+            },
+            update: {
+                title: 'Always up to date',
+                text: 'We keep our content and procedures up to date with pharmacological and scientific progress.'
+            }
+        },
+        contact: {
+            title: 'Talk to us!',
+            subtitle: 'Contact our office for more information: together we will guide you towards the therapeutic pathway best suited to your needs',
+            cardTitle: 'You will receive a call from',
+            request: 'Request a call back'
+        },
+        chat: {
+            intro: 'Prefer writing? If you are registered, chat with our office or your doctor.',
+            start: 'Chat with us',
+            open: 'Open chat',
+            openUnread: {
+                one: 'Open chat, {count} unread message',
+                other: 'Open chat, {count} unread messages'
+            },
+            title: 'Messages',
+            close: 'Close chat',
+            signIn: 'Messages with our office and doctors are confidential: sign in to the patient area to write.',
+            threads: 'Conversations',
+            threadUnread: {
+                one: '{name}, {count} unread message',
+                other: '{name}, {count} unread messages'
+            },
+            secretary: 'Office',
+            empty: 'No messages yet. Write to start the conversation.',
+            input: 'Message',
+            placeholder: 'Write a message…',
+            attach: 'Attach a file',
+            removeAttachment: 'Remove {name}',
+            send: 'Send',
+            retry: 'Try again',
+            typing: '{name} is typing…',
+            newMessage: 'New message from {name}',
+            connection: {
+                online: 'Connected',
+                connecting: 'Connecting…',
+                offline: 'Not connected, trying again shortly',
+                queued: {
+                    one: 'Not connected: {count} message will be sent as soon as possible',
+                    other: 'Not connected: {count} messages will be sent as soon as possible'
+                }
+            },
+            status: {
+                queued: 'Waiting',
+                sent: 'Sent',
+                read: 'Read',
+                failed: 'Not sent'
+            },
+            errors: {
+                empty: 'Write a message or attach a file.',
+                count: 'You can attach up to {count} files per message.',
+                size: '{name} is larger than the {size} MB allowed.',
+                type: '{name} is not a PDF, JPEG or PNG.',
+                read: 'We could not read {name}.'
+            },
+            mockReply: 'Thank you, we have received your message: "{text}". We will reply as soon as possible.'
+        },
+        testimonials: {
+            title: 'What our patients say',
+            subtitle: 'Experiences from people who have already used our services',
+            quote1: '"Galenica Online changed how I manage my therapy. At last I can consult specialists without leaving home."',
+            since: 'Patient since {year}',
+            quote2: '"Professional and competent. The doctors are helpful and well prepared, and the platform is intuitive."',
+            quote3: '"I warmly recommend Galenica Online to anyone who needs personalised therapies with compounded medicines."',
+            carousel: 'carousel',
+            carouselLabel: 'Patient reviews',
+            slide: 'review',
+            slideLabel: '{index} of {count}',
+            previous: 'Previous review',
+            next: 'Next review',
+            pause: 'Stop automatic scrolling',
+            play: 'Start automatic scrolling',
+            pages: 'Choose which reviews to show',
+            page: 'Show from review {index}',
+            position: 'Review {index} of {count}',
+            rating: 'Rating: {rating} out of 5',
+            average: '{rating} out of 5',
+            count: {
+                one: 'Average of 1 review',
+                other: 'Average of {count} reviews'
+            }
+        },
+        reviews: {
+            toggle: 'Leave a review',
+            fields: {
+                rating: 'Your rating',
+                name: 'Name to display',
+                text: 'Tell us about your experience',
+                consent: 'I agree to my review being published once our staff have checked it'
+            },
+            stars: {
+                one: '1 star',
+                other: '{count} stars'
+            },
+            namePlaceholder: 'E.g. Maria R.',
+            submit: 'Send review',
+            errors: {
+                rating: 'Choose from 1 to 5 stars.',
+                name: 'Enter the name to display, even just your surname initial.',
+                text: 'Write at least {min} characters.',
+                consent: 'Consent to publication is required.',
+                summary: {
+                    one: 'Please correct the highlighted field.',
+                    other: 'Please correct the {count} highlighted fields.'
+                }
+            },
+            sending: 'Sending…',
+            sendError: 'We could not send your review. Please try again later.',
+            pendingTitle: 'Thank you for your review!',
+            pendingText: 'We will publish it as soon as our staff have checked it.'
+        },
+        process: {
+            ctaTitle: 'With our software, getting in touch with a doctor is simple: just one click!',
+            ctaButton: 'Book now'
+        },
+        documents: {
+            title: 'Send your documents',
+            intro: 'Upload reports, test results and prescriptions: your doctor will have them ready for the consultation.',
+            drop: 'Drag your files here or click to choose them',
+            hint: 'PDF, JPEG or PNG (including images exported from DICOM CDs), up to {size} MB per file and {max} files.',
+            consent: 'I agree to my health data being processed for the medical assessment',
+            submit: 'Send documents',
+            category: 'Document type',
+            chooseCategory: 'Choose the type',
+            categories: {
+                report: 'Medical report',
+                lab: 'Lab results',
+                imaging: 'Imaging',
+                prescription: 'Prescription',
+                other: 'Other'
+            },
+            actions: {
+                pause: 'Pause',
+                resume: 'Resume',
+                remove: 'Remove'
+            },
+            states: {
+                checking: 'Checking the file…',
+                ready: 'Ready to send',
+                resumable: 'Upload interrupted: it will resume from {percent}%',
+                queued: 'Waiting',
+                uploading: 'Uploading: {percent}%',
+                paused: 'Paused at {percent}%',
+                offline: 'No connection: the upload will resume as soon as you are back online',
+                failed: 'Upload failed. Please try again.',
+                done: 'Sent'
+            },
+            downscaled: '{from}, reduced to {to}',
+            interrupted: {
+                one: 'An upload was interrupted ({names}). Choose the file again to resume it where it stopped.',
+                other: '{count} uploads were interrupted ({names}). Choose the files again to resume them where they stopped.'
+            },
+            errors: {
+                type: 'Unsupported format: upload a PDF, JPEG or PNG.',
+                dicom: 'DICOM file: export the image as JPEG or PNG from the CD viewer.',
+                size: 'The file is larger than {size} MB.',
+                read: 'The file could not be read.',
+                tooMany: 'You can send up to {max} files.',
+                category: 'Choose the document type.',
+                consent: 'Consent to the processing of health data is required.',
+                empty: 'Add at least one document to send.',
+                summary: {
+                    one: 'Please correct the highlighted field.',
+                    other: 'Please correct the {count} highlighted fields.'
+                }
+            },
+            checking: 'Please wait while the files are checked.',
+            sending: 'Sending your documents…',
+            incomplete: {
+                one: 'One document was not sent: resume the upload whenever you like.',
+                other: '{count} documents were not sent: resume the upload whenever you like.'
+            },
+            sent: {
+                one: 'Document sent. Your doctor will receive it before the consultation.',
+                other: '{count} documents sent. Your doctor will receive them before the consultation.'
+            }
+        },
+        followUp: {
+            title: 'Schedule your follow-up visits',
+            intro: 'Plan regular check-ups, add them to your calendar and get a reminder before each visit.',
+            fields: {
+                title: 'Check-up name',
+                start: 'First visit',
+                time: 'Time',
+                interval: 'Frequency',
+                count: 'Number of visits',
+                reminder: 'Reminder'
+            },
+            titlePlaceholder: 'E.g. Compounded therapy check-up',
+            every: {
+                one: 'Every day',
+                other: 'Every {count} days'
+            },
+            reminders: {
+                0: 'At the time of the visit',
+                60: '1 hour before',
+                1440: '1 day before',
+                2880: '2 days before'
+            },
+            submit: 'Add to plan',
+            empty: 'You have not scheduled any check-ups yet.',
+            summary: {
+                one: 'One visit',
+                other: '{count} visits, one every {interval} days'
+            },
+            upcoming: 'Upcoming visits',
+            more: {
+                one: 'and one more visit',
+                other: 'and {count} more visits'
+            },
+            completed: 'All the visits of this plan are in the past.',
+            calendar: 'Add to calendar',
+            calendarDescription: 'Follow-up visit scheduled on Galenica Online: {url}',
+            remove: 'Delete',
+            notifications: {
+                toggle: 'Notifications',
+                on: 'You will be notified before each visit of "{title}".',
+                off: 'Notifications turned off for "{title}".',
+                unsupported: 'This browser does not support notifications: use the calendar reminder instead.',
+                denied: 'Notifications are blocked: you can allow them in your browser settings.'
+            },
+            reminder: {
+                title: 'Reminder: {title}',
+                body: 'Follow-up visit {date}'
+            },
+            added: '"{title}" added to your plan.',
+            removed: '"{title}" deleted.',
+            export: 'Export (JSON)',
+            import: 'Import',
+            exported: {
+                one: 'Exported one check-up.',
+                other: 'Exported {count} check-ups.'
+            },
+            imported: {
+                one: 'Imported one check-up.',
+                other: 'Imported {count} check-ups.'
+            },
+            errors: {
+                title: 'Give the check-up a name.',
+                start: 'Choose the date of the first visit.',
+                past: 'The first visit cannot be in the past.',
+                time: 'Choose the time of the visit.',
+                count: 'Choose between 1 and {max} visits.',
+                interval: 'Invalid frequency.',
+                reminder: 'Invalid reminder.',
+                summary: {
+                    one: 'Please correct the highlighted field.',
+                    other: 'Please correct the {count} highlighted fields.'
+                },
+                skipped: {
+                    one: 'One invalid check-up was skipped.',
+                    other: '{count} invalid check-ups were skipped.'
+                },
+                import: 'The file does not contain check-ups exported from Galenica Online.'
+            }
+        },
+        doctors: {
+            showDetails: 'Show details',
+            book: 'Book a consultation',
+            ctaTitle: 'Can\'t find the specialist you need?',
+            ctaText: 'Our network includes more than 50 qualified specialists across many medical fields',
+            ctaFind: 'Find your specialist',
+            ctaContact: 'Contact the office',
+            searchLabel: 'Search for a doctor',
+            searchPlaceholder: 'Name, university or specialisation',
+            sortLabel: 'Sort by',
+            sort: {
+                name: 'Name (A-Z)',
+                'name-desc': 'Name (Z-A)',
+                specialization: 'Specialisation'
+            },
+            filterLabel: 'Filter by specialisation',
+            all: 'All',
+            count: {
+                one: '1 doctor found',
+                other: '{count} doctors found'
+            },
+            empty: 'No doctors match your search.',
+            loadError: 'We could not load the list of doctors.',
+            hideDetails: 'Hide details',
+            visitTypes: 'Visit types',
+            bookWith: 'Book a consultation with {name}'
+        },
+        network: {
+            title: 'Join our professional network',
+            text: 'Join our community of specialists to offer the best personalised therapies',
+            button: 'Become a partner'
+        },
+        news: {
+            filterLabel: 'Filter by topic',
+            all: 'All',
+            more: 'Load more news',
+            count: {
+                one: '{shown} of {count} article',
+                other: '{shown} of {count} articles'
+            },
+            empty: 'No news for this topic.',
+            loadError: 'We could not refresh the news.',
+            close: 'Close article',
+            tags: {
+                ricerca: 'Research',
+                'dolore-cronico': 'Chronic pain',
+                normativa: 'Regulation',
+                eventi: 'Events',
+                servizi: 'Services'
+            }
+        },
+        faq: {
+            searchLabel: 'Search the questions',
+            searchPlaceholder: 'E.g. prescription, costs, video call',
+            results: {
+                one: '1 question found',
+                other: '{count} questions found'
+            },
+            noResults: 'No questions match your search.',
+            link: 'Link to this answer',
+            linkCopied: 'Link copied to the clipboard'
+        },
+        consent: {
+            title: 'We respect your privacy',
+            text: 'We use technical cookies to run the site and, only with your consent, analytics tools to understand how to improve it. You can change your mind at any time from "Cookie preferences" in the footer.',
+            accept: 'Accept all',
+            reject: 'Reject',
+            customize: 'Customise',
+            save: 'Save preferences',
+            categories: {
+                necessary: {
+                    title: 'Necessary',
+                    text: 'Required for the site to work, such as your chosen language and requests waiting to be sent.'
+                },
+                analytics: {
+                    title: 'Statistics',
+                    text: 'Measure visits and feature use in aggregate to improve the service.'
+                },
+                marketing: {
+                    title: 'Marketing',
+                    text: 'Allow us to show you relevant messages on other sites.'
+                }
+            }
+        },
+        footer: {
+            description: 'Specialised telehealth service.',
+            services: 'Services',
+            telehealth: 'Medical telehealth visit',
+            consultation: 'Specialist consultation',
+            prescriptions: 'Electronic prescriptions',
+            secondOpinion: 'Second opinion',
+            monitoring: 'Therapy monitoring',
+            links: 'Useful links',
+            about: 'About us',
+            terms: 'Terms and conditions',
+            privacy: 'Privacy policy',
+            cookies: 'Cookie policy',
+            consent: 'Cookie preferences',
+            faq: 'FAQ',
+            blog: 'Blog',
+            contact: 'Contact',
+            hours: 'Mon-Fri: 9:00 - 18:00',
+            copyright: '© 2025 Progetto Online. All rights reserved. | VAT no.: 12345678901'
+        },
+        i18n: {
+            label: 'Language',
+            languages: {
+                it: 'Italiano',
+                en: 'English'
+            }
+        },
+        booking: {
+            title: 'Book a visit',
+            close: 'Close',
+            back: 'Back',
+            next: 'Next',
+            confirm: 'Confirm booking',
+            steps: {
+                doctor: 'Specialist',
+                area: 'Area',
+                slot: 'Date and time',
+                patient: 'Your details',
+                review: 'Summary'
+            },
+            stepStatus: 'Step {current} of {total}: {label}',
+            doctorTitle: 'Choose a specialist',
+            areaTitle: 'Which area is your consultation about?',
+            areaOther: 'Other / not sure',
+            areaOtherDetail: 'You can discuss it with the specialist',
+            slotTitle: 'Choose date and time',
+            loading: 'Loading availability…',
+            day: 'Day',
+            time: 'Time',
+            pickDay: 'Select a day to see the available times.',
+            loadError: 'We could not load availability. Please try again shortly.',
+            loadErrorStatus: 'Error loading availability',
+            patientTitle: 'Your details',
+            fields: {
+                firstName: 'First name',
+                lastName: 'Last name',
+                email: 'Email',
+                phone: 'Phone',
+                notes: 'Notes for the specialist (optional)',
+                privacy: 'I consent to the processing of my health data under the GDPR'
+            },
+            reviewTitle: 'Review and confirm',
+            summary: {
+                doctor: 'Specialist',
+                area: 'Area',
+                date: 'Date',
+                time: 'Time',
+                patient: 'Patient',
+                email: 'Email',
+                phone: 'Phone',
+                notes: 'Notes'
+            },
+            errors: {
+                doctor: 'Select a specialist.',
+                area: 'Select an area or "Other / not sure".',
+                slot: 'Select an available day and time.',
+                firstName: 'Enter your first name.',
+                lastName: 'Enter your last name.',
+                email: 'Enter a valid email address.',
+                phone: 'Enter a valid phone number.',
+                privacy: 'Consent is required to book.'
+            },
+            sending: 'Sending your booking…',
+            slotUnavailable: 'The selected time is no longer available, please choose another one.',
+            submitError: 'We could not complete the booking. Please try again.',
+            successTitle: 'Booking confirmed',
+            successCode: 'Booking code:',
+            successText: 'You will receive a confirmation email with the link to your visit.'
+        },
+        callback: {
+            fields: {
+                name: 'Full name',
+                phone: 'Phone',
+                window: 'When would you like us to call you?',
+                reason: 'Reason for your request',
+                privacy: 'I have read the privacy notice and consent to the processing of my personal data'
+            },
+            windows: {
+                placeholder: 'Select a time window',
+                morning: 'Morning (9:00 - 13:00)',
+                afternoon: 'Afternoon (14:00 - 18:00)',
+                any: 'Any time'
+            },
+            submit: 'Send request',
+            errors: {
+                name: 'Enter your full name.',
+                phoneMissing: 'Enter a phone number.',
+                phone: 'Enter a valid Italian number, for example +39 333 123 4567.',
+                window: 'Select a time window.',
+                reason: 'Briefly describe the reason for your request.',
+                privacy: 'Consent to data processing is required.',
+                summary: {
+                    one: 'Please correct the highlighted field.',
+                    other: 'Please correct the {count} highlighted fields.'
+                }
+            },
+            sending: 'Sending…',
+            sendError: 'We could not send your request. Please try again or call us directly.',
+            successTitle: 'Request sent!',
+            successText: 'Our office will call you back in the time window you selected.',
+            queuedTitle: 'Request saved',
+            queuedText: 'You are offline: we will send your request as soon as you are back online.'
+        },
+        finder: {
+            label: 'Search for a condition or symptom',
+            placeholder: 'E.g. fibromyalgia, insomnia, endometriosis',
+            listLabel: 'Suggested conditions',
+            results: {
+                one: '1 result available, use the arrow keys to choose it.',
+                other: '{count} results available, use the arrow keys to choose one.'
+            },
+            noResults: 'No condition found. Contact our office for advice.',
+            doctorsIntro: 'Specialists who treat this condition:',
+            noDoctors: 'Our office will point you to the most suitable specialist.',
+            book: 'Book for this condition',
+            resultStatus: {
+                one: '{name}: 1 specialist available.',
+                other: '{name}: {count} specialists available.'
+            }
+        },
+        siteContent: {
+            preview: 'Content preview',
+            close: 'Close preview',
+            updated: 'Updated at {time}',
+            errors: {
+                one: '1 error: the affected sections show their last valid version',
+                other: '{count} errors: the affected sections show their last valid version'
+            },
+            loadError: 'Could not read {source}',
+            rules: {
+                json: 'invalid JSON ({message})',
+                object: 'must be an object { ... }',
+                list: 'must be a list [ ... ] with at least one item',
+                required: 'required field is missing',
+                unknown: 'unknown field',
+                text: 'must be non-empty text',
+                id: 'must be a lowercase id with hyphens, e.g. "dolore-cronico"',
+                icon: 'must be a Font Awesome icon, e.g. "fa-clock"',
+                path: 'must be a path on this site, e.g. "data/news.json"',
+                count: 'must be a whole number greater than zero',
+                oneOf: 'must be one of: {values}',
+                duplicate: 'the id "{id}" is already used in this list',
+                language: 'unsupported language, use: {languages}',
+                untranslatable: 'this field cannot be translated'
+            }
+        },
+        perf: {
+            title: 'Performance',
+            close: 'Close performance panel',
+            longTasks: 'Long tasks',
+            longTasksValue: '{count} · {time} ms blocked',
+            resources: {
+                fontAwesome: 'Font Awesome',
+                googleFonts: 'Google Fonts'
+            },
+            notSampled: 'not sampled'
+        },
+        pwa: {
+            install: 'Install',
+            installLabel: 'Install the Galenica Online app',
+            updateText: 'A new version of the site is available.',
+            update: 'Update',
+            dismiss: 'Later'
+        },
+        offline: {
+            title: 'You\'re offline',
+            text: 'We can\'t load the page right now. Our office is still reachable by phone.',
+            call: 'Call our office',
+            retry: 'Try again'
+        },
+        display: {
+            label: 'Display settings',
+            title: 'Display',
+            theme: 'Theme',
+            themes: {
+                system: 'Automatic',
+                light: 'Light',
+                dark: 'Dark',
+                contrast: 'High contrast'
+            },
+            fontSize: 'Text size',
+            motion: 'Animations',
+            motions: {
+                system: 'Automatic',
+                reduce: 'Reduced',
+                full: 'Full'
+            }
+        },
+        auth: {
+            login: 'Sign in',
+            loginLong: 'Sign in to the patient area',
+            account: 'Your account: {name}',
+            patient: 'Patient',
+            signedInAs: 'Signed in as {name}',
+            documents: 'My documents',
+            followUps: 'My follow-up visits',
+            logout: 'Sign out',
+            redirecting: 'Taking you to the sign-in page…',
+            signingIn: 'Signing in…',
+            loginRequired: 'Please sign in to the patient area to continue.',
+            loggedOut: 'You have signed out of the patient area.',
+            expired: 'Your session has expired. Please sign in again to continue.',
+            idleWarning: {
+                one: 'To protect your health data, you will be signed out in {count} second because of inactivity.',
+                other: 'To protect your health data, you will be signed out in {count} seconds because of inactivity.'
+            },
+            idleLoggedOut: {
+                one: 'You were signed out after {count} minute of inactivity.',
+                other: 'You were signed out after {count} minutes of inactivity.'
+            },
+            errors: {
+                state: 'Sign-in failed: the request is invalid or has expired. Please try again.',
+                denied: 'Sign-in cancelled.',
+                failed: 'Sign-in failed. Please try again in a few minutes.'
+            },
+            actions: {
+                login: 'Sign in',
+                logout: 'Sign out now',
+                stay: 'Stay signed in',
+                dismiss: 'Close'
+            }
+        }
+    }
+};